@@ -10,10 +10,14 @@ const { buildCorsOptions } = require('./middleware/corsConfig');
 const { globalLimiter, sensitiveLimiter } = require('./middleware/rateLimit.redis'); 
 // const { globalLimiter, sensitiveLimiter } = require('./middleware/rateLimit.simple');
 const { attachChatAbortLifecycle } = require('./middleware/chatAbortLifecycle');
+const { requireMetricsAccess } = require('./middleware/metricsAuth');
+const metricsController = require('./controllers/metricsController');
 
 const openaiRoutes = require('./routes/openaiRoutes');
 const authRoutes = require('./routes/authRoutes');
 const cacheRoutes = require('./routes/cacheRoutes');
+const adminRoutes = require('./routes/adminRoutes');
+const webhookRoutes = require('./routes/webhookRoutes');
 
 const app = express();
 
@@ -30,7 +34,13 @@ app.use(globalLimiter);
 app.use(sensitiveLimiter);
 
 // Body parsing with limits
-app.use(express.json({ limit: '10mb' }));
+// Webhook signatures are computed over the exact bytes Cashflow sent.
+app.use(express.json({
+  limit: '10mb',
+  verify: (req, res, buf) => {
+    if (req.originalUrl.startsWith('/api/webhooks/')) req.rawBody = buf;
+  }
+}));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
 // Logging
@@ -45,6 +55,9 @@ app.get('/health', (req, res) => {
   });
 });
 
+// Prometheus scrape target (kea_chat_turn registry)
+app.get('/metrics', requireMetricsAccess(), metricsController.getMetrics);
+
 // Routes
 // Apply stricter limit on LLM-intensive endpoints
 app.use('/api/agent/chat', sensitiveLimiter);
@@ -52,6 +65,8 @@ app.use('/api/agent/summarize', sensitiveLimiter);
 app.use('/api/auth', authRoutes);
 app.use('/api/agent', openaiRoutes);
 app.use('/api/cache', cacheRoutes);
+app.use('/api/admin', adminRoutes);
+app.use('/api/webhooks', webhookRoutes);
 
 // Add a root route to handle the base URL
 app.get('/', (req, res) => {
@@ -65,6 +80,7 @@ app.get('/', (req, res) => {
     },
     endpoints: {
       health: 'GET /health',
+      metrics: 'GET /metrics (metrics token or admin)',
       auth: {
         login: 'POST /api/auth/login',
         profile: 'GET /api/auth/profile'
@@ -72,6 +88,13 @@ app.get('/', (req, res) => {
       agent: {
         summarize: 'POST /api/agent/summarize',
         chat: 'POST /api/agent/chat',
+        undo: 'POST /api/agent/undo',
+        writes: 'GET /api/agent/writes',
+        categorizationRules: 'GET|POST /api/agent/categorization-rules',
+        categorizationRule: 'PUT|DELETE /api/agent/categorization-rules/:id',
+        digest: 'GET /api/agent/digest',
+        digestSubscriptions: 'GET|PUT /api/agent/digest/subscriptions',
+        digestSubscription: 'DELETE /api/agent/digest/subscriptions/:id',
         clearHistory: 'DELETE /api/agent/clear-history',
         testRedis: 'GET /api/agent/test-redis',
         summarization: 'POST /api/agent/summarization'
@@ -85,6 +108,16 @@ app.get('/', (req, res) => {
         warmUp: 'POST /api/cache/warmup/:userId/account/:accountId',
         stats: 'GET /api/cache/stats/:userId',
         health: 'GET /api/cache/health'
+      },
+      admin: {
+        usage: 'GET /api/admin/usage (admin)',
+        userUsage: 'GET /api/admin/usage/:userId (admin)',
+        userPlan: 'PUT /api/admin/usage/:userId/plan (admin)',
+        categorizationAccuracy: 'GET /api/admin/categorization/accuracy (admin)',
+        runDigests: 'POST /api/admin/digests/run (admin)'
+      },
+      webhooks: {
+        accountEvents: 'POST /api/webhooks/cashflow/account-events (signed)'
       }
     }
   });
@@ -6,6 +6,7 @@ const {
   invalidateSelectedAccountToolCache,
   emitKeaSnapshotInvalidated,
 } = require('../services/keaAccountCache');
+const { isAdminKeyAllowed } = require('../middleware/adminKey');
 
 function sameUserId(a, b) {
   if (a == null || b == null) return false;
@@ -38,20 +39,9 @@ const FLUSHABLE_PREFIXES = {
   ],
 };
 
-// Lower-cased header name the gate checks for the shared admin secret.
-const ADMIN_KEY_HEADER = 'x-admin-key';
-
-// Returns true if the request is allowed to flush. In production we require
-// `x-admin-key` to match `process.env.ADMIN_CACHE_FLUSH_KEY`. In non-prod
-// we skip the gate entirely so devs can curl the endpoint without env setup.
-function isAdminFlushAllowed(req) {
-  const expected = process.env.ADMIN_CACHE_FLUSH_KEY;
-  const provided = req.headers[ADMIN_KEY_HEADER] || req.headers['X-Admin-Key'];
-  const isProd = process.env.NODE_ENV === 'production';
-  if (!isProd && !expected) return true; // dev / local convenience
-  if (!expected) return false;            // prod with no key configured → refuse
-  return typeof provided === 'string' && provided.length > 0 && provided === expected;
-}
+// Shared admin gate (x-admin-key vs ADMIN_CACHE_FLUSH_KEY; open in non-prod
+// when no key is configured).
+const isAdminFlushAllowed = isAdminKeyAllowed;
 
 // Stream-scan + UNLINK by pattern. Returns { deleted, sampleKeys }.
 //   - SCAN with MATCH + COUNT batches lookups so we never block Redis.
@@ -366,14 +356,15 @@ exports.getCacheHealth = async (req, res) => {
   try {
     const redis = require('../services/redisService');
     
-    // Test Redis connection
+    // Test the store that is currently serving (Redis, or the in-memory fallback)
     const testKey = `health-check-${Date.now()}`;
     await redis.set(testKey, 'ok', 'EX', 10);
     const testValue = await redis.get(testKey);
     await redis.del(testKey);
+    const store = redis.health();
     
     // Get Redis info
-    const redisInfo = await redis.info('memory');
+    const redisInfo = store.mode === 'redis' ? await redis.info('memory') : '';
     const memoryLines = redisInfo.split('\n').filter(line => 
       line.includes('used_memory_human') || 
       line.includes('maxmemory_human') ||
@@ -388,14 +379,16 @@ exports.getCacheHealth = async (req, res) => {
       }
     });
     
+    // Degraded still answers 200: chat keeps working on the fallback store.
     res.json({
       success: true,
-      status: 'healthy',
+      status: store.degraded ? 'degraded' : 'healthy',
       redis: {
-        connected: true,
+        connected: store.mode === 'redis',
         testPassed: testValue === 'ok',
         memory: memoryInfo
       },
+      store,
       contextCache: {
         enabled: true,
         version: '1.0.0'
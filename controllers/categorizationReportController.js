@@ -0,0 +1,16 @@
+// controllers/categorizationReportController.js
+// Admin-only auto-categorization accuracy (services/keaCategorizationFeedback.js).
+// Mounted behind requireAdminKey() in routes/adminRoutes.js.
+const { categorizationAccuracyReport } = require('../services/keaCategorizationFeedback');
+
+// GET /api/admin/categorization/accuracy?days=30 — served vs overridden
+// suggestions per method and confidence over the last `days` UTC days (max 90).
+exports.getCategorizationAccuracy = async (req, res) => {
+  try {
+    const report = await categorizationAccuracyReport({ days: req.query.days });
+    res.json({ success: true, ...report });
+  } catch (error) {
+    console.error('Categorization accuracy: report failed:', error.message);
+    res.status(500).json({ success: false, error: 'Failed to build accuracy report', requestId: req.id });
+  }
+};
@@ -0,0 +1,80 @@
+// controllers/categoryRulesController.js
+// CRUD for a signed-in user's categorization rules (services/keaCategoryRules.js).
+// Mounted behind cashflowAuth() in routes/openaiRoutes.js; the user always
+// comes from the verified token. Approving a learned candidate is an update
+// with { status: 'active' }; rejecting it is { status: 'dismissed' }.
+const {
+  CategoryRuleError,
+  listRules,
+  createRule,
+  updateRule,
+  deleteRule,
+} = require('../services/keaCategoryRules');
+
+const STATUS_BY_CODE = {
+  KEA_RULE_INVALID: 400,
+  KEA_RULE_LIMIT: 400,
+  KEA_RULE_NOT_FOUND: 404,
+};
+
+function sendRuleError(req, res, error, action) {
+  if (error instanceof CategoryRuleError) {
+    return res.status(STATUS_BY_CODE[error.code] || 400).json({
+      success: false,
+      error: error.message,
+      code: error.code,
+      requestId: req.id,
+    });
+  }
+  console.error(`Category rules: ${action} failed:`, error.message);
+  return res.status(500).json({ success: false, error: `Failed to ${action} rule`, requestId: req.id });
+}
+
+function ruleId(req) {
+  return /^\d+$/.test(String(req.params.id || '')) ? Number(req.params.id) : null;
+}
+
+// GET /api/agent/categorization-rules?status=active|candidate|dismissed
+exports.listCategoryRules = async (req, res) => {
+  try {
+    const status = req.query && req.query.status ? String(req.query.status) : undefined;
+    const rules = await listRules(req.cashflowUser.id, { status });
+    res.json({ success: true, rules });
+  } catch (error) {
+    sendRuleError(req, res, error, 'list');
+  }
+};
+
+// POST /api/agent/categorization-rules { match, category, accountId?, priority? }
+exports.createCategoryRule = async (req, res) => {
+  try {
+    const rule = await createRule(req.cashflowUser.id, req.body || {});
+    res.status(201).json({ success: true, rule });
+  } catch (error) {
+    sendRuleError(req, res, error, 'create');
+  }
+};
+
+// PUT /api/agent/categorization-rules/:id { match?, category?, accountId?, priority?, status? }
+exports.updateCategoryRule = async (req, res) => {
+  const id = ruleId(req);
+  if (id == null) return sendRuleError(req, res, new CategoryRuleError('KEA_RULE_NOT_FOUND', 'Rule not found.'), 'update');
+  try {
+    const rule = await updateRule(req.cashflowUser.id, id, req.body || {});
+    res.json({ success: true, rule });
+  } catch (error) {
+    sendRuleError(req, res, error, 'update');
+  }
+};
+
+// DELETE /api/agent/categorization-rules/:id
+exports.deleteCategoryRule = async (req, res) => {
+  const id = ruleId(req);
+  if (id == null) return sendRuleError(req, res, new CategoryRuleError('KEA_RULE_NOT_FOUND', 'Rule not found.'), 'delete');
+  try {
+    await deleteRule(req.cashflowUser.id, id);
+    res.json({ success: true, deleted: id });
+  } catch (error) {
+    sendRuleError(req, res, error, 'delete');
+  }
+};
@@ -0,0 +1,208 @@
+// controllers/digestController.js
+// Weekly / monthly account digests (services/keaDigest.js).
+//
+// Users opt accounts in here (services/keaDigestSubscriptions.js); Cashflow
+// delivers (email / push). Its cron calls POST /api/admin/digests/run behind
+// requireAdminKey() with only a cadence: the opted-in (user, account) pairs
+// are read server-side a page at a time, and each digest runs with a
+// short-lived service credential for exactly that pair
+// (services/keaServiceCredential.js), which assertAccountAccess checks along
+// with the user's current access. One bad entry never fails the batch.
+// GET /api/agent/digest previews the same digest for the signed-in user.
+const moment = require('moment');
+const { assertAccountAccess, AccountAccessError } = require('../services/keaAccountAccess');
+const { DIGEST_CADENCES, buildAccountDigest } = require('../services/keaDigest');
+const {
+  DigestSubscriptionError,
+  listUserDigestSubscriptions,
+  subscribeDigest,
+  unsubscribeDigest,
+  listDigestSubscriptions,
+} = require('../services/keaDigestSubscriptions');
+const { getCashflowJwtSecret } = require('../middleware/cashflowAuth');
+const { mintServiceCredential } = require('../services/keaServiceCredential');
+
+const DIGEST_BATCH_MAX = 25;
+const DIGEST_BATCH_CONCURRENCY = 3;
+
+function requestClientDate(value) {
+  if (value == null || value === '') return moment().format('YYYY-MM-DD');
+  const d = moment(String(value).slice(0, 10), 'YYYY-MM-DD', true);
+  return d.isValid() ? d.format('YYYY-MM-DD') : null;
+}
+
+function badRequest(req, res, error, code) {
+  return res.status(400).json({ success: false, error, code, requestId: req.id });
+}
+
+async function digestForSubscription(subscription, { cadence, clientDate, requestId }) {
+  const { userId, accountId } = subscription;
+  const credential = mintServiceCredential({ purpose: 'digest', userId, accountId });
+  try {
+    await assertAccountAccess(userId, accountId, { credential });
+  } catch (error) {
+    if (error instanceof AccountAccessError) return { status: 'skipped', code: error.code };
+    throw error;
+  }
+  const built = await buildAccountDigest({
+    userId,
+    accountId,
+    token: credential.token,
+    cadence,
+    clientDate,
+    requestId,
+  });
+  return { status: built.digest.status, digest: built.digest, markdown: built.markdown };
+}
+
+function batchCursor(value) {
+  if (value == null || value === '') return 0;
+  return /^\d+$/.test(String(value)) ? Number(value) : null;
+}
+
+// POST /api/admin/digests/run { cadence, clientDate?, after?, limit? }
+// → { results: [{ subscriptionId, userId, accountId, status, digest?, markdown?, code? }], nextAfter }
+// Call again with `after: nextAfter` until it is null.
+exports.runDigests = async (req, res) => {
+  const body = req.body || {};
+  const cadence = String(body.cadence || '');
+  if (DIGEST_CADENCES.indexOf(cadence) === -1) {
+    return badRequest(req, res, `cadence must be one of ${DIGEST_CADENCES.join(', ')}`, 'DIGEST_CADENCE_INVALID');
+  }
+  const clientDate = requestClientDate(body.clientDate);
+  if (!clientDate) return badRequest(req, res, 'clientDate must be YYYY-MM-DD', 'DIGEST_DATE_INVALID');
+  const after = batchCursor(body.after);
+  if (after == null) return badRequest(req, res, 'after must be a subscription id', 'DIGEST_BATCH_INVALID');
+  const limit = body.limit == null ? DIGEST_BATCH_MAX : Number(body.limit);
+  if (!Number.isInteger(limit) || limit < 1 || limit > DIGEST_BATCH_MAX) {
+    return badRequest(req, res, `limit must be 1–${DIGEST_BATCH_MAX}`, 'DIGEST_BATCH_INVALID');
+  }
+  if (!getCashflowJwtSecret()) {
+    return res.status(503).json({
+      success: false,
+      error: 'Cashflow JWT secret not configured',
+      code: 'CASHFLOW_JWT_SECRET_MISSING',
+      requestId: req.id,
+    });
+  }
+
+  let subscriptions;
+  try {
+    subscriptions = await listDigestSubscriptions({ cadence, after, limit });
+  } catch (error) {
+    console.error('Digests: subscription list failed:', error.message);
+    return res.status(500).json({ success: false, error: 'Failed to read digest subscriptions', requestId: req.id });
+  }
+
+  const results = new Array(subscriptions.length);
+  for (let i = 0; i < subscriptions.length; i += DIGEST_BATCH_CONCURRENCY) {
+    await Promise.all(subscriptions.slice(i, i + DIGEST_BATCH_CONCURRENCY).map(async (subscription, j) => {
+      const entry = { subscriptionId: subscription.id, userId: subscription.userId, accountId: subscription.accountId };
+      try {
+        results[i + j] = { ...entry, ...(await digestForSubscription(subscription, { cadence, clientDate, requestId: req.id })) };
+      } catch (error) {
+        console.error('Digests: account digest failed:', error.message);
+        results[i + j] = { ...entry, status: 'failed', code: 'DIGEST_FAILED' };
+      }
+    }));
+  }
+
+  const nextAfter = subscriptions.length === limit ? subscriptions[subscriptions.length - 1].id : null;
+  res.json({ success: true, cadence, clientDate, results, nextAfter });
+};
+
+function sendSubscriptionError(req, res, error, action) {
+  if (error instanceof AccountAccessError) {
+    return res.status(error.code === 'ACCOUNT_REQUIRED' ? 400 : 403).json({
+      success: false,
+      error: error.message,
+      code: error.code,
+      requestId: req.id,
+    });
+  }
+  if (error instanceof DigestSubscriptionError) {
+    return res.status(error.code === 'DIGEST_SUBSCRIPTION_NOT_FOUND' ? 404 : 400).json({
+      success: false,
+      error: error.message,
+      code: error.code,
+      requestId: req.id,
+    });
+  }
+  console.error(`Digests: ${action} subscription failed:`, error.message);
+  return res.status(500).json({ success: false, error: `Failed to ${action} digest subscription`, requestId: req.id });
+}
+
+// GET /api/agent/digest/subscriptions
+exports.listDigestSubscriptions = async (req, res) => {
+  try {
+    const subscriptions = await listUserDigestSubscriptions(req.cashflowUser.id);
+    res.json({ success: true, subscriptions });
+  } catch (error) {
+    sendSubscriptionError(req, res, error, 'list');
+  }
+};
+
+// PUT /api/agent/digest/subscriptions { accountid, cadence }
+exports.subscribeDigest = async (req, res) => {
+  const body = req.body || {};
+  const cadence = String(body.cadence || '');
+  if (DIGEST_CADENCES.indexOf(cadence) === -1) {
+    return badRequest(req, res, `cadence must be one of ${DIGEST_CADENCES.join(', ')}`, 'DIGEST_CADENCE_INVALID');
+  }
+  const accountId = body.accountid ?? body.accountId;
+  try {
+    await assertAccountAccess(req.cashflowUser.id, accountId);
+    const subscription = await subscribeDigest(req.cashflowUser.id, { accountId: String(accountId), cadence });
+    res.json({ success: true, subscription });
+  } catch (error) {
+    sendSubscriptionError(req, res, error, 'save');
+  }
+};
+
+// DELETE /api/agent/digest/subscriptions/:id
+exports.unsubscribeDigest = async (req, res) => {
+  const id = /^\d+$/.test(String(req.params.id || '')) ? Number(req.params.id) : null;
+  try {
+    if (id == null) throw new DigestSubscriptionError('DIGEST_SUBSCRIPTION_NOT_FOUND', 'Digest subscription not found.');
+    await unsubscribeDigest(req.cashflowUser.id, id);
+    res.json({ success: true, deleted: id });
+  } catch (error) {
+    sendSubscriptionError(req, res, error, 'delete');
+  }
+};
+
+// GET /api/agent/digest?cadence=weekly|monthly&accountid=&clientDate=
+exports.previewDigest = async (req, res) => {
+  const query = req.query || {};
+  const cadence = String(query.cadence || 'weekly');
+  if (DIGEST_CADENCES.indexOf(cadence) === -1) {
+    return badRequest(req, res, `cadence must be one of ${DIGEST_CADENCES.join(', ')}`, 'DIGEST_CADENCE_INVALID');
+  }
+  const clientDate = requestClientDate(query.clientDate);
+  if (!clientDate) return badRequest(req, res, 'clientDate must be YYYY-MM-DD', 'DIGEST_DATE_INVALID');
+  const accountId = query.accountid ?? query.accountId;
+
+  try {
+    await assertAccountAccess(req.cashflowUser.id, accountId);
+    const built = await buildAccountDigest({
+      userId: req.cashflowUser.id,
+      accountId: String(accountId),
+      token: req.cashflowToken,
+      cadence,
+      clientDate,
+      requestId: req.id,
+    });
+    res.json({ success: true, digest: built.digest, markdown: built.markdown });
+  } catch (error) {
+    if (error instanceof AccountAccessError) {
+      return res.status(error.code === 'ACCOUNT_REQUIRED' ? 400 : 403).json({
+        success: false,
+        error: error.message,
+        code: error.code,
+        requestId: req.id,
+      });
+    }
+    console.error('Digests: preview failed:', error.message);
+    res.status(500).json({ success: false, error: 'Failed to build digest', requestId: req.id });
+  }
+};
@@ -0,0 +1,8 @@
+// controllers/metricsController.js
+const { renderMetrics } = require('../services/keaMetrics');
+
+// GET /metrics — Prometheus text exposition of the kea_chat_turn registry.
+exports.getMetrics = async (req, res) => {
+  res.set('Content-Type', 'text/plain; version=0.0.4; charset=utf-8');
+  res.status(200).send(renderMetrics());
+};
@@ -1,6 +1,7 @@
 // controllers/openaiController.js
 const redis = require('../services/redisService');
 const { queryAzureOpenAI, functionSchemas, filterFunctionSchemas } = require('../services/openaiService'); // must support tools
+const { LLM_CALL_SITES } = require('../services/llmProvider');
 const { functionMap } = require('../tools/functionMap'); // <-- use functionMap.js
 const contextCache = require('../services/contextCache.service'); // <-- use context cache service
 const moment = require('moment');
@@ -10,7 +11,7 @@ const crypto = require('crypto');
 // from the frontend's vendor-normalize.ts so categorization merges merchant
 // variants ("AMZN Mktp" / "Amazon.com", "COSTCO GAS #421" / "Costco gas") the
 // same way the Sankey / pivot views do — strengthening history matching.
-const { mergeVendorName } = require('../utils/vendorNormalize');
+const { mergeVendorName, merchantMatchKey } = require('../utils/vendorNormalize');
 const { frequencyLabel } = require('../utils/frequencyLabel');
 const { rangesFromClientDate } = require('../services/keaUpcomingPeriod');
 const {
@@ -23,7 +24,43 @@ const { assertAccountAccess } = require('../services/keaAccountAccess');
 const { invalidateSelectedAccountToolCache } = require('../services/keaAccountCache');
 const { compactSelectedAccount } = require('../services/keaAccountSnapshot');
 const { resolveKeaSelectedAccount } = require('../services/keaSelectedAccountResolve');
-const { routeCapability, applyContinuationPersistenceFromEvidence, mergeOpenSearchUiActions, applyInvitationLifecycle, applyRepeatWriteLifecycle, maybeSetAffordabilityInvitation, shouldSkipAzureForRoute, buildDeterministicAffirmativeText } = require('../services/keaCapabilityRouter');
+const { routeCapability, explainIntentRouting, applyContinuationPersistenceFromEvidence, mergeOpenSearchUiActions, applyInvitationLifecycle, applyRepeatWriteLifecycle, applyUndoLifecycle, maybeSetAffordabilityInvitation, shouldSkipAzureForRoute, buildDeterministicAffirmativeText } = require('../services/keaCapabilityRouter');
+const {
+  resolveLowConfidenceRoute,
+  routeConfidenceThreshold,
+  routeClassifierDeployment,
+  needsRouteClassifier,
+} = require('../services/keaRouteClassifier');
+const {
+  UNDO_UNAVAILABLE,
+  lastCommittedWrite,
+  deriveUndoOperation,
+  buildUndoDoneText,
+  undoUnavailableText,
+  executeUndoOperation,
+  claimUndoLock,
+} = require('../services/keaUndo');
+const {
+  applyStaleForecastLifecycle,
+  maybeSetStaleForecastOffer,
+  buildSeriesRemovalDoneText,
+  buildSeriesRemovalBlockedText,
+  subscriptionsUiAction,
+} = require('../services/keaSubscriptionAudit');
+const {
+  applyDebtPayoffLifecycle,
+  maybeSetDebtPaymentOffer,
+  buildDebtPaymentDoneText,
+  buildDebtSimulationDoneText,
+} = require('../services/keaDebtPayoff');
+const { recordWriteAudit, WRITE_AUDIT_OUTCOMES } = require('../services/keaWriteAudit');
+const { loadActiveRules, pickRuleCategory, learnCandidateRule } = require('../services/keaCategoryRules');
+const {
+  recordCategorizationServed,
+  rememberServedSuggestion,
+  takeServedSuggestion,
+  recordCategorizationFeedback,
+} = require('../services/keaCategorizationFeedback');
 const {
   syncConversationCapsule,
   capsuleTelemetryFields,
@@ -50,7 +87,7 @@ const {
   isSnapshotEvidenceRollbackActive,
 } = require('../services/keaEvidencePromptCutover');
 const { telemetryForNonCutoverTurn, emptyEvidenceTelemetry } = require('../services/keaEvidenceTelemetry');
-const { applyShadowResponseValidation } = require('../services/keaResponseValidationShadow');
+const { enforceResponseValidation } = require('../services/keaResponseValidationEnforcement');
 const { allowedToolsFor } = require('../services/keaToolBundles');
 const {
   azureChatTimeoutMs,
@@ -58,7 +95,13 @@ const {
   trySendJson,
   shouldStartNewExpensiveWork,
 } = require('../services/keaRequestBudget');
-const { runChatAzureNarration, NON_MACRO_AZURE_ERROR } = require('../services/keaAzureChat');
+const {
+  callAzureOnce,
+  runChatAzureNarration,
+  groundedMacroFallback,
+  NON_MACRO_AZURE_ERROR,
+} = require('../services/keaAzureChat');
+const { wantsEventStream, createChatEventStream } = require('../services/keaChatStream');
 const MEMORY_TTL = 604800; // 1 week
 const MAX_MEMORY = 20; // verbatim conversation window (older turns are folded into a rolling summary)
 const MAX_MESSAGE_LENGTH = 20000; // increased limit for individual message length
@@ -108,6 +151,10 @@ const GOAL_WRITE_TOOLS = new Set(['createGoal', 'updateGoal', 'deleteGoal']);
 const DRAFT_TOOL = 'updateDraftTransaction';
 // Non-writing tool that stages/refines draft goal slots (separate from transactions).
 const GOAL_DRAFT_TOOL = 'updateDraftGoal';
+// Category budgets (services/keaBudgets.js): same propose→confirm contract,
+// armed only by an explicit pendingBudgetConfirmation.
+const BUDGET_WRITE_TOOLS = new Set(['setBudget', 'deleteBudget']);
+const BUDGET_DRAFT_TOOL = 'updateDraftBudget';
 // Non-writing tool the model calls when it judges the user's latest message to
 // confirm the pending proposal. This is the PRIMARY confirmation signal for
 // the write gate (the isAffirmativeMessage regex remains as a fallback).
@@ -146,7 +193,7 @@ const UI_DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
 // While the client is in Simulation Mode, ALL real writes are refused in code
 // (deleteTransaction included — it isn't in WRITE_TOOLS' confirm gate but it
 // still mutates real data). The model is redirected to the propose tools.
-const SIM_BLOCKED_WRITE_TOOLS = new Set(['createTransaction', 'updateTransaction', 'deleteTransaction', 'createGoal', 'updateGoal', 'deleteGoal']);
+const SIM_BLOCKED_WRITE_TOOLS = new Set(['createTransaction', 'updateTransaction', 'deleteTransaction', 'createGoal', 'updateGoal', 'deleteGoal', 'setBudget', 'deleteBudget']);
 // Short TTL: the cache key is now a hash of the exact prompt (see
 // buildSummarizationCacheKeyFromContent), so identical inputs are the only way
 // to hit the cache. A short TTL is a secondary safety net that bounds how long
@@ -1426,6 +1473,8 @@ function emptyDialogueState() {
     pendingGoalConfirmation: false,
     goalNeedsReconfirm: false,
     goalIntent: null,
+    draftBudget: {},
+    pendingBudgetConfirmation: false,
     committed: false,
     lastCommitSignature: null,
     // Rolling log of writes committed this session ({ action, transaction_id,
@@ -1434,6 +1483,23 @@ function emptyDialogueState() {
     // just created" resolves to a real id without a lookup (tool results are
     // NOT kept in conversation history, so this is the only survivor).
     recentWrites: [],
+    // Inverse of the last write staged by "undo that" ({ kind, tool, args,
+    // target, writeAt }); runs on the next confirmation (services/keaUndo.js).
+    pendingUndo: null,
+    // Subscription-audit offer to remove stale scheduled series ({ accountId,
+    // targets }) and, once accepted, the staged group delete ({ kind, tool,
+    // args, target, accountId }) that runs on the next confirmation
+    // (services/keaSubscriptionAudit.js).
+    staleForecastOffer: null,
+    pendingSeriesRemoval: null,
+    // Debt payoff planner (services/keaDebtPayoff.js): the debts and extra
+    // payment of the last plan, the extra-payment series it offered
+    // ({ accountId, label, amount, start, strategy, simulationAvailable }),
+    // and, once accepted as a real series, the staged createTransaction that
+    // runs on the next confirmation.
+    debtPlan: null,
+    debtPaymentOffer: null,
+    pendingDebtPayment: null,
     // Compact summaries of recent tool outcomes (reads + writes + previews)
     // for deixis across turns — not full payloads.
     recentToolOutcomes: [],
@@ -1450,6 +1516,7 @@ function emptyDialogueState() {
     lastPurchaseDateAssumption: null,
     lastPurchaseDateAssumptionText: null,
     lastAccountId: null,
+    lastAccountScope: null,
     lastComparison: null,
     lastTrend: null,
     lastRecurring: null,
@@ -1687,10 +1754,15 @@ function applyPendingWriteTopicSwitch(dialogueState, route, { pendingArmedAtStar
     if (suspended) return { reason: 'none', switched: false };
     return { reason: 'confirmation', switched: false };
   }
-  if (pendingArmedAtStart && WRITE_ROUTE_CAPS.has(route && route.capability)) {
+  const budgetAmendment = !!route && route.pendingType === 'budget' && route.capability === 'cashflow_budget';
+  if (pendingArmedAtStart && (WRITE_ROUTE_CAPS.has(route && route.capability) || budgetAmendment)) {
     if (route.capability === 'confirmation') return { reason: 'confirmation', switched: false };
     return { reason: 'amendment', switched: false };
   }
+  if (pendingArmedAtStart && route && route.pendingType === 'budget') {
+    dialogueState.pendingBudgetConfirmation = false;
+    return { reason: 'topic_switch', switched: true };
+  }
   if (pendingArmedAtStart && route && route.pendingType && !WRITE_ROUTE_CAPS.has(route.capability)) {
     dialogueState.pendingConfirmation = false;
     dialogueState.needsReconfirm = true;
@@ -2407,8 +2479,12 @@ function buildDialogueStateBlock(state, { omitUiReferent } = {}) {
   const hasGoalDraft = goalDraft && Object.keys(goalDraft).some(
     (k) => goalDraft[k] !== undefined && goalDraft[k] !== null && String(goalDraft[k]).trim() !== ''
   );
+  const budgetDraft = state.draftBudget || {};
+  const hasBudgetDraft = budgetDraft && Object.keys(budgetDraft).some(
+    (k) => budgetDraft[k] !== undefined && budgetDraft[k] !== null && String(budgetDraft[k]).trim() !== ''
+  );
   const uiRefLine = omitUiReferent ? '' : formatUiReferentLine(state.uiReferent);
-  if (!state.intent && !state.goalIntent && !hasDraft && !hasGoalDraft && !uiRefLine) return '';
+  if (!state.intent && !state.goalIntent && !hasDraft && !hasGoalDraft && !hasBudgetDraft && !uiRefLine) return '';
 
   const lines = ['DIALOGUE STATE (background — an in-progress action / last UI referent, NOT a message from the user):'];
   if (state.intent) lines.push(`- intent: ${state.intent}`);
@@ -2431,11 +2507,21 @@ function buildDialogueStateBlock(state, { omitUiReferent } = {}) {
     const missing = computeGoalDraftMissingFields(goalDraft);
     if (missing.length) lines.push(`- goal missing/uncertain: ${missing.join(', ')}`);
   }
+  if (hasBudgetDraft) {
+    const slotStr = ['action', 'category', 'monthly_limit', 'budget_id']
+      .filter((k) => budgetDraft[k] !== undefined && budgetDraft[k] !== null && String(budgetDraft[k]).trim() !== '')
+      .map((k) => `${k}=${budgetDraft[k]}`)
+      .join(', ');
+    lines.push(`- draft budget: ${slotStr}`);
+  }
   if (uiRefLine) {
     lines.push(`- last uiReferent (use for "that"/"it"/"this" when ON-SCREEN focusedEntity is empty): ${uiRefLine}`);
   }
   lines.push(`- awaiting transaction confirmation: ${state.pendingConfirmation ? 'yes' : 'no'}`);
   lines.push(`- awaiting goal confirmation: ${state.pendingGoalConfirmation ? 'yes' : 'no'}`);
+  if (hasBudgetDraft) {
+    lines.push(`- awaiting budget confirmation: ${state.pendingBudgetConfirmation ? 'yes' : 'no'}`);
+  }
   lines.push(
     'Guidance: refine transaction slots with updateDraftTransaction; refine goal slots with updateDraftGoal. Propose a SINGLE concrete amount and ask the user to confirm. Only after the user confirms on a later turn should you call the matching write tool. Transaction and goal drafts are independent — do not use one to unlock the other. For deixis, prefer current ON-SCREEN focusedEntity over last uiReferent.'
   );
@@ -2516,7 +2602,7 @@ async function refreshRollingSummary({
   }
   if (telemetry && typeof telemetry.markStart === 'function') telemetry.markStart('summary_update');
   try {
-    const newSummary = await generate(rollingSummary, overflowTurns);
+    const newSummary = await generate(rollingSummary, overflowTurns, { userId });
     if (newSummary && newSummary !== rollingSummary) {
       await redisClient.set(buildSummaryKey(userId), newSummary, 'EX', SUMMARY_TTL);
       if (telemetry && typeof telemetry.setRollingSummaryMeta === 'function') {
@@ -2538,7 +2624,7 @@ async function refreshRollingSummary({
 // Merge the prior summary with the turns that fell out of the verbatim window
 // into an updated compact summary. Throws on Azure failure so the post-response
 // wrapper can set summary_failed without sending a second HTTP body.
-async function generateRollingSummary(prevSummary, overflowTurns) {
+async function generateRollingSummary(prevSummary, overflowTurns, { userId } = {}) {
   if (!Array.isArray(overflowTurns) || overflowTurns.length === 0) return prevSummary || '';
   const convoText = overflowTurns
     .map((m) => `${m.role}: ${String(m.content || '').replace(/\s+/g, ' ').slice(0, 500)}`)
@@ -2547,7 +2633,13 @@ async function generateRollingSummary(prevSummary, overflowTurns) {
   const usr = `PRIOR SUMMARY:\n${prevSummary || '(none)'}\n\nNEW TURNS:\n${convoText}\n\nUpdated summary:`;
   const resp = await queryAzureOpenAI(
     [{ role: 'system', content: sys }, { role: 'user', content: usr }],
-    { tool_choice: 'none', temperature: 0.2, max_tokens: 320 }
+    {
+      tool_choice: 'none',
+      temperature: 0.2,
+      max_tokens: 320,
+      callSite: LLM_CALL_SITES.ROLLING_SUMMARY,
+      usageUserId: userId != null ? userId : null,
+    }
   );
   const out = resp?.choices?.[0]?.message?.content || '';
   return truncateText(out.trim(), SUMMARY_MAX_CHARS) || (prevSummary || '');
@@ -2619,6 +2711,258 @@ function redactChatBodyForLog(body) {
   };
 }
 
+// Id of the user message that confirmed this turn's writes: the client's
+// optional body.messageId, else this request's id.
+function clientMessageId(req) {
+  const raw = req.body ? req.body.messageId : null;
+  if (typeof raw === 'string' && raw.trim() && raw.length <= 128) return raw.trim();
+  return req.id ?? null;
+}
+
+// Durable row in kea_write_audit (services/keaWriteAudit.js) for one gated
+// write attempt. Fire-and-forget: the [write-audit] console lines stay the
+// live trail, this is what support queries later.
+function auditWrite(ctx, tool, args, outcome, { result, reason, source } = {}) {
+  recordWriteAudit({
+    requestId: ctx.requestId,
+    userId: ctx.userId,
+    accountId: ctx.accountId,
+    confirmationMessageId: ctx.confirmationMessageId,
+    tool,
+    args,
+    result,
+    outcome,
+    reason,
+    source,
+  });
+}
+
+// Pre-commit guard for the deterministic write paths (undo, stale-series
+// removal, debt payment). They call the tool layer directly, outside
+// executeToolCalls, so its Simulation Mode block never sees them; each one
+// asks here first. Returns the block reason (audited) or null.
+function deterministicWriteBlockReason(tool, args, ctx, { source } = {}) {
+  if (ctx.simulationMode !== true || !SIM_BLOCKED_WRITE_TOOLS.has(tool)) return null;
+  console.log(`[write-audit] ${source} tool=${tool} blocked=simulation_mode_active user=${ctx.userId} account=${ctx.accountId}`);
+  auditWrite(ctx, tool, args, WRITE_AUDIT_OUTCOMES.BLOCKED, { reason: 'simulation_mode_active', source });
+  return 'simulation_mode_active';
+}
+
+// Reply shape for a deterministic confirmation turn (no Azure round).
+function deterministicWriteResult(content, { writes = [], blocked = [], mode }) {
+  return { content, raw: null, simOps: [], uiActions: [], writes, blocked, writeResponseMode: mode };
+}
+
+// Flag the commit on the turn as soon as the tool returns, so the
+// Idempotency-Key claim keeps it even if the turn then fails or the client
+// goes away before the reply is built (middleware/chatIdempotency.js).
+function markWriteCommitted(state, ctx) {
+  state.committed = true;
+  if (ctx && ctx.telemetry) ctx.telemetry.recordWriteFlags({ write_committed: true });
+}
+
+// Commit one staged tool call for a deterministic confirmation turn
+// (stale-series removal, debt payment) with the model-driven gate's
+// bookkeeping: Simulation Mode guard, duplicate signature (only when
+// texts.duplicate is given), write audit, recent-write record and tool-cache
+// invalidation. record(result) builds the recentWrites entry; modes are
+// `${mode}_commit|_duplicate|_simulation_blocked|_failed`. Never throws.
+async function commitDeterministicWrite(state, ctx, { tool, args, signature, record, source, mode, texts }) {
+  const blockedReason = deterministicWriteBlockReason(tool, args, ctx, { source });
+  if (blockedReason) {
+    return deterministicWriteResult(texts.blocked, {
+      blocked: [{ tool, reason: blockedReason }],
+      mode: `${mode}_simulation_blocked`,
+    });
+  }
+  if (texts.duplicate && signature && signature === state.lastCommitSignature) {
+    auditWrite(ctx, tool, args, WRITE_AUDIT_OUTCOMES.DUPLICATE, { reason: 'same_signature', source });
+    return deterministicWriteResult(texts.duplicate, { mode: `${mode}_duplicate` });
+  }
+  const map = ctx.functionMap && typeof ctx.functionMap[tool] === 'function' ? ctx.functionMap : functionMap;
+  console.log(`[write-audit] ${source} tool=${tool} user=${ctx.userId} account=${ctx.accountId} args=${JSON.stringify(args)}`);
+  if (ctx.telemetry) ctx.telemetry.recordWriteFlags({ write_attempted: true });
+  try {
+    const result = await map[tool](args, ctx);
+    state.lastCommitSignature = signature;
+    markWriteCommitted(state, ctx);
+    const writeRecord = record(result);
+    auditWrite(ctx, tool, args, WRITE_AUDIT_OUTCOMES.COMMITTED, { result, source });
+    recordRecentWrite(state, writeRecord);
+    await invalidateSelectedAccountToolCache(ctx.userId, ctx.accountId, {
+      reason: 'write_commit',
+      requestId: ctx.requestId,
+    });
+    return deterministicWriteResult(texts.done, { writes: [writeRecord], mode: `${mode}_commit` });
+  } catch (err) {
+    console.warn(`[write-audit] ${source} ${tool} failed user=${ctx.userId}:`, err?.message);
+    auditWrite(ctx, tool, args, WRITE_AUDIT_OUTCOMES.FAILED, { reason: err?.message, source });
+    return deterministicWriteResult(texts.failed, {
+      blocked: [{ tool, reason: 'execution_failed' }],
+      mode: `${mode}_failed`,
+    });
+  }
+}
+
+// Run an "undo that" inverse (services/keaUndo.js) through the tool layer and
+// record it like any other committed write. Shared by the chat confirmation
+// turn and POST /api/agent/undo. Never throws.
+async function runUndoOperation(state, op, ctx) {
+  const blockedReason = deterministicWriteBlockReason(op.tool, op.args, ctx, { source: 'undo' });
+  if (blockedReason) {
+    return { ok: false, blocked: blockedReason, content: undoUnavailableText(UNDO_UNAVAILABLE.SIMULATION_MODE) };
+  }
+  const map = ctx.functionMap && typeof ctx.functionMap[op.tool] === 'function' ? ctx.functionMap : functionMap;
+  console.log(`[write-audit] undo kind=${op.kind} tool=${op.tool} user=${ctx.userId} account=${ctx.accountId} args=${JSON.stringify(op.args)}`);
+  if (ctx.telemetry) ctx.telemetry.recordWriteFlags({ write_attempted: true });
+  try {
+    const record = await executeUndoOperation(op, ctx, { functionMap: map });
+    record.account_id = ctx.accountId ?? null;
+    auditWrite(ctx, op.tool, op.args, WRITE_AUDIT_OUTCOMES.COMMITTED, { result: record, source: 'undo' });
+    markWriteCommitted(state, ctx);
+    state.lastCommitSignature = `undo|${record.undo_of}`;
+    recordRecentWrite(state, record);
+    await invalidateSelectedAccountToolCache(ctx.userId, ctx.accountId, {
+      reason: 'write_commit',
+      requestId: ctx.requestId,
+    });
+    return { ok: true, record, content: buildUndoDoneText(op) };
+  } catch (err) {
+    console.warn(`[write-audit] undo failed user=${ctx.userId} kind=${op.kind}:`, err?.message);
+    auditWrite(ctx, op.tool, op.args, WRITE_AUDIT_OUTCOMES.FAILED, { reason: err?.message, source: 'undo' });
+    return {
+      ok: false,
+      error: err?.message || err?.response?.data?.message || 'Undo failed',
+      content: 'I couldn\'t undo that change just now. Nothing else was changed — please try again in a moment.',
+    };
+  }
+}
+
+// Confirmation turn for a staged undo. The staged inverse only runs while the
+// write it targets is still the last one recorded.
+async function commitPendingUndo(state, ctx) {
+  const pending = state.pendingUndo;
+  state.pendingUndo = null;
+  state.pendingConfirmation = false;
+  state.intent = null;
+  const last = lastCommittedWrite(state);
+  const finish = deterministicWriteResult;
+  if (!pending || !last || (pending.writeAt && last.at !== pending.writeAt) || last.undo_of) {
+    return finish(undoUnavailableText(UNDO_UNAVAILABLE.STALE), {
+      blocked: [{ tool: pending ? pending.tool : 'undo', reason: 'undo_stale' }],
+      mode: 'undo_stale',
+    });
+  }
+  const outcome = await runUndoOperation(state, { ok: true, ...pending, write: last }, ctx);
+  if (outcome.ok) return finish(outcome.content, { writes: [outcome.record], mode: 'undo_commit' });
+  return outcome.blocked
+    ? finish(outcome.content, { blocked: [{ tool: pending.tool, reason: outcome.blocked }], mode: 'undo_simulation_blocked' })
+    : finish(outcome.content, { blocked: [{ tool: pending.tool, reason: 'execution_failed' }], mode: 'undo_failed' });
+}
+
+// Confirmation turn for a stale series removal staged from a subscription
+// audit: the group delete through commitDeterministicWrite.
+async function commitPendingSeriesRemoval(state, ctx) {
+  const pending = state.pendingSeriesRemoval;
+  state.pendingSeriesRemoval = null;
+  state.pendingConfirmation = false;
+  state.intent = null;
+  const title = pending && pending.target && pending.target.title ? pending.target.title : 'that';
+  if (!pending || !pending.args || !pending.args.groupid
+    || (pending.accountId != null && ctx.accountId != null && String(pending.accountId) !== String(ctx.accountId))) {
+    return deterministicWriteResult('I no longer have that forecast on hand. Ask me to audit your subscriptions again and I can offer it.', {
+      blocked: [{ tool: 'deleteTransaction', reason: 'series_removal_stale' }],
+      mode: 'series_removal_stale',
+    });
+  }
+  const args = { ...pending.args };
+  return commitDeterministicWrite(state, ctx, {
+    tool: 'deleteTransaction',
+    args,
+    signature: ['delete', 'group', '', String(args.groupid)].join('|'),
+    source: 'stale_forecast',
+    mode: 'series_removal',
+    record: (result) => ({
+      action: 'delete',
+      transaction_id: null,
+      group_id: result?.group_id ?? args.groupid,
+      title: args.title ?? null,
+      start: null,
+      scope: 'group',
+      account_id: ctx.accountId ?? null,
+    }),
+    texts: {
+      done: buildSeriesRemovalDoneText(pending),
+      duplicate: `The scheduled ${title} series was already removed from your forecast.`,
+      blocked: buildSeriesRemovalBlockedText(pending),
+      failed: 'I couldn\'t remove that series just now. Nothing was changed — please try again in a moment.',
+    },
+  });
+}
+
+// Confirmation turn for an extra debt payment staged from a payoff plan: the
+// monthly series through commitDeterministicWrite. In Simulation Mode the
+// staged series goes to the simulation overlay instead of the forecast.
+async function commitPendingDebtPayment(state, ctx) {
+  const pending = state.pendingDebtPayment;
+  state.pendingDebtPayment = null;
+  state.pendingConfirmation = false;
+  state.intent = null;
+  if (!pending || !pending.args || !(Number(pending.args.amount) > 0)
+    || (pending.accountId != null && ctx.accountId != null && String(pending.accountId) !== String(ctx.accountId))) {
+    return deterministicWriteResult('I no longer have that payment plan on hand. Ask me for a debt payoff plan again and I can offer it.', {
+      blocked: [{ tool: 'createTransaction', reason: 'debt_payment_stale' }],
+      mode: 'debt_payment_stale',
+    });
+  }
+  const args = { ...pending.args };
+  if (ctx.simulationMode === true) {
+    const simulated = await runDebtPaymentSimulation(args, ctx);
+    return { ...simulated, writes: [], blocked: [], writeResponseMode: 'debt_payment_simulated' };
+  }
+  return commitDeterministicWrite(state, ctx, {
+    tool: 'createTransaction',
+    args,
+    signature: draftSignature(args),
+    source: 'debt_payoff',
+    mode: 'debt_payment',
+    record: (result) => ({
+      action: 'create',
+      transaction_id: result?.transaction_id ?? null,
+      group_id: result?.group_id ?? null,
+      title: result?.title ?? args.title,
+      amount: result?.amount ?? args.amount,
+      type: result?.type ?? args.type,
+      category: result?.category ?? args.category ?? null,
+      frequency: result?.frequency ?? args.frequency,
+      start: result?.start ?? args.start ?? null,
+      account_id: ctx.accountId ?? null,
+    }),
+    texts: {
+      done: buildDebtPaymentDoneText(pending),
+      blocked: 'You\'re in Simulation Mode, so I didn\'t add a real payment. Ask me to simulate it instead.',
+      failed: 'I couldn\'t add that payment just now. Nothing was changed — please try again in a moment.',
+    },
+  });
+}
+
+// "Simulate it" on a debt payoff offer (or a confirmation in Simulation
+// Mode): stage the payment series in the simulation overlay. Nothing is
+// written, so no confirmation turn.
+async function runDebtPaymentSimulation(args, ctx) {
+  const done = (content, simOps = []) => ({ content, raw: null, simOps, uiActions: [] });
+  if (!args) return done('I no longer have that payment plan on hand. Ask me for a debt payoff plan again and I can offer it.');
+  const map = ctx.functionMap && typeof ctx.functionMap.proposeSimulationAdd === 'function' ? ctx.functionMap : functionMap;
+  try {
+    const result = await map.proposeSimulationAdd({ ...args }, ctx);
+    if (!result || !result.simOp) throw new Error((result && result.error) || 'no simulation op');
+    return done(buildDebtSimulationDoneText({ args }), [result.simOp]);
+  } catch (err) {
+    console.warn(`Debt payment simulation failed user=${ctx.userId}:`, err?.message);
+    return done('I couldn\'t stage that simulation just now. Nothing was changed — please try again in a moment.');
+  }
+}
+
 async function executeToolCalls(originalMessages, toolCalls, ctx) {
   // Multi-round loop: the model may read data, refine the draft, then act within
   // a single user turn. Bounded by MAX_TOOL_ROUNDS to keep latency/tokens sane.
@@ -2649,10 +2993,17 @@ async function executeToolCalls(originalMessages, toolCalls, ctx) {
 
   // Execute one batch of tool calls, applying dialogue-state handling + the
   // code-enforced write gate. Returns matching assistant/tool protocol messages.
-  const runBatch = async (batch) => {
+  const runBatch = async (batch, round) => {
     const toolResults = [];
+    // SSE mode mirrors each tool call as tool_start / tool_finish events.
+    // Every branch below records exactly one result per call through here.
+    const pushToolResult = (tr) => {
+      toolResults.push(tr);
+      if (ctx.stream) ctx.stream.toolFinish({ name: tr.name, round, callId: tr.id, content: tr.content });
+    };
     for (const toolCall of batch) {
       const { name, arguments: argsJson } = toolCall.function || {};
+      if (ctx.stream) ctx.stream.toolStart({ name, round, callId: toolCall.id });
       let args = {};
       try { args = argsJson ? JSON.parse(argsJson) : {}; } catch { args = {}; }
       args = injectTrustedIdentity(args, ctx);
@@ -2661,7 +3012,7 @@ async function executeToolCalls(originalMessages, toolCalls, ctx) {
       if (name === DRAFT_TOOL) {
         draftUpdates++;
         if (draftUpdates > MAX_DRAFT_UPDATES_PER_TURN) {
-          toolResults.push({ id: toolCall.id, name, content: JSON.stringify({ error: 'Draft already refined several times this turn; proceed to propose/confirm or ask the user.' }) });
+          pushToolResult({ id: toolCall.id, name, content: JSON.stringify({ error: 'Draft already refined several times this turn; proceed to propose/confirm or ask the user.' }) });
           continue;
         }
         const incoming = { ...args };
@@ -2683,9 +3034,10 @@ async function executeToolCalls(originalMessages, toolCalls, ctx) {
           state.needsReconfirm = false;
           // Isolating: a transaction proposal clears any pending goal confirm.
           state.pendingGoalConfirmation = false;
+          state.pendingBudgetConfirmation = false;
         }
         const missing = computeDraftMissingFields(state.draftTransaction);
-        toolResults.push({ id: toolCall.id, name, content: JSON.stringify({
+        pushToolResult({ id: toolCall.id, name, content: JSON.stringify({
           ok: true,
           draft: state.draftTransaction,
           intent: state.intent,
@@ -2702,7 +3054,7 @@ async function executeToolCalls(originalMessages, toolCalls, ctx) {
       if (name === GOAL_DRAFT_TOOL) {
         draftUpdates++;
         if (draftUpdates > MAX_DRAFT_UPDATES_PER_TURN) {
-          toolResults.push({ id: toolCall.id, name, content: JSON.stringify({ error: 'Draft already refined several times this turn; proceed to propose/confirm or ask the user.' }) });
+          pushToolResult({ id: toolCall.id, name, content: JSON.stringify({ error: 'Draft already refined several times this turn; proceed to propose/confirm or ask the user.' }) });
           continue;
         }
         if (!state.draftGoal || typeof state.draftGoal !== 'object') state.draftGoal = {};
@@ -2719,9 +3071,10 @@ async function executeToolCalls(originalMessages, toolCalls, ctx) {
           state.goalNeedsReconfirm = false;
           // Isolating: a goal proposal clears any pending transaction confirm.
           state.pendingConfirmation = false;
+          state.pendingBudgetConfirmation = false;
         }
         const missing = computeGoalDraftMissingFields(state.draftGoal);
-        toolResults.push({ id: toolCall.id, name, content: JSON.stringify({
+        pushToolResult({ id: toolCall.id, name, content: JSON.stringify({
           ok: true,
           draft: state.draftGoal,
           intent: state.goalIntent,
@@ -2734,6 +3087,40 @@ async function executeToolCalls(originalMessages, toolCalls, ctx) {
         continue;
       }
 
+      // ── Non-writing budget draft tool: merge slots into dialogue state ───
+      if (name === BUDGET_DRAFT_TOOL) {
+        draftUpdates++;
+        if (draftUpdates > MAX_DRAFT_UPDATES_PER_TURN) {
+          pushToolResult({ id: toolCall.id, name, content: JSON.stringify({ error: 'Draft already refined several times this turn; proceed to propose/confirm or ask the user.' }) });
+          continue;
+        }
+        if (!state.draftBudget || typeof state.draftBudget !== 'object') state.draftBudget = {};
+        const incoming = { ...args };
+        delete incoming.intent;
+        const proposed = incoming.pendingConfirmation === true; delete incoming.pendingConfirmation;
+        delete incoming.userId; delete incoming.accountId;
+        if (incoming.category) {
+          const snapped = snapCategory(incoming.category, ctx.categoryNames);
+          if (snapped) incoming.category = snapped;
+        }
+        for (const [k, v] of Object.entries(incoming)) {
+          if (v !== undefined && v !== null && String(v).trim() !== '') state.draftBudget[k] = v;
+        }
+        if (proposed) {
+          state.pendingBudgetConfirmation = true;
+          // Isolating: a budget proposal clears any pending tx / goal confirm.
+          state.pendingConfirmation = false;
+          state.pendingGoalConfirmation = false;
+        }
+        pushToolResult({ id: toolCall.id, name, content: JSON.stringify({
+          ok: true,
+          draft: state.draftBudget,
+          pendingConfirmation: state.pendingBudgetConfirmation,
+          note: 'Budget draft saved. Propose the exact category and monthly limit (or which budget to delete) and ask the user to confirm before setBudget/deleteBudget.'
+        }) });
+        continue;
+      }
+
       // ── Non-writing confirmation signal: the model judged the user's latest
       // message to confirm the pending proposal. This is the PRIMARY way the
       // write gate is armed — far more robust than the regex fallback, which
@@ -2747,6 +3134,7 @@ async function executeToolCalls(originalMessages, toolCalls, ctx) {
           ctx.pendingGoalConfirmationAtStart === true ||
           ctx.goalDraftCompleteAtStart === true ||
           ctx.goalProposalInTranscript === true;
+        const budgetProposalExists = ctx.pendingBudgetConfirmationAtStart === true;
         // The confirmation must resolve to concrete values from SOMEWHERE the
         // user actually saw: the staged draft, or values extractable from the
         // proposal message itself. Without either, a follow-up write would run
@@ -2760,9 +3148,21 @@ async function executeToolCalls(originalMessages, toolCalls, ctx) {
         const goalDraftHasSlots = GOAL_DRAFT_CORE_SLOTS.some(
           (k) => goalDraftObj[k] !== undefined && goalDraftObj[k] !== null && String(goalDraftObj[k]).trim() !== ''
         );
-        if (goalProposalExists && (goalDraftHasSlots || ctx.goalProposalInTranscript === true)) {
+        const budgetDraftObj = state.draftBudget || {};
+        const budgetDraftHasSlots = ['category', 'budget_id'].some(
+          (k) => budgetDraftObj[k] !== undefined && budgetDraftObj[k] !== null && String(budgetDraftObj[k]).trim() !== ''
+        );
+        if (budgetProposalExists && budgetDraftHasSlots) {
+          ctx.userAffirmative = true;
+          pushToolResult({ id: toolCall.id, name, content: JSON.stringify({
+            ok: true,
+            confirmed: true,
+            kind: 'budget',
+            message: 'Budget confirmation registered. Now call setBudget/deleteBudget with the EXACT values you proposed — do NOT re-estimate, and do not re-ask the user.'
+          }) });
+        } else if (goalProposalExists && (goalDraftHasSlots || ctx.goalProposalInTranscript === true)) {
           ctx.userAffirmative = true;
-          toolResults.push({ id: toolCall.id, name, content: JSON.stringify({
+          pushToolResult({ id: toolCall.id, name, content: JSON.stringify({
             ok: true,
             confirmed: true,
             kind: 'goal',
@@ -2770,26 +3170,32 @@ async function executeToolCalls(originalMessages, toolCalls, ctx) {
           }) });
         } else if (txProposalExists && (draftHasSlots || transcriptHasValues)) {
           ctx.userAffirmative = true;
-          toolResults.push({ id: toolCall.id, name, content: JSON.stringify({
+          pushToolResult({ id: toolCall.id, name, content: JSON.stringify({
             ok: true,
             confirmed: true,
             kind: 'transaction',
             message: 'Confirmation registered. Now call createTransaction (or updateTransaction) with the EXACT values you proposed to the user — same amount, same date, same category, same title. Do NOT re-estimate anything, and do not re-ask the user.'
           }) });
         } else if (goalProposalExists) {
-          toolResults.push({ id: toolCall.id, name, content: JSON.stringify({
+          pushToolResult({ id: toolCall.id, name, content: JSON.stringify({
             ok: false,
             confirmed: false,
             message: 'The proposed goal values were never staged. Call updateDraftGoal NOW with the exact values you proposed (title, target_amount, end_date, frequency), then call confirmTransaction again in the same turn.'
           }) });
+        } else if (budgetProposalExists) {
+          pushToolResult({ id: toolCall.id, name, content: JSON.stringify({
+            ok: false,
+            confirmed: false,
+            message: 'The proposed budget was never staged. Call updateDraftBudget NOW with the exact category and monthly_limit you proposed, then call confirmTransaction again in the same turn.'
+          }) });
         } else if (txProposalExists) {
-          toolResults.push({ id: toolCall.id, name, content: JSON.stringify({
+          pushToolResult({ id: toolCall.id, name, content: JSON.stringify({
             ok: false,
             confirmed: false,
             message: 'The proposed values were never staged and could not be recovered from the conversation. Call updateDraftTransaction NOW with the exact values you proposed (title, type, amount, category, start), then call confirmTransaction again in the same turn.'
           }) });
         } else {
-          toolResults.push({ id: toolCall.id, name, content: JSON.stringify({
+          pushToolResult({ id: toolCall.id, name, content: JSON.stringify({
             ok: false,
             confirmed: false,
             message: 'No pending proposal found to confirm. Propose the full transaction (updateDraftTransaction) or goal (updateDraftGoal) first, then ask the user to confirm on their next message.'
@@ -2808,7 +3214,7 @@ async function executeToolCalls(originalMessages, toolCalls, ctx) {
         if (startDate) action.startDate = startDate;
         if (endDate) action.endDate = endDate;
         uiActions.push(action);
-        toolResults.push({ id: toolCall.id, name, content: JSON.stringify({
+        pushToolResult({ id: toolCall.id, name, content: JSON.stringify({
           ok: true,
           opened: 'transaction_search',
           search_term: term || null,
@@ -2822,7 +3228,7 @@ async function executeToolCalls(originalMessages, toolCalls, ctx) {
       if (name === UI_CALENDAR_DAY_TOOL) {
         const date = typeof args.date === 'string' ? args.date.trim() : '';
         if (!UI_DATE_RE.test(date)) {
-          toolResults.push({ id: toolCall.id, name, content: JSON.stringify({
+          pushToolResult({ id: toolCall.id, name, content: JSON.stringify({
             ok: false,
             error: 'date_required',
             message: 'openCalendarDay requires date as YYYY-MM-DD.',
@@ -2830,7 +3236,7 @@ async function executeToolCalls(originalMessages, toolCalls, ctx) {
           continue;
         }
         uiActions.push({ type: 'open_calendar_day', date });
-        toolResults.push({ id: toolCall.id, name, content: JSON.stringify({
+        pushToolResult({ id: toolCall.id, name, content: JSON.stringify({
           ok: true,
           opened: 'calendar_day',
           date,
@@ -2845,7 +3251,7 @@ async function executeToolCalls(originalMessages, toolCalls, ctx) {
         const dateRaw = typeof args.date === 'string' ? args.date.trim() : '';
         const date = UI_DATE_RE.test(dateRaw) ? dateRaw : null;
         if (transactionId == null || String(transactionId).trim() === '') {
-          toolResults.push({ id: toolCall.id, name, content: JSON.stringify({
+          pushToolResult({ id: toolCall.id, name, content: JSON.stringify({
             ok: false,
             error: 'transactionId_required',
             message: 'highlightTransaction requires transactionId.',
@@ -2857,7 +3263,7 @@ async function executeToolCalls(originalMessages, toolCalls, ctx) {
           transactionId,
           date,
         });
-        toolResults.push({ id: toolCall.id, name, content: JSON.stringify({
+        pushToolResult({ id: toolCall.id, name, content: JSON.stringify({
           ok: true,
           opened: 'highlight_transaction',
           transactionId,
@@ -2871,18 +3277,22 @@ async function executeToolCalls(originalMessages, toolCalls, ctx) {
         let route = typeof args.route === 'string' ? args.route.trim() : '';
         if (!route.startsWith('/')) route = `/${route}`;
         if (!ALLOWED_UI_NAV_ROUTES.has(route)) {
-          toolResults.push({ id: toolCall.id, name, content: JSON.stringify({
+          pushToolResult({ id: toolCall.id, name, content: JSON.stringify({
             ok: false,
             error: 'route_not_allowed',
             message: `navigateTo only allows: ${[...ALLOWED_UI_NAV_ROUTES].join(', ')}`,
           }) });
           continue;
         }
-        uiActions.push({ type: 'navigate_to', route });
-        toolResults.push({ id: toolCall.id, name, content: JSON.stringify({
+        const highlight = route === '/subscriptions' && typeof args.highlight === 'string' && args.highlight.trim()
+          ? { label: args.highlight.trim().slice(0, 80) }
+          : null;
+        uiActions.push(highlight ? { type: 'navigate_to', route, highlight } : { type: 'navigate_to', route });
+        pushToolResult({ id: toolCall.id, name, content: JSON.stringify({
           ok: true,
           opened: 'navigate',
           route,
+          ...(highlight ? { highlight: highlight.label } : {}),
           note: `Navigating the user to ${route}. Briefly tell them you are taking them there — do NOT invent what is on that page.`
         }) });
         continue;
@@ -2906,7 +3316,7 @@ async function executeToolCalls(originalMessages, toolCalls, ctx) {
           if (byIndex && byIndex.id != null) {
             accountId = byIndex.id;
           } else {
-            toolResults.push({ id: toolCall.id, name, content: JSON.stringify({
+            pushToolResult({ id: toolCall.id, name, content: JSON.stringify({
               ok: false,
               error: 'account_number_out_of_range',
               message: `accountNumber ${accountNumber} is not in AVAILABLE ACCOUNTS (1..${avail.length}). Ask which account, or use a valid #index.`,
@@ -2920,7 +3330,7 @@ async function executeToolCalls(originalMessages, toolCalls, ctx) {
             : (args.accountid != null ? args.accountid : null);
           const idNum = Number(rawId);
           if (rawId == null || String(rawId).trim() === '' || !Number.isFinite(idNum) || idNum <= 0) {
-            toolResults.push({ id: toolCall.id, name, content: JSON.stringify({
+            pushToolResult({ id: toolCall.id, name, content: JSON.stringify({
               ok: false,
               error: 'invalid_account_id',
               message: 'selectAccount requires accountNumber (list position #N) or a positive accountId from AVAILABLE ACCOUNTS.',
@@ -2933,7 +3343,7 @@ async function executeToolCalls(originalMessages, toolCalls, ctx) {
         if (avail && avail.length > 0) {
           const allowed = avail.some((a) => a && Number(a.id) === Number(accountId));
           if (!allowed) {
-            toolResults.push({ id: toolCall.id, name, content: JSON.stringify({
+            pushToolResult({ id: toolCall.id, name, content: JSON.stringify({
               ok: false,
               error: 'account_not_in_list',
               message: 'That accountId is not in AVAILABLE ACCOUNTS. Use accountNumber for list position, or pick an id from the list.',
@@ -2950,7 +3360,7 @@ async function executeToolCalls(originalMessages, toolCalls, ctx) {
         if (accountNumber != null && accountNumber > 0) action.accountNumber = accountNumber;
         if (accountName) action.accountName = accountName;
         uiActions.push(action);
-        toolResults.push({ id: toolCall.id, name, content: JSON.stringify({
+        pushToolResult({ id: toolCall.id, name, content: JSON.stringify({
           ok: true,
           action: 'select_account',
           accountId,
@@ -2965,7 +3375,7 @@ async function executeToolCalls(originalMessages, toolCalls, ctx) {
         ? ctx.functionMap[name]
         : functionMap[name];
       if (!toolFn) {
-        toolResults.push({ id: toolCall.id, name, content: JSON.stringify({ error: `Unknown tool: ${name}` }) });
+        pushToolResult({ id: toolCall.id, name, content: JSON.stringify({ error: `Unknown tool: ${name}` }) });
         continue;
       }
 
@@ -2974,7 +3384,7 @@ async function executeToolCalls(originalMessages, toolCalls, ctx) {
           await assertAccountAccess(ctx.userId, args.accountId ?? ctx.accountId);
         } catch (err) {
           const code = err && err.code === 'ACCOUNT_REQUIRED' ? 'account_required' : 'access_denied';
-          toolResults.push({ id: toolCall.id, name, content: JSON.stringify({
+          pushToolResult({ id: toolCall.id, name, content: JSON.stringify({
             error: code,
             message: err?.message || 'Not allowed to access that account.',
           }) });
@@ -2993,7 +3403,7 @@ async function executeToolCalls(originalMessages, toolCalls, ctx) {
 
       // ── Simulation Mode: refuse ALL real writes; redirect to propose tools ──
       if (ctx.simulationMode === true && SIM_BLOCKED_WRITE_TOOLS.has(name)) {
-        toolResults.push({ id: toolCall.id, name, content: JSON.stringify({
+        pushToolResult({ id: toolCall.id, name, content: JSON.stringify({
           blocked: true,
           reason: 'simulation_mode_active',
           message: 'The user is in Simulation Mode — do NOT write real data. Stage this change with the matching simulation tool instead: proposeSimulationAdd for a new transaction, proposeSimulationModify to change an existing forecast, or proposeSimulationRemove to drop one. No confirmation turn is needed for simulation proposals.'
@@ -3015,7 +3425,8 @@ async function executeToolCalls(originalMessages, toolCalls, ctx) {
         const confirmed = proposedEarlier && ctx.userAffirmative === true;
         if (!confirmed) {
           blockedWrites.push({ tool: name, reason: 'confirmation_required' });
-          toolResults.push({ id: toolCall.id, name, content: JSON.stringify({
+          auditWrite(ctx, name, args, WRITE_AUDIT_OUTCOMES.BLOCKED, { reason: 'confirmation_required' });
+          pushToolResult({ id: toolCall.id, name, content: JSON.stringify({
             blocked: true,
             reason: 'confirmation_required',
             message: 'Do NOT write yet. First show the user the full proposed transaction (title, type, a SINGLE concrete amount, start date, category from their available categories, and frequency if recurring) and wait for them to explicitly confirm on their next message. Use updateDraftTransaction to stage the proposal.'
@@ -3033,7 +3444,8 @@ async function executeToolCalls(originalMessages, toolCalls, ctx) {
           state.intent = null;
           state.pendingConfirmation = false;
           blockedWrites.push({ tool: name, reason: 'stale_draft_mismatch' });
-          toolResults.push({ id: toolCall.id, name, content: JSON.stringify({
+          auditWrite(ctx, name, args, WRITE_AUDIT_OUTCOMES.BLOCKED, { reason: 'stale_draft_mismatch' });
+          pushToolResult({ id: toolCall.id, name, content: JSON.stringify({
             blocked: true,
             reason: 'stale_draft_mismatch',
             message: 'A leftover draft from an earlier topic did not match this request, so it was discarded. Re-propose THIS transaction to the user (updateDraftTransaction with a SINGLE concrete amount) and wait for them to explicitly confirm on their next message before creating it.'
@@ -3083,7 +3495,8 @@ async function executeToolCalls(originalMessages, toolCalls, ctx) {
           if (!matchesProposal) {
             console.warn(`[write-audit] AMOUNT MISMATCH BLOCKED user=${ctx.userId} tool=${name} finalAmount=${finalAmount} proposedAmounts=${JSON.stringify(proposedAmounts)}`);
             blockedWrites.push({ tool: name, reason: 'amount_mismatch_with_proposal' });
-            toolResults.push({ id: toolCall.id, name, content: JSON.stringify({
+            auditWrite(ctx, name, effectiveArgs, WRITE_AUDIT_OUTCOMES.BLOCKED, { reason: 'amount_mismatch_with_proposal' });
+            pushToolResult({ id: toolCall.id, name, content: JSON.stringify({
               blocked: true,
               reason: 'amount_mismatch_with_proposal',
               message: `The amount you passed (${finalAmount}) does not match any amount from your own proposal (${proposedAmounts.map((p) => '$' + p).join(', ')}). Never re-estimate on the confirmation turn. Call ${name} again using the EXACT amount, date, and category from your previous proposal message.`
@@ -3120,7 +3533,8 @@ async function executeToolCalls(originalMessages, toolCalls, ctx) {
             state.needsReconfirm = false;
             state.intent = null;
           }
-          toolResults.push({ id: toolCall.id, name, content: JSON.stringify({
+          auditWrite(ctx, name, effectiveArgs, WRITE_AUDIT_OUTCOMES.DUPLICATE, { reason: 'same_signature' });
+          pushToolResult({ id: toolCall.id, name, content: JSON.stringify({
             duplicate: true,
             message: 'That transaction was just created; not creating it again.'
           }) });
@@ -3148,7 +3562,7 @@ async function executeToolCalls(originalMessages, toolCalls, ctx) {
           // Mark committed + clear the draft so a re-called round can't refire.
           state.lastCommitSignature = sig;
           if (isCreate && sig) committedSignaturesThisTurn.add(sig);
-          state.committed = true;
+          markWriteCommitted(state, ctx);
           state.pendingConfirmation = false;
           state.draftTransaction = {};
           state.intent = null;
@@ -3164,8 +3578,12 @@ async function executeToolCalls(originalMessages, toolCalls, ctx) {
             category: wroteCategory,
             frequency: wroteFreq,
             start: result?.start ?? effectiveArgs.start ?? null,
+            account_id: ctx.accountId ?? null,
+            // Row as it was before an update, so "undo that" can restore it.
+            ...(result?.before ? { before: result.before } : {}),
           };
           committedWrites.push(writeRecord);
+          auditWrite(ctx, name, effectiveArgs, WRITE_AUDIT_OUTCOMES.COMMITTED, { result });
           if (writeRecord.action === 'create') {
             createMeta.push({
               write: writeRecord,
@@ -3187,10 +3605,11 @@ async function executeToolCalls(originalMessages, toolCalls, ctx) {
               requestId: ctx.requestId,
             });
           }
-          toolResults.push({ id: toolCall.id, name, content: toolContent });
+          pushToolResult({ id: toolCall.id, name, content: toolContent });
         } catch (err) {
           blockedWrites.push({ tool: name, reason: 'execution_failed' });
-          toolResults.push({ id: toolCall.id, name, content: JSON.stringify({ error: err?.message || 'Tool execution failed' }) });
+          auditWrite(ctx, name, effectiveArgs, WRITE_AUDIT_OUTCOMES.FAILED, { reason: err?.message || 'execution_failed' });
+          pushToolResult({ id: toolCall.id, name, content: JSON.stringify({ error: err?.message || 'Tool execution failed' }) });
         }
         continue;
       }
@@ -3201,7 +3620,8 @@ async function executeToolCalls(originalMessages, toolCalls, ctx) {
       if (GOAL_WRITE_TOOLS.has(name)) {
         if (ctx.goalsAvailable === false) {
           blockedWrites.push({ tool: name, reason: 'goals_not_available' });
-          toolResults.push({ id: toolCall.id, name, content: JSON.stringify({
+          auditWrite(ctx, name, args, WRITE_AUDIT_OUTCOMES.BLOCKED, { reason: 'goals_not_available' });
+          pushToolResult({ id: toolCall.id, name, content: JSON.stringify({
             blocked: true,
             reason: 'goals_not_available',
             message: 'This user\'s plan does not include Goals (or their goal quota is reached). Do not offer to create/update/delete goals. Instead, lay out the savings plan in prose (per-period amount and timeline) and suggest they can track it manually or upgrade to use Goals.'
@@ -3215,7 +3635,8 @@ async function executeToolCalls(originalMessages, toolCalls, ctx) {
         const confirmed = proposedEarlier && ctx.userAffirmative === true;
         if (!confirmed) {
           blockedWrites.push({ tool: name, reason: 'confirmation_required' });
-          toolResults.push({ id: toolCall.id, name, content: JSON.stringify({
+          auditWrite(ctx, name, args, WRITE_AUDIT_OUTCOMES.BLOCKED, { reason: 'confirmation_required' });
+          pushToolResult({ id: toolCall.id, name, content: JSON.stringify({
             blocked: true,
             reason: 'confirmation_required',
             message: 'Do NOT write yet. First show the user the full proposed goal (title, target amount, deadline, cadence, and the per-contribution amount from previewGoalCadence), stage it with updateDraftGoal (pendingConfirmation:true), and wait for them to explicitly confirm on their next message.'
@@ -3225,7 +3646,8 @@ async function executeToolCalls(originalMessages, toolCalls, ctx) {
         // Idempotency within the turn/session (mirrors the transaction guard).
         const goalSig = ['goal', name, String(args.goalid || ''), String(args.title || '').trim().toLowerCase(), String(args.target_amount || ''), String(args.end_date || '')].join('|');
         if (state.lastCommitSignature && goalSig === state.lastCommitSignature) {
-          toolResults.push({ id: toolCall.id, name, content: JSON.stringify({
+          auditWrite(ctx, name, args, WRITE_AUDIT_OUTCOMES.DUPLICATE, { reason: 'same_signature' });
+          pushToolResult({ id: toolCall.id, name, content: JSON.stringify({
             duplicate: true,
             message: 'That goal change was just made; not repeating it.'
           }) });
@@ -3235,7 +3657,7 @@ async function executeToolCalls(originalMessages, toolCalls, ctx) {
         try {
           const result = await timedToolFn(args, ctx);
           state.lastCommitSignature = goalSig;
-          state.committed = true;
+          markWriteCommitted(state, ctx);
           state.pendingGoalConfirmation = false;
           state.draftGoal = {};
           state.goalIntent = null;
@@ -3246,8 +3668,10 @@ async function executeToolCalls(originalMessages, toolCalls, ctx) {
             goal_id: result?.goal_id ?? args.goalid ?? null,
             title: result?.title ?? args.title ?? null,
             start: result?.start_date ?? null,
+            account_id: ctx.accountId ?? null,
           };
           committedWrites.push(goalRecord);
+          auditWrite(ctx, name, args, WRITE_AUDIT_OUTCOMES.COMMITTED, { result });
           recordRecentWrite(state, goalRecord);
           await invalidateSelectedAccountToolCache(ctx.userId, ctx.accountId, {
             reason: 'write_commit',
@@ -3255,10 +3679,60 @@ async function executeToolCalls(originalMessages, toolCalls, ctx) {
           });
           let toolContent = JSON.stringify(result ?? {});
           if (toolContent.length > 13000) toolContent = toolContent.substring(0, 13000) + '..."_truncated":true}';
-          toolResults.push({ id: toolCall.id, name, content: toolContent });
+          pushToolResult({ id: toolCall.id, name, content: toolContent });
+        } catch (err) {
+          blockedWrites.push({ tool: name, reason: 'execution_failed' });
+          auditWrite(ctx, name, args, WRITE_AUDIT_OUTCOMES.FAILED, { reason: err?.message || 'execution_failed' });
+          pushToolResult({ id: toolCall.id, name, content: JSON.stringify({ error: err?.message || err?.response?.data?.message || 'Goal tool execution failed' }) });
+        }
+        continue;
+      }
+
+      // ── Budget write gate (setBudget / deleteBudget) ─────────────────────
+      if (BUDGET_WRITE_TOOLS.has(name)) {
+        const confirmed = ctx.pendingBudgetConfirmationAtStart === true && ctx.userAffirmative === true;
+        if (!confirmed) {
+          blockedWrites.push({ tool: name, reason: 'confirmation_required' });
+          auditWrite(ctx, name, args, WRITE_AUDIT_OUTCOMES.BLOCKED, { reason: 'confirmation_required' });
+          pushToolResult({ id: toolCall.id, name, content: JSON.stringify({
+            blocked: true,
+            reason: 'confirmation_required',
+            message: 'Do NOT write yet. First show the user the exact budget change (category and monthly limit, or which budget to delete), stage it with updateDraftBudget (pendingConfirmation:true), and wait for them to explicitly confirm on their next message.'
+          }) });
+          continue;
+        }
+        const budgetSig = ['budget', name, String(args.budget_id || ''), String(args.category || '').trim().toLowerCase(), String(args.monthly_limit || '')].join('|');
+        if (state.lastCommitSignature && budgetSig === state.lastCommitSignature) {
+          auditWrite(ctx, name, args, WRITE_AUDIT_OUTCOMES.DUPLICATE, { reason: 'same_signature' });
+          pushToolResult({ id: toolCall.id, name, content: JSON.stringify({
+            duplicate: true,
+            message: 'That budget change was just made; not repeating it.'
+          }) });
+          continue;
+        }
+        try {
+          const result = await timedToolFn(args, ctx);
+          state.lastCommitSignature = budgetSig;
+          markWriteCommitted(state, ctx);
+          state.pendingBudgetConfirmation = false;
+          state.draftBudget = {};
+          const budgetRecord = {
+            action: result?.action || 'budget_write',
+            transaction_id: null,
+            group_id: null,
+            budget_id: result?.budget_id ?? args.budget_id ?? null,
+            title: result?.category ?? args.category ?? null,
+            amount: result?.monthly_limit ?? null,
+            account_id: ctx.accountId ?? null,
+          };
+          committedWrites.push(budgetRecord);
+          auditWrite(ctx, name, args, WRITE_AUDIT_OUTCOMES.COMMITTED, { result });
+          recordRecentWrite(state, budgetRecord);
+          pushToolResult({ id: toolCall.id, name, content: JSON.stringify(result ?? {}) });
         } catch (err) {
           blockedWrites.push({ tool: name, reason: 'execution_failed' });
-          toolResults.push({ id: toolCall.id, name, content: JSON.stringify({ error: err?.message || err?.response?.data?.message || 'Goal tool execution failed' }) });
+          auditWrite(ctx, name, args, WRITE_AUDIT_OUTCOMES.FAILED, { reason: err?.message || 'execution_failed' });
+          pushToolResult({ id: toolCall.id, name, content: JSON.stringify({ error: err?.message || 'Budget tool execution failed' }) });
         }
         continue;
       }
@@ -3277,7 +3751,8 @@ async function executeToolCalls(originalMessages, toolCalls, ctx) {
         const confirmed = proposedEarlier && ctx.userAffirmative === true;
         if (!confirmed) {
           blockedWrites.push({ tool: name, reason: 'confirmation_required' });
-          toolResults.push({ id: toolCall.id, name, content: JSON.stringify({
+          auditWrite(ctx, name, args, WRITE_AUDIT_OUTCOMES.BLOCKED, { reason: 'confirmation_required' });
+          pushToolResult({ id: toolCall.id, name, content: JSON.stringify({
             blocked: true,
             reason: 'confirmation_required',
             message: 'Do NOT delete yet. First identify the exact transaction (check RECENT WRITES THIS SESSION, or look it up via getUpcomingTransactions/getRecurringForecasts), show the user its title, amount, and date — and if it is recurring, ask whether to delete just that occurrence or the entire series — then wait for them to explicitly confirm on their next message.'
@@ -3286,7 +3761,8 @@ async function executeToolCalls(originalMessages, toolCalls, ctx) {
         }
         const delSig = ['delete', String(args.scope || 'single'), String(args.transactionid || args.transaction_id || ''), String(args.groupid || args.group_id || '')].join('|');
         if (state.lastCommitSignature && delSig === state.lastCommitSignature) {
-          toolResults.push({ id: toolCall.id, name, content: JSON.stringify({
+          auditWrite(ctx, name, args, WRITE_AUDIT_OUTCOMES.DUPLICATE, { reason: 'same_signature' });
+          pushToolResult({ id: toolCall.id, name, content: JSON.stringify({
             duplicate: true,
             message: 'That transaction was just deleted; not deleting again.'
           }) });
@@ -3296,7 +3772,7 @@ async function executeToolCalls(originalMessages, toolCalls, ctx) {
         try {
           const result = await timedToolFn(args, ctx);
           state.lastCommitSignature = delSig;
-          state.committed = true;
+          markWriteCommitted(state, ctx);
           state.pendingConfirmation = false;
           const delRecord = {
             action: 'delete',
@@ -3305,20 +3781,25 @@ async function executeToolCalls(originalMessages, toolCalls, ctx) {
             title: args.title ?? null,
             start: null,
             scope: result?.scope ?? (args.scope || 'single'),
+            account_id: ctx.accountId ?? null,
+            // Deleted occurrence, so "undo that" can add it back.
+            ...(result?.before ? { before: result.before } : {}),
           };
           committedWrites.push(delRecord);
+          auditWrite(ctx, name, args, WRITE_AUDIT_OUTCOMES.COMMITTED, { result });
           recordRecentWrite(state, delRecord);
           await invalidateSelectedAccountToolCache(ctx.userId, ctx.accountId, {
             reason: 'write_commit',
             requestId: ctx.requestId,
           });
-          toolResults.push({ id: toolCall.id, name, content: JSON.stringify({
+          pushToolResult({ id: toolCall.id, name, content: JSON.stringify({
             ...(result ?? {}),
             note: 'DELETE COMMITTED. Confirm to the user exactly what was deleted (the transaction/series you proposed) — do not describe any other transaction.'
           }) });
         } catch (err) {
           blockedWrites.push({ tool: name, reason: 'execution_failed' });
-          toolResults.push({ id: toolCall.id, name, content: JSON.stringify({ error: err?.message || err?.response?.data?.message || 'Delete failed' }) });
+          auditWrite(ctx, name, args, WRITE_AUDIT_OUTCOMES.FAILED, { reason: err?.message || 'execution_failed' });
+          pushToolResult({ id: toolCall.id, name, content: JSON.stringify({ error: err?.message || err?.response?.data?.message || 'Delete failed' }) });
         }
         continue;
       }
@@ -3336,9 +3817,9 @@ async function executeToolCalls(originalMessages, toolCalls, ctx) {
           toolContent = toolContent.substring(0, 13000) + '..."_truncated":true}';
           console.log('Tool response truncated from', JSON.stringify(result ?? {}).length, 'to', toolContent.length, 'bytes');
         }
-        toolResults.push({ id: toolCall.id, name, content: toolContent });
+        pushToolResult({ id: toolCall.id, name, content: toolContent });
       } catch (err) {
-        toolResults.push({ id: toolCall.id, name, content: JSON.stringify({ error: err?.message || 'Tool execution failed' }) });
+        pushToolResult({ id: toolCall.id, name, content: JSON.stringify({ error: err?.message || 'Tool execution failed' }) });
       }
     }
 
@@ -3396,13 +3877,16 @@ async function executeToolCalls(originalMessages, toolCalls, ctx) {
     writes: committedWrites,
     blocked: blockedWrites,
     writeResponseMode: extra.writeResponseMode || 'none',
+    // The conversation the answer was narrated from, tool rounds included;
+    // an enforce-mode regeneration retries against the same evidence.
+    messages,
   });
 
   for (let round = 1; round <= MAX_TOOL_ROUNDS; round++) {
     if (round > 1 && ctx.lifecycle && ctx.lifecycle.clientAborted) {
       return finish(buildToolFallbackResponse(lastToolResults), { writeResponseMode: 'client_aborted' });
     }
-    const { assistantToolMessage, toolMessages, toolResults } = await runBatch(batch);
+    const { assistantToolMessage, toolMessages, toolResults } = await runBatch(batch, round);
     lastToolResults = toolResults;
     messages = enforceSize([...messages, assistantToolMessage, ...toolMessages], assistantToolMessage, toolMessages);
 
@@ -3437,6 +3921,7 @@ async function executeToolCalls(originalMessages, toolCalls, ctx) {
         tool_choice: isLastRound ? 'none' : 'auto',
         requestId: ctx.requestId,
         timeout: azureTimeout,
+        signal: ctx.lifecycle && ctx.lifecycle.signal ? ctx.lifecycle.signal : undefined,
       });
       if (ctx.telemetry) ctx.telemetry.recordAzureCall(Date.now() - tAzure, response?.usage);
     } catch (error) {
@@ -3458,12 +3943,41 @@ async function executeToolCalls(originalMessages, toolCalls, ctx) {
   return finish(buildToolFallbackResponse(lastToolResults), { writeResponseMode: 'model_error' });
 }
 
+/**
+ * Messages for the enforce-mode corrected narration: the tool-round
+ * conversation the rejected answer came from when there was one (so the
+ * retry sees the same tool results), else the turn's own messages.
+ */
+function regenerationMessages(turnMessages, result, finalText, correction) {
+  const base = result && Array.isArray(result.messages) ? result.messages : turnMessages;
+  return [
+    ...base,
+    { role: 'assistant', content: finalText },
+    { role: 'system', content: correction },
+  ];
+}
+
+/**
+ * Deliver a chat result over whichever transport the client chose: the SSE
+ * `final` / `error` frame when a stream is open, else the plain JSON body.
+ */
+function sendChatPayload(req, res, lifecycle, chatStream, status, body) {
+  // Keep the outcome for Idempotency-Key retries even when the client has
+  // already gone — that retry is exactly the case the key exists for.
+  if (req.keaIdempotency) req.keaIdempotency.capture(status, body);
+  if (chatStream && chatStream.opened) {
+    return status && status >= 400 ? chatStream.fail(status, body) : chatStream.final(body);
+  }
+  return trySendJson(req, res, lifecycle, status, body);
+}
+
 // ----------------------------
 // 🧠 Chat with memory + tools (functionMap.js)
 // ----------------------------
 exports.chat = async (req, res) => {
   const telemetry = req.keaTelemetry || createKeaTelemetry({ requestId: req.id });
   const lifecycle = req.keaLifecycle || createRequestLifecycle({ req, res, telemetry, requestId: req.id });
+  let chatStream = null;
   try {
     // Redacted request log: never emit `token` or the full message/PII to logs.
     console.log('Chat endpoint called:', JSON.stringify(redactChatBodyForLog(req.body)));
@@ -3475,6 +3989,12 @@ exports.chat = async (req, res) => {
     }
     lifecycle.setStage('request_received');
     lifecycle.attachListeners();
+    // Opt-in SSE: stage / tool / delta events, then one `final` frame that
+    // carries the same payload the JSON path returns.
+    if (wantsEventStream(req)) {
+      chatStream = createChatEventStream({ req, res, lifecycle, requestId: req.id });
+      chatStream.open();
+    }
 
     const sessionKey = buildSessionKey(req);
     const accountid = req.body.accountid;
@@ -3519,6 +4039,8 @@ exports.chat = async (req, res) => {
     const userId = req.cashflowUser?.id ?? extracted.userId;
     const authHeader = req.headers.authorization || extracted.authHeader;
     telemetry.setIdentity(identityFromCashflowAuth(req));
+    // Every model call this turn is billed to the signed-in user (keaUsage).
+    const chatQuery = (msgs, opts = {}) => queryAzureOpenAI(msgs, { ...opts, usageUserId: userId != null ? userId : null });
     console.log('Chat endpoint: Session key:', sessionKey, 'User ID:', userId);
 
     // When no session identifier was provided, buildSessionKey falls back to
@@ -3550,6 +4072,7 @@ exports.chat = async (req, res) => {
     // 1) Dialogue state: in-progress draft transaction + slot-filling.
     const dialogueState = await loadDialogueState(userId);
     if (!dialogueState.draftGoal || typeof dialogueState.draftGoal !== 'object') dialogueState.draftGoal = {};
+    if (!dialogueState.draftBudget || typeof dialogueState.draftBudget !== 'object') dialogueState.draftBudget = {};
     if (!Array.isArray(dialogueState.recentToolOutcomes)) dialogueState.recentToolOutcomes = [];
     const pendingConfirmationAtStart = dialogueState.pendingConfirmation === true;
     const needsReconfirmAtStart = dialogueState.needsReconfirm === true;
@@ -3563,6 +4086,7 @@ exports.chat = async (req, res) => {
     const pendingGoalConfirmationAtStart = dialogueState.pendingGoalConfirmation === true;
     const goalDraftCompleteAtStart = isGoalDraftProposable(dialogueState.draftGoal)
       && goalNeedsReconfirmAtStart !== true;
+    const pendingBudgetConfirmationAtStart = dialogueState.pendingBudgetConfirmation === true;
     const userAffirmative = isAffirmativeMessage(message, dialogueState.draftTransaction);
     // Reset the one-shot "committed" flag at the start of each new turn.
     dialogueState.committed = false;
@@ -3684,7 +4208,7 @@ exports.chat = async (req, res) => {
           'status:', resolved.error.status,
           'message:', resolved.error.message
         );
-        trySendJson(req, res, lifecycle, 502, {
+        sendChatPayload(req, res, lifecycle, chatStream, 502, {
           error: 'Kea account context unavailable',
           code: 'KEA_CONTEXT_UNAVAILABLE',
           requestId: req.id,
@@ -3723,27 +4247,50 @@ exports.chat = async (req, res) => {
     telemetry.markStart('context_build');
     lifecycle.setStage('context_ready');
     const categoryNames = extractCategoryNames(selectedAccount);
-    const phase1Route = routeCapability({
+    const routeInput = {
       message,
       simulationMode,
       pendingWrite: pendingConfirmationAtStart || draftCompleteAtStart || proposalInTranscript,
       pendingGoalWrite: pendingGoalConfirmationAtStart || goalDraftCompleteAtStart || goalProposalInTranscript,
       pendingDraft: dialogueState.draftTransaction,
       pendingGoalDraft: dialogueState.draftGoal,
+      pendingBudgetWrite: pendingBudgetConfirmationAtStart,
+      pendingBudgetDraft: dialogueState.draftBudget,
       userAffirmative,
       dialogueState,
       accountId: accountid,
       currentDate,
       knownCategories: categoryNames,
+    };
+    // Low-confidence routes get one LIGHT-deployment classification call
+    // before falling back to clarify (services/keaRouteClassifier.js).
+    const routeResolution = await resolveLowConfidenceRoute(routeCapability(routeInput), {
+      routeInput,
+      queryFn: chatQuery,
+      requestId: req.id,
+      lifecycle,
     });
+    const phase1Route = routeResolution.route;
+    telemetry.recordRouting(routeResolution.telemetry);
     const pendingWriteRouting = applyPendingWriteTopicSwitch(dialogueState, phase1Route, {
       pendingArmedAtStart: pendingConfirmationAtStart || draftCompleteAtStart || proposalInTranscript
-        || pendingGoalConfirmationAtStart || goalDraftCompleteAtStart || goalProposalInTranscript,
+        || pendingGoalConfirmationAtStart || goalDraftCompleteAtStart || goalProposalInTranscript
+        || pendingBudgetConfirmationAtStart,
       userAffirmative,
     });
     applyInvitationLifecycle(dialogueState, phase1Route, { accountId: accountid, categoryNames });
     applyRepeatWriteLifecycle(dialogueState, phase1Route);
+    applyUndoLifecycle(dialogueState, phase1Route, { accountId: accountid });
+    applyStaleForecastLifecycle(dialogueState, phase1Route, { accountId: accountid, simulationMode });
+    applyDebtPayoffLifecycle(dialogueState, phase1Route, { accountId: accountid, simulationMode });
     const skipAzureAffirmative = shouldSkipAzureForRoute(phase1Route);
+    // A confirmed "undo that" runs its staged inverse without Azure.
+    const undoConfirmed = phase1Route.capability === 'confirmation' && !!dialogueState.pendingUndo;
+    // Likewise a confirmed stale-series removal from a subscription audit.
+    const seriesRemovalConfirmed = phase1Route.capability === 'confirmation' && !!dialogueState.pendingSeriesRemoval;
+    // And a confirmed extra debt payment; "simulate it" needs no confirmation.
+    const debtPaymentConfirmed = phase1Route.capability === 'confirmation' && !!dialogueState.pendingDebtPayment;
+    const debtPaymentSimulated = phase1Route.affirmativeResolution === 'debt_payment_simulation';
     lifecycle.setStage('route_resolved');
     const phase1Policy = resolveGroundingPolicy(phase1Route, { message });
     let phase1Evidence = null;
@@ -3761,6 +4308,7 @@ exports.chat = async (req, res) => {
         message,
         token,
         requestId: req.id,
+        signal: lifecycle.signal,
       });
       groundingPrefetchMs = Date.now() - tPrefetch;
       lifecycle.setStage('grounding_finished');
@@ -3790,6 +4338,9 @@ exports.chat = async (req, res) => {
     if (effectiveCap === 'cashflow_recurring') financialMacro = 'recurring_analysis';
     if (effectiveCap === 'cashflow_upcoming') financialMacro = 'upcoming_period';
     if (effectiveCap === 'cashflow_income_horizon') financialMacro = 'income_horizon';
+    if (effectiveCap === 'cashflow_budget') financialMacro = 'budget_status';
+    if (effectiveCap === 'cashflow_anomaly') financialMacro = 'anomaly_scan';
+    if (effectiveCap === 'debt_payoff') financialMacro = 'debt_payoff_plan';
     if (effectiveCap === 'affordability_or_planning') financialMacro = 'assess_affordability';
     const macroAttempted = financialMacro !== 'none' || effectiveCap === 'mixed_macro';
     let macroInputKind = 'none';
@@ -3810,6 +4361,12 @@ exports.chat = async (req, res) => {
       macroInputKind = 'upcoming_period';
     } else if (financialMacro === 'income_horizon') {
       macroInputKind = 'income_horizon';
+    } else if (financialMacro === 'budget_status') {
+      macroInputKind = 'budget_month';
+    } else if (financialMacro === 'anomaly_scan') {
+      macroInputKind = 'anomaly_window';
+    } else if (financialMacro === 'debt_payoff_plan') {
+      macroInputKind = 'debt_list';
     }
     telemetry.recordGrounding({
       conversation_intent: phase1Route.capability,
@@ -3832,6 +4389,10 @@ exports.chat = async (req, res) => {
       grounding_source_count: Array.isArray(phase1Evidence?.source) ? phase1Evidence.source.length : 0,
       grounding_prefetch_ms: groundingPrefetchMs,
       grounding_evidence_status: phase1Evidence ? phase1Evidence.status : null,
+      grounding_account_scope: phase1Evidence?.accountScope === 'aggregate' ? 'aggregate' : null,
+      grounding_account_count: phase1Evidence?.accountScope === 'aggregate'
+        ? phase1Evidence.prefetchMeta?.aggregateAccountCount ?? null
+        : null,
       historical_prefetch_page_count: phase1Evidence && phase1Evidence.prefetchMeta
         ? phase1Evidence.prefetchMeta.pageCount : null,
       historical_prefetch_row_count: phase1Evidence && phase1Evidence.prefetchMeta
@@ -3856,7 +4417,7 @@ exports.chat = async (req, res) => {
         : 'skipped',
       macro_ms: macroAttempted ? groundingPrefetchMs : 0,
       macro_input_kind: macroInputKind,
-      macro_horizon_days: (financialMacro === 'compare_periods' || financialMacro === 'trend_periods' || financialMacro === 'recurring_analysis' || financialMacro === 'upcoming_period') ? null : (macroAttempted ? 90 : null),
+      macro_horizon_days: (financialMacro === 'compare_periods' || financialMacro === 'trend_periods' || financialMacro === 'recurring_analysis' || financialMacro === 'upcoming_period' || financialMacro === 'budget_status' || financialMacro === 'anomaly_scan') ? null : (macroAttempted ? 90 : null),
       macro_source_count: Array.isArray(phase1Evidence?.source) ? phase1Evidence.source.length : 0,
       comparison_performed: financialMacro === 'compare_periods' && phase1Performed && !phase1FailSoft,
       comparison_status: financialMacro === 'compare_periods'
@@ -3948,6 +4509,9 @@ exports.chat = async (req, res) => {
         || effectiveCap === 'cashflow_recurring'
         || effectiveCap === 'cashflow_upcoming'
         || effectiveCap === 'cashflow_income_horizon'
+        || (effectiveCap === 'cashflow_budget' && !(phase1Route.slots && phase1Route.slots.budgetAction))
+        || effectiveCap === 'cashflow_anomaly'
+        || effectiveCap === 'debt_payoff'
         || effectiveCap === 'affordability_or_planning')
       && phase1Evidence
       && phase1Evidence.status === 'ok'
@@ -3958,6 +4522,10 @@ exports.chat = async (req, res) => {
         || phase1Evidence.source.includes('cashflow_recurring')
         || phase1Evidence.source.includes('cashflow_upcoming')
         || phase1Evidence.source.includes('cashflow_income_horizon')
+        || phase1Evidence.source.includes('cashflow_budget')
+        || phase1Evidence.source.includes('cashflow_anomaly')
+        || phase1Evidence.source.includes('cashflow_subscription_audit')
+        || phase1Evidence.source.includes('debt_payoff_plan')
         || phase1Evidence.source.includes('affordability_analysis'));
 
     let identityBlock;
@@ -4392,6 +4960,7 @@ exports.chat = async (req, res) => {
       draftCompleteAtStart,
       pendingGoalConfirmationAtStart,
       goalDraftCompleteAtStart,
+      pendingBudgetConfirmationAtStart,
       userAffirmative,
       accountName: hasAccount && selectedAccount
         ? (selectedAccount.accountname || selectedAccount.bank_account_name || selectedAccount.institution_name || null)
@@ -4406,7 +4975,10 @@ exports.chat = async (req, res) => {
       toolsForTurn,
       telemetry,
       requestId: req.id,
+      confirmationMessageId: clientMessageId(req),
       lifecycle,
+      stream: chatStream,
+      queryAzureOpenAI: chatQuery,
     };
     telemetry.markEnd('context_build');
     telemetry.recordBlock('currentContext', completeContext ? completeContext.length : 0);
@@ -4423,6 +4995,22 @@ exports.chat = async (req, res) => {
       }
       responseSource = 'fail_soft';
       result = { content: failSoftTextFor(phase1Evidence) || FAIL_SOFT_TEXT };
+    } else if (undoConfirmed) {
+      requestSize = 0;
+      responseSource = 'deterministic';
+      result = await commitPendingUndo(dialogueState, ctx);
+    } else if (seriesRemovalConfirmed) {
+      requestSize = 0;
+      responseSource = 'deterministic';
+      result = await commitPendingSeriesRemoval(dialogueState, ctx);
+    } else if (debtPaymentConfirmed) {
+      requestSize = 0;
+      responseSource = 'deterministic';
+      result = await commitPendingDebtPayment(dialogueState, ctx);
+    } else if (debtPaymentSimulated) {
+      requestSize = 0;
+      responseSource = 'deterministic';
+      result = await runDebtPaymentSimulation(phase1Route.slots && phase1Route.slots.debtPayment, ctx);
     } else if (skipAzureAffirmative) {
       requestSize = 0;
       console.log('Chat endpoint: deterministic affirmative, skipping Azure:', phase1Route.affirmativeResolution);
@@ -4432,13 +5020,14 @@ exports.chat = async (req, res) => {
           ? (selectedAccount.accountname || selectedAccount.bank_account_name || selectedAccount.institution_name)
           : null,
         message,
+        accountId: accountid,
       }) };
     } else if (!shouldStartNewExpensiveWork(lifecycle)) {
       telemetry.emit(req.log);
       return;
     } else {
       const azureTurn = await runChatAzureNarration({
-        queryFn: queryAzureOpenAI,
+        queryFn: chatQuery,
         messages,
         tools: toolsForTurn,
         primaryToolChoice,
@@ -4499,11 +5088,12 @@ exports.chat = async (req, res) => {
           result.content || '## ❌ No Response\n\n**Sorry, no response generated.**',
           dialogueState
         );
-    const finalText = stripCurrencyCommas(guardedContent);
-    // Phase 3C.2: observe Azure finalText against the same-request Ledger.
-    // Never mutates finalText. Never retries Azure. Never fail-softs.
+    let finalText = stripCurrencyCommas(guardedContent);
+    // Phase 3C.2: validate Azure finalText against the same-request Ledger.
+    // Shadow mode only observes; capabilities switched to enforce get one
+    // corrected narration retry, then the deterministic macro fallback.
     try {
-      const shadow = applyShadowResponseValidation({
+      const validated = await enforceResponseValidation({
         text: finalText,
         ledger: requestLedger,
         capability: effectiveCap,
@@ -4518,8 +5108,37 @@ exports.chat = async (req, res) => {
         simulationMode: !!simulationMode,
         invitationWriteHandoff: !!(phase1Route && phase1Route.invitationWriteHandoff),
         repeatWriteHandoff: !!(phase1Route && phase1Route.repeatWriteHandoff),
+        regenerate: async (correction) => {
+          if (!shouldStartNewExpensiveWork(lifecycle)) return null;
+          const retryMessages = regenerationMessages(messages, result, finalText, correction);
+          const retry = await callAzureOnce({
+            queryFn: chatQuery,
+            messages: retryMessages,
+            // Tool rounds in the history are sent with their tools, as the
+            // tool loop's own final round does; tool_choice none either way.
+            tools: retryMessages.some((m) => m.role === 'tool') ? toolsForTurn : [],
+            toolChoice: 'none',
+            requestId: req.id,
+            timeoutMs: azureChatTimeoutMs(),
+            telemetry,
+            lifecycle,
+          });
+          const retryMsg = retry.ok && retry.data && retry.data.choices && retry.data.choices[0]
+            && retry.data.choices[0].message;
+          if (!retryMsg || !retryMsg.content) return null;
+          return stripCurrencyCommas(enforceProposalStateInvariant(retryMsg.content, dialogueState));
+        },
+        fallback: () => {
+          const fb = groundedMacroFallback(phase1Evidence, ctx.accountName);
+          return Object.assign({}, fb, { content: stripCurrencyCommas(fb.content) });
+        },
       });
-      try { telemetry.recordResponseValidation(shadow.telemetry); } catch (e) { /* telemetry must not own control flow */ }
+      finalText = validated.finalText;
+      if (validated.responseSource === 'fail_soft' && responseSource !== 'fail_soft') {
+        telemetry.recordGrounding({ response_mode: 'fail_soft' });
+      }
+      responseSource = validated.responseSource;
+      try { telemetry.recordResponseValidation(validated.telemetry); } catch (e) { /* telemetry must not own control flow */ }
     } catch (e) {
       try {
         telemetry.recordResponseValidation({
@@ -4537,6 +5156,19 @@ exports.chat = async (req, res) => {
       macroOwnsTurn,
       evidence: phase1Evidence,
     });
+    maybeSetStaleForecastOffer(dialogueState, {
+      accountId: accountid,
+      failSoft: phase1FailSoft,
+      macroOwnsTurn,
+      evidence: phase1Evidence,
+    });
+    maybeSetDebtPaymentOffer(dialogueState, {
+      accountId: accountid,
+      failSoft: phase1FailSoft,
+      macroOwnsTurn,
+      evidence: phase1Evidence,
+      simulationAvailable,
+    });
     // Full turn transcript BEFORE trimming — used to decide what overflows into
     // the rolling summary.
     const fullTurn = [
@@ -4586,6 +5218,12 @@ exports.chat = async (req, res) => {
       Array.isArray(result?.uiActions) ? result.uiActions : [],
       phase1Route
     );
+    if (!uiActions.some((a) => a && a.type === 'navigate_to')) {
+      const subscriptionsAction = subscriptionsUiAction({
+        route: phase1Route, dialogueState, evidence: phase1Evidence, message,
+      });
+      if (subscriptionsAction) uiActions.push(subscriptionsAction);
+    }
     telemetry.recordGrounding({ ui_action_count: uiActions.length });
 
     const responsePayload = {
@@ -4625,7 +5263,7 @@ exports.chat = async (req, res) => {
         telemetry.markEnd('dialogue_state_save');
       },
       sendResponse: () => {
-        if (trySendJson(req, res, lifecycle, null, responsePayload)) {
+        if (sendChatPayload(req, res, lifecycle, chatStream, null, responsePayload)) {
           lifecycle.markResponseStarted();
           lifecycle.setStage('response_sent');
           if (typeof telemetry.markResponseSent === 'function') telemetry.markResponseSent();
@@ -4652,15 +5290,15 @@ exports.chat = async (req, res) => {
       return;
     }
     if (error.code === 'ECONNREFUSED') {
-      trySendJson(req, res, lifecycle, 503, { error: 'Service temporarily unavailable - Redis connection failed', requestId: req.id });
+      sendChatPayload(req, res, lifecycle, chatStream, 503, { error: 'Service temporarily unavailable - Redis connection failed', requestId: req.id });
       return;
     }
     if (error.response?.status === 401) {
-      trySendJson(req, res, lifecycle, 401, { error: 'Azure OpenAI authentication failed', requestId: req.id });
+      sendChatPayload(req, res, lifecycle, chatStream, 401, { error: 'Azure OpenAI authentication failed', requestId: req.id });
       return;
     }
     if (error.response?.status === 400) {
-      trySendJson(req, res, lifecycle, 400, {
+      sendChatPayload(req, res, lifecycle, chatStream, 400, {
         error: 'Azure OpenAI request failed',
         details: error.response?.data?.error?.message || 'Invalid request format',
         suggestion: 'Check API configuration and request format',
@@ -4669,11 +5307,11 @@ exports.chat = async (req, res) => {
       return;
     }
     if (error.response?.status === 429) {
-      trySendJson(req, res, lifecycle, 429, { error: 'Rate limit exceeded', requestId: req.id });
+      sendChatPayload(req, res, lifecycle, chatStream, 429, { error: 'Rate limit exceeded', requestId: req.id });
       return;
     }
 
-    trySendJson(req, res, lifecycle, 500, {
+    sendChatPayload(req, res, lifecycle, chatStream, 500, {
       error: 'Internal server error',
       details: error.message || 'Unknown error occurred',
       requestId: req.id
@@ -4772,7 +5410,12 @@ exports.analyzeTransactions = async (req, res) => {
     let result;
     try {
       // Try to get a response with tools first
-      const responseWithTools = await queryAzureOpenAI(messages, { tools: functionSchemas, tool_choice: 'auto' });
+      const responseWithTools = await queryAzureOpenAI(messages, {
+        tools: functionSchemas,
+        tool_choice: 'auto',
+        callSite: LLM_CALL_SITES.SUMMARIZE,
+        usageUserId: req.usageUserId ?? null,
+      });
       const choice = responseWithTools?.choices?.[0];
       const msg = choice?.message;
       
@@ -4788,7 +5431,12 @@ exports.analyzeTransactions = async (req, res) => {
     } catch (error) {
       console.log('Tool-based response failed, trying direct response...');
       try {
-        const directResponse = await queryAzureOpenAI(messages, { tools: functionSchemas, tool_choice: 'none' });
+        const directResponse = await queryAzureOpenAI(messages, {
+          tools: functionSchemas,
+          tool_choice: 'none',
+          callSite: LLM_CALL_SITES.SUMMARIZE,
+          usageUserId: req.usageUserId ?? null,
+        });
         const choice = directResponse?.choices?.[0];
         result = { content: choice?.message?.content || '', raw: directResponse };
       } catch (directError) {
@@ -5030,6 +5678,8 @@ STYLE:
         // ~900 char budget → allow headroom for the richer 5-8 sentence brief.
         max_tokens: 320,
         timeout: 15000,
+        callSite: LLM_CALL_SITES.SUMMARIZATION,
+        usageUserId: req.usageUserId ?? null,
         deployment: process.env.AZURE_OPENAI_DEPLOYMENT_LIGHT || undefined,
       });
       const choice = directResponse?.choices?.[0];
@@ -5123,6 +5773,14 @@ const AUTOCATEGORIZE_CACHE_TTL      = 60 * 60 * 24 * 7;    // 7 days
 // ~3–4K prompt tokens — well within the deployment's context budget.
 const AUTOCATEGORIZE_HISTORY_LIMIT = 100;
 const AUTOCATEGORIZE_TIMEOUT_MS = 10000;
+// Batch endpoint (/auto-categorize/batch): a bank link imports hundreds of
+// rows at once. Unresolved merchants go to the model in groups; the smaller
+// per-item history keeps a group's prompt near the single-call size.
+const AUTOCATEGORIZE_BATCH_MAX = 1000;
+const AUTOCATEGORIZE_BATCH_GROUP_SIZE = 20;
+const AUTOCATEGORIZE_BATCH_CONCURRENCY = 3;
+const AUTOCATEGORIZE_BATCH_HISTORY_PER_ITEM = 8;
+const AUTOCATEGORIZE_BATCH_TIMEOUT_MS = 20000;
 
 // Always returns a non-empty string. Used at every site that produces
 // `suggestedCategory` so the frontend (which assigns directly into
@@ -5195,17 +5853,22 @@ function pickPfcSignals(transaction) {
 function buildAutoCategorizationCacheKey({ userId, accountId, transaction }) {
   const u = userId !== undefined && userId !== null && userId !== '' ? String(userId) : 'anon';
   const a = accountId !== undefined && accountId !== null && accountId !== '' ? String(accountId) : 'noacct';
-  const merchant = normalizeMerchantName(
-    transaction?.merchant_name || transaction?.counterparties?.[0]?.name || transaction?.name
-  ) || 'nomerchant';
+  const merchant = normalizeMerchantName(cacheMerchantSource(transaction)) || 'nomerchant';
+  return `autocat:u${u}:a${a}:m${merchant}:p${cachePfcSegment(transaction)}`;
+}
+
+function cacheMerchantSource(transaction) {
+  return transaction?.merchant_name || transaction?.counterparties?.[0]?.name || transaction?.name;
+}
+
+function cachePfcSegment(transaction) {
   const pfc = pickPfcSignals(transaction);
   const legacyCat = Array.isArray(transaction?.category) ? transaction.category[0] : transaction?.category;
-  const pfcSeg = (pfc.detailed || pfc.primary || legacyCat || 'nopfc')
+  return (pfc.detailed || pfc.primary || legacyCat || 'nopfc')
     .toString()
     .toLowerCase()
     .replace(/[^a-z0-9_]+/g, '_')
     .slice(0, 64);
-  return `autocat:u${u}:a${a}:m${merchant}:p${pfcSeg}`;
 }
 
 // Single source of truth for "what merchant is this transaction?" — the
@@ -5405,6 +6068,150 @@ function pickRelevantHistory(transaction, history) {
   return out;
 }
 
+// Single source of truth for a categorization result's shape: whatever path
+// produced it, `suggestedCategory` is always a non-empty STRING — never an
+// object, null, or undefined.
+function shapeCategorization(payload, firstCategoryName) {
+  const safe = {
+    suggestedCategory: coerceToString(payload?.suggestedCategory, firstCategoryName),
+    confidence: payload?.confidence || 'low',
+    note: payload?.note || '',
+    method: payload?.method || 'ai',
+  };
+  if (payload?.originalSuggestion !== undefined) safe.originalSuggestion = String(payload.originalSuggestion);
+  if (payload?.cached) safe.cached = true;
+  if (payload?.ruleId != null) safe.ruleId = payload.ruleId;
+  return safe;
+}
+
+// Normalize the request's categories ONCE into guaranteed-string names plus
+// a { lowername -> originalCasedName } lookup for the fast/cache paths, and
+// the prompt's category list (with optional descriptions so the model has
+// semantic context for ambiguous names like "Misc" vs "Other").
+function buildCategoryLookup(categories) {
+  const list = Array.isArray(categories) ? categories : [];
+  const uniqueCategoryNames = Array.from(new Set(
+    list.map(extractCategoryName).filter((n) => n && typeof n === 'string')
+  ));
+  const nameByLower = new Map();
+  for (const n of uniqueCategoryNames) nameByLower.set(n.toLowerCase(), n);
+  const categoryListText = list
+    .map((c) => {
+      const name = extractCategoryName(c);
+      if (!name) return null;
+      const desc = (typeof c === 'object' && typeof c?.description === 'string') ? c.description.trim() : '';
+      return desc ? `- ${name} — ${desc}` : `- ${name}`;
+    })
+    .filter(Boolean)
+    .join('\n');
+  return { uniqueCategoryNames, nameByLower, firstCategoryName: uniqueCategoryNames[0], categoryListText };
+}
+
+// The transaction as the categorization prompt shows it.
+function compactTransactionForPrompt(transaction) {
+  const pfc = pickPfcSignals(transaction);
+  const counterparty = transaction?.counterparties?.[0] || null;
+  return {
+    name: transaction.name || null,
+    display_name: transaction.display_name || null,
+    amount: transaction.amount ?? null,
+    merchant_name: transaction.merchant_name || null,
+    description: typeof transaction.description === 'string' ? transaction.description.slice(0, 120) : null,
+    location: transaction.location || null,
+    payment_channel: transaction.payment_channel || null,
+    pending: transaction.pending ?? null,
+    legacy_category: transaction.category ?? null,
+    plaid_personal_finance_category: pfc.detailed || pfc.primary
+      ? { primary: pfc.primary, detailed: pfc.detailed, confidence: pfc.confidence }
+      : null,
+    plaid_counterparty: counterparty
+      ? { name: counterparty.name, type: counterparty.type, confidence: counterparty.confidence_level }
+      : null,
+  };
+}
+
+// Map the model's category onto the user's actual cased name: exact
+// (case-insensitive) first, then best-effort contains-either-way. Returns
+// { name, closest } or null.
+function resolveModelCategory(suggested, { uniqueCategoryNames, nameByLower }) {
+  if (!suggested) return null;
+  const lower = String(suggested).toLowerCase();
+  if (nameByLower.has(lower)) return { name: nameByLower.get(lower), closest: false };
+  const closest = uniqueCategoryNames.find((n) => {
+    const nl = n.toLowerCase();
+    return nl.includes(lower) || lower.includes(nl);
+  });
+  return closest ? { name: closest, closest: true } : null;
+}
+
+// A user's own rule (services/keaCategoryRules.js) outranks every other
+// signal, so it is checked before the cache. Never cached itself: editing a
+// rule must take effect on the next call.
+// Category rules are read and learned only for the session user
+// (optionalCashflowUser); the body userId on these routes is unverified.
+function verifiedRuleUserId(req) {
+  return req.cashflowUser && req.cashflowUser.id != null ? req.cashflowUser.id : null;
+}
+
+function ruleCategorization(rules, transaction, nameByLower) {
+  const hit = pickRuleCategory(rules, transaction, nameByLower);
+  if (!hit) return null;
+  return {
+    suggestedCategory: hit.category,
+    confidence: 'high',
+    note: `Matched your categorization rule #${hit.rule.id}`,
+    method: 'rule',
+    ruleId: hit.rule.id,
+  };
+}
+
+// Shared by the single and batch prompts: who the model is, then how to
+// weigh the user's own history against Plaid's signals.
+const AUTOCATEGORIZE_PROMPT_INTRO =
+  `You are a categorization assistant whose primary job is to mirror this user's ` +
+  `own habits — not to impose a "correct" category, but to stay consistent with ` +
+  `how they have already been categorizing their transactions.\n\n`;
+const AUTOCATEGORIZE_PROMPT_RULES =
+  `STEP 1 — Compare the transaction to the user's history:\n` +
+  `Before choosing anything, scan relevant_history and merchant_history_summary to ` +
+  `find previously categorized transactions that resemble the current one. ` +
+  `Compare across four dimensions in this order:\n` +
+  `  a. TITLE — compare transaction.name and transaction.display_name against the ` +
+  `name/display_name fields in relevant_history. Exact or near-exact title matches ` +
+  `(e.g. "NETFLIX.COM" vs "NETFLIX") are the strongest individual signal. ` +
+  `Note that minor title variants from the same merchant (e.g. "AMAZON PRIME" vs ` +
+  `"AMAZON MKTP US") can legitimately map to different categories — look for the ` +
+  `closest title match, not just the closest merchant match.\n` +
+  `  b. AMOUNT — compare transaction.amount to the amounts in relevant_history and ` +
+  `merchant_history_summary.sample_amounts. A transaction whose amount falls in the ` +
+  `user's typical range for this merchant (target_amount_in_typical_range = true) ` +
+  `is very likely the same recurring charge.\n` +
+  `  c. FREQUENCY — if merchant_history_summary.total_seen is large (≥ 5) and the ` +
+  `amounts are clustered tightly (small variance in sample_amounts), this is a ` +
+  `recurring/subscription transaction. Subscriptions and recurring bills have ` +
+  `category patterns the user has deliberately set; honour them even when Plaid's ` +
+  `PFC suggests something different. A single irregular large amount is more likely ` +
+  `a one-off purchase and Plaid's PFC becomes a stronger fallback.\n` +
+  `  d. MERCHANT — use merchant_name / merchant_key as a tiebreaker when title and ` +
+  `amount don't narrow it down.\n\n` +
+  `STEP 2 — Apply signals in strict priority order:\n` +
+  `1. merchant_history_summary — if total_seen ≥ 3 and top_category dominates (≥ 70%) ` +
+  `and target_amount_in_typical_range is true or null, use top_category. ` +
+  `The user has already established their convention for this merchant; follow it.\n` +
+  `2. relevant_history matched_on = "merchant+amount" — read the user_category field ` +
+  `(the user's confirmed choice) on those rows; same merchant + similar amount is a ` +
+  `near-certain repeat, so mirror that user_category directly.\n` +
+  `3. relevant_history matched_on = "merchant" — same merchant any amount; use the ` +
+  `most frequent user_category seen across those rows.\n` +
+  `4. plaid_personal_finance_category (detailed > primary) when confidence is HIGH ` +
+  `and the history gives no clear signal.\n` +
+  `5. relevant_history matched_on = "pfc" or "user_category" as weak tiebreakers.\n` +
+  `Only fall back to general world knowledge when steps 1–5 give nothing useful.\n\n` +
+  `IMPORTANT: each relevant_history item has a user_category field — that is what ` +
+  `the user actually chose for that transaction and is your primary learning signal. ` +
+  `The plaid_category field on history items is Plaid's raw label and may differ ` +
+  `from the user's taxonomy; treat it as a weak corroborating signal only.\n\n`;
+
 exports.autoCategorizeTransaction = async (req, res) => {
   try {
     console.log('Auto-categorize transaction endpoint called');
@@ -5427,33 +6234,26 @@ exports.autoCategorizeTransaction = async (req, res) => {
     // old prompt did `categories.map(cat => `- ${cat}`)` which produced
     // `- [object Object]` lines — the model literally couldn't see the
     // user's taxonomy.
-    const categoryNames = categories
-      .map(extractCategoryName)
-      .filter((n) => n && typeof n === 'string');
-    const uniqueCategoryNames = Array.from(new Set(categoryNames));
+    const categoryLookup = buildCategoryLookup(categories);
+    const { uniqueCategoryNames, nameByLower, firstCategoryName } = categoryLookup;
     if (uniqueCategoryNames.length === 0) {
       return res.status(400).json({ error: 'Categories array did not contain any usable names' });
     }
-    const firstCategoryName = uniqueCategoryNames[0];
 
-    // Build a quick { lowername -> originalCasedName } lookup for the fast/cache paths.
-    const nameByLower = new Map();
-    for (const n of uniqueCategoryNames) nameByLower.set(n.toLowerCase(), n);
+    const ruleUserId = verifiedRuleUserId(req);
 
     // Single source of truth for the response shape. Whatever code path we end
     // up in, we go through this to guarantee `suggestedCategory` is always a
-    // non-empty STRING — never an object, null, or undefined.
+    // non-empty STRING — never an object, null, or undefined. Every answer is
+    // also counted for the accuracy report (fire-and-forget), and remembered
+    // for a signed-in user's later override.
     const respond = (payload) => {
-      const safe = {
-        success: true,
-        suggestedCategory: coerceToString(payload?.suggestedCategory, firstCategoryName),
-        confidence: payload?.confidence || 'low',
-        note: payload?.note || '',
-        method: payload?.method || 'ai',
-      };
-      if (payload?.originalSuggestion !== undefined) safe.originalSuggestion = String(payload.originalSuggestion);
-      if (payload?.cached) safe.cached = true;
-      return res.json(safe);
+      const shaped = shapeCategorization(payload, firstCategoryName);
+      recordCategorizationServed(shaped);
+      if (ruleUserId != null) {
+        rememberServedSuggestion(buildAutoCategorizationCacheKey({ userId: ruleUserId, accountId, transaction }), shaped);
+      }
+      return res.json({ success: true, ...shaped });
     };
 
     console.log(
@@ -5463,6 +6263,17 @@ exports.autoCategorizeTransaction = async (req, res) => {
       '| categories:', uniqueCategoryNames.length
     );
 
+    // ── 0. User rules ─────────────────────────────────────────────────────
+    // Only for the verified session user: a body id must not read someone
+    // else's rules.
+    const ruled = ruleUserId != null
+      ? ruleCategorization(await loadActiveRules(ruleUserId, accountId), transaction, nameByLower)
+      : null;
+    if (ruled) {
+      console.log('Auto-categorize: rule hit', ruled.ruleId, '->', ruled.suggestedCategory);
+      return respond(ruled);
+    }
+
     const cacheKey = buildAutoCategorizationCacheKey({ userId, accountId, transaction });
 
     // ── 1. Cache check ────────────────────────────────────────────────────
@@ -5524,87 +6335,18 @@ exports.autoCategorizeTransaction = async (req, res) => {
     // user's category list — Azure validates the enum before delivering the
     // tool call to us. That eliminates the historical "model wrapped the
     // answer in quotes / hallucinated a category" failure modes entirely.
-    const pfc = pickPfcSignals(transaction);
-    const counterparty = transaction?.counterparties?.[0] || null;
     const relevantHistory = pickRelevantHistory(transaction, transactionHistory);
-
-    // Build a category list with optional descriptions so the model has
-    // semantic context for ambiguous category names (e.g. "Misc" vs "Other").
-    const categoryListText = categories
-      .map((c) => {
-        const name = extractCategoryName(c);
-        if (!name) return null;
-        const desc = (typeof c === 'object' && typeof c?.description === 'string') ? c.description.trim() : '';
-        return desc ? `- ${name} — ${desc}` : `- ${name}`;
-      })
-      .filter(Boolean)
-      .join('\n');
+    const { categoryListText } = categoryLookup;
 
     const merchantSummary = summarizeMerchantHistory(transaction, transactionHistory);
 
     const systemPrompt =
-      `You are a categorization assistant whose primary job is to mirror this user's ` +
-      `own habits — not to impose a "correct" category, but to stay consistent with ` +
-      `how they have already been categorizing their transactions.\n\n` +
-      `STEP 1 — Compare the transaction to the user's history:\n` +
-      `Before choosing anything, scan relevant_history and merchant_history_summary to ` +
-      `find previously categorized transactions that resemble the current one. ` +
-      `Compare across four dimensions in this order:\n` +
-      `  a. TITLE — compare transaction.name and transaction.display_name against the ` +
-      `name/display_name fields in relevant_history. Exact or near-exact title matches ` +
-      `(e.g. "NETFLIX.COM" vs "NETFLIX") are the strongest individual signal. ` +
-      `Note that minor title variants from the same merchant (e.g. "AMAZON PRIME" vs ` +
-      `"AMAZON MKTP US") can legitimately map to different categories — look for the ` +
-      `closest title match, not just the closest merchant match.\n` +
-      `  b. AMOUNT — compare transaction.amount to the amounts in relevant_history and ` +
-      `merchant_history_summary.sample_amounts. A transaction whose amount falls in the ` +
-      `user's typical range for this merchant (target_amount_in_typical_range = true) ` +
-      `is very likely the same recurring charge.\n` +
-      `  c. FREQUENCY — if merchant_history_summary.total_seen is large (≥ 5) and the ` +
-      `amounts are clustered tightly (small variance in sample_amounts), this is a ` +
-      `recurring/subscription transaction. Subscriptions and recurring bills have ` +
-      `category patterns the user has deliberately set; honour them even when Plaid's ` +
-      `PFC suggests something different. A single irregular large amount is more likely ` +
-      `a one-off purchase and Plaid's PFC becomes a stronger fallback.\n` +
-      `  d. MERCHANT — use merchant_name / merchant_key as a tiebreaker when title and ` +
-      `amount don't narrow it down.\n\n` +
-      `STEP 2 — Apply signals in strict priority order:\n` +
-      `1. merchant_history_summary — if total_seen ≥ 3 and top_category dominates (≥ 70%) ` +
-      `and target_amount_in_typical_range is true or null, use top_category. ` +
-      `The user has already established their convention for this merchant; follow it.\n` +
-      `2. relevant_history matched_on = "merchant+amount" — read the user_category field ` +
-      `(the user's confirmed choice) on those rows; same merchant + similar amount is a ` +
-      `near-certain repeat, so mirror that user_category directly.\n` +
-      `3. relevant_history matched_on = "merchant" — same merchant any amount; use the ` +
-      `most frequent user_category seen across those rows.\n` +
-      `4. plaid_personal_finance_category (detailed > primary) when confidence is HIGH ` +
-      `and the history gives no clear signal.\n` +
-      `5. relevant_history matched_on = "pfc" or "user_category" as weak tiebreakers.\n` +
-      `Only fall back to general world knowledge when steps 1–5 give nothing useful.\n\n` +
-      `IMPORTANT: each relevant_history item has a user_category field — that is what ` +
-      `the user actually chose for that transaction and is your primary learning signal. ` +
-      `The plaid_category field on history items is Plaid's raw label and may differ ` +
-      `from the user's taxonomy; treat it as a weak corroborating signal only.\n\n` +
+      AUTOCATEGORIZE_PROMPT_INTRO +
+      AUTOCATEGORIZE_PROMPT_RULES +
       `You MUST respond by calling the selectCategory tool — never reply in plain text.`;
 
     const userPayload = {
-      transaction: {
-        name: transaction.name || null,
-        display_name: transaction.display_name || null,
-        amount: transaction.amount ?? null,
-        merchant_name: transaction.merchant_name || null,
-        description: typeof transaction.description === 'string' ? transaction.description.slice(0, 120) : null,
-        location: transaction.location || null,
-        payment_channel: transaction.payment_channel || null,
-        pending: transaction.pending ?? null,
-        legacy_category: transaction.category ?? null,
-        plaid_personal_finance_category: pfc.detailed || pfc.primary
-          ? { primary: pfc.primary, detailed: pfc.detailed, confidence: pfc.confidence }
-          : null,
-        plaid_counterparty: counterparty
-          ? { name: counterparty.name, type: counterparty.type, confidence: counterparty.confidence_level }
-          : null,
-      },
+      transaction: compactTransactionForPrompt(transaction),
       // High-signal precomputed digest of how this user has historically
       // categorized this exact merchant. The model should treat this as
       // near-authoritative when total_seen ≥ 3 and the top category dominates.
@@ -5676,6 +6418,8 @@ exports.autoCategorizeTransaction = async (req, res) => {
         // Optional: opt this endpoint into a smaller deployment if the
         // operator has set AZURE_OPENAI_DEPLOYMENT_LIGHT in the env. Falls
         // back to the main deployment otherwise.
+        callSite: LLM_CALL_SITES.AUTO_CATEGORIZE,
+        usageUserId: req.usageUserId ?? null,
         deployment: process.env.AZURE_OPENAI_DEPLOYMENT_LIGHT || undefined,
       });
       
@@ -5709,24 +6453,9 @@ exports.autoCategorizeTransaction = async (req, res) => {
     }
 
     // ── 4. Validate / repair the model's choice (always-string) ───────────
-    let resolvedName = '';
-    if (suggestedCategory) {
-      const lower = suggestedCategory.toLowerCase();
-      if (nameByLower.has(lower)) {
-        resolvedName = nameByLower.get(lower);
-      } else {
-        // Best-effort closest match: contains-either-way, then return the
-        // user's actual cased name (NOT the model's variant).
-        const closest = uniqueCategoryNames.find((n) => {
-          const nl = n.toLowerCase();
-          return nl.includes(lower) || lower.includes(nl);
-        });
-        if (closest) {
-          resolvedName = closest;
-          method = 'ai-closest-match';
-        }
-      }
-    }
+    const matched = resolveModelCategory(suggestedCategory, categoryLookup);
+    let resolvedName = matched ? matched.name : '';
+    if (matched && matched.closest) method = 'ai-closest-match';
 
     // ── 5. Final fallback: deterministic categorizer, then first category ─
     if (!resolvedName) {
@@ -5787,6 +6516,7 @@ exports.autoCategorizeTransaction = async (req, res) => {
       return 'Uncategorized';
     })();
     
+    recordCategorizationServed({ method: 'error-fallback', confidence: 'low' });
     res.status(500).json({ 
       success: false,
       error: 'Internal server error',
@@ -5798,6 +6528,297 @@ exports.autoCategorizeTransaction = async (req, res) => {
   }
 };
 
+// Rows that are the same merchant + Plaid signal get one answer: they share a
+// cache slot, so the single endpoint would answer them identically anyway.
+// Rows with no merchant at all are never merged.
+function batchDedupeKey(transaction) {
+  const source = cacheMerchantSource(transaction);
+  if (!source || typeof source !== 'string' || !source.trim()) return null;
+  return `${merchantMatchKey(source)}|${cachePfcSegment(transaction)}`;
+}
+
+// One grouped selectCategories call for up to AUTOCATEGORIZE_BATCH_GROUP_SIZE
+// merchants. Resolves { id -> { category, confidence, reason } }; throws when
+// the call fails so the caller can fall back for the whole group.
+async function categorizeBatchGroup(group, categoryLookup, transactionHistory, { usageUserId, queryModel }) {
+  const ids = group.map((g) => g.id);
+  const items = group.map((g) => ({
+    id: g.id,
+    transaction: compactTransactionForPrompt(g.transaction),
+    merchant_history_summary: summarizeMerchantHistory(g.transaction, transactionHistory),
+    relevant_history: pickRelevantHistory(g.transaction, transactionHistory).slice(0, AUTOCATEGORIZE_BATCH_HISTORY_PER_ITEM),
+  }));
+  const messages = [
+    {
+      role: 'system',
+      content:
+        AUTOCATEGORIZE_PROMPT_INTRO +
+        `You will receive several transactions ("items"), each with its own ` +
+        `merchant_history_summary and relevant_history. Categorize every item ` +
+        `independently with these rules:\n\n` +
+        AUTOCATEGORIZE_PROMPT_RULES +
+        `You MUST respond by calling the selectCategories tool with exactly one result ` +
+        `per item id — never reply in plain text.`,
+    },
+    {
+      role: 'user',
+      content:
+        `Categorize each item. Choose one category per item by calling selectCategories.\n\n` +
+        `Available categories:\n${categoryLookup.categoryListText}\n\n` +
+        `Items (JSON):\n${JSON.stringify(items)}`,
+    },
+  ];
+  const selectCategoriesTool = {
+    type: 'function',
+    function: {
+      name: 'selectCategories',
+      description:
+        'Select exactly one category for every item from the provided list. ' +
+        'Each category MUST be one of the user\'s active categories.',
+      parameters: {
+        type: 'object',
+        properties: {
+          results: {
+            type: 'array',
+            items: {
+              type: 'object',
+              properties: {
+                id: { type: 'string', enum: ids },
+                category: { type: 'string', enum: categoryLookup.uniqueCategoryNames },
+                confidence: { type: 'string', enum: ['high', 'medium', 'low'] },
+                reason: { type: 'string', description: 'A short (<=80 chars) reason for the choice.' },
+              },
+              required: ['id', 'category', 'confidence'],
+            },
+          },
+        },
+        required: ['results'],
+      },
+    },
+  };
+  const response = await queryModel(messages, {
+    tools: [selectCategoriesTool],
+    tool_choice: { type: 'function', function: { name: 'selectCategories' } },
+    temperature: 0.1,
+    max_tokens: 60 * group.length + 40,
+    timeout: AUTOCATEGORIZE_BATCH_TIMEOUT_MS,
+    callSite: LLM_CALL_SITES.AUTO_CATEGORIZE,
+    usageUserId,
+    deployment: process.env.AZURE_OPENAI_DEPLOYMENT_LIGHT || undefined,
+  });
+  const argsText = response?.choices?.[0]?.message?.tool_calls?.[0]?.function?.arguments;
+  const parsed = argsText ? JSON.parse(argsText) : null;
+  const byId = new Map();
+  for (const r of Array.isArray(parsed?.results) ? parsed.results : []) {
+    if (!r || typeof r.id !== 'string' || byId.has(r.id) || ids.indexOf(r.id) === -1) continue;
+    byId.set(r.id, {
+      category: typeof r.category === 'string' ? stripWrappingQuotes(r.category) : '',
+      confidence: ['high', 'medium', 'low'].includes(r.confidence) ? r.confidence : 'medium',
+      reason: typeof r.reason === 'string' ? r.reason.slice(0, 200) : '',
+    });
+  }
+  return byId;
+}
+
+// Batch categorization core. Same ladder as the single endpoint — rules,
+// cache, fast path, model, first category — but run once per distinct merchant, and
+// the model sees only the leftovers, AUTOCATEGORIZE_BATCH_GROUP_SIZE per call.
+// Returns per-row results in input order plus counters.
+async function runAutoCategorizeBatch(
+  { transactions, transactionHistory, categories, userId = null, accountId = null, usageUserId = userId, ruleUserId = null },
+  { store = redis, queryModel = queryAzureOpenAI, db } = {}
+) {
+  const categoryLookup = buildCategoryLookup(categories);
+  const rules = ruleUserId != null ? await loadActiveRules(ruleUserId, accountId, { db }) : [];
+  const { nameByLower, firstCategoryName } = categoryLookup;
+  const known = (name) => (name && nameByLower.has(String(name).toLowerCase()) ? nameByLower.get(String(name).toLowerCase()) : null);
+
+  const groups = [];
+  const byKey = new Map();
+  transactions.forEach((transaction, index) => {
+    // ── 0. User rules ───────────────────────────────────────────────────
+    // Per row, before merging: a rule may depend on the amount.
+    const ruled = ruleCategorization(rules, transaction, nameByLower);
+    const key = ruled ? null : batchDedupeKey(transaction);
+    let group = key ? byKey.get(key) : null;
+    if (!group) {
+      group = {
+        id: `t${groups.length + 1}`,
+        transaction,
+        cacheKey: buildAutoCategorizationCacheKey({ userId, accountId, transaction }),
+        indexes: [],
+        result: ruled,
+      };
+      groups.push(group);
+      if (key) byKey.set(key, group);
+    }
+    group.indexes.push(index);
+  });
+
+  // ── 1. Cache ──────────────────────────────────────────────────────────
+  await Promise.all(groups.filter((g) => !g.result).map(async (group) => {
+    try {
+      const cached = await store.get(group.cacheKey);
+      const parsed = cached ? JSON.parse(cached) : null;
+      const name = known(coerceToString(parsed?.suggestedCategory, ''));
+      if (name) {
+        group.result = {
+          suggestedCategory: name,
+          confidence: parsed?.confidence || 'high',
+          note: 'Cache hit (autocategorize)',
+          method: 'cache',
+          cached: true,
+        };
+      }
+    } catch (e) { /* cache failure is non-fatal */ }
+  }));
+
+  // ── 2. Fast path ──────────────────────────────────────────────────────
+  await Promise.all(groups.filter((g) => !g.result).map(async (group) => {
+    let name = null;
+    try {
+      name = known(categorizeTransactionFast(group.transaction, categories, transactionHistory));
+    } catch (e) {
+      console.warn('Auto-categorize batch: fast-path threw, ignoring:', e.message);
+    }
+    if (!name) return;
+    group.result = {
+      suggestedCategory: name,
+      confidence: 'high',
+      note: 'Category determined using fast pattern matching',
+      method: 'fast-path',
+    };
+    try {
+      await store.set(
+        group.cacheKey,
+        JSON.stringify({ suggestedCategory: name, confidence: 'high', via: 'fast-path' }),
+        'EX',
+        AUTOCATEGORIZE_CACHE_TTL_FAST
+      );
+    } catch (e) { /* cache failure is non-fatal */ }
+  }));
+
+  // ── 3. Model, grouped ─────────────────────────────────────────────────
+  const leftovers = groups.filter((g) => !g.result);
+  const chunks = [];
+  for (let i = 0; i < leftovers.length; i += AUTOCATEGORIZE_BATCH_GROUP_SIZE) {
+    chunks.push(leftovers.slice(i, i + AUTOCATEGORIZE_BATCH_GROUP_SIZE));
+  }
+  let llmCalls = 0;
+  for (let i = 0; i < chunks.length; i += AUTOCATEGORIZE_BATCH_CONCURRENCY) {
+    await Promise.all(chunks.slice(i, i + AUTOCATEGORIZE_BATCH_CONCURRENCY).map(async (chunk) => {
+      llmCalls += 1;
+      let answers = new Map();
+      try {
+        answers = await categorizeBatchGroup(chunk, categoryLookup, transactionHistory, { usageUserId, queryModel });
+      } catch (llmError) {
+        console.log('Auto-categorize batch: model call failed, falling back:', llmError?.message);
+      }
+      await Promise.all(chunk.map(async (group) => {
+        const answer = answers.get(group.id);
+        const matched = answer ? resolveModelCategory(answer.category, categoryLookup) : null;
+        if (!matched) return;
+        const method = matched.closest ? 'ai-closest-match' : 'ai';
+        group.result = {
+          suggestedCategory: matched.name,
+          confidence: answer.confidence,
+          note: answer.reason || (method === 'ai' ? 'Categorized by LLM' : `Resolved via ${method}`),
+          method,
+          originalSuggestion: answer.category.toLowerCase() !== matched.name.toLowerCase() ? answer.category : undefined,
+        };
+        try {
+          await store.set(
+            group.cacheKey,
+            JSON.stringify({ suggestedCategory: matched.name, confidence: answer.confidence, via: method, reason: answer.reason }),
+            'EX',
+            AUTOCATEGORIZE_CACHE_TTL
+          );
+        } catch (e) { /* cache failure non-fatal */ }
+      }));
+    }));
+  }
+
+  // ── 4. Fallback ───────────────────────────────────────────────────────
+  // The fast path already missed these, so only the first category is left.
+  // Not cached: a model outage must not pin the default for a week.
+  for (const group of groups) {
+    if (group.result) continue;
+    group.result = {
+      suggestedCategory: firstCategoryName,
+      confidence: 'low',
+      note: 'Resolved via fallback-default',
+      method: 'fallback-default',
+    };
+  }
+
+  const results = new Array(transactions.length);
+  const stats = { total: transactions.length, unique: groups.length, rule: 0, cache: 0, fastPath: 0, ai: 0, fallback: 0, llmCalls };
+  for (const group of groups) {
+    const shaped = shapeCategorization(group.result, firstCategoryName);
+    if (shaped.method === 'rule') stats.rule += 1;
+    else if (shaped.method === 'cache') stats.cache += 1;
+    else if (shaped.method === 'fast-path') stats.fastPath += 1;
+    else if (shaped.method.startsWith('ai')) stats.ai += 1;
+    else stats.fallback += 1;
+    for (const index of group.indexes) results[index] = { index, ...shaped };
+  }
+  return { results, stats };
+}
+
+// POST /auto-categorize/batch
+//
+// Body: { transactions: [...], transactionHistory, categories, userId, accountId }
+// — the single endpoint's shape with `transactions` instead of `transaction`,
+// and one shared history / category list for every row.
+exports.autoCategorizeBatch = async (req, res) => {
+  const { transactions, transactionHistory, categories } = req.body || {};
+  const userId = req.body?.userId ?? req.body?.sessionId ?? req.user?.id ?? null;
+  const accountId = req.body?.accountId ?? req.body?.accountid ?? null;
+  if (!Array.isArray(transactions) || transactions.length === 0) {
+    return res.status(400).json({ error: 'transactions must be a non-empty array' });
+  }
+  if (transactions.length > AUTOCATEGORIZE_BATCH_MAX) {
+    return res.status(400).json({ error: `At most ${AUTOCATEGORIZE_BATCH_MAX} transactions per batch` });
+  }
+  if (transactions.some((t) => !t || typeof t !== 'object')) {
+    return res.status(400).json({ error: 'Every transaction must be an object' });
+  }
+  if (!Array.isArray(categories) || categories.length === 0) {
+    return res.status(400).json({ error: 'Categories array is required and must not be empty' });
+  }
+  if (buildCategoryLookup(categories).uniqueCategoryNames.length === 0) {
+    return res.status(400).json({ error: 'Categories array did not contain any usable names' });
+  }
+  const ruleUserId = verifiedRuleUserId(req);
+  try {
+    const { results, stats } = await runAutoCategorizeBatch({
+      transactions,
+      transactionHistory,
+      categories,
+      userId,
+      accountId,
+      usageUserId: req.usageUserId ?? null,
+      ruleUserId,
+    });
+    console.log('Auto-categorize batch:', JSON.stringify(stats), '| user:', userId, '| account:', accountId);
+    recordCategorizationServed(results);
+    if (ruleUserId != null) {
+      results.forEach((result, i) => rememberServedSuggestion(
+        buildAutoCategorizationCacheKey({ userId: ruleUserId, accountId, transaction: transactions[i] }),
+        result,
+      ));
+    }
+    return res.json({ success: true, results, stats });
+  } catch (error) {
+    console.error('Auto-categorize batch error:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      details: error.message || 'Unknown error occurred',
+    });
+  }
+};
+
 // POST /auto-categorize/invalidate
 //
 // Evicts the specific Redis cache slot for a single transaction. Call this
@@ -5805,10 +6826,32 @@ exports.autoCategorizeTransaction = async (req, res) => {
 // category so the next reconcile for the same merchant gets a fresh answer
 // rather than serving the stale cached suggestion for up to 7 days.
 //
-// Body: same shape as /auto-categorize — { transaction, userId, accountId }
+// Body: same shape as /auto-categorize — { transaction, userId, accountId },
+// plus the optional `category` the user chose. For a signed-in user the
+// override is learned as a candidate rule (services/keaCategoryRules.js) the
+// user can approve, and labeled for the accuracy report; a candidate never
+// applies until approved.
+// The suggestion the user is overriding, for the accuracy feedback row: what
+// this server served for the user's slot (taken once), else the cached answer
+// about to be evicted (its `via` is the method that produced it). Never a
+// suggestion the client echoes back.
+async function overriddenSuggestion(slotKey) {
+  const served = await takeServedSuggestion(slotKey);
+  if (served) return served;
+  try {
+    const cached = JSON.parse((await redis.get(slotKey)) || 'null');
+    if (cached && cached.suggestedCategory) {
+      return { suggestedCategory: cached.suggestedCategory, method: cached.via, confidence: cached.confidence };
+    }
+  } catch (e) {
+    console.warn('Auto-categorize: cached suggestion read failed:', e.message);
+  }
+  return null;
+}
+
 exports.invalidateAutoCategorizationKey = async (req, res) => {
   try {
-    const { transaction } = req.body;
+    const { transaction, category } = req.body;
     const userId    = req.body?.userId ?? req.body?.sessionId ?? req.user?.id ?? null;
     const accountId = req.body?.accountId ?? req.body?.accountid ?? null;
 
@@ -5816,11 +6859,32 @@ exports.invalidateAutoCategorizationKey = async (req, res) => {
       return res.status(400).json({ error: 'transaction is required' });
     }
 
+    const chosen = typeof category === 'string' && category.trim() ? category : null;
+    // Rules and feedback change what the user's future rows get and what the
+    // accuracy report says, so they are only recorded for the verified
+    // session user — never for a body id.
+    const ruleUserId = verifiedRuleUserId(req);
     const cacheKey = buildAutoCategorizationCacheKey({ userId, accountId, transaction });
+    const suggestion = chosen && ruleUserId != null
+      ? await overriddenSuggestion(buildAutoCategorizationCacheKey({ userId: ruleUserId, accountId, transaction }))
+      : null;
     const deleted  = await redis.del(cacheKey);
 
     console.log('Auto-categorize: invalidated cache key', cacheKey, '— deleted:', deleted);
-    return res.json({ success: true, invalidated: deleted > 0, key: cacheKey });
+    const [candidate, feedbackRecorded] = chosen && ruleUserId != null
+      ? await Promise.all([
+        learnCandidateRule(ruleUserId, { accountId, transaction, category: chosen }),
+        recordCategorizationFeedback({ userId: ruleUserId, accountId, transaction, suggestion, chosenCategory: chosen }),
+      ])
+      : [null, false];
+    return res.json({
+      success: true,
+      invalidated: deleted > 0,
+      key: cacheKey,
+      feedbackRecorded,
+      ...(candidate ? { candidateRule: candidate } : {}),
+      ...(chosen && ruleUserId == null ? { candidateRuleSkipped: 'sign_in_required' } : {}),
+    });
   } catch (err) {
     console.error('Auto-categorize invalidate error:', err);
     return res.status(500).json({ success: false, error: err.message });
@@ -6527,10 +7591,148 @@ exports.getChatHistory = async (req, res) => {
   }
 };
 
+// Build the routeCapability input the chat handler would derive from this
+// dialogue state + transcript, without touching Redis. Shared by the routing
+// debug endpoint and explain-route.js so they explain the production inputs.
+function buildRouteDebugInput({
+  message,
+  dialogueState,
+  history,
+  simulationMode,
+  accountId,
+  currentDate,
+  knownCategories,
+} = {}) {
+  const state = { ...emptyDialogueState(), ...(dialogueState && typeof dialogueState === 'object' ? dialogueState : {}) };
+  const transcript = Array.isArray(history) ? sanitizeMessageArray(history) : [];
+  const text = typeof message === 'string' ? message : '';
+  const draftComplete = isDraftProposable(state.draftTransaction) && state.needsReconfirm !== true;
+  const goalDraftComplete = isGoalDraftProposable(state.draftGoal) && state.goalNeedsReconfirm !== true;
+  return {
+    message: text,
+    simulationMode: simulationMode === true,
+    pendingWrite: state.pendingConfirmation === true || draftComplete
+      || transcriptShowsPendingProposal(transcript, state),
+    pendingGoalWrite: state.pendingGoalConfirmation === true || goalDraftComplete
+      || transcriptShowsPendingGoalProposal(transcript),
+    pendingDraft: state.draftTransaction,
+    pendingGoalDraft: state.draftGoal,
+    pendingBudgetWrite: state.pendingBudgetConfirmation === true,
+    pendingBudgetDraft: state.draftBudget,
+    userAffirmative: isAffirmativeMessage(text, state.draftTransaction),
+    dialogueState: state,
+    accountId: accountId != null ? accountId : null,
+    currentDate: currentDate || moment().format('YYYY-MM-DD'),
+    knownCategories: Array.isArray(knownCategories) ? knownCategories : [],
+  };
+}
+
+/**
+ * POST /api/agent/debug/route  (x-admin-key)
+ * Body: { message, dialogueState?, history?, currentDate?, accountId?,
+ *         simulationMode?, knownCategories? }
+ * Explains how the router would classify `message`: every intent rule that
+ * matched, the winner and why, or the dialogue-state stage that pre-empted
+ * the rules. Pure — reads no Redis, calls no model, persists nothing.
+ */
+exports.explainRoute = (req, res) => {
+  const body = req.body || {};
+  if (!body.message || typeof body.message !== 'string' || !body.message.trim()) {
+    return res.status(400).json({ error: 'message is required' });
+  }
+  try {
+    const explained = explainIntentRouting(buildRouteDebugInput(body));
+    const threshold = routeConfidenceThreshold();
+    const classifier = {
+      threshold,
+      enabled: !!routeClassifierDeployment(),
+      wouldRun: needsRouteClassifier(explained.route, threshold),
+    };
+    return res.json({ success: true, requestId: req.id, ...explained, classifier });
+  } catch (error) {
+    console.error('Route explain failed:', error.message);
+    return res.status(500).json({ error: 'Failed to explain route' });
+  }
+};
+
+// POST /api/agent/undo — the PWA's Undo button on the transactionResult toast.
+// Tapping it is the confirmation, so the inverse of the last committed write
+// runs directly (no Azure). `transaction_id` (optional) pins which write the
+// toast showed; a newer write in between answers 409 instead of undoing it.
+// A lock on the write (claimUndoLock) covers load → run → save, so a double
+// tap runs the inverse once; the state is re-read once the lock is held.
+exports.undoLastWrite = async (req, res) => {
+  const userId = req.cashflowUser?.id;
+  const body = req.body || {};
+  const unavailableReply = (reason) => res.status(409).json({
+    error: undoUnavailableText(reason),
+    code: 'KEA_UNDO_UNAVAILABLE',
+    reason,
+    requestId: req.id,
+  });
+  const target = lastCommittedWrite(await loadDialogueState(userId));
+  if (body.transaction_id != null && (!target || String(target.transaction_id) !== String(body.transaction_id))) {
+    return unavailableReply(UNDO_UNAVAILABLE.STALE);
+  }
+  const lock = target ? await claimUndoLock(userId, target) : { release: async () => false };
+  if (!lock) return unavailableReply(UNDO_UNAVAILABLE.IN_PROGRESS);
+  try {
+    const dialogueState = await loadDialogueState(userId);
+    const last = lastCommittedWrite(dialogueState);
+    if (target && (!last || last.at !== target.at || String(last.transaction_id) !== String(target.transaction_id))) {
+      return unavailableReply(last && last.undo_of ? UNDO_UNAVAILABLE.ALREADY_UNDONE : UNDO_UNAVAILABLE.STALE);
+    }
+    // The write's own account: it was authorized on the chat turn that made it.
+    const accountId = last && last.account_id != null ? last.account_id : null;
+    if (accountId != null && body.accountid != null && String(body.accountid) !== String(accountId)) {
+      return unavailableReply(UNDO_UNAVAILABLE.ACCOUNT_MISMATCH);
+    }
+    const op = deriveUndoOperation(last, { accountId });
+    if (!op.ok) return unavailableReply(op.reason);
+
+    const outcome = await runUndoOperation(dialogueState, op, {
+      userId,
+      token: req.cashflowToken,
+      accountId,
+      currentDate: typeof body.clientDate === 'string' ? body.clientDate : undefined,
+      requestId: req.id,
+      confirmationMessageId: clientMessageId(req),
+      simulationMode: body.mode === 'simulation',
+    });
+    if (outcome.blocked) return unavailableReply(UNDO_UNAVAILABLE.SIMULATION_MODE);
+    if (!outcome.ok) {
+      return res.status(502).json({ error: outcome.content, code: 'KEA_UNDO_FAILED', requestId: req.id });
+    }
+    dialogueState.pendingUndo = null;
+    if (dialogueState.intent === 'undo') {
+      dialogueState.pendingConfirmation = false;
+      dialogueState.intent = null;
+    }
+    await saveDialogueState(userId, dialogueState);
+    const record = outcome.record;
+    return res.json({
+      success: true,
+      response: outcome.content,
+      requestId: req.id,
+      transactionResult: {
+        reloadSelectedAccount: true,
+        writes: [record],
+        blocked: [],
+        focus: record.action === 'create' && record.transaction_id != null
+          ? { transaction_id: record.transaction_id, group_id: record.group_id, date: record.start }
+          : null,
+      },
+    });
+  } finally {
+    await lock.release();
+  }
+};
+
 // Pure, side-effect-free helpers exposed for the ad-hoc memory test script
 // (test-kea-memory.js). Not part of the HTTP surface.
 exports.__testables = {
   emptyDialogueState,
+  buildRouteDebugInput,
   isAffirmativeMessage,
   transcriptShowsPendingProposal,
   transcriptShowsPendingGoalProposal,
@@ -6547,6 +7749,12 @@ exports.__testables = {
   buildDuplicateCreateAck,
   resolvePostCreateAck,
   executeToolCalls,
+  regenerationMessages,
+  runUndoOperation,
+  commitPendingUndo,
+  commitPendingSeriesRemoval,
+  commitPendingDebtPayment,
+  runDebtPaymentSimulation,
   looksLikeConcreteWriteProposal,
   enforceProposalStateInvariant,
   nextWeekdayOnOrAfter,
@@ -6591,6 +7799,10 @@ exports.__testables = {
   refreshRollingSummary,
   trySendJson,
   createRequestLifecycle,
+  buildCategoryLookup,
+  resolveModelCategory,
+  batchDedupeKey,
+  runAutoCategorizeBatch,
   ACCOUNT_SCOPED_READ_TOOLS: Array.from(ACCOUNT_SCOPED_READ_TOOLS),
   // Mirrors the write-gate condition enforced inside executeToolCalls: armed by
   // an explicit pendingConfirmation flag, a complete draft staged earlier, OR a
@@ -6610,5 +7822,8 @@ exports.__testables = {
     FACTS_MAX_CHARS,
     WRITE_TOOLS: Array.from(WRITE_TOOLS),
     GOAL_WRITE_TOOLS: Array.from(GOAL_WRITE_TOOLS),
+    BUDGET_WRITE_TOOLS: Array.from(BUDGET_WRITE_TOOLS),
+    AUTOCATEGORIZE_BATCH_MAX,
+    AUTOCATEGORIZE_BATCH_GROUP_SIZE,
   },
 };
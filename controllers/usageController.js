@@ -0,0 +1,59 @@
+// controllers/usageController.js
+// Admin-only LLM usage inspection (services/keaUsage.js). Mounted behind
+// requireAdminKey() in routes/adminRoutes.js.
+const {
+  usagePeriods,
+  getUsage,
+  setUserPlan,
+  topUsageUsers,
+  loadUsagePlans,
+} = require('../services/keaUsage');
+
+const MAX_TOP_USERS = 100;
+
+// GET /api/admin/usage?month=YYYY-MM&limit=20 — heaviest user keys this month.
+exports.getTopUsage = async (req, res) => {
+  try {
+    const month = /^\d{4}-\d{2}$/.test(String(req.query.month || ''))
+      ? String(req.query.month)
+      : usagePeriods().month;
+    const limit = Math.min(MAX_TOP_USERS, Math.max(1, parseInt(req.query.limit, 10) || 20));
+    const users = await topUsageUsers(month, limit);
+    res.json({ success: true, month, users, plans: loadUsagePlans() });
+  } catch (error) {
+    console.error('Usage: top users failed:', error.message);
+    res.status(500).json({ success: false, error: 'Failed to read usage', requestId: req.id });
+  }
+};
+
+// GET /api/admin/usage/:userId — day + month totals, plan and limits.
+exports.getUserUsage = async (req, res) => {
+  try {
+    const usage = await getUsage(req.params.userId);
+    res.json({ success: true, userId: req.params.userId, ...usage });
+  } catch (error) {
+    console.error('Usage: user lookup failed:', error.message);
+    res.status(500).json({ success: false, error: 'Failed to read usage', requestId: req.id });
+  }
+};
+
+// PUT /api/admin/usage/:userId/plan { plan } — assign a quota plan; a null /
+// empty plan clears the assignment back to KEA_USAGE_DEFAULT_PLAN.
+exports.setUserUsagePlan = async (req, res) => {
+  const plan = req.body ? req.body.plan : undefined;
+  if (plan !== null && plan !== '' && (typeof plan !== 'string' || !loadUsagePlans()[plan])) {
+    return res.status(400).json({
+      success: false,
+      error: 'plan must be one of the configured KEA_USAGE_PLANS (or null to clear)',
+      code: 'KEA_USAGE_PLAN_UNKNOWN',
+      requestId: req.id,
+    });
+  }
+  try {
+    const assigned = await setUserPlan(req.params.userId, plan);
+    res.json({ success: true, userId: req.params.userId, plan: assigned });
+  } catch (error) {
+    console.error('Usage: plan update failed:', error.message);
+    res.status(500).json({ success: false, error: 'Failed to update plan', requestId: req.id });
+  }
+};
@@ -0,0 +1,22 @@
+// controllers/webhookController.js
+// Signed server-to-server webhooks from Cashflow. Mounted behind
+// requireWebhookSignature() in routes/webhookRoutes.js.
+const { SnapshotEventError, applySnapshotEvents } = require('../services/keaSnapshotEvents');
+
+// POST /api/webhooks/cashflow/account-events
+// { events: [{ id, type, accountId, userId | userIds, snapshot? }] } — drops
+// (and optionally re-warms) the compact Kea snapshot for each listed viewer.
+// 503 when an event failed, so Cashflow retries; applied ids answer duplicate.
+exports.accountEvents = async (req, res) => {
+  try {
+    const results = await applySnapshotEvents(req.body, { requestId: req.id });
+    const failed = results.some((r) => r.status === 'failed');
+    res.status(failed ? 503 : 200).json({ success: !failed, results });
+  } catch (error) {
+    if (error instanceof SnapshotEventError) {
+      return res.status(400).json({ success: false, error: error.message, code: error.code, requestId: req.id });
+    }
+    console.error('Webhooks: account events failed:', error.message);
+    res.status(500).json({ success: false, error: 'Failed to apply account events', requestId: req.id });
+  }
+};
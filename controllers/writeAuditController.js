@@ -0,0 +1,27 @@
+// controllers/writeAuditController.js
+// A signed-in user's own Kea write history (services/keaWriteAudit.js).
+// Mounted behind cashflowAuth() in routes/openaiRoutes.js; the user always
+// comes from the verified token, never from the query string.
+const { listWriteAudit } = require('../services/keaWriteAudit');
+
+// GET /api/agent/writes?limit=20&cursor=<id>&accountid=<id> — newest first.
+// Pass the previous page's nextCursor as `cursor`; null means no more pages.
+exports.getWriteHistory = async (req, res) => {
+  const userId = req.cashflowUser?.id;
+  const { limit, cursor, accountid } = req.query || {};
+  if (cursor != null && cursor !== '' && !/^\d+$/.test(String(cursor))) {
+    return res.status(400).json({
+      success: false,
+      error: 'cursor must be the nextCursor from a previous page',
+      code: 'KEA_WRITE_HISTORY_CURSOR_INVALID',
+      requestId: req.id,
+    });
+  }
+  try {
+    const page = await listWriteAudit(userId, { limit, cursor, accountId: accountid });
+    res.json({ success: true, ...page });
+  } catch (error) {
+    console.error('Write history lookup failed:', error.message);
+    res.status(500).json({ success: false, error: 'Failed to read write history', requestId: req.id });
+  }
+};
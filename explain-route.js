@@ -0,0 +1,87 @@
+/**
+ * explain-route.js  (ad-hoc, no server / no secrets required)
+ * ─────────────────────────────────────────────────────────────
+ * Prints how the Kea capability router classifies one message: every intent
+ * rule that matched (priority order), the winner and why, or the dialogue
+ * state stage that decided the turn before the rules ran.
+ *
+ * Run:  node explain-route.js "how has dining trended the last 3 months"
+ *       node explain-route.js --state state.json --date 2026-10-19 "yes"
+ *       node explain-route.js --json "what's coming up next week"
+ *
+ * --state   JSON file holding a dialogue state (as stored under kea:dialogue:*)
+ * --history JSON file holding the recent transcript ([{ role, content }])
+ * --rules   extra intent-rule JSON file (same as KEA_INTENT_RULES_PATH)
+ * --date    client date (YYYY-MM-DD); defaults to today
+ * --sim     simulation mode on
+ * --json    print the raw explanation object
+ */
+
+const fs = require('fs');
+
+function readJson(file) {
+  return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+function parseArgs(argv) {
+  const out = { words: [] };
+  for (let i = 0; i < argv.length; i += 1) {
+    const a = argv[i];
+    if (a === '--state') out.state = argv[++i];
+    else if (a === '--history') out.history = argv[++i];
+    else if (a === '--rules') out.rules = argv[++i];
+    else if (a === '--date') out.date = argv[++i];
+    else if (a === '--account') out.accountId = argv[++i];
+    else if (a === '--sim') out.sim = true;
+    else if (a === '--json') out.json = true;
+    else out.words.push(a);
+  }
+  return out;
+}
+
+const args = parseArgs(process.argv.slice(2));
+const message = args.words.join(' ').trim();
+if (!message) {
+  console.error('usage: node explain-route.js [--state file] [--history file] [--rules file] [--date YYYY-MM-DD] [--sim] [--json] "<message>"');
+  process.exit(2);
+}
+if (args.rules) process.env.KEA_INTENT_RULES_PATH = args.rules;
+
+const { explainIntentRouting } = require('./services/keaCapabilityRouter');
+// The controller logs its tool schemas on load; keep the CLI output readable.
+const quietLog = console.log;
+console.log = () => {};
+const { __testables: T } = require('./controllers/openaiController');
+console.log = quietLog;
+
+const explained = explainIntentRouting(T.buildRouteDebugInput({
+  message,
+  dialogueState: args.state ? readJson(args.state) : null,
+  history: args.history ? readJson(args.history) : null,
+  currentDate: args.date,
+  accountId: args.accountId,
+  simulationMode: !!args.sim,
+}));
+
+if (args.json) {
+  console.log(JSON.stringify(explained, null, 2));
+  process.exit(0);
+}
+
+console.log(`\nmessage:    ${message}`);
+console.log(`capability: ${explained.route.capability}${explained.route.parentCapability ? ` (parent ${explained.route.parentCapability})` : ''}`);
+console.log(`decided by: ${explained.decidedBy}`);
+console.log(`decision:   ${explained.decision}`);
+console.log(`\nmatching rules (${explained.matches.length} of ${explained.registry.size}):`);
+if (!explained.matches.length) console.log('  (none)');
+explained.matches.forEach((m, i) => {
+  const mark = i === 0 ? '→' : ' ';
+  console.log(`  ${mark} ${String(m.priority).padStart(5)}  ${m.name}  [${m.capability}]  ${m.reasons.join('; ')}${m.source !== 'builtin' ? `  (${m.source})` : ''}`);
+});
+const jsonRules = explained.registry.jsonRules;
+if (jsonRules.path) {
+  console.log(`\nJSON rules: ${jsonRules.loaded.length} loaded from ${jsonRules.path}`);
+  jsonRules.errors.forEach((e) => console.log(`  skipped ${e.rule || '-'}: ${e.message}`));
+}
+console.log('');
+process.exit(0);
@@ -0,0 +1,31 @@
+'use strict';
+
+// Lower-cased header name the gate checks for the shared admin secret.
+const ADMIN_KEY_HEADER = 'x-admin-key';
+
+// Returns true if the request may use an admin route. In production we
+// require `x-admin-key` to match `process.env.ADMIN_CACHE_FLUSH_KEY`. In
+// non-prod we skip the gate entirely so devs can curl without env setup.
+function isAdminKeyAllowed(req) {
+  const expected = process.env.ADMIN_CACHE_FLUSH_KEY;
+  const provided = req.headers[ADMIN_KEY_HEADER] || req.headers['X-Admin-Key'];
+  const isProd = process.env.NODE_ENV === 'production';
+  if (!isProd && !expected) return true; // dev / local convenience
+  if (!expected) return false;            // prod with no key configured → refuse
+  return typeof provided === 'string' && provided.length > 0 && provided === expected;
+}
+
+function requireAdminKey() {
+  return function adminKeyGate(req, res, next) {
+    if (!isAdminKeyAllowed(req)) {
+      return res.status(403).json({ error: 'Admin key required' });
+    }
+    return next();
+  };
+}
+
+module.exports = {
+  ADMIN_KEY_HEADER,
+  isAdminKeyAllowed,
+  requireAdminKey,
+};
@@ -67,86 +67,87 @@ async function isCashflowSessionActive(jti, userId, queryFn, timeoutMs) {
   return !!(rows && rows.length);
 }
 
-function cashflowAuth(options = {}) {
-  const injectedQuery = options.queryFn;
-  return async function cashflowAuthMiddleware(req, res, next) {
-    if (req.method === 'OPTIONS') return next();
-
-    const secret = getCashflowJwtSecret();
-    if (!secret) {
-      return res.status(503).json({
-        error: 'Cashflow JWT secret not configured',
-        code: 'CASHFLOW_JWT_SECRET_MISSING',
-        requestId: req.id,
-      });
-    }
-
-    const token = extractCashflowToken(req);
-    if (!token) {
-      return res.status(401).json({
-        error: 'Access denied, token missing',
-        code: 'TOKEN_MISSING',
-        requestId: req.id,
-      });
-    }
+function denied(status, code, error) {
+  return { ok: false, status, code, error };
+}
 
-    let payload;
+/**
+ * Verify one cashflow session token outside a request (e.g. per-account
+ * tokens in a server-to-server batch). Same checks as the middleware.
+ * Resolves { ok: true, user } or { ok: false, status, code, error }.
+ */
+async function verifyCashflowSessionToken(token, options = {}) {
+  const secret = getCashflowJwtSecret();
+  if (!secret) return denied(503, 'CASHFLOW_JWT_SECRET_MISSING', 'Cashflow JWT secret not configured');
+  if (!token) return denied(401, 'TOKEN_MISSING', 'Access denied, token missing');
+
+  let payload;
+  try {
+    payload = jwt.verify(token, secret);
+  } catch (err) {
+    return denied(401, 'TOKEN_INVALID', 'Invalid or expired token');
+  }
+
+  // Reject non-session tokens (password-setup temp JWT, satellite share links,
+  // Kea's own service credentials).
+  if (payload.setup === true || payload.share || payload.kea_service) {
+    return denied(401, 'TOKEN_WRONG_KIND', 'Token is not a user session token');
+  }
+
+  const userId = extractSessionUserId(payload);
+  if (userId == null) return denied(401, 'TOKEN_NO_ID', 'Token is missing user id');
+
+  if (payload.jti) {
     try {
-      payload = jwt.verify(token, secret);
-    } catch (err) {
-      return res.status(401).json({
-        error: 'Invalid or expired token',
-        code: 'TOKEN_INVALID',
-        requestId: req.id,
-      });
+      const queryFn = options.queryFn || require('../services/db').query;
+      const active = await isCashflowSessionActive(
+        payload.jti,
+        userId,
+        queryFn,
+        options.dbTimeoutMs
+      );
+      if (!active) {
+        return denied(401, 'SESSION_REVOKED', 'Session revoked or expired. Please log in again.');
+      }
+    } catch (e) {
+      // Fail-soft: agent DB may not expose user_sessions. Documented as deferred
+      // hard-fail in KEA_ARCHITECTURE.md. Signature check still applies.
+      console.warn('cashflowAuth jti check failed (fail-soft):', e.message);
     }
+  }
 
-    // Reject non-session tokens (password-setup temp JWT, satellite share links).
-    if (payload.setup === true || payload.share) {
-      return res.status(401).json({
-        error: 'Token is not a user session token',
-        code: 'TOKEN_WRONG_KIND',
-        requestId: req.id,
-      });
-    }
+  return {
+    ok: true,
+    user: {
+      id: userId,
+      username: payload.username,
+      jti: payload.jti || null,
+    },
+  };
+}
 
-    const userId = extractSessionUserId(payload);
-    if (userId == null) {
-      return res.status(401).json({
-        error: 'Token is missing user id',
-        code: 'TOKEN_NO_ID',
+/**
+ * `optional: true` never rejects: a valid session sets req.cashflowUser, a
+ * missing or bad token just leaves it unset (for routes that stay open but
+ * only trust identity-bound side effects to a verified user).
+ */
+function cashflowAuth(options = {}) {
+  return async function cashflowAuthMiddleware(req, res, next) {
+    if (req.method === 'OPTIONS') return next();
+
+    const token = extractCashflowToken(req);
+    if (options.optional && !token) return next();
+    const verified = await verifyCashflowSessionToken(token, options);
+    if (!verified.ok && options.optional) return next();
+    if (!verified.ok) {
+      return res.status(verified.status).json({
+        error: verified.error,
+        code: verified.code,
         requestId: req.id,
       });
     }
 
-    if (payload.jti) {
-      try {
-        const queryFn = injectedQuery || require('../services/db').query;
-        const active = await isCashflowSessionActive(
-          payload.jti,
-          userId,
-          queryFn,
-          options.dbTimeoutMs
-        );
-        if (!active) {
-          return res.status(401).json({
-            error: 'Session revoked or expired. Please log in again.',
-            code: 'SESSION_REVOKED',
-            requestId: req.id,
-          });
-        }
-      } catch (e) {
-        // Fail-soft: agent DB may not expose user_sessions. Documented as deferred
-        // hard-fail in KEA_ARCHITECTURE.md. Signature check still applies.
-        console.warn('cashflowAuth jti check failed (fail-soft):', e.message);
-      }
-    }
-
-    req.cashflowUser = {
-      id: userId,
-      username: payload.username,
-      jti: payload.jti || null,
-    };
+    req.cashflowUser = verified.user;
     req.cashflowToken = token;
     next();
   };
@@ -154,6 +155,7 @@ function cashflowAuth(options = {}) {
 
 module.exports = {
   cashflowAuth,
+  verifyCashflowSessionToken,
   extractCashflowToken,
   extractSessionUserId,
   getCashflowJwtSecret,
@@ -0,0 +1,109 @@
+'use strict';
+
+const {
+  IDEMPOTENCY_STATUS,
+  readIdempotencyKey,
+  chatRequestFingerprint,
+  claimIdempotencyKey,
+  committedOutcome,
+  completeIdempotentTurn,
+  releaseIdempotencyKey,
+} = require('../services/keaIdempotency');
+const { wantsEventStream, createChatEventStream } = require('../services/keaChatStream');
+
+const REPLAYED_HEADER = 'Idempotent-Replayed';
+
+function replayOutcome(req, res, outcome) {
+  const status = Number(outcome.status) || 200;
+  const body = outcome.body;
+  try {
+    console.log(JSON.stringify({ event: 'kea_chat_idempotent_replay', requestId: req.id || null, status }));
+  } catch (e) { /* ignore */ }
+  res.setHeader(REPLAYED_HEADER, 'true');
+  if (wantsEventStream(req)) {
+    const stream = createChatEventStream({ req, res, requestId: req.id, heartbeatMs: 0 });
+    stream.open();
+    return status >= 400 ? stream.fail(status, body) : stream.final(body);
+  }
+  return res.status(status).json(body);
+}
+
+/**
+ * Wrap the chat handler with `Idempotency-Key` handling
+ * (services/keaIdempotency.js). Runs after cashflowAuth. The handler reports
+ * its outcome through `req.keaIdempotency.capture(status, body)` (see
+ * sendChatPayload). Once the handler settles, a claim that never captured
+ * anything is released so the client's retry runs the turn, unless the turn
+ * committed a write (the client went away first): that claim keeps
+ * `committedOutcome` so the retry cannot write twice.
+ */
+function idempotentChat(handler, { store } = {}) {
+  return async function idempotentChatHandler(req, res) {
+    const key = readIdempotencyKey(req);
+    const userId = req.cashflowUser && req.cashflowUser.id;
+    if (key === null || userId == null || userId === '') return handler(req, res);
+    if (key === false) {
+      return res.status(400).json({
+        error: 'Idempotency-Key must be 1-255 visible ASCII characters',
+        code: 'IDEMPOTENCY_KEY_INVALID',
+        requestId: req.id,
+      });
+    }
+
+    const claim = await claimIdempotencyKey({
+      userId,
+      key,
+      fingerprint: chatRequestFingerprint(req.body),
+    }, { store });
+    if (claim.status === IDEMPOTENCY_STATUS.REPLAY) return replayOutcome(req, res, claim.outcome);
+    if (claim.status === IDEMPOTENCY_STATUS.IN_FLIGHT) {
+      return res.status(409).json({
+        error: 'A request with this Idempotency-Key is still being processed',
+        code: 'IDEMPOTENCY_KEY_IN_FLIGHT',
+        requestId: req.id,
+      });
+    }
+    if (claim.status === IDEMPOTENCY_STATUS.MISMATCH) {
+      return res.status(422).json({
+        error: 'Idempotency-Key was already used for a different message',
+        code: 'IDEMPOTENCY_KEY_REUSED',
+        requestId: req.id,
+      });
+    }
+    if (claim.status !== IDEMPOTENCY_STATUS.CLAIMED) return handler(req, res);
+
+    let stored = null;
+    const writeCommitted = () => {
+      const telemetry = req.keaTelemetry;
+      return !!(telemetry && typeof telemetry.toPayload === 'function' && telemetry.toPayload().write_committed);
+    };
+    req.keaIdempotency = {
+      capture(status, body) {
+        if (stored) return;
+        stored = completeIdempotentTurn(claim, {
+          status,
+          body,
+          writeCommitted: writeCommitted(),
+          requestId: req.id,
+        }, { store });
+      },
+    };
+    try {
+      return await handler(req, res);
+    } finally {
+      if (stored) {
+        await stored;
+      } else if (writeCommitted()) {
+        const outcome = committedOutcome({ requestId: req.id });
+        await completeIdempotentTurn(claim, { ...outcome, writeCommitted: true, requestId: req.id }, { store });
+      } else {
+        await releaseIdempotencyKey(claim, { store });
+      }
+    }
+  };
+}
+
+module.exports = {
+  REPLAYED_HEADER,
+  idempotentChat,
+};
@@ -9,6 +9,7 @@ const CORS_ALLOWED_HEADERS = [
   'X-Requested-With',
   'X-Request-Id',
   'X-Auth-Token',
+  'Idempotency-Key',
 ];
 
 function parseAllowedOrigins(envValue = process.env.ALLOWED_ORIGINS) {
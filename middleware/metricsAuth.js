@@ -0,0 +1,31 @@
+'use strict';
+
+const { isAdminKeyAllowed } = require('./adminKey');
+
+// GET /metrics is scraped by Prometheus, which sends
+// `Authorization: Bearer <KEA_METRICS_TOKEN>`. The admin key also works so
+// operators can curl it. With neither configured the adminKey rules apply
+// (open in non-prod, refused in production).
+function isMetricsRequestAllowed(req) {
+  const token = process.env.KEA_METRICS_TOKEN;
+  if (token) {
+    if (req.headers.authorization === `Bearer ${token}`) return true;
+    // A configured token closes the non-prod shortcut of the admin gate.
+    if (!process.env.ADMIN_CACHE_FLUSH_KEY) return false;
+  }
+  return isAdminKeyAllowed(req);
+}
+
+function requireMetricsAccess() {
+  return function metricsAccessGate(req, res, next) {
+    if (!isMetricsRequestAllowed(req)) {
+      return res.status(403).json({ error: 'Metrics token required' });
+    }
+    return next();
+  };
+}
+
+module.exports = {
+  isMetricsRequestAllowed,
+  requireMetricsAccess,
+};
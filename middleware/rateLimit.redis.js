@@ -1,16 +1,30 @@
-const { RateLimiterRedis } = require('rate-limiter-flexible');
-const redis = require('../services/redisService'); // your existing ioredis client
+const { RateLimiterRedis, RateLimiterMemory } = require('rate-limiter-flexible');
+const redis = require('../services/redisService'); // storage adapter; .primary is the ioredis client
 
-const limiter = new RateLimiterRedis({
-  storeClient: redis,
+// While Redis is unreachable each limiter falls back to a per-process
+// in-memory limiter (insuranceLimiter) instead of 503-ing every request.
+// KEA_STORE=memory has no Redis client, so the memory limiter is used directly.
+function createLimiter({ keyPrefix, points, duration, storeClient = redis.primary }) {
+  const memory = new RateLimiterMemory({ keyPrefix, points, duration });
+  if (!storeClient) return memory;
+  return new RateLimiterRedis({
+    storeClient,
+    keyPrefix,
+    points,
+    duration,
+    inmemoryBlockOnConsumed: 0,
+    rejectIfRedisNotReady: true,
+    insuranceLimiter: memory,
+  });
+}
+
+const limiter = createLimiter({
   keyPrefix: 'rlflx',
   points: 120,          // points per duration
   duration: 1,         // per 60s
-  inmemoryBlockOnConsumed: 0
 });
 
-const strictLimiter = new RateLimiterRedis({
-  storeClient: redis,
+const strictLimiter = createLimiter({
   keyPrefix: 'rlflx_strict',
   points: 30,           // stricter for /chat + /summarize
   duration: 1
@@ -34,6 +48,8 @@ function wrapLimiter(instance) {
 }
 
 module.exports = {
+  createLimiter,
+  wrapLimiter,
   globalLimiter: wrapLimiter(limiter),
   sensitiveLimiter: wrapLimiter(strictLimiter)
 };
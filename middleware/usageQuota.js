@@ -0,0 +1,51 @@
+'use strict';
+
+const {
+  checkUsageQuota,
+  quotaExceededBody,
+} = require('../services/keaUsage');
+const {
+  verifyCashflowSessionToken,
+  extractCashflowToken,
+} = require('./cashflowAuth');
+
+// Bucket for requests that carry neither a session nor a client address.
+const ANONYMOUS_USAGE_KEY = 'anonymous';
+
+// Identity the LLM endpoints are metered (and billed) under. Only a verified
+// cashflow session counts as a user: cashflowAuth's req.cashflowUser on
+// /chat, otherwise a session token the caller happened to send. Body and
+// header ids (userId, sessionId, x-user-id) are client-set and never used.
+// Anything else shares a per-IP bucket, or one global bucket without an IP.
+async function requestUsageUserId(req, { verifyToken = verifyCashflowSessionToken } = {}) {
+  if (req.cashflowUser && req.cashflowUser.id != null && req.cashflowUser.id !== '') return req.cashflowUser.id;
+  const token = extractCashflowToken(req);
+  if (token) {
+    const verified = await verifyToken(token);
+    if (verified.ok) return verified.user.id;
+  }
+  return req.ip ? `ip:${req.ip}` : ANONYMOUS_USAGE_KEY;
+}
+
+// 429 KEA_QUOTA_EXCEEDED before any model call once the caller's plan limit
+// for the day or month is spent. Every request is checked; the resolved id is
+// left on req.usageUserId so the handler bills usage to the same key. A
+// failed check lets the request through (checkUsageQuota fails open).
+function usageQuota({ resolveUserId = requestUsageUserId, store } = {}) {
+  return async function usageQuotaGate(req, res, next) {
+    if (req.method === 'OPTIONS') return next();
+    const userId = await resolveUserId(req);
+    req.usageUserId = userId;
+    const decision = await checkUsageQuota(userId, { store });
+    if (decision.allowed) return next();
+    const retryAfter = Math.max(1, Math.ceil((Date.parse(decision.resetAt) - Date.now()) / 1000));
+    res.set('Retry-After', String(retryAfter));
+    return res.status(429).json(quotaExceededBody(decision, req.id));
+  };
+}
+
+module.exports = {
+  usageQuota,
+  requestUsageUserId,
+  ANONYMOUS_USAGE_KEY,
+};
@@ -0,0 +1,60 @@
+'use strict';
+
+const crypto = require('crypto');
+
+// Server-to-server webhooks from Cashflow are signed with a shared secret:
+//
+//   x-kea-timestamp: <unix seconds>
+//   x-kea-signature: sha256=<hex HMAC-SHA256 of `${timestamp}.${raw body}`>
+//
+// The timestamp is part of the signed material and must be within
+// toleranceSeconds of now, so a captured request cannot be replayed later.
+// The raw body comes from the express.json `verify` hook in app.js.
+const TIMESTAMP_HEADER = 'x-kea-timestamp';
+const SIGNATURE_HEADER = 'x-kea-signature';
+const DEFAULT_TOLERANCE_SECONDS = 300;
+
+function getWebhookSecret() {
+  return process.env.KEA_WEBHOOK_SECRET || null;
+}
+
+function signWebhookPayload(rawBody, timestamp, secret) {
+  const body = Buffer.isBuffer(rawBody) ? rawBody.toString('utf8') : String(rawBody || '');
+  return `sha256=${crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+}
+
+function signaturesMatch(expected, provided) {
+  const a = Buffer.from(expected);
+  const b = Buffer.from(String(provided || ''));
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+function requireWebhookSignature(options = {}) {
+  const toleranceSeconds = options.toleranceSeconds || DEFAULT_TOLERANCE_SECONDS;
+  return function webhookSignatureGate(req, res, next) {
+    const secret = options.secret || getWebhookSecret();
+    const deny = (status, code, error) => res.status(status).json({ error, code, requestId: req.id });
+    if (!secret) return deny(503, 'WEBHOOK_SECRET_MISSING', 'Webhook secret not configured');
+
+    const timestamp = req.headers[TIMESTAMP_HEADER];
+    const signature = req.headers[SIGNATURE_HEADER];
+    if (!timestamp || !signature || !req.rawBody) {
+      return deny(401, 'WEBHOOK_SIGNATURE_MISSING', 'Signed webhook headers are required');
+    }
+    const nowSeconds = Math.floor((options.now ? options.now() : Date.now()) / 1000);
+    if (!/^\d+$/.test(String(timestamp)) || Math.abs(nowSeconds - Number(timestamp)) > toleranceSeconds) {
+      return deny(401, 'WEBHOOK_TIMESTAMP_STALE', 'Webhook timestamp is outside the allowed window');
+    }
+    if (!signaturesMatch(signWebhookPayload(req.rawBody, timestamp, secret), signature)) {
+      return deny(401, 'WEBHOOK_SIGNATURE_INVALID', 'Webhook signature does not match');
+    }
+    return next();
+  };
+}
+
+module.exports = {
+  TIMESTAMP_HEADER,
+  SIGNATURE_HEADER,
+  signWebhookPayload,
+  requireWebhookSignature,
+};
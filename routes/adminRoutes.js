@@ -0,0 +1,23 @@
+// routes/adminRoutes.js
+const express = require('express');
+const router = express.Router();
+const usageController = require('../controllers/usageController');
+const categorizationReport = require('../controllers/categorizationReportController');
+const digests = require('../controllers/digestController');
+const { requireAdminKey } = require('../middleware/adminKey');
+
+// Every admin route requires `x-admin-key: <ADMIN_CACHE_FLUSH_KEY>` in production.
+router.use(requireAdminKey());
+
+// Per-user LLM token / cost accounting and quota plans.
+router.get('/usage', usageController.getTopUsage);
+router.get('/usage/:userId', usageController.getUserUsage);
+router.put('/usage/:userId/plan', usageController.setUserUsagePlan);
+
+// Auto-categorization accuracy from served counts and user overrides.
+router.get('/categorization/accuracy', categorizationReport.getCategorizationAccuracy);
+
+// Weekly / monthly digests for Cashflow's cron, for the accounts users opted in.
+router.post('/digests/run', digests.runDigests);
+
+module.exports = router;
@@ -1,18 +1,59 @@
 const express = require('express');
 const router = express.Router();
-const { analyzeTransactions, chat, clearHistory, checkHistorySize, clearSessionById, repairSession, getChatHistory, autoCategorizeTransaction, invalidateAutoCategorizationKey, summarization } = require('../controllers/openaiController');
+const { analyzeTransactions, chat, clearHistory, checkHistorySize, clearSessionById, repairSession, getChatHistory, autoCategorizeTransaction, autoCategorizeBatch, invalidateAutoCategorizationKey, summarization } = require('../controllers/openaiController');
 const {redisTest} = require('../controllers/openaiController');
+const { explainRoute, undoLastWrite } = require('../controllers/openaiController');
+const { getWriteHistory } = require('../controllers/writeAuditController');
+const categoryRules = require('../controllers/categoryRulesController');
+const {
+  previewDigest,
+  listDigestSubscriptions,
+  subscribeDigest,
+  unsubscribeDigest,
+} = require('../controllers/digestController');
 const { cashflowAuth } = require('../middleware/cashflowAuth');
+const { requireAdminKey } = require('../middleware/adminKey');
+const { usageQuota } = require('../middleware/usageQuota');
+const { idempotentChat } = require('../middleware/chatIdempotency');
 
 const requireCashflowUser = cashflowAuth();
+const optionalCashflowUser = cashflowAuth({ optional: true });
+// Per-plan token / cost quota (429 KEA_QUOTA_EXCEEDED) on every LLM endpoint.
+const withinUsageQuota = usageQuota();
 
 // Chat and analysis endpoints
-router.post('/chat', requireCashflowUser, chat);
-router.post('/summarize', analyzeTransactions);
-router.post('/auto-categorize', autoCategorizeTransaction);
+// Optional `Idempotency-Key` header: retries replay the first outcome.
+router.post('/chat', requireCashflowUser, withinUsageQuota, idempotentChat(chat));
+// Reverse the last committed Kea write (PWA Undo button; no model call).
+router.post('/undo', requireCashflowUser, undoLastWrite);
+// The signed-in user's own audited writes, newest first (keyset-paginated).
+router.get('/writes', requireCashflowUser, getWriteHistory);
+router.post('/summarize', withinUsageQuota, analyzeTransactions);
+// Saved category rules apply only for a signed-in user (optional cashflow auth).
+router.post('/auto-categorize', optionalCashflowUser, withinUsageQuota, autoCategorizeTransaction);
+// Many imported rows, one shared history / category list (Plaid/MX link).
+router.post('/auto-categorize/batch', optionalCashflowUser, withinUsageQuota, autoCategorizeBatch);
 // Evicts the Redis cache for a single transaction — call when a user overrides
 // the suggested category so the next call for that merchant gets a fresh answer.
-router.post('/auto-categorize/invalidate', invalidateAutoCategorizationKey);
+// With the chosen `category` in the body it also learns a candidate rule, but
+// only for a signed-in user (optional cashflow auth); eviction stays open.
+router.post('/auto-categorize/invalidate', optionalCashflowUser, invalidateAutoCategorizationKey);
+// The signed-in user's categorization rules; they override every other
+// auto-categorize signal. Learned candidates are approved via PUT { status }.
+router.get('/categorization-rules', requireCashflowUser, categoryRules.listCategoryRules);
+router.post('/categorization-rules', requireCashflowUser, categoryRules.createCategoryRule);
+router.put('/categorization-rules/:id', requireCashflowUser, categoryRules.updateCategoryRule);
+router.delete('/categorization-rules/:id', requireCashflowUser, categoryRules.deleteCategoryRule);
+// Preview of the weekly / monthly digest Cashflow sends (no model call).
+router.get('/digest', requireCashflowUser, previewDigest);
+// Digest opt-ins for the signed-in user; Cashflow's cron sends only these.
+router.get('/digest/subscriptions', requireCashflowUser, listDigestSubscriptions);
+router.put('/digest/subscriptions', requireCashflowUser, subscribeDigest);
+router.delete('/digest/subscriptions/:id', requireCashflowUser, unsubscribeDigest);
+
+// Routing debug: which intent rules matched a message and why the winner won.
+// Admin-gated (x-admin-key); pure, no model call.
+router.post('/debug/route', requireAdminKey(), explainRoute);
 
 // History management endpoints
 router.post('/chat-history', getChatHistory);
@@ -119,20 +160,20 @@ router.get('/summary/:userId/:accountId', async (req, res) => {
   }
 });
 
-router.post('/summarization', summarization);
+router.post('/summarization', withinUsageQuota, summarization);
 
 // Smart Price Assist — direct (non-chat) entry point used by the cashflow
 // backend's shopping-list suggestions proxy. Propose-only: returns options,
 // normalization, and taxability hints; nothing is persisted here (the proxy
 // persists to shopping_list_item_suggestions). Redis-cached per item+region.
-router.post('/shopping/suggest-item', async (req, res) => {
+router.post('/shopping/suggest-item', withinUsageQuota, async (req, res) => {
   try {
     const { itemName, quantity, region, userEstimate, excludeOptions } = req.body || {};
     if (!itemName || !String(itemName).trim()) {
       return res.status(400).json({ success: false, message: 'itemName is required' });
     }
     const { suggestItemOptions } = require('../services/shoppingSuggest.service');
-    const result = await suggestItemOptions({ itemName, quantity, region, userEstimate, excludeOptions });
+    const result = await suggestItemOptions({ itemName, quantity, region, userEstimate, excludeOptions, userId: req.usageUserId });
     res.json({ success: true, data: result });
   } catch (error) {
     console.error('Error in shopping suggest-item:', error.message);
@@ -140,4 +181,63 @@ router.post('/shopping/suggest-item', async (req, res) => {
   }
 });
 
+// Whole-list estimate: per-store totals, the cheapest mixed basket and
+// unrealistic-estimate flags. Items priced through suggestItemOptions, so
+// cached items never reach Azure. Propose-only; `proposedUpdate` is the
+// suggested new amount for the list's forecasted transaction, if any.
+router.post('/shopping/estimate-list', withinUsageQuota, async (req, res) => {
+  try {
+    const { items, region, transactionId, currentAmount } = req.body || {};
+    const { normalizeListItems, estimateShoppingList, MAX_LIST_ITEMS } = require('../services/shoppingBasket.service');
+    const count = normalizeListItems(items).length;
+    if (!count || count > MAX_LIST_ITEMS) {
+      return res.status(400).json({ success: false, message: `items must hold 1-${MAX_LIST_ITEMS} named items` });
+    }
+    const result = await estimateShoppingList({ items, region, userId: req.usageUserId, transactionId, currentAmount });
+    res.json({ success: true, data: result });
+  } catch (error) {
+    console.error('Error in shopping estimate-list:', error.message);
+    res.status(500).json({ success: false, message: 'Failed to estimate shopping list' });
+  }
+});
+
+// Observed shopping prices (services/shoppingPriceHistory.service.js). The
+// cashflow proxy posts, with the user's session token, the unit price of each
+// accepted option and each actual price the user enters; suggestions are
+// anchored to them once an item has enough local samples. The observation is
+// stored under the verified user only, never a body or header id.
+function sendPriceHistoryError(res, error, action) {
+  const { PriceHistoryError } = require('../services/shoppingPriceHistory.service');
+  if (error instanceof PriceHistoryError) {
+    return res.status(400).json({ success: false, message: error.message, code: error.code });
+  }
+  console.error(`Error in shopping ${action}:`, error.message);
+  return res.status(500).json({ success: false, message: `Failed to ${action}` });
+}
+
+router.post('/shopping/price-observations', requireCashflowUser, async (req, res) => {
+  try {
+    const { itemName, region, price, source, store } = req.body || {};
+    const { recordPriceObservation } = require('../services/shoppingPriceHistory.service');
+    const userId = req.cashflowUser.id;
+    const observation = await recordPriceObservation({ itemName, region, price, source, store, userId });
+    res.status(201).json({ success: true, data: observation });
+  } catch (error) {
+    sendPriceHistoryError(res, error, 'record price observation');
+  }
+});
+
+// Items whose observed price moved more than `thresholdPct` (default 10) vs
+// the prior window, or vs the `budgeted` unit price on the user's list.
+router.post('/shopping/price-drift', requireCashflowUser, async (req, res) => {
+  try {
+    const { region, items, thresholdPct } = req.body || {};
+    const { priceDriftReport } = require('../services/shoppingPriceHistory.service');
+    const report = await priceDriftReport({ region, items, thresholdPct });
+    res.json({ success: true, data: report });
+  } catch (error) {
+    sendPriceHistoryError(res, error, 'build price drift report');
+  }
+});
+
 module.exports = router;
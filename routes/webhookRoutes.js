@@ -0,0 +1,14 @@
+// routes/webhookRoutes.js
+const express = require('express');
+const router = express.Router();
+const webhooks = require('../controllers/webhookController');
+const { requireWebhookSignature } = require('../middleware/webhookSignature');
+
+// Every webhook must be HMAC-signed with KEA_WEBHOOK_SECRET (x-kea-timestamp,
+// x-kea-signature); see middleware/webhookSignature.js.
+router.use(requireWebhookSignature());
+
+// Calendar / provider / goal changes in Cashflow → drop the compact snapshot.
+router.post('/cashflow/account-events', webhooks.accountEvents);
+
+module.exports = router;
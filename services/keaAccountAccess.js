@@ -1,5 +1,7 @@
 'use strict';
 
+const { serviceCredentialCovers } = require('./keaServiceCredential');
+
 class AccountAccessError extends Error {
   constructor(code, message) {
     super(message);
@@ -17,14 +19,21 @@ function idsEqual(a, b) {
  * Owner OR satellite member may access an account.
  * Satellite table/columns are misspelled `satelite` in cashflow-backend
  * (AccountController gatherSatelliteAccounts / list-accounts).
+ * A server-side run passes its `credential` (services/keaServiceCredential.js);
+ * it must cover exactly this user and account before the lookup runs.
  */
-async function assertAccountAccess(userId, accountId, { queryFn } = {}) {
+async function assertAccountAccess(userId, accountId, { queryFn, credential } = {}) {
   if (userId == null || userId === '') {
     throw new AccountAccessError('ACCESS_DENIED', 'Authenticated user is required.');
   }
   if (accountId == null || accountId === '') {
     throw new AccountAccessError('ACCOUNT_REQUIRED', 'An account is required.');
   }
+  if (credential !== undefined) {
+    if (!serviceCredentialCovers(credential, { userId, accountId })) {
+      throw new AccountAccessError('ACCESS_DENIED', 'Service credential does not cover this account.');
+    }
+  }
 
   const q = queryFn || require('./db').query;
   const rows = await q(
@@ -50,4 +59,45 @@ async function assertAccountAccess(userId, accountId, { queryFn } = {}) {
   throw new AccountAccessError('ACCESS_DENIED', 'Account not found or not accessible.');
 }
 
-module.exports = { assertAccountAccess, AccountAccessError, idsEqual };
+/**
+ * Every account the user may read: owned accounts first (in account_order),
+ * then accounts shared with them through a satellite calendar. Same rules as
+ * assertAccountAccess; callers that fan out per account still assert each one.
+ *
+ * @returns {Promise<Array<{ accountId: string, label: string|null, access: 'owner'|'satellite' }>>}
+ */
+async function listAccessibleAccounts(userId, { queryFn, limit = 50 } = {}) {
+  if (userId == null || userId === '') {
+    throw new AccountAccessError('ACCESS_DENIED', 'Authenticated user is required.');
+  }
+  const q = queryFn || require('./db').query;
+  const max = Math.max(1, Math.min(Number(limit) || 50, 200));
+  const owned = await q(
+    `SELECT accountid, accountname, bankaccount_name FROM accounts WHERE userid = ? ORDER BY account_order ASC LIMIT ${max}`,
+    [userId]
+  );
+  const shared = await q(
+    `SELECT a.accountid, a.accountname, a.bankaccount_name FROM accounts a
+     JOIN satelite s ON s.satelite_id = a.satelite_id
+     WHERE s.satelite_user_id = ? AND a.userid <> ? LIMIT ${max}`,
+    [userId, userId]
+  );
+  const out = [];
+  const seen = new Set();
+  const add = (rows, access) => {
+    for (const row of Array.isArray(rows) ? rows : []) {
+      if (!row || row.accountid == null || seen.has(String(row.accountid))) continue;
+      seen.add(String(row.accountid));
+      out.push({
+        accountId: String(row.accountid),
+        label: row.accountname || row.bankaccount_name || null,
+        access,
+      });
+    }
+  };
+  add(owned, 'owner');
+  add(shared, 'satellite');
+  return out.slice(0, max);
+}
+
+module.exports = { assertAccountAccess, listAccessibleAccounts, AccountAccessError, idsEqual };
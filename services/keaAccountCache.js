@@ -11,6 +11,12 @@ function selectedAccountToolCacheKey(userId, accountId) {
   return `summarization:tool:selectedaccount:${normalizeCacheSegment(userId)}:${normalizeCacheSegment(accountId)}`;
 }
 
+// Present while a background refresh of the snapshot is in flight; dropped
+// with the snapshot on invalidation, so that refresh no longer matches.
+function selectedAccountGenerationKey(userId, accountId) {
+  return `${selectedAccountToolCacheKey(userId, accountId)}:gen`;
+}
+
 function selectedAccountUserPattern(userId) {
   return `summarization:tool:selectedaccount:${normalizeCacheSegment(userId)}:*`;
 }
@@ -30,25 +36,29 @@ function emitKeaSnapshotInvalidated({ reason, requestId, userId, accountId } = {
   }
 }
 
-async function invalidateSelectedAccountToolCache(userId, accountId, { reason, requestId } = {}) {
-  if (!userId || accountId === undefined || accountId === null || accountId === '') return;
+// Resolves true once the key is deleted, false when skipped or Redis failed.
+async function invalidateSelectedAccountToolCache(userId, accountId, { reason, requestId, redis: store } = {}) {
+  if (!userId || accountId === undefined || accountId === null || accountId === '') return false;
   try {
-    const redis = require('./redisService');
-    await redis.del(selectedAccountToolCacheKey(userId, accountId));
+    const redis = store || require('./redisService');
+    await redis.del(selectedAccountToolCacheKey(userId, accountId), selectedAccountGenerationKey(userId, accountId));
     emitKeaSnapshotInvalidated({
       reason: reason || null,
       requestId,
       userId,
       accountId,
     });
+    return true;
   } catch (e) {
     console.warn('Selected-account tool cache invalidate failed:', e.message);
+    return false;
   }
 }
 
 module.exports = {
   normalizeCacheSegment,
   selectedAccountToolCacheKey,
+  selectedAccountGenerationKey,
   selectedAccountUserPattern,
   invalidateSelectedAccountToolCache,
   emitKeaSnapshotInvalidated,
@@ -0,0 +1,493 @@
+'use strict';
+
+/**
+ * Aggregate account scope ("across all my accounts").
+ *
+ * Grounding normally reads the selected account only. When the route carries
+ * `slots.accountScope === 'aggregate'`, prefetchGrounding hands the turn here:
+ * the user's accessible accounts (owned + satellite, keaAccountAccess) are
+ * listed, each one is re-asserted, the existing single-account prefetch runs
+ * per account with bounded concurrency, and the results are merged into one
+ * evidence object with `accountScope: 'aggregate'` and a per-account
+ * `facts.accountBreakdown` (labels only, never account ids).
+ *
+ * Only additive evidence is merged: period transaction lookups, the
+ * cashflow_analysis macro and the upcoming macro. Anything else runs for the
+ * selected account and says so (`aggregate_scope_unsupported`).
+ * Account balances are never added up (`combined_balance_unavailable`); each
+ * account's balance is listed in the breakdown.
+ *
+ * The combined lowest projected balance comes from the accounts' daily
+ * projected balance series (the cashflow_analysis macro sends one when asked
+ * with `includeBalanceSeries`): the series are summed by date and the lowest
+ * day wins. Without a series for every account it is only stated when every
+ * account bottoms out on the same date (then the sum of the lows is exact);
+ * otherwise it is omitted with `combined_lowest_unavailable` and each
+ * account's own low stays in the breakdown.
+ */
+
+const { assertAccountAccess, listAccessibleAccounts } = require('./keaAccountAccess');
+const { prefetchGrounding, emptyEvidence } = require('./keaGroundingPrefetch');
+
+const AGGREGATE_ACCOUNT_SCOPE = 'aggregate';
+const AGGREGATE_CAPABILITIES = Object.freeze(['financial_lookup', 'cashflow_analysis', 'cashflow_upcoming']);
+const DEFAULT_MAX_AGGREGATE_ACCOUNTS = 8;
+const AGGREGATE_CONCURRENCY = 3;
+const AGGREGATE_ITEM_CAP = 25;
+const RANKED_LIST_CAP = 5;
+
+const ANALYSIS_SUM_KEYS = Object.freeze([
+  'postedIncome', 'postedSpending', 'postedNet',
+  'remainingForecastIncome', 'remainingForecastSpending',
+]);
+// Not summed: a credit card's balance is money owed, a satellite calendar's
+// is someone else's account, so each one stays in accountBreakdown only.
+const ANALYSIS_BALANCE_KEYS = Object.freeze(['availableBalance', 'currentBalance', 'reconciledBalance']);
+const LOOKUP_SUM_KEYS = Object.freeze(['transactionCount', 'spentTotal', 'expenseTotal', 'incomeTotal']);
+
+function maxAggregateAccounts() {
+  const n = Number(process.env.KEA_AGGREGATE_MAX_ACCOUNTS);
+  return Number.isInteger(n) && n > 0 ? n : DEFAULT_MAX_AGGREGATE_ACCOUNTS;
+}
+
+function isAggregateRoute(route) {
+  return !!(route && route.slots && route.slots.accountScope === AGGREGATE_ACCOUNT_SCOPE);
+}
+
+/** Which merge applies to this turn, mirroring prefetchGrounding's dispatch order; null → unsupported. */
+function aggregateKindFor(policy, route) {
+  const effective = (policy && policy.effectiveCapability) || (route && route.capability);
+  const prefetchKind = policy && policy.prefetchKind;
+  const slots = (route && route.slots) || {};
+  if (effective === 'mixed_macro') return null;
+  if (prefetchKind === 'cashflow_macro' || effective === 'cashflow_analysis') return 'cashflow_analysis';
+  if (prefetchKind === 'cashflow_upcoming_macro' || effective === 'cashflow_upcoming') return 'cashflow_upcoming';
+  if (effective !== 'financial_lookup' || prefetchKind === 'snapshot' || slots.subjectKind === 'account') return null;
+  const requests = Array.isArray(route.lookupRequests) ? route.lookupRequests : [];
+  const hasPeriod = !!(slots.period && slots.period.start) || requests.some((r) => r && r.period && r.period.start);
+  return hasPeriod ? 'lookup' : null;
+}
+
+function selectedScopeRoute(route) {
+  return { ...route, slots: { ...((route && route.slots) || {}), accountScope: null } };
+}
+
+function withLimitation(evidence, code) {
+  const limitations = Array.isArray(evidence.limitations) ? evidence.limitations.slice() : [];
+  if (!limitations.includes(code)) limitations.push(code);
+  return { ...evidence, limitations };
+}
+
+function round2(n) {
+  return Math.round(n * 100) / 100;
+}
+
+function isNum(v) {
+  return typeof v === 'number' && Number.isFinite(v);
+}
+
+/** Sum of `key` across rows, or undefined unless every row carries a number. */
+function sumAll(rows, key) {
+  if (!rows.length || !rows.every((r) => r && isNum(r[key]))) return undefined;
+  return round2(rows.reduce((acc, r) => acc + r[key], 0));
+}
+
+function unionLimitations(evidences) {
+  const out = [];
+  for (const ev of evidences) {
+    for (const code of (ev && Array.isArray(ev.limitations) ? ev.limitations : [])) {
+      if (typeof code === 'string' && !out.includes(code)) out.push(code);
+    }
+  }
+  return out;
+}
+
+/** Observations every account reported identically (e.g. no_negative_in_scope). */
+function commonObservations(evidences) {
+  const lists = evidences.map((ev) => (Array.isArray(ev.observations) ? ev.observations : []));
+  if (!lists.length) return [];
+  return lists[0].filter((row) => {
+    const key = JSON.stringify(row);
+    return lists.every((list) => list.some((other) => JSON.stringify(other) === key));
+  });
+}
+
+function oldestDataAsOf(evidences) {
+  const stamps = evidences.map((ev) => ev.dataAsOf).filter(Boolean).map(String).sort();
+  return stamps[0] || null;
+}
+
+function isUsable(evidence) {
+  return !!(evidence
+    && (evidence.status === 'ok' || evidence.status === 'partial')
+    && Array.isArray(evidence.source) && evidence.source.length > 0);
+}
+
+function breakdownRow(result, figures) {
+  const row = {
+    account: result.label,
+    access: result.access === 'satellite' ? 'shared' : 'owner',
+    status: isUsable(result.evidence) ? result.evidence.status : 'unavailable',
+  };
+  for (const [key, value] of Object.entries(figures || {})) {
+    if (value !== undefined) row[key] = value;
+  }
+  return row;
+}
+
+function mergeRanked(lists, labelKey, amountKey) {
+  const byLabel = new Map();
+  let cap = 0;
+  for (const list of lists) {
+    if (!Array.isArray(list)) continue;
+    cap = Math.max(cap, list.length);
+    for (const row of list) {
+      if (!row || row[labelKey] == null || !isNum(row[amountKey])) continue;
+      const key = String(row[labelKey]).trim().toLowerCase();
+      const entry = byLabel.get(key) || { [labelKey]: row[labelKey], [amountKey]: 0 };
+      entry[amountKey] = round2(entry[amountKey] + row[amountKey]);
+      if (isNum(row.transactionCount)) entry.transactionCount = (entry.transactionCount || 0) + row.transactionCount;
+      byLabel.set(key, entry);
+    }
+  }
+  return Array.from(byLabel.values())
+    .sort((a, b) => b[amountKey] - a[amountKey])
+    .slice(0, Math.min(cap || RANKED_LIST_CAP, RANKED_LIST_CAP));
+}
+
+/**
+ * Lowest day of the summed daily series, or null unless every account sent
+ * one. A series only lists the days it has; each account's last known
+ * balance carries forward to the other accounts' days. The earliest date
+ * wins a tie.
+ */
+function combinedLowFromSeries(seriesList) {
+  if (!seriesList.length || !seriesList.every((s) => Array.isArray(s) && s.length)) return null;
+  const byAccount = seriesList.map((series) => new Map(series
+    .filter((p) => p && p.date && isNum(p.amount))
+    .map((p) => [String(p.date).slice(0, 10), p.amount])));
+  if (byAccount.some((m) => m.size === 0)) return null;
+  const dates = Array.from(new Set(byAccount.flatMap((m) => Array.from(m.keys())))).sort();
+  const carried = byAccount.map(() => undefined);
+  let low = null;
+  for (const date of dates) {
+    byAccount.forEach((m, i) => {
+      if (m.has(date)) carried[i] = m.get(date);
+    });
+    // Before some account's series starts there is no combined balance.
+    if (carried.some((v) => v === undefined)) continue;
+    const total = round2(carried.reduce((acc, v) => acc + v, 0));
+    if (!low || total < low.amount) low = { amount: total, date };
+  }
+  return low;
+}
+
+function mergeNegativeRisk(risks, seriesList = []) {
+  if (!risks.length || !risks.every((r) => r && typeof r === 'object')) return { risk: undefined };
+  const risk = {};
+  if (risks[0].scope !== undefined) risk.scope = risks[0].scope;
+  if (risks[0].horizonDays !== undefined) risk.horizonDays = risks[0].horizonDays;
+  if (risks.every((r) => typeof r.hasNegativeInScope === 'boolean')) {
+    risk.hasNegativeInScope = risks.some((r) => r.hasNegativeInScope);
+  }
+  const firstNegatives = risks.map((r) => r.firstNegativeDate).filter(Boolean).sort();
+  if (firstNegatives.length) risk.firstNegativeDate = firstNegatives[0];
+  const combined = combinedLowFromSeries(seriesList);
+  if (combined) {
+    risk.lowestProjectedAmount = combined.amount;
+    risk.lowestProjectedDate = combined.date;
+    return { risk, lowestUnavailable: false };
+  }
+  let lowestUnavailable = false;
+  if (risks.every((r) => isNum(r.lowestProjectedAmount))) {
+    const dates = new Set(risks.map((r) => r.lowestProjectedDate || null));
+    if (dates.size === 1 && !dates.has(null)) {
+      risk.lowestProjectedAmount = sumAll(risks, 'lowestProjectedAmount');
+      risk.lowestProjectedDate = risks[0].lowestProjectedDate;
+    } else {
+      lowestUnavailable = true;
+    }
+  }
+  return { risk, lowestUnavailable };
+}
+
+function mergeCashflowAnalysis(used, all) {
+  const factsList = used.map((r) => r.evidence.facts || {});
+  const facts = { accountScope: AGGREGATE_ACCOUNT_SCOPE };
+  for (const key of ANALYSIS_SUM_KEYS) {
+    const total = sumAll(factsList, key);
+    if (total !== undefined) facts[key] = total;
+  }
+  if (factsList.some((f) => Array.isArray(f.largestCategories))) {
+    facts.largestCategories = mergeRanked(factsList.map((f) => f.largestCategories), 'category', 'spentTotal');
+  }
+  if (factsList.some((f) => Array.isArray(f.largestMerchants))) {
+    facts.largestMerchants = mergeRanked(factsList.map((f) => f.largestMerchants), 'name', 'spentTotal');
+  }
+  const { risk, lowestUnavailable } = mergeNegativeRisk(
+    factsList.map((f) => f.negativeBalanceRisk),
+    used.map((r) => r.evidence.projectedBalanceSeries),
+  );
+  if (risk) facts.negativeBalanceRisk = risk;
+  facts.accountBreakdown = all.map((r) => {
+    const f = isUsable(r.evidence) ? r.evidence.facts || {} : {};
+    const nbr = f.negativeBalanceRisk || {};
+    return breakdownRow(r, {
+      postedIncome: f.postedIncome,
+      postedSpending: f.postedSpending,
+      postedNet: f.postedNet,
+      availableBalance: f.availableBalance,
+      currentBalance: f.currentBalance,
+      reconciledBalance: f.reconciledBalance,
+      lowestProjectedAmount: nbr.lowestProjectedAmount,
+      lowestProjectedDate: nbr.lowestProjectedDate,
+      hasNegativeInScope: nbr.hasNegativeInScope,
+    });
+  });
+  const extraLimitations = [];
+  if (factsList.some((f) => ANALYSIS_BALANCE_KEYS.some((key) => isNum(f[key])))) {
+    extraLimitations.push('combined_balance_unavailable');
+  }
+  if (lowestUnavailable) extraLimitations.push('combined_lowest_unavailable');
+  return { facts, extraLimitations };
+}
+
+function mergeUpcoming(used, all) {
+  const factsList = used.map((r) => r.evidence.facts || {});
+  const items = [];
+  for (const r of used) {
+    for (const item of (Array.isArray(r.evidence.facts && r.evidence.facts.items) ? r.evidence.facts.items : [])) {
+      items.push({ ...item, account: r.label });
+    }
+  }
+  items.sort((a, b) => String(a.date || '').localeCompare(String(b.date || ''))
+    || String(a.label || '').localeCompare(String(b.label || '')));
+  const totalsList = factsList.map((f) => f.totals || {});
+  const totals = {};
+  for (const key of Object.keys(totalsList[0] || {})) {
+    const total = sumAll(totalsList, key);
+    if (total !== undefined) totals[key] = total;
+  }
+  const itemCounts = used.map((r) => (r.evidence.prefetchMeta && isNum(r.evidence.prefetchMeta.itemCount)
+    ? r.evidence.prefetchMeta.itemCount
+    : ((r.evidence.facts && r.evidence.facts.items) || []).length));
+  const itemCount = itemCounts.reduce((a, b) => a + b, 0);
+  const facts = {
+    accountScope: AGGREGATE_ACCOUNT_SCOPE,
+    period: factsList[0].period,
+    metricScope: factsList[0].metricScope,
+    items: items.slice(0, AGGREGATE_ITEM_CAP),
+    totals,
+  };
+  facts.accountBreakdown = all.map((r) => {
+    const f = isUsable(r.evidence) ? r.evidence.facts || {} : {};
+    const t = f.totals || {};
+    return breakdownRow(r, {
+      itemCount: isUsable(r.evidence) ? itemCounts[used.indexOf(r)] : undefined,
+      scheduledExpenseTotal: t.scheduledExpenseTotal,
+      scheduledIncomeTotal: t.scheduledIncomeTotal,
+      scheduledNet: t.scheduledNet,
+    });
+  });
+  return {
+    facts,
+    extraLimitations: items.length > AGGREGATE_ITEM_CAP ? ['list_capped'] : [],
+    prefetchMeta: { itemCount },
+  };
+}
+
+function mergeLookups(used, all) {
+  const count = Math.max(...used.map((r) => (r.evidence.lookups || []).length));
+  const lookups = [];
+  for (let i = 0; i < count; i += 1) {
+    const rows = used.map((r) => (r.evidence.lookups || [])[i]).filter(Boolean);
+    const okRows = rows.filter((row) => row.status === 'ok');
+    const merged = {
+      subjectKind: rows[0].subjectKind,
+      subjectValue: rows[0].subjectValue,
+      period: rows[0].period,
+      status: okRows.length === 0 ? 'unavailable' : (okRows.length === all.length ? 'ok' : 'partial'),
+    };
+    if (okRows.length) {
+      for (const key of LOOKUP_SUM_KEYS) {
+        const present = okRows.filter((row) => isNum(row[key]));
+        if (present.length) merged[key] = round2(present.reduce((acc, row) => acc + row[key], 0));
+      }
+    }
+    merged.byAccount = all.map((r) => {
+      const row = (r.evidence && Array.isArray(r.evidence.lookups) ? r.evidence.lookups[i] : null) || {};
+      return {
+        account: r.label,
+        access: r.access === 'satellite' ? 'shared' : 'owner',
+        status: row.status || 'unavailable',
+        ...(row.status === 'ok' ? { transactionCount: row.transactionCount, spentTotal: row.spentTotal } : {}),
+        ...(row.status === 'ok' && row.incomeTotal !== undefined ? { incomeTotal: row.incomeTotal } : {}),
+      };
+    });
+    lookups.push(merged);
+  }
+  const firstOk = lookups.find((l) => l.status !== 'unavailable') || null;
+  const facts = firstOk
+    ? {
+        transactionCount: firstOk.transactionCount,
+        spentTotal: firstOk.spentTotal,
+        expenseTotal: firstOk.expenseTotal,
+        incomeTotal: firstOk.incomeTotal,
+        accountBreakdown: firstOk.byAccount,
+      }
+    : {};
+  const prefetchMeta = { pageCount: 0, rowCount: 0, matchCount: 0, periodReadCount: 0 };
+  for (const r of used) {
+    const meta = r.evidence.prefetchMeta || {};
+    for (const key of Object.keys(prefetchMeta)) prefetchMeta[key] += Number(meta[key]) || 0;
+  }
+  prefetchMeta.lookupCount = count;
+  const extraLimitations = lookups.some((l) => l.status !== 'ok') ? ['aggregate_accounts_incomplete'] : [];
+  return { facts, lookups, prefetchMeta, extraLimitations, period: firstOk ? firstOk.period : null };
+}
+
+/**
+ * Merge per-account evidence. `results` is [{ label, access, evidence }] in
+ * breakdown order (selected account first).
+ */
+function mergeAggregateEvidence(kind, results, { currentDate, capped, totalAccounts } = {}) {
+  const used = results.filter((r) => isUsable(r.evidence));
+  const meta = {
+    aggregateAccountCount: results.length,
+    aggregateAccountsAvailable: totalAccounts != null ? totalAccounts : results.length,
+    aggregateFailedCount: results.length - used.length,
+  };
+  const scopeLimitations = [];
+  if (capped) scopeLimitations.push('aggregate_accounts_capped');
+  if (used.length < results.length) scopeLimitations.push('aggregate_accounts_incomplete');
+
+  if (!used.length) {
+    const first = results[0] && results[0].evidence;
+    return {
+      ...emptyEvidence({
+        status: 'unavailable',
+        period: first ? first.period : null,
+        dataAsOf: currentDate || null,
+        limitations: unionLimitations(results.map((r) => r.evidence).filter(Boolean)),
+        prefetchMeta: meta,
+        macroFailureReason: first && first.macroFailureReason,
+      }),
+      accountScope: AGGREGATE_ACCOUNT_SCOPE,
+    };
+  }
+
+  const merged = kind === 'lookup'
+    ? mergeLookups(used, results)
+    : kind === 'cashflow_upcoming'
+      ? mergeUpcoming(used, results)
+      : mergeCashflowAnalysis(used, results);
+  const evidences = used.map((r) => r.evidence);
+  const limitations = unionLimitations(evidences);
+  for (const code of [...scopeLimitations, ...(merged.extraLimitations || [])]) {
+    if (!limitations.includes(code)) limitations.push(code);
+  }
+  const partial = evidences.some((ev) => ev.status === 'partial')
+    || limitations.includes('aggregate_accounts_incomplete');
+  const first = evidences[0];
+  const out = {
+    status: partial ? 'partial' : 'ok',
+    source: first.source.slice(),
+    period: merged.period || first.period || null,
+    dataAsOf: oldestDataAsOf(evidences) || currentDate || null,
+    accountScope: AGGREGATE_ACCOUNT_SCOPE,
+    facts: { ...merged.facts, accountCount: results.length },
+    observations: commonObservations(evidences),
+    assumptions: Array.isArray(first.assumptions) ? first.assumptions : [],
+    limitations,
+    prefetchMeta: { ...(merged.prefetchMeta || {}), ...meta },
+  };
+  if (merged.lookups) out.lookups = merged.lookups;
+  if (first.clientDate !== undefined) out.clientDate = first.clientDate;
+  if (first.windowKind !== undefined) out.windowKind = first.windowKind;
+  return out;
+}
+
+/** Selected account first, then the rest in listing order; capped. */
+function orderAccounts(accounts, selectedId) {
+  const list = Array.isArray(accounts) ? accounts.filter((a) => a && a.accountId != null) : [];
+  const selected = selectedId == null || selectedId === '' ? null : String(selectedId);
+  const ordered = [];
+  const found = selected ? list.find((a) => String(a.accountId) === selected) : null;
+  if (selected) ordered.push(found || { accountId: selected, label: null, access: 'owner' });
+  for (const a of list) {
+    if (String(a.accountId) !== selected) ordered.push(a);
+  }
+  return ordered.map((a, i) => ({ ...a, accountId: String(a.accountId), label: a.label || `Account ${i + 1}` }));
+}
+
+/**
+ * Fan the selected-account prefetch out over every accessible account.
+ * Accepts prefetchGrounding's input plus `listAccountsFn` / `maxAccounts`
+ * (tests); never throws.
+ */
+async function prefetchAggregateGrounding(input = {}) {
+  const {
+    trustedUserId,
+    accountId,
+    snapshot,
+    currentDate,
+    policy,
+    route,
+    queryFn,
+    assertFn = assertAccountAccess,
+    listAccountsFn = listAccessibleAccounts,
+    maxAccounts = maxAggregateAccounts(),
+  } = input;
+  const memberRoute = selectedScopeRoute(route);
+  const single = (code) => prefetchGrounding({ ...input, route: memberRoute })
+    .then((evidence) => withLimitation(evidence, code));
+
+  const kind = aggregateKindFor(policy, route);
+  if (!kind) return single('aggregate_scope_unsupported');
+
+  let accounts;
+  try {
+    accounts = orderAccounts(await listAccountsFn(trustedUserId, queryFn ? { queryFn } : {}), accountId);
+  } catch (err) {
+    return single('aggregate_accounts_unavailable');
+  }
+  if (accounts.length <= 1) return prefetchGrounding({ ...input, route: memberRoute });
+
+  const capped = accounts.length > maxAccounts;
+  const members = accounts.slice(0, maxAccounts);
+  const results = new Array(members.length);
+  for (let i = 0; i < members.length; i += AGGREGATE_CONCURRENCY) {
+    await Promise.all(members.slice(i, i + AGGREGATE_CONCURRENCY).map(async (account, j) => {
+      const isSelected = i + j === 0 && accountId != null && String(accountId) === account.accountId;
+      let evidence;
+      try {
+        await assertFn(trustedUserId, account.accountId, queryFn ? { queryFn } : {});
+        evidence = await prefetchGrounding({
+          ...input,
+          accountId: account.accountId,
+          snapshot: isSelected ? snapshot : null,
+          route: memberRoute,
+          includeBalanceSeries: kind === 'cashflow_analysis',
+        });
+      } catch (err) {
+        const code = err && err.code;
+        evidence = emptyEvidence({
+          limitations: [code === 'ACCESS_DENIED' || code === 'ACCOUNT_REQUIRED' ? 'access_unverified' : 'read_failed'],
+          dataAsOf: currentDate || null,
+        });
+      }
+      results[i + j] = { label: account.label, access: account.access, evidence };
+    }));
+  }
+  return mergeAggregateEvidence(kind, results, { currentDate, capped, totalAccounts: accounts.length });
+}
+
+module.exports = {
+  AGGREGATE_ACCOUNT_SCOPE,
+  AGGREGATE_CAPABILITIES,
+  DEFAULT_MAX_AGGREGATE_ACCOUNTS,
+  isAggregateRoute,
+  aggregateKindFor,
+  mergeAggregateEvidence,
+  prefetchAggregateGrounding,
+};
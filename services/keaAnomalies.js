@@ -0,0 +1,335 @@
+'use strict';
+
+/**
+ * Deterministic unusual-charge detection (the cashflow_anomaly macro).
+ *
+ * Posted expenses in the requested window are compared with the 90 days
+ * before it, merchants folded by merchantMatchKey. Four flags:
+ *
+ *   new_merchant      first charge from a merchant with no baseline history,
+ *                     at or above NEW_MERCHANT_MIN_AMOUNT
+ *   above_median      at least ABOVE_MEDIAN_RATIO × the merchant's baseline
+ *                     median (MIN_HISTORY prior charges) and ABOVE_MEDIAN_MIN_EXCESS over it
+ *   duplicate_charge  same merchant, same amount, within DUPLICATE_WINDOW_DAYS
+ *                     of an earlier charge in the window or at the end of the
+ *                     baseline (the later one is flagged)
+ *   recurring_jump    a stable posted stream (prior charges within
+ *                     RECURRING_STABLE_TOLERANCE of their median) charging more
+ *                     than RECURRING_JUMP_RATIO × its previous amount
+ *
+ * A charge gets at most one flag, checked in that reverse order (duplicate
+ * first). Flags are pattern checks, not fraud findings (anomaly_heuristic).
+ * Both reads go through authorizedPrefetchRead / fetchCompletePeriodTransactions;
+ * an incomplete baseline makes the answer partial and suppresses new_merchant.
+ */
+
+const moment = require('moment');
+const {
+  authorizedPrefetchRead,
+  fetchCompletePeriodTransactions,
+  emptyEvidence,
+  isExcludedFromHistoricalSpend,
+  txnMatchesSubject,
+  PAGE_LIMIT,
+} = require('./keaGroundingPrefetch');
+const { mergeVendorName, merchantMatchKey } = require('../utils/vendorNormalize');
+
+const ANOMALY_KIND = Object.freeze({
+  NEW_MERCHANT: 'new_merchant',
+  ABOVE_MEDIAN: 'above_median',
+  DUPLICATE_CHARGE: 'duplicate_charge',
+  RECURRING_JUMP: 'recurring_jump',
+});
+
+const DEFAULT_WINDOW_DAYS = 30;
+const BASELINE_DAYS = 90;
+const NEW_MERCHANT_MIN_AMOUNT = 100;
+const ABOVE_MEDIAN_RATIO = 2.5;
+const ABOVE_MEDIAN_MIN_EXCESS = 25;
+const MIN_HISTORY = 3;
+const DUPLICATE_WINDOW_DAYS = 3;
+const RECURRING_MIN_PRIOR = 2;
+const RECURRING_STABLE_TOLERANCE = 0.1;
+const RECURRING_JUMP_RATIO = 1.1;
+const RECURRING_JUMP_MIN = 3;
+const MAX_ANOMALIES = 10;
+
+function round2(n) {
+  return Math.round(n * 100) / 100;
+}
+
+function median(values) {
+  const sorted = values.slice().sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+function rowDate(t) {
+  return String((t && (t.start || t.date)) || '').slice(0, 10);
+}
+
+function rowName(t) {
+  return String((t && (t.merchant_name || t.name || t.title)) || '').trim();
+}
+
+/**
+ * The requested window, clamped to today (posted only), and the baseline
+ * before it. No period → the last DEFAULT_WINDOW_DAYS days.
+ */
+function anomalyWindows(period, currentDate) {
+  const today = moment(currentDate, 'YYYY-MM-DD', true).isValid() ? moment(currentDate, 'YYYY-MM-DD') : moment();
+  let start;
+  let end;
+  let label;
+  if (period && period.start && period.end) {
+    start = moment(period.start, 'YYYY-MM-DD');
+    end = moment.min(moment(period.end, 'YYYY-MM-DD'), today);
+    label = period.label || null;
+  } else {
+    end = today.clone();
+    start = today.clone().subtract(DEFAULT_WINDOW_DAYS - 1, 'days');
+    label = `last_${DEFAULT_WINDOW_DAYS}_days`;
+  }
+  if (end.isBefore(start)) end = start.clone();
+  return {
+    window: { start: start.format('YYYY-MM-DD'), end: end.format('YYYY-MM-DD'), label },
+    baseline: {
+      start: start.clone().subtract(BASELINE_DAYS, 'days').format('YYYY-MM-DD'),
+      end: start.clone().subtract(1, 'day').format('YYYY-MM-DD'),
+      label: `prior_${BASELINE_DAYS}_days`,
+    },
+  };
+}
+
+/** Posted expenses in [start, end] as { key, merchant, date, amount, category }, oldest first. */
+function postedCharges(rows, { start, end }) {
+  const out = [];
+  for (const t of rows || []) {
+    const amount = Number(t && t.amount);
+    if (!Number.isFinite(amount) || amount >= 0 || isExcludedFromHistoricalSpend(t)) continue;
+    const date = rowDate(t);
+    if (!date || date < start || date > end) continue;
+    const name = rowName(t);
+    const key = name ? merchantMatchKey(name) : '';
+    if (!key) continue;
+    out.push({
+      key,
+      merchant: mergeVendorName(name) || name,
+      date,
+      amount: round2(Math.abs(amount)),
+      category: (t && t.category) || null,
+      source: t,
+    });
+  }
+  return out.sort((a, b) => (a.date < b.date ? -1 : a.date > b.date ? 1 : 0));
+}
+
+function flagFor(charge, earlier, history, { allowNewMerchant }) {
+  // The merchant's baseline tail counts too, so a repeat on the window's first
+  // days of a charge just before it is still caught.
+  const dup = history.concat(earlier).find((prev) => prev.key === charge.key
+    && Math.round(prev.amount * 100) === Math.round(charge.amount * 100)
+    && moment(charge.date).diff(moment(prev.date), 'days') <= DUPLICATE_WINDOW_DAYS);
+  if (dup) return { kind: ANOMALY_KIND.DUPLICATE_CHARGE, duplicateOfDate: dup.date };
+
+  const prior = history.concat(earlier.filter((prev) => prev.key === charge.key));
+  const amounts = prior.map((p) => p.amount);
+  if (amounts.length >= RECURRING_MIN_PRIOR) {
+    const typical = median(amounts);
+    const stable = typical > 0 && amounts.every((a) => Math.abs(a - typical) <= typical * RECURRING_STABLE_TOLERANCE);
+    const previous = prior[prior.length - 1];
+    if (stable
+      && charge.amount >= previous.amount * RECURRING_JUMP_RATIO
+      && charge.amount - previous.amount >= RECURRING_JUMP_MIN) {
+      return {
+        kind: ANOMALY_KIND.RECURRING_JUMP,
+        previousAmount: previous.amount,
+        previousDate: previous.date,
+        increase: round2(charge.amount - previous.amount),
+        percentIncrease: Math.round(((charge.amount - previous.amount) / previous.amount) * 1000) / 10,
+      };
+    }
+  }
+  if (history.length >= MIN_HISTORY) {
+    const typical = median(history.map((p) => p.amount));
+    if (typical > 0
+      && charge.amount >= typical * ABOVE_MEDIAN_RATIO
+      && charge.amount - typical >= ABOVE_MEDIAN_MIN_EXCESS) {
+      return {
+        kind: ANOMALY_KIND.ABOVE_MEDIAN,
+        medianAmount: round2(typical),
+        priorCount: history.length,
+        percentAboveMedian: Math.round(((charge.amount - typical) / typical) * 1000) / 10,
+      };
+    }
+  }
+  if (allowNewMerchant && !prior.length && charge.amount >= NEW_MERCHANT_MIN_AMOUNT) {
+    return { kind: ANOMALY_KIND.NEW_MERCHANT };
+  }
+  return null;
+}
+
+/**
+ * Flag unusual charges in `windowRows` against `baselineRows`. Pure.
+ * `subject` ({ subjectKind, subjectValue }) narrows which charges may be flagged.
+ * Returns { anomalies (largest first, capped), anomalyCount, countsByKind,
+ * anomalyAmountTotal (listed rows only), postedSpending }.
+ */
+function detectAnomalies({ windowRows, baselineRows, window, baseline, subject, allowNewMerchant = true } = {}) {
+  const history = new Map();
+  for (const charge of postedCharges(baselineRows, baseline)) {
+    if (!history.has(charge.key)) history.set(charge.key, []);
+    history.get(charge.key).push(charge);
+  }
+  const charges = postedCharges(windowRows, window);
+  const flagged = [];
+  const earlier = [];
+  for (const charge of charges) {
+    const subjectOk = !subject || !subject.subjectKind
+      || txnMatchesSubject(charge.source, subject.subjectKind, subject.subjectValue);
+    const flag = subjectOk ? flagFor(charge, earlier, history.get(charge.key) || [], { allowNewMerchant }) : null;
+    earlier.push(charge);
+    if (!flag) continue;
+    flagged.push({
+      kind: flag.kind,
+      merchant: charge.merchant,
+      category: charge.category,
+      date: charge.date,
+      amount: charge.amount,
+      ...Object.fromEntries(Object.entries(flag).filter(([k]) => k !== 'kind')),
+    });
+  }
+  const countsByKind = {};
+  for (const kind of Object.values(ANOMALY_KIND)) {
+    countsByKind[kind] = flagged.filter((a) => a.kind === kind).length;
+  }
+  const anomalies = flagged
+    .slice()
+    .sort((a, b) => b.amount - a.amount || (a.date < b.date ? 1 : a.date > b.date ? -1 : 0))
+    .slice(0, MAX_ANOMALIES);
+  return {
+    anomalies,
+    anomalyCount: flagged.length,
+    countsByKind,
+    anomalyAmountTotal: round2(anomalies.reduce((sum, a) => sum + a.amount, 0)),
+    postedSpending: round2(charges.reduce((sum, c) => sum + c.amount, 0)),
+  };
+}
+
+/**
+ * Grounded evidence for a cashflow_anomaly turn. Identity and account come
+ * from prefetchGrounding's trusted inputs only.
+ */
+async function prefetchCashflowAnomalyMacro(input = {}) {
+  const {
+    trustedUserId,
+    accountId,
+    currentDate,
+    route,
+    queryFn,
+    assertFn,
+    fetchPage,
+    pageLimit,
+  } = input;
+  const slots = (route && route.slots) || {};
+  const { window, baseline } = anomalyWindows(slots.period, currentDate);
+  const dataAsOf = currentDate || null;
+
+  let windowRead;
+  let baselineRead;
+  try {
+    await authorizedPrefetchRead({
+      trustedUserId,
+      accountId,
+      queryFn,
+      assertFn,
+      readFn: async () => true,
+    });
+    windowRead = await fetchCompletePeriodTransactions({
+      trustedUserId,
+      accountId,
+      startDate: window.start,
+      endDate: window.end,
+      fetchPage,
+      pageLimit: pageLimit || PAGE_LIMIT,
+    });
+    baselineRead = await fetchCompletePeriodTransactions({
+      trustedUserId,
+      accountId,
+      startDate: baseline.start,
+      endDate: baseline.end,
+      fetchPage,
+      pageLimit: pageLimit || PAGE_LIMIT,
+    });
+  } catch (err) {
+    const code = err && err.code;
+    const reason = code === 'ACCESS_DENIED' || code === 'ACCOUNT_REQUIRED' ? 'access_unverified' : 'read_failed';
+    return emptyEvidence({ period: window, dataAsOf, limitations: [reason] });
+  }
+
+  const prefetchMeta = {
+    pageCount: (windowRead.pageCount || 1) + (baselineRead.pageCount || 1),
+    rowCount: (windowRead.rowCount || 0) + (baselineRead.rowCount || 0),
+  };
+  if (!windowRead.complete) {
+    return emptyEvidence({
+      status: windowRead.reason === 'period_exceeds_prefetch_cap' ? 'unavailable' : 'partial',
+      source: ['cashflow_anomaly'],
+      period: window,
+      dataAsOf,
+      limitations: [windowRead.reason === 'period_exceeds_prefetch_cap' ? 'period_exceeds_prefetch_cap' : 'incomplete_period_pages'],
+      prefetchMeta,
+    });
+  }
+
+  const subject = slots.subjectKind === 'merchant' || slots.subjectKind === 'category'
+    ? { subjectKind: slots.subjectKind, subjectValue: slots.subjectValue }
+    : null;
+  const detected = detectAnomalies({
+    windowRows: windowRead.transactions,
+    baselineRows: baselineRead.transactions,
+    window,
+    baseline,
+    subject,
+    allowNewMerchant: baselineRead.complete,
+  });
+  const limitations = ['posted_actuals_only', 'duplicates_excluded', 'anomaly_heuristic'];
+  if (!baselineRead.complete) limitations.push('anomaly_baseline_partial');
+  if (detected.anomalyCount > detected.anomalies.length) limitations.push('list_capped');
+  const facts = {
+    accountScope: 'selected_account',
+    period: window,
+    baselinePeriod: baseline,
+    subjectKind: subject ? subject.subjectKind : null,
+    subjectValue: subject ? subject.subjectValue : null,
+    postedSpending: detected.postedSpending,
+    anomalies: detected.anomalies,
+    anomalyCount: detected.anomalyCount,
+    anomalyAmountTotal: detected.anomalyAmountTotal,
+    countsByKind: detected.countsByKind,
+  };
+  const evidence = emptyEvidence({
+    status: baselineRead.complete ? 'ok' : 'partial',
+    source: ['cashflow_anomaly'],
+    period: window,
+    dataAsOf,
+    facts,
+    limitations,
+    observations: detected.anomalyCount
+      ? [{ code: 'anomalies_found', count: detected.anomalyCount }]
+      : [{ code: 'no_anomalies' }],
+    prefetchMeta,
+  });
+  evidence.accountScope = 'selected_account';
+  return evidence;
+}
+
+module.exports = {
+  ANOMALY_KIND,
+  DEFAULT_WINDOW_DAYS,
+  BASELINE_DAYS,
+  NEW_MERCHANT_MIN_AMOUNT,
+  anomalyWindows,
+  detectAnomalies,
+  prefetchCashflowAnomalyMacro,
+};
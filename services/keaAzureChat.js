@@ -36,6 +36,7 @@ async function callAzureOnce({
       tool_choice: toolChoice,
       requestId,
       timeout: timeoutMs,
+      signal: lifecycle && lifecycle.signal ? lifecycle.signal : undefined,
     });
     if (telemetry && typeof telemetry.recordAzureCall === 'function') {
       telemetry.recordAzureCall(Date.now() - t0, data && data.usage);
@@ -0,0 +1,460 @@
+'use strict';
+
+/**
+ * Per-account monthly category budgets and the cashflow_budget macro.
+ *
+ * A budget is one monthly spending limit for one category on one account:
+ *
+ *   { category: 'Groceries', monthlyLimit: 400 }
+ *
+ * Rows live in MySQL `kea_budgets` (BUDGETS_TABLE_DDL, created on first use),
+ * unique per (user, account, category). Writes reach this module only through
+ * the setBudget / deleteBudget tools, which the chat controller gates behind
+ * the same propose→confirm contract as goals.
+ *
+ * The macro (prefetchCashflowBudgetMacro) is computed Kea-side from the
+ * current month's transactions, read through the same authorized paging as
+ * period lookups:
+ *
+ *   spentToDate         posted expenses in the category, month start → today
+ *                       (duplicates and F/RF forecasts excluded)
+ *   remainingScheduled  F/RF forecast expenses in the category after today
+ *   projectedTotal      spentToDate + remainingScheduled
+ *
+ * Unscheduled future spending is not forecast (budget_scheduled_forecast_only).
+ * A limit stated in the message ("keep groceries under $400") is used when no
+ * budget is saved for that category. Loading budgets for the macro is
+ * fail-soft: a MySQL error means "no saved budgets", never a failed turn.
+ */
+
+const moment = require('moment');
+const {
+  authorizedPrefetchRead,
+  fetchCompletePeriodTransactions,
+  emptyEvidence,
+  isExcludedFromHistoricalSpend,
+  txnMatchesSubject,
+  PAGE_LIMIT,
+} = require('./keaGroundingPrefetch');
+
+const BUDGETS_TABLE = 'kea_budgets';
+
+const BUDGETS_TABLE_DDL = `CREATE TABLE IF NOT EXISTS ${BUDGETS_TABLE} (
+  id BIGINT UNSIGNED NOT NULL AUTO_INCREMENT,
+  userid VARCHAR(64) NOT NULL,
+  account_id VARCHAR(64) NOT NULL,
+  category VARCHAR(128) NOT NULL,
+  monthly_limit DECIMAL(12,2) NOT NULL,
+  created_at DATETIME(3) NOT NULL,
+  updated_at DATETIME(3) NOT NULL,
+  PRIMARY KEY (id),
+  UNIQUE KEY uq_kea_budgets_category (userid, account_id, category)
+)`;
+
+const MAX_BUDGETS_PER_ACCOUNT = 50;
+const MAX_CATEGORY_CHARS = 128;
+const MAX_MONTHLY_LIMIT = 10000000;
+const BUDGET_COLUMNS = 'id, userid, account_id, category, monthly_limit, created_at, updated_at';
+
+const BUDGET_STATUS = Object.freeze({
+  OVER: 'over',
+  PROJECTED_OVER: 'projected_over',
+  ON_TRACK: 'on_track',
+});
+
+class BudgetError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.name = 'BudgetError';
+    this.code = code;
+  }
+}
+
+function defaultDb() {
+  return require('./db');
+}
+
+let tableReady = null;
+
+function ensureBudgetsTable(db) {
+  if (!tableReady) {
+    tableReady = Promise.resolve(db.query(BUDGETS_TABLE_DDL)).catch((err) => {
+      tableReady = null;
+      throw err;
+    });
+  }
+  return tableReady;
+}
+
+function round2(n) {
+  return Math.round(n * 100) / 100;
+}
+
+function cleanCategory(value) {
+  if (typeof value !== 'string' || !value.trim()) {
+    throw new BudgetError('KEA_BUDGET_INVALID', 'category must be a non-empty string.');
+  }
+  const text = value.trim();
+  if (text.length > MAX_CATEGORY_CHARS) {
+    throw new BudgetError('KEA_BUDGET_INVALID', `category must be at most ${MAX_CATEGORY_CHARS} characters.`);
+  }
+  return text;
+}
+
+function cleanMonthlyLimit(value) {
+  const n = Number(value);
+  if (value === null || value === '' || !Number.isFinite(n) || n <= 0 || n > MAX_MONTHLY_LIMIT) {
+    throw new BudgetError('KEA_BUDGET_INVALID', 'monthlyLimit must be a positive amount.');
+  }
+  return round2(n);
+}
+
+function cleanAccountId(value) {
+  if (value == null || value === '') {
+    throw new BudgetError('KEA_BUDGET_INVALID', 'An account is required — budgets belong to one account.');
+  }
+  return String(value);
+}
+
+function sameCategory(a, b) {
+  return String(a || '').trim().toLowerCase() === String(b || '').trim().toLowerCase();
+}
+
+// "grocery" asks about a "Groceries" budget: compare singular stems too.
+function categoryStem(value) {
+  return String(value || '').trim().toLowerCase().replace(/ies$/, 'y').replace(/s$/, '');
+}
+
+function budgetMatchesCategory(budgetCategory, asked) {
+  return categoryStem(budgetCategory) === categoryStem(asked)
+    || txnMatchesSubject({ category: budgetCategory }, 'category', asked);
+}
+
+function toBudget(row) {
+  return {
+    id: Number(row.id),
+    accountId: row.account_id != null ? String(row.account_id) : null,
+    category: row.category,
+    monthlyLimit: Number(row.monthly_limit),
+    createdAt: row.created_at instanceof Date ? row.created_at.toISOString() : row.created_at,
+    updatedAt: row.updated_at instanceof Date ? row.updated_at.toISOString() : row.updated_at,
+  };
+}
+
+async function listBudgets(userId, accountId, { db } = {}) {
+  const account = cleanAccountId(accountId);
+  const conn = db || defaultDb();
+  await ensureBudgetsTable(conn);
+  const rows = await conn.query(
+    `SELECT ${BUDGET_COLUMNS} FROM ${BUDGETS_TABLE} WHERE userid = ? AND account_id = ? ORDER BY id ASC`,
+    [String(userId), account],
+  );
+  return (Array.isArray(rows) ? rows : []).map(toBudget);
+}
+
+/** Saved budgets for the macro. Fail-soft → []. */
+async function loadBudgets(userId, accountId, { db } = {}) {
+  if (userId == null || userId === '' || accountId == null || accountId === '') return [];
+  try {
+    return await listBudgets(userId, accountId, { db });
+  } catch (e) {
+    console.warn('Budgets load failed (fail-soft):', e.message);
+    return [];
+  }
+}
+
+/**
+ * Create or replace the monthly limit for one category:
+ * { category, monthlyLimit }. Category matching is case-insensitive; the
+ * existing row keeps its id. Resolves { budget, created }.
+ */
+async function setBudget(userId, accountId, input, { db, now = new Date() } = {}) {
+  const body = input || {};
+  const account = cleanAccountId(accountId);
+  const category = cleanCategory(body.category);
+  const monthlyLimit = cleanMonthlyLimit(body.monthlyLimit);
+  const conn = db || defaultDb();
+  const existing = await listBudgets(userId, account, { db: conn });
+  const match = existing.find((b) => sameCategory(b.category, category));
+  if (match) {
+    await conn.query(
+      `UPDATE ${BUDGETS_TABLE} SET category = ?, monthly_limit = ?, updated_at = ? WHERE id = ? AND userid = ?`,
+      [category, monthlyLimit, now, match.id, String(userId)],
+    );
+    return { budget: { ...match, category, monthlyLimit, updatedAt: now.toISOString() }, created: false };
+  }
+  if (existing.length >= MAX_BUDGETS_PER_ACCOUNT) {
+    throw new BudgetError('KEA_BUDGET_LIMIT', `At most ${MAX_BUDGETS_PER_ACCOUNT} budgets per account.`);
+  }
+  const result = await conn.query(
+    `INSERT INTO ${BUDGETS_TABLE} (userid, account_id, category, monthly_limit, created_at, updated_at) VALUES (?, ?, ?, ?, ?, ?)`,
+    [String(userId), account, category, monthlyLimit, now, now],
+  );
+  return {
+    budget: {
+      id: Number(result.insertId),
+      accountId: account,
+      category,
+      monthlyLimit,
+      createdAt: now.toISOString(),
+      updatedAt: now.toISOString(),
+    },
+    created: true,
+  };
+}
+
+/** Delete by { id } or { category }. Resolves the deleted budget. */
+async function deleteBudget(userId, accountId, { id, category } = {}, { db } = {}) {
+  const account = cleanAccountId(accountId);
+  if (id == null && (category == null || category === '')) {
+    throw new BudgetError('KEA_BUDGET_INVALID', 'A budget id or category is required.');
+  }
+  const conn = db || defaultDb();
+  const existing = await listBudgets(userId, account, { db: conn });
+  const target = id != null
+    ? existing.find((b) => b.id === Number(id))
+    : existing.find((b) => sameCategory(b.category, category));
+  if (!target) throw new BudgetError('KEA_BUDGET_NOT_FOUND', 'Budget not found.');
+  const result = await conn.query(
+    `DELETE FROM ${BUDGETS_TABLE} WHERE id = ? AND userid = ? AND account_id = ?`,
+    [target.id, String(userId), account],
+  );
+  if (!result || !result.affectedRows) throw new BudgetError('KEA_BUDGET_NOT_FOUND', 'Budget not found.');
+  return target;
+}
+
+/** Calendar month containing currentDate (YYYY-MM-DD). */
+function budgetMonthPeriod(currentDate) {
+  const today = moment(currentDate, 'YYYY-MM-DD', true).isValid()
+    ? moment(currentDate, 'YYYY-MM-DD')
+    : moment();
+  return {
+    start: today.clone().startOf('month').format('YYYY-MM-DD'),
+    end: today.clone().endOf('month').format('YYYY-MM-DD'),
+    label: 'this_month',
+  };
+}
+
+function isForecastRow(t) {
+  const ft = String((t && t.forecast_type) || '').toUpperCase();
+  return ft === 'F' || ft === 'RF';
+}
+
+function isDuplicateRow(t) {
+  const dup = t && t.duplicate;
+  return dup === 1 || dup === '1' || dup === true;
+}
+
+function rowDate(t) {
+  return String((t && (t.start || t.date)) || '').slice(0, 10);
+}
+
+function budgetRowStatus(row) {
+  if (row.spentToDate > row.monthlyLimit) return BUDGET_STATUS.OVER;
+  if (row.projectedTotal > row.monthlyLimit) return BUDGET_STATUS.PROJECTED_OVER;
+  return BUDGET_STATUS.ON_TRACK;
+}
+
+function budgetObservation(row) {
+  if (row.status === BUDGET_STATUS.OVER) {
+    return { code: 'budget_exceeded', category: row.category, overBy: round2(row.spentToDate - row.monthlyLimit) };
+  }
+  if (row.status === BUDGET_STATUS.PROJECTED_OVER) {
+    return {
+      code: 'budget_projected_over',
+      category: row.category,
+      projectedOverBy: round2(row.projectedTotal - row.monthlyLimit),
+    };
+  }
+  return { code: 'budget_on_track', category: row.category };
+}
+
+/**
+ * Month-to-date spend and remaining scheduled spend per budget. Pure.
+ * `budgets`: [{ category, monthlyLimit, source? }]; `category` narrows to one.
+ * Expenses are negative amounts; every returned figure is a positive magnitude.
+ */
+function computeBudgetStatus({ budgets, transactions, currentDate, category } = {}) {
+  const today = String(currentDate || '').slice(0, 10);
+  const list = (Array.isArray(budgets) ? budgets : [])
+    .filter((b) => b && b.category && Number(b.monthlyLimit) > 0)
+    .filter((b) => !category || budgetMatchesCategory(b.category, category));
+  const rows = [];
+  const observations = [];
+  for (const budget of list) {
+    let spent = 0;
+    let transactionCount = 0;
+    let scheduled = 0;
+    let scheduledCount = 0;
+    for (const t of transactions || []) {
+      const amount = Number(t && t.amount);
+      if (!Number.isFinite(amount) || amount >= 0) continue;
+      if (!txnMatchesSubject(t, 'category', budget.category)) continue;
+      const date = rowDate(t);
+      if (isForecastRow(t)) {
+        if (isDuplicateRow(t) || !date || date <= today) continue;
+        scheduled += Math.abs(amount);
+        scheduledCount += 1;
+        continue;
+      }
+      if (isExcludedFromHistoricalSpend(t) || (date && date > today)) continue;
+      spent += Math.abs(amount);
+      transactionCount += 1;
+    }
+    const monthlyLimit = round2(Number(budget.monthlyLimit));
+    const row = {
+      category: budget.category,
+      monthlyLimit,
+      source: budget.source || 'saved',
+      spentToDate: round2(spent),
+      transactionCount,
+      remainingScheduled: round2(scheduled),
+      scheduledCount,
+      projectedTotal: round2(spent + scheduled),
+    };
+    row.remainingBudget = round2(monthlyLimit - row.spentToDate);
+    row.projectedRemaining = round2(monthlyLimit - row.projectedTotal);
+    row.percentUsed = Math.round((row.spentToDate / monthlyLimit) * 1000) / 10;
+    row.status = budgetRowStatus(row);
+    rows.push(row);
+    observations.push(budgetObservation(row));
+  }
+  const totals = {
+    monthlyLimit: round2(rows.reduce((s, r) => s + r.monthlyLimit, 0)),
+    spentToDate: round2(rows.reduce((s, r) => s + r.spentToDate, 0)),
+    remainingScheduled: round2(rows.reduce((s, r) => s + r.remainingScheduled, 0)),
+    projectedTotal: round2(rows.reduce((s, r) => s + r.projectedTotal, 0)),
+  };
+  return { budgets: rows, totals, observations };
+}
+
+/** Saved budgets, plus the limit stated in this message when none is saved for its category. */
+function budgetsForTurn(saved, slots) {
+  const out = (Array.isArray(saved) ? saved : []).map((b) => ({
+    category: b.category,
+    monthlyLimit: b.monthlyLimit,
+    source: 'saved',
+  }));
+  const category = slots && slots.budgetCategory;
+  const stated = slots && Number(slots.budgetLimit);
+  if (category && Number.isFinite(stated) && stated > 0
+    && !out.some((b) => sameCategory(b.category, category))) {
+    out.push({ category, monthlyLimit: stated, source: 'stated' });
+  }
+  return out;
+}
+
+/**
+ * Grounded evidence for a cashflow_budget turn. Identity and account come
+ * from prefetchGrounding's trusted inputs only.
+ */
+async function prefetchCashflowBudgetMacro(input = {}) {
+  const {
+    trustedUserId,
+    accountId,
+    currentDate,
+    route,
+    queryFn,
+    assertFn,
+    fetchPage,
+    pageLimit,
+    db,
+    loadBudgetsFn = loadBudgets,
+  } = input;
+  const slots = (route && route.slots) || {};
+  const period = budgetMonthPeriod(currentDate);
+  const dataAsOf = currentDate || null;
+  const category = slots.budgetCategory || null;
+
+  let fetched;
+  let saved;
+  try {
+    await authorizedPrefetchRead({
+      trustedUserId,
+      accountId,
+      queryFn,
+      assertFn,
+      readFn: async () => true,
+    });
+    saved = await loadBudgetsFn(trustedUserId, accountId, { db });
+    fetched = await fetchCompletePeriodTransactions({
+      trustedUserId,
+      accountId,
+      startDate: period.start,
+      endDate: period.end,
+      fetchPage,
+      pageLimit: pageLimit || PAGE_LIMIT,
+    });
+  } catch (err) {
+    const code = err && err.code;
+    const reason = code === 'ACCESS_DENIED' || code === 'ACCOUNT_REQUIRED' ? 'access_unverified' : 'read_failed';
+    return emptyEvidence({ period, dataAsOf, limitations: [reason] });
+  }
+
+  const budgets = budgetsForTurn(saved, slots);
+  const prefetchMeta = {
+    pageCount: fetched.pageCount || 1,
+    rowCount: fetched.rowCount || 0,
+    savedBudgetCount: Array.isArray(saved) ? saved.length : 0,
+  };
+  if (!fetched.complete) {
+    return emptyEvidence({
+      status: fetched.reason === 'period_exceeds_prefetch_cap' ? 'unavailable' : 'partial',
+      source: ['cashflow_budget'],
+      period,
+      dataAsOf,
+      limitations: [fetched.reason === 'period_exceeds_prefetch_cap' ? 'period_exceeds_prefetch_cap' : 'incomplete_period_pages'],
+      prefetchMeta,
+    });
+  }
+
+  const computed = computeBudgetStatus({
+    budgets,
+    transactions: fetched.transactions,
+    currentDate,
+    category,
+  });
+  const limitations = ['duplicates_excluded', 'budget_scheduled_forecast_only'];
+  if (!computed.budgets.length) limitations.push('no_budget_set');
+  const facts = {
+    accountScope: 'selected_account',
+    period,
+    asOfDate: dataAsOf,
+    categoryFilter: category,
+    budgets: computed.budgets,
+    budgetCount: computed.budgets.length,
+  };
+  if (computed.budgets.length > 1) facts.totals = computed.totals;
+  const evidence = emptyEvidence({
+    status: 'ok',
+    source: ['cashflow_budget'],
+    period,
+    dataAsOf,
+    facts,
+    limitations,
+    observations: computed.observations,
+    prefetchMeta,
+  });
+  evidence.accountScope = 'selected_account';
+  return evidence;
+}
+
+function resetBudgetsForTests() {
+  tableReady = null;
+}
+
+module.exports = {
+  BUDGETS_TABLE,
+  BUDGETS_TABLE_DDL,
+  BUDGET_STATUS,
+  MAX_BUDGETS_PER_ACCOUNT,
+  BudgetError,
+  listBudgets,
+  loadBudgets,
+  setBudget,
+  deleteBudget,
+  budgetMonthPeriod,
+  computeBudgetStatus,
+  prefetchCashflowBudgetMacro,
+  resetBudgetsForTests,
+};
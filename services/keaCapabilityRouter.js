@@ -8,6 +8,13 @@ const {
   isUpcomingPeriodCurrentOrFuture,
 } = require('./keaUpcomingPeriod');
 const { projectConversationCapsule, resolveCurrentConversationCapsule, emptyAuthoritativeCapsule } = require('./keaConversationCapsule');
+const { createIntentRuleRegistry, loadIntentRulesFromFile } = require('./keaIntentRules');
+const {
+  isUndoUtterance,
+  lastCommittedWrite,
+  deriveUndoOperation,
+  buildUndoProposalText,
+} = require('./keaUndo');
 
 const CAPABILITIES = Object.freeze([
   'confirmation',
@@ -24,6 +31,9 @@ const CAPABILITIES = Object.freeze([
   'cashflow_recurring',
   'cashflow_upcoming',
   'cashflow_income_horizon',
+  'cashflow_budget',
+  'cashflow_anomaly',
+  'debt_payoff',
   'affordability_or_planning',
   'mixed_macro',
   'transaction_write',
@@ -43,6 +53,9 @@ const FINANCIAL_CAPABILITIES = new Set([
   'cashflow_recurring',
   'cashflow_upcoming',
   'cashflow_income_horizon',
+  'cashflow_budget',
+  'cashflow_anomaly',
+  'debt_payoff',
   'affordability_or_planning',
 ]);
 
@@ -695,6 +708,21 @@ function isBareNegative(text) {
   return /^(no|nope|nah|no thanks|not now|no thank you)[.!?]*$/i.test(m);
 }
 
+// "across all my accounts" / "combined balance" → aggregate account scope
+// (services/keaAggregateScope.js). "just this account" always wins.
+const AGGREGATE_SCOPE_PATTERNS = Object.freeze([
+  /\bacross\s+(?:all\s+(?:of\s+)?)?(?:my\s+|our\s+)?(?:accounts|calendars|everything)\b/,
+  /\b(?:all|every|each)\s+(?:of\s+)?(?:my\s+|our\s+)?(?:accounts|calendars)\b/,
+  /\bcombined\s+(?:\w+\s+){0,2}(?:balances?|spending|spend|income|totals?)\b/,
+]);
+const SELECTED_SCOPE_PATTERN = /\b(?:just|only)\s+(?:this|the\s+selected|my\s+selected|the\s+current)\s+account\b/;
+
+function isAggregateAccountScope(text) {
+  const t = String(text || '').toLowerCase();
+  if (SELECTED_SCOPE_PATTERN.test(t)) return false;
+  return AGGREGATE_SCOPE_PATTERNS.some((re) => re.test(t));
+}
+
 function accountsMatch(a, b) {
   if (a == null || b == null || a === '' || b === '') return false;
   return String(a) === String(b);
@@ -714,6 +742,62 @@ function isGoalWriteUtterance(text) {
     && /\b(add|create|update|delete|remove|change|set)\b/.test(m);
 }
 
+// "set a $400 grocery budget", "am I over my dining budget?", "keep groceries
+// under $400 this month". Savings goals stay with goal_write.
+function isBudgetUtterance(text) {
+  const m = String(text || '').toLowerCase();
+  if (/\b(goal|save toward|savings goal)\b/.test(m)) return false;
+  return /\bbudget(s|ed|ing)?\b/.test(m)
+    || /\b(keep|stay)\b.{0,40}\b(under|below|within)\s+\$\s*[\d,]+/.test(m);
+}
+
+function budgetActionFor(text) {
+  const m = String(text || '').toLowerCase();
+  if (/\b(delete|remove|drop|clear)\b.{0,40}\bbudget/.test(m)) return 'delete';
+  if (/\b(set|create|add|make|start|change|update|raise|lower|increase|decrease|bump)\b.{0,40}\bbudget/.test(m)
+    || /\bbudget\b.{0,40}\b(to|at|of)\s+\$\s*[\d,]+/.test(m)) {
+    return 'set';
+  }
+  return null;
+}
+
+// Category of a budget question: a known category word first, else
+// "my <x> budget" / "budget for <x>".
+function parseBudgetCategory(text, slots) {
+  if (slots && slots.subjectKind === 'category' && slots.subjectValue) return slots.subjectValue;
+  const m = String(text || '').toLowerCase();
+  const before = m.match(/\b(?:my|the|a|an)\s+(?:\$\s*[\d,]+(?:\.\d+)?\s+)?(?:monthly\s+)?([a-z][a-z &-]{1,30}?)\s+budget\b/);
+  if (before && !/^(monthly|new|total|overall)$/.test(before[1].trim())) return clipSubject(before[1].trim());
+  const after = m.match(/\bbudget\s+(?:for|on)\s+([a-z][a-z &-]{1,30}?)(?=\s+(?:to|at|of|this|each|every|per|a)\b|[?.!,]|$)/);
+  if (after) return clipSubject(after[1].trim());
+  return null;
+}
+
+// "anything weird on my account lately?", "was I charged twice?", "why was
+// this month so expensive?". Budget and goal language stays with those rules.
+function isAnomalyUtterance(text) {
+  const m = String(text || '').toLowerCase();
+  return /\b(weird|unusual|strange|odd|suspicious|unexpected|unfamiliar|anomal\w*|fishy)\b.{0,40}\b(charges?|transactions?|spend(ing)?|purchases?|payments?|account|activity)\b/.test(m)
+    || /\b(anything|something)\s+(weird|unusual|strange|odd|suspicious|fishy|off)\b/.test(m)
+    || /\b(charged|billed)\s+(me\s+)?twice\b|\bdouble[- ]?(charged|charges?|billed)\b|\bduplicate\s+(charges?|transactions?|payments?)\b/.test(m)
+    || /\bwhy\b.{0,40}\bso\s+(expensive|high|much)\b/.test(m);
+}
+
+// "how fast can I pay off my credit cards?", "avalanche or snowball?", "if I
+// put an extra $300 toward my loans". Goal and budget language stays with
+// those rules.
+function isDebtPayoffUtterance(text) {
+  const m = String(text || '').toLowerCase();
+  return /\b(avalanche|snowball)\b/.test(m)
+    || /\b(pay(ing)?\s+(it\s+|them\s+)?(off|down)|paid\s+off|payoff|pay-off|get out of)\b.{0,40}\b(debts?|credit cards?|cards?|loans?|balances?|mortgage|visa|mastercard|amex|discover)\b/.test(m)
+    || /\b(debts?|credit cards?|cards?|loans?|balances?|mortgage)\b.{0,40}\b(pay(ing)?\s+(it\s+|them\s+)?(off|down)|paid\s+off|payoff)\b/.test(m)
+    || /\bdebt[- ](free|payoff|plan|repayment)\b/.test(m)
+    || /\b(extra|additional)\b.{0,30}\b(toward|towards|to|on)\b.{0,20}\b(debts?|credit cards?|cards?|loans?|mortgage)\b/.test(m)
+    // A debt listed with its terms: "Visa $4,200 at 22.9%, $120 minimum".
+    || (/\b(debts?|credit cards?|cards?|loans?|mortgage|visa|mastercard|amex|discover)\b/.test(m)
+      && /\d\s*(%|percent\b|apr\b)/.test(m) && /\bmin(imum)?s?\b/.test(m));
+}
+
 function isSimUtterance(text) {
   const m = String(text || '').toLowerCase();
   return /\b(what if|hypothetically|simulate|if i (had|added|removed|cancelled|didn't))\b/.test(m);
@@ -796,6 +880,49 @@ function isRecurringCancelQuestion(text) {
   return /\b(subscription|recurring)\b/.test(m) || /\bcancel(?:\s+my)?\s+[a-z0-9]/.test(m);
 }
 
+const SUBSCRIPTION_WORDS_RE = /\b(subscriptions?|memberships?|streaming services?|recurring (charges?|bills?|expenses?|payments?|services?))\b/;
+
+/**
+ * Subscription-audit phrasing (cashflow_recurring, recurringMode 'audit'):
+ * "audit my subscriptions", "did any subscriptions go up in price", "which
+ * subscriptions should I cancel", "recurring charges that stopped but are
+ * still forecast", "did Netflix raise its price".
+ */
+function isSubscriptionAuditQuestion(text) {
+  const m = String(text || '').toLowerCase();
+  if (!m) return false;
+  if (/\b(raise[ds]?|hike[ds]?|increase[ds]?)\s+(its|their|the)\s+(price|prices|rate)\b/.test(m)) return true;
+  if (!SUBSCRIPTION_WORDS_RE.test(m)) return false;
+  if (/\b(audit|review|clean ?up|go through)\b/.test(m)) return true;
+  if (/\b(price|prices|pricing)\b/.test(m)
+    && /\b(increase[ds]?|raise[ds]?|hike[ds]?|went up|gone up|go up|goes up|higher|change[ds]?)\b/.test(m)) return true;
+  if (/\b(should|could|can|would) i (cancel|cut|drop)\b|\b(cancel|cut|drop)\b.{0,20}\bto save\b|\bcancel(lation)? candidates?\b/.test(m)) {
+    return true;
+  }
+  return /\b(stopped|no longer|not (being )?charg\w*|haven'?t (been )?charg\w*|still (scheduled|forecast\w*|in my forecast)|stale)\b/.test(m);
+}
+
+const GENERIC_AUDIT_SUBJECT_RE = /^(?:(?:my|the|our|any|all)\s+)*(subscriptions?|memberships?|recurring\b.*|charges?|bills?|services?|streaming\b.*|them|it|ones?)$/i;
+
+/** Named stream in an audit question ("did Netflix raise its price" → netflix), or null. */
+function parseAuditSubject(text) {
+  const raw = String(text || '').trim();
+  const patterns = [
+    /^(?:did|has|have)\s+(?:my\s+)?(.+?)\s+(?:raise[ds]?|hike[ds]?|increase[ds]?|go(?:ne)? up|went up)\b/i,
+    /\b(?:is|was)\s+(?:my\s+)?(.+?)\s+(?:still (?:charging|scheduled|forecast\w*)|stale)\b/i,
+    /\baudit\s+(?:my\s+)?(.+?)[.!?]*$/i,
+  ];
+  for (const re of patterns) {
+    const hit = raw.match(re);
+    if (!hit) continue;
+    const subject = hit[1].replace(/\s+(subscription|membership)s?$/i, '').trim().toLowerCase();
+    if (!subject || subject.length > 48 || GENERIC_AUDIT_SUBJECT_RE.test(subject)) return null;
+    if (/^(any|all|which|what)\b/.test(subject)) return null;
+    return clipSubject(subject);
+  }
+  return null;
+}
+
 function parseNamedRecurringSubject(text) {
   const raw = String(text || '');
   const due = raw.match(/\bwhen is\s+(?:my\s+)?(.+?)\s+due\b/i);
@@ -819,7 +946,7 @@ function isCashflowRecurring(text) {
   const m = String(text || '').toLowerCase();
   if (!m) return false;
   if (isSubscriptionQuestion(m) || isRecurringShareQuestion(m) || isRecurringTrendQuestion(m)) return true;
-  if (isRecurringCancelQuestion(text)) return true;
+  if (isRecurringCancelQuestion(text) || isSubscriptionAuditQuestion(text)) return true;
   if (/\bwhen is\b.+\bdue\b/.test(m)) return true;
   if (/\brecurring\b/.test(m)) return true;
   if (/\bregular (payments?|bills?|expenses?|income)\b/.test(m)) return true;
@@ -1217,7 +1344,7 @@ function isWriteAmendmentOrSlotFill(text, pendingDraft) {
   const raw = String(text || '').trim();
   if (!raw) return false;
   if (isClearTopicSwitch(raw)) return false;
-  if (isWriteUtterance(raw) || isGoalWriteUtterance(raw)) return true;
+  if (isWriteUtterance(raw) || isGoalWriteUtterance(raw) || budgetActionFor(raw)) return true;
   const m = raw.toLowerCase();
   if (/\b(make it|change it|change that|change the amount|change the date|make that|use \w+ instead|actually use|instead)\b/.test(m)) {
     return true;
@@ -1241,6 +1368,7 @@ function isWriteAmendmentOrSlotFill(text, pendingDraft) {
 }
 
 function pendingWriteType(input) {
+  if (input.pendingBudgetWrite && !input.pendingWrite && !input.pendingGoalWrite) return 'budget';
   if (input.pendingGoalWrite && !input.pendingWrite) return 'goal';
   if (input.pendingWrite && !input.pendingGoalWrite) return 'transaction';
   if (input.pendingWrite && input.pendingGoalWrite) return 'both';
@@ -1575,9 +1703,63 @@ function applyRepeatWriteLifecycle(dialogueState, route) {
   return dialogueState;
 }
 
+/**
+ * "Undo that": stage the inverse of the last committed write as a pending
+ * confirmation (services/keaUndo.js). Any other route drops a staged undo, so
+ * a later "yes" can't run it.
+ */
+function applyUndoLifecycle(dialogueState, route, { accountId } = {}) {
+  if (!dialogueState || typeof dialogueState !== 'object') return dialogueState;
+  if (route && route.undoHandoff) {
+    const op = deriveUndoOperation(lastCommittedWrite(dialogueState), { accountId });
+    dialogueState.pendingUndo = op.ok
+      ? { kind: op.kind, tool: op.tool, args: op.args, target: op.target, writeAt: op.write.at || null }
+      : null;
+    dialogueState.pendingConfirmation = op.ok;
+    dialogueState.needsReconfirm = false;
+    dialogueState.draftTransaction = {};
+    dialogueState.intent = op.ok ? 'undo' : null;
+    dialogueState.pendingInvitation = null;
+    return dialogueState;
+  }
+  if (dialogueState.pendingUndo && !(route && route.capability === 'confirmation')) {
+    dialogueState.pendingUndo = null;
+    if (dialogueState.intent === 'undo') {
+      dialogueState.pendingConfirmation = false;
+      dialogueState.needsReconfirm = false;
+      dialogueState.intent = null;
+    }
+  }
+  return dialogueState;
+}
+
 function buildDeterministicAffirmativeText(route, dialogueState, extras = {}) {
   const resolution = route && route.affirmativeResolution;
   if (resolution === 'declined') return 'Okay.';
+  if (resolution === 'undo_write') {
+    const pending = dialogueState && dialogueState.pendingUndo;
+    return buildUndoProposalText(pending
+      ? { ok: true, ...pending }
+      : deriveUndoOperation(lastCommittedWrite(dialogueState), { accountId: extras.accountId }));
+  }
+  if (resolution === 'stale_forecast_removal' || resolution === 'stale_forecast_clarify') {
+    const {
+      buildSeriesRemovalProposalText,
+      buildStaleForecastClarifyText,
+    } = require('./keaSubscriptionAudit');
+    return resolution === 'stale_forecast_removal'
+      ? buildSeriesRemovalProposalText(dialogueState && dialogueState.pendingSeriesRemoval)
+      : buildStaleForecastClarifyText(dialogueState && dialogueState.staleForecastOffer);
+  }
+  if (resolution === 'debt_payment_write' || resolution === 'debt_payment_clarify') {
+    const {
+      buildDebtPaymentProposalText,
+      buildDebtPaymentClarifyText,
+    } = require('./keaDebtPayoff');
+    return resolution === 'debt_payment_write'
+      ? buildDebtPaymentProposalText(dialogueState && dialogueState.pendingDebtPayment)
+      : buildDebtPaymentClarifyText(dialogueState && dialogueState.debtPaymentOffer);
+  }
   if (resolution === 'invitation_clarify') {
     return buildInvitationClarifyText({
       kind: 'add_affordability_expense',
@@ -1629,7 +1811,12 @@ function shouldSkipAzureForRoute(route) {
   if (!route) return false;
   return isDeterministicAffirmativeCapability(route.capability)
     || !!route.invitationWriteHandoff
-    || !!route.repeatWriteHandoff;
+    || !!route.repeatWriteHandoff
+    || !!route.undoHandoff
+    || route.affirmativeResolution === 'stale_forecast_removal'
+    || route.affirmativeResolution === 'stale_forecast_clarify'
+    || !!route.debtPaymentHandoff
+    || route.affirmativeResolution === 'debt_payment_clarify';
 }
 
 function invitationMatchesAccount(invitation, accountId) {
@@ -1710,7 +1897,10 @@ function wouldBreakContinuation(message, lastCap, currentDate) {
     || (isCashflowComparison(message) && !isCashflowTrend(message) && lastCap === 'cashflow_trend')
     || (isCashflowRecurring(message) && lastCap !== 'cashflow_recurring')
     || (isCashflowUpcoming(message, currentDate) && lastCap !== 'cashflow_upcoming')
-    || (isCashflowIncomeHorizon(message, currentDate) && lastCap !== 'cashflow_income_horizon');
+    || (isCashflowIncomeHorizon(message, currentDate) && lastCap !== 'cashflow_income_horizon')
+    || (isBudgetUtterance(message) && lastCap !== 'cashflow_budget')
+    || (isAnomalyUtterance(message) && lastCap !== 'cashflow_anomaly')
+    || (isDebtPayoffUtterance(message) && lastCap !== 'debt_payoff');
 }
 
 function intentStrengthFor(capability) {
@@ -1720,6 +1910,9 @@ function intentStrengthFor(capability) {
     || capability === 'cashflow_income_horizon'
     || capability === 'cashflow_trend'
     || capability === 'cashflow_comparison'
+    || capability === 'cashflow_budget'
+    || capability === 'cashflow_anomaly'
+    || capability === 'debt_payoff'
   ) {
     return 'strong_fresh';
   }
@@ -1729,91 +1922,130 @@ function intentStrengthFor(capability) {
   return 'none';
 }
 
-/**
- * Fresh-intent classification independent of lastX / Capsule.
- * Does not decide write confirmation, invitation, or continuation.
- * Invitation/write-utterance branches are included so production can call
- * this at the existing classifier site without reordering; resolver callers
- * omit invitation flags.
- */
-function classifyFreshIntentCandidate(input = {}) {
+function freshIntentContext(input = {}) {
   const message = String(input.message || '');
   const currentDate = input.currentDate;
   const knownCategories = input.knownCategories;
-  const slots = input.slots || extractSlots(message, currentDate, knownCategories);
-  const simulationMode = input.simulationMode === true;
-  const invitationOk = input.invitationOk === true;
-  const invitation = input.invitation || null;
-
-  const pack = (capability, extra = {}) => ({
-    capability,
-    confidence: extra.confidence || 'high',
-    slots: extra.slots || slots,
-    invitationWriteHandoff: extra.invitationWriteHandoff === true,
-    affirmativeResolution: extra.affirmativeResolution || 'none',
-    intentStrength: extra.intentStrength || intentStrengthFor(capability),
-  });
+  return {
+    message,
+    currentDate,
+    knownCategories,
+    slots: input.slots || extractSlots(message, currentDate, knownCategories),
+    simulationMode: input.simulationMode === true,
+    invitationOk: input.invitationOk === true,
+    invitation: input.invitation || null,
+  };
+}
 
-  if (simulationMode && isSimUtterance(message)) {
-    return pack('simulation');
-  }
-  if (isProductHelp(message)) {
-    return pack('product_help');
-  }
-  if (isSimUtterance(message)) {
-    return pack('simulation', { confidence: 'medium' });
-  }
-  if (isGoalWriteUtterance(message)) {
-    return pack('goal_write');
-  }
-  if (isWriteUtterance(message) || (invitationOk && isInvitationReferringWrite(message))) {
+// Predicates rules may name in `when`. Each reads the classifier context.
+const INTENT_PREDICATES = Object.freeze({
+  simulationMode: (ctx) => ctx.simulationMode,
+  invitationOk: (ctx) => ctx.invitationOk,
+  isProductHelp: (ctx) => isProductHelp(ctx.message),
+  isSimUtterance: (ctx) => isSimUtterance(ctx.message),
+  isGoalWriteUtterance: (ctx) => isGoalWriteUtterance(ctx.message),
+  isBudgetUtterance: (ctx) => isBudgetUtterance(ctx.message),
+  isAnomalyUtterance: (ctx) => isAnomalyUtterance(ctx.message),
+  isDebtPayoffUtterance: (ctx) => isDebtPayoffUtterance(ctx.message),
+  isWriteUtterance: (ctx) => isWriteUtterance(ctx.message),
+  isInvitationReferringWrite: (ctx) => isInvitationReferringWrite(ctx.message),
+  isNavUtterance: (ctx) => isNavUtterance(ctx.message),
+  detectWantsUiAction: (ctx) => detectWantsUiAction(ctx.message),
+  isCasual: (ctx) => isCasual(ctx.message),
+  isPaydayAffordabilityMix: (ctx) => isPaydayAffordabilityMix(ctx.message),
+  isSafeSpendBeforePayday: (ctx) => isSafeSpendBeforePayday(ctx.message),
+  isCashflowIncomeHorizon: (ctx) => isCashflowIncomeHorizon(ctx.message, ctx.currentDate),
+  isMixedMacro: (ctx) => isMixedMacro(ctx.message),
+  isAffordability: (ctx) => isAffordability(ctx.message),
+  isCashflowTrend: (ctx) => isCashflowTrend(ctx.message),
+  isCashflowComparison: (ctx) => isCashflowComparison(ctx.message),
+  isCashflowRecurring: (ctx) => isCashflowRecurring(ctx.message),
+  isCashflowUpcoming: (ctx) => isCashflowUpcoming(ctx.message, ctx.currentDate),
+  isCashflowAnalysis: (ctx) => isCashflowAnalysis(ctx.message),
+  isNegativeRiskQuestion: (ctx) => isNegativeRiskQuestion(ctx.message),
+  isForecast: (ctx) => isForecast(ctx.message),
+  isLookup: (ctx) => isLookup(ctx.message),
+  asksForFinancialAmount: (ctx) => asksForFinancialAmount(ctx.message),
+});
+
+// Slot extractors rules may name in `slots`. Each returns pack() extras.
+const INTENT_SLOT_EXTRACTORS = Object.freeze({
+  default: () => ({}),
+  transaction_write: (ctx) => {
+    const { message, knownCategories, slots, invitationOk, invitation } = ctx;
     const parsed = invitationOk ? parseInvitationSlotFill(message, knownCategories) : { title: null, category: null };
-    const writeSlots = invitationHandoffSlots(invitationOk ? invitation : null, slots, parsed);
-    return pack('transaction_write', {
-      slots: writeSlots,
+    return {
+      slots: invitationHandoffSlots(invitationOk ? invitation : null, slots, parsed),
       invitationWriteHandoff: !!invitationOk,
       affirmativeResolution: invitationOk ? 'write_handoff' : 'none',
-    });
-  }
-  if (isNavUtterance(message)) {
-    return pack('navigation_ui');
-  }
-  if (detectWantsUiAction(message)) {
+    };
+  },
+  navigation_ui: (ctx) => {
+    const { message, currentDate, knownCategories, slots } = ctx;
     const nav = extractNavLookup(message, currentDate, knownCategories);
-    const navSlots = nav
-      ? {
-          ...slots,
-          subjectKind: nav.subjectKind || slots.subjectKind,
-          subjectValue: nav.subjectValue || slots.subjectValue,
-          period: nav.period || slots.period,
-          displaySubject: nav.displaySubject || slots.displaySubject,
-        }
-      : slots;
-    return pack('navigation_ui', { slots: navSlots });
-  }
-  if (isCasual(message)) {
-    return pack('casual_conversation');
-  }
-  if (isPaydayAffordabilityMix(message) || isSafeSpendBeforePayday(message) || isCashflowIncomeHorizon(message, currentDate)) {
-    return pack('cashflow_income_horizon', {
+    if (!nav) return {};
+    return {
       slots: {
         ...slots,
-        incomeHorizonError: incomeHorizonErrorFor(message),
+        subjectKind: nav.subjectKind || slots.subjectKind,
+        subjectValue: nav.subjectValue || slots.subjectValue,
+        period: nav.period || slots.period,
+        displaySubject: nav.displaySubject || slots.displaySubject,
       },
-    });
-  }
-  if (isMixedMacro(message)) {
-    return pack('mixed_macro');
-  }
-  if (isAffordability(message)) {
-    return pack('affordability_or_planning');
-  }
-  if (isCashflowTrend(message)) {
+    };
+  },
+  budget: (ctx) => {
+    const { message, currentDate, slots } = ctx;
+    const today = moment(currentDate, 'YYYY-MM-DD', true).isValid()
+      ? moment(currentDate, 'YYYY-MM-DD')
+      : moment();
+    return {
+      slots: {
+        ...slots,
+        period: {
+          start: today.clone().startOf('month').format('YYYY-MM-DD'),
+          end: today.clone().endOf('month').format('YYYY-MM-DD'),
+          label: 'this_month',
+        },
+        budgetCategory: parseBudgetCategory(message, slots),
+        budgetLimit: slots.amount != null && slots.amount > 0 ? slots.amount : null,
+        budgetAction: budgetActionFor(message),
+      },
+    };
+  },
+  anomaly: (ctx) => {
+    const { slots } = ctx;
+    // "anything weird on my account" is the whole account, not a category.
+    const accountWide = slots.subjectKind === 'category'
+      && /^(my|our|the)\b|\b(account|card|statement)\b/.test(String(slots.subjectValue || ''));
+    if (!accountWide) return {};
+    return { slots: { ...slots, subjectKind: null, subjectValue: null, displaySubject: null } };
+  },
+  debt_payoff: (ctx) => {
+    // Lazy-require: the parsers live with the planner.
+    const { parseDebts, parseExtraPayment, parseDebtStrategy } = require('./keaDebtPayoff');
+    return {
+      slots: {
+        ...ctx.slots,
+        debts: parseDebts(ctx.message),
+        extraPayment: parseExtraPayment(ctx.message),
+        debtStrategy: parseDebtStrategy(ctx.message),
+      },
+    };
+  },
+  income_horizon: (ctx) => ({
+    slots: {
+      ...ctx.slots,
+      incomeHorizonError: incomeHorizonErrorFor(ctx.message),
+    },
+  }),
+  trend: (ctx) => {
+    const { message, currentDate, slots } = ctx;
     const trend = parseTrendPeriods(message, currentDate);
     const trendError = slots.subjectKind === 'merchant'
       ? 'merchant_trend_unsupported'
       : (categoryStemsIn(message).size >= 2 ? 'compound_trend_unsupported' : (trend.error || null));
-    return pack('cashflow_trend', {
+    return {
       slots: {
         ...slots,
         periods: trend.periods || null,
@@ -1821,27 +2053,43 @@ function classifyFreshIntentCandidate(input = {}) {
         metricScope: trendMetricScope(message, slots.subjectKind),
         trendError,
       },
-    });
-  }
-  if (isCashflowComparison(message)) {
-    const comparison = parseComparisonPeriods(message, currentDate);
-    return pack('cashflow_comparison', {
+    };
+  },
+  comparison: (ctx) => {
+    const comparison = parseComparisonPeriods(ctx.message, ctx.currentDate);
+    return {
       slots: {
-        ...slots,
+        ...ctx.slots,
         periodA: comparison.periodA || null,
         periodB: comparison.periodB || null,
         windowKind: comparison.windowKind || null,
         comparisonError: comparison.error || null,
       },
-    });
-  }
-  if (isCashflowRecurring(message)) {
+    };
+  },
+  recurring: (ctx) => {
+    const { message, slots } = ctx;
+    if (isSubscriptionAuditQuestion(message)) {
+      const named = parseAuditSubject(message);
+      return {
+        slots: {
+          ...slots,
+          metricScope: 'expense',
+          rankingMode: null,
+          recurringMode: 'audit',
+          recurringError: null,
+          recurringCancel: isRecurringCancelQuestion(message) || undefined,
+          subjectKind: named ? 'merchant' : null,
+          subjectValue: named,
+        },
+      };
+    }
     let recurringError = null;
     if (isSubscriptionQuestion(message)) recurringError = 'recurring_definition_unsupported';
     else if (isRecurringShareQuestion(message)) recurringError = 'recurring_share_unsupported';
     else if (isRecurringTrendQuestion(message)) recurringError = 'recurring_trend_unsupported';
     const named = parseNamedRecurringSubject(message);
-    return pack('cashflow_recurring', {
+    return {
       slots: {
         ...slots,
         metricScope: recurringMetricScope(message, 'all'),
@@ -1851,9 +2099,10 @@ function classifyFreshIntentCandidate(input = {}) {
         subjectKind: named ? 'merchant' : slots.subjectKind,
         subjectValue: named || slots.subjectValue,
       },
-    });
-  }
-  if (isCashflowUpcoming(message, currentDate)) {
+    };
+  },
+  upcoming: (ctx) => {
+    const { message, currentDate, slots } = ctx;
     const resolved = resolveUpcomingPeriod(message, currentDate);
     let upcomingError = null;
     let period = null;
@@ -1885,16 +2134,17 @@ function classifyFreshIntentCandidate(input = {}) {
         relation: resolved.relation,
       };
     }
-    return pack('cashflow_upcoming', {
+    return {
       slots: {
         ...slots,
         period,
         metricScope: upcomingMetricScope(message, 'all'),
         upcomingError,
       },
-    });
-  }
-  if (isCashflowAnalysis(message)) {
+    };
+  },
+  analysis: (ctx) => {
+    const { message, currentDate, slots } = ctx;
     let period = slots.period;
     if (!period && isNegativeRiskQuestion(message)) {
       const today = moment(currentDate, 'YYYY-MM-DD', true).isValid()
@@ -1908,22 +2158,145 @@ function classifyFreshIntentCandidate(input = {}) {
     } else if (!period) {
       period = parsePeriod('this month', currentDate);
     }
-    return pack('cashflow_analysis', { slots: { ...slots, period } });
-  }
-  if (isForecast(message)) {
-    return pack('financial_forecast');
-  }
-  if (isLookup(message)) {
+    return { slots: { ...slots, period } };
+  },
+  lookup: (ctx) => {
+    const { message, slots } = ctx;
     const kind = /\b(balance|available|credit limit)\b/.test(message.toLowerCase()) && !/\b(spend|spent)\b/.test(message.toLowerCase())
       ? 'account'
       : slots.subjectKind;
     const value = kind === 'account' ? 'balance' : slots.subjectValue;
-    return pack('financial_lookup', {
+    return {
       slots: { ...slots, subjectKind: kind || slots.subjectKind, subjectValue: value || slots.subjectValue },
-    });
+    };
+  },
+});
+
+/**
+ * Built-in fresh-intent policy, highest priority first. This table IS the
+ * routing order the classifier used to encode as an if-chain; priorities
+ * leave gaps of 50 so JSON rules can slot in between without renumbering.
+ */
+const BUILTIN_INTENT_RULES = Object.freeze([
+  { name: 'simulation_mode_utterance', priority: 1000, capability: 'simulation', when: [['simulationMode', 'isSimUtterance']] },
+  { name: 'product_help', priority: 950, capability: 'product_help', when: [['isProductHelp']] },
+  { name: 'simulation_utterance', priority: 900, capability: 'simulation', when: [['isSimUtterance']], confidence: 'medium' },
+  { name: 'goal_write', priority: 850, capability: 'goal_write', when: [['isGoalWriteUtterance']] },
+  { name: 'cashflow_budget', priority: 825, capability: 'cashflow_budget', when: [['isBudgetUtterance']], slots: 'budget' },
+  {
+    name: 'transaction_write',
+    priority: 800,
+    capability: 'transaction_write',
+    when: [['isWriteUtterance'], ['invitationOk', 'isInvitationReferringWrite']],
+    slots: 'transaction_write',
+  },
+  { name: 'navigation_utterance', priority: 750, capability: 'navigation_ui', when: [['isNavUtterance']] },
+  { name: 'navigation_ui_action', priority: 700, capability: 'navigation_ui', when: [['detectWantsUiAction']], slots: 'navigation_ui' },
+  { name: 'casual_conversation', priority: 650, capability: 'casual_conversation', when: [['isCasual']] },
+  {
+    name: 'cashflow_income_horizon',
+    priority: 600,
+    capability: 'cashflow_income_horizon',
+    when: [['isPaydayAffordabilityMix'], ['isSafeSpendBeforePayday'], ['isCashflowIncomeHorizon']],
+    slots: 'income_horizon',
+  },
+  { name: 'mixed_macro', priority: 550, capability: 'mixed_macro', when: [['isMixedMacro']] },
+  { name: 'debt_payoff', priority: 525, capability: 'debt_payoff', when: [['isDebtPayoffUtterance']], slots: 'debt_payoff' },
+  { name: 'affordability_or_planning', priority: 500, capability: 'affordability_or_planning', when: [['isAffordability']] },
+  { name: 'cashflow_anomaly', priority: 475, capability: 'cashflow_anomaly', when: [['isAnomalyUtterance']], slots: 'anomaly' },
+  { name: 'cashflow_trend', priority: 450, capability: 'cashflow_trend', when: [['isCashflowTrend']], slots: 'trend' },
+  { name: 'cashflow_comparison', priority: 400, capability: 'cashflow_comparison', when: [['isCashflowComparison']], slots: 'comparison' },
+  { name: 'cashflow_recurring', priority: 350, capability: 'cashflow_recurring', when: [['isCashflowRecurring']], slots: 'recurring' },
+  { name: 'cashflow_upcoming', priority: 300, capability: 'cashflow_upcoming', when: [['isCashflowUpcoming']], slots: 'upcoming' },
+  { name: 'cashflow_analysis', priority: 250, capability: 'cashflow_analysis', when: [['isCashflowAnalysis']], slots: 'analysis' },
+  { name: 'financial_forecast', priority: 200, capability: 'financial_forecast', when: [['isForecast']] },
+  { name: 'financial_lookup', priority: 150, capability: 'financial_lookup', when: [['isLookup']], slots: 'lookup' },
+]);
+
+const INTENT_RULES_PATH_ENV_KEY = 'KEA_INTENT_RULES_PATH';
+
+// Capabilities a rule may route to: whatever the built-ins route to. Stateful
+// outcomes (confirmation, continuation, clarify) stay owned by routeCapability.
+const RULE_CAPABILITIES = Object.freeze(
+  BUILTIN_INTENT_RULES.map((r) => r.capability).filter((c, i, all) => all.indexOf(c) === i)
+);
+
+function createBuiltinIntentRegistry() {
+  const registry = createIntentRuleRegistry({
+    predicates: INTENT_PREDICATES,
+    extractors: INTENT_SLOT_EXTRACTORS,
+    capabilities: RULE_CAPABILITIES,
+  });
+  for (const rule of BUILTIN_INTENT_RULES) registry.register(rule);
+  return registry;
+}
+
+let intentRegistry = null;
+let intentRulesLoadResult = { path: null, loaded: [], errors: [] };
+
+/**
+ * Process-wide registry: built-ins plus the optional KEA_INTENT_RULES_PATH
+ * JSON file, loaded once. Bad JSON rules are logged and skipped.
+ */
+function getIntentRuleRegistry() {
+  if (intentRegistry) return intentRegistry;
+  const registry = createBuiltinIntentRegistry();
+  const rulesPath = process.env[INTENT_RULES_PATH_ENV_KEY];
+  if (rulesPath && String(rulesPath).trim()) {
+    const out = loadIntentRulesFromFile(registry, String(rulesPath).trim());
+    intentRulesLoadResult = { path: String(rulesPath).trim(), loaded: out.loaded, errors: out.errors };
+    if (out.errors.length) {
+      console.warn('Kea intent rules: skipped invalid rules', out.errors.map((e) => `${e.rule || '-'}: ${e.code}`).join('; '));
+    }
   }
+  intentRegistry = registry;
+  return intentRegistry;
+}
 
-  return pack('unknown', { confidence: 'low', intentStrength: 'none' });
+/** Tests / debug tooling: drop the cached registry (re-reads the env path). */
+function resetIntentRuleRegistry() {
+  intentRegistry = null;
+  intentRulesLoadResult = { path: null, loaded: [], errors: [] };
+}
+
+function intentRulesLoadStatus() {
+  return {
+    path: intentRulesLoadResult.path,
+    loaded: intentRulesLoadResult.loaded.slice(),
+    errors: intentRulesLoadResult.errors.slice(),
+  };
+}
+
+/**
+ * Fresh-intent classification independent of lastX / Capsule.
+ * Does not decide write confirmation, invitation, or continuation.
+ * Invitation/write-utterance rules are included so production can call
+ * this at the existing classifier site without reordering; resolver callers
+ * omit invitation flags.
+ */
+function classifyFreshIntentCandidate(input = {}) {
+  const registry = input.registry || getIntentRuleRegistry();
+  const ctx = freshIntentContext(input);
+  const rule = registry.firstMatch(ctx);
+  if (!rule) {
+    return packFreshIntent('unknown', ctx.slots, { confidence: 'low', intentStrength: 'none' });
+  }
+  const extra = registry.extract(rule, ctx);
+  return packFreshIntent(rule.capability, ctx.slots, Object.assign({ confidence: rule.confidence }, extra, {
+    ruleName: rule.name,
+  }));
+}
+
+function packFreshIntent(capability, slots, extra = {}) {
+  return {
+    capability,
+    confidence: extra.confidence || 'high',
+    slots: extra.slots || slots,
+    invitationWriteHandoff: extra.invitationWriteHandoff === true,
+    affirmativeResolution: extra.affirmativeResolution || 'none',
+    intentStrength: extra.intentStrength || intentStrengthFor(capability),
+    ruleName: extra.ruleName || null,
+  };
 }
 
 /**
@@ -1951,12 +2324,47 @@ function routeCapabilityUnwrapped(input = {}) {
     affirmativeResolution: 'none',
     invitationWriteHandoff: false,
     repeatWriteHandoff: false,
+    undoHandoff: false,
+    staleForecastHandoff: false,
+    debtPaymentHandoff: false,
   };
 
+  // 0. A debt payoff answer offered its extra payment as a series: "add it" /
+  //    "simulate it" takes the offer up (services/keaDebtPayoff.js). Runs
+  //    before the Simulation Mode rule so "yes" there stages the simulation.
+  if (!pendingType && last.debtPaymentOffer) {
+    const { resolveDebtPaymentAcceptance, deriveDebtPaymentOperation } = require('./keaDebtPayoff');
+    const acceptance = resolveDebtPaymentAcceptance(last.debtPaymentOffer, message, {
+      accountId: currentAccountId,
+      userAffirmative: input.userAffirmative,
+      simulationMode: input.simulationMode,
+    });
+    if (acceptance && acceptance.mode === 'simulation') {
+      const op = deriveDebtPaymentOperation(last.debtPaymentOffer, { accountId: currentAccountId });
+      return {
+        ...base,
+        capability: 'simulation',
+        confidence: 'high',
+        debtPaymentHandoff: true,
+        affirmativeResolution: 'debt_payment_simulation',
+        slots: { ...slots, debtPayment: op.ok ? op.args : null },
+      };
+    }
+    if (acceptance) {
+      return {
+        ...base,
+        capability: 'transaction_write',
+        confidence: 'high',
+        debtPaymentHandoff: !!acceptance.mode,
+        affirmativeResolution: acceptance.mode ? 'debt_payment_write' : 'debt_payment_clarify',
+      };
+    }
+  }
+
   // 1. Simulation constraints: real-write / what-if language in sim mode
   //    becomes simulation, unless this is an affirmative confirm of a pending write.
   if (input.simulationMode && !(pendingType && input.userAffirmative)) {
-    if (isWriteUtterance(message) || isGoalWriteUtterance(message) || isSimUtterance(message)) {
+    if (isWriteUtterance(message) || isGoalWriteUtterance(message) || budgetActionFor(message) || isSimUtterance(message)) {
       return { ...base, capability: 'simulation', confidence: 'high' };
     }
   }
@@ -1975,6 +2383,39 @@ function routeCapabilityUnwrapped(input = {}) {
     };
   }
 
+  // 1c. "Undo that" reverses the last committed write through the same
+  //     propose→confirm gate. A pending proposal still owns the turn.
+  if (!input.simulationMode && !pendingType && isUndoUtterance(message)) {
+    return {
+      ...base,
+      capability: 'transaction_write',
+      confidence: 'high',
+      undoHandoff: true,
+      affirmativeResolution: 'undo_write',
+    };
+  }
+
+  // 1d. A subscription audit offered to remove a stale forecast series:
+  //     "yes" / "remove it" stages that delete behind the usual confirmation
+  //     (services/keaSubscriptionAudit.js).
+  if (!input.simulationMode && !pendingType && last.staleForecastOffer) {
+    const { resolveStaleForecastAcceptance } = require('./keaSubscriptionAudit');
+    const acceptance = resolveStaleForecastAcceptance(last.staleForecastOffer, message, {
+      accountId: currentAccountId,
+      userAffirmative: input.userAffirmative,
+    });
+    if (acceptance) {
+      return {
+        ...base,
+        capability: 'transaction_write',
+        confidence: 'high',
+        staleForecastHandoff: !!acceptance.target,
+        affirmativeResolution: acceptance.target ? 'stale_forecast_removal' : 'stale_forecast_clarify',
+        slots: { ...slots, staleForecastLabel: acceptance.target ? acceptance.target.label : null },
+      };
+    }
+  }
+
   // 2. Pending write + affirmative → confirmation, unless a topic switch
   //    suspended confirmation (needsReconfirm). Generic "yes" must not
   //    commit an old proposal; the draft slots stay for a later re-propose.
@@ -1993,8 +2434,14 @@ function routeCapabilityUnwrapped(input = {}) {
 
   // 3. Pending write + amendment / slot-fill only — unrelated topics fall through.
   if (pendingType && !input.userAffirmative) {
-    const draft = pendingType === 'goal' ? input.pendingGoalDraft : input.pendingDraft;
+    const draft = pendingType === 'goal'
+      ? input.pendingGoalDraft
+      : pendingType === 'budget' ? input.pendingBudgetDraft : input.pendingDraft;
     if (isWriteAmendmentOrSlotFill(message, draft || input.pendingDraft)) {
+      if (pendingType === 'budget') {
+        const budget = INTENT_SLOT_EXTRACTORS.budget({ message, currentDate, slots });
+        return { ...base, ...budget, capability: 'cashflow_budget', confidence: 'high' };
+      }
       const capability = pendingType === 'goal' ? 'goal_write' : 'transaction_write';
       return { ...base, capability, confidence: 'high' };
     }
@@ -2015,6 +2462,7 @@ function routeCapabilityUnwrapped(input = {}) {
     currentDate,
     knownCategories,
     slots,
+    registry: input.registry,
   });
   const resolved = resolveConversationState({
     message,
@@ -2025,7 +2473,8 @@ function routeCapabilityUnwrapped(input = {}) {
     knownCategories,
   });
   const accountChanged = resolved.accountMatch === false
-    || !!(last.lastAccountId && currentAccountId && !accountsMatch(last.lastAccountId, currentAccountId));
+    || !!(last.lastAccountId && currentAccountId && last.lastAccountScope !== 'aggregate'
+      && !accountsMatch(last.lastAccountId, currentAccountId));
   let capsuleClear = resolved.transition === TRANSITION.CLEARED_HARD_SWITCH
     || resolved.transition === TRANSITION.CLEARED_ACCOUNT_CHANGE;
   const capsuleTransition = resolved.transition || TRANSITION.NONE;
@@ -2095,6 +2544,7 @@ function routeCapabilityUnwrapped(input = {}) {
     simulationMode: input.simulationMode === true,
     invitationOk,
     invitation,
+    registry: input.registry,
   });
   if (classified.capability !== 'unknown') {
     if ((classified.capability === 'product_help' || classified.capability === 'navigation_ui')
@@ -2113,6 +2563,7 @@ function routeCapabilityUnwrapped(input = {}) {
       capsuleTransition: base.capsuleTransition,
       invitationWriteHandoff: classified.invitationWriteHandoff === true,
       affirmativeResolution: classified.affirmativeResolution || 'none',
+      intentRule: classified.ruleName,
     };
   }
 
@@ -2249,14 +2700,183 @@ function routeCapabilityUnwrapped(input = {}) {
   return { ...base, capability: 'unknown', confidence: 'low', accountChanged };
 }
 
+/**
+ * Financial routes get slots.accountScope 'aggregate' when the user asks
+ * across accounts, or when a continuation follows an aggregate Capsule thread.
+ */
+function attachAccountScope(route, input) {
+  const cap = route.capability === 'continuation' ? route.parentCapability : route.capability;
+  if (!FINANCIAL_CAPABILITIES.has(cap)) return route;
+  const text = String(input.message || '').toLowerCase();
+  if (SELECTED_SCOPE_PATTERN.test(text)) return route;
+  let aggregate = isAggregateAccountScope(text);
+  if (!aggregate && route.continuationUsed) {
+    const capsule = resolveCurrentConversationCapsule(input.dialogueState || {}, input.accountId);
+    aggregate = !!(capsule && capsule.activeThread && capsule.activeThread.accountScope === 'aggregate');
+  }
+  if (!aggregate) return route;
+  return { ...route, slots: { ...(route.slots || {}), accountScope: 'aggregate' } };
+}
+
 function routeCapability(input = {}) {
   const result = routeCapabilityUnwrapped(input);
-  return attachLookupMeta(
+  const route = attachLookupMeta(
     result,
     String(input.message || ''),
     input.currentDate,
     input.knownCategories
   );
+  return attachRouteConfidence(attachAccountScope(route, input), input);
+}
+
+// Numeric route confidence (0..1). Rule routes start from the rule's label
+// and lose RUNNER_UP_PENALTY for each other capability whose rule also
+// matched; dialogue-state routes keep their label's score. `unknown` is 0
+// and clarify is a fallback, so both sit below the classifier threshold.
+const RULE_CONFIDENCE_SCORES = Object.freeze({ high: 0.9, medium: 0.65, low: 0.4 });
+const STATE_CONFIDENCE_SCORES = Object.freeze({ high: 0.95, medium: 0.7, low: 0.3 });
+const RUNNER_UP_PENALTY = 0.15;
+const MAX_RUNNER_UPS = 3;
+
+/** Classifier context for `input`, with the invitation gate routeCapability applies. */
+function routeIntentContext(input = {}) {
+  const dialogueState = input.dialogueState || {};
+  const invitation = normalizePendingInvitation(dialogueState.pendingInvitation);
+  const invitationOk = !!(invitation && invitationMatchesAccount(invitation, input.accountId));
+  return freshIntentContext({
+    message: input.message,
+    currentDate: input.currentDate,
+    knownCategories: input.knownCategories,
+    simulationMode: input.simulationMode === true,
+    invitationOk,
+    invitation,
+  });
+}
+
+/** Distinct capabilities other than the route's own whose rules also matched. */
+function routeRunnerUps(route, matches) {
+  const taken = new Set([route.capability, route.parentCapability].filter(Boolean));
+  const out = [];
+  for (const m of matches || []) {
+    if (taken.has(m.capability)) continue;
+    taken.add(m.capability);
+    out.push({ capability: m.capability, rule: m.name, priority: m.priority });
+    if (out.length >= MAX_RUNNER_UPS) break;
+  }
+  return out;
+}
+
+function scoreRouteConfidence(route, runnerUps = []) {
+  if (!route || route.capability === 'unknown') return 0;
+  if (route.capability === 'conversation_clarify') return STATE_CONFIDENCE_SCORES.low;
+  if (!route.intentRule) {
+    return STATE_CONFIDENCE_SCORES[route.confidence] || STATE_CONFIDENCE_SCORES.low;
+  }
+  const base = RULE_CONFIDENCE_SCORES[route.confidence] || RULE_CONFIDENCE_SCORES.low;
+  // mixed_macro only matches when several intents do; its runner-ups are
+  // the parts it already covers, not competitors.
+  if (route.capability === 'mixed_macro') return base;
+  const score = base - RUNNER_UP_PENALTY * Math.min(runnerUps.length, MAX_RUNNER_UPS);
+  return Math.round(Math.max(0.05, score) * 100) / 100;
+}
+
+function attachRouteConfidence(route, input = {}) {
+  const registry = input.registry || getIntentRuleRegistry();
+  const { matches } = registry.explain(routeIntentContext(input));
+  const runnerUps = routeRunnerUps(route, matches);
+  return {
+    ...route,
+    confidenceScore: scoreRouteConfidence(route, runnerUps),
+    runnerUps,
+    decisionSource: route.intentRule || route.capability === 'unknown' ? 'rules' : 'dialogue_state',
+  };
+}
+
+/**
+ * Re-run slot extraction for `capability` as if its rule had won: the
+ * matched runner-up rule when there is one, otherwise the highest-priority
+ * rule routing there. Used when the LIGHT classifier overrules the rules.
+ * Returns null for capabilities no rule routes to.
+ */
+function rerouteToCapability(route, capability, input = {}) {
+  const registry = input.registry || getIntentRuleRegistry();
+  const runnerUp = (route.runnerUps || []).find((r) => r.capability === capability);
+  const rules = registry.list();
+  const rule = (runnerUp && rules.find((r) => r.name === runnerUp.rule))
+    || rules.find((r) => r.capability === capability);
+  if (!rule) return null;
+  const ctx = routeIntentContext(input);
+  const packed = packFreshIntent(capability, ctx.slots, Object.assign({}, registry.extract(rule, ctx), {
+    ruleName: rule.name,
+  }));
+  const next = attachLookupMeta({
+    ...route,
+    capability,
+    confidence: 'medium',
+    slots: packed.slots,
+    invitationWriteHandoff: packed.invitationWriteHandoff,
+    affirmativeResolution: packed.affirmativeResolution,
+    intentRule: rule.name,
+    clarifyReason: undefined,
+  }, ctx.message, input.currentDate, input.knownCategories);
+  return {
+    ...next,
+    runnerUps: (route.runnerUps || []).filter((r) => r.capability !== capability),
+  };
+}
+
+/**
+ * Debug view of one routing decision: the final route, every intent rule
+ * that matched the message, and why the winner won. When dialogue state
+ * (pending write, continuation thread, invitation, bare affirmative)
+ * decides the turn before the registry runs, `decidedBy` says so.
+ */
+function explainIntentRouting(input = {}) {
+  const route = routeCapability(input);
+  const registry = input.registry || getIntentRuleRegistry();
+  const rules = registry.explain(routeIntentContext(input));
+  const decidedBy = route.intentRule ? 'intent_rules' : 'dialogue_state';
+  let decision;
+  if (route.intentRule) {
+    decision = `intent rule "${route.intentRule}": ${rules.why}`;
+  } else if (route.continuationUsed) {
+    decision = `continuation of the active ${route.parentCapability || 'thread'} thread; rules not consulted`;
+  } else if (route.capability === 'unknown') {
+    decision = rules.winner
+      ? `rule "${rules.winner.name}" matched but was not applied`
+      : 'no rule matched and no dialogue state applied';
+  } else {
+    decision = `dialogue state decided ${route.capability}`
+      + (route.affirmativeResolution && route.affirmativeResolution !== 'none' ? ` (${route.affirmativeResolution})` : '')
+      + (route.clarifyReason ? ` (${route.clarifyReason})` : '')
+      + (route.pendingType ? ` with pending ${route.pendingType} write` : '')
+      + ' before the rule registry ran';
+  }
+  return {
+    route: {
+      capability: route.capability,
+      parentCapability: route.parentCapability || null,
+      confidence: route.confidence,
+      pendingType: route.pendingType || null,
+      confidenceScore: route.confidenceScore,
+      runnerUps: route.runnerUps,
+      decisionSource: route.decisionSource,
+      intentRule: route.intentRule || null,
+      continuationUsed: !!route.continuationUsed,
+      affirmativeResolution: route.affirmativeResolution || 'none',
+      clarifyReason: route.clarifyReason || null,
+      slots: route.slots,
+    },
+    decidedBy,
+    decision,
+    winner: rules.winner,
+    why: rules.why,
+    matches: rules.matches,
+    registry: {
+      size: registry.size,
+      jsonRules: intentRulesLoadStatus(),
+    },
+  };
 }
 
 const PERSIST_CAPABILITIES = new Set([
@@ -2310,6 +2930,7 @@ function applyContinuationPersistence(dialogueState, route, { accountId, failSof
       }
     : null;
   dialogueState.lastAccountId = accountId == null || accountId === '' ? null : String(accountId);
+  dialogueState.lastAccountScope = slots.accountScope === 'aggregate' ? 'aggregate' : null;
   if (cap === 'affordability_or_planning') {
     dialogueState.lastPurchaseDate = slots.purchaseDate ? String(slots.purchaseDate).slice(0, 10) : null;
     dialogueState.lastPurchaseDateAssumption = slots.purchaseDateAssumption
@@ -2390,6 +3011,12 @@ function applyContinuationPersistence(dialogueState, route, { accountId, failSof
 }
 
 function applyContinuationPersistenceFromEvidence(dialogueState, route, evidence, opts) {
+  // The thread is aggregate only if the evidence was (one account or an
+  // unsupported capability falls back to the selected account).
+  if (route && route.slots && route.slots.accountScope === 'aggregate'
+    && !(evidence && evidence.accountScope === 'aggregate')) {
+    route = { ...route, slots: { ...route.slots, accountScope: null } };
+  }
   const lookups = Array.isArray(evidence && evidence.lookups) ? evidence.lookups : [];
   let lastOk = null;
   for (const lookup of lookups) {
@@ -2506,8 +3133,14 @@ module.exports = {
   isCashflowComparison,
   isCashflowTrend,
   isCashflowRecurring,
+  isSubscriptionAuditQuestion,
+  parseAuditSubject,
   isCashflowUpcoming,
   isCashflowIncomeHorizon,
+  isBudgetUtterance,
+  budgetActionFor,
+  isAnomalyUtterance,
+  isDebtPayoffUtterance,
   isAffordability,
   detectWantsUiAction,
   buildOpenSearchAction,
@@ -2527,15 +3160,26 @@ module.exports = {
   isCasual,
   wouldBreakContinuation,
   classifyFreshIntentCandidate,
+  BUILTIN_INTENT_RULES,
+  INTENT_RULES_PATH_ENV_KEY,
+  getIntentRuleRegistry,
+  createBuiltinIntentRegistry,
+  resetIntentRuleRegistry,
+  intentRulesLoadStatus,
+  explainIntentRouting,
+  scoreRouteConfidence,
+  rerouteToCapability,
   recurringRankingMode,
   isCalendarWeekRelation,
   categoryStemsIn,
   accountsMatch,
+  isAggregateAccountScope,
   lastCommittedCreate,
   normalizePendingInvitation,
   buildAffordabilityInvitation,
   applyInvitationLifecycle,
   applyRepeatWriteLifecycle,
+  applyUndoLifecycle,
   maybeSetAffordabilityInvitation,
   buildInvitationClarifyText,
   buildDeterministicAffirmativeText,
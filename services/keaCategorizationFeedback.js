@@ -0,0 +1,335 @@
+'use strict';
+
+/**
+ * Auto-categorization accuracy: what we suggested vs what the user kept.
+ *
+ * Two signals, both fail-soft:
+ *
+ *   served    every suggestion the auto-categorize endpoints return, counted
+ *             per UTC day in the Redis hash kea:autocat:served:<YYYY-MM-DD>
+ *             (field `<method>|<confidence>`, kept SERVED_TTL_SECONDS).
+ *   feedback  one MySQL `kea_categorization_feedback` row per user override
+ *             (FEEDBACK_TABLE_DDL, created on first use): suggested category,
+ *             chosen category, method, confidence and merchant key.
+ *
+ * An override is labeled only against what the server itself served to that
+ * verified user (`rememberServedSuggestion`, taken once by
+ * `takeServedSuggestion`) or still has cached, never a client-echoed one.
+ *
+ * Methods are reported in groups (METHOD_GROUPS): rule, cache, fast-path, ai
+ * (ai, ai-closest-match) and fallback (fallback-*, error-fallback). Accuracy
+ * for a bucket is 1 - overrides / served over the window; an override that
+ * keeps the suggested category is stored (agreed = 1) but is not a miss.
+ * Users are stored as hashUserKey, never the raw id.
+ */
+
+const { hashUserKey } = require('./keaTelemetry');
+const { defineLocalScript } = require('./memoryStore');
+const { merchantMatchKey } = require('../utils/vendorNormalize');
+
+const FEEDBACK_TABLE = 'kea_categorization_feedback';
+const SERVED_KEY_PREFIX = 'kea:autocat:served';
+const SERVED_TTL_SECONDS = 100 * 24 * 60 * 60;
+const MAX_REPORT_DAYS = 90;
+const DEFAULT_REPORT_DAYS = 30;
+const TOP_MISFIRES = 10;
+
+const SERVED_SUGGESTION_SUFFIX = 'served';
+const SERVED_SUGGESTION_TTL_SECONDS = 7 * 24 * 60 * 60;
+
+// GETDEL for servers and stores without it: one override per served answer.
+const TAKE_SCRIPT = defineLocalScript(`
+local value = redis.call('GET', KEYS[1])
+if value then redis.call('DEL', KEYS[1]) end
+return value
+`, (ops, [key]) => {
+  const value = ops.get(key);
+  if (value != null) ops.del(key);
+  return value;
+});
+
+const METHOD_GROUPS = Object.freeze(['rule', 'cache', 'fast-path', 'ai', 'fallback']);
+const CONFIDENCE_LEVELS = Object.freeze(['high', 'medium', 'low']);
+
+const FEEDBACK_TABLE_DDL = `CREATE TABLE IF NOT EXISTS ${FEEDBACK_TABLE} (
+  id BIGINT UNSIGNED NOT NULL AUTO_INCREMENT,
+  created_at DATETIME(3) NOT NULL,
+  user_key CHAR(16) NULL,
+  account_id VARCHAR(64) NULL,
+  merchant_key VARCHAR(160) NULL,
+  suggested_category VARCHAR(128) NOT NULL,
+  chosen_category VARCHAR(128) NOT NULL,
+  method VARCHAR(32) NOT NULL,
+  method_group VARCHAR(16) NOT NULL,
+  confidence VARCHAR(8) NOT NULL,
+  agreed TINYINT(1) NOT NULL,
+  PRIMARY KEY (id),
+  KEY idx_kea_categorization_feedback_time (created_at)
+)`;
+
+const INSERT_COLUMNS = [
+  'created_at', 'user_key', 'account_id', 'merchant_key', 'suggested_category', 'chosen_category',
+  'method', 'method_group', 'confidence', 'agreed',
+];
+
+function defaultDb() {
+  return require('./db');
+}
+
+function defaultStore() {
+  return require('./redisService');
+}
+
+let tableReady = null;
+
+function ensureFeedbackTable(db) {
+  if (!tableReady) {
+    tableReady = Promise.resolve(db.query(FEEDBACK_TABLE_DDL)).catch((err) => {
+      tableReady = null;
+      throw err;
+    });
+  }
+  return tableReady;
+}
+
+function pad2(n) {
+  return String(n).padStart(2, '0');
+}
+
+function utcDay(d) {
+  return `${d.getUTCFullYear()}-${pad2(d.getUTCMonth() + 1)}-${pad2(d.getUTCDate())}`;
+}
+
+function servedKey(day) {
+  return `${SERVED_KEY_PREFIX}:${day}`;
+}
+
+function clip(value, max) {
+  if (value == null || value === '') return null;
+  return String(value).slice(0, max);
+}
+
+/** Reporting bucket for a response `method`; null when it is not one we emit. */
+function methodGroup(method) {
+  const m = String(method || '').toLowerCase();
+  if (m === 'rule' || m === 'cache' || m === 'fast-path') return m;
+  if (m === 'ai' || m.startsWith('ai-')) return 'ai';
+  if (m.startsWith('fallback') || m === 'error-fallback') return 'fallback';
+  return null;
+}
+
+function confidenceLevel(confidence) {
+  const c = String(confidence || '').toLowerCase();
+  return CONFIDENCE_LEVELS.includes(c) ? c : 'low';
+}
+
+/**
+ * Count served suggestions for today. `suggestions` is one `{ method,
+ * confidence }` per returned row. Fail-soft; resolves false when nothing
+ * was counted.
+ */
+async function recordCategorizationServed(suggestions, { store, now } = {}) {
+  try {
+    const counts = new Map();
+    for (const s of Array.isArray(suggestions) ? suggestions : [suggestions]) {
+      const group = methodGroup(s && s.method);
+      if (!group) continue;
+      const field = `${group}|${confidenceLevel(s.confidence)}`;
+      counts.set(field, (counts.get(field) || 0) + 1);
+    }
+    if (!counts.size) return false;
+    const redis = store || defaultStore();
+    const key = servedKey(utcDay(now instanceof Date ? now : new Date(now || Date.now())));
+    const writes = [...counts].map(([field, by]) => redis.hincrby(key, field, by));
+    writes.push(redis.expire(key, SERVED_TTL_SECONDS));
+    await Promise.all(writes);
+    return true;
+  } catch (e) {
+    console.warn('Categorization served count failed (fail-soft):', e.message);
+    return false;
+  }
+}
+
+function servedSuggestionKey(slotKey) {
+  return `${slotKey}:${SERVED_SUGGESTION_SUFFIX}`;
+}
+
+/**
+ * Remember the suggestion served for one auto-categorize cache slot (the
+ * verified user's), so an override can be labeled against it. Fail-soft.
+ */
+async function rememberServedSuggestion(slotKey, suggestion, { store } = {}) {
+  if (!slotKey || !suggestion || !suggestion.suggestedCategory || !methodGroup(suggestion.method)) return false;
+  try {
+    const redis = store || defaultStore();
+    await redis.set(servedSuggestionKey(slotKey), JSON.stringify({
+      suggestedCategory: suggestion.suggestedCategory,
+      method: suggestion.method,
+      confidence: suggestion.confidence,
+    }), 'EX', SERVED_SUGGESTION_TTL_SECONDS);
+    return true;
+  } catch (e) {
+    console.warn('Categorization served suggestion save failed (fail-soft):', e.message);
+    return false;
+  }
+}
+
+/** The remembered suggestion for a slot, removed as it is read; null when none. */
+async function takeServedSuggestion(slotKey, { store } = {}) {
+  if (!slotKey) return null;
+  try {
+    const redis = store || defaultStore();
+    const raw = await redis.eval(TAKE_SCRIPT, 1, servedSuggestionKey(slotKey));
+    const parsed = raw ? JSON.parse(raw) : null;
+    return parsed && parsed.suggestedCategory ? parsed : null;
+  } catch (e) {
+    console.warn('Categorization served suggestion read failed (fail-soft):', e.message);
+    return null;
+  }
+}
+
+/**
+ * Build the feedback row for one override. `suggestion` is what the endpoint
+ * returned ({ suggestedCategory, method, confidence }); null when either the
+ * suggestion or the chosen category is missing, since the row would carry no
+ * label.
+ */
+function buildFeedbackEntry({ userId, accountId, transaction, suggestion, chosenCategory, now = new Date() } = {}) {
+  const suggested = clip(suggestion && suggestion.suggestedCategory, 128);
+  const chosen = clip(typeof chosenCategory === 'string' ? chosenCategory.trim() : null, 128);
+  const group = methodGroup(suggestion && suggestion.method);
+  if (!suggested || !chosen || !group) return null;
+  const source = transaction?.merchant_name || transaction?.counterparties?.[0]?.name || transaction?.name || transaction?.display_name || '';
+  return {
+    created_at: now,
+    user_key: userId == null || userId === '' ? null : hashUserKey(userId),
+    account_id: clip(accountId, 64),
+    merchant_key: clip(source ? merchantMatchKey(source) : null, 160),
+    suggested_category: suggested,
+    chosen_category: chosen,
+    method: clip(String(suggestion.method).toLowerCase(), 32),
+    method_group: group,
+    confidence: confidenceLevel(suggestion.confidence),
+    agreed: suggested.toLowerCase() === chosen.toLowerCase() ? 1 : 0,
+  };
+}
+
+/** Store one labeled override. Fail-soft; resolves false when nothing was written. */
+async function recordCategorizationFeedback(input, { db } = {}) {
+  const entry = buildFeedbackEntry(input);
+  if (!entry) return false;
+  try {
+    const conn = db || defaultDb();
+    await ensureFeedbackTable(conn);
+    await conn.query(
+      `INSERT INTO ${FEEDBACK_TABLE} (${INSERT_COLUMNS.join(', ')}) VALUES (${INSERT_COLUMNS.map(() => '?').join(', ')})`,
+      INSERT_COLUMNS.map((c) => entry[c]),
+    );
+    return true;
+  } catch (e) {
+    console.warn('Categorization feedback insert failed (fail-soft):', e.message);
+    return false;
+  }
+}
+
+/** UTC window of `days` days ending today: { from, to, days, dayIds }. */
+function reportWindow(days, now = new Date()) {
+  const n = Math.min(MAX_REPORT_DAYS, Math.max(1, parseInt(days, 10) || DEFAULT_REPORT_DAYS));
+  const end = now instanceof Date ? now : new Date(now);
+  const from = new Date(Date.UTC(end.getUTCFullYear(), end.getUTCMonth(), end.getUTCDate() - (n - 1)));
+  const dayIds = [];
+  for (let i = 0; i < n; i += 1) dayIds.push(utcDay(new Date(from.getTime() + i * 86400000)));
+  return { from, to: end, days: n, dayIds };
+}
+
+function bucket(served, overrides) {
+  return {
+    served,
+    overrides,
+    accuracy: served > 0 ? Math.round(Math.max(0, 1 - overrides / served) * 10000) / 10000 : null,
+  };
+}
+
+/**
+ * Accuracy per method group, per confidence and per (method, confidence)
+ * over the last `days` UTC days, plus the most frequent corrections.
+ */
+async function categorizationAccuracyReport({ days, now } = {}, { store, db } = {}) {
+  const window = reportWindow(days, now);
+  const redis = store || defaultStore();
+  const conn = db || defaultDb();
+
+  const served = new Map();
+  const hashes = await Promise.all(window.dayIds.map((day) => redis.hgetall(servedKey(day))));
+  for (const hash of hashes) {
+    for (const [field, value] of Object.entries(hash || {})) {
+      served.set(field, (served.get(field) || 0) + (Number(value) || 0));
+    }
+  }
+
+  await ensureFeedbackTable(conn);
+  const overrideRows = await conn.query(
+    `SELECT method_group, confidence, COUNT(*) AS overrides FROM ${FEEDBACK_TABLE} WHERE created_at >= ? AND agreed = 0 GROUP BY method_group, confidence`,
+    [window.from],
+  );
+  const overrides = new Map();
+  for (const row of Array.isArray(overrideRows) ? overrideRows : []) {
+    overrides.set(`${row.method_group}|${row.confidence}`, Number(row.overrides) || 0);
+  }
+  const misfireRows = await conn.query(
+    `SELECT method_group, merchant_key, suggested_category, chosen_category, COUNT(*) AS overrides FROM ${FEEDBACK_TABLE} WHERE created_at >= ? AND agreed = 0 GROUP BY method_group, merchant_key, suggested_category, chosen_category ORDER BY overrides DESC LIMIT ${TOP_MISFIRES}`,
+    [window.from],
+  );
+
+  const sum = (pred, map) => [...map].reduce((acc, [field, n]) => (pred(...field.split('|')) ? acc + n : acc), 0);
+  const byMethod = {};
+  for (const group of METHOD_GROUPS) {
+    const byConfidence = {};
+    for (const level of CONFIDENCE_LEVELS) {
+      const field = `${group}|${level}`;
+      byConfidence[level] = bucket(served.get(field) || 0, overrides.get(field) || 0);
+    }
+    byMethod[group] = {
+      ...bucket(sum((g) => g === group, served), sum((g) => g === group, overrides)),
+      byConfidence,
+    };
+  }
+  const byConfidence = {};
+  for (const level of CONFIDENCE_LEVELS) {
+    byConfidence[level] = bucket(sum((g, c) => c === level, served), sum((g, c) => c === level, overrides));
+  }
+
+  return {
+    window: { from: window.from.toISOString(), to: window.to.toISOString(), days: window.days },
+    overall: bucket(sum(() => true, served), sum(() => true, overrides)),
+    byMethod,
+    byConfidence,
+    topOverrides: (Array.isArray(misfireRows) ? misfireRows : []).map((row) => ({
+      method: row.method_group,
+      merchantKey: row.merchant_key || null,
+      suggestedCategory: row.suggested_category,
+      chosenCategory: row.chosen_category,
+      overrides: Number(row.overrides) || 0,
+    })),
+  };
+}
+
+function resetCategorizationFeedbackForTests() {
+  tableReady = null;
+}
+
+module.exports = {
+  FEEDBACK_TABLE,
+  FEEDBACK_TABLE_DDL,
+  METHOD_GROUPS,
+  MAX_REPORT_DAYS,
+  methodGroup,
+  recordCategorizationServed,
+  rememberServedSuggestion,
+  takeServedSuggestion,
+  buildFeedbackEntry,
+  recordCategorizationFeedback,
+  reportWindow,
+  categorizationAccuracyReport,
+  resetCategorizationFeedbackForTests,
+};
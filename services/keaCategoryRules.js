@@ -0,0 +1,399 @@
+'use strict';
+
+/**
+ * Per-user categorization rules that override auto-categorization.
+ *
+ * A rule is a set of conditions (all must hold) and a target category:
+ *
+ *   { merchant: 'Starbucks' }                      same brand (merchantMatchKey)
+ *   { contains: 'parking', amountBelow: 5 }        text substring + |amount| < 5
+ *   { merchant: 'ACME', direction: 'income' }      only inflows
+ *
+ * Conditions: `merchant`, `contains` (name / display name / merchant /
+ * description, case-insensitive), `amountBelow` / `amountAbove` (strict, on
+ * the absolute amount), `direction` ('income' | 'expense': the row's `type`,
+ * else amount > 0 = income). A rule may be scoped to one account.
+ *
+ * Rows live in MySQL `kea_category_rules` (RULES_TABLE_DDL, created on first
+ * use). `status` is:
+ *   active      applied before the cache, the fast path and the model
+ *   candidate   learned from a user override; applied only once approved
+ *   dismissed   a candidate the user rejected; never re-proposed
+ *
+ * Loading rules for categorization is fail-soft: a MySQL error means "no
+ * rules", never a failed categorization.
+ */
+
+const { mergeVendorName, merchantMatchKey } = require('../utils/vendorNormalize');
+
+const RULES_TABLE = 'kea_category_rules';
+
+const RULE_STATUS = Object.freeze({
+  ACTIVE: 'active',
+  CANDIDATE: 'candidate',
+  DISMISSED: 'dismissed',
+});
+
+const RULES_TABLE_DDL = `CREATE TABLE IF NOT EXISTS ${RULES_TABLE} (
+  id BIGINT UNSIGNED NOT NULL AUTO_INCREMENT,
+  userid VARCHAR(64) NOT NULL,
+  account_id VARCHAR(64) NULL,
+  status VARCHAR(16) NOT NULL,
+  source VARCHAR(16) NOT NULL,
+  category VARCHAR(128) NOT NULL,
+  match_json TEXT NOT NULL,
+  match_key VARCHAR(160) NULL,
+  priority INT NOT NULL DEFAULT 0,
+  hits INT NOT NULL DEFAULT 0,
+  created_at DATETIME(3) NOT NULL,
+  updated_at DATETIME(3) NOT NULL,
+  PRIMARY KEY (id),
+  KEY idx_kea_category_rules_user (userid, status)
+)`;
+
+const MAX_RULES_PER_USER = 200;
+const MAX_TEXT_CHARS = 128;
+const CONDITION_KEYS = Object.freeze(['merchant', 'contains', 'amountBelow', 'amountAbove', 'direction']);
+const RULE_COLUMNS = 'id, userid, account_id, status, source, category, match_json, match_key, priority, hits, created_at, updated_at';
+
+class CategoryRuleError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.name = 'CategoryRuleError';
+    this.code = code;
+  }
+}
+
+function defaultDb() {
+  return require('./db');
+}
+
+let tableReady = null;
+
+function ensureRulesTable(db) {
+  if (!tableReady) {
+    tableReady = Promise.resolve(db.query(RULES_TABLE_DDL)).catch((err) => {
+      tableReady = null;
+      throw err;
+    });
+  }
+  return tableReady;
+}
+
+function cleanText(value, field) {
+  if (typeof value !== 'string' || !value.trim()) {
+    throw new CategoryRuleError('KEA_RULE_INVALID', `${field} must be a non-empty string.`);
+  }
+  const text = value.trim();
+  if (text.length > MAX_TEXT_CHARS) {
+    throw new CategoryRuleError('KEA_RULE_INVALID', `${field} must be at most ${MAX_TEXT_CHARS} characters.`);
+  }
+  return text;
+}
+
+function cleanAmount(value, field) {
+  const n = Number(value);
+  if (value === null || value === '' || !Number.isFinite(n) || n < 0) {
+    throw new CategoryRuleError('KEA_RULE_INVALID', `${field} must be a non-negative number.`);
+  }
+  return n;
+}
+
+/** Validate a rule's conditions. Throws CategoryRuleError KEA_RULE_INVALID. */
+function normalizeRuleMatch(match) {
+  if (!match || typeof match !== 'object' || Array.isArray(match)) {
+    throw new CategoryRuleError('KEA_RULE_INVALID', 'match must be an object of conditions.');
+  }
+  const unknown = Object.keys(match).filter((k) => CONDITION_KEYS.indexOf(k) === -1);
+  if (unknown.length) {
+    throw new CategoryRuleError('KEA_RULE_INVALID', `Unknown condition(s): ${unknown.join(', ')}.`);
+  }
+  const out = {};
+  if (match.merchant != null) out.merchant = cleanText(match.merchant, 'match.merchant');
+  if (match.contains != null) out.contains = cleanText(match.contains, 'match.contains');
+  if (match.amountBelow != null) out.amountBelow = cleanAmount(match.amountBelow, 'match.amountBelow');
+  if (match.amountAbove != null) out.amountAbove = cleanAmount(match.amountAbove, 'match.amountAbove');
+  if (match.direction != null) {
+    if (match.direction !== 'income' && match.direction !== 'expense') {
+      throw new CategoryRuleError('KEA_RULE_INVALID', "match.direction must be 'income' or 'expense'.");
+    }
+    out.direction = match.direction;
+  }
+  if (!Object.keys(out).length) {
+    throw new CategoryRuleError('KEA_RULE_INVALID', 'A rule needs at least one condition.');
+  }
+  if (out.amountBelow != null && out.amountAbove != null && out.amountAbove >= out.amountBelow) {
+    throw new CategoryRuleError('KEA_RULE_INVALID', 'match.amountAbove must be less than match.amountBelow.');
+  }
+  return out;
+}
+
+function merchantSource(transaction) {
+  return transaction?.merchant_name || transaction?.counterparties?.[0]?.name || transaction?.name || transaction?.display_name || '';
+}
+
+function transactionDirection(transaction) {
+  const type = String(transaction?.type || '').toLowerCase();
+  if (type === 'income' || type === 'expense') return type;
+  const n = Number(transaction?.amount);
+  if (!Number.isFinite(n) || n === 0) return null;
+  return n > 0 ? 'income' : 'expense';
+}
+
+/** True when every condition of `match` holds for `transaction`. */
+function ruleMatches(match, transaction) {
+  if (!match || !transaction || typeof transaction !== 'object') return false;
+  if (match.merchant != null) {
+    const source = merchantSource(transaction);
+    if (!source || merchantMatchKey(source) !== merchantMatchKey(match.merchant)) return false;
+  }
+  if (match.contains != null) {
+    const text = [transaction.name, transaction.display_name, transaction.merchant_name, transaction.description]
+      .filter((v) => typeof v === 'string')
+      .join(' ')
+      .toLowerCase();
+    if (text.indexOf(String(match.contains).toLowerCase()) === -1) return false;
+  }
+  if (match.amountBelow != null || match.amountAbove != null) {
+    const n = Number(transaction.amount);
+    if (!Number.isFinite(n)) return false;
+    const abs = Math.abs(n);
+    if (match.amountBelow != null && !(abs < match.amountBelow)) return false;
+    if (match.amountAbove != null && !(abs > match.amountAbove)) return false;
+  }
+  if (match.direction != null && transactionDirection(transaction) !== match.direction) return false;
+  return true;
+}
+
+// Higher priority first; then the more specific rule (more conditions);
+// then the older rule.
+function compareRules(a, b) {
+  return (b.priority - a.priority)
+    || (Object.keys(b.match).length - Object.keys(a.match).length)
+    || (a.id - b.id);
+}
+
+/**
+ * First active rule that matches `transaction` and whose category is still
+ * in the user's category list (`nameByLower`: lowercased → cased name).
+ * Returns { rule, category } or null.
+ */
+function pickRuleCategory(rules, transaction, nameByLower) {
+  const sorted = (Array.isArray(rules) ? rules : [])
+    .filter((r) => r && r.status === RULE_STATUS.ACTIVE)
+    .slice()
+    .sort(compareRules);
+  for (const rule of sorted) {
+    if (!ruleMatches(rule.match, transaction)) continue;
+    const category = nameByLower ? nameByLower.get(String(rule.category).toLowerCase()) : rule.category;
+    if (category) return { rule, category };
+  }
+  return null;
+}
+
+function parseMatch(text) {
+  try {
+    const m = JSON.parse(text);
+    return m && typeof m === 'object' ? m : {};
+  } catch (_) {
+    return {};
+  }
+}
+
+function toRule(row) {
+  return {
+    id: Number(row.id),
+    accountId: row.account_id != null ? String(row.account_id) : null,
+    status: row.status,
+    source: row.source,
+    category: row.category,
+    match: parseMatch(row.match_json),
+    priority: Number(row.priority) || 0,
+    hits: Number(row.hits) || 0,
+    createdAt: row.created_at instanceof Date ? row.created_at.toISOString() : row.created_at,
+    updatedAt: row.updated_at instanceof Date ? row.updated_at.toISOString() : row.updated_at,
+  };
+}
+
+/** Active rules for categorizing one account's rows. Fail-soft → []. */
+async function loadActiveRules(userId, accountId, { db } = {}) {
+  if (userId == null || userId === '') return [];
+  try {
+    const conn = db || defaultDb();
+    await ensureRulesTable(conn);
+    const rows = await conn.query(
+      `SELECT ${RULE_COLUMNS} FROM ${RULES_TABLE} WHERE userid = ? AND status = ? AND (account_id IS NULL OR account_id = ?)`,
+      [String(userId), RULE_STATUS.ACTIVE, accountId != null ? String(accountId) : ''],
+    );
+    return (Array.isArray(rows) ? rows : []).map(toRule);
+  } catch (e) {
+    console.warn('Category rules load failed (fail-soft):', e.message);
+    return [];
+  }
+}
+
+async function listRules(userId, { status } = {}, { db } = {}) {
+  const conn = db || defaultDb();
+  await ensureRulesTable(conn);
+  const params = [String(userId)];
+  let where = 'userid = ?';
+  if (status) {
+    if (Object.values(RULE_STATUS).indexOf(status) === -1) {
+      throw new CategoryRuleError('KEA_RULE_INVALID', `status must be one of ${Object.values(RULE_STATUS).join(', ')}.`);
+    }
+    where += ' AND status = ?';
+    params.push(status);
+  }
+  const rows = await conn.query(`SELECT ${RULE_COLUMNS} FROM ${RULES_TABLE} WHERE ${where} ORDER BY id ASC`, params);
+  return (Array.isArray(rows) ? rows : []).map(toRule);
+}
+
+async function getRule(userId, id, { db } = {}) {
+  const conn = db || defaultDb();
+  await ensureRulesTable(conn);
+  const rows = await conn.query(`SELECT ${RULE_COLUMNS} FROM ${RULES_TABLE} WHERE id = ? AND userid = ? LIMIT 1`, [Number(id), String(userId)]);
+  const row = Array.isArray(rows) ? rows[0] : null;
+  if (!row) throw new CategoryRuleError('KEA_RULE_NOT_FOUND', 'Rule not found.');
+  return toRule(row);
+}
+
+function cleanPriority(value) {
+  if (value == null) return 0;
+  const n = Number(value);
+  if (!Number.isInteger(n) || n < -1000 || n > 1000) {
+    throw new CategoryRuleError('KEA_RULE_INVALID', 'priority must be an integer between -1000 and 1000.');
+  }
+  return n;
+}
+
+function cleanAccountId(value) {
+  if (value == null || value === '') return null;
+  return cleanText(String(value), 'accountId');
+}
+
+/** Create an active user rule: { match, category, accountId?, priority? }. */
+async function createRule(userId, input, { db, now = new Date() } = {}) {
+  const body = input || {};
+  const match = normalizeRuleMatch(body.match);
+  const category = cleanText(body.category, 'category');
+  const priority = cleanPriority(body.priority);
+  const accountId = cleanAccountId(body.accountId);
+  const conn = db || defaultDb();
+  await ensureRulesTable(conn);
+  const counted = await conn.query(`SELECT COUNT(*) AS total FROM ${RULES_TABLE} WHERE userid = ? AND status <> ?`, [String(userId), RULE_STATUS.DISMISSED]);
+  if (Number(counted && counted[0] && counted[0].total) >= MAX_RULES_PER_USER) {
+    throw new CategoryRuleError('KEA_RULE_LIMIT', `At most ${MAX_RULES_PER_USER} rules per user.`);
+  }
+  const result = await conn.query(
+    `INSERT INTO ${RULES_TABLE} (userid, account_id, status, source, category, match_json, match_key, priority, hits, created_at, updated_at) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    [String(userId), accountId, RULE_STATUS.ACTIVE, 'user', category, JSON.stringify(match), null, priority, 0, now, now],
+  );
+  return getRule(userId, result.insertId, { db: conn });
+}
+
+/**
+ * Update a rule's match / category / accountId / priority / status. Setting
+ * status 'active' on a candidate approves it; 'dismissed' rejects it.
+ */
+async function updateRule(userId, id, input, { db, now = new Date() } = {}) {
+  const body = input || {};
+  const conn = db || defaultDb();
+  const existing = await getRule(userId, id, { db: conn });
+  const next = {
+    match: body.match !== undefined ? normalizeRuleMatch(body.match) : existing.match,
+    category: body.category !== undefined ? cleanText(body.category, 'category') : existing.category,
+    priority: body.priority !== undefined ? cleanPriority(body.priority) : existing.priority,
+    accountId: body.accountId !== undefined ? cleanAccountId(body.accountId) : existing.accountId,
+    status: existing.status,
+  };
+  if (body.status !== undefined) {
+    if (body.status !== RULE_STATUS.ACTIVE && body.status !== RULE_STATUS.DISMISSED) {
+      throw new CategoryRuleError('KEA_RULE_INVALID', "status can be set to 'active' or 'dismissed'.");
+    }
+    next.status = body.status;
+  }
+  await conn.query(
+    `UPDATE ${RULES_TABLE} SET account_id = ?, status = ?, category = ?, match_json = ?, priority = ?, updated_at = ? WHERE id = ? AND userid = ?`,
+    [next.accountId, next.status, next.category, JSON.stringify(next.match), next.priority, now, existing.id, String(userId)],
+  );
+  return getRule(userId, existing.id, { db: conn });
+}
+
+async function deleteRule(userId, id, { db } = {}) {
+  const conn = db || defaultDb();
+  await ensureRulesTable(conn);
+  const result = await conn.query(`DELETE FROM ${RULES_TABLE} WHERE id = ? AND userid = ?`, [Number(id), String(userId)]);
+  if (!result || !result.affectedRows) throw new CategoryRuleError('KEA_RULE_NOT_FOUND', 'Rule not found.');
+  return true;
+}
+
+/**
+ * Learn a candidate "merchant → category" rule from a user override. Repeat
+ * overrides to the same category bump `hits`; a different category restarts
+ * the candidate. Nothing is proposed when an active rule already covers the
+ * merchant with that category, or the user dismissed that exact candidate.
+ * Fail-soft; resolves the candidate or null.
+ */
+async function learnCandidateRule(userId, { accountId, transaction, category } = {}, { db, now = new Date() } = {}) {
+  if (userId == null || userId === '' || typeof category !== 'string' || !category.trim()) return null;
+  const source = merchantSource(transaction);
+  if (!source) return null;
+  const matchKey = merchantMatchKey(source);
+  if (!matchKey || matchKey === 'unknown') return null;
+  const target = category.trim().slice(0, MAX_TEXT_CHARS);
+  try {
+    const conn = db || defaultDb();
+    await ensureRulesTable(conn);
+    const rows = await conn.query(
+      `SELECT ${RULE_COLUMNS} FROM ${RULES_TABLE} WHERE userid = ? AND match_key = ?`,
+      [String(userId), matchKey],
+    );
+    const existing = (Array.isArray(rows) ? rows : []).map(toRule);
+    const sameCategory = (r) => r.category.toLowerCase() === target.toLowerCase();
+    if (existing.some((r) => r.status !== RULE_STATUS.CANDIDATE && sameCategory(r))) return null;
+    const candidate = existing.find((r) => r.status === RULE_STATUS.CANDIDATE);
+    if (candidate) {
+      const hits = sameCategory(candidate) ? candidate.hits + 1 : 1;
+      await conn.query(
+        `UPDATE ${RULES_TABLE} SET category = ?, hits = ?, updated_at = ? WHERE id = ? AND userid = ?`,
+        [target, hits, now, candidate.id, String(userId)],
+      );
+      return { ...candidate, category: target, hits };
+    }
+    const match = { merchant: mergeVendorName(source) };
+    const result = await conn.query(
+      `INSERT INTO ${RULES_TABLE} (userid, account_id, status, source, category, match_json, match_key, priority, hits, created_at, updated_at) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [String(userId), accountId != null && accountId !== '' ? String(accountId) : null, RULE_STATUS.CANDIDATE, 'learned', target, JSON.stringify(match), matchKey, 0, 1, now, now],
+    );
+    return {
+      id: Number(result.insertId), accountId: accountId != null && accountId !== '' ? String(accountId) : null,
+      status: RULE_STATUS.CANDIDATE, source: 'learned', category: target, match, priority: 0, hits: 1,
+    };
+  } catch (e) {
+    console.warn('Category rule learning failed (fail-soft):', e.message);
+    return null;
+  }
+}
+
+function resetCategoryRulesForTests() {
+  tableReady = null;
+}
+
+module.exports = {
+  RULES_TABLE,
+  RULES_TABLE_DDL,
+  RULE_STATUS,
+  MAX_RULES_PER_USER,
+  CategoryRuleError,
+  normalizeRuleMatch,
+  ruleMatches,
+  pickRuleCategory,
+  loadActiveRules,
+  listRules,
+  getRule,
+  createRule,
+  updateRule,
+  deleteRule,
+  learnCandidateRule,
+  resetCategoryRulesForTests,
+};
@@ -0,0 +1,212 @@
+'use strict';
+
+/**
+ * Opt-in Server-Sent Events transport for POST /api/agent/chat.
+ *
+ * A client asks for it with `Accept: text/event-stream` or `?stream=1`. The
+ * chat pipeline is unchanged; this module only mirrors its progress as typed
+ * events and replaces the single JSON body with a `final` frame:
+ *
+ *   event: stage        { stage }                     keaRequestBudget STAGES
+ *   event: tool_start   { name, round }
+ *   event: tool_finish  { name, round, status, ms }
+ *   event: delta        { text }                      narrated answer, in order
+ *   event: final        { response, simOps, uiActions, transactionResult, requestId, ... }
+ *   event: error        { status, error, code?, requestId }
+ *
+ * Deltas are cut from the GUARDED final text (proposal-state invariant,
+ * currency stripping, response validation), never from raw Azure tokens, so a
+ * streamed answer can never show the user something the JSON path would have
+ * rewritten. Frames carry no PII beyond what the JSON response already holds.
+ */
+
+const { STAGES, canSendHttpResponse } = require('./keaRequestBudget');
+
+const DELTA_CHUNK_CHARS = 80;
+const HEARTBEAT_MS = 15000;
+const STAGE_SET = new Set(STAGES);
+
+function wantsEventStream(req) {
+  if (!req) return false;
+  const q = req.query && req.query.stream;
+  if (q === '1' || q === 'true') return true;
+  const accept = String((req.headers && req.headers.accept) || '');
+  return /\btext\/event-stream\b/i.test(accept);
+}
+
+/**
+ * Split text into delta chunks on whitespace near `size` so markdown tokens
+ * (bold markers, list bullets) are not cut mid-word.
+ */
+function chunkText(text, size = DELTA_CHUNK_CHARS) {
+  const s = String(text || '');
+  if (!s) return [];
+  const out = [];
+  let i = 0;
+  while (i < s.length) {
+    let end = Math.min(s.length, i + size);
+    if (end < s.length) {
+      const ws = s.lastIndexOf(' ', end);
+      const nl = s.lastIndexOf('\n', end);
+      const cut = Math.max(ws, nl);
+      if (cut > i) end = cut + 1;
+    }
+    out.push(s.slice(i, end));
+    i = end;
+  }
+  return out;
+}
+
+function formatEvent(id, event, data) {
+  return `id: ${id}\nevent: ${event}\ndata: ${JSON.stringify(data == null ? {} : data)}\n\n`;
+}
+
+function toolStatusFromContent(content) {
+  try {
+    const parsed = typeof content === 'string' ? JSON.parse(content) : content;
+    if (!parsed || typeof parsed !== 'object') return 'ok';
+    if (parsed.blocked === true) return 'blocked';
+    if (parsed.duplicate === true) return 'duplicate';
+    if (parsed.error || parsed.ok === false) return 'error';
+    return 'ok';
+  } catch (e) {
+    return 'ok';
+  }
+}
+
+function createChatEventStream({ req, res, lifecycle, requestId, heartbeatMs = HEARTBEAT_MS } = {}) {
+  let opened = false;
+  let ended = false;
+  let seq = 0;
+  let heartbeat = null;
+  const toolStarts = Object.create(null);
+
+  function writable() {
+    if (ended || !opened) return false;
+    return canSendHttpResponse(req, res, lifecycle);
+  }
+
+  function write(event, data) {
+    if (!writable()) return false;
+    seq += 1;
+    try {
+      res.write(formatEvent(seq, event, data));
+      return true;
+    } catch (e) {
+      return false;
+    }
+  }
+
+  function stopHeartbeat() {
+    if (heartbeat) {
+      clearInterval(heartbeat);
+      heartbeat = null;
+    }
+  }
+
+  function end() {
+    if (ended) return;
+    ended = true;
+    stopHeartbeat();
+    try { res.end(); } catch (e) { /* socket already gone */ }
+  }
+
+  function open() {
+    if (opened) return true;
+    if (!canSendHttpResponse(req, res, lifecycle)) return false;
+    opened = true;
+    res.status(200);
+    res.setHeader('Content-Type', 'text/event-stream; charset=utf-8');
+    res.setHeader('Cache-Control', 'no-cache, no-transform');
+    res.setHeader('Connection', 'keep-alive');
+    // Disable proxy buffering (nginx / App Service front ends).
+    res.setHeader('X-Accel-Buffering', 'no');
+    if (typeof res.flushHeaders === 'function') res.flushHeaders();
+    if (lifecycle && lifecycle.lastStage) stage(lifecycle.lastStage);
+    if (lifecycle && typeof lifecycle.onStage === 'function') lifecycle.onStage(stage);
+    if (heartbeatMs > 0) {
+      heartbeat = setInterval(() => {
+        if (!writable()) {
+          stopHeartbeat();
+          return;
+        }
+        try { res.write(': keep-alive\n\n'); } catch (e) { stopHeartbeat(); }
+      }, heartbeatMs);
+      if (typeof heartbeat.unref === 'function') heartbeat.unref();
+    }
+    if (res && typeof res.on === 'function') res.on('close', stopHeartbeat);
+    return true;
+  }
+
+  function stage(name) {
+    if (!STAGE_SET.has(name)) return false;
+    return write('stage', { stage: name });
+  }
+
+  function toolStart({ name, round, callId } = {}) {
+    if (callId) toolStarts[callId] = Date.now();
+    return write('tool_start', { name: String(name || 'unknown'), round: round || null });
+  }
+
+  function toolFinish({ name, round, callId, content } = {}) {
+    const t0 = callId ? toolStarts[callId] : null;
+    if (callId) delete toolStarts[callId];
+    return write('tool_finish', {
+      name: String(name || 'unknown'),
+      round: round || null,
+      status: toolStatusFromContent(content),
+      ms: t0 ? Date.now() - t0 : null,
+    });
+  }
+
+  function sendText(text) {
+    for (const piece of chunkText(text)) {
+      if (!write('delta', { text: piece })) return false;
+    }
+    return true;
+  }
+
+  function final(payload) {
+    if (!writable()) return false;
+    const body = Object.assign({}, payload || {});
+    if (body.requestId == null) body.requestId = requestId || (req && req.id) || null;
+    if (typeof body.response === 'string' && !sendText(body.response)) return false;
+    if (lifecycle && typeof lifecycle.markResponseStarted === 'function') lifecycle.markResponseStarted();
+    const ok = write('final', body);
+    end();
+    return ok;
+  }
+
+  function fail(status, payload) {
+    if (!writable()) return false;
+    const body = Object.assign({ status: status || 500 }, payload || {});
+    if (body.requestId == null) body.requestId = requestId || (req && req.id) || null;
+    if (lifecycle && typeof lifecycle.markResponseStarted === 'function') lifecycle.markResponseStarted();
+    const ok = write('error', body);
+    end();
+    return ok;
+  }
+
+  return {
+    open,
+    stage,
+    toolStart,
+    toolFinish,
+    sendText,
+    final,
+    fail,
+    end,
+    get opened() { return opened; },
+    get ended() { return ended; },
+  };
+}
+
+module.exports = {
+  DELTA_CHUNK_CHARS,
+  HEARTBEAT_MS,
+  wantsEventStream,
+  chunkText,
+  formatEvent,
+  toolStatusFromContent,
+  createChatEventStream,
+};
@@ -29,6 +29,11 @@
  * machinery as analysis, so it maps to a thin `forecast` thread with period
  * only. No invented forecast-specific payload.
  *
+ * Multi-account threads: a turn grounded across every accessible account
+ * (services/keaAggregateScope.js) persists lastAccountScope 'aggregate' and the
+ * thread carries accountScope: 'aggregate'. Such a thread is not bound to the
+ * selected account, so switching accounts does not drop it.
+ *
  * Conversation identity: dialogue state is user-scoped (no conversationId).
  * Multi-tab / cross-device sharing is an existing limitation, not solved here.
  */
@@ -64,6 +69,8 @@ const RECURRING_SCOPES = new Set(['all', 'income', 'expense']);
 const UPCOMING_SCOPES = new Set(['all', 'income', 'expense']);
 const INCOME_HORIZON_DEFINITION = 'kea_scheduled_recurring_income';
 
+const AGGREGATE_ACCOUNT_SCOPE = 'aggregate';
+
 const INVALID = Object.freeze({
   ACCOUNT_MISMATCH: 'account_mismatch',
   MISSING_ACCOUNT: 'missing_account',
@@ -289,10 +296,15 @@ function validatePeriod(period, { requireRelation } = {}) {
   return true;
 }
 
+function isAggregateThread(thread) {
+  return !!(thread && thread.accountScope === AGGREGATE_ACCOUNT_SCOPE);
+}
+
 function validateThread(thread) {
   if (!thread || typeof thread !== 'object' || !thread.kind) return false;
   if (!Object.values(THREAD_KINDS).includes(thread.kind)) return false;
   if (thread.accountId == null || thread.accountId === '') return false;
+  if (thread.accountScope !== undefined && thread.accountScope !== AGGREGATE_ACCOUNT_SCOPE) return false;
   switch (thread.kind) {
     case THREAD_KINDS.COMPARISON:
       return validatePeriod(thread.periodA) && validatePeriod(thread.periodB);
@@ -375,11 +387,13 @@ function deriveConversationCapsule(dialogueState, currentAccountId) {
   if (!lastAccountId) {
     return emptyCapsule(null, updatedAt, INVALID.MISSING_ACCOUNT);
   }
-  if (arguments.length > 1 && !accountsMatch(lastAccountId, selectedId)) {
+  const aggregate = ds.lastAccountScope === AGGREGATE_ACCOUNT_SCOPE;
+  if (arguments.length > 1 && !aggregate && !accountsMatch(lastAccountId, selectedId)) {
     return emptyCapsule(lastAccountId, updatedAt, INVALID.ACCOUNT_MISMATCH);
   }
 
   const thread = mapThread(kind, ds, lastAccountId, updatedAt);
+  if (thread && aggregate) thread.accountScope = AGGREGATE_ACCOUNT_SCOPE;
   if (!thread || !validateThread(thread)) {
     return emptyCapsule(lastAccountId, updatedAt, INVALID.MALFORMED_THREAD);
   }
@@ -492,7 +506,7 @@ function capsuleTelemetryFields(capsule, currentAccountId) {
   const valid = !!(capsule && isConversationCapsuleV1(capsule) && capsule.activeThread);
   let accountMatch = null;
   if (valid && currentAccountId != null && currentAccountId !== '') {
-    accountMatch = accountsMatch(capsule.accountId, currentAccountId);
+    accountMatch = isAggregateThread(capsule.activeThread) || accountsMatch(capsule.accountId, currentAccountId);
   }
   return {
     capsule_present: valid,
@@ -505,6 +519,7 @@ function capsuleTelemetryFields(capsule, currentAccountId) {
 module.exports = {
   CAPSULE_VERSION,
   THREAD_KINDS,
+  AGGREGATE_ACCOUNT_SCOPE,
   INVALID,
   deriveConversationCapsule,
   validateConversationCapsule,
@@ -513,6 +528,7 @@ module.exports = {
   syncConversationCapsule,
   persistedCapsuleEqualsProjection,
   capsuleTelemetryFields,
+  isAggregateThread,
   resolveCurrentConversationCapsule,
   isAuthoritativeEmptyCapsule,
   emptyAuthoritativeCapsule,
@@ -409,6 +409,9 @@ function buildConversationClarifyText(route, message) {
     || route.capsuleTransition === 'unsupported_followup')) {
     return 'I can keep using this current view, but that refinement isn\'t supported. What would you like to know about it?';
   }
+  if (route && route.clarifyReason === 'low_confidence') {
+    return 'I want to make sure I look at the right thing. Could you say a bit more, like the period, view, or transaction you mean?';
+  }
   if (/how much total|what(?:'|’)?s the total|^the total\b/.test(m)) {
     return 'Which period or financial view would you like the total for?';
   }
@@ -16,7 +16,7 @@
  * the conceptual active thread. Soft interjection (thanks) does not.
  */
 
-const { THREAD_KINDS, isConversationCapsuleV1 } = require('./keaConversationCapsule');
+const { THREAD_KINDS, isConversationCapsuleV1, isAggregateThread } = require('./keaConversationCapsule');
 const { parseContinuationAction } = require('./keaConversationContinuation');
 const {
   classifyFreshIntentCandidate,
@@ -145,18 +145,21 @@ function resolveConversationState(input = {}) {
   const thread = capsuleValid ? capsule.activeThread : null;
   const threadKind = thread && thread.kind ? thread.kind : null;
   const threadCap = capabilityForKind(threadKind);
+  // Multi-account threads are not bound to the selected account.
+  const aggregateThread = isAggregateThread(thread);
   const accountMatch = !!(
     capsuleValid
     && capsule.accountId
     && currentAccountId != null
     && currentAccountId !== ''
-    && accountsMatch(capsule.accountId, currentAccountId)
+    && (aggregateThread || accountsMatch(capsule.accountId, currentAccountId))
   );
   const accountMismatch = !!(
     capsuleValid
     && capsule.accountId
     && currentAccountId != null
     && currentAccountId !== ''
+    && !aggregateThread
     && !accountsMatch(capsule.accountId, currentAccountId)
   );
 
@@ -0,0 +1,867 @@
+'use strict';
+
+/**
+ * Debt payoff planner: the debt_payoff capability.
+ *
+ * Debts come from the message ("Visa $4,200 at 22.9%, $120 minimum") or,
+ * when none are given, from the user's own credit and loan accounts. Account
+ * rows carry a balance but no APR or minimum payment, so those debts are
+ * listed in needsTerms (debt_terms_missing) until the user supplies them —
+ * terms are never guessed.
+ *
+ * With terms in hand the plan is pure arithmetic, month by month: interest
+ * accrues at apr / 12, every open debt gets its minimum, and the extra
+ * payment plus the minimums of paid-off debts go to one target at a time:
+ *
+ *   avalanche   highest APR first (ties: smaller balance)
+ *   snowball    smallest balance first (ties: higher APR)
+ *
+ * Both are compared with paying minimums only. A debt whose minimum does not
+ * cover its interest never pays off on minimums alone (payment_below_interest);
+ * schedules stop at MAX_MONTHS.
+ *
+ * Forecast check: a proposed extra payment is added on the first of each
+ * month to the selected account's scheduled income and expenses (two
+ * cashflow_upcoming macro reads) over FORECAST_CHECK_DAYS, starting from the
+ * available balance. Existing minimum payments are assumed to be in the
+ * forecast already, so only the extra is added.
+ *
+ * The answer offers the extra payment as a series (dialogueState
+ * debtPaymentOffer). A simulation is staged at once through
+ * proposeSimulationAdd; a real monthly transaction goes through the usual
+ * propose → confirm gate (pendingDebtPayment, controller
+ * commitPendingDebtPayment). Simulation Mode never stages or commits the real
+ * series; it goes to the simulation instead. Any other route drops the offer.
+ */
+
+const moment = require('moment');
+const { merchantMatchKey } = require('../utils/vendorNormalize');
+const { frequencyLabel } = require('../utils/frequencyLabel');
+
+const MAX_MONTHS = 600;
+const MAX_DEBTS = 10;
+const FORECAST_CHECK_DAYS = 90;
+const PAYMENT_FREQUENCY_MONTHLY = 30;
+const PAYMENT_CATEGORY = 'Debt Payment';
+const STRATEGIES = Object.freeze(['avalanche', 'snowball']);
+
+const DEBT_ACCOUNT_TYPE_RE = /\b(credit|loan|mortgage|line of credit|heloc)\b/i;
+
+function round2(n) {
+  return Math.round(n * 100) / 100;
+}
+
+function lower(text) {
+  return String(text || '').trim().toLowerCase();
+}
+
+function num(value) {
+  if (value == null || value === '') return null;
+  const n = Number(value);
+  return Number.isFinite(n) ? n : null;
+}
+
+function toNumber(raw, thousands) {
+  const n = Number(String(raw).replace(/,/g, ''));
+  if (!Number.isFinite(n)) return null;
+  return thousands ? n * 1000 : n;
+}
+
+// "an extra $300 a month", "$250 extra", "put another $400 toward my loans".
+const EXTRA_PAYMENT_RES = [
+  /\b(?:extra|additional|another)\s+(?:of\s+)?\$\s*(\d[\d,]*(?:\.\d+)?)(\s*k\b)?/,
+  /\$\s*(\d[\d,]*(?:\.\d+)?)(\s*k\b)?\s+(?:extra|more|additional)\b/,
+  /\b(?:extra|additional)\s+(\d[\d,]*(?:\.\d+)?)(\s*k\b)?\s*(?:dollars|bucks|a month|per month|monthly)\b/,
+  /\b(?:put|throw|pay|add)\s+\$\s*(\d[\d,]*(?:\.\d+)?)(\s*k\b)?\s+(?:a month|per month|monthly|each month|every month)?\s*(?:toward|towards|at|on|to)\b/,
+];
+
+function extraPaymentMatch(text) {
+  const m = lower(text);
+  for (const re of EXTRA_PAYMENT_RES) {
+    const hit = m.match(re);
+    if (hit) return { value: toNumber(hit[1], !!hit[2]), text: hit[0] };
+  }
+  return null;
+}
+
+/** Proposed extra monthly payment in the message, or null. */
+function parseExtraPayment(text) {
+  const hit = extraPaymentMatch(text);
+  return hit && hit.value != null && hit.value > 0 ? round2(hit.value) : null;
+}
+
+/** 'avalanche' | 'snowball' when the user names exactly one, else null (compare both). */
+function parseDebtStrategy(text) {
+  const m = lower(text);
+  const avalanche = /\bavalanche\b|\bhighest (interest|apr|rate)\b/.test(m);
+  const snowball = /\bsnowball\b|\bsmallest (balance|debt)\b/.test(m);
+  if (avalanche && !snowball) return 'avalanche';
+  if (snowball && !avalanche) return 'snowball';
+  return null;
+}
+
+const LABEL_FILLER_RE = /^(?:(?:i|we)\s+(?:have|owe|got|also have)|i've got|there's|plus|also|then|my|our|a|an|the|one|on|with|for|is|of)\s+/;
+const LABEL_TAIL_RE = /\s+(?:with|of|at|balance|owing|is|has|for|that's|at about)$/;
+
+function cleanLabel(raw) {
+  let s = lower(raw).replace(/[:\-–—($]+$/, '').replace(/^[^a-z0-9]+/, '').trim();
+  let prev;
+  do {
+    prev = s;
+    s = s.replace(LABEL_FILLER_RE, '').replace(LABEL_TAIL_RE, '').trim();
+  } while (s !== prev);
+  if (!s || s.length > 40 || !/[a-z]/.test(s)) return null;
+  if (/^(i|we|it|that|this|and|or|but|if|what|how|which|when|debts?|total|minimum|min)\b/.test(s)) return null;
+  return s.charAt(0).toUpperCase() + s.slice(1);
+}
+
+const NUMBER_RE = /(\$\s*)?(\d[\d,]*(?:\.\d+)?)(\s*k\b)?(\s*(?:%|percent\b|apr\b))?/g;
+const MIN_WORD_RE = /\b(min(?:imum)?s?|min\.)\b/;
+
+function parseClause(clause) {
+  const text = lower(clause);
+  const out = { label: null, balance: null, apr: null, minPayment: null };
+  const minWord = text.match(MIN_WORD_RE);
+  const amounts = [];
+  let firstIndex = null;
+  let m;
+  NUMBER_RE.lastIndex = 0;
+  while ((m = NUMBER_RE.exec(text))) {
+    const value = toNumber(m[2], !!m[3]);
+    if (value == null) continue;
+    if (firstIndex == null) firstIndex = m.index;
+    if (m[4]) {
+      if (out.apr == null && value >= 0 && value <= 100) out.apr = value;
+      continue;
+    }
+    // Bare small numbers without "$" ("2 cards", "3 years") are not amounts.
+    if (!m[1] && !m[3] && value < 50) continue;
+    amounts.push({ value, index: m.index, end: m.index + m[0].length });
+  }
+  if (amounts.length) {
+    let minIdx = -1;
+    if (minWord) {
+      // The amount nearest the "minimum" word is the minimum payment.
+      let best = Infinity;
+      amounts.forEach((a, i) => {
+        const dist = a.index >= minWord.index
+          ? a.index - (minWord.index + minWord[0].length)
+          : minWord.index - a.end;
+        if (dist < best) { best = dist; minIdx = i; }
+      });
+    }
+    amounts.forEach((a, i) => {
+      if (i === minIdx) out.minPayment = a.value;
+      else if (out.balance == null) out.balance = a.value;
+    });
+  }
+  out.label = cleanLabel(firstIndex == null ? text.replace(MIN_WORD_RE, '') : text.slice(0, firstIndex));
+  return out;
+}
+
+/**
+ * Debts described in the message, in order. Each is
+ * { label, balance, apr, minPayment } with nulls for anything not stated.
+ * A clause with only a minimum ("$120 minimum") belongs to the debt before it.
+ */
+function parseDebts(text) {
+  let m = String(text || '');
+  const extra = extraPaymentMatch(m);
+  if (extra) m = m.toLowerCase().replace(extra.text, ' ');
+  const clauses = m
+    .split(/[;\n]|[.?!](?=\s|$)|,(?!\d{3}\b)|\band\b|\bplus\b/i)
+    .map((c) => c.trim())
+    .filter(Boolean);
+  const debts = [];
+  let current = null;
+  for (const clause of clauses) {
+    const parsed = parseClause(clause);
+    const startsDebt = parsed.balance != null || (parsed.label && parsed.apr != null);
+    if (startsDebt) {
+      current = parsed;
+      debts.push(current);
+      continue;
+    }
+    if (current) {
+      if (current.apr == null && parsed.apr != null) current.apr = parsed.apr;
+      if (current.minPayment == null && parsed.minPayment != null) current.minPayment = parsed.minPayment;
+    }
+  }
+  return debts
+    .filter((d) => d.balance != null || d.apr != null || d.minPayment != null)
+    .slice(0, MAX_DEBTS)
+    .map((d, i) => ({ ...d, label: d.label || `Debt ${i + 1}` }));
+}
+
+function labelKey(label) {
+  return merchantMatchKey(label);
+}
+
+function labelsMatch(a, b) {
+  const ka = labelKey(a);
+  const kb = labelKey(b);
+  return !!ka && !!kb && (ka === kb || ka.includes(kb) || kb.includes(ka));
+}
+
+/**
+ * Debts for this turn: a message that lists debts with balances starts a
+ * fresh list; terms without balances ("the Visa is 19%") update the
+ * remembered plan; otherwise the remembered debts carry over.
+ */
+function mergeDebtSlots(slots, debtPlan) {
+  const fromMessage = Array.isArray(slots && slots.debts) ? slots.debts : [];
+  const remembered = debtPlan && Array.isArray(debtPlan.debts) ? debtPlan.debts : [];
+  const fresh = fromMessage.some((d) => d.balance != null);
+  let debts;
+  if (fresh || !remembered.length) {
+    debts = fromMessage.map((d) => ({ ...d }));
+  } else {
+    debts = remembered.map((d) => ({ ...d }));
+    for (const update of fromMessage) {
+      const hit = debts.find((d) => labelsMatch(d.label, update.label));
+      if (!hit) {
+        debts.push({ ...update });
+        continue;
+      }
+      if (update.apr != null) hit.apr = update.apr;
+      if (update.minPayment != null) hit.minPayment = update.minPayment;
+    }
+  }
+  const extraPayment = slots && slots.extraPayment != null
+    ? slots.extraPayment
+    : (!fresh && debtPlan && debtPlan.extraPayment != null ? debtPlan.extraPayment : null);
+  return {
+    ...(slots || {}),
+    debts: debts.slice(0, MAX_DEBTS),
+    extraPayment,
+  };
+}
+
+function isUsableDebt(d) {
+  return d && num(d.balance) > 0 && num(d.apr) != null && num(d.apr) >= 0 && num(d.minPayment) > 0;
+}
+
+function missingTerms(d) {
+  const missing = [];
+  if (!(num(d.balance) > 0)) missing.push('balance');
+  if (num(d.apr) == null) missing.push('apr');
+  if (!(num(d.minPayment) > 0)) missing.push('minPayment');
+  return missing;
+}
+
+function targetOrder(strategy) {
+  return strategy === 'snowball'
+    ? (a, b) => (a.balance - b.balance) || (b.apr - a.apr) || (a.index - b.index)
+    : (a, b) => (b.apr - a.apr) || (a.balance - b.balance) || (a.index - b.index);
+}
+
+/**
+ * Month-by-month schedule. Month 1 is paid on firstPaymentDate. With
+ * rollover the monthly budget stays at (all minimums + extra) and whatever
+ * is left after minimums goes to the strategy's target; without it each debt
+ * gets only its own minimum.
+ */
+function simulatePayoff(debts, {
+  strategy = 'avalanche',
+  extraMonthly = 0,
+  firstPaymentDate,
+  rollover = true,
+} = {}) {
+  const first = moment(firstPaymentDate, 'YYYY-MM-DD', true).isValid()
+    ? moment(firstPaymentDate, 'YYYY-MM-DD')
+    : moment().add(1, 'month').startOf('month');
+  const open = debts.map((d, index) => ({
+    index,
+    label: d.label,
+    balance: round2(Number(d.balance)),
+    apr: Number(d.apr),
+    minPayment: Number(d.minPayment),
+    paidMonth: null,
+  }));
+  const extra = rollover ? Math.max(0, Number(extraMonthly) || 0) : 0;
+  const budget = open.reduce((acc, d) => acc + d.minPayment, 0) + extra;
+  const byTarget = targetOrder(strategy);
+  let totalInterest = 0;
+  let totalPaid = 0;
+  let month = 0;
+  while (month < MAX_MONTHS && open.some((d) => d.paidMonth == null)) {
+    month += 1;
+    const active = open.filter((d) => d.paidMonth == null);
+    for (const d of active) {
+      const interest = round2(d.balance * d.apr / 100 / 12);
+      d.balance = round2(d.balance + interest);
+      totalInterest += interest;
+    }
+    let left = rollover ? budget : Infinity;
+    for (const d of active) {
+      const pay = Math.min(d.minPayment, d.balance, left);
+      d.balance = round2(d.balance - pay);
+      totalPaid += pay;
+      if (rollover) left = round2(left - pay);
+    }
+    if (rollover) {
+      for (const d of active.slice().sort(byTarget)) {
+        if (left <= 0) break;
+        const pay = Math.min(left, d.balance);
+        d.balance = round2(d.balance - pay);
+        totalPaid += pay;
+        left = round2(left - pay);
+      }
+    }
+    for (const d of active) {
+      if (d.balance <= 0.004) {
+        d.balance = 0;
+        d.paidMonth = month;
+      }
+    }
+  }
+  const paidOff = open.every((d) => d.paidMonth != null);
+  const dateFor = (m) => first.clone().add(m - 1, 'months').format('YYYY-MM-DD');
+  const order = open
+    .filter((d) => d.paidMonth != null)
+    .sort((a, b) => (a.paidMonth - b.paidMonth) || (a.index - b.index))
+    .map((d) => ({ label: d.label, months: d.paidMonth, payoffDate: dateFor(d.paidMonth) }));
+  return {
+    strategy: rollover ? strategy : 'minimum_only',
+    paidOff,
+    months: paidOff ? month : null,
+    payoffDate: paidOff ? dateFor(month) : null,
+    totalInterest: paidOff ? round2(totalInterest) : null,
+    totalPaid: paidOff ? round2(totalPaid) : null,
+    monthlyPayment: rollover ? round2(budget) : round2(open.reduce((acc, d) => acc + d.minPayment, 0)),
+    payoffOrder: order,
+    unpaidDebts: open.filter((d) => d.paidMonth == null).map((d) => d.label),
+  };
+}
+
+function firstPaymentDateFor(currentDate) {
+  const today = moment(currentDate, 'YYYY-MM-DD', true).isValid() ? moment(currentDate, 'YYYY-MM-DD') : moment();
+  return today.clone().add(1, 'month').startOf('month').format('YYYY-MM-DD');
+}
+
+/** Better plan: lower interest, then fewer months, then avalanche. */
+function pickRecommended(plans) {
+  const done = STRATEGIES.map((s) => plans[s]).filter((p) => p && p.paidOff);
+  if (!done.length) return null;
+  done.sort((a, b) => (a.totalInterest - b.totalInterest) || (a.months - b.months)
+    || (STRATEGIES.indexOf(a.strategy) - STRATEGIES.indexOf(b.strategy)));
+  return done[0].strategy;
+}
+
+/**
+ * Avalanche, snowball and minimum-only schedules for usable debts, plus the
+ * recommended strategy and what the extra payment saves against minimums.
+ */
+function comparePayoffPlans(debts, { extraPayment = 0, currentDate } = {}) {
+  const firstPaymentDate = firstPaymentDateFor(currentDate);
+  const extra = Math.max(0, Number(extraPayment) || 0);
+  const plans = {};
+  for (const strategy of STRATEGIES) {
+    plans[strategy] = simulatePayoff(debts, { strategy, extraMonthly: extra, firstPaymentDate });
+  }
+  const minimumOnly = simulatePayoff(debts, { extraMonthly: 0, firstPaymentDate, rollover: false });
+  const recommended = pickRecommended(plans);
+  const best = recommended ? plans[recommended] : null;
+  const other = recommended ? plans[STRATEGIES.find((s) => s !== recommended)] : null;
+  const belowInterest = debts
+    .filter((d) => Number(d.minPayment) <= round2(Number(d.balance) * Number(d.apr) / 100 / 12))
+    .map((d) => d.label);
+  return {
+    firstPaymentDate,
+    plans,
+    minimumOnly,
+    recommendedStrategy: recommended,
+    interestSavedVsMinimum: best && minimumOnly.paidOff ? round2(minimumOnly.totalInterest - best.totalInterest) : null,
+    monthsSavedVsMinimum: best && minimumOnly.paidOff ? minimumOnly.months - best.months : null,
+    strategyInterestDifference: best && other && other.paidOff ? round2(other.totalInterest - best.totalInterest) : null,
+    strategyMonthsDifference: best && other && other.paidOff ? other.months - best.months : null,
+    minimumBelowInterest: belowInterest,
+  };
+}
+
+function isDebtAccount(account) {
+  return DEBT_ACCOUNT_TYPE_RE.test(String((account && (account.account_type || account.type)) || ''));
+}
+
+/**
+ * The user's own credit and loan accounts as debts (balance only). Satellite
+ * accounts are someone else's debt and are left out.
+ */
+async function listAccountDebts(userId, { queryFn } = {}) {
+  if (userId == null || userId === '') return [];
+  const q = queryFn || require('./db').query;
+  const rows = await q(
+    `SELECT accountid, accountname, bankaccount_name, account_type, balance, current FROM accounts
+     WHERE userid = ? ORDER BY account_order ASC LIMIT ${MAX_DEBTS * 5}`,
+    [userId]
+  );
+  const out = [];
+  for (const row of Array.isArray(rows) ? rows : []) {
+    if (!isDebtAccount(row)) continue;
+    const raw = num(row.current) != null ? num(row.current) : num(row.balance);
+    const balance = raw != null ? round2(Math.abs(raw)) : null;
+    if (!(balance > 0)) continue;
+    out.push({
+      label: String(row.accountname || row.bankaccount_name || 'Account').trim(),
+      balance,
+      apr: null,
+      minPayment: null,
+      accountId: String(row.accountid),
+      source: 'account',
+    });
+  }
+  return out.slice(0, MAX_DEBTS);
+}
+
+/**
+ * Debts the plan can use plus those still missing terms. Named debts without
+ * a balance pick it up from a matching account.
+ */
+function resolveDebts(messageDebts, accountDebts) {
+  const accounts = accountDebts.map((d) => ({ ...d }));
+  const resolved = [];
+  for (const d of messageDebts) {
+    const debt = { ...d, source: d.source || 'user' };
+    if (!(num(debt.balance) > 0)) {
+      const i = accounts.findIndex((a) => labelsMatch(a.label, debt.label));
+      if (i >= 0) {
+        debt.balance = accounts[i].balance;
+        debt.source = 'account';
+        accounts.splice(i, 1);
+      }
+    }
+    resolved.push(debt);
+  }
+  if (!messageDebts.length) resolved.push(...accounts);
+  const usable = [];
+  const needsTerms = [];
+  for (const d of resolved) {
+    const row = {
+      label: d.label,
+      balance: num(d.balance),
+      apr: num(d.apr),
+      minPayment: num(d.minPayment),
+      source: d.source || 'user',
+    };
+    if (isUsableDebt(row)) usable.push(row);
+    else needsTerms.push({ label: row.label, balance: row.balance, missing: missingTerms(row) });
+  }
+  return { usable, needsTerms };
+}
+
+function paymentDatesIn(period, firstPaymentDate) {
+  const dates = [];
+  const end = moment(period.end, 'YYYY-MM-DD');
+  for (let d = moment(firstPaymentDate, 'YYYY-MM-DD'); !d.isAfter(end); d.add(1, 'month')) {
+    if (d.format('YYYY-MM-DD') >= period.start) dates.push(d.format('YYYY-MM-DD'));
+  }
+  return dates;
+}
+
+function lowestOf(startBalance, period, deltasByDate) {
+  let running = startBalance;
+  let lowest = { amount: round2(startBalance), date: period.start };
+  let firstNegativeDate = null;
+  for (const date of Object.keys(deltasByDate).sort()) {
+    running = round2(running + deltasByDate[date]);
+    if (running < lowest.amount) lowest = { amount: running, date };
+    if (running < 0 && !firstNegativeDate) firstNegativeDate = date;
+  }
+  return { lowest, firstNegativeDate };
+}
+
+/**
+ * Does the extra payment keep the selected account's forecast positive?
+ * Returns { forecastCheck, limitations }; forecastCheck is null when the
+ * check could not run.
+ */
+async function checkForecastWithPayment(input, { extraPayment, firstPaymentDate }) {
+  const {
+    accountId,
+    snapshot,
+    token,
+    requestId,
+    signal,
+    currentDate,
+    fetchUpcomingAnalysis,
+  } = input;
+  if (!(extraPayment > 0)) return { forecastCheck: null, limitations: [] };
+  if (snapshot && isDebtAccount(snapshot)) {
+    return { forecastCheck: null, limitations: ['forecast_check_not_cash_account'] };
+  }
+  const { prefetchCashflowUpcomingMacro, snapshotBalanceFacts } = require('./keaGroundingPrefetch');
+  const balances = snapshot ? snapshotBalanceFacts(snapshot) : {};
+  const startBalance = balances.availableBalance != null ? balances.availableBalance : balances.currentBalance;
+  if (startBalance == null) return { forecastCheck: null, limitations: ['forecast_check_unavailable'] };
+  const today = moment(currentDate, 'YYYY-MM-DD', true).isValid() ? moment(currentDate, 'YYYY-MM-DD') : moment();
+  const period = {
+    start: today.clone().add(1, 'day').format('YYYY-MM-DD'),
+    end: today.clone().add(FORECAST_CHECK_DAYS, 'days').format('YYYY-MM-DD'),
+  };
+  const read = (metricScope) => prefetchCashflowUpcomingMacro({
+    accountId,
+    token,
+    requestId,
+    signal,
+    currentDate,
+    slots: { period, metricScope },
+    fetchUpcomingAnalysis,
+  });
+  const [income, expense] = await Promise.all([read('income'), read('expense')]);
+  if (!income || income.status !== 'ok' || !expense || expense.status !== 'ok') {
+    return { forecastCheck: null, limitations: ['forecast_check_unavailable'] };
+  }
+  const limitations = [];
+  const capped = [income, expense].some((ev) => {
+    const items = ev.facts && Array.isArray(ev.facts.items) ? ev.facts.items : [];
+    const count = ev.prefetchMeta && ev.prefetchMeta.itemCount != null ? ev.prefetchMeta.itemCount : items.length;
+    return count > items.length || (Array.isArray(ev.limitations) && ev.limitations.includes('list_capped'));
+  });
+  if (capped) limitations.push('forecast_check_partial');
+
+  const base = {};
+  const add = (deltas, date, amount) => {
+    if (!date || !(date >= period.start && date <= period.end)) return;
+    deltas[date] = round2((deltas[date] || 0) + amount);
+  };
+  for (const item of (income.facts && income.facts.items) || []) {
+    add(base, String(item.date || '').slice(0, 10), Math.abs(Number(item.amount) || 0));
+  }
+  for (const item of (expense.facts && expense.facts.items) || []) {
+    add(base, String(item.date || '').slice(0, 10), -Math.abs(Number(item.amount) || 0));
+  }
+  const paymentDates = paymentDatesIn(period, firstPaymentDate);
+  const withPayment = { ...base };
+  for (const date of paymentDates) add(withPayment, date, -extraPayment);
+
+  const without = lowestOf(startBalance, period, base);
+  const withExtra = lowestOf(startBalance, period, withPayment);
+  return {
+    forecastCheck: {
+      period,
+      startingBalance: round2(startBalance),
+      extraPayment,
+      paymentDates,
+      lowestBalance: without.lowest.amount,
+      lowestBalanceDate: without.lowest.date,
+      lowestBalanceWithPayment: withExtra.lowest.amount,
+      lowestBalanceWithPaymentDate: withExtra.lowest.date,
+      staysPositive: withExtra.firstNegativeDate == null,
+      firstNegativeDate: withExtra.firstNegativeDate,
+      complete: !capped,
+    },
+    limitations,
+  };
+}
+
+/**
+ * debt_payoff macro. Reads account debts only when the message named none
+ * (or named some without balances); MySQL failure is fail-soft when the
+ * message already carries usable debts.
+ */
+async function prefetchDebtPayoffMacro(input = {}) {
+  const { emptyEvidence } = require('./keaGroundingPrefetch');
+  const { trustedUserId, currentDate, route, queryFn } = input;
+  const slots = (route && route.slots) || {};
+  const messageDebts = Array.isArray(slots.debts) ? slots.debts : [];
+  const extraPayment = num(slots.extraPayment) > 0 ? round2(num(slots.extraPayment)) : 0;
+  const dataAsOf = currentDate || null;
+  const limitations = [];
+
+  let accountDebts = [];
+  if (!messageDebts.length || messageDebts.some((d) => !(num(d.balance) > 0))) {
+    try {
+      accountDebts = await listAccountDebts(trustedUserId, { queryFn });
+    } catch (err) {
+      console.warn('Debt payoff: account debts read failed (fail-soft):', err && err.message);
+      if (!messageDebts.some(isUsableDebt)) {
+        return emptyEvidence({ dataAsOf, limitations: ['read_failed'] });
+      }
+      limitations.push('account_debts_unavailable');
+    }
+  }
+
+  const { usable, needsTerms } = resolveDebts(messageDebts, accountDebts);
+  if (needsTerms.length) limitations.push('debt_terms_missing');
+  const observations = [];
+  let comparison = null;
+  let forecast = { forecastCheck: null, limitations: [] };
+  if (usable.length) {
+    comparison = comparePayoffPlans(usable, { extraPayment, currentDate });
+    if (comparison.minimumBelowInterest.length) limitations.push('payment_below_interest');
+    if (!comparison.recommendedStrategy) observations.push({ code: 'debt_never_paid_off' });
+    forecast = await checkForecastWithPayment(input, {
+      extraPayment,
+      firstPaymentDate: comparison.firstPaymentDate,
+    });
+    limitations.push(...forecast.limitations);
+    if (forecast.forecastCheck) {
+      observations.push({
+        code: forecast.forecastCheck.staysPositive ? 'forecast_stays_positive' : 'forecast_goes_negative',
+      });
+    }
+  } else if (needsTerms.length) {
+    observations.push({ code: 'debt_terms_needed' });
+  } else {
+    observations.push({ code: 'no_debts_found' });
+  }
+
+  const totalBalance = round2(usable.reduce((acc, d) => acc + d.balance, 0));
+  const totalMinimum = round2(usable.reduce((acc, d) => acc + d.minPayment, 0));
+  const facts = {
+    accountScope: 'selected_account',
+    debts: usable,
+    debtCount: usable.length,
+    needsTerms,
+    totalBalance,
+    totalMinimumPayment: totalMinimum,
+    extraPayment,
+    monthlyPayment: round2(totalMinimum + extraPayment),
+    requestedStrategy: slots.debtStrategy || null,
+    firstPaymentDate: comparison ? comparison.firstPaymentDate : null,
+    plans: comparison ? comparison.plans : null,
+    minimumOnly: comparison ? comparison.minimumOnly : null,
+    recommendedStrategy: comparison ? comparison.recommendedStrategy : null,
+    interestSavedVsMinimum: comparison ? comparison.interestSavedVsMinimum : null,
+    monthsSavedVsMinimum: comparison ? comparison.monthsSavedVsMinimum : null,
+    strategyInterestDifference: comparison ? comparison.strategyInterestDifference : null,
+    strategyMonthsDifference: comparison ? comparison.strategyMonthsDifference : null,
+    minimumBelowInterest: comparison ? comparison.minimumBelowInterest : [],
+    forecastCheck: forecast.forecastCheck,
+  };
+  const evidence = emptyEvidence({
+    status: 'ok',
+    source: ['debt_payoff_plan'],
+    period: forecast.forecastCheck ? forecast.forecastCheck.period : null,
+    dataAsOf,
+    facts,
+    limitations,
+    observations,
+    assumptions: forecast.forecastCheck
+      ? ['minimum_payments_assumed_scheduled', 'extra_payment_first_of_month']
+      : [],
+  });
+  evidence.accountScope = 'selected_account';
+  evidence.debtPaymentTarget = paymentTargetFor(facts);
+  return evidence;
+}
+
+/** The debt the extra payment goes to first under the plan the user will follow. */
+function paymentTargetFor(facts) {
+  if (!facts || !(facts.extraPayment > 0) || !facts.plans) return null;
+  const strategy = facts.requestedStrategy || facts.recommendedStrategy;
+  const plan = strategy && facts.plans[strategy];
+  if (!plan || !plan.paidOff) return null;
+  const debts = (facts.debts || []).map((d, index) => ({ ...d, index }));
+  const first = debts.sort(targetOrder(strategy))[0];
+  if (!first) return null;
+  return {
+    label: first.label,
+    amount: facts.extraPayment,
+    start: facts.firstPaymentDate,
+    strategy,
+  };
+}
+
+function isDebtPayoffEvidence(evidence) {
+  return !!(evidence && Array.isArray(evidence.source) && evidence.source.includes('debt_payoff_plan'));
+}
+
+function accountsMatch(a, b) {
+  return a != null && b != null && String(a) === String(b);
+}
+
+/**
+ * After a macro-owned plan: remember the debts for follow-ups and offer the
+ * extra payment as a series when one was proposed.
+ */
+function maybeSetDebtPaymentOffer(dialogueState, {
+  accountId,
+  failSoft,
+  macroOwnsTurn,
+  evidence,
+  simulationAvailable,
+} = {}) {
+  if (!dialogueState || typeof dialogueState !== 'object') return dialogueState;
+  if (failSoft || !macroOwnsTurn || !isDebtPayoffEvidence(evidence) || evidence.status !== 'ok') return dialogueState;
+  const facts = evidence.facts || {};
+  if (Array.isArray(facts.debts) && facts.debts.length) {
+    dialogueState.debtPlan = {
+      debts: facts.debts.map((d) => ({ label: d.label, balance: d.balance, apr: d.apr, minPayment: d.minPayment, source: d.source })),
+      extraPayment: facts.extraPayment > 0 ? facts.extraPayment : null,
+    };
+  }
+  const target = evidence.debtPaymentTarget;
+  if (target && accountId != null && accountId !== '') {
+    dialogueState.debtPaymentOffer = {
+      accountId: String(accountId),
+      label: target.label,
+      amount: target.amount,
+      start: target.start,
+      strategy: target.strategy,
+      simulationAvailable: simulationAvailable === true,
+    };
+  }
+  return dialogueState;
+}
+
+const SIMULATION_CHOICE_RE = /\b(simulat\w*|what[- ]if|try it|preview|sandbox|hypothetical\w*)\b/;
+const REAL_CHOICE_RE = /\b(add|schedule|create|set (it )?up|make it real|for real|real|recurring|calendar|forecast|transaction)\b/;
+const DECLINE_RE = /\b(no|nope|don'?t|do not|not now|never ?mind|skip)\b/;
+
+/**
+ * Does this message take up a live extra-payment offer? Returns
+ * { mode: 'simulation' | 'recurring' }, { clarify: true } (bare yes with both
+ * on offer), or null (not about the offer).
+ */
+function resolveDebtPaymentAcceptance(offer, message, { accountId, userAffirmative, simulationMode } = {}) {
+  if (!offer || !(Number(offer.amount) > 0)) return null;
+  if (!accountsMatch(offer.accountId, accountId)) return null;
+  const m = lower(message);
+  if (!m || m.length > 80 || DECLINE_RE.test(m)) return null;
+  const simulationOk = simulationMode === true || offer.simulationAvailable === true;
+  if (SIMULATION_CHOICE_RE.test(m)) return simulationOk ? { mode: 'simulation' } : null;
+  if (simulationMode === true && (userAffirmative || REAL_CHOICE_RE.test(m))) return { mode: 'simulation' };
+  if (REAL_CHOICE_RE.test(m) && /\b(it|that|this|payment|one|series)\b|^(add|schedule|create)/.test(m)) {
+    return { mode: 'recurring' };
+  }
+  if (!userAffirmative) return null;
+  return simulationOk ? { clarify: true } : { mode: 'recurring' };
+}
+
+/** createTransaction / proposeSimulationAdd args for the offered series. */
+function deriveDebtPaymentOperation(offer, { accountId } = {}) {
+  if (!offer || !(Number(offer.amount) > 0)) return { ok: false, reason: 'no_offer' };
+  const label = offer.label ? String(offer.label).trim() : '';
+  return {
+    ok: true,
+    kind: 'debt_extra_payment',
+    tool: 'createTransaction',
+    args: {
+      title: label ? `Extra payment – ${label}` : 'Extra debt payment',
+      amount: round2(Number(offer.amount)),
+      type: 'expense',
+      frequency: PAYMENT_FREQUENCY_MONTHLY,
+      start: offer.start || null,
+      category: PAYMENT_CATEGORY,
+    },
+    target: { label: label || null, strategy: offer.strategy || null },
+    accountId: accountId != null ? String(accountId) : null,
+  };
+}
+
+/**
+ * Offer accepted as a real series: stage createTransaction behind
+ * pendingConfirmation, like applyStaleForecastLifecycle. In Simulation Mode
+ * nothing real is staged; the route becomes the simulation handoff instead.
+ * A debt_payoff turn picks up remembered debts. Any other route drops the
+ * offer and a staged payment that was not confirmed.
+ */
+function applyDebtPayoffLifecycle(dialogueState, route, { accountId, simulationMode } = {}) {
+  if (!dialogueState || typeof dialogueState !== 'object') return dialogueState;
+  if (route && route.capability === 'debt_payoff') {
+    route.slots = mergeDebtSlots(route.slots, dialogueState.debtPlan);
+  }
+  if (simulationMode === true && route && route.affirmativeResolution === 'debt_payment_write') {
+    const op = deriveDebtPaymentOperation(dialogueState.debtPaymentOffer, { accountId });
+    route.capability = 'simulation';
+    route.affirmativeResolution = 'debt_payment_simulation';
+    route.slots = { ...(route.slots || {}), debtPayment: op.ok ? op.args : null };
+  }
+  const resolution = route && route.affirmativeResolution;
+  if (resolution === 'debt_payment_write') {
+    const op = deriveDebtPaymentOperation(dialogueState.debtPaymentOffer, { accountId });
+    dialogueState.debtPaymentOffer = null;
+    if (!op.ok) return dialogueState;
+    dialogueState.pendingDebtPayment = {
+      kind: op.kind, tool: op.tool, args: op.args, target: op.target, accountId: op.accountId,
+    };
+    dialogueState.pendingConfirmation = true;
+    dialogueState.needsReconfirm = false;
+    dialogueState.draftTransaction = {};
+    dialogueState.intent = 'debt_extra_payment';
+    dialogueState.pendingInvitation = null;
+    return dialogueState;
+  }
+  // "Simulation or real?" keeps the offer open for the answer.
+  if (resolution === 'debt_payment_clarify') return dialogueState;
+  if (resolution !== 'debt_payment_simulation') dialogueState.debtPaymentOffer = null;
+  if (dialogueState.pendingDebtPayment && !(route && route.capability === 'confirmation')) {
+    dialogueState.pendingDebtPayment = null;
+    if (dialogueState.intent === 'debt_extra_payment') {
+      dialogueState.pendingConfirmation = false;
+      dialogueState.needsReconfirm = false;
+      dialogueState.intent = null;
+    }
+  }
+  return dialogueState;
+}
+
+function formatAmount(amount) {
+  const n = Math.abs(Number(amount));
+  if (!Number.isFinite(n)) return '';
+  return Number.isInteger(n) ? `$${n}` : `$${n.toFixed(2)}`;
+}
+
+function formatDate(value) {
+  const m = moment(String(value || '').slice(0, 10), 'YYYY-MM-DD', true);
+  return m.isValid() ? m.format('MMMM D, YYYY') : '';
+}
+
+/** Deterministic proposal for the staged payment series; ends with "Confirm?" like other writes. */
+function buildDebtPaymentProposalText(pending) {
+  if (!pending || !pending.args) {
+    return 'I no longer have that payment plan on hand. Ask me for a debt payoff plan again and I can offer it.';
+  }
+  const args = pending.args;
+  const label = frequencyLabel(args.frequency);
+  const lines = ['I can add this extra debt payment to your Keacast forecast:', ''];
+  lines.push(`- Title: ${args.title}`);
+  lines.push(`- Amount: ${formatAmount(args.amount)}`);
+  lines.push(`- Frequency: ${label.charAt(0).toUpperCase()}${label.slice(1)}`);
+  const start = formatDate(args.start);
+  if (start) lines.push(`- Starts: ${start}`);
+  lines.push('', 'This schedules the payment in your forecast. It does not send money to your lender.', '', 'Confirm?');
+  return lines.join('\n');
+}
+
+function buildDebtPaymentDoneText(pending) {
+  const args = (pending && pending.args) || {};
+  const start = formatDate(args.start);
+  return `Done. I added ${args.title || 'the extra payment'} (${formatAmount(args.amount)} monthly${start ? `, starting ${start}` : ''}) to your forecast.`;
+}
+
+function buildDebtPaymentClarifyText(offer) {
+  const amount = formatAmount(offer && offer.amount);
+  return `Should I add the ${amount ? `${amount} ` : ''}monthly payment as a simulation you can review first, or as a real recurring transaction in your forecast?`;
+}
+
+function buildDebtSimulationDoneText(op) {
+  const args = (op && op.args) || {};
+  const start = formatDate(args.start);
+  return `I staged ${args.title || 'the extra payment'} (${formatAmount(args.amount)} monthly${start ? ` from ${start}` : ''}) in your simulation. Nothing was written to your forecast — keep or discard it from the simulation banner.`;
+}
+
+module.exports = {
+  MAX_MONTHS,
+  FORECAST_CHECK_DAYS,
+  PAYMENT_FREQUENCY_MONTHLY,
+  parseDebts,
+  parseExtraPayment,
+  parseDebtStrategy,
+  mergeDebtSlots,
+  simulatePayoff,
+  comparePayoffPlans,
+  listAccountDebts,
+  resolveDebts,
+  checkForecastWithPayment,
+  prefetchDebtPayoffMacro,
+  maybeSetDebtPaymentOffer,
+  resolveDebtPaymentAcceptance,
+  deriveDebtPaymentOperation,
+  applyDebtPayoffLifecycle,
+  buildDebtPaymentProposalText,
+  buildDebtPaymentDoneText,
+  buildDebtPaymentClarifyText,
+  buildDebtSimulationDoneText,
+};
@@ -0,0 +1,392 @@
+'use strict';
+
+/**
+ * Weekly / monthly financial digests for one account.
+ *
+ * A digest reads the same grounding the chat path uses and nothing else:
+ *
+ *   compact Kea-context snapshot  balances, goal progress   (financial_forecast ledger)
+ *   cashflow_comparison macro     this period vs the last   (POST /account/kea-comparison)
+ *   cashflow_upcoming macro       bills due in the window   (POST /account/kea-upcoming)
+ *   cashflow_analysis macro       lowest projected balance  (POST /account/kea-analysis)
+ *
+ * Each result goes through buildEvidenceLedger, and every number in the
+ * digest is read from a ledger claim (or a ledger list item for bills). There
+ * is no model call. `provenance` maps each payload path to the
+ * `<capability>#<claim or item id>` it came from. The markdown is rendered
+ * from the payload, so both outputs always agree.
+ *
+ * Periods (DIGEST_CADENCES, clientDate = the day the digest is built):
+ *   weekly   last Sunday–Saturday week vs the week before; bills for the 7
+ *            days starting clientDate
+ *   monthly  last calendar month vs the month before; bills for the 30 days
+ *            starting clientDate
+ *
+ * A section whose macro fails is marked unavailable; the rest still render.
+ */
+
+const moment = require('moment');
+const { dateOnlyMoment } = require('./keaUpcomingPeriod');
+const { buildEvidenceLedger } = require('./keaEvidenceLedgerBuilders');
+const { resolveKeaSelectedAccount } = require('./keaSelectedAccountResolve');
+const {
+  buildSnapshotEvidence,
+  emptyEvidence,
+  prefetchCashflowComparisonMacro,
+  prefetchCashflowUpcomingMacro,
+  prefetchCashflowMacro,
+} = require('./keaGroundingPrefetch');
+
+const DIGEST_VERSION = 1;
+const DIGEST_CADENCES = Object.freeze(['weekly', 'monthly']);
+const UPCOMING_DAYS = Object.freeze({ weekly: 7, monthly: 30 });
+const USABLE_LEDGER_STATUS = new Set(['complete', 'complete_empty', 'partial']);
+
+function period(start, end, label) {
+  return { start: start.format('YYYY-MM-DD'), end: end.format('YYYY-MM-DD'), label };
+}
+
+/** { previous, current, upcoming } periods for a cadence, or null. */
+function digestPeriods(cadence, clientDate) {
+  const today = dateOnlyMoment(clientDate);
+  if (!today || DIGEST_CADENCES.indexOf(cadence) === -1) return null;
+  const upcoming = period(today, today.clone().add(UPCOMING_DAYS[cadence] - 1, 'days'), `next_${UPCOMING_DAYS[cadence]}_days`);
+  if (cadence === 'weekly') {
+    const lastWeek = today.clone().day(0).subtract(7, 'days');
+    const weekBefore = lastWeek.clone().subtract(7, 'days');
+    return {
+      windowKind: 'explicit_bounds',
+      previous: period(weekBefore, weekBefore.clone().day(6), 'week_before_last'),
+      current: period(lastWeek, lastWeek.clone().day(6), 'last_week'),
+      upcoming,
+    };
+  }
+  const lastMonth = today.clone().subtract(1, 'month').startOf('month');
+  const monthBefore = today.clone().subtract(2, 'month').startOf('month');
+  return {
+    windowKind: 'full_months',
+    previous: period(monthBefore, monthBefore.clone().endOf('month'), 'month_before_last'),
+    current: period(lastMonth, lastMonth.clone().endOf('month'), 'last_month'),
+    upcoming,
+  };
+}
+
+function defaultFetchKeaContext(opts) {
+  const { getKeaAccountContext } = require('../tools/keacast_tool_layer');
+  return getKeaAccountContext(opts);
+}
+
+function ledgerOrNull(built) {
+  return built && built.ok && built.ledger ? built.ledger : null;
+}
+
+/**
+ * Run the snapshot + three macros for one account and build their ledgers.
+ * The caller has already verified `token` and the user's access to the
+ * account. Fetchers are injectable for tests.
+ */
+async function collectDigestLedgers({ userId, accountId, token, cadence, clientDate, requestId } = {}, deps = {}) {
+  const periods = digestPeriods(cadence, clientDate);
+  if (!periods) return null;
+  const common = { accountId, token, requestId, currentDate: clientDate };
+
+  const [resolved, comparison, upcoming, cashflow] = await Promise.all([
+    resolveKeaSelectedAccount({
+      userId,
+      accountId,
+      token,
+      currentDate: clientDate,
+      requestId,
+      redis: deps.redis || require('./redisService'),
+      fetchKeaContext: deps.fetchKeaContext || defaultFetchKeaContext,
+    }),
+    prefetchCashflowComparisonMacro({
+      ...common,
+      slots: { periodA: periods.previous, periodB: periods.current, windowKind: periods.windowKind },
+      fetchPeriodComparison: deps.fetchPeriodComparison,
+    }),
+    prefetchCashflowUpcomingMacro({
+      ...common,
+      slots: { period: periods.upcoming, metricScope: 'expense' },
+      fetchUpcomingAnalysis: deps.fetchUpcomingAnalysis,
+    }),
+    prefetchCashflowMacro({
+      ...common,
+      period: periods.upcoming,
+      fetchCashflowAnalysis: deps.fetchCashflowAnalysis,
+    }),
+  ]);
+
+  const account = resolved.selectedAccount;
+  const accountContext = {
+    accountId,
+    accountLabel: account ? (account.accountname || account.bank_account_name || account.institution_name || null) : null,
+  };
+  const snapshotEvidence = account
+    ? buildSnapshotEvidence(account, { kind: 'digest', currentDate: clientDate })
+    : emptyEvidence({ limitations: ['snapshot_unavailable'], dataAsOf: clientDate || null });
+  const build = (capability, evidence) => ledgerOrNull(buildEvidenceLedger({ capability, evidence, accountContext }));
+
+  return {
+    periods,
+    accountName: accountContext.accountLabel,
+    ledgers: {
+      snapshot: build('financial_forecast', snapshotEvidence),
+      comparison: build('cashflow_comparison', comparison),
+      upcoming: build('cashflow_upcoming', upcoming),
+      cashflow: build('cashflow_analysis', cashflow),
+    },
+  };
+}
+
+function usable(ledger) {
+  return !!(ledger && USABLE_LEDGER_STATUS.has(ledger.status));
+}
+
+// Reads ledger claims into the payload and records where each came from.
+function createCiter(provenance) {
+  return function cite(outPath, ledger, claimPath) {
+    const claim = ledger && Array.isArray(ledger.claims)
+      ? ledger.claims.find((c) => c.path === claimPath)
+      : null;
+    if (!claim || claim.value == null) return null;
+    provenance[outPath] = `${ledger.capability}#${claim.id}`;
+    return claim.value;
+  };
+}
+
+function unavailable(ledger) {
+  return { status: 'unavailable', limitations: ledger ? ledger.limitations.slice() : ['ledger_unavailable'] };
+}
+
+function changesSection(ledger, cite) {
+  if (!usable(ledger)) return unavailable(ledger);
+  const side = (key) => {
+    const p = ledger.facts[key] || {};
+    return {
+      start: p.start || null,
+      end: p.end || null,
+      income: cite(`changes.${key === 'periodA' ? 'previous' : 'current'}.income`, ledger, `facts.${key}.income`),
+      spending: cite(`changes.${key === 'periodA' ? 'previous' : 'current'}.spending`, ledger, `facts.${key}.spending`),
+      net: cite(`changes.${key === 'periodA' ? 'previous' : 'current'}.net`, ledger, `facts.${key}.net`),
+    };
+  };
+  const change = (metric) => ({
+    absolute: cite(`changes.${metric}.absolute`, ledger, `facts.changes.${metric}.absolute`),
+    percent: cite(`changes.${metric}.percent`, ledger, `facts.changes.${metric}.percent`),
+  });
+  return {
+    status: ledger.status,
+    previous: side('periodA'),
+    current: side('periodB'),
+    spending: change('spending'),
+    income: change('income'),
+    net: change('net'),
+  };
+}
+
+function billsSection(ledger, cite, provenance) {
+  if (!usable(ledger)) return unavailable(ledger);
+  const items = (Array.isArray(ledger.facts.items) ? ledger.facts.items : []).map((item, i) => {
+    provenance[`billsDue.items[${i}]`] = `${ledger.capability}#${item.itemId}`;
+    return {
+      label: item.label || item.name || null,
+      date: item.date || null,
+      amount: item.amount != null ? item.amount : null,
+      frequency: item.frequencyLabel || null,
+    };
+  });
+  const p = ledger.facts.period || ledger.scope.period || {};
+  return {
+    status: ledger.status,
+    period: { start: p.start || null, end: p.end || null },
+    count: cite('billsDue.count', ledger, 'facts.itemCount'),
+    total: cite('billsDue.total', ledger, 'facts.totals.scheduledExpenseTotal'),
+    items,
+    truncated: !!(ledger.lists.items && ledger.lists.items.truncated),
+  };
+}
+
+function lowestBalanceSection(ledger, cite) {
+  if (!usable(ledger) || !ledger.facts.negativeBalanceRisk) return unavailable(ledger);
+  return {
+    status: ledger.status,
+    amount: cite('lowestProjectedBalance.amount', ledger, 'facts.negativeBalanceRisk.lowestProjectedAmount'),
+    date: cite('lowestProjectedBalance.date', ledger, 'facts.negativeBalanceRisk.lowestProjectedDate'),
+    goesNegative: cite('lowestProjectedBalance.goesNegative', ledger, 'facts.negativeBalanceRisk.hasNegativeInScope'),
+    firstNegativeDate: cite('lowestProjectedBalance.firstNegativeDate', ledger, 'facts.negativeBalanceRisk.firstNegativeDate'),
+  };
+}
+
+function snapshotSections(ledger, cite) {
+  if (!usable(ledger)) return { balance: unavailable(ledger), goals: unavailable(ledger) };
+  const goals = (Array.isArray(ledger.facts.goals) ? ledger.facts.goals : []).map((goal, i) => ({
+    title: goal.title || null,
+    status: goal.status || null,
+    endDate: goal.end_date || null,
+    target: cite(`goals.items[${i}].target`, ledger, `facts.goals[${i}].target_amount`),
+    saved: cite(`goals.items[${i}].saved`, ledger, `facts.goals[${i}].accumulated_amount`),
+    expectedByNow: cite(`goals.items[${i}].expectedByNow`, ledger, `facts.goals[${i}].expectedByNow`),
+  }));
+  return {
+    balance: {
+      status: ledger.status,
+      available: cite('balance.available', ledger, 'facts.availableBalance'),
+      current: cite('balance.current', ledger, 'facts.currentBalance'),
+    },
+    goals: { status: ledger.status, items: goals },
+  };
+}
+
+/** Structured digest from collectDigestLedgers' output. Pure. */
+function buildDigestPayload({ cadence, clientDate, accountId, accountName, periods, ledgers } = {}) {
+  const provenance = {};
+  const cite = createCiter(provenance);
+  const l = ledgers || {};
+  const { balance, goals } = snapshotSections(l.snapshot, cite);
+  const sections = {
+    balance,
+    changes: changesSection(l.comparison, cite),
+    billsDue: billsSection(l.upcoming, cite, provenance),
+    lowestProjectedBalance: lowestBalanceSection(l.cashflow, cite),
+    goals,
+  };
+  const statuses = Object.values(sections).map((s) => s.status);
+  const availableCount = statuses.filter((s) => s !== 'unavailable').length;
+  return {
+    version: DIGEST_VERSION,
+    cadence,
+    clientDate,
+    accountId: accountId != null ? String(accountId) : null,
+    accountName: accountName || null,
+    status: availableCount === 0 ? 'unavailable' : (availableCount === statuses.length ? 'complete' : 'partial'),
+    periods,
+    ...sections,
+    provenance,
+  };
+}
+
+function fmtUsd(n) {
+  if (typeof n !== 'number' || !Number.isFinite(n)) return null;
+  const [whole, cents] = Math.abs(n).toFixed(2).split('.');
+  return `${n < 0 ? '-' : ''}$${whole.replace(/\B(?=(\d{3})+(?!\d))/g, ',')}.${cents}`;
+}
+
+function fmtDate(iso, withYear = false) {
+  const d = moment(String(iso || '').slice(0, 10), 'YYYY-MM-DD', true);
+  if (!d.isValid()) return null;
+  return d.format(withYear ? 'MMM D, YYYY' : 'MMM D');
+}
+
+function fmtRange(p) {
+  if (!p || !p.start || !p.end) return null;
+  return `${fmtDate(p.start)} – ${fmtDate(p.end, true)}`;
+}
+
+function changeText(change) {
+  if (!change || typeof change.absolute !== 'number') return '';
+  if (change.absolute === 0) return ' (unchanged)';
+  const pct = typeof change.percent === 'number' && Number.isFinite(change.percent)
+    ? `, ${Math.abs(Math.round(change.percent))}%`
+    : '';
+  return ` (${change.absolute > 0 ? 'up' : 'down'} ${fmtUsd(Math.abs(change.absolute))}${pct})`;
+}
+
+const NOT_AVAILABLE = '_Not available right now._';
+
+/** Markdown brief rendered from buildDigestPayload's output. */
+function renderDigestMarkdown(payload) {
+  const title = payload.cadence === 'monthly' ? 'Your monthly Keacast brief' : 'Your weekly Keacast brief';
+  const lines = [`## ${title}${payload.accountName ? ` — ${payload.accountName}` : ''}`, ''];
+
+  if (payload.balance.status !== 'unavailable' && payload.balance.available != null) {
+    lines.push(`Available balance: **${fmtUsd(payload.balance.available)}**`, '');
+  }
+
+  const changes = payload.changes;
+  lines.push('### What changed');
+  if (changes.status === 'unavailable') {
+    lines.push(NOT_AVAILABLE);
+  } else {
+    const range = fmtRange(changes.current);
+    const before = fmtRange(changes.previous);
+    if (range && before) lines.push(`_${range}, compared with ${before}_`);
+    for (const [label, key] of [['Spending', 'spending'], ['Income', 'income'], ['Net cash flow', 'net']]) {
+      const total = changes.current[key];
+      if (total != null) lines.push(`- ${label}: ${fmtUsd(total)}${changeText(changes[key])}`);
+    }
+  }
+  lines.push('');
+
+  const bills = payload.billsDue;
+  lines.push(`### Bills due${bills.period && bills.period.start ? ` (${fmtRange(bills.period)})` : ''}`);
+  if (bills.status === 'unavailable') {
+    lines.push(NOT_AVAILABLE);
+  } else if (!bills.items.length) {
+    lines.push('No scheduled bills in this window.');
+  } else {
+    if (bills.total != null) {
+      lines.push(`${bills.count != null ? bills.count : bills.items.length} scheduled, ${fmtUsd(bills.total)} in total.`);
+    }
+    for (const item of bills.items) {
+      lines.push(`- ${[fmtDate(item.date), item.label, fmtUsd(item.amount)].filter(Boolean).join(' · ')}`);
+    }
+    if (bills.truncated) lines.push('- …and more in your Keacast forecast.');
+  }
+  lines.push('');
+
+  const low = payload.lowestProjectedBalance;
+  lines.push('### Lowest projected balance');
+  if (low.status === 'unavailable' || low.amount == null) {
+    lines.push(NOT_AVAILABLE);
+  } else {
+    lines.push(`${fmtUsd(low.amount)}${low.date ? ` on ${fmtDate(low.date, true)}` : ''}.`);
+    if (low.goesNegative === true && low.firstNegativeDate) {
+      lines.push(`Your forecast goes below zero on ${fmtDate(low.firstNegativeDate, true)}.`);
+    }
+  }
+  lines.push('');
+
+  const goals = payload.goals;
+  lines.push('### Goals');
+  if (goals.status === 'unavailable') {
+    lines.push(NOT_AVAILABLE);
+  } else if (!goals.items.length) {
+    lines.push('No active goals.');
+  } else {
+    for (const goal of goals.items) {
+      let line = `- ${goal.title || 'Goal'}: ${fmtUsd(goal.saved) || '$0.00'} saved`;
+      if (goal.target != null) line += ` of ${fmtUsd(goal.target)}`;
+      if (goal.expectedByNow != null) line += ` (plan: ${fmtUsd(goal.expectedByNow)} by now)`;
+      lines.push(line);
+    }
+  }
+
+  return lines.join('\n').trim();
+}
+
+/**
+ * One account's digest: `{ digest, markdown }`. Never throws for a failed
+ * macro; the affected section is unavailable instead.
+ */
+async function buildAccountDigest(input = {}, deps = {}) {
+  const collected = await collectDigestLedgers(input, deps);
+  if (!collected) return null;
+  const digest = buildDigestPayload({
+    cadence: input.cadence,
+    clientDate: input.clientDate,
+    accountId: input.accountId,
+    ...collected,
+  });
+  return { digest, markdown: renderDigestMarkdown(digest) };
+}
+
+module.exports = {
+  DIGEST_VERSION,
+  DIGEST_CADENCES,
+  digestPeriods,
+  collectDigestLedgers,
+  buildDigestPayload,
+  renderDigestMarkdown,
+  buildAccountDigest,
+};
@@ -0,0 +1,130 @@
+'use strict';
+
+/**
+ * Digest opt-ins: which (user, account) pairs get a weekly or monthly digest.
+ *
+ * Rows live in MySQL `kea_digest_subscriptions` (SUBSCRIPTIONS_TABLE_DDL,
+ * created on first use), one per user + account + cadence. The signed-in
+ * user manages their own rows (GET / PUT / DELETE /api/agent/digest/
+ * subscriptions); the admin cron only reads them, a page at a time in id
+ * order, and never names a user or account itself.
+ */
+
+const SUBSCRIPTIONS_TABLE = 'kea_digest_subscriptions';
+
+const SUBSCRIPTIONS_TABLE_DDL = `CREATE TABLE IF NOT EXISTS ${SUBSCRIPTIONS_TABLE} (
+  id BIGINT UNSIGNED NOT NULL AUTO_INCREMENT,
+  userid VARCHAR(64) NOT NULL,
+  account_id VARCHAR(64) NOT NULL,
+  cadence VARCHAR(16) NOT NULL,
+  created_at DATETIME(3) NOT NULL,
+  PRIMARY KEY (id),
+  UNIQUE KEY uq_kea_digest_subscriptions (userid, account_id, cadence),
+  KEY idx_kea_digest_subscriptions_cadence (cadence, id)
+)`;
+
+const SUBSCRIPTION_COLUMNS = 'id, userid, account_id, cadence, created_at';
+const MAX_SUBSCRIPTIONS_PER_USER = 50;
+
+class DigestSubscriptionError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.name = 'DigestSubscriptionError';
+    this.code = code;
+  }
+}
+
+function defaultDb() {
+  return require('./db');
+}
+
+let tableReady = null;
+
+function ensureSubscriptionsTable(db) {
+  if (!tableReady) {
+    tableReady = Promise.resolve(db.query(SUBSCRIPTIONS_TABLE_DDL)).catch((err) => {
+      tableReady = null;
+      throw err;
+    });
+  }
+  return tableReady;
+}
+
+function toSubscription(row) {
+  return {
+    id: Number(row.id),
+    userId: String(row.userid),
+    accountId: String(row.account_id),
+    cadence: row.cadence,
+    createdAt: row.created_at,
+  };
+}
+
+/** The user's opt-ins, oldest first. */
+async function listUserDigestSubscriptions(userId, { db } = {}) {
+  const conn = db || defaultDb();
+  await ensureSubscriptionsTable(conn);
+  const rows = await conn.query(
+    `SELECT ${SUBSCRIPTION_COLUMNS} FROM ${SUBSCRIPTIONS_TABLE} WHERE userid = ? ORDER BY id ASC`,
+    [String(userId)],
+  );
+  return (Array.isArray(rows) ? rows : []).map(toSubscription);
+}
+
+/**
+ * Opt an account the user may read into a cadence. The caller checks access
+ * first. Subscribing twice returns the existing row.
+ */
+async function subscribeDigest(userId, { accountId, cadence }, { db, now = new Date() } = {}) {
+  const conn = db || defaultDb();
+  const existing = (await listUserDigestSubscriptions(userId, { db: conn }))
+    .find((s) => s.accountId === String(accountId) && s.cadence === cadence);
+  if (existing) return existing;
+  const counted = await conn.query(`SELECT COUNT(*) AS total FROM ${SUBSCRIPTIONS_TABLE} WHERE userid = ?`, [String(userId)]);
+  if (Number(counted && counted[0] && counted[0].total) >= MAX_SUBSCRIPTIONS_PER_USER) {
+    throw new DigestSubscriptionError('DIGEST_SUBSCRIPTION_LIMIT', `At most ${MAX_SUBSCRIPTIONS_PER_USER} digest subscriptions per user.`);
+  }
+  const result = await conn.query(
+    `INSERT INTO ${SUBSCRIPTIONS_TABLE} (userid, account_id, cadence, created_at) VALUES (?, ?, ?, ?)`,
+    [String(userId), String(accountId), cadence, now],
+  );
+  return toSubscription({ id: result.insertId, userid: userId, account_id: accountId, cadence, created_at: now });
+}
+
+async function unsubscribeDigest(userId, id, { db } = {}) {
+  const conn = db || defaultDb();
+  await ensureSubscriptionsTable(conn);
+  const result = await conn.query(`DELETE FROM ${SUBSCRIPTIONS_TABLE} WHERE id = ? AND userid = ?`, [Number(id), String(userId)]);
+  if (!result || !result.affectedRows) {
+    throw new DigestSubscriptionError('DIGEST_SUBSCRIPTION_NOT_FOUND', 'Digest subscription not found.');
+  }
+  return true;
+}
+
+/** One page of a cadence's opt-ins with id > `after`, for the cron. */
+async function listDigestSubscriptions({ cadence, after = 0, limit }, { db } = {}) {
+  const conn = db || defaultDb();
+  await ensureSubscriptionsTable(conn);
+  const max = Math.max(1, Math.floor(Number(limit)) || 1);
+  const rows = await conn.query(
+    `SELECT ${SUBSCRIPTION_COLUMNS} FROM ${SUBSCRIPTIONS_TABLE} WHERE cadence = ? AND id > ? ORDER BY id ASC LIMIT ${max}`,
+    [cadence, Number(after) || 0],
+  );
+  return (Array.isArray(rows) ? rows : []).map(toSubscription);
+}
+
+function resetDigestSubscriptionsForTests() {
+  tableReady = null;
+}
+
+module.exports = {
+  SUBSCRIPTIONS_TABLE,
+  SUBSCRIPTIONS_TABLE_DDL,
+  MAX_SUBSCRIPTIONS_PER_USER,
+  DigestSubscriptionError,
+  listUserDigestSubscriptions,
+  subscribeDigest,
+  unsubscribeDigest,
+  listDigestSubscriptions,
+  resetDigestSubscriptionsForTests,
+};
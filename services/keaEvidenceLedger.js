@@ -59,6 +59,10 @@ const SOURCE_KIND = Object.freeze({
   CASHFLOW_ANALYSIS: 'cashflow_analysis',
   CASHFLOW_PERIOD_COMPARISON: 'cashflow_period_comparison',
   CASHFLOW_TREND: 'cashflow_trend',
+  CASHFLOW_BUDGET: 'cashflow_budget',
+  CASHFLOW_ANOMALY: 'cashflow_anomaly',
+  DEBT_PAYOFF_PLAN: 'debt_payoff_plan',
+  CASHFLOW_SUBSCRIPTION_AUDIT: 'cashflow_subscription_audit',
   AFFORDABILITY_ANALYSIS: 'affordability_analysis',
   KEA_SNAPSHOT: 'kea_snapshot',
   USER_TRANSACTIONS: 'user_transactions',
@@ -126,6 +130,10 @@ const SOURCE_DESCRIPTION_BY_KIND = Object.freeze({
   cashflow_analysis: 'Keacast cashflow analysis for the selected account and period',
   cashflow_period_comparison: 'posted transactions for the selected periods',
   cashflow_trend: 'posted transactions for the selected periods',
+  cashflow_budget: 'monthly category budgets compared with posted and scheduled spending this month',
+  cashflow_anomaly: 'posted charges in the selected period checked against the prior 90 days',
+  debt_payoff_plan: 'monthly payoff schedules for the supplied debts, with the extra payment checked against the Keacast forecast',
+  cashflow_subscription_audit: 'scheduled recurring expenses in your Keacast forecast checked against posted charges from the last 180 days',
   affordability_analysis: 'synthetic one-time expense compared with the Keacast forecast',
   kea_snapshot: 'compact selected-account snapshot, including a 15-day upcoming window',
   user_transactions: 'posted transactions for the selected period',
@@ -42,6 +42,9 @@ const BUILDERS = Object.freeze({
   cashflow_income_horizon: buildIncomeHorizonEvidenceLedger,
   cashflow_comparison: buildComparisonEvidenceLedger,
   cashflow_trend: buildTrendEvidenceLedger,
+  cashflow_budget: buildBudgetEvidenceLedger,
+  cashflow_anomaly: buildAnomalyEvidenceLedger,
+  debt_payoff: buildDebtPayoffEvidenceLedger,
   cashflow_analysis: buildCashflowEvidenceLedger,
   affordability_or_planning: buildAffordabilityEvidenceLedger,
   financial_lookup: buildLookupEvidenceLedger,
@@ -54,9 +57,13 @@ function resolveCapability({ capability, route, evidence } = {}) {
   const kind = firstSourceKind(evidence);
   if (kind === SOURCE_KIND.CASHFLOW_UPCOMING) return 'cashflow_upcoming';
   if (kind === SOURCE_KIND.CASHFLOW_RECURRING) return 'cashflow_recurring';
+  if (kind === SOURCE_KIND.CASHFLOW_SUBSCRIPTION_AUDIT) return 'cashflow_recurring';
   if (kind === SOURCE_KIND.CASHFLOW_INCOME_HORIZON) return 'cashflow_income_horizon';
   if (kind === SOURCE_KIND.CASHFLOW_PERIOD_COMPARISON) return 'cashflow_comparison';
   if (kind === SOURCE_KIND.CASHFLOW_TREND) return 'cashflow_trend';
+  if (kind === SOURCE_KIND.CASHFLOW_BUDGET) return 'cashflow_budget';
+  if (kind === SOURCE_KIND.CASHFLOW_ANOMALY) return 'cashflow_anomaly';
+  if (kind === SOURCE_KIND.DEBT_PAYOFF_PLAN) return 'debt_payoff';
   if (kind === SOURCE_KIND.CASHFLOW_ANALYSIS) return 'cashflow_analysis';
   if (kind === SOURCE_KIND.AFFORDABILITY_ANALYSIS) return 'affordability_or_planning';
   if (kind === SOURCE_KIND.USER_TRANSACTIONS) return 'financial_lookup';
@@ -64,7 +71,15 @@ function resolveCapability({ capability, route, evidence } = {}) {
   return capability || (route && route.capability) || null;
 }
 
-function accountLabelFrom(accountContext) {
+const AGGREGATE_ONLY_FORECAST_ROW_KEYS = Object.freeze([
+  'availableBalance', 'currentBalance', 'lowestProjectedAmount', 'lowestProjectedDate', 'hasNegativeInScope',
+]);
+
+function accountLabelFrom(accountContext, evidence) {
+  if (evidence && evidence.accountScope === 'aggregate') {
+    const count = evidence.facts && evidence.facts.accountCount;
+    return count ? `All accounts (${count})` : 'All accounts';
+  }
   if (!accountContext || typeof accountContext !== 'object') return null;
   const label = accountContext.accountLabel || accountContext.accountName || null;
   return label ? String(label) : null;
@@ -95,6 +110,17 @@ function copyDefined(source, keys) {
   return out;
 }
 
+/** Index the aggregate per-account breakdown so the response validator can bind it. */
+function indexAccountBreakdown(facts, claims) {
+  if (!Array.isArray(facts.accountBreakdown)) return null;
+  const indexed = indexList(facts.accountBreakdown, { totalCount: facts.accountBreakdown.length });
+  facts.accountBreakdown = indexed.items;
+  if (facts.accountCount !== undefined) {
+    claims.add('COUNT', 'facts.accountCount', facts.accountCount, CLAIM_UNITS.COUNT);
+  }
+  return indexed.meta;
+}
+
 function periodFromEvidence(evidence) {
   return copyPeriod((evidence && evidence.period)
     || (evidence && evidence.facts && evidence.facts.period)
@@ -124,7 +150,7 @@ function unavailableLedger({ capability, responseMode, evidence, accountContext,
   const status = statusFromEvidence(evidence);
   const scope = emptyScope();
   scope.accountScope = (evidence && evidence.accountScope) || 'selected_account';
-  scope.accountLabel = accountLabelFrom(accountContext);
+  scope.accountLabel = accountLabelFrom(accountContext, evidence);
   scope.period = periodFromEvidence(evidence);
   const ledger = baseLedger({
     status,
@@ -192,6 +218,8 @@ function buildUpcomingEvidenceLedger(input) {
   }
   if (metricScope != null) claims.add('LABEL', 'facts.metricScope', metricScope, CLAIM_UNITS.NONE);
   claims.add('COUNT', 'facts.itemCount', itemCount, CLAIM_UNITS.COUNT);
+  const aggregateFacts = copyDefined(factsIn, ['accountBreakdown', 'accountCount']);
+  const breakdown = indexAccountBreakdown(aggregateFacts, claims);
   if (totals.scheduledExpenseTotal !== undefined) {
     claims.add('TOTAL', 'facts.totals.scheduledExpenseTotal', totals.scheduledExpenseTotal, CLAIM_UNITS.USD);
   }
@@ -218,11 +246,12 @@ function buildUpcomingEvidenceLedger(input) {
     totals: cloneJson(totals),
     itemCount,
     accountScope: factsIn.accountScope || evidence.accountScope || 'selected_account',
+    ...aggregateFacts,
   };
 
   const scope = emptyScope();
   scope.accountScope = facts.accountScope;
-  scope.accountLabel = accountLabelFrom(accountContext);
+  scope.accountLabel = accountLabelFrom(accountContext, evidence);
   scope.period = period;
   scope.metricScope = metricScope;
 
@@ -238,7 +267,7 @@ function buildUpcomingEvidenceLedger(input) {
     scope,
     facts,
     claims: claims.claims,
-    lists: { items: indexed.meta },
+    lists: { items: indexed.meta, ...(breakdown ? { accountBreakdown: breakdown } : {}) },
     limitations,
     assumptions: copyAssumptions(evidence),
     allowedNarration,
@@ -278,6 +307,9 @@ function copyLargestStream(provided, observation, indexedItems) {
 }
 
 function buildRecurringEvidenceLedger(input) {
+  if (firstSourceKind(input.evidence) === SOURCE_KIND.CASHFLOW_SUBSCRIPTION_AUDIT) {
+    return buildSubscriptionAuditEvidenceLedger(input);
+  }
   const { evidence, accountContext } = input;
   const factsIn = (evidence && evidence.facts) || {};
   const limitations = copyLimitations(evidence);
@@ -383,7 +415,7 @@ function buildRecurringEvidenceLedger(input) {
 
   const scope = emptyScope();
   scope.accountScope = facts.accountScope;
-  scope.accountLabel = accountLabelFrom(accountContext);
+  scope.accountLabel = accountLabelFrom(accountContext, evidence);
   scope.metricScope = metricScope;
 
   return finish(baseLedger({
@@ -411,6 +443,131 @@ function buildRecurringEvidenceLedger(input) {
   }));
 }
 
+const AUDIT_LISTS = Object.freeze(['priceIncreases', 'staleForecasts', 'cancellationCandidates']);
+const AUDIT_ROW_AMOUNT_KEYS = Object.freeze([
+  'amount', 'previousAmount', 'currentAmount', 'increase', 'scheduledAmount',
+  'lastPostedAmount', 'monthlyEquivalent', 'annualizedCost',
+]);
+const AUDIT_ROW_DATE_KEYS = Object.freeze(['changeDate', 'previousDate', 'nextDate', 'lastPostedDate']);
+
+function buildSubscriptionAuditEvidenceLedger(input) {
+  const { evidence, accountContext } = input;
+  const factsIn = (evidence && evidence.facts) || {};
+  const limitations = copyLimitations(evidence);
+  const capped = hasLimitation(limitations, 'list_capped');
+  const indexed = {};
+  AUDIT_LISTS.forEach((name) => {
+    const rows = Array.isArray(factsIn[name]) ? cloneJson(factsIn[name]) : [];
+    const totalCount = name === 'cancellationCandidates' && factsIn.candidateCount != null
+      ? factsIn.candidateCount
+      : rows.length;
+    indexed[name] = indexList(rows, {
+      truncated: capped && totalCount > rows.length,
+      totalCount,
+      cap: capped && totalCount > rows.length ? rows.length : null,
+    });
+  });
+  const empty = AUDIT_LISTS.every((name) => indexed[name].items.length === 0);
+  const totals = factsIn.totals && typeof factsIn.totals === 'object' ? cloneJson(factsIn.totals) : {};
+  const historyPeriod = factsIn.historyPeriod ? copyPeriod(factsIn.historyPeriod) : null;
+
+  const claims = new ClaimIndex();
+  if (historyPeriod && historyPeriod.start && historyPeriod.end) {
+    claims.add('DATE_RANGE', 'facts.historyPeriod', { start: historyPeriod.start, end: historyPeriod.end }, CLAIM_UNITS.DATE);
+  }
+  if (factsIn.auditedStreamCount != null) {
+    claims.add('COUNT', 'facts.auditedStreamCount', factsIn.auditedStreamCount, CLAIM_UNITS.COUNT);
+  }
+  if (factsIn.candidateCount != null) {
+    claims.add('COUNT', 'facts.candidateCount', factsIn.candidateCount, CLAIM_UNITS.COUNT);
+  }
+  Object.keys(totals).forEach((key) => {
+    if (typeof totals[key] === 'number') claims.add('TOTAL', `facts.totals.${key}`, totals[key], CLAIM_UNITS.USD);
+  });
+  AUDIT_LISTS.forEach((name) => {
+    indexed[name].items.forEach((row, i) => {
+      if (row.label) claims.add('LABEL', `facts.${name}[${i}].label`, row.label, CLAIM_UNITS.NONE);
+      AUDIT_ROW_AMOUNT_KEYS.forEach((key) => {
+        if (row[key] != null) claims.add('AMOUNT', `facts.${name}[${i}].${key}`, row[key], CLAIM_UNITS.USD);
+      });
+      AUDIT_ROW_DATE_KEYS.forEach((key) => {
+        if (row[key]) claims.add('DATE', `facts.${name}[${i}].${key}`, row[key], CLAIM_UNITS.DATE);
+      });
+      if (row.percentIncrease != null) {
+        claims.add('PERCENT', `facts.${name}[${i}].percentIncrease`, row.percentIncrease, CLAIM_UNITS.PERCENT);
+      }
+      if (row.daysSinceLastCharge != null) {
+        claims.add('COUNT', `facts.${name}[${i}].daysSinceLastCharge`, row.daysSinceLastCharge, CLAIM_UNITS.COUNT);
+      }
+    });
+  });
+
+  const facts = {
+    signConvention: SIGN_CONVENTION.MAGNITUDE,
+    accountScope: factsIn.accountScope || evidence.accountScope || 'selected_account',
+    recurringMode: 'audit',
+    metricScope: factsIn.metricScope || 'expense',
+    historyPeriod,
+    auditedStreamCount: factsIn.auditedStreamCount != null ? factsIn.auditedStreamCount : null,
+    priceIncreases: indexed.priceIncreases.items,
+    staleForecasts: indexed.staleForecasts.items,
+    cancellationCandidates: indexed.cancellationCandidates.items,
+    candidateCount: indexed.cancellationCandidates.meta.totalCount,
+    totals,
+    monthlyEquivalentIsNormalized: factsIn.monthlyEquivalentIsNormalized === true,
+  };
+  if (factsIn.namedFilter !== undefined) facts.namedFilter = factsIn.namedFilter;
+
+  const allowedNarration = [];
+  if (indexed.staleForecasts.items.length) {
+    allowedNarration.push(narration(
+      'offer_stale_forecast_removal',
+      'Offer to remove a stale scheduled series from the Keacast forecast; the removal needs the user to confirm.'
+    ));
+  }
+  if (indexed.cancellationCandidates.items.length) {
+    allowedNarration.push(narration(
+      'suggest_review',
+      'Suggest reviewing the listed subscriptions; whether to cancel is the user\'s call.'
+    ));
+  }
+
+  const scope = emptyScope();
+  scope.accountScope = facts.accountScope;
+  scope.accountLabel = accountLabelFrom(accountContext, evidence);
+  scope.metricScope = facts.metricScope;
+  scope.period = historyPeriod;
+  if (factsIn.namedFilter) scope.merchant = factsIn.namedFilter;
+
+  return finish(baseLedger({
+    status: statusFromEvidence(evidence, { empty }),
+    capability: 'cashflow_recurring',
+    responseMode: 'audit',
+    source: {
+      kind: SOURCE_KIND.CASHFLOW_SUBSCRIPTION_AUDIT,
+      definition: SOURCE_KIND.CASHFLOW_SUBSCRIPTION_AUDIT,
+      description: sourceDescriptionFor(SOURCE_KIND.CASHFLOW_SUBSCRIPTION_AUDIT),
+    },
+    scope,
+    facts,
+    claims: claims.claims,
+    lists: {
+      priceIncreases: indexed.priceIncreases.meta,
+      staleForecasts: indexed.staleForecasts.meta,
+      cancellationCandidates: indexed.cancellationCandidates.meta,
+    },
+    limitations,
+    assumptions: copyAssumptions(evidence),
+    allowedNarration,
+    prohibitedNarration: [
+      narration('do_not_imply_plaid_recurring', 'Do not imply bank-detected, Plaid, or subscription detection unless the source says so.'),
+      narration('do_not_claim_cancelled', 'Do not say a subscription was cancelled or that Keacast can cancel it.'),
+      narration('do_not_recalculate', 'Do not recalculate increases, percents, annualized costs, or totals.'),
+    ],
+    internal: internalFrom(evidence, accountContext, 'subscription_audit'),
+  }));
+}
+
 function buildIncomeHorizonEvidenceLedger(input) {
   const { evidence, accountContext } = input;
   const factsIn = (evidence && evidence.facts) || {};
@@ -498,7 +655,7 @@ function buildIncomeHorizonEvidenceLedger(input) {
 
   const scope = emptyScope();
   scope.accountScope = facts.accountScope;
-  scope.accountLabel = accountLabelFrom(accountContext);
+  scope.accountLabel = accountLabelFrom(accountContext, evidence);
   scope.period = window;
 
   const allowedNarration = [];
@@ -601,7 +758,7 @@ function buildComparisonEvidenceLedger(input) {
 
   const scope = emptyScope();
   scope.accountScope = facts.accountScope;
-  scope.accountLabel = accountLabelFrom(accountContext);
+  scope.accountLabel = accountLabelFrom(accountContext, evidence);
   scope.windowKind = facts.windowKind;
   scope.category = categoryFilter;
   scope.period = periodB ? copyPeriod(periodB) : copyPeriod(periodA);
@@ -693,7 +850,7 @@ function buildTrendEvidenceLedger(input) {
 
   const scope = emptyScope();
   scope.accountScope = facts.accountScope;
-  scope.accountLabel = accountLabelFrom(accountContext);
+  scope.accountLabel = accountLabelFrom(accountContext, evidence);
   scope.metricScope = metricScope;
   scope.windowKind = facts.windowKind;
   scope.category = categoryFilter;
@@ -727,6 +884,303 @@ function buildTrendEvidenceLedger(input) {
   }));
 }
 
+const BUDGET_ROW_AMOUNT_KEYS = Object.freeze([
+  'monthlyLimit', 'spentToDate', 'remainingScheduled', 'projectedTotal', 'remainingBudget', 'projectedRemaining',
+]);
+
+function buildBudgetEvidenceLedger(input) {
+  const { evidence, accountContext } = input;
+  const factsIn = (evidence && evidence.facts) || {};
+  const budgetsIn = Array.isArray(factsIn.budgets) ? cloneJson(factsIn.budgets) : [];
+  const empty = budgetsIn.length === 0;
+  const indexed = indexList(budgetsIn, { totalCount: budgetsIn.length });
+  const categoryFilter = factsIn.categoryFilter || null;
+  const period = periodFromEvidence(evidence);
+
+  const claims = new ClaimIndex();
+  if (period && period.start && period.end) {
+    claims.add('DATE_RANGE', 'scope.period', { start: period.start, end: period.end }, CLAIM_UNITS.DATE);
+  }
+  claims.add('COUNT', 'facts.budgetCount', budgetsIn.length, CLAIM_UNITS.COUNT);
+  indexed.items.forEach((row, i) => {
+    if (row.category) claims.add('LABEL', `facts.budgets[${i}].category`, row.category, CLAIM_UNITS.NONE);
+    if (row.status) claims.add('LABEL', `facts.budgets[${i}].status`, row.status, CLAIM_UNITS.NONE);
+    BUDGET_ROW_AMOUNT_KEYS.forEach((key) => {
+      if (row[key] != null) claims.add('AMOUNT', `facts.budgets[${i}].${key}`, row[key], CLAIM_UNITS.USD);
+    });
+    if (row.percentUsed != null) {
+      claims.add('PERCENT', `facts.budgets[${i}].percentUsed`, row.percentUsed, CLAIM_UNITS.PERCENT);
+    }
+  });
+  const totals = factsIn.totals ? cloneJson(factsIn.totals) : undefined;
+  if (totals) {
+    Object.keys(totals).forEach((key) => {
+      if (totals[key] != null) claims.add('TOTAL', `facts.totals.${key}`, totals[key], CLAIM_UNITS.USD);
+    });
+  }
+
+  const facts = {
+    signConvention: SIGN_CONVENTION.MAGNITUDE,
+    accountScope: factsIn.accountScope || evidence.accountScope || 'selected_account',
+    asOfDate: factsIn.asOfDate || null,
+    categoryFilter,
+    budgets: indexed.items,
+    budgetCount: budgetsIn.length,
+  };
+  if (totals) facts.totals = totals;
+
+  const scope = emptyScope();
+  scope.accountScope = facts.accountScope;
+  scope.accountLabel = accountLabelFrom(accountContext, evidence);
+  scope.category = categoryFilter;
+  scope.period = period;
+
+  return finish(baseLedger({
+    status: statusFromEvidence(evidence, { empty }),
+    capability: 'cashflow_budget',
+    responseMode: responseModeFrom(input),
+    source: {
+      kind: SOURCE_KIND.CASHFLOW_BUDGET,
+      definition: SOURCE_KIND.CASHFLOW_BUDGET,
+      description: sourceDescriptionFor(SOURCE_KIND.CASHFLOW_BUDGET),
+    },
+    scope,
+    facts,
+    claims: claims.claims,
+    lists: { budgets: indexed.meta },
+    limitations: copyLimitations(evidence),
+    assumptions: copyAssumptions(evidence),
+    allowedNarration: empty
+      ? [narration('offer_to_set_budget', 'No budget is saved for this account; offer to set one.')]
+      : [],
+    prohibitedNarration: [
+      narration('do_not_recalculate', 'Do not recalculate spent, remaining, projected, or percent used.'),
+      narration('do_not_forecast_unscheduled', 'Only scheduled items count toward the projection; do not estimate other spending.'),
+    ],
+    internal: internalFrom(evidence, accountContext, 'budget'),
+  }));
+}
+
+const ANOMALY_ROW_AMOUNT_KEYS = Object.freeze(['amount', 'medianAmount', 'previousAmount', 'increase']);
+const ANOMALY_ROW_DATE_KEYS = Object.freeze(['date', 'duplicateOfDate', 'previousDate']);
+const ANOMALY_ROW_PERCENT_KEYS = Object.freeze(['percentAboveMedian', 'percentIncrease']);
+
+function buildAnomalyEvidenceLedger(input) {
+  const { evidence, accountContext } = input;
+  const factsIn = (evidence && evidence.facts) || {};
+  const anomaliesIn = Array.isArray(factsIn.anomalies) ? cloneJson(factsIn.anomalies) : [];
+  const limitations = copyLimitations(evidence);
+  const anomalyCount = factsIn.anomalyCount != null ? factsIn.anomalyCount : anomaliesIn.length;
+  const empty = anomaliesIn.length === 0;
+  const capped = hasLimitation(limitations, 'list_capped');
+  const indexed = indexList(anomaliesIn, {
+    truncated: capped,
+    totalCount: anomalyCount,
+    cap: capped ? anomaliesIn.length : null,
+  });
+  const period = periodFromEvidence(evidence);
+
+  const claims = new ClaimIndex();
+  if (period && period.start && period.end) {
+    claims.add('DATE_RANGE', 'scope.period', { start: period.start, end: period.end }, CLAIM_UNITS.DATE);
+  }
+  claims.add('COUNT', 'facts.anomalyCount', anomalyCount, CLAIM_UNITS.COUNT);
+  if (factsIn.postedSpending != null) {
+    claims.add('TOTAL', 'facts.postedSpending', factsIn.postedSpending, CLAIM_UNITS.USD);
+  }
+  if (factsIn.anomalyAmountTotal != null) {
+    claims.add('TOTAL', 'facts.anomalyAmountTotal', factsIn.anomalyAmountTotal, CLAIM_UNITS.USD);
+  }
+  indexed.items.forEach((row, i) => {
+    if (row.kind) claims.add('LABEL', `facts.anomalies[${i}].kind`, row.kind, CLAIM_UNITS.NONE);
+    if (row.merchant) claims.add('LABEL', `facts.anomalies[${i}].merchant`, row.merchant, CLAIM_UNITS.NONE);
+    ANOMALY_ROW_AMOUNT_KEYS.forEach((key) => {
+      if (row[key] != null) claims.add('AMOUNT', `facts.anomalies[${i}].${key}`, row[key], CLAIM_UNITS.USD);
+    });
+    ANOMALY_ROW_DATE_KEYS.forEach((key) => {
+      if (row[key]) claims.add('DATE', `facts.anomalies[${i}].${key}`, row[key], CLAIM_UNITS.DATE);
+    });
+    ANOMALY_ROW_PERCENT_KEYS.forEach((key) => {
+      if (row[key] != null) claims.add('PERCENT', `facts.anomalies[${i}].${key}`, row[key], CLAIM_UNITS.PERCENT);
+    });
+    if (row.priorCount != null) claims.add('COUNT', `facts.anomalies[${i}].priorCount`, row.priorCount, CLAIM_UNITS.COUNT);
+  });
+
+  const facts = {
+    signConvention: SIGN_CONVENTION.MAGNITUDE,
+    accountScope: factsIn.accountScope || evidence.accountScope || 'selected_account',
+    baselinePeriod: factsIn.baselinePeriod ? copyPeriod(factsIn.baselinePeriod) : null,
+    anomalies: indexed.items,
+    anomalyCount,
+    countsByKind: factsIn.countsByKind ? cloneJson(factsIn.countsByKind) : {},
+    anomalyAmountTotal: factsIn.anomalyAmountTotal != null ? factsIn.anomalyAmountTotal : null,
+    postedSpending: factsIn.postedSpending != null ? factsIn.postedSpending : null,
+  };
+
+  const scope = emptyScope();
+  scope.accountScope = facts.accountScope;
+  scope.accountLabel = accountLabelFrom(accountContext, evidence);
+  scope.period = period;
+  if (factsIn.subjectKind === 'merchant') scope.merchant = factsIn.subjectValue || null;
+  if (factsIn.subjectKind === 'category') scope.category = factsIn.subjectValue || null;
+
+  return finish(baseLedger({
+    status: statusFromEvidence(evidence, { empty }),
+    capability: 'cashflow_anomaly',
+    responseMode: responseModeFrom(input),
+    source: {
+      kind: SOURCE_KIND.CASHFLOW_ANOMALY,
+      definition: SOURCE_KIND.CASHFLOW_ANOMALY,
+      description: sourceDescriptionFor(SOURCE_KIND.CASHFLOW_ANOMALY),
+    },
+    scope,
+    facts,
+    claims: claims.claims,
+    lists: { anomalies: indexed.meta },
+    limitations,
+    assumptions: copyAssumptions(evidence),
+    allowedNarration: empty
+      ? [narration('no_anomalies_found', 'Nothing in this period matched the unusual-charge checks.')]
+      : [narration('suggest_review', 'Suggest reviewing a flagged charge, or contacting the merchant or bank if it is not recognized.')],
+    prohibitedNarration: [
+      narration('do_not_call_fraud', 'Do not call a flagged charge fraud, unauthorized, a scam, or an error.'),
+      narration('do_not_recalculate', 'Do not recalculate medians, increases, percents, or totals.'),
+    ],
+    internal: internalFrom(evidence, accountContext, 'anomaly'),
+  }));
+}
+
+const DEBT_PLAN_KEYS = Object.freeze(['avalanche', 'snowball', 'minimumOnly']);
+const FORECAST_CHECK_AMOUNT_KEYS = Object.freeze([
+  'startingBalance', 'extraPayment', 'lowestBalance', 'lowestBalanceWithPayment',
+]);
+const FORECAST_CHECK_DATE_KEYS = Object.freeze([
+  'lowestBalanceDate', 'lowestBalanceWithPaymentDate', 'firstNegativeDate',
+]);
+
+function addPlanClaims(claims, path, plan) {
+  if (!plan || !plan.paidOff) return;
+  claims.add('COUNT', `${path}.months`, plan.months, CLAIM_UNITS.COUNT);
+  claims.add('DATE', `${path}.payoffDate`, plan.payoffDate, CLAIM_UNITS.DATE);
+  claims.add('TOTAL', `${path}.totalInterest`, plan.totalInterest, CLAIM_UNITS.USD);
+  claims.add('TOTAL', `${path}.totalPaid`, plan.totalPaid, CLAIM_UNITS.USD);
+  claims.add('AMOUNT', `${path}.monthlyPayment`, plan.monthlyPayment, CLAIM_UNITS.USD);
+  (plan.payoffOrder || []).forEach((row, i) => {
+    claims.add('DATE', `${path}.payoffOrder[${i}].payoffDate`, row.payoffDate, CLAIM_UNITS.DATE);
+  });
+}
+
+function buildDebtPayoffEvidenceLedger(input) {
+  const { evidence, accountContext } = input;
+  const factsIn = (evidence && evidence.facts) || {};
+  const limitations = copyLimitations(evidence);
+  const debts = indexList(Array.isArray(factsIn.debts) ? cloneJson(factsIn.debts) : [], {});
+  const needsTerms = indexList(Array.isArray(factsIn.needsTerms) ? cloneJson(factsIn.needsTerms) : [], {});
+  const plansIn = factsIn.plans && typeof factsIn.plans === 'object' ? cloneJson(factsIn.plans) : null;
+  const minimumOnly = factsIn.minimumOnly ? cloneJson(factsIn.minimumOnly) : null;
+  const forecastCheck = factsIn.forecastCheck ? cloneJson(factsIn.forecastCheck) : null;
+  const empty = debts.items.length === 0 && needsTerms.items.length === 0;
+
+  const claims = new ClaimIndex();
+  claims.add('COUNT', 'facts.debtCount', debts.items.length, CLAIM_UNITS.COUNT);
+  ['totalBalance', 'totalMinimumPayment', 'extraPayment', 'monthlyPayment', 'interestSavedVsMinimum', 'strategyInterestDifference']
+    .forEach((key) => {
+      if (typeof factsIn[key] === 'number') claims.add('TOTAL', `facts.${key}`, factsIn[key], CLAIM_UNITS.USD);
+    });
+  ['monthsSavedVsMinimum', 'strategyMonthsDifference'].forEach((key) => {
+    if (typeof factsIn[key] === 'number') claims.add('COUNT', `facts.${key}`, factsIn[key], CLAIM_UNITS.COUNT);
+  });
+  if (factsIn.firstPaymentDate) claims.add('DATE', 'facts.firstPaymentDate', factsIn.firstPaymentDate, CLAIM_UNITS.DATE);
+  debts.items.forEach((row, i) => {
+    if (row.label) claims.add('LABEL', `facts.debts[${i}].label`, row.label, CLAIM_UNITS.NONE);
+    if (row.balance != null) claims.add('AMOUNT', `facts.debts[${i}].balance`, row.balance, CLAIM_UNITS.USD);
+    if (row.apr != null) claims.add('PERCENT', `facts.debts[${i}].apr`, row.apr, CLAIM_UNITS.PERCENT);
+    if (row.minPayment != null) claims.add('AMOUNT', `facts.debts[${i}].minPayment`, row.minPayment, CLAIM_UNITS.USD);
+  });
+  needsTerms.items.forEach((row, i) => {
+    if (row.label) claims.add('LABEL', `facts.needsTerms[${i}].label`, row.label, CLAIM_UNITS.NONE);
+    if (row.balance != null) claims.add('AMOUNT', `facts.needsTerms[${i}].balance`, row.balance, CLAIM_UNITS.USD);
+  });
+  DEBT_PLAN_KEYS.forEach((key) => {
+    const plan = key === 'minimumOnly' ? minimumOnly : plansIn && plansIn[key];
+    addPlanClaims(claims, key === 'minimumOnly' ? 'facts.minimumOnly' : `facts.plans.${key}`, plan);
+  });
+  if (forecastCheck) {
+    if (forecastCheck.period) {
+      claims.add('DATE_RANGE', 'facts.forecastCheck.period', copyPeriod(forecastCheck.period), CLAIM_UNITS.DATE);
+    }
+    FORECAST_CHECK_AMOUNT_KEYS.forEach((key) => {
+      if (forecastCheck[key] != null) claims.add('AMOUNT', `facts.forecastCheck.${key}`, forecastCheck[key], CLAIM_UNITS.USD);
+    });
+    FORECAST_CHECK_DATE_KEYS.forEach((key) => {
+      if (forecastCheck[key]) claims.add('DATE', `facts.forecastCheck.${key}`, forecastCheck[key], CLAIM_UNITS.DATE);
+    });
+  }
+
+  const facts = {
+    signConvention: SIGN_CONVENTION.MAGNITUDE,
+    accountScope: factsIn.accountScope || evidence.accountScope || 'selected_account',
+    debts: debts.items,
+    debtCount: debts.items.length,
+    needsTerms: needsTerms.items,
+    totalBalance: factsIn.totalBalance != null ? factsIn.totalBalance : null,
+    totalMinimumPayment: factsIn.totalMinimumPayment != null ? factsIn.totalMinimumPayment : null,
+    extraPayment: factsIn.extraPayment != null ? factsIn.extraPayment : 0,
+    monthlyPayment: factsIn.monthlyPayment != null ? factsIn.monthlyPayment : null,
+    requestedStrategy: factsIn.requestedStrategy || null,
+    firstPaymentDate: factsIn.firstPaymentDate || null,
+    plans: plansIn,
+    minimumOnly,
+    recommendedStrategy: factsIn.recommendedStrategy || null,
+    interestSavedVsMinimum: factsIn.interestSavedVsMinimum != null ? factsIn.interestSavedVsMinimum : null,
+    monthsSavedVsMinimum: factsIn.monthsSavedVsMinimum != null ? factsIn.monthsSavedVsMinimum : null,
+    strategyInterestDifference: factsIn.strategyInterestDifference != null ? factsIn.strategyInterestDifference : null,
+    strategyMonthsDifference: factsIn.strategyMonthsDifference != null ? factsIn.strategyMonthsDifference : null,
+    minimumBelowInterest: Array.isArray(factsIn.minimumBelowInterest) ? factsIn.minimumBelowInterest.slice() : [],
+    forecastCheck,
+  };
+
+  const allowedNarration = [];
+  if (needsTerms.items.length) {
+    allowedNarration.push(narration('ask_for_debt_terms', 'Ask for the missing balance, APR, or minimum payment of the debts in needsTerms.'));
+  }
+  if (facts.recommendedStrategy && facts.extraPayment > 0) {
+    allowedNarration.push(narration(
+      'offer_payment_series',
+      'Offer to add the extra payment as a monthly recurring payment in the forecast or as a simulation; a real payment needs the user to confirm.'
+    ));
+  }
+
+  const scope = emptyScope();
+  scope.accountScope = facts.accountScope;
+  scope.accountLabel = accountLabelFrom(accountContext, evidence);
+  scope.period = forecastCheck && forecastCheck.period ? copyPeriod(forecastCheck.period) : null;
+
+  return finish(baseLedger({
+    status: statusFromEvidence(evidence, { empty }),
+    capability: 'debt_payoff',
+    responseMode: responseModeFrom(input),
+    source: {
+      kind: SOURCE_KIND.DEBT_PAYOFF_PLAN,
+      definition: SOURCE_KIND.DEBT_PAYOFF_PLAN,
+      description: sourceDescriptionFor(SOURCE_KIND.DEBT_PAYOFF_PLAN),
+    },
+    scope,
+    facts,
+    claims: claims.claims,
+    lists: { debts: debts.meta, needsTerms: needsTerms.meta },
+    limitations,
+    assumptions: copyAssumptions(evidence),
+    allowedNarration,
+    prohibitedNarration: [
+      narration('do_not_invent_terms', 'Do not invent an APR, minimum payment, or balance for any debt.'),
+      narration('do_not_recalculate', 'Do not recalculate interest, payoff dates, months, or projected balances.'),
+      narration('do_not_claim_payment_sent', 'Do not say a payment was made or sent to a lender.'),
+    ],
+    internal: internalFrom(evidence, accountContext, 'debt_payoff'),
+  }));
+}
+
 function stripHistoricalCashflowFacts(facts, evidence) {
   const period = (evidence && evidence.period) || (facts && facts.period) || null;
   const clientDate = completedHistoricalClientDate(evidence);
@@ -739,6 +1193,13 @@ function stripHistoricalCashflowFacts(facts, evidence) {
   delete next.remainingForecastSpending;
   delete next.savingsPotential;
   delete next.negativeBalanceRisk;
+  if (Array.isArray(next.accountBreakdown)) {
+    next.accountBreakdown = next.accountBreakdown.map((row) => {
+      const copy = { ...row };
+      AGGREGATE_ONLY_FORECAST_ROW_KEYS.forEach((key) => { delete copy[key]; });
+      return copy;
+    });
+  }
   return next;
 }
 
@@ -762,6 +1223,7 @@ function buildCashflowEvidenceLedger(input) {
       'remainingForecastIncome', 'remainingForecastSpending', 'savingsPotential',
       'availableBalance', 'currentBalance', 'reconciledBalance',
       'largestCategories', 'largestMerchants', 'negativeBalanceRisk',
+      'accountBreakdown', 'accountCount',
     ]),
     evidence
   ));
@@ -778,6 +1240,7 @@ function buildCashflowEvidenceLedger(input) {
 
   const risk = factsIn.negativeBalanceRisk;
   const claims = new ClaimIndex();
+  const breakdown = indexAccountBreakdown(factsIn, claims);
   if (factsIn.postedIncome !== undefined) claims.add('TOTAL', 'facts.postedIncome', factsIn.postedIncome, CLAIM_UNITS.USD);
   if (factsIn.postedSpending !== undefined) claims.add('TOTAL', 'facts.postedSpending', factsIn.postedSpending, CLAIM_UNITS.USD);
   if (factsIn.postedNet !== undefined) claims.add('TOTAL', 'facts.postedNet', factsIn.postedNet, CLAIM_UNITS.USD);
@@ -812,7 +1275,7 @@ function buildCashflowEvidenceLedger(input) {
   const period = periodFromEvidence(evidence);
   const scope = emptyScope();
   scope.accountScope = factsIn.accountScope;
-  scope.accountLabel = accountLabelFrom(accountContext);
+  scope.accountLabel = accountLabelFrom(accountContext, evidence);
   scope.period = period;
 
   return finish(baseLedger({
@@ -830,6 +1293,7 @@ function buildCashflowEvidenceLedger(input) {
     lists: {
       largestCategories: cats.meta,
       largestMerchants: merchants.meta,
+      ...(breakdown ? { accountBreakdown: breakdown } : {}),
     },
     limitations: copyLimitations(evidence),
     assumptions: copyAssumptions(evidence),
@@ -885,7 +1349,7 @@ function buildAffordabilityEvidenceLedger(input) {
 
   const scope = emptyScope();
   scope.accountScope = factsIn.accountScope;
-  scope.accountLabel = accountLabelFrom(accountContext);
+  scope.accountLabel = accountLabelFrom(accountContext, evidence);
   scope.scenario = SCENARIO.AFFORDABILITY_HYPOTHETICAL;
   if (requested.purchaseDate) {
     scope.period = { start: requested.purchaseDate, end: requested.purchaseDate };
@@ -920,6 +1384,7 @@ function buildLookupEvidenceLedger(input) {
   const { evidence, accountContext, route } = input;
   const factsIn = copyDefined((evidence && evidence.facts) || {}, [
     'transactionCount', 'spentTotal', 'expenseTotal', 'incomeTotal', 'matchedCompactItem',
+    'accountBreakdown', 'accountCount',
   ]);
   factsIn.signConvention = SIGN_CONVENTION.MAGNITUDE;
   const lookupsIn = Array.isArray(evidence && evidence.lookups) ? cloneJson(evidence.lookups) : [];
@@ -929,6 +1394,7 @@ function buildLookupEvidenceLedger(input) {
     || (lookupsIn.length > 0 && lookupsIn.every((row) => row && row.transactionCount === 0));
   const slots = route && route.slots ? route.slots : {};
   const claims = new ClaimIndex();
+  const breakdown = indexAccountBreakdown(factsIn, claims);
   if (factsIn.transactionCount !== undefined) {
     claims.add('COUNT', 'facts.transactionCount', factsIn.transactionCount, CLAIM_UNITS.COUNT);
   }
@@ -944,8 +1410,8 @@ function buildLookupEvidenceLedger(input) {
 
   const period = periodFromEvidence(evidence);
   const scope = emptyScope();
-  scope.accountScope = 'selected_account';
-  scope.accountLabel = accountLabelFrom(accountContext);
+  scope.accountScope = (evidence && evidence.accountScope) || 'selected_account';
+  scope.accountLabel = accountLabelFrom(accountContext, evidence);
   scope.period = period;
   scope.category = slots.subjectKind === 'category' ? (slots.subjectValue || null) : null;
   scope.merchant = slots.subjectKind === 'merchant' ? (slots.subjectValue || null) : null;
@@ -962,7 +1428,7 @@ function buildLookupEvidenceLedger(input) {
     scope,
     facts: factsIn,
     claims: claims.claims,
-    lists: { lookups: lookups.meta },
+    lists: { lookups: lookups.meta, ...(breakdown ? { accountBreakdown: breakdown } : {}) },
     limitations: copyLimitations(evidence),
     assumptions: copyAssumptions(evidence),
     allowedNarration: empty ? [narration('lookup_empty', 'No matching posted transactions exist for the selected period.')] : [],
@@ -982,7 +1448,7 @@ function buildSnapshotEvidenceLedger(input) {
     'negativePreviewCount', 'hasNegativePreview',
     'negativesInRequestedPeriodCount', 'hasNegativeInRequestedPeriod',
     'matchedCompactItem', 'goalCount', 'requestedAmount', 'requestedPeriod',
-    'recents', 'upcoming', 'futureNegativeBalances',
+    'recents', 'upcoming', 'futureNegativeBalances', 'goals',
   ]);
   factsIn.signConvention = SIGN_CONVENTION.SIGNED_LEDGER;
   const claims = new ClaimIndex();
@@ -1034,10 +1500,21 @@ function buildSnapshotEvidenceLedger(input) {
     factsIn.futureNegativeBalances = indexed.items;
     lists.futureNegativeBalances = indexed.meta;
   }
+  // Digest only (buildSnapshotEvidence kind 'digest'): compact goal progress.
+  if (Array.isArray(factsIn.goals)) {
+    const indexed = indexList(factsIn.goals, { totalCount: factsIn.goals.length });
+    factsIn.goals = indexed.items;
+    lists.goals = indexed.meta;
+    factsIn.goals.forEach((goal, i) => {
+      if (goal.target_amount != null) claims.add('AMOUNT', `facts.goals[${i}].target_amount`, goal.target_amount, CLAIM_UNITS.USD);
+      if (goal.accumulated_amount != null) claims.add('AMOUNT', `facts.goals[${i}].accumulated_amount`, goal.accumulated_amount, CLAIM_UNITS.USD);
+      if (goal.expectedByNow != null) claims.add('AMOUNT', `facts.goals[${i}].expectedByNow`, goal.expectedByNow, CLAIM_UNITS.USD);
+    });
+  }
 
   const scope = emptyScope();
   scope.accountScope = 'selected_account';
-  scope.accountLabel = accountLabelFrom(accountContext);
+  scope.accountLabel = accountLabelFrom(accountContext, evidence);
   scope.period = periodFromEvidence(evidence);
 
   return finish(baseLedger({
@@ -1116,9 +1593,13 @@ module.exports = {
   buildEvidenceLedger,
   buildUpcomingEvidenceLedger,
   buildRecurringEvidenceLedger,
+  buildSubscriptionAuditEvidenceLedger,
   buildIncomeHorizonEvidenceLedger,
   buildComparisonEvidenceLedger,
   buildTrendEvidenceLedger,
+  buildBudgetEvidenceLedger,
+  buildAnomalyEvidenceLedger,
+  buildDebtPayoffEvidenceLedger,
   buildCashflowEvidenceLedger,
   buildAffordabilityEvidenceLedger,
   buildLookupEvidenceLedger,
@@ -28,6 +28,9 @@ const APPROVED_MACRO_CAPABILITIES = Object.freeze([
   'cashflow_income_horizon',
   'cashflow_comparison',
   'cashflow_trend',
+  'cashflow_budget',
+  'cashflow_anomaly',
+  'debt_payoff',
   'cashflow_analysis',
   'affordability_or_planning',
 ]);
@@ -108,9 +111,13 @@ function resolveCutoverCapability({ capability, route, evidence } = {}) {
   const source = evidence && Array.isArray(evidence.source) ? evidence.source[0] : null;
   if (source === 'cashflow_upcoming') return 'cashflow_upcoming';
   if (source === 'cashflow_recurring') return 'cashflow_recurring';
+  if (source === 'cashflow_subscription_audit') return 'cashflow_recurring';
   if (source === 'cashflow_income_horizon') return 'cashflow_income_horizon';
   if (source === 'cashflow_period_comparison') return 'cashflow_comparison';
   if (source === 'cashflow_trend') return 'cashflow_trend';
+  if (source === 'cashflow_budget') return 'cashflow_budget';
+  if (source === 'cashflow_anomaly') return 'cashflow_anomaly';
+  if (source === 'debt_payoff_plan') return 'debt_payoff';
   if (source === 'cashflow_analysis') return 'cashflow_analysis';
   if (source === 'affordability_analysis') return 'affordability_or_planning';
   return capability || null;
@@ -57,6 +57,8 @@ const LIMITATION_TEXT_BY_CODE = Object.freeze({
   upcoming_window_15d: 'The compact upcoming snapshot covers a 15-day window.',
   negatives_preview_5_of_90d: 'Negative-balance preview shows at most 5 dates from a 90-day window.',
   recents_capped_10: 'Recent posted transactions in the compact snapshot are capped at 10.',
+  snapshot_minutes_old: 'Account figures come from a cached snapshot and may be a few minutes old.',
+  snapshot_stale: 'Cashflow could not be reached; account figures come from an older cached snapshot and may be out of date.',
   posted_actuals_only: 'Totals use posted actual transactions only.',
   duplicates_excluded: 'Duplicate transactions are excluded.',
   includes_all_forecast_types_in_window: 'The lookup window includes forecast types present in that period.',
@@ -67,6 +69,25 @@ const LIMITATION_TEXT_BY_CODE = Object.freeze({
   variable_scheduled_income: 'Scheduled income amount may vary.',
   incomplete_period_pages: 'Period transaction pages are incomplete; do not treat totals as complete.',
   affordability_not_calculated: 'Affordability was not calculated; this is a compact snapshot only.',
+  aggregate_scope_unsupported: 'A combined view across accounts is not available for this question; figures cover the selected account only.',
+  aggregate_accounts_unavailable: 'The account list could not be loaded; figures cover the selected account only.',
+  aggregate_accounts_incomplete: 'At least one account could not be read; combined figures leave it out.',
+  aggregate_accounts_capped: 'Only the first accounts are combined; remaining accounts are not included.',
+  budget_scheduled_forecast_only: 'Projected budget totals add only spending already scheduled in the Keacast forecast for the rest of the month.',
+  no_budget_set: 'No budget is saved for this category or account.',
+  anomaly_heuristic: 'Flagged charges matched simple pattern checks against recent history; this is not a fraud determination.',
+  anomaly_baseline_partial: 'Earlier history could not be fully read, so first-time-merchant checks were skipped.',
+  subscription_audit_heuristic: 'Price changes and stale forecasts come from matching scheduled series to posted charges by name; a renamed merchant may not match.',
+  recurring_cancel_unsupported: 'Keacast cannot cancel a service with its provider; it can only change the scheduled forecast.',
+  subscription_history_partial: 'Posted history could not be fully read, so some price changes or stale forecasts may be missing.',
+  debt_terms_missing: 'Some debts are missing a balance, APR, or minimum payment and are left out of the plan until the user supplies them.',
+  payment_below_interest: 'At least one minimum payment does not cover that debt\'s monthly interest, so minimums alone never pay it off.',
+  account_debts_unavailable: 'Credit and loan account balances could not be read; only the debts the user listed are included.',
+  forecast_check_unavailable: 'The Keacast forecast could not be read, so the extra payment was not checked against projected balances.',
+  forecast_check_partial: 'Some scheduled forecast items were not listed, so the forecast check may miss items.',
+  forecast_check_not_cash_account: 'The selected account is a credit or loan account, so the extra payment was not checked against a cash forecast.',
+  combined_balance_unavailable: 'Balances are not added across accounts (a credit balance is money owed, a shared account is someone else\'s); each account\'s own balance is listed.',
+  combined_lowest_unavailable: 'Accounts reach their lowest projected balance on different dates, so no combined lowest balance is stated; each account\'s own low is listed.',
 });
 
 const OMITTED_LIMITATION_CODES = Object.freeze([
@@ -131,6 +152,20 @@ const OBSERVATION_CODES = Object.freeze([
   'new_negative_introduced',
   'negative_starts_earlier',
   'negative_worsened',
+  'budget_exceeded',
+  'budget_projected_over',
+  'budget_on_track',
+  'anomalies_found',
+  'no_anomalies',
+  'price_increases_found',
+  'no_price_increases',
+  'stale_forecasts_found',
+  'no_stale_forecasts',
+  'debt_terms_needed',
+  'no_debts_found',
+  'debt_never_paid_off',
+  'forecast_stays_positive',
+  'forecast_goes_negative',
   'no_new_negative',
 ]);
 
@@ -200,6 +235,7 @@ function assumptionTexts(rows) {
 function projectUpcomingFacts(facts, responseMode, lists) {
   const out = dropKeys(cloneJson(facts), DROP_FACT_KEYS);
   out.items = stripRows(out.items);
+  if (Array.isArray(out.accountBreakdown)) out.accountBreakdown = stripRows(out.accountBreakdown);
   const totalMode = responseMode === 'total';
   if (totalMode) delete out.items;
   const truncated = lists && lists.items && lists.items.truncated === true;
@@ -287,6 +323,14 @@ function projectGenericFacts(facts) {
   if (Array.isArray(out.futureNegativeBalances)) {
     out.futureNegativeBalances = stripRows(out.futureNegativeBalances);
   }
+  if (Array.isArray(out.accountBreakdown)) out.accountBreakdown = stripRows(out.accountBreakdown);
+  if (Array.isArray(out.budgets)) out.budgets = stripRows(out.budgets);
+  if (Array.isArray(out.anomalies)) out.anomalies = stripRows(out.anomalies);
+  if (Array.isArray(out.priceIncreases)) out.priceIncreases = stripRows(out.priceIncreases);
+  if (Array.isArray(out.staleForecasts)) out.staleForecasts = stripRows(out.staleForecasts);
+  if (Array.isArray(out.cancellationCandidates)) out.cancellationCandidates = stripRows(out.cancellationCandidates);
+  if (Array.isArray(out.debts)) out.debts = stripRows(out.debts);
+  if (Array.isArray(out.needsTerms)) out.needsTerms = stripRows(out.needsTerms);
   return out;
 }
 
@@ -296,7 +340,7 @@ function projectFacts(ledger, responseMode, gaps) {
   if (cap === 'cashflow_upcoming') {
     return projectUpcomingFacts(facts, responseMode, ledger.lists);
   }
-  if (cap === 'cashflow_recurring') {
+  if (cap === 'cashflow_recurring' && facts.recurringMode !== 'audit') {
     return { facts: projectRecurringFacts(facts, responseMode, gaps) };
   }
   if (cap === 'cashflow_income_horizon') {
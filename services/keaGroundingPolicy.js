@@ -22,6 +22,9 @@ const MATRIX = Object.freeze({
   cashflow_recurring: GROUNDING_REQUIRED,
   cashflow_upcoming: GROUNDING_REQUIRED,
   cashflow_income_horizon: GROUNDING_REQUIRED,
+  cashflow_budget: GROUNDING_REQUIRED,
+  cashflow_anomaly: GROUNDING_REQUIRED,
+  debt_payoff: GROUNDING_REQUIRED,
   affordability_or_planning: GROUNDING_REQUIRED,
   mixed_macro: GROUNDING_REQUIRED,
   invitation_continuation: GROUNDING_NONE,
@@ -124,6 +127,9 @@ function prefetchKindFor(capability, route) {
   if (capability === 'cashflow_recurring') return 'cashflow_recurring_macro';
   if (capability === 'cashflow_upcoming') return 'cashflow_upcoming_macro';
   if (capability === 'cashflow_income_horizon') return 'cashflow_income_horizon_macro';
+  if (capability === 'cashflow_budget') return 'cashflow_budget_macro';
+  if (capability === 'cashflow_anomaly') return 'cashflow_anomaly_macro';
+  if (capability === 'debt_payoff') return 'debt_payoff_macro';
   if (capability === 'affordability_or_planning') return 'affordability_macro';
   if (capability === 'mixed_macro') return 'none';
   if (capability === 'financial_forecast') return 'snapshot';
@@ -153,9 +159,13 @@ function groundingStrategyFor({ policy, evidence, failSoft }) {
   if (evidence.source.includes('cashflow_analysis')) return 'cashflow_macro';
   if (evidence.source.includes('cashflow_period_comparison')) return 'cashflow_comparison_macro';
   if (evidence.source.includes('cashflow_trend')) return 'cashflow_trend_macro';
-  if (evidence.source.includes('cashflow_recurring')) return 'cashflow_recurring_macro';
+  if (evidence.source.includes('cashflow_recurring')
+    || evidence.source.includes('cashflow_subscription_audit')) return 'cashflow_recurring_macro';
   if (evidence.source.includes('cashflow_upcoming')) return 'cashflow_upcoming_macro';
   if (evidence.source.includes('cashflow_income_horizon')) return 'cashflow_income_horizon_macro';
+  if (evidence.source.includes('cashflow_budget')) return 'cashflow_budget_macro';
+  if (evidence.source.includes('cashflow_anomaly')) return 'cashflow_anomaly_macro';
+  if (evidence.source.includes('debt_payoff_plan')) return 'debt_payoff_macro';
   if (evidence.source.includes('affordability_analysis')) return 'affordability_macro';
   if (evidence.source.includes('user_transactions')) return 'prefetch_read';
   if (evidence.source.includes('kea_snapshot')) return 'snapshot';
@@ -46,7 +46,7 @@ function evidenceFromMacroCatch(err, extra = {}) {
 }
 
 function snapshotDataAsOf(snapshot, currentDate) {
-  return snapshot?.dataAsOf || snapshot?.lastSyncAt || currentDate || null;
+  return snapshot?.dataAsOf || snapshot?.lastSyncAt || snapshot?._keaCachedAt || currentDate || null;
 }
 
 function txnName(t) {
@@ -132,12 +132,20 @@ function snapshotBalanceFacts(snapshot) {
   return facts;
 }
 
+// Served past its soft TTL (see keaSelectedAccountResolve): say so next to dataAsOf.
+const SNAPSHOT_FRESHNESS_LIMITATION = Object.freeze({
+  revalidating: 'snapshot_minutes_old',
+  stale: 'snapshot_stale',
+});
+
 function snapshotLimitations(snapshot) {
   const extra = Array.isArray(snapshot && snapshot.limitations) ? snapshot.limitations : [];
+  const freshness = SNAPSHOT_FRESHNESS_LIMITATION[snapshot && snapshot._keaFreshness];
   return [
     'upcoming_window_15d',
     'negatives_preview_5_of_90d',
     'recents_capped_10',
+    ...(freshness ? [freshness] : []),
     ...extra.filter((x) => typeof x === 'string'),
   ];
 }
@@ -299,7 +307,11 @@ function shouldForceDirectAnswer({ route, policy, evidence } = {}) {
     || cap === 'cashflow_recurring'
     || cap === 'cashflow_upcoming'
     || cap === 'cashflow_income_horizon'
-    || cap === 'affordability_or_planning';
+    || cap === 'cashflow_anomaly'
+    || cap === 'debt_payoff'
+    || cap === 'affordability_or_planning'
+    // Budget set/delete turns need the write tools; status questions do not.
+    || (cap === 'cashflow_budget' && !(route && route.slots && route.slots.budgetAction));
   if (!directCaps) return false;
   if (!evidence || evidence.status !== 'ok') return false;
   if (Array.isArray(evidence.lookups) && evidence.lookups.length) {
@@ -505,6 +517,18 @@ function buildSnapshotEvidence(snapshot, { period, slots, kind, currentDate } =
   if (Array.isArray(snapshot.goals) && snapshot.goals.length && (kind === 'affordability' || kind === 'forecast')) {
     facts.goalCount = snapshot.goals.length;
   }
+  if (kind === 'digest' && Array.isArray(snapshot.goals)) {
+    facts.goals = snapshot.goals
+      .filter((g) => g && typeof g === 'object')
+      .map((g) => ({
+        title: g.display_name || g.title || null,
+        status: g.status || null,
+        target_amount: num(g.target_amount),
+        accumulated_amount: num(g.accumulated_amount),
+        expectedByNow: num(g.expectedByNow),
+        end_date: g.end_date || null,
+      }));
+  }
   return {
     status: kind === 'affordability' ? 'partial' : 'ok',
     source: ['kea_snapshot'],
@@ -601,39 +625,39 @@ function evidenceFromMacroResult(result, { source, period, currentDate, assumpti
   };
 }
 
-async function defaultFetchCashflowAnalysis({ accountId, token, body, timeoutMs, requestId }) {
+async function defaultFetchCashflowAnalysis({ accountId, token, body, timeoutMs, requestId, signal }) {
   const { getKeaCashflowAnalysis } = require('../tools/keacast_tool_layer');
-  return getKeaCashflowAnalysis({ accountId, token, body, timeoutMs, requestId });
+  return getKeaCashflowAnalysis({ accountId, token, body, timeoutMs, requestId, signal });
 }
 
-async function defaultFetchAffordabilityAnalysis({ accountId, token, body, timeoutMs, requestId }) {
+async function defaultFetchAffordabilityAnalysis({ accountId, token, body, timeoutMs, requestId, signal }) {
   const { getKeaAffordabilityAnalysis } = require('../tools/keacast_tool_layer');
-  return getKeaAffordabilityAnalysis({ accountId, token, body, timeoutMs, requestId });
+  return getKeaAffordabilityAnalysis({ accountId, token, body, timeoutMs, requestId, signal });
 }
 
-async function defaultFetchPeriodComparison({ accountId, token, body, timeoutMs, requestId }) {
+async function defaultFetchPeriodComparison({ accountId, token, body, timeoutMs, requestId, signal }) {
   const { getKeaPeriodComparison } = require('../tools/keacast_tool_layer');
-  return getKeaPeriodComparison({ accountId, token, body, timeoutMs, requestId });
+  return getKeaPeriodComparison({ accountId, token, body, timeoutMs, requestId, signal });
 }
 
-async function defaultFetchTrendAnalysis({ accountId, token, body, timeoutMs, requestId }) {
+async function defaultFetchTrendAnalysis({ accountId, token, body, timeoutMs, requestId, signal }) {
   const { getKeaTrendAnalysis } = require('../tools/keacast_tool_layer');
-  return getKeaTrendAnalysis({ accountId, token, body, timeoutMs, requestId });
+  return getKeaTrendAnalysis({ accountId, token, body, timeoutMs, requestId, signal });
 }
 
-async function defaultFetchRecurringAnalysis({ accountId, token, body, timeoutMs, requestId }) {
+async function defaultFetchRecurringAnalysis({ accountId, token, body, timeoutMs, requestId, signal }) {
   const { getKeaRecurringAnalysis } = require('../tools/keacast_tool_layer');
-  return getKeaRecurringAnalysis({ accountId, token, body, timeoutMs, requestId });
+  return getKeaRecurringAnalysis({ accountId, token, body, timeoutMs, requestId, signal });
 }
 
-async function defaultFetchUpcomingAnalysis({ accountId, token, body, timeoutMs, requestId }) {
+async function defaultFetchUpcomingAnalysis({ accountId, token, body, timeoutMs, requestId, signal }) {
   const { getKeaUpcomingAnalysis } = require('../tools/keacast_tool_layer');
-  return getKeaUpcomingAnalysis({ accountId, token, body, timeoutMs, requestId });
+  return getKeaUpcomingAnalysis({ accountId, token, body, timeoutMs, requestId, signal });
 }
 
-async function defaultFetchIncomeHorizonAnalysis({ accountId, token, body, timeoutMs, requestId }) {
+async function defaultFetchIncomeHorizonAnalysis({ accountId, token, body, timeoutMs, requestId, signal }) {
   const { getKeaIncomeHorizonAnalysis } = require('../tools/keacast_tool_layer');
-  return getKeaIncomeHorizonAnalysis({ accountId, token, body, timeoutMs, requestId });
+  return getKeaIncomeHorizonAnalysis({ accountId, token, body, timeoutMs, requestId, signal });
 }
 
 function streamMatchesLabel(stream, subjectValue) {
@@ -656,6 +680,7 @@ async function prefetchCashflowRecurringMacro({
   accountId,
   token,
   requestId,
+  signal,
   currentDate,
   slots,
   fetchRecurringAnalysis,
@@ -679,6 +704,7 @@ async function prefetchCashflowRecurringMacro({
       token,
       requestId,
       timeoutMs: macroTimeoutMs(),
+      signal,
       body: {
         clientDate: currentDate,
       },
@@ -766,6 +792,7 @@ async function prefetchCashflowUpcomingMacro({
   accountId,
   token,
   requestId,
+  signal,
   currentDate,
   slots,
   fetchUpcomingAnalysis,
@@ -797,6 +824,7 @@ async function prefetchCashflowUpcomingMacro({
       token,
       requestId,
       timeoutMs: macroTimeoutMs(),
+      signal,
       body: {
         clientDate: currentDate,
         start: period.start,
@@ -849,6 +877,7 @@ async function prefetchCashflowIncomeHorizonMacro({
   accountId,
   token,
   requestId,
+  signal,
   currentDate,
   slots,
   fetchIncomeHorizonAnalysis,
@@ -872,6 +901,7 @@ async function prefetchCashflowIncomeHorizonMacro({
       token,
       requestId,
       timeoutMs: macroTimeoutMs(),
+      signal,
       body: { clientDate: currentDate },
     });
     const evidence = evidenceFromMacroResult(result, {
@@ -903,6 +933,7 @@ async function prefetchCashflowComparisonMacro({
   accountId,
   token,
   requestId,
+  signal,
   currentDate,
   slots,
   fetchPeriodComparison,
@@ -934,6 +965,7 @@ async function prefetchCashflowComparisonMacro({
       token,
       requestId,
       timeoutMs: macroTimeoutMs(),
+      signal,
       body: {
         clientDate: currentDate,
         windowKind: slots.windowKind || undefined,
@@ -960,6 +992,7 @@ async function prefetchCashflowTrendMacro({
   accountId,
   token,
   requestId,
+  signal,
   currentDate,
   slots,
   fetchTrendAnalysis,
@@ -991,6 +1024,7 @@ async function prefetchCashflowTrendMacro({
       token,
       requestId,
       timeoutMs: macroTimeoutMs(),
+      signal,
       body: {
         clientDate: currentDate,
         windowKind: slots.windowKind || undefined,
@@ -1021,9 +1055,11 @@ async function prefetchCashflowMacro({
   accountId,
   token,
   requestId,
+  signal,
   currentDate,
   period,
   fetchCashflowAnalysis,
+  includeBalanceSeries = false,
 }) {
   if (accountId == null || accountId === '') {
     return emptyEvidence({ limitations: ['access_unverified'], period, dataAsOf: currentDate || null });
@@ -1038,17 +1074,25 @@ async function prefetchCashflowMacro({
       token,
       requestId,
       timeoutMs: macroTimeoutMs(),
+      signal,
       body: {
         clientDate: currentDate,
         period: period || undefined,
+        includeBalanceSeries: includeBalanceSeries || undefined,
       },
     });
-    return evidenceFromMacroResult(result, {
+    const evidence = evidenceFromMacroResult(result, {
       source: 'cashflow_analysis',
       period,
       currentDate,
       assumptions: [],
     });
+    // Daily [{ date, amount }] for the aggregate combined low; never in facts,
+    // so it stays out of the prompt and the ledger.
+    if (includeBalanceSeries && result && Array.isArray(result.projectedBalanceSeries) && evidence.status !== 'unavailable') {
+      evidence.projectedBalanceSeries = result.projectedBalanceSeries;
+    }
+    return evidence;
   } catch (err) {
     return evidenceFromMacroCatch(err, { period, dataAsOf: currentDate || null });
   }
@@ -1058,6 +1102,7 @@ async function prefetchAffordabilityMacro({
   accountId,
   token,
   requestId,
+  signal,
   currentDate,
   slots,
   fetchAffordabilityAnalysis,
@@ -1119,6 +1164,7 @@ async function prefetchAffordabilityMacro({
       token,
       requestId,
       timeoutMs: macroTimeoutMs(),
+      signal,
       body: {
         clientDate: currentDate,
         amount,
@@ -1141,29 +1187,34 @@ async function prefetchAffordabilityMacro({
  * Authoritative evidence for the current turn.
  * Identity: trustedUserId from cashflowAuth only. Never body/model userId.
  * Account: currently selected authorized account only. Never lastAccountId.
+ * slots.accountScope 'aggregate' fans out over every accessible account
+ * (services/keaAggregateScope.js).
  */
-async function prefetchGrounding({
-  trustedUserId,
-  accountId,
-  snapshot,
-  currentDate,
-  policy,
-  route,
-  queryFn,
-  assertFn,
-  fetchPage,
-  pageLimit,
-  message,
-  token,
-  requestId,
-  fetchCashflowAnalysis,
-  fetchAffordabilityAnalysis,
-  fetchPeriodComparison,
-  fetchTrendAnalysis,
-  fetchRecurringAnalysis,
-  fetchUpcomingAnalysis,
-  fetchIncomeHorizonAnalysis,
-} = {}) {
+async function prefetchGrounding(input = {}) {
+  const {
+    trustedUserId,
+    accountId,
+    snapshot,
+    currentDate,
+    policy,
+    route,
+    queryFn,
+    assertFn,
+    fetchPage,
+    pageLimit,
+    message,
+    token,
+    requestId,
+    signal,
+    fetchCashflowAnalysis,
+    fetchAffordabilityAnalysis,
+    fetchPeriodComparison,
+    fetchTrendAnalysis,
+    fetchRecurringAnalysis,
+    fetchUpcomingAnalysis,
+    fetchIncomeHorizonAnalysis,
+    includeBalanceSeries,
+  } = input;
   const effective = policy?.effectiveCapability || route?.capability;
   const slots = route?.slots || {};
   const period = slots.period || null;
@@ -1173,6 +1224,13 @@ async function prefetchGrounding({
     return emptyEvidence({ status: 'ok', source: [], limitations: [] });
   }
 
+  // "Across all my accounts": fan out per accessible account and merge.
+  // Lazy-require to avoid a load-time cycle with this module.
+  if (slots.accountScope === 'aggregate') {
+    const { prefetchAggregateGrounding } = require('./keaAggregateScope');
+    return prefetchAggregateGrounding(input);
+  }
+
   if (effective === 'mixed_macro') {
     return emptyEvidence({
       status: 'unavailable',
@@ -1186,9 +1244,11 @@ async function prefetchGrounding({
       accountId,
       token,
       requestId,
+      signal,
       currentDate,
       period,
       fetchCashflowAnalysis,
+      includeBalanceSeries,
     });
   }
 
@@ -1197,6 +1257,7 @@ async function prefetchGrounding({
       accountId,
       token,
       requestId,
+      signal,
       currentDate,
       slots,
       fetchPeriodComparison,
@@ -1208,6 +1269,7 @@ async function prefetchGrounding({
       accountId,
       token,
       requestId,
+      signal,
       currentDate,
       slots,
       fetchTrendAnalysis,
@@ -1215,10 +1277,17 @@ async function prefetchGrounding({
   }
 
   if (policy.prefetchKind === 'cashflow_recurring_macro' || effective === 'cashflow_recurring') {
+    // Audit mode (services/keaSubscriptionAudit.js) also reads posted history
+    // through this module's paging helpers; lazy-require like the budget macro.
+    if (slots.recurringMode === 'audit') {
+      const { prefetchSubscriptionAuditMacro } = require('./keaSubscriptionAudit');
+      return prefetchSubscriptionAuditMacro(input);
+    }
     return prefetchCashflowRecurringMacro({
       accountId,
       token,
       requestId,
+      signal,
       currentDate,
       slots,
       fetchRecurringAnalysis,
@@ -1230,17 +1299,38 @@ async function prefetchGrounding({
       accountId,
       token,
       requestId,
+      signal,
       currentDate,
       slots,
       fetchUpcomingAnalysis,
     });
   }
 
+  // Kea-side budget macro (services/keaBudgets.js). Lazy-require: it reads
+  // through this module's authorized paging helpers.
+  if (policy.prefetchKind === 'cashflow_budget_macro' || effective === 'cashflow_budget') {
+    const { prefetchCashflowBudgetMacro } = require('./keaBudgets');
+    return prefetchCashflowBudgetMacro(input);
+  }
+
+  // Kea-side unusual-charge scan (services/keaAnomalies.js), same lazy-require.
+  if (policy.prefetchKind === 'cashflow_anomaly_macro' || effective === 'cashflow_anomaly') {
+    const { prefetchCashflowAnomalyMacro } = require('./keaAnomalies');
+    return prefetchCashflowAnomalyMacro(input);
+  }
+
+  // Kea-side debt payoff planner (services/keaDebtPayoff.js), same lazy-require.
+  if (policy.prefetchKind === 'debt_payoff_macro' || effective === 'debt_payoff') {
+    const { prefetchDebtPayoffMacro } = require('./keaDebtPayoff');
+    return prefetchDebtPayoffMacro(input);
+  }
+
   if (policy.prefetchKind === 'cashflow_income_horizon_macro' || effective === 'cashflow_income_horizon') {
     return prefetchCashflowIncomeHorizonMacro({
       accountId,
       token,
       requestId,
+      signal,
       currentDate,
       slots,
       fetchIncomeHorizonAnalysis,
@@ -1252,6 +1342,7 @@ async function prefetchGrounding({
       accountId,
       token,
       requestId,
+      signal,
       currentDate,
       slots,
       fetchAffordabilityAnalysis,
@@ -1366,8 +1457,12 @@ function azureFacingEvidence(evidence) {
       || compact.source.includes('cashflow_trend')
       || compact.source.includes('cashflow_recurring')
       || compact.source.includes('cashflow_upcoming')
-      || compact.source.includes('cashflow_income_horizon'));
-  if (isMacro) {
+      || compact.source.includes('cashflow_income_horizon')
+      || compact.source.includes('cashflow_budget')
+      || compact.source.includes('cashflow_anomaly')
+      || compact.source.includes('cashflow_subscription_audit')
+      || compact.source.includes('debt_payoff_plan'));
+  if (isMacro || evidence.accountScope === 'aggregate') {
     compact.accountScope = evidence.accountScope || 'selected_account';
   }
   if (Array.isArray(compact.source)
@@ -1400,6 +1495,12 @@ function azureFacingEvidence(evidence) {
       delete compact.facts.remainingForecastSpending;
       delete compact.facts.savingsPotential;
       delete compact.facts.negativeBalanceRisk;
+      if (Array.isArray(compact.facts.accountBreakdown)) {
+        compact.facts.accountBreakdown = compact.facts.accountBreakdown.map((row) => {
+          const { availableBalance, currentBalance, lowestProjectedAmount, lowestProjectedDate, hasNegativeInScope, ...rest } = row || {};
+          return rest;
+        });
+      }
     }
   }
   if (Array.isArray(compact.source) && compact.source.includes('cashflow_period_comparison') && compact.facts) {
@@ -1553,6 +1654,9 @@ function trendFocusedLeadInstruction(metricScope) {
   return 'facts.metricScope=spending. The first substantive sentence MUST state trend.spending.direction. This outranks mentioning other metrics. Do not lead with net or income.';
 }
 
+const SELECTED_ACCOUNT_SCOPE_INSTRUCTION = 'accountScope=selected_account: all financial values refer only to the currently selected account unless the evidence explicitly states otherwise. Do not say across your accounts, all accounts, or complete financial picture.';
+const AGGREGATE_ACCOUNT_SCOPE_INSTRUCTION = 'accountScope=aggregate: totals combine every account listed in accountBreakdown (accountCount accounts, including shared calendars). Say "across your accounts" for combined figures, attribute per-account figures only from accountBreakdown or byAccount, and never present a combined total as one account\'s balance. If any account is marked unavailable, say the combined figure leaves it out.';
+
 function buildEvidenceSystemSection(evidence) {
   if (!evidence || !Array.isArray(evidence.source) || evidence.source.length === 0) {
     if (evidence && evidence.status === 'unavailable') {
@@ -1596,52 +1700,88 @@ function buildEvidenceSystemSection(evidence) {
   const isRecurring = compact.source.includes('cashflow_recurring');
   const isUpcoming = compact.source.includes('cashflow_upcoming');
   const isIncomeHorizon = compact.source.includes('cashflow_income_horizon');
+  const isBudget = compact.source.includes('cashflow_budget');
+  const isAnomaly = compact.source.includes('cashflow_anomaly');
+  const isSubscriptionAudit = compact.source.includes('cashflow_subscription_audit');
+  const isDebtPayoff = compact.source.includes('debt_payoff_plan');
   const isMacro = compact.source.includes('cashflow_analysis')
     || compact.source.includes('affordability_analysis')
     || isComparison
     || isTrend
     || isRecurring
     || isUpcoming
-    || isIncomeHorizon;
-  const macroInstruction = isIncomeHorizon
+    || isIncomeHorizon
+    || isBudget
+    || isAnomaly
+    || isSubscriptionAudit
+    || isDebtPayoff;
+  const macroInstruction = isDebtPayoff
+    ? [
+      'GROUNDED EVIDENCE is authoritative for this requested debt payoff plan.',
+      SELECTED_ACCOUNT_SCOPE_INSTRUCTION,
+      'These are deterministic Keacast calculations. Do not recalculate them. Do not contradict them. Do not compute your own interest, payoff dates, months, or balances.',
+      'Narrate observation codes and supplied facts only. Do not invent a new financial judgment.',
+    ].join(' ')
+    : isSubscriptionAudit
+    ? [
+      'GROUNDED EVIDENCE is authoritative for this requested subscription audit.',
+      SELECTED_ACCOUNT_SCOPE_INSTRUCTION,
+      'These are deterministic Keacast calculations. Do not recalculate them. Do not contradict them. Do not compare charges, compute increases, or rank streams yourself.',
+      'Narrate observation codes and supplied facts only. Do not invent a new financial judgment.',
+    ].join(' ')
+    : isAnomaly
+    ? [
+      'GROUNDED EVIDENCE is authoritative for this requested unusual-charge check.',
+      SELECTED_ACCOUNT_SCOPE_INSTRUCTION,
+      'These are deterministic Keacast calculations. Do not recalculate them. Do not contradict them. Do not compute your own medians, percentages, or increases, and do not flag charges that are not in anomalies[].',
+      'Narrate observation codes and supplied facts only. Do not invent a new financial judgment.',
+    ].join(' ')
+    : isBudget
+    ? [
+      'GROUNDED EVIDENCE is authoritative for this requested budget check.',
+      SELECTED_ACCOUNT_SCOPE_INSTRUCTION,
+      'These are deterministic Keacast calculations. Do not recalculate them. Do not contradict them. Do not sum transactions or project spending yourself.',
+      'Narrate observation codes and supplied facts only. Do not invent a new financial judgment.',
+    ].join(' ')
+    : isIncomeHorizon
     ? [
       'GROUNDED EVIDENCE is authoritative for this requested income-horizon analysis.',
-      'accountScope=selected_account: all financial values refer only to the currently selected account unless the evidence explicitly states otherwise. Do not say across your accounts, all accounts, or complete financial picture.',
+      SELECTED_ACCOUNT_SCOPE_INSTRUCTION,
       'These are deterministic Keacast calculations. Do not recalculate them. Do not contradict them. Do not sum expenses. Do not calculate dates, days until income, balances, or shortfall.',
       'Narrate observation codes and supplied facts only. Do not invent a new financial judgment.',
     ].join(' ')
     : isUpcoming
     ? [
       'GROUNDED EVIDENCE is authoritative for this requested upcoming scheduled-item list.',
-      'accountScope=selected_account: all financial values refer only to the currently selected account unless the evidence explicitly states otherwise. Do not say across your accounts, all accounts, or complete financial picture.',
+      SELECTED_ACCOUNT_SCOPE_INSTRUCTION,
       'These are deterministic Keacast calculations. Do not recalculate them. Do not contradict them. Do not sum items. Do not change the requested period. Do not decide that next week means the next 7 days.',
       'Narrate observation codes and supplied facts only. Do not invent a new financial judgment.',
     ].join(' ')
     : isRecurring
     ? [
       'GROUNDED EVIDENCE is authoritative for this requested recurring analysis.',
-      'accountScope=selected_account: all financial values refer only to the currently selected account unless the evidence explicitly states otherwise. Do not say across your accounts, all accounts, or complete financial picture.',
+      SELECTED_ACCOUNT_SCOPE_INSTRUCTION,
       'These are deterministic Keacast calculations. Do not recalculate them. Do not contradict them. Do not calculate monthly equivalents, cadence, or ranking.',
       'Narrate observation codes and supplied facts only. Do not invent a new financial judgment.',
     ].join(' ')
     : isTrend
     ? [
       'GROUNDED EVIDENCE is authoritative for this requested trend.',
-      'accountScope=selected_account: all financial values refer only to the currently selected account unless the evidence explicitly states otherwise. Do not say across your accounts, all accounts, or complete financial picture.',
+      SELECTED_ACCOUNT_SCOPE_INSTRUCTION,
       'These are deterministic Keacast calculations. Do not recalculate them. Do not contradict them. Do not calculate your own percentages, deltas, slopes, or trend direction.',
       'Narrate observation codes and supplied facts only. Do not invent a new financial judgment.',
     ].join(' ')
     : isComparison
     ? [
       'GROUNDED EVIDENCE is authoritative for this requested comparison.',
-      'accountScope=selected_account: all financial values refer only to the currently selected account unless the evidence explicitly states otherwise. Do not say across your accounts, all accounts, or complete financial picture.',
+      SELECTED_ACCOUNT_SCOPE_INSTRUCTION,
       'These are deterministic Keacast calculations. Do not recalculate them. Do not contradict them. Do not calculate your own percentages or deltas.',
       'Narrate observation codes and supplied facts only. Do not invent a new financial judgment.',
     ].join(' ')
     : isMacro
     ? [
       'GROUNDED EVIDENCE is authoritative for this requested analysis.',
-      'accountScope=selected_account: all financial values refer only to the currently selected account unless the evidence explicitly states otherwise. Do not say across your accounts, all accounts, or complete financial picture.',
+      SELECTED_ACCOUNT_SCOPE_INSTRUCTION,
       'These are deterministic Keacast calculations. Do not recalculate them. Do not contradict them. Explain their practical meaning.',
       'Narrate observation codes and supplied facts only. Do not invent a new financial judgment.',
       'remainingForecastSpending / remainingForecastIncome = remaining unmatched F/RF in the current calendar month — not the next 14 days, and not the next 15 days.',
@@ -1755,6 +1895,49 @@ function buildEvidenceSystemSection(evidence) {
       'Do not mention groupid, transfer_id, transfer_pair_id, account ids, or raw forecast series.',
     ].join(' ')
     : '';
+  const budgetInstruction = isBudget
+    ? [
+      'spentToDate is posted spending in the category from the first of the month through today. remainingScheduled is spending already scheduled in the Keacast forecast for the rest of the month. projectedTotal is their sum.',
+      'Use status exactly: over means spentToDate is already above monthlyLimit; projected_over means scheduled spending would take projectedTotal above monthlyLimit; on_track means neither.',
+      'projectedTotal covers scheduled forecast items only. Say so when narrating it. Do not estimate unscheduled spending for the rest of the month.',
+      'If a budget has source stated, the limit came from this message and is not saved. You may offer to save it as a budget; do not say it is already saved.',
+      'If limitations include no_budget_set, say no budget is set for that category on this account and offer to set one. Do not invent a limit.',
+      'Do not say healthy, unhealthy, good, bad, irresponsible, or overspending beyond the supplied status.',
+    ].join(' ')
+    : '';
+  const anomalyInstruction = isAnomaly
+    ? [
+      'Each anomalies[] row is one posted charge that matched a pattern check: new_merchant (first charge from a merchant not seen in baselinePeriod), above_median (well above that merchant\'s baseline median), duplicate_charge (same merchant and amount as the charge on duplicateOfDate), or recurring_jump (a steady charge that rose from previousAmount).',
+      'These are pattern checks, not a fraud determination. Do not say a charge is fraud, fraudulent, unauthorized, a scam, or an error. You may suggest the user review a flagged charge or contact the merchant or their bank if they do not recognize it.',
+      'If limitations include list_capped, say more charges were flagged than are listed and anomalyCount is the full count.',
+      'If observations include no_anomalies, say nothing in the supplied period matched these checks. Do not say the account is safe or that nothing is wrong.',
+      'If limitations include anomaly_baseline_partial, say earlier history could not be fully read, so new-merchant checks were skipped.',
+      'Do not attribute total spending to the flagged charges or say they caused a month to be expensive. postedSpending is the supplied window total; anomalyAmountTotal is the sum of the listed rows only.',
+    ].join(' ')
+    : '';
+  const subscriptionAuditInstruction = isSubscriptionAudit
+    ? [
+      'The streams are scheduled recurring expenses in the user\'s Keacast forecast, checked against posted charges in historyPeriod matched by name. Say so; do not say the bank detected them.',
+      'priceIncreases[] rows rose from previousAmount to currentAmount starting changeDate. If scheduledAmount is below currentAmount, you may say the forecast still uses the older amount.',
+      'staleForecasts[] rows have not posted since lastPostedDate but are still scheduled for nextDate. Say the forecast may be out of date; do not say the service was cancelled.',
+      'cancellationCandidates[] are the largest remaining streams by annualizedCost. Present them as the biggest ones to review, not as things the user should cancel. Do not call any of them unnecessary or wasteful.',
+      'If staleForecasts is non-empty, end with one short offer to remove the scheduled series from the forecast, for example: "Want me to remove the scheduled Hulu series from your forecast?" Do not call deleteTransaction on this turn.',
+      'If limitations include recurring_cancel_unsupported, say you cannot cancel the service itself; the user cancels it with the provider.',
+      'If limitations include list_capped, say more streams were reviewed than are listed. If observations include no_price_increases or no_stale_forecasts, say none were found in historyPeriod.',
+    ].join(' ')
+    : '';
+  const debtPayoffInstruction = isDebtPayoff
+    ? [
+      'Debts, APRs, and minimum payments are the figures the user gave or balances read from their credit and loan accounts. Do not invent an APR or minimum payment for any debt.',
+      'If needsTerms is non-empty, ask for the missing figures (missing lists balance, apr, or minPayment) for those debts. Do not estimate them.',
+      'plans.avalanche pays the highest APR first; plans.snowball pays the smallest balance first. Compare their months, payoffDate, and totalInterest, and name recommendedStrategy. minimumOnly is paying minimums with no extra.',
+      'If requestedStrategy is set, lead with that plan, then mention how recommendedStrategy compares.',
+      'forecastCheck adds extraPayment on each of paymentDates to the selected account\'s scheduled Keacast forecast over period; minimum payments are assumed to be scheduled already. If staysPositive is true, say the forecast stays positive with the extra payment (lowest lowestBalanceWithPayment on lowestBalanceWithPaymentDate). If false, say it first goes negative on firstNegativeDate.',
+      'If limitations include payment_below_interest, say the minimum on minimumBelowInterest does not cover its monthly interest. If observations include debt_never_paid_off, say the payments do not pay the debts off.',
+      'If extraPayment is above 0 and recommendedStrategy is set, end with one short offer to add the extra payment as a monthly recurring payment in the forecast or to try it in a simulation first. Do not call createTransaction or proposeSimulationAdd on this turn.',
+      'Do not give investment, tax, or credit-score advice.',
+    ].join(' ')
+    : '';
   const affordabilityInstruction = compact.source.includes('affordability_analysis')
     ? [
       'Preferred conclusion: based on the current Keacast forecast, adding the requested expense would or would not create a negative projected balance within the evaluation horizon.',
@@ -1765,6 +1948,7 @@ function buildEvidenceSystemSection(evidence) {
       'If you offer to add the expense to the forecast, keep it a conversational invitation only, for example: "If you want, I can help add that expense to your forecast." Do not stage a draft or call createTransaction on this turn.',
     ].join(' ')
     : '';
+  const accountScopeInstruction = compact.accountScope === 'aggregate' ? AGGREGATE_ACCOUNT_SCOPE_INSTRUCTION : '';
   const partialInstruction = compact.status === 'partial'
     ? (compact.lookups
       ? 'Partial evidence: answer completed lookup results and clearly state which requested result could not be fully verified. Do not invent a missing total.'
@@ -1773,11 +1957,19 @@ function buildEvidenceSystemSection(evidence) {
   return [
     'GROUNDED EVIDENCE (authoritative for this answer — do not contradict; do not invent missing dollar values or dates; respect limitations; partial evidence does not justify unsupported certainty):',
     completedHistorical
-      ? 'Field glossary: postedIncome / postedSpending / postedNet are posted actuals for the requested historical period on the selected account. Do not mention availableBalance, currentBalance, reconciledBalance, or current balances as of now.'
+      ? `Field glossary: postedIncome / postedSpending / postedNet are posted actuals for the requested historical period ${accountScopeInstruction ? 'across the accounts in accountBreakdown' : 'on the selected account'}. Do not mention availableBalance, currentBalance, reconciledBalance, or current balances as of now.`
       : isTrend
         ? 'Field glossary: periods[] are chronological posted-actual windows. income and spending are positive magnitudes. net is signed. trend.direction is the deterministic classification. firstToLast is the last window minus the first. Use supplied labels, not internal field names.'
       : isUpcoming
         ? 'Field glossary: items[] are scheduled Keacast forecast rows in the supplied period. amount is a positive magnitude. totals.scheduledExpenseTotal / scheduledIncomeTotal / scheduledNet are deterministic Keacast totals for all matching rows, including any items omitted by list_capped. Do not mention availableBalance, currentBalance, reconciledBalance, futureNegativeBalances, or savingsPotential.'
+      : isDebtPayoff
+        ? 'Field glossary: debts[] have balance (positive amount owed), apr (annual percent), and minPayment (monthly). monthlyPayment is totalMinimumPayment plus extraPayment. Each plan has months, payoffDate, totalInterest, totalPaid, and payoffOrder[] (when each debt is paid off). interestSavedVsMinimum and monthsSavedVsMinimum compare recommendedStrategy with minimumOnly. forecastCheck balances are projected selected-account balances.'
+      : isSubscriptionAudit
+        ? 'Field glossary: priceIncreases[], staleForecasts[], and cancellationCandidates[] are scheduled recurring expense streams. amount is the next scheduled amount; previousAmount, currentAmount, increase, and lastPostedAmount are positive posted charge amounts. annualizedCost is monthlyEquivalent × 12. totals.candidateAnnualizedCost sums the listed candidates; totals.staleAnnualizedCost sums the stale forecasts.'
+      : isAnomaly
+        ? 'Field glossary: anomalies[] are flagged posted charges in period; amount is a positive charge magnitude. medianAmount, previousAmount, and increase are positive dollar figures from baselinePeriod or earlier charges. percentAboveMedian and percentIncrease are already computed. postedSpending is all posted spending in period.'
+      : isBudget
+        ? 'Field glossary: budgets[] has one row per monthly category budget. monthlyLimit, spentToDate, remainingScheduled, projectedTotal, remainingBudget, and projectedRemaining are dollar figures for the supplied calendar month; spending figures are positive magnitudes. remainingBudget and projectedRemaining are negative when over the limit. percentUsed is spentToDate as a percent of monthlyLimit.'
       : isIncomeHorizon
         ? 'Field glossary: nextIncome[] are qualifying scheduled recurring income occurrences on the earliest eligible date. amount is the next occurrence amount, not a monthly equivalent. expensesBeforeIncome.items are scheduled expenses between tomorrow and the day before that income date. forecast.* values are canonical Keacast end-of-day projections. Do not mention a paycheck, safe spend, or raw forecast series.'
       : isRecurring
@@ -1788,13 +1980,20 @@ function buildEvidenceSystemSection(evidence) {
     spendingGlossary,
     JSON.stringify(compact),
     lookupInstructions,
-    macroInstruction,
+    accountScopeInstruction
+      ? macroInstruction.replace(SELECTED_ACCOUNT_SCOPE_INSTRUCTION, accountScopeInstruction)
+      : macroInstruction,
+    compact.lookups ? accountScopeInstruction : '',
     cashflowNarrationInstruction,
     comparisonInstruction,
     trendInstruction,
     recurringInstruction,
     upcomingInstruction,
     incomeHorizonInstruction,
+    budgetInstruction,
+    anomalyInstruction,
+    subscriptionAuditInstruction,
+    debtPayoffInstruction,
     affordabilityInstruction,
     partialInstruction,
   ].filter(Boolean).join('\n');
@@ -1805,10 +2004,16 @@ module.exports = {
   PAGE_LIMIT,
   MAX_ROWS,
   prefetchGrounding,
+  prefetchCashflowComparisonMacro,
+  prefetchCashflowRecurringMacro,
+  prefetchCashflowUpcomingMacro,
+  prefetchCashflowMacro,
   authorizedPrefetchRead,
   fetchCompletePeriodTransactions,
   aggregateTransactions,
+  txnMatchesSubject,
   buildSnapshotEvidence,
+  snapshotBalanceFacts,
   buildEvidenceSystemSection,
   emptyEvidence,
   azureFacingEvidence,
@@ -1817,5 +2022,6 @@ module.exports = {
   shouldForceDirectAnswer,
   evidenceFromMacroCatch,
   streamCountBucket,
+  streamMatchesLabel,
   itemCountBucket,
 };
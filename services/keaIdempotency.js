@@ -0,0 +1,241 @@
+'use strict';
+
+/**
+ * Idempotency keys for POST /api/agent/chat.
+ *
+ * A PWA retry after a network blip on a confirmation turn used to run
+ * createTransaction / createGoal / deleteTransaction a second time; the only
+ * guard was resolvePostCreateAck's after-the-fact duplicate detection. With an
+ * `Idempotency-Key` header the first request claims the key, and its outcome
+ * (HTTP status + the exact chat payload: response, transactionResult, simOps,
+ * uiActions, ...) is stored under the user + key. Retries inside the window
+ * replay that outcome verbatim without touching Azure or Cashflow.
+ *
+ *   idem:chat:<userKey>:<sha256(key)[0..32]>
+ *     { state: 'in_flight', fingerprint, owner }     SET NX, expires with the chat budget
+ *     { state: 'done', fingerprint, status, body }   kept KEA_IDEMPOTENCY_TTL_SECONDS
+ *
+ * Same key while the first request is still running → 409. Same key with a
+ * different message / account → 422. 5xx outcomes are not kept (the retry
+ * runs again). A turn that committed a write is never freed: an error after
+ * the commit, or a client that went away, stores `committedOutcome` instead so
+ * the retry cannot write twice. Only the claim's owner may replace or drop it,
+ * checked and applied in one Lua script. Redis failures fail open: the turn
+ * runs without idempotency.
+ */
+
+const crypto = require('crypto');
+const { defineLocalScript } = require('./memoryStore');
+const { hashUserKey } = require('./keaTelemetry');
+const { chatBudgetMs, parseEnvMs } = require('./keaRequestBudget');
+
+const IDEMPOTENCY_HEADER = 'idempotency-key';
+const IDEMPOTENCY_KEY_PREFIX = 'idem:chat';
+const DEFAULT_IDEMPOTENCY_TTL_SECONDS = 24 * 60 * 60;
+const MAX_IDEMPOTENCY_KEY_CHARS = 255;
+// Headroom over the chat budget for persistence after the answer is built.
+const IN_FLIGHT_MARGIN_SECONDS = 30;
+
+const IDEMPOTENCY_STATUS = Object.freeze({
+  CLAIMED: 'claimed',
+  REPLAY: 'replay',
+  IN_FLIGHT: 'in_flight',
+  MISMATCH: 'mismatch',
+  UNAVAILABLE: 'unavailable',
+});
+
+function defaultStore() {
+  return require('./redisService');
+}
+
+function idempotencyTtlSeconds() {
+  return parseEnvMs('KEA_IDEMPOTENCY_TTL_SECONDS', DEFAULT_IDEMPOTENCY_TTL_SECONDS, 60, 7 * 24 * 60 * 60);
+}
+
+function inFlightTtlSeconds() {
+  return Math.ceil(chatBudgetMs() / 1000) + IN_FLIGHT_MARGIN_SECONDS;
+}
+
+/** Header value, `null` when absent, or `false` when present but unusable. */
+function readIdempotencyKey(req) {
+  const raw = req && req.headers ? req.headers[IDEMPOTENCY_HEADER] : undefined;
+  if (raw == null || raw === '') return null;
+  const key = String(Array.isArray(raw) ? raw[0] : raw).trim();
+  if (!key || key.length > MAX_IDEMPOTENCY_KEY_CHARS || !/^[\x21-\x7e]+$/.test(key)) return false;
+  return key;
+}
+
+function idempotencyStoreKey(userId, key) {
+  const digest = crypto.createHash('sha256').update(String(key)).digest('hex').slice(0, 32);
+  return `${IDEMPOTENCY_KEY_PREFIX}:${hashUserKey(userId)}:${digest}`;
+}
+
+// What makes two requests "the same turn". History / snapshots change
+// between retries and are deliberately left out.
+function chatRequestFingerprint(body) {
+  const b = body || {};
+  const material = JSON.stringify([
+    String(b.message || ''),
+    b.accountid != null ? String(b.accountid) : null,
+    b.mode || null,
+  ]);
+  return crypto.createHash('sha256').update(material).digest('hex').slice(0, 32);
+}
+
+function parseRecord(raw) {
+  if (!raw) return null;
+  try {
+    const rec = JSON.parse(raw);
+    return rec && typeof rec === 'object' ? rec : null;
+  } catch (_) {
+    return null;
+  }
+}
+
+// KEYS[1] claim; ARGV[1] owner; ARGV[2] the `done` record, or '' to drop the
+// claim; ARGV[3] TTL seconds. Applies only while ARGV[1] still holds the
+// in-flight claim (or, when storing, the claim already expired). 1 / 0.
+const SETTLE_CLAIM_SCRIPT = defineLocalScript(`
+local raw = redis.call('GET', KEYS[1])
+if raw then
+  local ok, rec = pcall(cjson.decode, raw)
+  if not ok or type(rec) ~= 'table' or rec.owner ~= ARGV[1] or rec.state ~= 'in_flight' then return 0 end
+elseif ARGV[2] == '' then
+  return 0
+end
+if ARGV[2] == '' then
+  redis.call('DEL', KEYS[1])
+else
+  redis.call('SET', KEYS[1], ARGV[2], 'EX', tonumber(ARGV[3]))
+end
+return 1
+`, (ops, [key], [owner, record, ttl]) => {
+  const raw = ops.get(key);
+  if (raw) {
+    const rec = parseRecord(raw);
+    if (!rec || rec.owner !== owner || rec.state !== 'in_flight') return 0;
+  } else if (record === '') {
+    return 0;
+  }
+  if (record === '') ops.del(key);
+  else ops.set(key, record, Number(ttl));
+  return 1;
+});
+
+async function settleClaim(redis, claim, record) {
+  const applied = await redis.eval(
+    SETTLE_CLAIM_SCRIPT,
+    1,
+    claim.storeKey,
+    claim.owner,
+    record ? JSON.stringify(record) : '',
+    idempotencyTtlSeconds(),
+  );
+  return Number(applied) === 1;
+}
+
+/**
+ * Claim `key` for this user or report why not. On CLAIMED the caller must
+ * later `completeIdempotentTurn` or `releaseIdempotencyKey` with `owner`.
+ */
+async function claimIdempotencyKey({ userId, key, fingerprint }, { store } = {}) {
+  const redis = store || defaultStore();
+  const storeKey = idempotencyStoreKey(userId, key);
+  const owner = crypto.randomBytes(8).toString('hex');
+  try {
+    const claimed = await redis.set(
+      storeKey,
+      JSON.stringify({ state: 'in_flight', fingerprint, owner, startedAt: Date.now() }),
+      'EX',
+      inFlightTtlSeconds(),
+      'NX',
+    );
+    if (claimed) return { status: IDEMPOTENCY_STATUS.CLAIMED, storeKey, owner, fingerprint };
+    const existing = parseRecord(await redis.get(storeKey));
+    if (!existing) {
+      // Expired between SET and GET, or unreadable: run without a claim.
+      return { status: IDEMPOTENCY_STATUS.UNAVAILABLE };
+    }
+    if (existing.fingerprint !== fingerprint) return { status: IDEMPOTENCY_STATUS.MISMATCH };
+    if (existing.state === 'done') {
+      return { status: IDEMPOTENCY_STATUS.REPLAY, outcome: { status: existing.status, body: existing.body } };
+    }
+    return { status: IDEMPOTENCY_STATUS.IN_FLIGHT };
+  } catch (e) {
+    console.warn('Chat idempotency claim failed (fail-open):', e.message);
+    return { status: IDEMPOTENCY_STATUS.UNAVAILABLE };
+  }
+}
+
+function shouldKeepOutcome(status, { writeCommitted = false } = {}) {
+  return (Number(status) || 200) < 500 || writeCommitted === true;
+}
+
+/**
+ * What a retry gets for a turn that committed a write but has no reply worth
+ * replaying: it failed after the commit, or the client went away first.
+ */
+function committedOutcome({ requestId } = {}) {
+  return {
+    status: 200,
+    body: {
+      response: "Your change was saved, but I couldn't finish my reply. Refresh the account to see it.",
+      writeCommitted: true,
+      transactionResult: { reloadSelectedAccount: true, writes: [], blocked: [], focus: null },
+      requestId: requestId || null,
+    },
+  };
+}
+
+/**
+ * Store the first outcome for replay. An error after a committed write is
+ * stored as `committedOutcome`. Fail-soft; resolves false when not kept.
+ */
+async function completeIdempotentTurn(claim, { status, body, writeCommitted, requestId } = {}, { store } = {}) {
+  if (!claim || claim.status !== IDEMPOTENCY_STATUS.CLAIMED) return false;
+  const redis = store || defaultStore();
+  try {
+    if (!shouldKeepOutcome(status, { writeCommitted })) {
+      await settleClaim(redis, claim, null);
+      return false;
+    }
+    const outcome = writeCommitted === true && (Number(status) || 200) >= 400
+      ? committedOutcome({ requestId })
+      : { status: Number(status) || 200, body: body === undefined ? null : body };
+    return await settleClaim(redis, claim, {
+      state: 'done',
+      fingerprint: claim.fingerprint,
+      status: outcome.status,
+      body: outcome.body,
+      completedAt: Date.now(),
+    });
+  } catch (e) {
+    console.warn('Chat idempotency store failed (fail-soft):', e.message);
+    return false;
+  }
+}
+
+/** Drop an in-flight claim that never produced an outcome. Fail-soft. */
+async function releaseIdempotencyKey(claim, { store } = {}) {
+  if (!claim || claim.status !== IDEMPOTENCY_STATUS.CLAIMED) return false;
+  const redis = store || defaultStore();
+  try {
+    return await settleClaim(redis, claim, null);
+  } catch (e) {
+    console.warn('Chat idempotency release failed (fail-soft):', e.message);
+    return false;
+  }
+}
+
+module.exports = {
+  IDEMPOTENCY_HEADER,
+  IDEMPOTENCY_STATUS,
+  readIdempotencyKey,
+  idempotencyStoreKey,
+  chatRequestFingerprint,
+  claimIdempotencyKey,
+  committedOutcome,
+  completeIdempotentTurn,
+  releaseIdempotencyKey,
+  idempotencyTtlSeconds,
+};
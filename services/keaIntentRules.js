@@ -0,0 +1,324 @@
+'use strict';
+
+/**
+ * Intent rule registry for the fresh-intent classifier.
+ *
+ * The classifier used to be one hand-ordered chain of `if (isX(text))`
+ * branches; the order WAS the routing policy. Here every branch is a named
+ * rule with an explicit priority, so the policy can be read, explained and
+ * extended without editing keaCapabilityRouter:
+ *
+ *   {
+ *     name:       'cashflow_trend',          unique
+ *     priority:   450,                       higher wins; ties keep registration order
+ *     capability: 'cashflow_trend',          must be a classifier capability
+ *     when:       [['isCashflowTrend']],     OR of AND-groups of predicate names ('!name' negates)
+ *     patterns:   { any, all, none },        optional regex sources (JSON rules), case-insensitive
+ *     slots:      'trend',                   named slot extractor (default 'default')
+ *     confidence: 'high',
+ *   }
+ *
+ * Predicates and slot extractors are registered by name by the owning router,
+ * so JSON rules can reuse the built-in ones but never ship code. A JSON rule
+ * must carry `when` or `patterns`; a rule with neither would match everything.
+ *
+ * This module has no routing knowledge of its own and must not require
+ * keaCapabilityRouter (the router requires it).
+ */
+
+const fs = require('fs');
+
+const CONFIDENCE_LEVELS = Object.freeze(['high', 'medium', 'low']);
+const MAX_JSON_PATTERN_CHARS = 300;
+
+class IntentRuleError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.name = 'IntentRuleError';
+    this.code = code;
+  }
+}
+
+function compilePatterns(list, field, ruleName) {
+  if (list == null) return [];
+  if (!Array.isArray(list)) {
+    throw new IntentRuleError('INVALID_PATTERN', `Rule "${ruleName}": patterns.${field} must be an array.`);
+  }
+  return list.map((src) => {
+    if (typeof src !== 'string' || !src || src.length > MAX_JSON_PATTERN_CHARS) {
+      throw new IntentRuleError('INVALID_PATTERN', `Rule "${ruleName}": patterns.${field} entries must be non-empty strings.`);
+    }
+    try {
+      return new RegExp(src, 'i');
+    } catch (err) {
+      throw new IntentRuleError('INVALID_PATTERN', `Rule "${ruleName}": bad regex in patterns.${field}: ${err.message}`);
+    }
+  });
+}
+
+function normalizeWhen(when, ruleName, predicates) {
+  if (when == null) return [];
+  const groups = Array.isArray(when) && when.every((g) => typeof g === 'string') ? [when] : when;
+  if (!Array.isArray(groups) || !groups.length) {
+    throw new IntentRuleError('INVALID_WHEN', `Rule "${ruleName}": when must be a non-empty array.`);
+  }
+  return groups.map((group) => {
+    if (!Array.isArray(group) || !group.length) {
+      throw new IntentRuleError('INVALID_WHEN', `Rule "${ruleName}": each when group must be a non-empty array.`);
+    }
+    return group.map((term) => {
+      const negated = typeof term === 'string' && term.charAt(0) === '!';
+      const name = negated ? term.slice(1) : term;
+      if (typeof name !== 'string' || typeof predicates[name] !== 'function') {
+        throw new IntentRuleError('UNKNOWN_PREDICATE', `Rule "${ruleName}": unknown predicate "${term}".`);
+      }
+      return { name, negated };
+    });
+  });
+}
+
+function termLabel(term) {
+  return `${term.negated ? '!' : ''}${term.name}`;
+}
+
+/**
+ * Registry factory. `capabilities` limits what rules may route to (the
+ * classifier's own capabilities — never stateful ones like confirmation).
+ */
+function createIntentRuleRegistry({ predicates = {}, extractors = {}, capabilities = [] } = {}) {
+  const predicateMap = Object.assign(Object.create(null), predicates);
+  const extractorMap = Object.assign(Object.create(null), extractors);
+  const allowedCapabilities = new Set(capabilities);
+  const rules = [];
+  let seq = 0;
+  let sorted = null;
+
+  function register(spec, { source = 'builtin' } = {}) {
+    if (!spec || typeof spec !== 'object') {
+      throw new IntentRuleError('INVALID_RULE', 'Rule must be an object.');
+    }
+    const name = typeof spec.name === 'string' ? spec.name.trim() : '';
+    if (!name) throw new IntentRuleError('INVALID_RULE', 'Rule name is required.');
+    if (rules.some((r) => r.name === name)) {
+      throw new IntentRuleError('DUPLICATE_RULE', `Rule "${name}" is already registered.`);
+    }
+    const priority = Number(spec.priority);
+    if (!Number.isFinite(priority)) {
+      throw new IntentRuleError('INVALID_PRIORITY', `Rule "${name}": priority must be a number.`);
+    }
+    if (!allowedCapabilities.has(spec.capability)) {
+      throw new IntentRuleError('INVALID_CAPABILITY', `Rule "${name}": capability "${spec.capability}" is not routable by rules.`);
+    }
+    const slots = spec.slots || 'default';
+    if (typeof extractorMap[slots] !== 'function') {
+      throw new IntentRuleError('UNKNOWN_EXTRACTOR', `Rule "${name}": unknown slot extractor "${slots}".`);
+    }
+    const confidence = spec.confidence || 'high';
+    if (CONFIDENCE_LEVELS.indexOf(confidence) === -1) {
+      throw new IntentRuleError('INVALID_RULE', `Rule "${name}": confidence must be one of ${CONFIDENCE_LEVELS.join(', ')}.`);
+    }
+    const p = spec.patterns || {};
+    const rule = {
+      name,
+      priority,
+      capability: spec.capability,
+      slots,
+      confidence,
+      source,
+      description: typeof spec.description === 'string' ? spec.description : null,
+      when: normalizeWhen(spec.when, name, predicateMap),
+      patterns: {
+        any: compilePatterns(p.any, 'any', name),
+        all: compilePatterns(p.all, 'all', name),
+        none: compilePatterns(p.none, 'none', name),
+      },
+      order: seq,
+    };
+    seq += 1;
+    if (!rule.when.length && !rule.patterns.any.length && !rule.patterns.all.length) {
+      throw new IntentRuleError('INVALID_RULE', `Rule "${name}" needs when or patterns.any/all.`);
+    }
+    rules.push(Object.freeze(rule));
+    sorted = null;
+    return rule;
+  }
+
+  function ordered() {
+    if (!sorted) {
+      sorted = rules.slice().sort((a, b) => (b.priority - a.priority) || (a.order - b.order));
+    }
+    return sorted;
+  }
+
+  /**
+   * Why `rule` matches `ctx`, as human-readable reasons, or null.
+   * AND-groups short-circuit left to right, same as the old `&&` chains.
+   */
+  function evaluate(rule, ctx) {
+    const reasons = [];
+    if (rule.when.length) {
+      let satisfied = null;
+      for (const group of rule.when) {
+        let ok = true;
+        for (const term of group) {
+          const hit = !!predicateMap[term.name](ctx);
+          if (hit === term.negated) {
+            ok = false;
+            break;
+          }
+        }
+        if (ok) {
+          satisfied = group;
+          break;
+        }
+      }
+      if (!satisfied) return null;
+      reasons.push(satisfied.map(termLabel).join(' && '));
+    }
+    const text = String((ctx && ctx.message) || '');
+    const { any, all, none } = rule.patterns;
+    if (any.length) {
+      const re = any.find((r) => r.test(text));
+      if (!re) return null;
+      reasons.push(`matches ${re}`);
+    }
+    for (const re of all) {
+      if (!re.test(text)) return null;
+      reasons.push(`matches ${re}`);
+    }
+    for (const re of none) {
+      if (re.test(text)) return null;
+    }
+    if (none.length) reasons.push(`avoids ${none.map(String).join(', ')}`);
+    return reasons;
+  }
+
+  /** Highest-priority match, or null. Stops at the first hit. */
+  function firstMatch(ctx) {
+    for (const rule of ordered()) {
+      if (evaluate(rule, ctx)) return rule;
+    }
+    return null;
+  }
+
+  /** Every rule that matched, in priority order, plus why the winner won. */
+  function explain(ctx) {
+    const matches = [];
+    for (const rule of ordered()) {
+      const reasons = evaluate(rule, ctx);
+      if (reasons) {
+        matches.push({
+          name: rule.name,
+          priority: rule.priority,
+          capability: rule.capability,
+          source: rule.source,
+          reasons,
+        });
+      }
+    }
+    const winner = matches[0] || null;
+    let why = 'no rule matched; classifier returns unknown';
+    if (winner) {
+      const runnerUp = matches[1];
+      if (!runnerUp) why = `only matching rule (priority ${winner.priority})`;
+      else if (runnerUp.priority === winner.priority) {
+        why = `tied on priority ${winner.priority} with "${runnerUp.name}"; registered first`;
+      } else {
+        why = `highest priority ${winner.priority} of ${matches.length} matching rules (next: "${runnerUp.name}" at ${runnerUp.priority})`;
+      }
+    }
+    return { winner, why, matches };
+  }
+
+  function extract(rule, ctx) {
+    return extractorMap[rule.slots](ctx) || {};
+  }
+
+  function list() {
+    return ordered().map((r) => ({
+      name: r.name,
+      priority: r.priority,
+      capability: r.capability,
+      slots: r.slots,
+      confidence: r.confidence,
+      source: r.source,
+      description: r.description,
+      when: r.when.map((g) => g.map(termLabel)),
+      patterns: {
+        any: r.patterns.any.map((re) => re.source),
+        all: r.patterns.all.map((re) => re.source),
+        none: r.patterns.none.map((re) => re.source),
+      },
+    }));
+  }
+
+  function unregister(name) {
+    const idx = rules.findIndex((r) => r.name === name);
+    if (idx === -1) return false;
+    rules.splice(idx, 1);
+    sorted = null;
+    return true;
+  }
+
+  return {
+    register,
+    unregister,
+    firstMatch,
+    explain,
+    extract,
+    list,
+    get size() { return rules.length; },
+  };
+}
+
+/**
+ * Register rules from JSON text, a parsed array, or `{ rules: [...] }`.
+ * Invalid rules are skipped and reported so one bad entry cannot take
+ * routing down; the caller decides whether errors are fatal.
+ */
+function loadIntentRulesFromJson(registry, input, { source = 'json' } = {}) {
+  const loaded = [];
+  const errors = [];
+  let parsed = input;
+  if (typeof input === 'string') {
+    try {
+      parsed = JSON.parse(input);
+    } catch (err) {
+      return { loaded, errors: [{ rule: null, code: 'INVALID_JSON', message: err.message }] };
+    }
+  }
+  const list = Array.isArray(parsed) ? parsed : (parsed && Array.isArray(parsed.rules) ? parsed.rules : null);
+  if (!list) {
+    return { loaded, errors: [{ rule: null, code: 'INVALID_JSON', message: 'Expected an array of rules or { rules: [...] }.' }] };
+  }
+  for (const spec of list) {
+    try {
+      loaded.push(registry.register(spec, { source }).name);
+    } catch (err) {
+      errors.push({
+        rule: spec && typeof spec.name === 'string' ? spec.name : null,
+        code: err.code || 'INVALID_RULE',
+        message: err.message,
+      });
+    }
+  }
+  return { loaded, errors };
+}
+
+function loadIntentRulesFromFile(registry, filePath) {
+  let text;
+  try {
+    text = fs.readFileSync(filePath, 'utf8');
+  } catch (err) {
+    return { loaded: [], errors: [{ rule: null, code: 'READ_FAILED', message: err.message }] };
+  }
+  return loadIntentRulesFromJson(registry, text, { source: filePath });
+}
+
+module.exports = {
+  IntentRuleError,
+  CONFIDENCE_LEVELS,
+  createIntentRuleRegistry,
+  loadIntentRulesFromJson,
+  loadIntentRulesFromFile,
+};
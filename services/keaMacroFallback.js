@@ -169,6 +169,18 @@ function buildMacroFallbackText(evidence, { accountName } = {}) {
   if (evidence.source.includes('cashflow_upcoming')) {
     return buildUpcomingFallback(evidence);
   }
+  if (evidence.source.includes('cashflow_budget')) {
+    return buildBudgetFallback(evidence);
+  }
+  if (evidence.source.includes('cashflow_anomaly')) {
+    return buildAnomalyFallback(evidence);
+  }
+  if (evidence.source.includes('cashflow_subscription_audit')) {
+    return buildSubscriptionAuditFallback(evidence);
+  }
+  if (evidence.source.includes('debt_payoff_plan')) {
+    return buildDebtPayoffFallback(evidence);
+  }
   return null;
 }
 
@@ -199,10 +211,155 @@ function buildUpcomingFallback(evidence) {
   return lines.length > 1 ? lines.join('\n') : null;
 }
 
+const BUDGET_STATUS_TEXT = Object.freeze({
+  over: 'over budget',
+  projected_over: 'on pace to go over with scheduled spending',
+  on_track: 'on track',
+});
+
+function buildBudgetFallback(evidence) {
+  const facts = evidence && evidence.facts;
+  const budgets = facts && Array.isArray(facts.budgets) ? facts.budgets : [];
+  if (!budgets.length) {
+    return 'You don\'t have a budget saved for this yet. Tell me a category and a monthly limit and I can set one.';
+  }
+  const lines = ['Budgets this month:'];
+  for (const row of budgets) {
+    const spent = fmtMoney(row && row.spentToDate);
+    const limit = fmtMoney(row && row.monthlyLimit);
+    if (!row || !row.category || !spent || !limit) continue;
+    const status = BUDGET_STATUS_TEXT[row.status];
+    lines.push(`- ${row.category}: ${spent} of ${limit} spent${status ? ` (${status})` : ''}.`);
+  }
+  return lines.length > 1 ? lines.join('\n') : null;
+}
+
+function anomalyReason(row) {
+  if (row.kind === 'duplicate_charge' && row.duplicateOfDate) {
+    return `same amount as a charge on ${row.duplicateOfDate}`;
+  }
+  if (row.kind === 'recurring_jump') {
+    const prev = fmtMoney(row.previousAmount);
+    return prev ? `up from ${prev}` : 'higher than before';
+  }
+  if (row.kind === 'above_median') {
+    const typical = fmtMoney(row.medianAmount);
+    return typical ? `usually about ${typical}` : 'higher than usual';
+  }
+  if (row.kind === 'new_merchant') return 'first charge from this merchant';
+  return null;
+}
+
+function buildAnomalyFallback(evidence) {
+  const facts = evidence && evidence.facts;
+  const period = (facts && facts.period) || (evidence && evidence.period) || {};
+  const anomalies = facts && Array.isArray(facts.anomalies) ? facts.anomalies : [];
+  const range = period.start && period.end ? ` from ${period.start} to ${period.end}` : '';
+  if (!anomalies.length) {
+    return `Nothing in your posted transactions${range} stood out against your recent history.`;
+  }
+  const lines = [`Charges worth a look${range}:`];
+  for (const row of anomalies) {
+    const amt = fmtMoney(row && row.amount);
+    if (!row || !row.merchant || !row.date || !amt) continue;
+    const reason = anomalyReason(row);
+    lines.push(`- ${row.merchant} on ${row.date}: ${amt}${reason ? ` (${reason})` : ''}.`);
+  }
+  return lines.length > 1 ? lines.join('\n') : null;
+}
+
+function buildSubscriptionAuditFallback(evidence) {
+  const facts = evidence && evidence.facts;
+  if (!facts) return null;
+  const priceIncreases = Array.isArray(facts.priceIncreases) ? facts.priceIncreases : [];
+  const stale = Array.isArray(facts.staleForecasts) ? facts.staleForecasts : [];
+  const candidates = Array.isArray(facts.cancellationCandidates) ? facts.cancellationCandidates : [];
+  if (!priceIncreases.length && !stale.length && !candidates.length) {
+    return "I don't see any scheduled recurring expenses in your Keacast forecast to review.";
+  }
+  const lines = [];
+  for (const row of priceIncreases) {
+    const from = fmtMoney(row && row.previousAmount);
+    const to = fmtMoney(row && row.currentAmount);
+    if (!row || !row.label || !from || !to) continue;
+    lines.push(`- ${row.label} went from ${from} to ${to}${row.changeDate ? ` on ${row.changeDate}` : ''}.`);
+  }
+  for (const row of stale) {
+    if (!row || !row.label || !row.lastPostedDate) continue;
+    lines.push(`- ${row.label} is still scheduled${row.nextDate ? ` for ${row.nextDate}` : ''}, but hasn't posted since ${row.lastPostedDate}.`);
+  }
+  for (const row of candidates) {
+    const annual = fmtMoney(row && row.annualizedCost);
+    if (!row || !row.label || !annual) continue;
+    lines.push(`- ${row.label} costs about ${annual} a year.`);
+  }
+  if (!lines.length) return null;
+  const out = ['Here is what stands out in your scheduled subscriptions:', ...lines];
+  const target = Array.isArray(evidence.staleForecastTargets) ? evidence.staleForecastTargets[0] : null;
+  if (target && target.label) {
+    out.push(`Want me to remove the scheduled ${target.label} series from your forecast?`);
+  }
+  return out.join('\n');
+}
+
+function termsList(row) {
+  const names = { balance: 'balance', apr: 'APR', minPayment: 'minimum payment' };
+  const missing = (Array.isArray(row.missing) ? row.missing : []).map((k) => names[k]).filter(Boolean);
+  if (missing.length <= 1) return missing.join('');
+  return `${missing.slice(0, -1).join(', ')} and ${missing[missing.length - 1]}`;
+}
+
+function planLine(name, plan) {
+  if (!plan || !plan.paidOff) return `- ${name}: the payments don't pay the debts off.`;
+  const interest = fmtMoney(plan.totalInterest);
+  return `- ${name}: paid off by ${plan.payoffDate} (${plan.months} months)${interest ? `, ${interest} in interest` : ''}.`;
+}
+
+function buildDebtPayoffFallback(evidence) {
+  const facts = evidence && evidence.facts;
+  if (!facts) return null;
+  const debts = Array.isArray(facts.debts) ? facts.debts : [];
+  const needsTerms = Array.isArray(facts.needsTerms) ? facts.needsTerms : [];
+  const lines = [];
+  if (!debts.length && !needsTerms.length) {
+    return "I don't see any credit card or loan balances to plan with. Tell me each debt's balance, APR and minimum payment and I'll compare payoff plans.";
+  }
+  if (debts.length && facts.plans) {
+    const extra = fmtMoney(facts.extraPayment);
+    lines.push(facts.extraPayment > 0 && extra
+      ? `With an extra ${extra} a month on top of your minimums:`
+      : 'Paying your minimums with the freed-up payments rolled over:');
+    lines.push(planLine('Avalanche (highest APR first)', facts.plans.avalanche));
+    lines.push(planLine('Snowball (smallest balance first)', facts.plans.snowball));
+    if (facts.minimumOnly) lines.push(planLine('Minimums only', facts.minimumOnly));
+    const check = facts.forecastCheck;
+    if (check && check.staysPositive === true) {
+      const low = fmtMoney(check.lowestBalanceWithPayment);
+      lines.push(`Your forecast stays positive with the extra payment${low ? ` (lowest ${low} on ${check.lowestBalanceWithPaymentDate})` : ''}.`);
+    } else if (check && check.staysPositive === false && check.firstNegativeDate) {
+      lines.push(`With the extra payment your forecast first goes negative on ${check.firstNegativeDate}.`);
+    }
+  }
+  for (const row of needsTerms) {
+    const terms = row && row.label ? termsList(row) : '';
+    if (terms) lines.push(`I still need the ${terms} for ${row.label}.`);
+  }
+  const target = evidence.debtPaymentTarget;
+  if (target && target.amount > 0) {
+    const toward = target.label ? ` toward ${target.label}` : '';
+    lines.push(`Want me to add the extra payment${toward} to your forecast as a monthly payment, or try it in a simulation first?`);
+  }
+  return lines.length ? lines.join('\n') : null;
+}
+
 module.exports = {
   buildMacroFallbackText,
   buildComparisonFallback,
   buildTrendFallback,
   buildAffordabilityFallback,
   buildCashflowFallback,
+  buildBudgetFallback,
+  buildAnomalyFallback,
+  buildSubscriptionAuditFallback,
+  buildDebtPayoffFallback,
 };
@@ -0,0 +1,210 @@
+'use strict';
+
+/**
+ * In-process Prometheus metrics fed by the `kea_chat_turn` payload.
+ *
+ * keaTelemetry.emit() hands every turn payload to recordChatTurn (and aborts
+ * to recordChatAbort), so dashboards read the same numbers the log line
+ * carries without scraping logs. GET /metrics renders the registry in the
+ * Prometheus text format (controllers/metricsController.js).
+ *
+ * Label-safe by construction: only enum-like payload fields become labels
+ * (capability, source, strategy, status, tool name); userKey, requestId and
+ * amounts never do. Values are sanitized and every metric is capped at
+ * MAX_SERIES_PER_METRIC series, past which new label sets fold into "other",
+ * so a model-invented tool name cannot grow the registry without bound.
+ */
+
+const LATENCY_BUCKETS_SECONDS = Object.freeze([0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 25, 60]);
+const MAX_SERIES_PER_METRIC = 200;
+const MAX_LABEL_LENGTH = 64;
+const OVERFLOW_LABEL = 'other';
+const WRITE_OUTCOMES = Object.freeze([
+  ['write_proposed', 'proposed'],
+  ['write_confirmation_detected', 'confirmation_detected'],
+  ['write_attempted', 'attempted'],
+  ['write_committed', 'committed'],
+  ['write_blocked', 'blocked'],
+]);
+
+function labelValue(v) {
+  if (v === null || v === undefined || v === '') return 'none';
+  return String(v).replace(/[^A-Za-z0-9_.:-]/g, '_').slice(0, MAX_LABEL_LENGTH);
+}
+
+function formatNumber(n) {
+  if (n === Infinity) return '+Inf';
+  return Number.isInteger(n) ? String(n) : String(Number(n.toFixed(6)));
+}
+
+function renderLabels(names, values, extra) {
+  const pairs = names.map((name, i) => `${name}="${values[i]}"`);
+  if (extra) pairs.push(extra);
+  return pairs.length ? `{${pairs.join(',')}}` : '';
+}
+
+function createMetricsRegistry({ maxSeries = MAX_SERIES_PER_METRIC } = {}) {
+  const metrics = [];
+
+  function define(type, name, help, labelNames, extra = {}) {
+    const metric = { type, name, help, labelNames, series: new Map(), ...extra };
+    metrics.push(metric);
+    return metric;
+  }
+
+  function seriesFor(metric, labels, create) {
+    let values = metric.labelNames.map((l) => labelValue(labels && labels[l]));
+    let key = values.join('\u0001');
+    if (!metric.series.has(key) && metric.series.size >= maxSeries) {
+      values = metric.labelNames.map(() => OVERFLOW_LABEL);
+      key = values.join('\u0001');
+    }
+    if (!metric.series.has(key)) metric.series.set(key, { values, ...create() });
+    return metric.series.get(key);
+  }
+
+  function counter(name, help, labelNames = []) {
+    const metric = define('counter', name, help, labelNames);
+    return {
+      inc(labels, by = 1) {
+        seriesFor(metric, labels, () => ({ value: 0 })).value += by;
+      },
+      value(labels) {
+        const s = metric.series.get(metric.labelNames.map((l) => labelValue(labels && labels[l])).join('\u0001'));
+        return s ? s.value : 0;
+      },
+    };
+  }
+
+  function histogram(name, help, labelNames = [], buckets = LATENCY_BUCKETS_SECONDS) {
+    const metric = define('histogram', name, help, labelNames, { buckets });
+    return {
+      observe(labels, value) {
+        // A missing timing is not a 0s sample (Number(null) === 0).
+        if (value == null || value === '') return;
+        const n = Number(value);
+        if (!Number.isFinite(n) || n < 0) return;
+        const s = seriesFor(metric, labels, () => ({ counts: buckets.map(() => 0), sum: 0, count: 0 }));
+        buckets.forEach((b, i) => { if (n <= b) s.counts[i] += 1; });
+        s.sum += n;
+        s.count += 1;
+      },
+    };
+  }
+
+  // Computed at render time.
+  function gauge(name, help, collect) {
+    define('gauge', name, help, [], { collect });
+  }
+
+  function render() {
+    const lines = [];
+    for (const m of metrics) {
+      lines.push(`# HELP ${m.name} ${m.help}`);
+      lines.push(`# TYPE ${m.name} ${m.type}`);
+      if (m.type === 'gauge') {
+        const v = m.collect();
+        if (v != null && Number.isFinite(v)) lines.push(`${m.name} ${formatNumber(v)}`);
+        continue;
+      }
+      for (const s of m.series.values()) {
+        if (m.type === 'counter') {
+          lines.push(`${m.name}${renderLabels(m.labelNames, s.values)} ${formatNumber(s.value)}`);
+          continue;
+        }
+        m.buckets.forEach((b, i) => {
+          lines.push(`${m.name}_bucket${renderLabels(m.labelNames, s.values, `le="${formatNumber(b)}"`)} ${s.counts[i]}`);
+        });
+        lines.push(`${m.name}_bucket${renderLabels(m.labelNames, s.values, 'le="+Inf"')} ${s.count}`);
+        lines.push(`${m.name}_sum${renderLabels(m.labelNames, s.values)} ${formatNumber(s.sum)}`);
+        lines.push(`${m.name}_count${renderLabels(m.labelNames, s.values)} ${s.count}`);
+      }
+    }
+    return `${lines.join('\n')}\n`;
+  }
+
+  function reset() {
+    for (const m of metrics) m.series.clear();
+  }
+
+  return { counter, histogram, gauge, render, reset };
+}
+
+const registry = createMetricsRegistry();
+
+const m = {
+  turns: registry.counter('kea_chat_turns_total', 'Chat turns by effective capability.', ['capability']),
+  requestSeconds: registry.histogram('kea_chat_request_duration_seconds', 'Chat request duration.', ['capability']),
+  contextSeconds: registry.histogram('kea_chat_context_build_duration_seconds', 'Context build duration.'),
+  accountFetchSeconds: registry.histogram('kea_selected_account_fetch_duration_seconds', 'Selected-account resolve duration.', ['source']),
+  azureSeconds: registry.histogram('kea_chat_azure_round_duration_seconds', 'Azure round duration by round.', ['round']),
+  toolSeconds: registry.histogram('kea_chat_tool_duration_seconds', 'Tool execution duration by tool.', ['tool']),
+  grounding: registry.counter('kea_chat_grounding_total', 'Turns by grounding strategy.', ['strategy', 'performed']),
+  validation: registry.counter('kea_chat_response_validation_total', 'Turns by response validation status and mode.', ['status', 'mode']),
+  writes: registry.counter('kea_chat_write_outcomes_total', 'Turns reaching each write-gate outcome.', ['outcome']),
+  accountSource: registry.counter('kea_selected_account_lookups_total', 'Selected-account lookups by source.', ['source']),
+  cacheLookups: registry.counter('kea_selected_account_cache_lookups_total', 'Selected-account Redis lookups.'),
+  cacheHits: registry.counter('kea_selected_account_cache_hits_total', 'Selected-account Redis hits.'),
+  aborts: registry.counter('kea_chat_aborts_total', 'Chat turns aborted by the client.', ['capability', 'stage']),
+};
+
+registry.gauge('kea_selected_account_cache_hit_ratio', 'Selected-account cache hits / lookups since start.', () => {
+  const lookups = m.cacheLookups.value();
+  return lookups ? m.cacheHits.value() / lookups : null;
+});
+
+function seconds(ms) {
+  return ms == null ? null : Number(ms) / 1000;
+}
+
+function recordChatTurn(payload) {
+  if (!payload || typeof payload !== 'object') return;
+  const capability = payload.effective_capability;
+  m.turns.inc({ capability });
+  m.requestSeconds.observe({ capability }, seconds(payload.request_total_ms));
+  if (payload.context_build_ms != null) m.contextSeconds.observe({}, seconds(payload.context_build_ms));
+  if (payload.selected_account_source != null) {
+    m.accountSource.inc({ source: payload.selected_account_source });
+    if (payload.selected_account_fetch_ms != null) {
+      m.accountFetchSeconds.observe({ source: payload.selected_account_source }, seconds(payload.selected_account_fetch_ms));
+    }
+  }
+  if (payload.selected_account_cache_hit !== null && payload.selected_account_cache_hit !== undefined) {
+    m.cacheLookups.inc({});
+    if (payload.selected_account_cache_hit === true) m.cacheHits.inc({});
+  }
+  for (const [key, value] of Object.entries(payload)) {
+    const round = /^azure_round_(\d+)_ms$/.exec(key);
+    if (round) m.azureSeconds.observe({ round: round[1] }, seconds(value));
+    const tool = key !== 'tool_execution_total_ms' && /^tool_(.+)_ms$/.exec(key);
+    if (tool) m.toolSeconds.observe({ tool: tool[1] }, seconds(value));
+  }
+  m.grounding.inc({ strategy: payload.grounding_strategy, performed: payload.grounding_performed ? 'true' : 'false' });
+  m.validation.inc({ status: payload.response_validation_status, mode: payload.response_validation_mode });
+  for (const [field, outcome] of WRITE_OUTCOMES) {
+    if (payload[field]) m.writes.inc({ outcome });
+  }
+}
+
+function recordChatAbort(payload) {
+  if (!payload || typeof payload !== 'object') return;
+  m.aborts.inc({ capability: payload.effective_capability, stage: payload.last_stage });
+}
+
+function renderMetrics() {
+  return registry.render();
+}
+
+function resetMetricsForTests() {
+  registry.reset();
+}
+
+module.exports = {
+  LATENCY_BUCKETS_SECONDS,
+  MAX_SERIES_PER_METRIC,
+  createMetricsRegistry,
+  recordChatTurn,
+  recordChatAbort,
+  renderMetrics,
+  resetMetricsForTests,
+};
@@ -62,6 +62,9 @@ function responseWasCompleted(res, lifecycle) {
 function classifyHttpFailure(err) {
   if (!err) return 'other';
   const code = err.code || (err.cause && err.cause.code) || '';
+  // Our own lifecycle AbortController cancelled the call (client went away);
+  // not a timeout, not an upstream failure.
+  if (code === 'ERR_CANCELED' || err.name === 'CanceledError' || err.name === 'AbortError') return 'client_aborted';
   if (code === 'ECONNABORTED' || code === 'ETIMEDOUT' || code === 'ESOCKETTIMEDOUT') return 'timeout';
   if (typeof err.message === 'string' && /timeout/i.test(err.message)) return 'timeout';
   const status = err.response && err.response.status;
@@ -149,12 +152,30 @@ function createRequestLifecycle({ req, res, telemetry, requestId } = {}) {
   let abortEmitted = false;
   let responseStarted = false;
   let listenersAttached = false;
+  const stageListeners = [];
+  // Aborted on client disconnect so in-flight Azure / macro HTTP calls that
+  // were handed `signal` are cancelled instead of running to completion.
+  // Write tools never receive it: a started write must not be cancelled.
+  const abortController = typeof AbortController === 'function' ? new AbortController() : null;
 
   function setStage(stage) {
+    const changed = typeof stage === 'string' && stage && stage !== lastStage;
     if (typeof stage === 'string' && stage) lastStage = stage;
     if (telemetry && typeof telemetry.setLastStage === 'function') {
       telemetry.setLastStage(lastStage);
     }
+    if (!changed) return;
+    for (const listener of stageListeners) {
+      try {
+        listener(lastStage);
+      } catch (e) {
+        // Stage observers (SSE) must never own chat control flow.
+      }
+    }
+  }
+
+  function onStage(listener) {
+    if (typeof listener === 'function') stageListeners.push(listener);
   }
 
   function markClientAborted() {
@@ -163,6 +184,9 @@ function createRequestLifecycle({ req, res, telemetry, requestId } = {}) {
     if (telemetry && typeof telemetry.setClientAborted === 'function') {
       telemetry.setClientAborted(true);
     }
+    if (abortController && !abortController.signal.aborted) {
+      try { abortController.abort(); } catch (e) { /* ignore */ }
+    }
   }
 
   function emitAbortIfNeeded() {
@@ -203,7 +227,9 @@ function createRequestLifecycle({ req, res, telemetry, requestId } = {}) {
     get lastStage() { return lastStage; },
     get clientAborted() { return clientAborted || !!(req && req.aborted); },
     get responseStarted() { return responseStarted; },
+    get signal() { return abortController ? abortController.signal : undefined; },
     setStage,
+    onStage,
     markClientAborted,
     markResponseStarted,
     emitAbortIfNeeded,
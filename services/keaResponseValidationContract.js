@@ -82,6 +82,14 @@ const LIST_FACT_PATHS = Object.freeze({
   largestCategories: ['largestCategories'],
   largestMerchants: ['largestMerchants'],
   futureNegativeBalances: ['futureNegativeBalances'],
+  accountBreakdown: ['accountBreakdown'],
+  budgets: ['budgets'],
+  anomalies: ['anomalies'],
+  priceIncreases: ['priceIncreases'],
+  staleForecasts: ['staleForecasts'],
+  cancellationCandidates: ['cancellationCandidates'],
+  debts: ['debts'],
+  needsTerms: ['needsTerms'],
 });
 
 function safeClone(value) {
@@ -169,7 +177,8 @@ function projectListItem(row) {
   const copied = safeClone(row);
   if (!copied) return null;
   const item = { itemId: copied.itemId || null };
-  const label = copied.label || copied.name || copied.merchant_name || copied.merchant || copied.category || null;
+  const label = copied.label || copied.name || copied.merchant_name || copied.merchant || copied.category
+    || copied.account || null;
   if (label != null) item.label = label;
   if (copied.amount !== undefined) item.amount = copied.amount;
   else if (copied.spentTotal !== undefined) item.amount = copied.spentTotal;
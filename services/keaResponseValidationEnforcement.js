@@ -0,0 +1,207 @@
+'use strict';
+
+/**
+ * Response validation enforcement — the third mode next to disabled and
+ * shadow, switched on per capability.
+ *
+ *   disabled  USE_RESPONSE_VALIDATION_SHADOW off; nothing runs.
+ *   shadow    3C.2 behaviour: observe finalText, never mutate it.
+ *   enforce   capability listed in RESPONSE_VALIDATION_ENFORCE_CAPABILITIES.
+ *             Blocking violations (critical / high) trigger ONE narration
+ *             retry with the violations fed back as a correction. If the
+ *             retry is unavailable or still blocked, the deterministic
+ *             keaMacroFallback text (or fail-soft text) replaces the answer.
+ *
+ * Enforcement never widens eligibility: a turn shadow would skip (writes,
+ * simulation, non-Azure sources, unpromptable ledgers) is never rewritten.
+ * Validator / contract exceptions fail open to the original text — the
+ * existing shadow telemetry already reports them.
+ */
+
+const { buildResponseValidationContract, SEVERITY } = require('./keaResponseValidationContract');
+const { extractResponseClaims } = require('./keaResponseClaimExtractor');
+const { validateResponseClaims } = require('./keaResponseClaimValidator');
+const {
+  ELIGIBLE_CAPABILITIES,
+  RESPONSE_VALIDATION_STATUS,
+  RESPONSE_VALIDATION_MODE,
+  RESPONSE_VALIDATION_ENFORCEMENT_PATH,
+  RESPONSE_VALIDATION_RETRY_STATUS,
+  isResponseValidationShadowEnabled,
+  applyShadowResponseValidation,
+  sanitizeResponseValidationTelemetry,
+} = require('./keaResponseValidationShadow');
+
+const RESPONSE_VALIDATION_ENFORCE_ENV_KEY = 'RESPONSE_VALIDATION_ENFORCE_CAPABILITIES';
+
+const BLOCKING_SEVERITIES = Object.freeze([SEVERITY.CRITICAL, SEVERITY.HIGH]);
+
+// Bounds the correction prompt; the model only needs a few examples.
+const MAX_CORRECTION_CLAIMS = 6;
+
+/**
+ * Parse the per-capability switch. `*` / `all` enforces every eligible
+ * capability; otherwise a comma-separated list. Unknown names are ignored.
+ */
+function parseEnforcedCapabilities(raw) {
+  const value = raw == null ? '' : String(raw).trim();
+  if (!value) return [];
+  if (/^(\*|all)$/i.test(value)) return ELIGIBLE_CAPABILITIES.slice();
+  const out = [];
+  for (const part of value.split(',')) {
+    const cap = part.trim();
+    if (cap && ELIGIBLE_CAPABILITIES.indexOf(cap) !== -1 && out.indexOf(cap) === -1) out.push(cap);
+  }
+  return out;
+}
+
+function responseValidationModeFor(capability) {
+  if (!isResponseValidationShadowEnabled()) return RESPONSE_VALIDATION_MODE.DISABLED;
+  const enforced = parseEnforcedCapabilities(process.env[RESPONSE_VALIDATION_ENFORCE_ENV_KEY]);
+  return enforced.indexOf(capability) !== -1
+    ? RESPONSE_VALIDATION_MODE.ENFORCE
+    : RESPONSE_VALIDATION_MODE.SHADOW;
+}
+
+function blockingViolations(result) {
+  const rows = result && Array.isArray(result.violations) ? result.violations : [];
+  return rows.filter((v) => BLOCKING_SEVERITIES.indexOf(v.severity) !== -1);
+}
+
+/**
+ * Validate `text` against the ledger and return only what enforcement needs.
+ * `checked: false` means the contract or validator could not run.
+ */
+function checkResponseClaims(text, ledger, deps = {}) {
+  try {
+    const built = (deps.buildContract || buildResponseValidationContract)(ledger);
+    if (!built || built.ok !== true || !built.contract || built.promptable === false) {
+      return { checked: false, blocking: [], claims: [] };
+    }
+    const claims = (deps.extractClaims || extractResponseClaims)(text || '');
+    const result = (deps.validateClaims || validateResponseClaims)({
+      contract: built.contract,
+      extractedClaims: claims,
+    });
+    return { checked: true, blocking: blockingViolations(result), claims: Array.isArray(claims) ? claims : [] };
+  } catch (err) {
+    return { checked: false, blocking: [], claims: [] };
+  }
+}
+
+/**
+ * Correction turn for the single retry. Quotes the offending spans from the
+ * model's own draft (never ledger values) so the model knows what to drop.
+ */
+function buildValidationCorrectionMessage(blocking, claims) {
+  const byId = Object.create(null);
+  for (const c of claims || []) {
+    if (c && c.id) byId[c.id] = c;
+  }
+  const lines = [];
+  const seen = [];
+  for (const v of blocking || []) {
+    const claim = v.extractedClaimId ? byId[v.extractedClaimId] : null;
+    const span = claim && claim.rawSpan ? String(claim.rawSpan) : null;
+    const key = `${v.code}:${span || ''}`;
+    if (seen.indexOf(key) !== -1) continue;
+    seen.push(key);
+    lines.push(span ? `- "${span}" (${v.code})` : `- ${v.code}`);
+    if (lines.length >= MAX_CORRECTION_CLAIMS) break;
+  }
+  return [
+    'Your previous answer stated figures that are not supported by the grounded evidence for this turn:',
+    ...lines,
+    'Rewrite the answer using only amounts, counts and dates that appear in the evidence provided above.',
+    'If the evidence does not contain a figure, say so instead of estimating it.',
+    'Do not mention this correction.',
+  ].join('\n');
+}
+
+/**
+ * Shadow-validate `input.text`, and in enforce mode regenerate or fall back.
+ *
+ * input: the applyShadowResponseValidation fields, plus
+ *   mode        optional override of responseValidationModeFor(capability)
+ *   regenerate  async (correction) => guarded text | null
+ *   fallback    () => { content, fallback?, failSoft? } (groundedMacroFallback)
+ *
+ * Returns { finalText, responseSource, telemetry }.
+ */
+async function enforceResponseValidation(input = {}, deps = {}) {
+  const text = input && typeof input.text === 'string' ? input.text : '';
+  const mode = input.mode || responseValidationModeFor(input.capability);
+  const shadow = applyShadowResponseValidation(input, deps);
+  const out = {
+    finalText: text,
+    responseSource: input.responseSource || 'azure',
+    telemetry: shadow.telemetry,
+  };
+  function finish(path, retryStatus) {
+    out.telemetry = sanitizeResponseValidationTelemetry(Object.assign({}, shadow.telemetry, {
+      response_validation_mode: mode,
+      response_validation_enforcement_path: path,
+      response_validation_retry_status: retryStatus || RESPONSE_VALIDATION_RETRY_STATUS.NOT_ATTEMPTED,
+    }));
+    return out;
+  }
+
+  if (mode !== RESPONSE_VALIDATION_MODE.ENFORCE || shadow.telemetry.response_validation_performed !== true) {
+    return finish(RESPONSE_VALIDATION_ENFORCEMENT_PATH.NOT_ENFORCED);
+  }
+  if (shadow.telemetry.response_validation_status !== RESPONSE_VALIDATION_STATUS.INVALID) {
+    return finish(RESPONSE_VALIDATION_ENFORCEMENT_PATH.ORIGINAL);
+  }
+  const first = checkResponseClaims(text, input.ledger, deps);
+  if (!first.checked || !first.blocking.length) {
+    return finish(RESPONSE_VALIDATION_ENFORCEMENT_PATH.ORIGINAL);
+  }
+
+  let retryStatus = RESPONSE_VALIDATION_RETRY_STATUS.FAILED;
+  if (typeof input.regenerate === 'function') {
+    let regenerated = null;
+    try {
+      regenerated = await input.regenerate(buildValidationCorrectionMessage(first.blocking, first.claims));
+    } catch (err) {
+      regenerated = null;
+    }
+    if (typeof regenerated === 'string' && regenerated.trim()) {
+      const second = checkResponseClaims(regenerated, input.ledger, deps);
+      if (second.checked && !second.blocking.length) {
+        out.finalText = regenerated;
+        return finish(RESPONSE_VALIDATION_ENFORCEMENT_PATH.REGENERATED, RESPONSE_VALIDATION_RETRY_STATUS.VALID);
+      }
+      retryStatus = RESPONSE_VALIDATION_RETRY_STATUS.INVALID;
+    }
+  }
+
+  let fb = null;
+  try {
+    fb = typeof input.fallback === 'function' ? input.fallback() : null;
+  } catch (err) {
+    fb = null;
+  }
+  if (fb && fb.fallback && fb.content) {
+    out.finalText = fb.content;
+    out.responseSource = 'macro_fallback';
+    return finish(RESPONSE_VALIDATION_ENFORCEMENT_PATH.MACRO_FALLBACK, retryStatus);
+  }
+  if (fb && fb.content) {
+    out.finalText = fb.content;
+    out.responseSource = 'fail_soft';
+    return finish(RESPONSE_VALIDATION_ENFORCEMENT_PATH.FAIL_SOFT, retryStatus);
+  }
+  // No deterministic replacement available: keep the draft (fail open).
+  return finish(RESPONSE_VALIDATION_ENFORCEMENT_PATH.ORIGINAL, retryStatus);
+}
+
+module.exports = {
+  RESPONSE_VALIDATION_ENFORCE_ENV_KEY,
+  BLOCKING_SEVERITIES,
+  parseEnforcedCapabilities,
+  responseValidationModeFor,
+  blockingViolations,
+  checkResponseClaims,
+  buildValidationCorrectionMessage,
+  enforceResponseValidation,
+};
@@ -29,6 +29,9 @@ const ELIGIBLE_CAPABILITIES = Object.freeze([
   'cashflow_income_horizon',
   'cashflow_comparison',
   'cashflow_trend',
+  'cashflow_budget',
+  'cashflow_anomaly',
+  'debt_payoff',
   'cashflow_analysis',
   'affordability_or_planning',
   'financial_lookup',
@@ -64,6 +67,33 @@ const RESPONSE_VALIDATION_EXCEPTION_REASON = Object.freeze({
 
 const RESPONSE_VALIDATION_COUNT_BUCKETS = Object.freeze(['0', '1', '2-3', '4-7', '8+']);
 
+// Enforcement (keaResponseValidationEnforcement) reports through the same
+// telemetry block; shadow-only turns keep the defaults below.
+const RESPONSE_VALIDATION_MODE = Object.freeze({
+  DISABLED: 'disabled',
+  SHADOW: 'shadow',
+  ENFORCE: 'enforce',
+});
+
+const RESPONSE_VALIDATION_ENFORCEMENT_PATH = Object.freeze({
+  NOT_ENFORCED: 'not_enforced',
+  ORIGINAL: 'original',
+  REGENERATED: 'regenerated',
+  MACRO_FALLBACK: 'macro_fallback',
+  FAIL_SOFT: 'fail_soft',
+});
+
+const RESPONSE_VALIDATION_RETRY_STATUS = Object.freeze({
+  NOT_ATTEMPTED: 'not_attempted',
+  VALID: 'valid',
+  INVALID: 'invalid',
+  FAILED: 'failed',
+});
+
+function enumValues(obj) {
+  return Object.keys(obj).map((k) => obj[k]);
+}
+
 const SEVERITY_RANK = Object.freeze({
   critical: 0,
   high: 1,
@@ -111,12 +141,18 @@ function emptyShadowTelemetry(overrides = {}) {
     response_validation_ms: 0,
     response_validation_exception_reason: RESPONSE_VALIDATION_EXCEPTION_REASON.NONE,
     response_validation_flag_enabled: isResponseValidationShadowEnabled(),
+    response_validation_mode: isResponseValidationShadowEnabled()
+      ? RESPONSE_VALIDATION_MODE.SHADOW
+      : RESPONSE_VALIDATION_MODE.DISABLED,
+    response_validation_enforcement_path: RESPONSE_VALIDATION_ENFORCEMENT_PATH.NOT_ENFORCED,
+    response_validation_retry_status: RESPONSE_VALIDATION_RETRY_STATUS.NOT_ATTEMPTED,
   }, overrides);
 }
 
 function sanitizeResponseValidationTelemetry(input) {
   const base = emptyShadowTelemetry({
     response_validation_flag_enabled: false,
+    response_validation_mode: RESPONSE_VALIDATION_MODE.DISABLED,
   });
   if (!input || typeof input !== 'object') return base;
   try {
@@ -173,6 +209,21 @@ function sanitizeResponseValidationTelemetry(input) {
       response_validation_ms: Number.isFinite(ms) && ms >= 0 ? Math.round(ms) : 0,
       response_validation_exception_reason: exceptionReason,
       response_validation_flag_enabled: input.response_validation_flag_enabled === true,
+      response_validation_mode: pickEnum(
+        input.response_validation_mode,
+        enumValues(RESPONSE_VALIDATION_MODE),
+        RESPONSE_VALIDATION_MODE.DISABLED
+      ),
+      response_validation_enforcement_path: pickEnum(
+        input.response_validation_enforcement_path,
+        enumValues(RESPONSE_VALIDATION_ENFORCEMENT_PATH),
+        RESPONSE_VALIDATION_ENFORCEMENT_PATH.NOT_ENFORCED
+      ),
+      response_validation_retry_status: pickEnum(
+        input.response_validation_retry_status,
+        enumValues(RESPONSE_VALIDATION_RETRY_STATUS),
+        RESPONSE_VALIDATION_RETRY_STATUS.NOT_ATTEMPTED
+      ),
     };
   } catch (err) {
     return emptyShadowTelemetry({
@@ -273,6 +324,7 @@ function runShadowResponseValidation(input = {}, deps = {}) {
     const ms = Number(process.hrtime.bigint() - t0) / 1e6;
     return sanitizeResponseValidationTelemetry(Object.assign({
       response_validation_flag_enabled: flagEnabled,
+      response_validation_mode: flagEnabled ? RESPONSE_VALIDATION_MODE.SHADOW : RESPONSE_VALIDATION_MODE.DISABLED,
       response_validation_ms: ms,
     }, overrides));
   }
@@ -423,6 +475,9 @@ module.exports = {
   RESPONSE_VALIDATION_CONTRACT_STATUS,
   RESPONSE_VALIDATION_EXCEPTION_REASON,
   RESPONSE_VALIDATION_COUNT_BUCKETS,
+  RESPONSE_VALIDATION_MODE,
+  RESPONSE_VALIDATION_ENFORCEMENT_PATH,
+  RESPONSE_VALIDATION_RETRY_STATUS,
   isResponseValidationShadowEnabled,
   shouldShadowValidateResponse,
   emptyShadowTelemetry,
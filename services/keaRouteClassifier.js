@@ -0,0 +1,297 @@
+'use strict';
+
+/**
+ * Low-confidence route classifier.
+ *
+ * Every route from routeCapability carries `confidenceScore` (0..1),
+ * `runnerUps` and `decisionSource`. When the score is below
+ * KEA_ROUTE_CONFIDENCE_THRESHOLD we make ONE small call on the
+ * AZURE_OPENAI_DEPLOYMENT_LIGHT deployment, constrained to the CAPABILITIES
+ * enum, before settling:
+ *
+ *   - a rule-routable capability      → reroute with that capability's rule slots
+ *   - 'unknown'                       → keep the route (general chat stays on Azure)
+ *   - 'conversation_clarify'          → deterministic clarify (clarifyReason low_confidence)
+ *   - anything else / call failure    → keep the route (fail open)
+ *
+ * Contested rule routes only accept the winner or one of its runner-ups;
+ * the classifier never invents a capability no rule matched there.
+ * No LIGHT deployment (or KEA_LLM_MODEL_ROUTE_CLASSIFIER) configured → the
+ * classifier is off and routing is exactly the rule router's.
+ */
+
+const {
+  CAPABILITIES,
+  BUILTIN_INTENT_RULES,
+  rerouteToCapability,
+} = require('./keaCapabilityRouter');
+const { parseEnvMs, shouldStartNewExpensiveWork } = require('./keaRequestBudget');
+const { LLM_CALL_SITES, configuredModel } = require('./llmProvider');
+
+const ROUTE_CONFIDENCE_THRESHOLD_ENV_KEY = 'KEA_ROUTE_CONFIDENCE_THRESHOLD';
+const ROUTE_CLASSIFIER_DEPLOYMENT_ENV_KEY = 'AZURE_OPENAI_DEPLOYMENT_LIGHT';
+const DEFAULT_ROUTE_CONFIDENCE_THRESHOLD = 0.5;
+const DEFAULT_ROUTE_CLASSIFIER_TIMEOUT_MS = 4000;
+
+const ROUTE_DECISION_SOURCE = Object.freeze({
+  RULES: 'rules',
+  DIALOGUE_STATE: 'dialogue_state',
+  CLASSIFIER: 'classifier',
+});
+
+const ROUTE_CLASSIFIER_STATUS = Object.freeze({
+  NOT_NEEDED: 'not_needed',
+  DISABLED: 'disabled',
+  SKIPPED: 'skipped',
+  REROUTED: 'rerouted',
+  AGREED: 'agreed',
+  CLARIFY: 'clarify',
+  REJECTED: 'rejected',
+  FAILED: 'failed',
+});
+
+// Capabilities the classifier may send a turn to. Stateful outcomes
+// (confirmation, continuation, invitation, bare affirmative) need dialogue
+// state the classifier never sees.
+const CLASSIFIER_ROUTABLE = new Set(BUILTIN_INTENT_RULES.map((r) => r.capability));
+
+// Only routes the router would otherwise send to free-form Azure or to a
+// rule that other rules contest. Clarify from the Capsule resolver is a
+// thread decision and write/confirmation state is never second-guessed.
+function isClassifiableRoute(route) {
+  if (!route || route.pendingType) return false;
+  if (route.capability === 'unknown') return true;
+  return route.decisionSource === ROUTE_DECISION_SOURCE.RULES && !!route.intentRule;
+}
+
+function routeConfidenceThreshold() {
+  const raw = process.env[ROUTE_CONFIDENCE_THRESHOLD_ENV_KEY];
+  if (raw == null || raw === '') return DEFAULT_ROUTE_CONFIDENCE_THRESHOLD;
+  const n = Number(raw);
+  if (!Number.isFinite(n) || n < 0 || n > 1) return DEFAULT_ROUTE_CONFIDENCE_THRESHOLD;
+  return n;
+}
+
+function routeClassifierTimeoutMs() {
+  return parseEnvMs('KEA_ROUTE_CLASSIFIER_TIMEOUT_MS', DEFAULT_ROUTE_CLASSIFIER_TIMEOUT_MS, 1000, 10000);
+}
+
+// KEA_LLM_MODEL_ROUTE_CLASSIFIER (any provider) or the LIGHT deployment.
+function routeClassifierDeployment() {
+  const model = configuredModel(LLM_CALL_SITES.ROUTE_CLASSIFIER);
+  if (model) return model;
+  const dep = process.env[ROUTE_CLASSIFIER_DEPLOYMENT_ENV_KEY];
+  return dep && String(dep).trim() ? String(dep).trim() : null;
+}
+
+function needsRouteClassifier(route, threshold = routeConfidenceThreshold()) {
+  if (!isClassifiableRoute(route)) return false;
+  const score = Number(route.confidenceScore);
+  return !Number.isFinite(score) || score < threshold;
+}
+
+const CAPABILITY_HINTS = Object.freeze({
+  product_help: 'how to use the app',
+  casual_conversation: 'greetings, thanks, small talk',
+  financial_lookup: 'a specific amount, merchant, category or transaction',
+  financial_forecast: 'projected balance or future cash position',
+  cashflow_analysis: 'income vs spending analysis for a period',
+  cashflow_comparison: 'compare two periods',
+  cashflow_trend: 'how something changed over several periods',
+  cashflow_recurring: 'bills, subscriptions, recurring items',
+  cashflow_upcoming: 'scheduled items coming up',
+  cashflow_income_horizon: 'next paycheck and what is due before it',
+  cashflow_budget: 'monthly category budgets: set one, or check spending against it',
+  cashflow_anomaly: 'unusual, duplicate, or unexpectedly large charges',
+  debt_payoff: 'paying off credit cards or loans: avalanche vs snowball, payoff date, extra payments',
+  affordability_or_planning: 'can I afford / should I buy',
+  mixed_macro: 'several financial questions at once',
+  transaction_write: 'add, edit or delete a transaction',
+  goal_write: 'create or change a savings goal',
+  simulation: 'what-if scenario',
+  navigation_ui: 'open a screen or filtered view',
+  conversation_clarify: 'too ambiguous to act on',
+  unknown: 'general conversation none of the above fit',
+});
+
+function buildRouteClassifierMessages(message, route = {}) {
+  const candidates = (route.runnerUps || []).map((r) => r.capability);
+  if (route.capability && route.capability !== 'unknown') candidates.unshift(route.capability);
+  const lines = Object.keys(CAPABILITY_HINTS).map((c) => `- ${c}: ${CAPABILITY_HINTS[c]}`);
+  const system = [
+    'You route one message for a personal cash-flow assistant.',
+    'Pick the single best capability and reply with JSON {"capability": "<value>"} only.',
+    ...lines,
+    candidates.length ? `The rules matched: ${candidates.join(', ')}.` : 'No rule matched.',
+  ].join('\n');
+  return [
+    { role: 'system', content: system },
+    { role: 'user', content: String(message || '').slice(0, 500) },
+  ];
+}
+
+const ROUTE_CLASSIFIER_RESPONSE_FORMAT = Object.freeze({
+  type: 'json_schema',
+  json_schema: {
+    name: 'kea_route',
+    strict: true,
+    schema: {
+      type: 'object',
+      properties: { capability: { type: 'string', enum: CAPABILITIES.slice() } },
+      required: ['capability'],
+      additionalProperties: false,
+    },
+  },
+});
+
+/** The classifier's capability, or null when the reply is not one of CAPABILITIES. */
+function parseClassifierAnswer(data) {
+  const content = data && data.choices && data.choices[0] && data.choices[0].message
+    ? data.choices[0].message.content
+    : null;
+  if (typeof content !== 'string' || !content.trim()) return null;
+  let parsed;
+  try {
+    parsed = JSON.parse(content);
+  } catch (err) {
+    return null;
+  }
+  const capability = parsed && typeof parsed.capability === 'string' ? parsed.capability.trim() : null;
+  return capability && CAPABILITIES.indexOf(capability) !== -1 ? capability : null;
+}
+
+function clarifyRoute(route, message) {
+  return {
+    ...route,
+    capability: 'conversation_clarify',
+    intentRule: null,
+    clarifyReason: 'low_confidence',
+    message: String(message || ''),
+    lookupRequests: [],
+  };
+}
+
+function routeTelemetryFor(route, status, ms) {
+  return {
+    route_decision_source: route.decisionSource || null,
+    route_confidence_score: Number.isFinite(Number(route.confidenceScore)) ? Number(route.confidenceScore) : null,
+    route_runner_up_count: Array.isArray(route.runnerUps) ? route.runnerUps.length : 0,
+    route_classifier_status: status,
+    route_classifier_ms: ms || 0,
+  };
+}
+
+/**
+ * Settle a low-confidence route. `routeInput` is the object routeCapability
+ * was called with (reroutes re-extract slots from it). Never throws.
+ */
+async function resolveLowConfidenceRoute(route, {
+  routeInput = {},
+  queryFn,
+  requestId,
+  lifecycle,
+  threshold,
+  deployment,
+} = {}) {
+  const limit = threshold != null ? threshold : routeConfidenceThreshold();
+  if (!needsRouteClassifier(route, limit)) {
+    return { route, telemetry: routeTelemetryFor(route, ROUTE_CLASSIFIER_STATUS.NOT_NEEDED) };
+  }
+  const dep = deployment !== undefined ? deployment : routeClassifierDeployment();
+  if (!dep || typeof queryFn !== 'function') {
+    return { route, telemetry: routeTelemetryFor(route, ROUTE_CLASSIFIER_STATUS.DISABLED) };
+  }
+  const timeoutMs = routeClassifierTimeoutMs();
+  if (!shouldStartNewExpensiveWork(lifecycle)
+    || (lifecycle && typeof lifecycle.hasBudgetFor === 'function' && !lifecycle.hasBudgetFor(timeoutMs))) {
+    return { route, telemetry: routeTelemetryFor(route, ROUTE_CLASSIFIER_STATUS.SKIPPED) };
+  }
+
+  const t0 = Date.now();
+  let answer = null;
+  try {
+    const data = await queryFn(buildRouteClassifierMessages(routeInput.message, route), {
+      tools: [],
+      tool_choice: 'none',
+      temperature: 0,
+      max_tokens: 20,
+      timeout: timeoutMs,
+      callSite: LLM_CALL_SITES.ROUTE_CLASSIFIER,
+      deployment: dep,
+      response_format: ROUTE_CLASSIFIER_RESPONSE_FORMAT,
+      requestId,
+      signal: lifecycle && lifecycle.signal ? lifecycle.signal : undefined,
+    });
+    answer = parseClassifierAnswer(data);
+  } catch (err) {
+    console.warn('Kea route classifier failed:', err && err.message ? err.message : err);
+    return { route, telemetry: routeTelemetryFor(route, ROUTE_CLASSIFIER_STATUS.FAILED, Date.now() - t0) };
+  }
+  const ms = Date.now() - t0;
+
+  if (!answer) {
+    return { route, telemetry: routeTelemetryFor(route, ROUTE_CLASSIFIER_STATUS.FAILED, ms) };
+  }
+  if (answer === route.capability || answer === 'unknown') {
+    return { route, telemetry: routeTelemetryFor(route, ROUTE_CLASSIFIER_STATUS.AGREED, ms) };
+  }
+  if (answer === 'conversation_clarify') {
+    const next = { ...clarifyRoute(route, routeInput.message), decisionSource: ROUTE_DECISION_SOURCE.CLASSIFIER };
+    return { route: next, telemetry: routeTelemetryFor(next, ROUTE_CLASSIFIER_STATUS.CLARIFY, ms) };
+  }
+  const contested = route.capability !== 'unknown';
+  const allowed = CLASSIFIER_ROUTABLE.has(answer)
+    && (!contested || (route.runnerUps || []).some((r) => r.capability === answer));
+  const rerouted = allowed ? rerouteToCapability(route, answer, routeInput) : null;
+  if (!rerouted) {
+    return { route, telemetry: routeTelemetryFor(route, ROUTE_CLASSIFIER_STATUS.REJECTED, ms) };
+  }
+  const next = { ...rerouted, decisionSource: ROUTE_DECISION_SOURCE.CLASSIFIER };
+  return { route: next, telemetry: routeTelemetryFor(next, ROUTE_CLASSIFIER_STATUS.REROUTED, ms) };
+}
+
+function emptyRouteTelemetry() {
+  return {
+    route_decision_source: null,
+    route_confidence_score: null,
+    route_runner_up_count: 0,
+    route_classifier_status: ROUTE_CLASSIFIER_STATUS.NOT_NEEDED,
+    route_classifier_ms: 0,
+  };
+}
+
+const DECISION_SOURCES = new Set(Object.values(ROUTE_DECISION_SOURCE));
+const CLASSIFIER_STATUSES = new Set(Object.values(ROUTE_CLASSIFIER_STATUS));
+
+function sanitizeRouteTelemetry(flags) {
+  const out = emptyRouteTelemetry();
+  if (!flags || typeof flags !== 'object') return out;
+  if (DECISION_SOURCES.has(flags.route_decision_source)) out.route_decision_source = flags.route_decision_source;
+  const score = Number(flags.route_confidence_score);
+  if (flags.route_confidence_score != null && Number.isFinite(score) && score >= 0 && score <= 1) {
+    out.route_confidence_score = score;
+  }
+  const count = Number(flags.route_runner_up_count);
+  if (Number.isInteger(count) && count >= 0) out.route_runner_up_count = count;
+  if (CLASSIFIER_STATUSES.has(flags.route_classifier_status)) out.route_classifier_status = flags.route_classifier_status;
+  const ms = Number(flags.route_classifier_ms);
+  if (Number.isFinite(ms) && ms >= 0) out.route_classifier_ms = Math.round(ms);
+  return out;
+}
+
+module.exports = {
+  ROUTE_CONFIDENCE_THRESHOLD_ENV_KEY,
+  ROUTE_CLASSIFIER_DEPLOYMENT_ENV_KEY,
+  DEFAULT_ROUTE_CONFIDENCE_THRESHOLD,
+  ROUTE_DECISION_SOURCE,
+  ROUTE_CLASSIFIER_STATUS,
+  ROUTE_CLASSIFIER_RESPONSE_FORMAT,
+  routeConfidenceThreshold,
+  routeClassifierDeployment,
+  needsRouteClassifier,
+  buildRouteClassifierMessages,
+  parseClassifierAnswer,
+  resolveLowConfidenceRoute,
+  emptyRouteTelemetry,
+  sanitizeRouteTelemetry,
+};
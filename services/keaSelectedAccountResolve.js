@@ -1,10 +1,36 @@
 'use strict';
 
+const crypto = require('crypto');
 const { compactSelectedAccount, measurePayloadKeyBytes } = require('./keaAccountSnapshot');
-const { selectedAccountToolCacheKey, emitKeaSnapshotInvalidated } = require('./keaAccountCache');
+const {
+  selectedAccountToolCacheKey,
+  selectedAccountGenerationKey,
+  emitKeaSnapshotInvalidated,
+} = require('./keaAccountCache');
+const { defineLocalScript } = require('./memoryStore');
 
+// Soft TTL: a snapshot younger than this is served as-is. Between the soft
+// and hard TTL it is still served, but a background refresh is started. Past
+// the hard TTL Kea refetches first and only falls back to the cached copy
+// (marked stale) when Cashflow is unreachable. Redis keeps the key for
+// SELECTED_ACCOUNT_TOOL_RETAIN_SECONDS so that fallback has something to use.
 const SELECTED_ACCOUNT_TOOL_TTL = 300;
+const SELECTED_ACCOUNT_TOOL_HARD_TTL = 1800;
+const SELECTED_ACCOUNT_TOOL_RETAIN_SECONDS = 24 * 60 * 60;
 const SELECTED_ACCOUNT_TOOL_TIMEOUT_MS = 25000;
+const SELECTED_ACCOUNT_REFRESH_LOCK_SECONDS = 30;
+
+function positiveIntEnv(name, fallback) {
+  const n = parseInt(process.env[name], 10);
+  return Number.isFinite(n) && n > 0 ? n : fallback;
+}
+
+function snapshotTtls() {
+  const soft = positiveIntEnv('KEA_SNAPSHOT_SOFT_TTL_SECONDS', SELECTED_ACCOUNT_TOOL_TTL);
+  const hard = Math.max(soft, positiveIntEnv('KEA_SNAPSHOT_HARD_TTL_SECONDS', SELECTED_ACCOUNT_TOOL_HARD_TTL));
+  const retain = Math.max(hard, positiveIntEnv('KEA_SNAPSHOT_RETAIN_SECONDS', SELECTED_ACCOUNT_TOOL_RETAIN_SECONDS));
+  return { soft, hard, retain };
+}
 
 function payloadHistogramEnabled() {
   return process.env.KEA_PAYLOAD_HISTOGRAM === '1';
@@ -28,14 +54,28 @@ class KeaContextFetchError extends Error {
   }
 }
 
-async function cacheCompactJson(redis, toolCacheKey, compact, telemetry) {
+/**
+ * Redis value for a compact snapshot: the contract object plus `_keaCachedAt`
+ * (ISO write time), which the soft/hard TTL checks read back.
+ */
+function snapshotCacheEntry(compact, now = Date.now()) {
+  return JSON.stringify({ ...compact, _keaCachedAt: new Date(now).toISOString() });
+}
+
+// Seconds since the entry was written; null for entries written before the stamp.
+function snapshotAgeSeconds(parsed, now) {
+  const at = Date.parse(parsed && parsed._keaCachedAt);
+  return Number.isFinite(at) ? Math.max(0, Math.floor((now - at) / 1000)) : null;
+}
+
+async function cacheCompactJson(redis, toolCacheKey, compact, telemetry, now = Date.now()) {
   if (telemetry) telemetry.markStart('selected_account_stringify');
-  const compactJson = JSON.stringify(compact);
+  const compactJson = snapshotCacheEntry(compact, now);
   if (telemetry) telemetry.markEnd('selected_account_stringify');
   const payloadBytes = Buffer.byteLength(compactJson, 'utf8');
   if (telemetry) telemetry.markStart('selected_account_redis_set');
   try {
-    await redis.set(toolCacheKey, compactJson, 'EX', SELECTED_ACCOUNT_TOOL_TTL);
+    await redis.set(toolCacheKey, compactJson, 'EX', snapshotTtls().retain);
   } catch (e) {
     console.warn('Selected-account compact cache write failed:', e.message);
   }
@@ -43,9 +83,82 @@ async function cacheCompactJson(redis, toolCacheKey, compact, telemetry) {
   return payloadBytes;
 }
 
+async function fetchAuthoritativeCompact(fetchKeaContext, { accountId, token, currentDate, requestId }) {
+  const fresh = await fetchKeaContext({
+    accountId,
+    token,
+    body: { clientDate: currentDate },
+    timeoutMs: SELECTED_ACCOUNT_TOOL_TIMEOUT_MS,
+    requestId,
+  });
+  if (!isAuthoritativeKeaCompact(fresh)) {
+    throw new KeaContextFetchError('Kea context response failed schemaVersion 1 validation');
+  }
+  return fresh;
+}
+
+// Write the refreshed snapshot only while the refresh's generation is still
+// current; invalidateSelectedAccountToolCache drops it.
+const WRITE_IF_GENERATION_SCRIPT = defineLocalScript(`
+if redis.call('GET', KEYS[2]) ~= ARGV[1] then return 0 end
+redis.call('SET', KEYS[1], ARGV[2], 'EX', tonumber(ARGV[3]))
+redis.call('DEL', KEYS[2])
+return 1
+`, (ops, [cacheKey, generationKey], [generation, entry, ttl]) => {
+  if (ops.get(generationKey) !== generation) return 0;
+  ops.set(cacheKey, entry, Number(ttl));
+  ops.del(generationKey);
+  return 1;
+});
+
+/**
+ * Past the soft TTL: refetch off the request path. One refresh per key at a
+ * time (SET NX lock); failures only log, the cached copy stays in place.
+ * The refresh stamps a generation before fetching and writes back only if
+ * no invalidation dropped it meanwhile, so a write's invalidation is never
+ * undone by a snapshot fetched before it.
+ */
+async function refreshInBackground({ redis, userId, toolCacheKey, fetchKeaContext, accountId, token, currentDate, requestId, now }) {
+  try {
+    const lock = await redis.set(`${toolCacheKey}:refresh`, '1', 'EX', SELECTED_ACCOUNT_REFRESH_LOCK_SECONDS, 'NX');
+    if (lock !== 'OK') return false;
+  } catch (e) {
+    console.warn('Selected-account refresh lock failed (fail-soft):', e.message);
+  }
+  const generationKey = selectedAccountGenerationKey(userId, accountId);
+  const generation = crypto.randomBytes(8).toString('hex');
+  try {
+    await redis.set(generationKey, generation, 'EX', SELECTED_ACCOUNT_REFRESH_LOCK_SECONDS);
+    const fresh = await fetchAuthoritativeCompact(fetchKeaContext, { accountId, token, currentDate, requestId });
+    const written = await redis.eval(
+      WRITE_IF_GENERATION_SCRIPT,
+      2,
+      toolCacheKey,
+      generationKey,
+      generation,
+      snapshotCacheEntry(fresh, now),
+      snapshotTtls().retain,
+    );
+    if (Number(written) !== 1) {
+      console.warn('Selected-account background refresh dropped: snapshot invalidated while it ran');
+      return false;
+    }
+    return true;
+  } catch (e) {
+    console.warn('Selected-account background refresh failed:', e.message);
+    return false;
+  }
+}
+
 /**
  * Redis compact snapshot, else POST /account/kea-context/:accid.
- * Caches schemaVersion 1 objects as-is. Does not call /account/selected.
+ * Caches schemaVersion 1 objects as-is (plus `_keaCachedAt`). Does not call
+ * /account/selected.
+ *
+ * `freshness` is 'fresh', 'revalidating' (older than the soft TTL; served
+ * while a background refresh runs) or 'stale' (older than the hard TTL and
+ * Cashflow failed). Non-fresh snapshots carry `_keaFreshness` so
+ * snapshotLimitations tells the model the figures may be out of date.
  */
 async function resolveKeaSelectedAccount({
   userId,
@@ -56,10 +169,13 @@ async function resolveKeaSelectedAccount({
   redis,
   fetchKeaContext,
   telemetry,
+  now = Date.now(),
 } = {}) {
   const result = {
     selectedAccount: null,
     source: 'none',
+    freshness: null,
+    refresh: null,
     cacheHit: null,
     payloadBytes: null,
     fullPayloadBytes: null,
@@ -91,6 +207,7 @@ async function resolveKeaSelectedAccount({
   }
   if (telemetry) telemetry.markEnd('selected_account_cache_lookup');
 
+  let staleFallback = null;
   if (cached) {
     result.payloadBytes = Buffer.byteLength(cached, 'utf8');
     if (telemetry) telemetry.markStart('selected_account_parse');
@@ -99,10 +216,26 @@ async function resolveKeaSelectedAccount({
       if (telemetry) telemetry.markEnd('selected_account_parse');
 
       if (isAuthoritativeKeaCompact(parsed)) {
-        result.selectedAccount = parsed;
-        result.source = 'tool-cache';
-        result.cacheHit = true;
-        return result;
+        const ttls = snapshotTtls();
+        const age = snapshotAgeSeconds(parsed, now);
+        if (age === null || age < ttls.soft) {
+          result.selectedAccount = parsed;
+          result.source = 'tool-cache';
+          result.freshness = 'fresh';
+          result.cacheHit = true;
+          return result;
+        }
+        if (age < ttls.hard) {
+          result.selectedAccount = { ...parsed, _keaFreshness: 'revalidating' };
+          result.source = 'tool-cache';
+          result.freshness = 'revalidating';
+          result.cacheHit = true;
+          result.refresh = refreshInBackground({
+            redis, userId, toolCacheKey, fetchKeaContext, accountId, token, currentDate, requestId, now,
+          });
+          return result;
+        }
+        staleFallback = parsed;
       }
 
       if (payloadHistogramEnabled() && parsed && parsed._keaCompact !== true) {
@@ -113,10 +246,11 @@ async function resolveKeaSelectedAccount({
       if (telemetry) telemetry.markStart('selected_account_compact');
       const adapted = compactSelectedAccount(parsed, currentDate);
       if (telemetry) telemetry.markEnd('selected_account_compact');
-      if (adapted && isAuthoritativeKeaCompact(adapted)) {
-        result.payloadBytes = await cacheCompactJson(redis, toolCacheKey, adapted, telemetry);
+      if (!staleFallback && adapted && isAuthoritativeKeaCompact(adapted)) {
+        result.payloadBytes = await cacheCompactJson(redis, toolCacheKey, adapted, telemetry, now);
         result.selectedAccount = adapted;
         result.source = 'tool-cache';
+        result.freshness = 'fresh';
         result.cacheHit = true;
         emitKeaSnapshotInvalidated({
           reason: 'rewrite_legacy',
@@ -134,36 +268,32 @@ async function resolveKeaSelectedAccount({
 
   if (telemetry) telemetry.markStart('selected_account_http');
   try {
-    const fresh = await fetchKeaContext({
-      accountId,
-      token,
-      body: { clientDate: currentDate },
-      timeoutMs: SELECTED_ACCOUNT_TOOL_TIMEOUT_MS,
-      requestId,
-    });
+    const fresh = await fetchAuthoritativeCompact(fetchKeaContext, { accountId, token, currentDate, requestId });
     if (telemetry) telemetry.markEnd('selected_account_http');
 
-    if (!isAuthoritativeKeaCompact(fresh)) {
-      result.error = new KeaContextFetchError(
-        'Kea context response failed schemaVersion 1 validation'
-      );
-      return result;
-    }
-
     if (telemetry) telemetry.markStart('selected_account_compact');
     if (telemetry) telemetry.markEnd('selected_account_compact');
-    result.payloadBytes = await cacheCompactJson(redis, toolCacheKey, fresh, telemetry);
+    result.payloadBytes = await cacheCompactJson(redis, toolCacheKey, fresh, telemetry, now);
     result.selectedAccount = fresh;
     result.source = 'tool-fresh';
+    result.freshness = 'fresh';
     result.fullPayloadBytes = null;
     result.payloadKeyBytes = null;
     return result;
   } catch (err) {
     if (telemetry) telemetry.markEnd('selected_account_http');
-    result.error = new KeaContextFetchError(
-      (err && err.message) || 'Kea context fetch failed',
-      err
-    );
+    const error = err instanceof KeaContextFetchError
+      ? err
+      : new KeaContextFetchError((err && err.message) || 'Kea context fetch failed', err);
+    if (staleFallback) {
+      console.warn('Selected-account refetch failed; serving stale snapshot:', error.message);
+      result.selectedAccount = { ...staleFallback, _keaFreshness: 'stale' };
+      result.source = 'tool-cache-stale';
+      result.freshness = 'stale';
+      result.cacheHit = true;
+      return result;
+    }
+    result.error = error;
     return result;
   }
 }
@@ -171,7 +301,11 @@ async function resolveKeaSelectedAccount({
 module.exports = {
   resolveKeaSelectedAccount,
   isAuthoritativeKeaCompact,
+  snapshotCacheEntry,
+  snapshotTtls,
   SELECTED_ACCOUNT_TOOL_TTL,
+  SELECTED_ACCOUNT_TOOL_HARD_TTL,
+  SELECTED_ACCOUNT_TOOL_RETAIN_SECONDS,
   SELECTED_ACCOUNT_TOOL_TIMEOUT_MS,
   KeaContextFetchError,
 };
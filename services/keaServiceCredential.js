@@ -0,0 +1,72 @@
+'use strict';
+
+/**
+ * Service credentials for Kea's own server-side runs (the digest cron).
+ *
+ * A cron has no user session. For each opted-in (user, account) pair Kea
+ * mints a short-lived Cashflow JWT with the shared Cashflow secret:
+ *
+ *   { id: <userId>, kea_service: <purpose>, accountid: '<accountId>' }   exp SERVICE_CREDENTIAL_TTL_SECONDS
+ *
+ * Cashflow accepts it like a session token without `jti`, so the macros run
+ * with that user's own Cashflow access and nothing more. assertAccountAccess
+ * verifies a credential before its owner / satellite lookup: signature,
+ * expiry, purpose, user and account must all match. cashflowAuth rejects
+ * these tokens, so one never works as a chat session.
+ */
+
+const jwt = require('jsonwebtoken');
+const { getCashflowJwtSecret } = require('../middleware/cashflowAuth');
+
+const SERVICE_CREDENTIAL_TTL_SECONDS = 5 * 60;
+const SERVICE_PURPOSES = Object.freeze(['digest']);
+
+class ServiceCredentialError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.name = 'ServiceCredentialError';
+    this.code = code;
+  }
+}
+
+/** { purpose, userId, accountId, token } for one account; throws ServiceCredentialError. */
+function mintServiceCredential({ purpose, userId, accountId }) {
+  const secret = getCashflowJwtSecret();
+  if (!secret) throw new ServiceCredentialError('CASHFLOW_JWT_SECRET_MISSING', 'Cashflow JWT secret not configured');
+  if (SERVICE_PURPOSES.indexOf(purpose) === -1) {
+    throw new ServiceCredentialError('SERVICE_PURPOSE_INVALID', `Unknown service purpose: ${purpose}`);
+  }
+  if (userId == null || userId === '' || accountId == null || accountId === '') {
+    throw new ServiceCredentialError('SERVICE_SCOPE_INVALID', 'A service credential needs a user and an account');
+  }
+  const token = jwt.sign(
+    { id: userId, kea_service: purpose, accountid: String(accountId) },
+    secret,
+    { expiresIn: SERVICE_CREDENTIAL_TTL_SECONDS },
+  );
+  return { purpose, userId, accountId: String(accountId), token };
+}
+
+/** True when `credential` is a live Kea service token for exactly this user and account. */
+function serviceCredentialCovers(credential, { userId, accountId }) {
+  const secret = getCashflowJwtSecret();
+  if (!secret || !credential || typeof credential.token !== 'string') return false;
+  let payload;
+  try {
+    payload = jwt.verify(credential.token, secret);
+  } catch (_) {
+    return false;
+  }
+  return SERVICE_PURPOSES.indexOf(payload.kea_service) !== -1
+    && payload.kea_service === credential.purpose
+    && String(payload.id) === String(userId)
+    && String(payload.accountid) === String(accountId);
+}
+
+module.exports = {
+  SERVICE_CREDENTIAL_TTL_SECONDS,
+  SERVICE_PURPOSES,
+  ServiceCredentialError,
+  mintServiceCredential,
+  serviceCredentialCovers,
+};
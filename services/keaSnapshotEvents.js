@@ -0,0 +1,189 @@
+'use strict';
+
+/**
+ * Account-change events from Cashflow → compact snapshot invalidation.
+ *
+ * The compact Kea-context snapshot (`summarization:tool:selectedaccount:*`,
+ * TTL 300s) used to go stale whenever a user changed their calendar outside
+ * chat. Cashflow now posts signed events (POST /api/webhooks/cashflow/
+ * account-events, middleware/webhookSignature.js) and each one deletes the
+ * snapshot key of every listed viewer through invalidateSelectedAccountToolCache,
+ * which emits `kea_snapshot_invalidated` with the EVENT_REASONS reason.
+ *
+ * An event with a single viewer may carry the fresh compact snapshot
+ * (`snapshot`, the same `_keaCompact` v1 contract /account/kea-context
+ * returns) to re-warm that viewer's key (stamped like any other write, so the
+ * soft/hard TTLs start from now) instead of leaving the next chat turn to
+ * miss. The compact is built per viewer, so with several viewers the keys are
+ * only invalidated. Event ids are remembered for EVENT_DEDUPE_TTL_SECONDS so
+ * Cashflow retries are no-ops (fail-soft: without Redis the event is simply
+ * processed again; invalidation is idempotent). An event whose invalidation
+ * fails releases its id and reports `failed`, so the retry is applied.
+ */
+
+const {
+  selectedAccountToolCacheKey,
+  invalidateSelectedAccountToolCache,
+} = require('./keaAccountCache');
+const { isAuthoritativeKeaCompact, snapshotCacheEntry, snapshotTtls } = require('./keaSelectedAccountResolve');
+
+const EVENT_REASONS = Object.freeze({
+  'transaction.created': 'webhook_transaction_created',
+  'transaction.updated': 'webhook_transaction_updated',
+  'transaction.deleted': 'webhook_transaction_deleted',
+  'provider_sync.finished': 'webhook_provider_sync_finished',
+  'goal.changed': 'webhook_goal_changed',
+});
+const MAX_EVENTS_PER_REQUEST = 50;
+const MAX_VIEWERS_PER_EVENT = 20;
+const EVENT_DEDUPE_PREFIX = 'kea:webhook:event:';
+const EVENT_DEDUPE_TTL_SECONDS = 24 * 60 * 60;
+
+class SnapshotEventError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.name = 'SnapshotEventError';
+    this.code = code;
+  }
+}
+
+function present(v) {
+  return v !== undefined && v !== null && String(v).trim() !== '';
+}
+
+/**
+ * Validate one event: { id, type, accountId, userId | userIds[], snapshot? }.
+ * `userIds` lists everyone with a cached view of the account (owner and
+ * satellite members), since the snapshot key is per user + account.
+ */
+function normalizeEvent(event) {
+  const e = event && typeof event === 'object' ? event : {};
+  if (!present(e.id)) throw new SnapshotEventError('EVENT_ID_REQUIRED', 'event id is required');
+  if (!EVENT_REASONS[e.type]) {
+    throw new SnapshotEventError('EVENT_TYPE_UNKNOWN', `type must be one of ${Object.keys(EVENT_REASONS).join(', ')}`);
+  }
+  if (!present(e.accountId)) throw new SnapshotEventError('EVENT_ACCOUNT_REQUIRED', 'accountId is required');
+  const userIds = [...new Set((Array.isArray(e.userIds) ? e.userIds : [e.userId]).filter(present).map(String))];
+  if (!userIds.length || userIds.length > MAX_VIEWERS_PER_EVENT) {
+    throw new SnapshotEventError('EVENT_USERS_INVALID', `userId or 1-${MAX_VIEWERS_PER_EVENT} userIds are required`);
+  }
+  return {
+    id: String(e.id).slice(0, 128),
+    type: e.type,
+    reason: EVENT_REASONS[e.type],
+    accountId: String(e.accountId),
+    userIds,
+    snapshot: e.snapshot && typeof e.snapshot === 'object' ? e.snapshot : null,
+  };
+}
+
+// True when this event id was not seen before (or Redis cannot tell).
+async function claimEvent(redis, id) {
+  try {
+    const ok = await redis.set(`${EVENT_DEDUPE_PREFIX}${id}`, '1', 'EX', EVENT_DEDUPE_TTL_SECONDS, 'NX');
+    return ok === 'OK';
+  } catch (e) {
+    console.warn('Webhook event dedupe failed (fail-soft):', e.message);
+    return true;
+  }
+}
+
+// Forget a claimed id so a retry of an event that failed is applied.
+async function releaseEvent(redis, id) {
+  try {
+    await redis.del(`${EVENT_DEDUPE_PREFIX}${id}`);
+  } catch (e) {
+    console.warn('Webhook event release failed (fail-soft):', e.message);
+  }
+}
+
+function canRewarm(event) {
+  return !!(event.snapshot
+    && isAuthoritativeKeaCompact(event.snapshot)
+    && String(event.snapshot.accountid) === event.accountId);
+}
+
+async function rewarm(redis, userId, event) {
+  try {
+    await redis.set(selectedAccountToolCacheKey(userId, event.accountId), snapshotCacheEntry(event.snapshot), 'EX', snapshotTtls().retain);
+    return true;
+  } catch (e) {
+    console.warn('Snapshot re-warm failed (fail-soft):', e.message);
+    return false;
+  }
+}
+
+function rewarmSkipReason(event) {
+  if (!event.snapshot) return null;
+  if (!canRewarm(event)) return 'snapshot_not_authoritative';
+  if (event.userIds.length !== 1) return 'multiple_viewers';
+  return null;
+}
+
+/**
+ * Apply one validated event. Resolves { id, type, status: 'applied' |
+ * 'duplicate' | 'failed', invalidated, rewarmed }.
+ */
+async function applySnapshotEvent(event, { redis, requestId } = {}) {
+  const store = redis || require('./redisService');
+  if (!(await claimEvent(store, event.id))) {
+    return { id: event.id, type: event.type, status: 'duplicate', invalidated: 0, rewarmed: 0 };
+  }
+  const skipped = rewarmSkipReason(event);
+  const warm = !!event.snapshot && !skipped;
+  let invalidated = 0;
+  let rewarmed = 0;
+  try {
+    for (const userId of event.userIds) {
+      if (await invalidateSelectedAccountToolCache(userId, event.accountId, { reason: event.reason, requestId, redis: store })) invalidated += 1;
+      if (warm && await rewarm(store, userId, event)) rewarmed += 1;
+    }
+  } catch (err) {
+    await releaseEvent(store, event.id);
+    throw err;
+  }
+  const failed = invalidated < event.userIds.length;
+  if (failed) await releaseEvent(store, event.id);
+  return {
+    id: event.id,
+    type: event.type,
+    status: failed ? 'failed' : 'applied',
+    invalidated,
+    rewarmed,
+    ...(skipped ? { rewarmSkipped: skipped } : {}),
+  };
+}
+
+/**
+ * Apply a webhook body ({ events: [...] } or a single event). Each event is
+ * validated on its own, so one malformed entry is reported without dropping
+ * the rest.
+ */
+async function applySnapshotEvents(body, { redis, requestId } = {}) {
+  const events = body && Array.isArray(body.events) ? body.events : (body ? [body] : []);
+  if (!events.length || events.length > MAX_EVENTS_PER_REQUEST) {
+    throw new SnapshotEventError('EVENTS_INVALID', `events must hold 1-${MAX_EVENTS_PER_REQUEST} entries`);
+  }
+  const results = [];
+  for (const raw of events) {
+    let event;
+    try {
+      event = normalizeEvent(raw);
+    } catch (err) {
+      if (!(err instanceof SnapshotEventError)) throw err;
+      results.push({ id: raw && raw.id != null ? String(raw.id) : null, status: 'rejected', code: err.code });
+      continue;
+    }
+    results.push(await applySnapshotEvent(event, { redis, requestId }));
+  }
+  return results;
+}
+
+module.exports = {
+  EVENT_REASONS,
+  MAX_EVENTS_PER_REQUEST,
+  SnapshotEventError,
+  normalizeEvent,
+  applySnapshotEvent,
+  applySnapshotEvents,
+};
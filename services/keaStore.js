@@ -0,0 +1,154 @@
+'use strict';
+
+/**
+ * Storage adapter: Redis primary, bounded in-memory LRU fallback.
+ *
+ * Dialogue state, the rolling summary, the compact snapshot, idempotency,
+ * usage counters and the auto-categorize cache all go through
+ * services/redisService.js, which exports one of these. While the ioredis
+ * client is not `ready`, or a command fails with a connection error (not a
+ * Redis ReplyError), commands run against services/memoryStore.js instead and
+ * the adapter reports `mode: 'memory'`. A failed command keeps the adapter
+ * degraded for `retryAfterMs` before Redis is tried again; on recovery the
+ * fallback is cleared so data from one outage cannot resurface in the next.
+ *
+ * Mode changes log `kea_store_mode_changed`; `health()` backs
+ * GET /api/cache/health.
+ */
+
+const { createMemoryStore } = require('./memoryStore');
+
+const DEFAULT_RETRY_AFTER_MS = 5000;
+const PRIMARY_DOWN_STATUSES = Object.freeze(['reconnecting', 'close', 'end']);
+
+const STORE_COMMANDS = Object.freeze([
+  'get', 'set', 'setex', 'del', 'unlink', 'exists', 'expire', 'ttl', 'incr', 'incrby', 'keys',
+  'eval', 'hincrby', 'hgetall', 'zincrby', 'zrevrange', 'ping', 'info',
+]);
+
+function isReplyError(err) {
+  return !!(err && err.name === 'ReplyError');
+}
+
+function emitStoreModeChanged({ from, to, reason }) {
+  try {
+    console.log(JSON.stringify({ event: 'kea_store_mode_changed', from, to, reason: reason || null }));
+  } catch (e) {
+    console.warn('kea_store_mode_changed emit failed:', e.message);
+  }
+}
+
+/**
+ * @param {object} [options]
+ * @param {object|null} [options.primary]  ioredis client; null → memory only
+ * @param {object} [options.fallback]      memoryStore instance
+ * @param {number} [options.retryAfterMs]
+ * @param {function} [options.now]
+ */
+function createResilientStore({
+  primary = null,
+  fallback = createMemoryStore(),
+  retryAfterMs = DEFAULT_RETRY_AFTER_MS,
+  now = Date.now,
+} = {}) {
+  const state = {
+    mode: primary ? 'redis' : 'memory',
+    degradedSince: null,
+    retryAt: 0,
+    lastError: null,
+    failovers: 0,
+  };
+
+  function degrade(reason, error) {
+    state.retryAt = now() + retryAfterMs;
+    if (error || !state.lastError) state.lastError = error || reason;
+    if (state.mode === 'memory') return;
+    state.mode = 'memory';
+    state.degradedSince = now();
+    state.failovers += 1;
+    emitStoreModeChanged({ from: 'redis', to: 'memory', reason });
+  }
+
+  function recover() {
+    if (state.mode === 'redis') return;
+    state.mode = 'redis';
+    state.degradedSince = null;
+    fallback.flushall().catch(() => {});
+    emitStoreModeChanged({ from: 'memory', to: 'redis', reason: 'primary_ready' });
+  }
+
+  function primaryUsable() {
+    if (!primary) return false;
+    const status = primary.status;
+    if (status !== undefined && status !== 'ready') {
+      // First connect: let ioredis queue the command (bounded by its
+      // commandTimeout). After an error or a dropped connection, do not wait.
+      if (!state.lastError && !PRIMARY_DOWN_STATUSES.includes(status)) return true;
+      degrade(`primary_${status}`);
+      return false;
+    }
+    return state.mode === 'redis' || now() >= state.retryAt;
+  }
+
+  if (primary && typeof primary.on === 'function') {
+    // Also keeps ioredis from printing "Unhandled error event" on every retry.
+    primary.on('error', (err) => { state.lastError = (err && (err.code || err.message)) || 'error'; });
+    primary.on('ready', () => { state.retryAt = 0; });
+  }
+
+  async function run(command, args) {
+    if (primaryUsable()) {
+      try {
+        const out = await primary[command](...args);
+        recover();
+        return out;
+      } catch (err) {
+        if (isReplyError(err)) throw err;
+        const error = (err && (err.code || err.message)) || 'command_failed';
+        degrade(error, error);
+      }
+    }
+    return fallback[command](...args);
+  }
+
+  const store = {};
+  for (const command of STORE_COMMANDS) {
+    store[command] = (...args) => run(command, args);
+  }
+  // Streams cannot be retried mid-flight; pick the side up front.
+  store.scanStream = (...args) => (primaryUsable() ? primary : fallback).scanStream(...args);
+  store.on = (...args) => {
+    if (primary && typeof primary.on === 'function') primary.on(...args);
+    return store;
+  };
+  store.quit = () => (primary ? primary.quit() : fallback.quit());
+  store.disconnect = () => (primary ? primary.disconnect() : fallback.disconnect());
+
+  Object.defineProperties(store, {
+    // Status of whatever currently serves commands, so callers that check
+    // `redis.status === 'ready'` keep working in degraded mode.
+    status: { get: () => (state.mode === 'redis' && primary ? primary.status || 'ready' : fallback.status) },
+    options: { get: () => (primary ? primary.options : {}) },
+    mode: { get: () => state.mode },
+    primary: { get: () => primary },
+    fallback: { get: () => fallback },
+  });
+
+  store.health = () => ({
+    mode: state.mode,
+    degraded: !!primary && state.mode !== 'redis',
+    primary: primary ? { configured: true, status: primary.status || null } : { configured: false, status: null },
+    degradedSince: state.degradedSince ? new Date(state.degradedSince).toISOString() : null,
+    lastError: state.lastError,
+    failovers: state.failovers,
+    fallback: { keys: fallback.size, maxKeys: fallback.maxKeys, evictions: fallback.evictions },
+  });
+
+  return store;
+}
+
+module.exports = {
+  STORE_COMMANDS,
+  DEFAULT_RETRY_AFTER_MS,
+  createResilientStore,
+};
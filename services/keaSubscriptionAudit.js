@@ -0,0 +1,644 @@
+'use strict';
+
+/**
+ * Subscription audit: the audit mode of cashflow_recurring
+ * (slots.recurringMode === 'audit').
+ *
+ * Starts from the scheduled recurring expense streams (the recurring macro)
+ * and checks each one against its posted charges from the last
+ * AUDIT_HISTORY_DAYS, matched by merchant name:
+ *
+ *   price increase          across the last AUDIT_OCCURRENCES posted charges
+ *                           the amount stepped up once (both sides within
+ *                           PRICE_STABLE_TOLERANCE) by at least PRICE_CHANGE_MIN
+ *                           and PRICE_CHANGE_MIN_RATIO
+ *   stale forecast          the stream has posted before, nothing has posted for
+ *                           max(STALE_MIN_DAYS, 2 × its cadence), and Keacast
+ *                           still schedules it
+ *   cancellation candidate  non-essential, still-charging streams ranked by
+ *                           annualized cost (monthlyEquivalent × 12)
+ *
+ * Essential categories (housing, utilities, insurance, debt, ...) are only
+ * checked for stale forecasts. Series ids for stale streams come from the
+ * scheduled rows in the next FORECAST_LOOKAHEAD_DAYS and stay off the facts
+ * (evidence.staleForecastTargets), so the model never sees them.
+ *
+ * Removing a stale series goes through the usual propose → confirm gate: the
+ * audit turn leaves dialogueState.staleForecastOffer, "yes" / "remove it"
+ * stages pendingSeriesRemoval (deleteTransaction scope=group) with a
+ * deterministic proposal, and the next confirmation runs it (controller
+ * commitPendingSeriesRemoval). Any other route drops the offer.
+ */
+
+const moment = require('moment');
+const {
+  authorizedPrefetchRead,
+  fetchCompletePeriodTransactions,
+  prefetchCashflowRecurringMacro,
+  streamMatchesLabel,
+  emptyEvidence,
+  isExcludedFromHistoricalSpend,
+  txnMatchesSubject,
+  PAGE_LIMIT,
+} = require('./keaGroundingPrefetch');
+const { frequencyLabel } = require('../utils/frequencyLabel');
+const { merchantMatchKey } = require('../utils/vendorNormalize');
+
+const AUDIT_HISTORY_DAYS = 180;
+const AUDIT_OCCURRENCES = 3;
+const FORECAST_LOOKAHEAD_DAYS = 60;
+const STALE_MIN_DAYS = 45;
+const PRICE_CHANGE_MIN = 0.5;
+const PRICE_CHANGE_MIN_RATIO = 0.02;
+const PRICE_STABLE_TOLERANCE = 0.01;
+const MAX_CANDIDATES = 5;
+const MAX_LISTED = 10;
+const MAX_OFFER_TARGETS = 3;
+const SUBSCRIPTIONS_ROUTE = '/subscriptions';
+
+const ESSENTIAL_CATEGORY_RE = /\b(rent|mortgage|housing|utilit\w*|electric\w*|water|gas|insurance|loans?|debt|credit card|tax(es)?|child ?care|tuition|medical|health ?care|pharmacy)\b/i;
+
+const SUBSCRIPTION_WORDS_RE = /\b(subscriptions?|memberships?|streaming services?|recurring (charges?|bills?|expenses?|payments?|services?))\b/;
+
+function round2(n) {
+  return Math.round(n * 100) / 100;
+}
+
+function lower(text) {
+  return String(text || '').trim().toLowerCase();
+}
+
+function rowDate(t) {
+  return String((t && (t.start || t.date)) || '').slice(0, 10);
+}
+
+function isEssential(stream) {
+  return ESSENTIAL_CATEGORY_RE.test(`${(stream && stream.category) || ''} ${(stream && stream.label) || ''}`);
+}
+
+function annualizedCost(stream) {
+  const monthly = Number(stream && stream.monthlyEquivalent);
+  if (Number.isFinite(monthly)) return round2(Math.abs(monthly) * 12);
+  const amount = Math.abs(Number(stream && stream.amount));
+  const freq = Number(stream && stream.frequency);
+  if (Number.isFinite(amount) && Number.isFinite(freq) && freq > 2) return round2(amount * (365 / freq));
+  return null;
+}
+
+/** Posted charges matching `stream`, oldest first, as { date, amount }. */
+function postedChargesFor(stream, rows, { start, end }) {
+  const out = [];
+  for (const t of rows || []) {
+    const amount = Number(t && t.amount);
+    if (!Number.isFinite(amount) || amount >= 0 || isExcludedFromHistoricalSpend(t)) continue;
+    const date = rowDate(t);
+    if (!date || date < start || date > end) continue;
+    if (!txnMatchesSubject(t, 'merchant', stream.label)) continue;
+    out.push({ date, amount: round2(Math.abs(amount)) });
+  }
+  return out.sort((a, b) => (a.date < b.date ? -1 : a.date > b.date ? 1 : 0));
+}
+
+function within(amount, reference) {
+  return Math.abs(amount - reference) <= reference * PRICE_STABLE_TOLERANCE;
+}
+
+/** One step up across the last AUDIT_OCCURRENCES charges, or null. */
+function priceIncreaseFor(charges) {
+  const recent = charges.slice(-AUDIT_OCCURRENCES);
+  if (recent.length < 2) return null;
+  const first = recent[0];
+  const last = recent[recent.length - 1];
+  const increase = round2(last.amount - first.amount);
+  if (increase < PRICE_CHANGE_MIN || increase < first.amount * PRICE_CHANGE_MIN_RATIO) return null;
+  const step = recent.findIndex((c) => c.amount > first.amount * (1 + PRICE_STABLE_TOLERANCE));
+  if (step < 1) return null;
+  const stable = recent.slice(0, step).every((c) => within(c.amount, first.amount))
+    && recent.slice(step).every((c) => within(c.amount, last.amount));
+  if (!stable) return null;
+  return {
+    previousAmount: first.amount,
+    previousDate: recent[step - 1].date,
+    currentAmount: last.amount,
+    changeDate: recent[step].date,
+    increase,
+    percentIncrease: Math.round((increase / first.amount) * 1000) / 10,
+    occurrenceCount: recent.length,
+  };
+}
+
+function staleThresholdDays(stream) {
+  const freq = Number(stream && stream.frequency);
+  const cadence = Number.isFinite(freq) && freq > 2 ? freq : 30;
+  return Math.max(STALE_MIN_DAYS, 2 * cadence);
+}
+
+/**
+ * Audit `streams` (recurring macro expense rows) against posted history rows.
+ * Pure. Returns { priceIncreases, staleForecasts, cancellationCandidates,
+ * candidateCount, totals }, lists sorted and capped. Stale rows still carry
+ * their source `stream` for the series lookup; the prefetch drops it.
+ */
+function auditStreams({ streams, historyRows, history, currentDate, historyComplete = true } = {}) {
+  const today = String(currentDate || '').slice(0, 10);
+  const priceIncreases = [];
+  const staleForecasts = [];
+  const candidates = [];
+  for (const stream of streams || []) {
+    if (!stream || !stream.label) continue;
+    const charges = historyComplete ? postedChargesFor(stream, historyRows, history) : [];
+    const lastCharge = charges.length ? charges[charges.length - 1] : null;
+    const yearly = annualizedCost(stream);
+    const base = {
+      label: stream.label,
+      category: stream.category || null,
+      amount: stream.amount != null ? round2(Math.abs(Number(stream.amount))) : null,
+      frequencyLabel: stream.frequencyLabel || null,
+    };
+
+    const threshold = staleThresholdDays(stream);
+    const daysSince = lastCharge ? moment(today).diff(moment(lastCharge.date), 'days') : null;
+    const stale = !!lastCharge
+      && threshold < AUDIT_HISTORY_DAYS
+      && stream.nextDate && String(stream.nextDate).slice(0, 10) >= today
+      && daysSince > threshold;
+    if (stale) {
+      staleForecasts.push({
+        ...base,
+        nextDate: String(stream.nextDate).slice(0, 10),
+        lastPostedDate: lastCharge.date,
+        lastPostedAmount: lastCharge.amount,
+        daysSinceLastCharge: daysSince,
+        annualizedCost: yearly,
+        stream,
+      });
+      continue;
+    }
+    if (isEssential(stream)) continue;
+
+    const change = priceIncreaseFor(charges);
+    if (change) {
+      priceIncreases.push({
+        ...base,
+        ...change,
+        scheduledAmount: base.amount,
+      });
+    }
+    if (yearly != null && yearly > 0) {
+      candidates.push({
+        ...base,
+        monthlyEquivalent: stream.monthlyEquivalent != null ? round2(Math.abs(Number(stream.monthlyEquivalent))) : null,
+        annualizedCost: yearly,
+        lastPostedDate: lastCharge ? lastCharge.date : null,
+        priceIncreased: !!change,
+      });
+    }
+  }
+
+  priceIncreases.sort((a, b) => b.increase - a.increase);
+  staleForecasts.sort((a, b) => (b.annualizedCost || 0) - (a.annualizedCost || 0));
+  candidates.sort((a, b) => b.annualizedCost - a.annualizedCost);
+  const cancellationCandidates = candidates.slice(0, MAX_CANDIDATES);
+  return {
+    priceIncreases: priceIncreases.slice(0, MAX_LISTED),
+    staleForecasts: staleForecasts.slice(0, MAX_LISTED),
+    cancellationCandidates,
+    candidateCount: candidates.length,
+    totals: {
+      candidateAnnualizedCost: round2(cancellationCandidates.reduce((sum, c) => sum + c.annualizedCost, 0)),
+      staleAnnualizedCost: round2(staleForecasts.reduce((sum, s) => sum + (s.annualizedCost || 0), 0)),
+    },
+  };
+}
+
+/**
+ * Series id for a stale stream from the scheduled rows ahead. Ambiguous labels
+ * (several series) narrow by amount; still ambiguous → null (no offer).
+ */
+function seriesIdFor(stale, forecastRows) {
+  const groups = new Map();
+  for (const t of forecastRows || []) {
+    const ft = String((t && t.forecast_type) || '').toUpperCase();
+    if (ft !== 'F' && ft !== 'RF') continue;
+    const groupid = t.groupid ?? t.group_id;
+    if (groupid == null || groupid === '') continue;
+    if (!txnMatchesSubject(t, 'merchant', stale.label)) continue;
+    if (!groups.has(String(groupid))) groups.set(String(groupid), { groupid, amount: Math.abs(Number(t.amount)) });
+  }
+  let matches = [...groups.values()];
+  if (matches.length > 1 && stale.amount != null) {
+    matches = matches.filter((g) => Math.abs(g.amount - stale.amount) < 0.01);
+  }
+  return matches.length === 1 ? matches[0].groupid : null;
+}
+
+function auditWindows(currentDate) {
+  const today = moment(currentDate, 'YYYY-MM-DD', true).isValid() ? moment(currentDate, 'YYYY-MM-DD') : moment();
+  return {
+    today: today.format('YYYY-MM-DD'),
+    history: {
+      start: today.clone().subtract(AUDIT_HISTORY_DAYS - 1, 'days').format('YYYY-MM-DD'),
+      end: today.format('YYYY-MM-DD'),
+      label: `last_${AUDIT_HISTORY_DAYS}_days`,
+    },
+    ahead: {
+      start: today.clone().add(1, 'day').format('YYYY-MM-DD'),
+      end: today.clone().add(FORECAST_LOOKAHEAD_DAYS, 'days').format('YYYY-MM-DD'),
+    },
+  };
+}
+
+/**
+ * Grounded evidence for an audit-mode cashflow_recurring turn. Identity and
+ * account come from prefetchGrounding's trusted inputs only.
+ */
+async function prefetchSubscriptionAuditMacro(input = {}) {
+  const {
+    trustedUserId,
+    accountId,
+    token,
+    requestId,
+    signal,
+    currentDate,
+    route,
+    queryFn,
+    assertFn,
+    fetchPage,
+    pageLimit,
+    fetchRecurringAnalysis,
+  } = input;
+  const slots = (route && route.slots) || {};
+  const { today, history, ahead } = auditWindows(currentDate);
+  const dataAsOf = currentDate || null;
+
+  const recurring = await prefetchCashflowRecurringMacro({
+    accountId,
+    token,
+    requestId,
+    signal,
+    currentDate,
+    slots: { metricScope: 'expense' },
+    fetchRecurringAnalysis,
+  });
+  if (recurring.status !== 'ok' || !recurring.facts) return recurring;
+
+  const want = slots.subjectKind === 'merchant' && slots.subjectValue ? slots.subjectValue : null;
+  const allStreams = Array.isArray(recurring.facts.expenses) ? recurring.facts.expenses : [];
+  const streams = want ? allStreams.filter((s) => streamMatchesLabel(s, want)) : allStreams;
+  if (want && !streams.length) {
+    return emptyEvidence({ limitations: ['recurring_item_unmatched'], dataAsOf });
+  }
+
+  let historyRead;
+  try {
+    await authorizedPrefetchRead({
+      trustedUserId,
+      accountId,
+      queryFn,
+      assertFn,
+      readFn: async () => true,
+    });
+    historyRead = await fetchCompletePeriodTransactions({
+      trustedUserId,
+      accountId,
+      startDate: history.start,
+      endDate: history.end,
+      fetchPage,
+      pageLimit: pageLimit || PAGE_LIMIT,
+    });
+  } catch (err) {
+    const code = err && err.code;
+    const reason = code === 'ACCESS_DENIED' || code === 'ACCOUNT_REQUIRED' ? 'access_unverified' : 'read_failed';
+    return emptyEvidence({ period: history, dataAsOf, limitations: [reason] });
+  }
+
+  const audited = auditStreams({
+    streams,
+    historyRows: historyRead.transactions,
+    history,
+    currentDate: today,
+    historyComplete: historyRead.complete,
+  });
+
+  // Series ids only for stale streams, and only best-effort: a failed read
+  // still answers, it just can't offer the removal.
+  const staleForecastTargets = [];
+  let forecastRows = [];
+  if (audited.staleForecasts.length) {
+    try {
+      const aheadRead = await fetchCompletePeriodTransactions({
+        trustedUserId,
+        accountId,
+        startDate: ahead.start,
+        endDate: ahead.end,
+        fetchPage,
+        pageLimit: pageLimit || PAGE_LIMIT,
+      });
+      forecastRows = aheadRead.transactions || [];
+    } catch (err) {
+      forecastRows = [];
+    }
+  }
+  const staleForecasts = audited.staleForecasts.map(({ stream, ...row }) => {
+    const groupid = seriesIdFor(row, forecastRows);
+    if (groupid != null && staleForecastTargets.length < MAX_OFFER_TARGETS) {
+      staleForecastTargets.push({
+        label: row.label,
+        groupid,
+        amount: row.amount,
+        frequency: stream.frequency != null ? Number(stream.frequency) : null,
+        nextDate: row.nextDate,
+        lastPostedDate: row.lastPostedDate,
+      });
+    }
+    return row;
+  });
+
+  const limitations = ['subscription_audit_heuristic'];
+  if (!historyRead.complete) limitations.push('subscription_history_partial');
+  if (audited.candidateCount > audited.cancellationCandidates.length) limitations.push('list_capped');
+  if (audited.cancellationCandidates.length || slots.recurringCancel) limitations.push('recurring_cancel_unsupported');
+
+  const observations = [];
+  if (!streams.length) observations.push({ code: 'no_scheduled_recurring' });
+  if (historyRead.complete) {
+    observations.push(audited.priceIncreases.length
+      ? { code: 'price_increases_found', count: audited.priceIncreases.length }
+      : { code: 'no_price_increases' });
+    observations.push(staleForecasts.length
+      ? { code: 'stale_forecasts_found', count: staleForecasts.length }
+      : { code: 'no_stale_forecasts' });
+  }
+
+  const facts = {
+    accountScope: 'selected_account',
+    recurringMode: 'audit',
+    metricScope: 'expense',
+    historyPeriod: history,
+    namedFilter: want || null,
+    auditedStreamCount: streams.length,
+    priceIncreases: audited.priceIncreases,
+    staleForecasts,
+    cancellationCandidates: audited.cancellationCandidates,
+    candidateCount: audited.candidateCount,
+    totals: audited.totals,
+    monthlyEquivalentIsNormalized: true,
+  };
+  const evidence = emptyEvidence({
+    status: historyRead.complete ? 'ok' : 'partial',
+    source: ['cashflow_subscription_audit'],
+    period: history,
+    dataAsOf: recurring.dataAsOf || dataAsOf,
+    facts,
+    limitations,
+    observations,
+    prefetchMeta: {
+      ...(recurring.prefetchMeta || {}),
+      pageCount: historyRead.pageCount || 1,
+      rowCount: historyRead.rowCount || 0,
+    },
+  });
+  evidence.accountScope = 'selected_account';
+  evidence.staleForecastTargets = staleForecastTargets;
+  return evidence;
+}
+
+function accountsMatch(a, b) {
+  return a != null && b != null && String(a) === String(b);
+}
+
+function isAuditEvidence(evidence) {
+  return !!(evidence && Array.isArray(evidence.source) && evidence.source.includes('cashflow_subscription_audit'));
+}
+
+/** The removal offer an audit turn leaves behind, or null. */
+function buildStaleForecastOffer(evidence, { accountId } = {}) {
+  if (!isAuditEvidence(evidence) || accountId == null || accountId === '') return null;
+  const targets = Array.isArray(evidence.staleForecastTargets) ? evidence.staleForecastTargets : [];
+  if (!targets.length) return null;
+  return {
+    accountId: String(accountId),
+    targets: targets.slice(0, MAX_OFFER_TARGETS).map((t) => ({ ...t })),
+  };
+}
+
+/** After a macro-owned audit answer, remember which stale series may be removed. */
+function maybeSetStaleForecastOffer(dialogueState, {
+  accountId,
+  failSoft,
+  macroOwnsTurn,
+  evidence,
+} = {}) {
+  if (!dialogueState || typeof dialogueState !== 'object') return dialogueState;
+  if (failSoft || !macroOwnsTurn || !evidence || evidence.status !== 'ok') return dialogueState;
+  const offer = buildStaleForecastOffer(evidence, { accountId });
+  if (offer) dialogueState.staleForecastOffer = offer;
+  return dialogueState;
+}
+
+const REMOVAL_VERB_RE = /\b(remove|delete|clear|drop|get rid of|take (it|that|them) off)\b/;
+const DECLINE_RE = /\b(no|nope|don'?t|do not|keep|leave|never ?mind|not now)\b/;
+
+function targetsNamedIn(message, targets) {
+  const key = merchantMatchKey(message);
+  return targets.filter((t) => {
+    const want = merchantMatchKey(t.label);
+    return want && key.includes(want);
+  });
+}
+
+function isBareLabelReply(message, target) {
+  const stripped = lower(message).replace(/[.!?]+$/, '').replace(/^the\s+/, '').replace(/\s+(one|series|forecast)$/, '');
+  return merchantMatchKey(stripped) === merchantMatchKey(target.label);
+}
+
+/**
+ * Does this message take up a live stale-forecast offer? Returns
+ * `{ target }` (one series chosen), `{ clarify: true }` (several on offer,
+ * none named), or null (not about the offer).
+ */
+function resolveStaleForecastAcceptance(offer, message, { accountId, userAffirmative } = {}) {
+  if (!offer || !Array.isArray(offer.targets) || !offer.targets.length) return null;
+  if (!accountsMatch(offer.accountId, accountId)) return null;
+  const m = lower(message);
+  if (!m || m.length > 80 || DECLINE_RE.test(m)) return null;
+  const named = targetsNamedIn(m, offer.targets);
+  const removal = REMOVAL_VERB_RE.test(m);
+  if (named.length === 1 && (removal || userAffirmative || isBareLabelReply(m, named[0]))) return { target: named[0] };
+  if (!removal && !userAffirmative) return null;
+  if (named.length > 1) return { clarify: true };
+  if (offer.targets.length === 1) return { target: offer.targets[0] };
+  return { clarify: true };
+}
+
+/** deleteTransaction scope=group for one offered target. */
+function deriveSeriesRemovalOperation(target, { accountId } = {}) {
+  if (!target || target.groupid == null || target.groupid === '') return { ok: false, reason: 'no_series' };
+  return {
+    ok: true,
+    kind: 'remove_stale_series',
+    tool: 'deleteTransaction',
+    args: { scope: 'group', groupid: target.groupid, title: target.label || null },
+    target: {
+      title: target.label || null,
+      amount: target.amount,
+      frequency: target.frequency,
+      start: target.nextDate || null,
+      lastPostedDate: target.lastPostedDate || null,
+    },
+    accountId: accountId != null ? String(accountId) : null,
+  };
+}
+
+/**
+ * Offer accepted: stage the series removal behind pendingConfirmation, like
+ * applyUndoLifecycle. Nothing is staged in Simulation Mode (the delete is a
+ * real write). Any other route drops the offer and a staged removal that was
+ * not confirmed.
+ */
+function applyStaleForecastLifecycle(dialogueState, route, { accountId, simulationMode } = {}) {
+  if (!dialogueState || typeof dialogueState !== 'object') return dialogueState;
+  if (route && route.staleForecastHandoff && simulationMode !== true) {
+    const offer = dialogueState.staleForecastOffer;
+    const label = route.slots && route.slots.staleForecastLabel;
+    const target = offer && Array.isArray(offer.targets) && label
+      ? offer.targets.find((t) => t.label === label)
+      : null;
+    const op = deriveSeriesRemovalOperation(target, { accountId });
+    dialogueState.staleForecastOffer = null;
+    if (!op.ok) return dialogueState;
+    dialogueState.pendingSeriesRemoval = {
+      kind: op.kind, tool: op.tool, args: op.args, target: op.target, accountId: op.accountId,
+    };
+    dialogueState.pendingConfirmation = true;
+    dialogueState.needsReconfirm = false;
+    dialogueState.draftTransaction = {};
+    dialogueState.intent = 'remove_stale_series';
+    dialogueState.pendingInvitation = null;
+    return dialogueState;
+  }
+  // "Which one?" keeps the offer open for the answer.
+  if (route && route.affirmativeResolution === 'stale_forecast_clarify') return dialogueState;
+  dialogueState.staleForecastOffer = null;
+  if (dialogueState.pendingSeriesRemoval && !(route && route.capability === 'confirmation')) {
+    dialogueState.pendingSeriesRemoval = null;
+    if (dialogueState.intent === 'remove_stale_series') {
+      dialogueState.pendingConfirmation = false;
+      dialogueState.needsReconfirm = false;
+      dialogueState.intent = null;
+    }
+  }
+  return dialogueState;
+}
+
+function formatAmount(amount) {
+  const n = Math.abs(Number(amount));
+  if (!Number.isFinite(n)) return '';
+  return Number.isInteger(n) ? `$${n}` : `$${n.toFixed(2)}`;
+}
+
+function formatDate(value) {
+  const m = moment(String(value || '').slice(0, 10), 'YYYY-MM-DD', true);
+  return m.isValid() ? m.format('MMMM D, YYYY') : '';
+}
+
+function titleOf(pending) {
+  const t = pending && pending.target && pending.target.title;
+  return t && String(t).trim() ? String(t).trim() : 'that recurring item';
+}
+
+/** Deterministic proposal for the staged removal; ends with "Confirm?" like other writes. */
+function buildSeriesRemovalProposalText(pending) {
+  if (!pending || !pending.target) {
+    return 'I no longer have that forecast on hand. Ask me to audit your subscriptions again and I can offer it.';
+  }
+  const target = pending.target;
+  const lines = [`I can remove the scheduled ${titleOf(pending)} series from your Keacast forecast:`, ''];
+  const amount = formatAmount(target.amount);
+  if (amount) lines.push(`- Amount: ${amount}`);
+  if (target.frequency != null) {
+    const label = frequencyLabel(target.frequency);
+    lines.push(`- Frequency: ${label.charAt(0).toUpperCase()}${label.slice(1)}`);
+  }
+  const next = formatDate(target.start);
+  if (next) lines.push(`- Next scheduled: ${next}`);
+  const last = formatDate(target.lastPostedDate);
+  if (last) lines.push(`- Last posted charge: ${last}`);
+  lines.push('', 'This deletes every scheduled occurrence. It does not cancel the service itself.', '', 'Confirm?');
+  return lines.join('\n');
+}
+
+function buildSeriesRemovalDoneText(pending) {
+  return `Done. I removed the scheduled ${titleOf(pending)} series from your forecast.`;
+}
+
+function buildSeriesRemovalBlockedText(pending) {
+  return `You're in Simulation Mode, so I didn't remove the real ${titleOf(pending)} series. Leave Simulation Mode and ask me to audit your subscriptions again to remove it.`;
+}
+
+function buildStaleForecastClarifyText(offer) {
+  const labels = (offer && Array.isArray(offer.targets) ? offer.targets : []).map((t) => t.label).filter(Boolean);
+  if (labels.length < 2) return 'Which scheduled series should I remove?';
+  const list = labels.length === 2
+    ? `${labels[0]} or ${labels[1]}`
+    : `${labels.slice(0, -1).join(', ')}, or ${labels[labels.length - 1]}`;
+  return `Which one should I remove from your forecast: ${list}?`;
+}
+
+function isSubscriptionsViewRequest(message) {
+  const m = lower(message);
+  return /\b(show|open|take me to|pull up|go to|see)\b/.test(m) && SUBSCRIPTION_WORDS_RE.test(m);
+}
+
+/** The stream an audit answer leads with: price increase, then stale, then top candidate. */
+function highlightStreamFor(evidence) {
+  const facts = (evidence && evidence.facts) || {};
+  const first = (list) => (Array.isArray(list) && list.length ? list[0] : null);
+  const row = first(facts.priceIncreases) || first(facts.staleForecasts) || first(facts.cancellationCandidates);
+  if (!row || !row.label) return null;
+  const targets = Array.isArray(evidence.staleForecastTargets) ? evidence.staleForecastTargets : [];
+  const target = targets.find((t) => t.label === row.label);
+  return target ? { label: row.label, groupid: target.groupid } : { label: row.label };
+}
+
+/**
+ * Client action opening /subscriptions with one stream highlighted: on the
+ * staged-removal proposal (the series about to be removed), and on an audit
+ * answer when the user asked to see it. Otherwise null.
+ */
+function subscriptionsUiAction({ route, dialogueState, evidence, message } = {}) {
+  const pending = dialogueState && dialogueState.pendingSeriesRemoval;
+  if (route && route.staleForecastHandoff && pending && pending.target) {
+    return {
+      type: 'navigate_to',
+      route: SUBSCRIPTIONS_ROUTE,
+      highlight: { label: pending.target.title, groupid: pending.args.groupid },
+    };
+  }
+  if (!isAuditEvidence(evidence) || !isSubscriptionsViewRequest(message)) return null;
+  const highlight = highlightStreamFor(evidence);
+  return highlight
+    ? { type: 'navigate_to', route: SUBSCRIPTIONS_ROUTE, highlight }
+    : { type: 'navigate_to', route: SUBSCRIPTIONS_ROUTE };
+}
+
+module.exports = {
+  AUDIT_HISTORY_DAYS,
+  AUDIT_OCCURRENCES,
+  FORECAST_LOOKAHEAD_DAYS,
+  STALE_MIN_DAYS,
+  MAX_CANDIDATES,
+  SUBSCRIPTIONS_ROUTE,
+  auditStreams,
+  prefetchSubscriptionAuditMacro,
+  buildStaleForecastOffer,
+  maybeSetStaleForecastOffer,
+  resolveStaleForecastAcceptance,
+  deriveSeriesRemovalOperation,
+  applyStaleForecastLifecycle,
+  buildSeriesRemovalProposalText,
+  buildSeriesRemovalDoneText,
+  buildSeriesRemovalBlockedText,
+  buildStaleForecastClarifyText,
+  subscriptionsUiAction,
+};
@@ -6,6 +6,8 @@ const {
   emptyShadowTelemetry,
   sanitizeResponseValidationTelemetry,
 } = require('./keaResponseValidationShadow');
+const { emptyRouteTelemetry, sanitizeRouteTelemetry } = require('./keaRouteClassifier');
+const { recordChatTurn, recordChatAbort } = require('./keaMetrics');
 
 /**
  * Per-turn Kea chat telemetry. One JSON line, no PII / amounts / JWT / message text.
@@ -32,6 +34,15 @@ function hashAccountKey(accountId) {
   return hashKeyedId('kea-account-key', accountId);
 }
 
+// The /metrics registry reads the same payload; it must never break the turn.
+function recordMetrics(record, payload) {
+  try {
+    record(payload);
+  } catch (e) {
+    console.warn('kea metrics record failed:', e.message);
+  }
+}
+
 /**
  * Identity for kea_chat_turn. Reads only cashflowAuth's trusted user, never
  * body.sessionId / req.user (those produced userId:"anon" / sessionId:null).
@@ -92,6 +103,8 @@ function createKeaTelemetry({ requestId } = {}) {
     pending_write_routing_reason: 'none',
     affirmative_resolution: 'none',
     grounding_evidence_status: null,
+    grounding_account_scope: null,
+    grounding_account_count: null,
     historical_prefetch_page_count: null,
     historical_prefetch_row_count: null,
     historical_match_count: null,
@@ -155,6 +168,7 @@ function createKeaTelemetry({ requestId } = {}) {
     evidence_projection_failure_reason: 'none',
   };
   const responseValidation = emptyShadowTelemetry();
+  const routing = emptyRouteTelemetry();
 
   let lastStage = null;
   let clientAborted = false;
@@ -196,7 +210,10 @@ function createKeaTelemetry({ requestId } = {}) {
   }
 
   function recordWriteFlags(flags) {
+    const committed = write.write_committed === true;
     Object.assign(write, flags || {});
+    // A commit flagged at the tool call survives the end-of-turn summary.
+    if (committed) write.write_committed = true;
   }
 
   function recordGrounding(flags) {
@@ -240,6 +257,12 @@ function createKeaTelemetry({ requestId } = {}) {
     if (flags.grounding_evidence_status === null || typeof flags.grounding_evidence_status === 'string') {
       grounding.grounding_evidence_status = flags.grounding_evidence_status;
     }
+    if (flags.grounding_account_scope === null || typeof flags.grounding_account_scope === 'string') {
+      grounding.grounding_account_scope = flags.grounding_account_scope;
+    }
+    if (flags.grounding_account_count != null) {
+      grounding.grounding_account_count = Number(flags.grounding_account_count) || 0;
+    }
     if (flags.historical_prefetch_page_count != null) {
       grounding.historical_prefetch_page_count = Number(flags.historical_prefetch_page_count) || 0;
     }
@@ -396,6 +419,14 @@ function createKeaTelemetry({ requestId } = {}) {
     }
   }
 
+  function recordRouting(flags) {
+    try {
+      Object.assign(routing, sanitizeRouteTelemetry(flags));
+    } catch (err) {
+      // Telemetry must never change chat control flow.
+    }
+  }
+
   function setResponseCharacterCount(n) {
     response_character_count = Number(n) || 0;
   }
@@ -539,11 +570,18 @@ function createKeaTelemetry({ requestId } = {}) {
       grounding_source_count: grounding.grounding_source_count,
       grounding_prefetch_ms: grounding.grounding_prefetch_ms,
       capability_confidence_bucket: grounding.capability_confidence_bucket,
+      route_decision_source: routing.route_decision_source,
+      route_confidence_score: routing.route_confidence_score,
+      route_runner_up_count: routing.route_runner_up_count,
+      route_classifier_status: routing.route_classifier_status,
+      route_classifier_ms: routing.route_classifier_ms,
       continuation_used: !!grounding.continuation_used,
       effective_capability: grounding.effective_capability,
       pending_write_routing_reason: grounding.pending_write_routing_reason || 'none',
       affirmative_resolution: grounding.affirmative_resolution || 'none',
       grounding_evidence_status: grounding.grounding_evidence_status,
+      grounding_account_scope: grounding.grounding_account_scope,
+      grounding_account_count: grounding.grounding_account_count,
       historical_prefetch_page_count: grounding.historical_prefetch_page_count,
       historical_prefetch_row_count: grounding.historical_prefetch_row_count,
       historical_match_count: grounding.historical_match_count,
@@ -615,6 +653,9 @@ function createKeaTelemetry({ requestId } = {}) {
       response_validation_ms: Number(responseValidation.response_validation_ms) || 0,
       response_validation_exception_reason: responseValidation.response_validation_exception_reason || 'none',
       response_validation_flag_enabled: !!responseValidation.response_validation_flag_enabled,
+      response_validation_mode: responseValidation.response_validation_mode || 'disabled',
+      response_validation_enforcement_path: responseValidation.response_validation_enforcement_path || 'not_enforced',
+      response_validation_retry_status: responseValidation.response_validation_retry_status || 'not_attempted',
       last_stage: lastStage,
       client_aborted: !!clientAborted,
       azure_failure_reason: azureFailureReason,
@@ -644,6 +685,7 @@ function createKeaTelemetry({ requestId } = {}) {
     };
     if (write.write_attempted) payload.write_attempted = true;
     if (write.write_committed) payload.write_committed = true;
+    recordMetrics(recordChatAbort, payload);
     try {
       if (log && typeof log.info === 'function') {
         log.info(payload, 'kea_chat_aborted');
@@ -658,6 +700,7 @@ function createKeaTelemetry({ requestId } = {}) {
 
   function emit(log) {
     const payload = toPayload();
+    recordMetrics(recordChatTurn, payload);
     try {
       if (log && typeof log.info === 'function') {
         log.info(payload, 'kea_chat_turn');
@@ -680,6 +723,7 @@ function createKeaTelemetry({ requestId } = {}) {
     recordGrounding,
     recordEvidence,
     recordResponseValidation,
+    recordRouting,
     setResponseCharacterCount,
     setIdentity,
     setSelectedAccountMeta,
@@ -26,6 +26,7 @@ const TRANSACTION_WRITE = Object.freeze([
   'getRecurringForecasts',
   'getFocusedEntityDetails',
   'getUserTransactions',
+  'estimateShoppingList',
 ]);
 const GOAL_WRITE = Object.freeze([
   'updateDraftGoal',
@@ -35,6 +36,13 @@ const GOAL_WRITE = Object.freeze([
   'deleteGoal',
   'previewGoalCadence',
 ]);
+const CASHFLOW_BUDGET = Object.freeze([
+  'getBudgets',
+  'updateDraftBudget',
+  'confirmTransaction',
+  'setBudget',
+  'deleteBudget',
+]);
 const SIMULATION = Object.freeze([
   'proposeSimulationAdd',
   'proposeSimulationModify',
@@ -63,6 +71,9 @@ const BUNDLES = Object.freeze({
   cashflow_recurring: Object.freeze([]),
   cashflow_upcoming: Object.freeze([]),
   cashflow_income_horizon: Object.freeze([]),
+  cashflow_budget: CASHFLOW_BUDGET,
+  cashflow_anomaly: Object.freeze([]),
+  debt_payoff: Object.freeze([]),
   affordability_or_planning: AFFORDABILITY,
   mixed_macro: Object.freeze([]),
   invitation_continuation: Object.freeze([]),
@@ -93,6 +104,7 @@ function bundleForCapability(capability, { parentCapability, pendingType } = {})
   }
   if (capability === 'confirmation') {
     if (pendingType === 'goal') return GOAL_WRITE.slice();
+    if (pendingType === 'budget') return CASHFLOW_BUDGET.slice();
     if (pendingType === 'both') return unionNames([TRANSACTION_WRITE, GOAL_WRITE]);
     return TRANSACTION_WRITE.slice();
   }
@@ -119,6 +131,7 @@ module.exports = {
   BUNDLES,
   TRANSACTION_WRITE,
   GOAL_WRITE,
+  CASHFLOW_BUDGET,
   bundleForCapability,
   allowedToolsFor,
 };
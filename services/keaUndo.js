@@ -0,0 +1,327 @@
+'use strict';
+
+/**
+ * "Undo that" for the last committed Kea write.
+ *
+ * executeToolCalls records every committed write in dialogue state's
+ * recentWrites; update and single-occurrence delete records also carry a
+ * `before` image of the row (tools/functionMap.js transactionBeforeImage).
+ * Only the most recent write can be undone, and the inverse is derived here:
+ *
+ *   create (one-time)          → deleteTransaction { transactionid }
+ *   create (recurring series)  → deleteTransaction { scope: 'group', groupid }
+ *   update                     → updateTransaction back to `before`
+ *   delete (single occurrence) → createTransaction from `before`, one-time
+ *
+ * Goal writes, series deletes and records without a before-image are not
+ * undoable. Chat proposes the inverse deterministically and runs it on the
+ * user's confirmation (the usual pendingConfirmation gate); POST
+ * /api/agent/undo runs it directly for the PWA's Undo button.
+ */
+
+const crypto = require('crypto');
+const moment = require('moment');
+const { frequencyLabel } = require('../utils/frequencyLabel');
+const { defineLocalScript } = require('./memoryStore');
+
+const FREQUENCY_ONCE = 2;
+
+const UNDO_KINDS = Object.freeze({
+  DELETE_CREATED: 'delete_created',
+  DELETE_CREATED_SERIES: 'delete_created_series',
+  RESTORE_UPDATED: 'restore_updated',
+  RECREATE_DELETED: 'recreate_deleted',
+});
+
+const UNDO_UNAVAILABLE = Object.freeze({
+  NO_RECENT_WRITE: 'no_recent_write',
+  ALREADY_UNDONE: 'already_undone',
+  GOAL_WRITE: 'goal_write',
+  SERIES_DELETE: 'series_delete',
+  MISSING_BEFORE_IMAGE: 'missing_before_image',
+  MISSING_TRANSACTION_ID: 'missing_transaction_id',
+  ACCOUNT_MISMATCH: 'account_mismatch',
+  ACCOUNT_UNKNOWN: 'account_unknown',
+  STALE: 'stale',
+  SIMULATION_MODE: 'simulation_mode',
+  IN_PROGRESS: 'in_progress',
+});
+
+const UNAVAILABLE_TEXT = Object.freeze({
+  [UNDO_UNAVAILABLE.NO_RECENT_WRITE]: 'I don\'t see a recent change from this conversation that I can undo.',
+  [UNDO_UNAVAILABLE.ALREADY_UNDONE]: 'Your last change was already undone.',
+  [UNDO_UNAVAILABLE.GOAL_WRITE]: 'I can\'t undo goal changes yet. You can edit the goal directly in Goals.',
+  [UNDO_UNAVAILABLE.SERIES_DELETE]: 'I can\'t restore a deleted recurring series automatically. Tell me the details and I can add it again.',
+  [UNDO_UNAVAILABLE.MISSING_BEFORE_IMAGE]: 'I don\'t have a copy of how that transaction looked before, so I can\'t restore it automatically.',
+  [UNDO_UNAVAILABLE.MISSING_TRANSACTION_ID]: 'I couldn\'t find the id of that transaction, so I can\'t undo it automatically.',
+  [UNDO_UNAVAILABLE.ACCOUNT_MISMATCH]: 'Your last change was made on a different account. Switch back to that account to undo it.',
+  [UNDO_UNAVAILABLE.ACCOUNT_UNKNOWN]: 'I don\'t know which account that change was made on, so I can\'t undo it automatically.',
+  [UNDO_UNAVAILABLE.STALE]: 'Something changed since I offered that undo, so I didn\'t run it. Ask me again to undo your latest change.',
+  [UNDO_UNAVAILABLE.SIMULATION_MODE]: 'You\'re in Simulation Mode, so I didn\'t undo anything real. Leave Simulation Mode and ask me again to undo your latest change.',
+  [UNDO_UNAVAILABLE.IN_PROGRESS]: 'I\'m already undoing that change. Refresh the account in a moment to see it.',
+});
+
+const UNDO_LOCK_PREFIX = 'kea:undo:lock';
+const UNDO_LOCK_SECONDS = 30;
+
+// DEL only while the lock is still ours: an expired lock may have a new owner.
+const RELEASE_UNDO_LOCK_SCRIPT = defineLocalScript(`
+if redis.call('GET', KEYS[1]) == ARGV[1] then
+  return redis.call('DEL', KEYS[1])
+end
+return 0
+`, (ops, [key], [owner]) => {
+  if (ops.get(key) !== owner) return 0;
+  ops.del(key);
+  return 1;
+});
+
+function isUndoUtterance(text) {
+  const m = String(text || '').trim();
+  if (!m || m.length > 60) return false;
+  return /^(please\s+)?(undo|revert|reverse)(\s+(that|it|this|the last (one|change|transaction)|my last change))?(\s+please)?[.!?]*$/i.test(m)
+    || /^(please\s+)?take (that|it) back[.!?]*$/i.test(m)
+    || /^(can|could) you (undo|revert|reverse) (that|it|the last (one|change))\??$/i.test(m);
+}
+
+const TRANSACTION_ACTIONS = new Set(['create', 'update', 'delete']);
+
+/** The most recent committed write, or null. Only this one is undoable. */
+function lastCommittedWrite(dialogueState) {
+  const writes = Array.isArray(dialogueState && dialogueState.recentWrites)
+    ? dialogueState.recentWrites
+    : [];
+  for (let i = writes.length - 1; i >= 0; i--) {
+    if (writes[i] && typeof writes[i] === 'object') return writes[i];
+  }
+  return null;
+}
+
+function unavailable(reason, write = null) {
+  return { ok: false, reason, write };
+}
+
+function magnitude(amount) {
+  const n = Math.abs(Number(amount));
+  return Number.isFinite(n) ? n : null;
+}
+
+function isRecurring(frequency) {
+  const f = Number(frequency);
+  return Number.isFinite(f) && f > 0 && f !== FREQUENCY_ONCE;
+}
+
+/**
+ * Inverse operation for `write` (a recentWrites record):
+ * `{ ok: true, kind, tool, args, write, target }` or `{ ok: false, reason, write }`.
+ * `target` is what the user sees in the proposal (title / amount / date).
+ */
+function deriveUndoOperation(write, { accountId } = {}) {
+  if (!write) return unavailable(UNDO_UNAVAILABLE.NO_RECENT_WRITE);
+  if (write.undo_of) return unavailable(UNDO_UNAVAILABLE.ALREADY_UNDONE, write);
+  if (!TRANSACTION_ACTIONS.has(write.action)) return unavailable(UNDO_UNAVAILABLE.GOAL_WRITE, write);
+  if (write.account_id != null && accountId != null && String(write.account_id) !== String(accountId)) {
+    return unavailable(UNDO_UNAVAILABLE.ACCOUNT_MISMATCH, write);
+  }
+  if (write.account_id == null && accountId == null) return unavailable(UNDO_UNAVAILABLE.ACCOUNT_UNKNOWN, write);
+
+  if (write.action === 'create') {
+    if (isRecurring(write.frequency) && write.group_id != null) {
+      return {
+        ok: true,
+        kind: UNDO_KINDS.DELETE_CREATED_SERIES,
+        tool: 'deleteTransaction',
+        args: { scope: 'group', groupid: write.group_id, title: write.title || null },
+        write,
+        target: write,
+      };
+    }
+    if (write.transaction_id == null) return unavailable(UNDO_UNAVAILABLE.MISSING_TRANSACTION_ID, write);
+    return {
+      ok: true,
+      kind: UNDO_KINDS.DELETE_CREATED,
+      tool: 'deleteTransaction',
+      args: { scope: 'single', transactionid: write.transaction_id, title: write.title || null },
+      write,
+      target: write,
+    };
+  }
+
+  if (write.action === 'delete' && write.scope === 'group') return unavailable(UNDO_UNAVAILABLE.SERIES_DELETE, write);
+  const before = write.before && typeof write.before === 'object' ? write.before : null;
+  if (!before || magnitude(before.amount) == null || !before.start) {
+    return unavailable(UNDO_UNAVAILABLE.MISSING_BEFORE_IMAGE, write);
+  }
+  const restored = {
+    title: before.title || write.title || null,
+    display_name: before.display_name || null,
+    description: before.description || null,
+    category: before.category || null,
+    type: before.type,
+    amount: magnitude(before.amount),
+    start: before.start,
+  };
+  for (const k of Object.keys(restored)) if (restored[k] == null) delete restored[k];
+
+  if (write.action === 'update') {
+    const transactionId = write.transaction_id ?? before.transactionid;
+    if (transactionId == null) return unavailable(UNDO_UNAVAILABLE.MISSING_TRANSACTION_ID, write);
+    return {
+      ok: true,
+      kind: UNDO_KINDS.RESTORE_UPDATED,
+      tool: 'updateTransaction',
+      args: {
+        ...restored,
+        transactionid: transactionId,
+        ...(before.end ? { end: before.end } : {}),
+        ...(before.frequency != null ? { frequency: before.frequency } : {}),
+      },
+      write,
+      target: { ...before, transaction_id: transactionId },
+    };
+  }
+
+  // A deleted occurrence comes back as a one-time entry on its own date —
+  // re-adding it with the series frequency would create a whole new series.
+  return {
+    ok: true,
+    kind: UNDO_KINDS.RECREATE_DELETED,
+    tool: 'createTransaction',
+    args: { ...restored, frequency: FREQUENCY_ONCE },
+    write,
+    target: { ...before, frequency: FREQUENCY_ONCE },
+  };
+}
+
+function formatAmount(amount) {
+  const n = magnitude(amount);
+  if (n == null) return '';
+  return Number.isInteger(n) ? `$${n}` : `$${n.toFixed(2)}`;
+}
+
+function formatDate(start) {
+  const m = moment(String(start || '').slice(0, 10), 'YYYY-MM-DD', true);
+  return m.isValid() ? m.format('MMMM D, YYYY') : '';
+}
+
+function targetLines(target) {
+  const lines = [];
+  const amount = formatAmount(target && target.amount);
+  if (amount) lines.push(`- Amount: ${amount}`);
+  const date = formatDate(target && target.start);
+  if (date) lines.push(`- ${isRecurring(target.frequency) ? 'Start date' : 'Date'}: ${date}`);
+  if (target && target.frequency != null) {
+    const label = frequencyLabel(target.frequency);
+    lines.push(`- Frequency: ${label.charAt(0).toUpperCase()}${label.slice(1)}`);
+  }
+  if (target && target.category) lines.push(`- Category: ${String(target.category).trim()}`);
+  return lines;
+}
+
+function titleOf(op) {
+  const t = (op.target && op.target.title) || (op.write && op.write.title);
+  return t && String(t).trim() ? String(t).trim() : 'that transaction';
+}
+
+function undoHeadline(op, { done = false } = {}) {
+  const title = titleOf(op);
+  switch (op.kind) {
+    case UNDO_KINDS.DELETE_CREATED_SERIES:
+      return done ? `Undone. I deleted the recurring ${title} series.` : `I can undo your last change by deleting the recurring ${title} series I just added:`;
+    case UNDO_KINDS.RESTORE_UPDATED:
+      return done ? `Undone. ${title} is back to how it was:` : `I can undo your last change by restoring ${title} to how it was before:`;
+    case UNDO_KINDS.RECREATE_DELETED:
+      return done ? `Undone. I added ${title} back:` : `I can undo your last change by adding back the ${title} entry I deleted:`;
+    default:
+      return done ? `Undone. I deleted ${title}.` : `I can undo your last change by deleting ${title}:`;
+  }
+}
+
+/** Deterministic proposal for chat; ends with the same "Confirm?" ask as other writes. */
+function buildUndoProposalText(op) {
+  if (!op || !op.ok) return UNAVAILABLE_TEXT[op && op.reason] || UNAVAILABLE_TEXT[UNDO_UNAVAILABLE.NO_RECENT_WRITE];
+  return [undoHeadline(op), '', ...targetLines(op.target), '', 'Confirm?'].join('\n');
+}
+
+function buildUndoDoneText(op) {
+  const headline = undoHeadline(op, { done: true });
+  if (op.kind === UNDO_KINDS.DELETE_CREATED || op.kind === UNDO_KINDS.DELETE_CREATED_SERIES) return headline;
+  return [headline, '', ...targetLines(op.target)].join('\n');
+}
+
+function undoUnavailableText(reason) {
+  return UNAVAILABLE_TEXT[reason] || UNAVAILABLE_TEXT[UNDO_UNAVAILABLE.NO_RECENT_WRITE];
+}
+
+/**
+ * Run the inverse through the tool layer and return the recentWrites record
+ * for it (`undo_of` points at the undone write's `at`).
+ */
+async function executeUndoOperation(op, toolCtx, { functionMap }) {
+  const fn = functionMap && functionMap[op.tool];
+  if (typeof fn !== 'function') throw new Error(`Undo tool ${op.tool} is not available`);
+  const result = await fn(op.args, toolCtx);
+  const target = op.target || {};
+  return {
+    action: result?.action || (op.tool === 'createTransaction' ? 'create' : op.tool === 'updateTransaction' ? 'update' : 'delete'),
+    transaction_id: result?.transaction_id ?? op.args.transactionid ?? null,
+    group_id: result?.group_id ?? op.args.groupid ?? null,
+    title: result?.title ?? target.title ?? null,
+    amount: result?.amount ?? target.amount ?? null,
+    type: result?.type ?? target.type ?? null,
+    category: result?.category ?? target.category ?? null,
+    frequency: result?.frequency ?? target.frequency ?? null,
+    start: result?.start ?? target.start ?? null,
+    ...(result?.scope ? { scope: result.scope } : {}),
+    ...(result?.before ? { before: result.before } : {}),
+    undo_of: op.write && op.write.at ? op.write.at : true,
+  };
+}
+
+function defaultStore() {
+  return require('./redisService');
+}
+
+/**
+ * One undo of a write at a time: SET NX keyed on the write's `at` (its
+ * transaction id when older records lack one). Resolves `{ release }`, or
+ * null while another undo of the same write holds the lock. Fails open when
+ * the store is down, like the other Kea locks.
+ */
+async function claimUndoLock(userId, write, { store } = {}) {
+  const redis = store || defaultStore();
+  const writeKey = write && (write.at || write.transaction_id);
+  const key = `${UNDO_LOCK_PREFIX}:${userId}:${writeKey}`;
+  const owner = crypto.randomBytes(8).toString('hex');
+  try {
+    const locked = await redis.set(key, owner, 'EX', UNDO_LOCK_SECONDS, 'NX');
+    if (locked !== 'OK') return null;
+  } catch (e) {
+    console.warn('Undo lock failed (fail-open):', e.message);
+    return { release: async () => false };
+  }
+  return {
+    release: async () => {
+      try {
+        return Number(await redis.eval(RELEASE_UNDO_LOCK_SCRIPT, 1, key, owner)) === 1;
+      } catch (e) {
+        console.warn('Undo lock release failed:', e.message);
+        return false;
+      }
+    },
+  };
+}
+
+module.exports = {
+  UNDO_KINDS,
+  UNDO_UNAVAILABLE,
+  isUndoUtterance,
+  lastCommittedWrite,
+  deriveUndoOperation,
+  buildUndoProposalText,
+  buildUndoDoneText,
+  undoUnavailableText,
+  executeUndoOperation,
+  UNDO_LOCK_SECONDS,
+  claimUndoLock,
+};
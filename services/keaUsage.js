@@ -0,0 +1,318 @@
+'use strict';
+
+/**
+ * Per-user LLM token + cost accounting and monthly / daily quotas.
+ *
+ * Every LLM call site records its `usage` here under the hashed user key
+ * (keaTelemetry.hashUserKey), in two Redis hashes:
+ *
+ *   kea:usage:<userKey>:d:<YYYY-MM-DD>   kept 40 days
+ *   kea:usage:<userKey>:m:<YYYY-MM>      kept 400 days
+ *
+ * with fields calls / input_tokens / cached_input_tokens / output_tokens /
+ * total_tokens / cost_micro_usd and `<call_site>_tokens`. A per-month sorted
+ * set (kea:usage:top:<YYYY-MM>) ranks user keys by total tokens for the admin
+ * endpoint. Periods are UTC.
+ *
+ * Configuration (JSON env):
+ *   KEA_LLM_PRICING   { "<model>": { "input": 2.5, "cached_input": 1.25, "output": 10 } }
+ *                     USD per 1M tokens; a model without pricing costs 0.
+ *   KEA_USAGE_PLANS   { "<plan>": { "daily_tokens": 200000, "monthly_tokens": 2000000,
+ *                                   "monthly_cost_usd": 5 } }   any limit may be omitted
+ *   KEA_USAGE_DEFAULT_PLAN  plan for users without an assignment (default "default")
+ *
+ * Plans are assigned per user through the admin endpoint (stored in Redis),
+ * never taken from the request body. No plans configured → accounting only.
+ *
+ * Accounting and quota checks are fail-soft: a Redis or config error never
+ * blocks an LLM call and never fails the request.
+ */
+
+const { hashUserKey } = require('./keaTelemetry');
+
+const USAGE_KEY_PREFIX = 'kea:usage';
+const DAY_TTL_SECONDS = 40 * 24 * 60 * 60;
+const MONTH_TTL_SECONDS = 400 * 24 * 60 * 60;
+const DEFAULT_PLAN = 'default';
+const UNATTRIBUTED_USER_KEY = 'unattributed';
+const QUOTA_EXCEEDED_CODE = 'KEA_QUOTA_EXCEEDED';
+
+const USAGE_FIELDS = Object.freeze([
+  'calls',
+  'input_tokens',
+  'cached_input_tokens',
+  'output_tokens',
+  'total_tokens',
+  'cost_micro_usd',
+]);
+
+function defaultStore() {
+  return require('./redisService');
+}
+
+function usageUserKey(userId) {
+  return hashUserKey(userId) || UNATTRIBUTED_USER_KEY;
+}
+
+function pad2(n) {
+  return String(n).padStart(2, '0');
+}
+
+/** UTC day / month ids and when each resets. */
+function usagePeriods(now = new Date()) {
+  const d = now instanceof Date ? now : new Date(now);
+  const y = d.getUTCFullYear();
+  const m = d.getUTCMonth();
+  return {
+    day: `${y}-${pad2(m + 1)}-${pad2(d.getUTCDate())}`,
+    month: `${y}-${pad2(m + 1)}`,
+    dayResetAt: new Date(Date.UTC(y, m, d.getUTCDate() + 1)).toISOString(),
+    monthResetAt: new Date(Date.UTC(y, m + 1, 1)).toISOString(),
+  };
+}
+
+function dayKey(userKey, day) {
+  return `${USAGE_KEY_PREFIX}:${userKey}:d:${day}`;
+}
+
+function monthKey(userKey, month) {
+  return `${USAGE_KEY_PREFIX}:${userKey}:m:${month}`;
+}
+
+function topKey(month) {
+  return `${USAGE_KEY_PREFIX}:top:${month}`;
+}
+
+function planKey(userKey) {
+  return `${USAGE_KEY_PREFIX}:${userKey}:plan`;
+}
+
+function parseJsonEnv(key) {
+  const raw = process.env[key];
+  if (raw == null || !String(raw).trim()) return {};
+  try {
+    const parsed = JSON.parse(raw);
+    return parsed && typeof parsed === 'object' && !Array.isArray(parsed) ? parsed : {};
+  } catch (e) {
+    console.warn(`${key} is not valid JSON (ignored):`, e.message);
+    return {};
+  }
+}
+
+function nonNegative(value) {
+  const n = Number(value);
+  return value != null && value !== '' && Number.isFinite(n) && n >= 0 ? n : null;
+}
+
+function loadLlmPricing() {
+  const raw = parseJsonEnv('KEA_LLM_PRICING');
+  const out = {};
+  for (const [model, p] of Object.entries(raw)) {
+    if (!p || typeof p !== 'object') continue;
+    const input = nonNegative(p.input) || 0;
+    out[model] = {
+      input,
+      cached_input: nonNegative(p.cached_input) != null ? nonNegative(p.cached_input) : input,
+      output: nonNegative(p.output) || 0,
+    };
+  }
+  return out;
+}
+
+function loadUsagePlans() {
+  const raw = parseJsonEnv('KEA_USAGE_PLANS');
+  const out = {};
+  for (const [name, p] of Object.entries(raw)) {
+    if (!p || typeof p !== 'object') continue;
+    out[name] = {
+      daily_tokens: nonNegative(p.daily_tokens),
+      monthly_tokens: nonNegative(p.monthly_tokens),
+      monthly_cost_usd: nonNegative(p.monthly_cost_usd),
+    };
+  }
+  return out;
+}
+
+function defaultPlanName() {
+  const raw = process.env.KEA_USAGE_DEFAULT_PLAN;
+  return raw && String(raw).trim() ? String(raw).trim() : DEFAULT_PLAN;
+}
+
+/** Token counts from a normalized `usage` object (services/llmProvider). */
+function usageTokens(usage) {
+  const u = usage && typeof usage === 'object' ? usage : {};
+  const input = Math.max(0, Math.round(Number(u.prompt_tokens) || 0));
+  const output = Math.max(0, Math.round(Number(u.completion_tokens) || 0));
+  const cached = Math.min(input, Math.max(0, Math.round(Number(
+    (u.prompt_tokens_details && u.prompt_tokens_details.cached_tokens) || u.cached_tokens || 0,
+  ) || 0)));
+  const total = Math.max(0, Math.round(Number(u.total_tokens) || 0)) || input + output;
+  return { input, cached, output, total };
+}
+
+/** Cost in micro-USD. USD per 1M tokens is exactly micro-USD per token. */
+function usageCostMicroUsd(tokens, model, pricing = loadLlmPricing()) {
+  const p = model ? pricing[model] : null;
+  if (!p) return 0;
+  return Math.round((tokens.input - tokens.cached) * p.input + tokens.cached * p.cached_input + tokens.output * p.output);
+}
+
+/**
+ * Add one LLM call's usage to the user's day and month totals. Fail-soft;
+ * resolves false when nothing was recorded.
+ */
+async function recordLlmUsage({ userId, callSite, usage, model, now } = {}, { store } = {}) {
+  try {
+    const tokens = usageTokens(usage);
+    if (!tokens.total) return false;
+    const redis = store || defaultStore();
+    const userKey = usageUserKey(userId);
+    const periods = usagePeriods(now);
+    const cost = usageCostMicroUsd(tokens, model);
+    const site = String(callSite || 'chat').replace(/[^a-z_]/g, '') || 'chat';
+    const increments = {
+      calls: 1,
+      input_tokens: tokens.input,
+      cached_input_tokens: tokens.cached,
+      output_tokens: tokens.output,
+      total_tokens: tokens.total,
+      cost_micro_usd: cost,
+      [`${site}_tokens`]: tokens.total,
+    };
+    const writes = [];
+    for (const [key, ttl] of [[dayKey(userKey, periods.day), DAY_TTL_SECONDS], [monthKey(userKey, periods.month), MONTH_TTL_SECONDS]]) {
+      for (const [field, by] of Object.entries(increments)) {
+        if (by) writes.push(redis.hincrby(key, field, by));
+      }
+      writes.push(redis.expire(key, ttl));
+    }
+    writes.push(redis.zincrby(topKey(periods.month), tokens.total, userKey));
+    writes.push(redis.expire(topKey(periods.month), MONTH_TTL_SECONDS));
+    await Promise.all(writes);
+    return true;
+  } catch (e) {
+    console.warn('Kea usage accounting failed (fail-soft):', e.message);
+    return false;
+  }
+}
+
+function readTotals(hash) {
+  const h = hash && typeof hash === 'object' ? hash : {};
+  const out = {};
+  for (const field of USAGE_FIELDS) out[field] = Number(h[field]) || 0;
+  const byCallSite = {};
+  for (const [field, value] of Object.entries(h)) {
+    const m = /^([a-z_]+)_tokens$/.exec(field);
+    if (m && USAGE_FIELDS.indexOf(field) === -1) byCallSite[m[1]] = Number(value) || 0;
+  }
+  out.cost_usd = out.cost_micro_usd / 1e6;
+  out.by_call_site = byCallSite;
+  return out;
+}
+
+async function getUserPlan(userId, { store } = {}) {
+  const redis = store || defaultStore();
+  const assigned = await redis.get(planKey(usageUserKey(userId)));
+  return assigned || defaultPlanName();
+}
+
+async function setUserPlan(userId, plan, { store } = {}) {
+  const redis = store || defaultStore();
+  const key = planKey(usageUserKey(userId));
+  if (plan == null || plan === '') {
+    await redis.del(key);
+    return defaultPlanName();
+  }
+  await redis.set(key, String(plan));
+  return String(plan);
+}
+
+/** Day + month totals, plan and limits for one user. */
+async function getUsage(userId, { store, now } = {}) {
+  const redis = store || defaultStore();
+  const userKey = usageUserKey(userId);
+  const periods = usagePeriods(now);
+  const [dayHash, monthHash, plan] = await Promise.all([
+    redis.hgetall(dayKey(userKey, periods.day)),
+    redis.hgetall(monthKey(userKey, periods.month)),
+    getUserPlan(userId, { store: redis }),
+  ]);
+  const plans = loadUsagePlans();
+  return {
+    userKey,
+    plan,
+    limits: plans[plan] || null,
+    day: { period: periods.day, resetAt: periods.dayResetAt, ...readTotals(dayHash) },
+    month: { period: periods.month, resetAt: periods.monthResetAt, ...readTotals(monthHash) },
+  };
+}
+
+/**
+ * Quota decision for one user. `{ allowed: true }` when no plan limits apply
+ * or the check itself fails (fail-open). Otherwise the first exceeded limit:
+ * `{ allowed: false, plan, scope: 'daily'|'monthly', limit, used, resetAt }`.
+ */
+async function checkUsageQuota(userId, { store, now } = {}) {
+  try {
+    const plans = loadUsagePlans();
+    if (!Object.keys(plans).length) return { allowed: true, plan: null };
+    const usage = await getUsage(userId, { store, now });
+    const limits = usage.limits;
+    if (!limits) return { allowed: true, plan: usage.plan };
+    const exceeded = [
+      ['daily', 'tokens', limits.daily_tokens, usage.day.total_tokens, usage.day.resetAt],
+      ['monthly', 'tokens', limits.monthly_tokens, usage.month.total_tokens, usage.month.resetAt],
+      ['monthly', 'cost_usd', limits.monthly_cost_usd, usage.month.cost_usd, usage.month.resetAt],
+    ].find(([, , limit, used]) => limit != null && used >= limit);
+    if (!exceeded) return { allowed: true, plan: usage.plan };
+    const [scope, unit, limit, used, resetAt] = exceeded;
+    return { allowed: false, plan: usage.plan, scope, unit, limit, used, resetAt };
+  } catch (e) {
+    console.warn('Kea usage quota check failed (fail-open):', e.message);
+    return { allowed: true, plan: null };
+  }
+}
+
+/** Structured 429 body for a denied quota check. */
+function quotaExceededBody(decision, requestId) {
+  return {
+    error: decision.scope === 'daily'
+      ? 'Daily assistant usage limit reached. Please try again tomorrow.'
+      : 'Monthly assistant usage limit reached.',
+    code: QUOTA_EXCEEDED_CODE,
+    plan: decision.plan,
+    scope: decision.scope,
+    unit: decision.unit,
+    limit: decision.limit,
+    resetAt: decision.resetAt,
+    requestId: requestId || null,
+  };
+}
+
+/** Heaviest user keys this month, by total tokens. */
+async function topUsageUsers(month, limit = 20, { store } = {}) {
+  const redis = store || defaultStore();
+  const flat = await redis.zrevrange(topKey(month), 0, Math.max(0, limit - 1), 'WITHSCORES');
+  const out = [];
+  for (let i = 0; i + 1 < flat.length; i += 2) out.push({ userKey: flat[i], total_tokens: Number(flat[i + 1]) || 0 });
+  return out;
+}
+
+module.exports = {
+  USAGE_KEY_PREFIX,
+  QUOTA_EXCEEDED_CODE,
+  UNATTRIBUTED_USER_KEY,
+  usagePeriods,
+  usageUserKey,
+  usageTokens,
+  usageCostMicroUsd,
+  loadLlmPricing,
+  loadUsagePlans,
+  recordLlmUsage,
+  getUsage,
+  getUserPlan,
+  setUserPlan,
+  checkUsageQuota,
+  quotaExceededBody,
+  topUsageUsers,
+};
@@ -0,0 +1,249 @@
+'use strict';
+
+/**
+ * Append-only audit log of every financial write Kea attempts.
+ *
+ * executeToolCalls (and the undo path) call recordWriteAudit once per gated
+ * write tool call — createTransaction, updateTransaction, deleteTransaction
+ * (single / group), createGoal, updateGoal, deleteGoal — with its outcome:
+ *
+ *   committed   the write ran
+ *   blocked     the write gate refused it (reason: confirmation_required, ...)
+ *   duplicate   technical retry refused (reason: same signature)
+ *   failed      the backend call threw (reason: error message)
+ *
+ * Rows live in MySQL `kea_write_audit` (AUDIT_TABLE_DDL, created on first
+ * use). This module only ever INSERTs and SELECTs; grant the service user
+ * INSERT + SELECT on the table to keep it append-only. Users are stored as
+ * hashUserKey, never the raw id. Recording is fire-and-forget and fail-soft —
+ * an audit failure never blocks or fails the write itself.
+ */
+
+const { hashUserKey } = require('./keaTelemetry');
+
+const AUDIT_TABLE = 'kea_write_audit';
+
+const WRITE_AUDIT_OUTCOMES = Object.freeze({
+  COMMITTED: 'committed',
+  BLOCKED: 'blocked',
+  DUPLICATE: 'duplicate',
+  FAILED: 'failed',
+});
+
+const AUDITED_WRITE_TOOLS = new Set([
+  'createTransaction',
+  'updateTransaction',
+  'deleteTransaction',
+  'createGoal',
+  'updateGoal',
+  'deleteGoal',
+]);
+
+const AUDIT_TABLE_DDL = `CREATE TABLE IF NOT EXISTS ${AUDIT_TABLE} (
+  id BIGINT UNSIGNED NOT NULL AUTO_INCREMENT,
+  created_at DATETIME(3) NOT NULL,
+  request_id VARCHAR(64) NULL,
+  user_key CHAR(16) NOT NULL,
+  account_id VARCHAR(64) NULL,
+  tool VARCHAR(32) NOT NULL,
+  scope VARCHAR(16) NULL,
+  source VARCHAR(16) NOT NULL,
+  args_json TEXT NULL,
+  before_json TEXT NULL,
+  after_json TEXT NULL,
+  confirmation_message_id VARCHAR(128) NULL,
+  outcome VARCHAR(16) NOT NULL,
+  reason VARCHAR(255) NULL,
+  PRIMARY KEY (id),
+  KEY idx_kea_write_audit_user (user_key, id)
+)`;
+
+const MAX_JSON_CHARS = 8000;
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+// Identity never comes from model args; drop it if the model sent any.
+const IDENTITY_ARG_KEYS = new Set(['userId', 'userid', 'accountId', 'token', 'authorization']);
+// Result fields that are prose for the model, not part of the written row.
+const RESULT_NOISE_KEYS = new Set(['message', 'note', 'success', 'before', 'frequency_label']);
+
+function defaultDb() {
+  return require('./db');
+}
+
+let tableReady = null;
+
+function ensureAuditTable(db) {
+  if (!tableReady) {
+    tableReady = Promise.resolve(db.query(AUDIT_TABLE_DDL)).catch((err) => {
+      tableReady = null;
+      throw err;
+    });
+  }
+  return tableReady;
+}
+
+function normalizeArgs(args) {
+  if (!args || typeof args !== 'object') return {};
+  const out = {};
+  for (const k of Object.keys(args)) {
+    const v = args[k];
+    if (IDENTITY_ARG_KEYS.has(k) || v === undefined || v === null || v === '') continue;
+    out[k] = v;
+  }
+  return out;
+}
+
+function afterImage(result) {
+  if (!result || typeof result !== 'object') return null;
+  const out = {};
+  for (const k of Object.keys(result)) {
+    if (!RESULT_NOISE_KEYS.has(k) && result[k] !== undefined) out[k] = result[k];
+  }
+  return Object.keys(out).length ? out : null;
+}
+
+// Oversized images are replaced by a marker that is still valid JSON:
+// { truncated: true, chars, preview } with the preview cut to fit.
+function toJson(value) {
+  if (value == null) return null;
+  const s = JSON.stringify(value);
+  if (s.length <= MAX_JSON_CHARS) return s;
+  let preview = s.slice(0, MAX_JSON_CHARS);
+  let out = JSON.stringify({ truncated: true, chars: s.length, preview });
+  while (out.length > MAX_JSON_CHARS) {
+    preview = preview.slice(0, preview.length - (out.length - MAX_JSON_CHARS));
+    out = JSON.stringify({ truncated: true, chars: s.length, preview });
+  }
+  return out;
+}
+
+function clip(value, max) {
+  if (value == null || value === '') return null;
+  return String(value).slice(0, max);
+}
+
+/**
+ * Build the row for one write attempt. `result` is the tool's return value
+ * (committed only); its `before` image becomes before_json.
+ */
+function buildWriteAuditEntry({
+  requestId, userId, accountId, tool, args, result, outcome, reason,
+  confirmationMessageId, source = 'tool_call', now = new Date(),
+} = {}) {
+  const normalized = normalizeArgs(args);
+  const scope = tool === 'deleteTransaction' ? String(normalized.scope || 'single').toLowerCase() : null;
+  return {
+    created_at: now,
+    request_id: clip(requestId, 64),
+    user_key: hashUserKey(userId),
+    account_id: clip(accountId, 64),
+    tool: String(tool),
+    scope,
+    source,
+    args_json: toJson(normalized),
+    before_json: toJson(result && result.before ? result.before : null),
+    after_json: outcome === WRITE_AUDIT_OUTCOMES.COMMITTED ? toJson(afterImage(result)) : null,
+    confirmation_message_id: clip(confirmationMessageId, 128),
+    outcome,
+    reason: clip(reason, 255),
+  };
+}
+
+const INSERT_COLUMNS = [
+  'created_at', 'request_id', 'user_key', 'account_id', 'tool', 'scope', 'source',
+  'args_json', 'before_json', 'after_json', 'confirmation_message_id', 'outcome', 'reason',
+];
+
+/** Append one audit row. Fail-soft; resolves false when nothing was written. */
+async function recordWriteAudit(input, { db } = {}) {
+  if (!input || !AUDITED_WRITE_TOOLS.has(input.tool) || input.userId == null || input.userId === '') return false;
+  try {
+    const conn = db || defaultDb();
+    const entry = buildWriteAuditEntry(input);
+    await ensureAuditTable(conn);
+    await conn.query(
+      `INSERT INTO ${AUDIT_TABLE} (${INSERT_COLUMNS.join(', ')}) VALUES (${INSERT_COLUMNS.map(() => '?').join(', ')})`,
+      INSERT_COLUMNS.map((c) => entry[c]),
+    );
+    return true;
+  } catch (e) {
+    console.warn('Write audit insert failed (fail-soft):', e.message);
+    return false;
+  }
+}
+
+function parseJson(text) {
+  if (text == null || text === '') return null;
+  try {
+    return JSON.parse(text);
+  } catch (_) {
+    return null;
+  }
+}
+
+function toHistoryItem(row) {
+  const created = row.created_at instanceof Date ? row.created_at.toISOString() : row.created_at;
+  return {
+    id: Number(row.id),
+    createdAt: created,
+    requestId: row.request_id || null,
+    accountId: row.account_id || null,
+    tool: row.tool,
+    scope: row.scope || null,
+    source: row.source,
+    args: parseJson(row.args_json),
+    before: parseJson(row.before_json),
+    after: parseJson(row.after_json),
+    confirmationMessageId: row.confirmation_message_id || null,
+    outcome: row.outcome,
+    reason: row.reason || null,
+  };
+}
+
+/**
+ * A user's own write history, newest first. Keyset-paginated: pass the
+ * previous page's `nextCursor` as `cursor`.
+ */
+async function listWriteAudit(userId, { limit, cursor, accountId } = {}, { db } = {}) {
+  const conn = db || defaultDb();
+  const size = Math.min(MAX_PAGE_SIZE, Math.max(1, parseInt(limit, 10) || DEFAULT_PAGE_SIZE));
+  const before = parseInt(cursor, 10);
+  const where = ['user_key = ?'];
+  const params = [hashUserKey(userId)];
+  if (Number.isFinite(before) && before > 0) {
+    where.push('id < ?');
+    params.push(before);
+  }
+  if (accountId != null && accountId !== '') {
+    where.push('account_id = ?');
+    params.push(String(accountId));
+  }
+  await ensureAuditTable(conn);
+  // LIMIT is interpolated (sanitized int) like transactions.service: mysql2
+  // prepared statements reject a bound LIMIT on some MySQL versions.
+  const rows = await conn.query(
+    `SELECT id, created_at, request_id, account_id, tool, scope, source, args_json, before_json, after_json, confirmation_message_id, outcome, reason FROM ${AUDIT_TABLE} WHERE ${where.join(' AND ')} ORDER BY id DESC LIMIT ${size + 1}`,
+    params,
+  );
+  const list = Array.isArray(rows) ? rows : [];
+  const page = list.slice(0, size).map(toHistoryItem);
+  return {
+    writes: page,
+    nextCursor: list.length > size && page.length ? page[page.length - 1].id : null,
+  };
+}
+
+function resetWriteAuditForTests() {
+  tableReady = null;
+}
+
+module.exports = {
+  AUDIT_TABLE,
+  AUDIT_TABLE_DDL,
+  AUDITED_WRITE_TOOLS,
+  WRITE_AUDIT_OUTCOMES,
+  buildWriteAuditEntry,
+  recordWriteAudit,
+  listWriteAudit,
+  resetWriteAuditForTests,
+};
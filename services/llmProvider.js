@@ -0,0 +1,247 @@
+'use strict';
+
+/**
+ * Chat-completion providers.
+ *
+ * Every LLM call goes through openaiService.queryAzureOpenAI, which asks this
+ * module for the provider + model of its call site and gets back an
+ * Azure-shaped response whatever endpoint answered:
+ *
+ *   azure              AZURE_OPENAI_ENDPOINT / _API_KEY / _API_VERSION; the
+ *                      model is the deployment in the URL.
+ *   openai_compatible  KEA_OPENAI_COMPAT_BASE_URL (…/v1), optional
+ *                      KEA_OPENAI_COMPAT_API_KEY (Bearer) and
+ *                      KEA_OPENAI_COMPAT_MODEL; the model goes in the body.
+ *                      For llama.cpp / vLLM stand-ins and other vendors.
+ *
+ * Call sites (LLM_CALL_SITES) pick their own provider and model:
+ *
+ *   KEA_LLM_PROVIDER                   default provider (azure)
+ *   KEA_LLM_PROVIDER_<CALL_SITE>       e.g. KEA_LLM_PROVIDER_SHOPPING_SUGGEST=openai_compatible
+ *   KEA_LLM_MODEL_<CALL_SITE>          deployment (azure) or model name; wins over
+ *                                      the caller's own `deployment` override
+ *
+ * Responses are normalized so callers never branch on the provider: tool
+ * calls always arrive as `message.tool_calls[]` with an id, type 'function'
+ * and string `arguments` (legacy `function_call` included), and `usage` always
+ * carries numeric prompt / completion / total tokens.
+ */
+
+const LLM_PROVIDERS = Object.freeze({
+  AZURE: 'azure',
+  OPENAI_COMPATIBLE: 'openai_compatible',
+});
+
+const LLM_CALL_SITES = Object.freeze({
+  CHAT: 'chat',
+  SUMMARIZE: 'summarize',
+  ROLLING_SUMMARY: 'rolling_summary',
+  SUMMARIZATION: 'summarization',
+  AUTO_CATEGORIZE: 'auto_categorize',
+  SHOPPING_SUGGEST: 'shopping_suggest',
+  ROUTE_CLASSIFIER: 'route_classifier',
+});
+
+const CALL_SITE_SET = new Set(Object.values(LLM_CALL_SITES));
+const PROVIDER_SET = new Set(Object.values(LLM_PROVIDERS));
+
+class LlmProviderError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.name = 'LlmProviderError';
+    this.code = code;
+  }
+}
+
+function envValue(key) {
+  const raw = process.env[key];
+  return raw != null && String(raw).trim() ? String(raw).trim() : null;
+}
+
+function siteEnvKey(prefix, callSite) {
+  return `${prefix}_${String(callSite).toUpperCase()}`;
+}
+
+function normalizeCallSite(callSite) {
+  return CALL_SITE_SET.has(callSite) ? callSite : LLM_CALL_SITES.CHAT;
+}
+
+/** Model configured for a call site via KEA_LLM_MODEL_<CALL_SITE>, or null. */
+function configuredModel(callSite) {
+  return envValue(siteEnvKey('KEA_LLM_MODEL', normalizeCallSite(callSite)));
+}
+
+function providerNameFor(callSite) {
+  const name = (envValue(siteEnvKey('KEA_LLM_PROVIDER', normalizeCallSite(callSite)))
+    || envValue('KEA_LLM_PROVIDER')
+    || LLM_PROVIDERS.AZURE).toLowerCase();
+  if (!PROVIDER_SET.has(name)) {
+    throw new LlmProviderError('LLM_PROVIDER_UNKNOWN',
+      `Unknown LLM provider "${name}" for call site "${callSite}" (expected ${Array.from(PROVIDER_SET).join(' | ')}).`);
+  }
+  return name;
+}
+
+// ── Response normalization ──────────────────────────────────────────────────
+
+function normalizeToolCall(call, index, seq) {
+  const fn = (call && call.function) || {};
+  const args = fn.arguments;
+  return {
+    ...call,
+    id: call && call.id ? String(call.id) : `call_${seq}_${index}`,
+    type: 'function',
+    function: {
+      name: fn.name != null ? String(fn.name) : '',
+      arguments: typeof args === 'string' ? args : JSON.stringify(args == null ? {} : args),
+    },
+  };
+}
+
+function normalizeMessage(message, seq) {
+  const msg = { role: 'assistant', ...(message || {}) };
+  let toolCalls = Array.isArray(msg.tool_calls) ? msg.tool_calls : [];
+  if (!toolCalls.length && msg.function_call && msg.function_call.name) {
+    toolCalls = [{ function: msg.function_call }];
+  }
+  delete msg.function_call;
+  if (toolCalls.length) {
+    msg.tool_calls = toolCalls.map((c, i) => normalizeToolCall(c, i, seq));
+    // Some servers send '' beside tool calls; Azure sends null.
+    if (!msg.content) msg.content = null;
+  } else {
+    delete msg.tool_calls;
+    if (msg.content == null) msg.content = '';
+  }
+  return msg;
+}
+
+function tokenCount(...values) {
+  for (const v of values) {
+    const n = Number(v);
+    if (v != null && Number.isFinite(n) && n >= 0) return n;
+  }
+  return null;
+}
+
+function normalizeUsage(usage) {
+  const u = usage && typeof usage === 'object' ? usage : {};
+  const prompt = tokenCount(u.prompt_tokens, u.input_tokens) || 0;
+  const completion = tokenCount(u.completion_tokens, u.output_tokens) || 0;
+  const total = tokenCount(u.total_tokens);
+  const cached = tokenCount(
+    u.prompt_tokens_details && u.prompt_tokens_details.cached_tokens,
+    u.input_tokens_details && u.input_tokens_details.cached_tokens,
+    u.cached_tokens,
+  );
+  const out = {
+    ...u,
+    prompt_tokens: prompt,
+    completion_tokens: completion,
+    total_tokens: total != null ? total : prompt + completion,
+  };
+  if (cached != null) out.prompt_tokens_details = { ...(u.prompt_tokens_details || {}), cached_tokens: cached };
+  delete out.input_tokens;
+  delete out.output_tokens;
+  delete out.input_tokens_details;
+  return out;
+}
+
+let toolCallSeq = 0;
+
+/** Azure-shaped chat completion from any provider's response body. */
+function normalizeChatCompletion(data) {
+  if (!data || typeof data !== 'object' || !Array.isArray(data.choices)) {
+    throw new LlmProviderError('LLM_RESPONSE_INVALID', 'Chat completion response has no choices.');
+  }
+  toolCallSeq += 1;
+  const seq = toolCallSeq;
+  return {
+    ...data,
+    choices: data.choices.map((choice, index) => {
+      const message = normalizeMessage(choice && choice.message, seq);
+      let finish = choice && choice.finish_reason != null ? choice.finish_reason : null;
+      if (message.tool_calls && (finish === 'function_call' || finish == null)) finish = 'tool_calls';
+      return { ...choice, index: choice && choice.index != null ? choice.index : index, message, finish_reason: finish };
+    }),
+    usage: normalizeUsage(data.usage),
+  };
+}
+
+// ── Providers ───────────────────────────────────────────────────────────────
+
+function createAzureProvider() {
+  return {
+    name: LLM_PROVIDERS.AZURE,
+    defaultModel: () => envValue('AZURE_OPENAI_DEPLOYMENT'),
+    buildRequest(body, { model }) {
+      const endpoint = envValue('AZURE_OPENAI_ENDPOINT');
+      if (!endpoint || !model) {
+        throw new LlmProviderError('LLM_PROVIDER_NOT_CONFIGURED',
+          'Azure provider needs AZURE_OPENAI_ENDPOINT and a deployment.');
+      }
+      return {
+        url: `${endpoint.replace(/\/$/, '')}/openai/deployments/${model}/chat/completions?api-version=${process.env.AZURE_OPENAI_API_VERSION}`,
+        headers: {
+          'api-key': process.env.AZURE_OPENAI_API_KEY,
+          'Content-Type': 'application/json',
+        },
+        body,
+      };
+    },
+  };
+}
+
+function createOpenAICompatibleProvider() {
+  return {
+    name: LLM_PROVIDERS.OPENAI_COMPATIBLE,
+    defaultModel: () => envValue('KEA_OPENAI_COMPAT_MODEL'),
+    buildRequest(body, { model }) {
+      const base = envValue('KEA_OPENAI_COMPAT_BASE_URL');
+      if (!base || !model) {
+        throw new LlmProviderError('LLM_PROVIDER_NOT_CONFIGURED',
+          'OpenAI-compatible provider needs KEA_OPENAI_COMPAT_BASE_URL and a model.');
+      }
+      const key = envValue('KEA_OPENAI_COMPAT_API_KEY');
+      return {
+        url: `${base.replace(/\/$/, '')}/chat/completions`,
+        headers: {
+          ...(key ? { Authorization: `Bearer ${key}` } : {}),
+          'Content-Type': 'application/json',
+        },
+        body: { model, ...body },
+      };
+    },
+  };
+}
+
+const PROVIDER_FACTORIES = Object.freeze({
+  [LLM_PROVIDERS.AZURE]: createAzureProvider,
+  [LLM_PROVIDERS.OPENAI_COMPATIBLE]: createOpenAICompatibleProvider,
+});
+
+/**
+ * Provider + model for one call. `deployment` is the caller's own Azure
+ * override (e.g. AZURE_OPENAI_DEPLOYMENT_LIGHT) and only applies to Azure;
+ * KEA_LLM_MODEL_<CALL_SITE> wins over it on either provider.
+ */
+function resolveLlmProvider(callSite, { deployment } = {}) {
+  const site = normalizeCallSite(callSite);
+  const provider = PROVIDER_FACTORIES[providerNameFor(site)]();
+  const model = configuredModel(site)
+    || (provider.name === LLM_PROVIDERS.AZURE && deployment ? deployment : null)
+    || provider.defaultModel();
+  return { callSite: site, provider, model };
+}
+
+module.exports = {
+  LLM_PROVIDERS,
+  LLM_CALL_SITES,
+  LlmProviderError,
+  configuredModel,
+  resolveLlmProvider,
+  normalizeChatCompletion,
+  normalizeUsage,
+  createAzureProvider,
+  createOpenAICompatibleProvider,
+};
@@ -0,0 +1,225 @@
+'use strict';
+
+/**
+ * Bounded in-process key/value store speaking the subset of the ioredis API
+ * this service uses (strings with EX/PX/NX/XX, counters, small hashes and
+ * sorted sets, KEYS / scanStream, EVAL of registered scripts). It is the degraded fallback behind
+ * services/keaStore.js when Redis is unreachable, and the whole store when
+ * KEA_STORE=memory (tests, local runs without Redis).
+ *
+ * Least-recently-used keys are evicted past `maxKeys`, so an outage cannot
+ * grow the process without bound. Data is per process and is not copied back
+ * to Redis.
+ */
+
+const { Readable } = require('stream');
+
+const DEFAULT_MAX_KEYS = 5000;
+
+function globToRegExp(pattern) {
+  const src = String(pattern).replace(/[.+^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*').replace(/\?/g, '.');
+  return new RegExp(`^${src}$`);
+}
+
+function wrongType() {
+  const err = new Error('WRONGTYPE Operation against a key holding the wrong kind of value');
+  err.name = 'ReplyError';
+  return err;
+}
+
+// EVAL stand-ins, keyed by the Lua source. Each twin gets synchronous
+// get / set / del over one store and must not yield, which is what makes it
+// atomic here the way the script is atomic in Redis.
+const LOCAL_SCRIPTS = new Map();
+
+/** Register the in-memory twin of a Lua script; returns the source. */
+function defineLocalScript(lua, twin) {
+  LOCAL_SCRIPTS.set(lua, twin);
+  return lua;
+}
+
+/** EVAL against `ops` ({ get, set(key, value, ttlSeconds), del }). */
+function runLocalScript(ops, lua, numKeys, args) {
+  const twin = LOCAL_SCRIPTS.get(lua);
+  if (!twin) {
+    const err = new Error('NOSCRIPT No in-memory twin for this script');
+    err.name = 'ReplyError';
+    throw err;
+  }
+  const n = Number(numKeys) || 0;
+  return twin(ops, args.slice(0, n), args.slice(n));
+}
+
+function createMemoryStore({ maxKeys = DEFAULT_MAX_KEYS, now = Date.now } = {}) {
+  // key → { value: string | object, kind: 'string' | 'hash' | 'zset', expiresAt: ms | null }
+  const store = new Map();
+  let evictions = 0;
+
+  function entry(key) {
+    const e = store.get(key);
+    if (!e) return null;
+    if (e.expiresAt != null && e.expiresAt <= now()) {
+      store.delete(key);
+      return null;
+    }
+    store.delete(key);
+    store.set(key, e);
+    return e;
+  }
+
+  function put(key, value, kind, expiresAt) {
+    store.delete(key);
+    store.set(key, { value, kind, expiresAt });
+    while (store.size > maxKeys) {
+      store.delete(store.keys().next().value);
+      evictions += 1;
+    }
+  }
+
+  function typed(key, kind) {
+    const e = entry(key);
+    if (e && e.kind !== kind) throw wrongType();
+    return e;
+  }
+
+  function liveKeys(pattern) {
+    const re = globToRegExp(pattern == null ? '*' : pattern);
+    return Array.from(store.keys()).filter((k) => {
+      const e = store.get(k);
+      if (e.expiresAt != null && e.expiresAt <= now()) {
+        store.delete(k);
+        return false;
+      }
+      return re.test(k);
+    });
+  }
+
+  async function del(...keys) {
+    let n = 0;
+    for (const key of keys.flat()) {
+      if (entry(key)) n += 1;
+      store.delete(key);
+    }
+    return n;
+  }
+
+  async function incrby(key, by) {
+    const e = typed(key, 'string');
+    const next = (e ? Number(e.value) : 0) + Number(by);
+    if (!Number.isFinite(next)) throw new Error('ERR value is not an integer or out of range');
+    put(key, String(next), 'string', e ? e.expiresAt : null);
+    return next;
+  }
+
+  const scriptOps = {
+    get: (key) => {
+      const e = typed(key, 'string');
+      return e ? e.value : null;
+    },
+    set: (key, value, ttlSeconds) => {
+      put(key, String(value), 'string', ttlSeconds ? now() + Number(ttlSeconds) * 1000 : null);
+    },
+    del: (key) => store.delete(key),
+  };
+
+  const api = {
+    store,
+    status: 'ready',
+    maxKeys,
+    get size() { return store.size; },
+    get evictions() { return evictions; },
+
+    get: async (key) => {
+      const e = typed(key, 'string');
+      return e ? e.value : null;
+    },
+    set: async (key, value, ...args) => {
+      const opts = args.map((a) => (typeof a === 'string' ? a.toUpperCase() : a));
+      const existing = entry(key);
+      if (opts.includes('NX') && existing) return null;
+      if (opts.includes('XX') && !existing) return null;
+      const ex = opts.indexOf('EX');
+      const px = opts.indexOf('PX');
+      let expiresAt = null;
+      if (ex !== -1) expiresAt = now() + Number(opts[ex + 1]) * 1000;
+      else if (px !== -1) expiresAt = now() + Number(opts[px + 1]);
+      else if (opts.includes('KEEPTTL') && existing) expiresAt = existing.expiresAt;
+      put(key, String(value), 'string', expiresAt);
+      return 'OK';
+    },
+    setex: async (key, seconds, value) => {
+      put(key, String(value), 'string', now() + Number(seconds) * 1000);
+      return 'OK';
+    },
+    del,
+    unlink: del,
+    exists: async (...keys) => keys.flat().filter((k) => entry(k)).length,
+    expire: async (key, seconds) => {
+      const e = entry(key);
+      if (!e) return 0;
+      e.expiresAt = now() + Number(seconds) * 1000;
+      return 1;
+    },
+    ttl: async (key) => {
+      const e = entry(key);
+      if (!e) return -2;
+      return e.expiresAt == null ? -1 : Math.ceil((e.expiresAt - now()) / 1000);
+    },
+    incr: async (key) => incrby(key, 1),
+    incrby: async (key, by) => incrby(key, by),
+    keys: async (pattern) => liveKeys(pattern),
+    eval: async (lua, numKeys, ...args) => runLocalScript(scriptOps, lua, numKeys, args),
+    scanStream: ({ match, count = 100 } = {}) => {
+      const keys = liveKeys(match);
+      const batches = [];
+      for (let i = 0; i < keys.length; i += count) batches.push(keys.slice(i, i + count));
+      return Readable.from(batches, { objectMode: true });
+    },
+    hincrby: async (key, field, by) => {
+      const e = typed(key, 'hash');
+      const hash = e ? e.value : {};
+      hash[field] = (Number(hash[field]) || 0) + Number(by);
+      if (!e) put(key, hash, 'hash', null);
+      return hash[field];
+    },
+    hgetall: async (key) => {
+      const e = typed(key, 'hash');
+      if (!e) return {};
+      return Object.fromEntries(Object.entries(e.value).map(([k, v]) => [k, String(v)]));
+    },
+    zincrby: async (key, by, member) => {
+      const e = typed(key, 'zset');
+      const zset = e ? e.value : {};
+      zset[member] = (Number(zset[member]) || 0) + Number(by);
+      if (!e) put(key, zset, 'zset', null);
+      return String(zset[member]);
+    },
+    zrevrange: async (key, start, stop, withScores) => {
+      const e = typed(key, 'zset');
+      if (!e) return [];
+      const ranked = Object.entries(e.value).sort((a, b) => b[1] - a[1]);
+      const end = stop < 0 ? ranked.length + stop + 1 : stop + 1;
+      const slice = ranked.slice(start, end);
+      return String(withScores).toUpperCase() === 'WITHSCORES'
+        ? slice.flatMap(([m, score]) => [m, String(score)])
+        : slice.map(([m]) => m);
+    },
+    flushall: async () => {
+      store.clear();
+      return 'OK';
+    },
+    ping: async () => 'PONG',
+    info: async () => `# Server\r\nredis_version:kea-memory\r\n# Memory\r\nkea_memory_keys:${store.size}\r\nkea_memory_max_keys:${maxKeys}\r\n`,
+    on: () => api,
+    quit: async () => 'OK',
+    disconnect: () => {},
+  };
+  return api;
+}
+
+module.exports = {
+  DEFAULT_MAX_KEYS,
+  createMemoryStore,
+  defineLocalScript,
+  runLocalScript,
+};
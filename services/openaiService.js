@@ -2,6 +2,8 @@
 const axios = require('axios');
 const fs = require('fs');
 const path = require('path');
+const { resolveLlmProvider, normalizeChatCompletion } = require('./llmProvider');
+const { recordLlmUsage } = require('./keaUsage');
 
 const functionSchemas = JSON.parse(
   fs.readFileSync(path.join(__dirname, '../tools/keacast_functions_schemas.json'), 'utf8')
@@ -21,6 +23,9 @@ const SIM_MODE_OMIT_TOOLS = new Set([
   'confirmTransaction',
   'updateDraftTransaction',
   'updateDraftGoal',
+  'setBudget',
+  'deleteBudget',
+  'updateDraftBudget',
 ]);
 // Goal write / draft tools — omitted when the client's plan has no Goals.
 const GOAL_UNAVAILABLE_OMIT_TOOLS = new Set([
@@ -56,22 +61,21 @@ function filterFunctionSchemas(
   });
 }
 
-// Build the Azure deployment URL on demand so callers can pick a different
-// deployment (e.g. a cheaper / smaller model for low-stakes endpoints like
-// auto-categorization) without changing the global env var. Falls back to
-// AZURE_OPENAI_DEPLOYMENT when no per-call deployment is provided.
-function buildBaseUrl(deployment) {
-  const dep = deployment || process.env.AZURE_OPENAI_DEPLOYMENT;
-  return `${process.env.AZURE_OPENAI_ENDPOINT.replace(/\/$/, '')}/openai/deployments/${dep}/chat/completions?api-version=${process.env.AZURE_OPENAI_API_VERSION}`;
-}
-
-async function callAOAI(body, { deployment, timeout, requestId } = {}) {
-  const url = buildBaseUrl(deployment);
+// Provider + model are resolved per call site (services/llmProvider.js):
+// Azure builds the deployment URL on demand so callers can still pass a
+// cheaper `deployment` (e.g. for auto-categorization) without changing the
+// global env var; an OpenAI-compatible endpoint takes the model in the body.
+// Either way the caller gets an Azure-shaped, normalized response back.
+async function callAOAI(body, { callSite, deployment, timeout, requestId, signal, usageUserId } = {}) {
+  const { provider, model, callSite: site } = resolveLlmProvider(callSite, { deployment });
+  const request = provider.buildRequest(body, { model });
   try {
     const toolCount = Array.isArray(body.tools) ? body.tools.length : 0;
     const messageCount = Array.isArray(body.messages) ? body.messages.length : 0;
-    console.log('Azure OpenAI request:', JSON.stringify({
+    console.log('LLM request:', JSON.stringify({
       requestId: requestId || null,
+      provider: provider.name,
+      callSite: site,
       messageCount,
       toolCount,
       tool_choice: body.tool_choice || null,
@@ -79,21 +83,27 @@ async function callAOAI(body, { deployment, timeout, requestId } = {}) {
       max_tokens: body.max_tokens,
     }));
 
-    const res = await axios.post(url, body, {
-      headers: {
-        'api-key': process.env.AZURE_OPENAI_API_KEY,
-        'Content-Type': 'application/json'
-      },
+    const res = await axios.post(request.url, request.body, {
+      headers: request.headers,
       // axios honors `timeout` (ms). Without this, callers passing
       // `timeout: 10000` were silently ignored — the value just got
       // spread into the request body and Azure dropped it.
-      ...(typeof timeout === 'number' && timeout > 0 ? { timeout } : {})
+      ...(typeof timeout === 'number' && timeout > 0 ? { timeout } : {}),
+      // Request-lifecycle AbortSignal: a client disconnect cancels the
+      // in-flight completion instead of paying for an answer nobody reads.
+      ...(signal ? { signal } : {})
     });
 
-    console.log('Azure OpenAI response status:', res.status);
-    return res.data;
+    console.log('LLM response status:', provider.name, res.status);
+    const data = normalizeChatCompletion(res.data);
+    // Per-user token / cost accounting (services/keaUsage.js). Fire and
+    // forget: it is fail-soft and must not add Redis latency to the answer.
+    if (usageUserId !== undefined) {
+      recordLlmUsage({ userId: usageUserId, callSite: site, usage: data.usage, model });
+    }
+    return data;
   } catch (error) {
-    console.error('Azure OpenAI API call failed:');
+    console.error(`LLM API call failed (${provider.name}):`);
     console.error('Status:', error.response?.status);
     console.error('Response data:', error.response?.data);
     console.error('Error message:', error.message);
@@ -108,10 +118,13 @@ async function queryAzureOpenAI(
     tool_choice = 'auto',
     temperature = 0.3,
     max_tokens = 5000,
+    callSite,             // LLM_CALL_SITES entry; picks provider + model (default chat)
     deployment,           // optional per-call Azure deployment override
     timeout,              // optional per-call axios timeout (ms)
     response_format,      // optional structured-output hint (Azure 2024-08-06+)
     requestId,            // correlation id for logs (never log the full body)
+    signal,               // optional AbortSignal (chat request lifecycle)
+    usageUserId,          // user the tokens are billed to; undefined = not accounted, null = unattributed
   } = {}
 ) {
   const body = { messages, temperature, max_tokens };
@@ -127,7 +140,7 @@ async function queryAzureOpenAI(
     body.tool_choice = tool_choice;
   }
   if (response_format) body.response_format = response_format;
-  const data = await callAOAI(body, { deployment, timeout, requestId });
+  const data = await callAOAI(body, { callSite, deployment, timeout, requestId, signal, usageUserId });
   // Return the full data so controller can inspect tool calls
   return data;
 }
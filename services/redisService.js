@@ -1,12 +1,29 @@
 const Redis = require('ioredis');
 const { redisCommandTimeoutMs } = require('./keaRequestBudget');
+const { createMemoryStore, DEFAULT_MAX_KEYS } = require('./memoryStore');
+const { createResilientStore } = require('./keaStore');
 
-const redis = new Redis({
-  host: process.env.REDIS_HOST || 'localhost',
-  port: process.env.REDIS_PORT || 6379,
-  password: process.env.REDIS_PASSWORD || undefined,
-  tls: process.env.REDIS_TLS === 'true' ? {} : undefined,
-  commandTimeout: redisCommandTimeoutMs(),
+// KEA_STORE=memory skips Redis entirely (tests, local runs). Otherwise Redis
+// is primary and the bounded in-memory store takes over while it is down.
+function createPrimary() {
+  if (process.env.KEA_STORE === 'memory') return null;
+  return new Redis({
+    host: process.env.REDIS_HOST || 'localhost',
+    port: process.env.REDIS_PORT || 6379,
+    password: process.env.REDIS_PASSWORD || undefined,
+    tls: process.env.REDIS_TLS === 'true' ? {} : undefined,
+    commandTimeout: redisCommandTimeoutMs(),
+  });
+}
+
+function fallbackMaxKeys() {
+  const n = parseInt(process.env.KEA_STORE_FALLBACK_MAX_KEYS, 10);
+  return Number.isFinite(n) && n > 0 ? n : DEFAULT_MAX_KEYS;
+}
+
+const redis = createResilientStore({
+  primary: createPrimary(),
+  fallback: createMemoryStore({ maxKeys: fallbackMaxKeys() }),
 });
 
 module.exports = redis;
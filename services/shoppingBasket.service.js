@@ -0,0 +1,197 @@
+// services/shoppingBasket.service.js
+//
+// Smart Price Assist for a whole shopping list: prices every item through
+// suggestItemOptions (so each item reads the same per-item+region Redis
+// cache and only uncached items reach Azure), then sums the options into
+//
+//   stores          estimated total per store over the items it carries,
+//                   stores that carry every item first, cheapest first
+//   cheapestBasket  the cheapest option per item, mixing stores
+//   flags           items whose user estimate looks unrealistic
+//
+// PROPOSE-ONLY, like the single-item path. When the list belongs to a
+// forecasted transaction, `proposedUpdate` suggests the new amount; applying
+// it goes through the normal propose→confirm flow (chat: updateDraftTransaction
+// then updateTransaction after the user says yes). Totals are pre-tax.
+
+const { suggestItemOptions } = require('./shoppingSuggest.service');
+
+const MAX_LIST_ITEMS = 40;
+// Concurrent item lookups; bounds Azure fan-out when most items are uncached.
+const ITEM_CONCURRENCY = 3;
+
+function roundCents(n) {
+  return Math.round(n * 100) / 100;
+}
+
+function positiveNumber(value) {
+  const n = Number(value);
+  return Number.isFinite(n) && n > 0 ? n : null;
+}
+
+/**
+ * Normalize shopping-list rows from either the client ({ itemName, quantity,
+ * userEstimate }) or the Cashflow list endpoint (title / name / item_name,
+ * qty, estimated_price / price). Rows without a name are dropped.
+ */
+function normalizeListItems(items) {
+  return (Array.isArray(items) ? items : [])
+    .map(row => {
+      const r = row && typeof row === 'object' ? row : { itemName: row };
+      const name = String(r.itemName || r.item_name || r.title || r.name || '').trim();
+      return {
+        itemName: name,
+        quantity: positiveNumber(r.quantity ?? r.qty) || 1,
+        userEstimate: positiveNumber(r.userEstimate ?? r.estimated_price ?? r.estimatedPrice ?? r.price),
+      };
+    })
+    .filter(r => r.itemName);
+}
+
+function cheapestOption(options) {
+  return options.reduce((best, o) => (!best || o.estimatedPrice < best.estimatedPrice ? o : best), null);
+}
+
+function storeTotals(priced) {
+  const byStore = new Map();
+  for (const item of priced) {
+    for (const o of item.options) {
+      const key = o.store.trim().toLowerCase();
+      if (!key) continue;
+      const entry = byStore.get(key) || { store: o.store, total: 0, itemsPriced: 0 };
+      entry.total += o.estimatedPrice * item.quantity;
+      entry.itemsPriced += 1;
+      byStore.set(key, entry);
+    }
+  }
+  return [...byStore.values()]
+    .map(s => ({
+      store: s.store,
+      total: roundCents(s.total),
+      itemsPriced: s.itemsPriced,
+      itemsMissing: priced.length - s.itemsPriced,
+      coversAll: s.itemsPriced === priced.length,
+    }))
+    .sort((a, b) => b.itemsPriced - a.itemsPriced || a.total - b.total);
+}
+
+/**
+ * Suggested new amount for the list's forecasted transaction: the cheapest
+ * basket plus the user's own estimate for items we could not price. Null when
+ * an item has neither, or when the amount would not change.
+ */
+function proposeAmountUpdate({ transactionId, currentAmount, items, basketTotal }) {
+  if (transactionId == null || transactionId === '') return null;
+  let total = basketTotal;
+  for (const item of items) {
+    if (item.cheapest) continue;
+    if (item.userEstimate == null) return null;
+    total += item.userEstimate * item.quantity;
+  }
+  const proposedAmount = roundCents(total);
+  const current = currentAmount != null && Number.isFinite(Number(currentAmount)) ? roundCents(Math.abs(Number(currentAmount))) : null;
+  if (!(proposedAmount > 0) || proposedAmount === current) return null;
+  return {
+    transactionid: transactionId,
+    currentAmount: current,
+    proposedAmount,
+    basis: 'cheapest_basket',
+  };
+}
+
+/**
+ * @param {object} params
+ * @param {Array}  params.items          shopping-list rows (see normalizeListItems)
+ * @param {object} [params.region]       { state?, zip?, city? }
+ * @param {*}      [params.userId]       usage attribution for uncached items
+ * @param {*}      [params.transactionId] forecasted transaction the list belongs to
+ * @param {number} [params.currentAmount] that transaction's current amount
+ * @param {object} [deps]                { suggestItem } — defaults to suggestItemOptions
+ * @returns {Promise<object>} { items, stores, cheapestBasket, userEstimateTotal, flags, proposedUpdate, stats }
+ */
+async function estimateShoppingList({ items, region, userId, transactionId, currentAmount } = {}, deps = {}) {
+  const list = normalizeListItems(items);
+  if (!list.length) throw new Error('items must include at least one named item');
+  if (list.length > MAX_LIST_ITEMS) throw new Error(`items is limited to ${MAX_LIST_ITEMS} entries`);
+  const suggestItem = deps.suggestItem || suggestItemOptions;
+
+  const results = new Array(list.length);
+  for (let i = 0; i < list.length; i += ITEM_CONCURRENCY) {
+    await Promise.all(list.slice(i, i + ITEM_CONCURRENCY).map(async (item, j) => {
+      try {
+        const suggestion = await suggestItem({
+          itemName: item.itemName,
+          quantity: item.quantity,
+          region,
+          userEstimate: item.userEstimate,
+          userId,
+        });
+        results[i + j] = { ...item, suggestion, error: null };
+      } catch (e) {
+        // One bad item must not sink the list; it shows up as unpriced.
+        console.warn('[shoppingBasket] item estimate failed:', e.message);
+        results[i + j] = { ...item, suggestion: null, error: 'estimate_unavailable' };
+      }
+    }));
+  }
+
+  const priced = [];
+  const outItems = results.map(r => {
+    const options = r.suggestion && Array.isArray(r.suggestion.options) ? r.suggestion.options : [];
+    const cheapest = cheapestOption(options);
+    if (options.length) priced.push({ quantity: r.quantity, options });
+    return {
+      itemName: r.itemName,
+      normalizedName: r.suggestion ? r.suggestion.normalizedName : null,
+      quantity: r.quantity,
+      userEstimate: r.userEstimate,
+      cheapest: cheapest
+        ? {
+            store: cheapest.store,
+            brand: cheapest.brand,
+            product: cheapest.product,
+            size: cheapest.size,
+            estimatedPrice: cheapest.estimatedPrice,
+            lineTotal: roundCents(cheapest.estimatedPrice * r.quantity),
+          }
+        : null,
+      options,
+      userPriceFlag: r.suggestion ? r.suggestion.userPriceFlag || null : null,
+      cached: !!(r.suggestion && r.suggestion.cached),
+      error: r.error || (options.length ? null : 'no_options'),
+    };
+  });
+
+  const basketLines = outItems.filter(i => i.cheapest);
+  const basketTotal = roundCents(basketLines.reduce((sum, i) => sum + i.cheapest.lineTotal, 0));
+  const stores = storeTotals(priced);
+  const bestSingleStore = stores.find(s => s.coversAll) || null;
+  const estimated = outItems.filter(i => i.userEstimate != null);
+
+  return {
+    items: outItems,
+    stores,
+    cheapestBasket: {
+      total: basketTotal,
+      stores: [...new Set(basketLines.map(i => i.cheapest.store))],
+      itemsPriced: basketLines.length,
+      itemsMissing: outItems.length - basketLines.length,
+      savingsVsBestSingleStore: bestSingleStore ? roundCents(bestSingleStore.total - basketTotal) : null,
+    },
+    userEstimateTotal: estimated.length
+      ? roundCents(estimated.reduce((sum, i) => sum + i.userEstimate * i.quantity, 0))
+      : null,
+    flags: outItems
+      .filter(i => i.userPriceFlag)
+      .map(i => ({ itemName: i.itemName, message: i.userPriceFlag })),
+    proposedUpdate: proposeAmountUpdate({ transactionId, currentAmount, items: outItems, basketTotal }),
+    stats: {
+      items: outItems.length,
+      cached: outItems.filter(i => i.cached).length,
+      generated: outItems.filter(i => !i.cached && !i.error).length,
+      unpriced: outItems.length - basketLines.length,
+    },
+  };
+}
+
+module.exports = { MAX_LIST_ITEMS, normalizeListItems, estimateShoppingList };
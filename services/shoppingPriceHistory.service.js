@@ -0,0 +1,345 @@
+// services/shoppingPriceHistory.service.js
+//
+// Observed shopping prices, per normalized item and region. The suggest cache
+// (shoppingSuggest.service.js) forgets every estimate after 24h; this keeps
+// what shoppers actually saw:
+//
+//   accepted  the unit price of a suggested option the user picked
+//   actual    a price the user entered after buying
+//
+// One MySQL row per observation in `kea_shopping_price_observations`
+// (PRICE_TABLE_DDL, created on first use). Users are stored as hashUserKey of
+// the verified cashflow user; an observation without one is refused.
+//
+// The table is shared by every shopper in a region, so one user can only
+// count once per item per day (samplesPerUserDay): their observations that
+// day collapse to their median before any stats, anchor or drift math.
+//
+// Reads:
+//   observedPriceStats  median / range / sample count for one item, from the
+//                       zip when it has enough samples, else the state. Used
+//                       by suggestItemOptions to anchor model estimates.
+//   anchorOptions       pulls model prices toward the observed median; the
+//                       weight and the options' confidence come from the
+//                       sample count (CONFIDENCE_BY_SAMPLES).
+//   priceDriftReport    items whose recent median moved more than a threshold
+//                       versus the window before it, or versus the price the
+//                       user budgeted, so a stale grocery forecast stands out.
+
+const { hashUserKey } = require('./keaTelemetry');
+
+const PRICE_TABLE = 'kea_shopping_price_observations';
+const OBSERVATION_SOURCES = Object.freeze(['accepted', 'actual']);
+const MIN_ANCHOR_SAMPLES = 3;
+const ANCHOR_WINDOW_DAYS = 90;
+// [minimum samples, confidence], highest first.
+const CONFIDENCE_BY_SAMPLES = Object.freeze([[12, 0.9], [6, 0.75], [MIN_ANCHOR_SAMPLES, 0.6]]);
+const DRIFT_RECENT_DAYS = 30;
+const DRIFT_BASELINE_DAYS = 90;
+const DEFAULT_DRIFT_THRESHOLD_PCT = 10;
+const MAX_DRIFT_ROWS = 5000;
+const MAX_PRICE = 100000;
+
+const PRICE_TABLE_DDL = `CREATE TABLE IF NOT EXISTS ${PRICE_TABLE} (
+  id BIGINT UNSIGNED NOT NULL AUTO_INCREMENT,
+  observed_at DATETIME(3) NOT NULL,
+  item_key VARCHAR(160) NOT NULL,
+  region_state CHAR(2) NOT NULL,
+  region_zip VARCHAR(10) NOT NULL,
+  source VARCHAR(16) NOT NULL,
+  store VARCHAR(80) NULL,
+  unit_price DECIMAL(10,2) NOT NULL,
+  user_key CHAR(16) NULL,
+  PRIMARY KEY (id),
+  KEY idx_kea_shopping_price_item (item_key, region_state, observed_at),
+  KEY idx_kea_shopping_price_region (region_state, observed_at)
+)`;
+
+const INSERT_COLUMNS = ['observed_at', 'item_key', 'region_state', 'region_zip', 'source', 'store', 'unit_price', 'user_key'];
+
+class PriceHistoryError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.name = 'PriceHistoryError';
+    this.code = code;
+  }
+}
+
+function defaultDb() {
+  return require('./db');
+}
+
+let tableReady = null;
+
+function ensurePriceTable(db) {
+  if (!tableReady) {
+    tableReady = Promise.resolve(db.query(PRICE_TABLE_DDL)).catch((err) => {
+      tableReady = null;
+      throw err;
+    });
+  }
+  return tableReady;
+}
+
+// Same normalization as the suggest cache key, so history and cache agree on
+// what "the same item" is.
+function itemKey(itemName) {
+  return String(itemName || '').trim().toLowerCase().replace(/\s+/g, ' ').slice(0, 160);
+}
+
+function regionParts(region) {
+  const r = region || {};
+  return {
+    state: String(r.state || '').trim().toUpperCase().slice(0, 2),
+    zip: String(r.zip || '').trim().slice(0, 10),
+  };
+}
+
+function daysAgo(now, days) {
+  return new Date(now.getTime() - days * 86400000);
+}
+
+function median(values) {
+  if (!values.length) return null;
+  const sorted = values.slice().sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  const m = sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+  return Math.round(m * 100) / 100;
+}
+
+/** History confidence for `count` samples; 0 below MIN_ANCHOR_SAMPLES. */
+function confidenceForSamples(count) {
+  for (const [min, confidence] of CONFIDENCE_BY_SAMPLES) {
+    if (count >= min) return confidence;
+  }
+  return 0;
+}
+
+/**
+ * Store one observed unit price for the verified `userId`. Throws
+ * PriceHistoryError for bad input; storage errors propagate to the caller.
+ */
+async function recordPriceObservation({ itemName, region, price, source, store, userId, now = new Date() } = {}, { db } = {}) {
+  if (userId == null || userId === '') throw new PriceHistoryError('PRICE_USER_REQUIRED', 'a signed-in user is required');
+  const key = itemKey(itemName);
+  if (!key) throw new PriceHistoryError('PRICE_ITEM_REQUIRED', 'itemName is required');
+  const { state, zip } = regionParts(region);
+  if (!/^[A-Z]{2}$/.test(state)) throw new PriceHistoryError('PRICE_REGION_REQUIRED', 'region.state must be a two-letter state code');
+  const unitPrice = Number(price);
+  if (!Number.isFinite(unitPrice) || unitPrice <= 0 || unitPrice > MAX_PRICE) {
+    throw new PriceHistoryError('PRICE_INVALID', 'price must be a positive unit price');
+  }
+  const kind = String(source || '').toLowerCase();
+  if (!OBSERVATION_SOURCES.includes(kind)) {
+    throw new PriceHistoryError('PRICE_SOURCE_INVALID', `source must be one of ${OBSERVATION_SOURCES.join(', ')}`);
+  }
+  const row = {
+    observed_at: now,
+    item_key: key,
+    region_state: state,
+    region_zip: zip,
+    source: kind,
+    store: store ? String(store).trim().slice(0, 80) || null : null,
+    unit_price: Math.round(unitPrice * 100) / 100,
+    user_key: hashUserKey(userId),
+  };
+  const conn = db || defaultDb();
+  await ensurePriceTable(conn);
+  await conn.query(
+    `INSERT INTO ${PRICE_TABLE} (${INSERT_COLUMNS.join(', ')}) VALUES (${INSERT_COLUMNS.map(() => '?').join(', ')})`,
+    INSERT_COLUMNS.map((c) => row[c]),
+  );
+  return { itemKey: key, region: { state, zip: zip || null }, unitPrice: row.unit_price, source: kind };
+}
+
+/**
+ * One sample per user, item, zip and UTC day: that user's median for the day,
+ * dated at their latest observation. Rows stored before observations required
+ * a user (null user_key) share one anonymous bucket.
+ */
+function samplesPerUserDay(rows) {
+  const groups = new Map();
+  for (const row of rows) {
+    const price = Number(row.unit_price);
+    if (!(price > 0)) continue;
+    const day = new Date(row.observed_at).toISOString().slice(0, 10);
+    const key = [row.item_key || '', row.region_zip || '', row.user_key || 'anonymous', day].join('|');
+    const group = groups.get(key) || { row, prices: [] };
+    group.prices.push(price);
+    if (new Date(row.observed_at) > new Date(group.row.observed_at)) group.row = row;
+    groups.set(key, group);
+  }
+  return [...groups.values()].map((g) => ({ ...g.row, unit_price: median(g.prices) }));
+}
+
+function statsFrom(rows, scope) {
+  const prices = rows.map((r) => Number(r.unit_price)).filter((p) => p > 0);
+  if (!prices.length) return null;
+  const latest = rows.reduce((a, b) => (new Date(b.observed_at) > new Date(a.observed_at) ? b : a));
+  return {
+    scope,
+    sampleCount: prices.length,
+    median: median(prices),
+    min: Math.min(...prices),
+    max: Math.max(...prices),
+    latestPrice: Number(latest.unit_price),
+    latestAt: new Date(latest.observed_at).toISOString(),
+    confidence: confidenceForSamples(prices.length),
+  };
+}
+
+/**
+ * Observed price summary for one item over the last ANCHOR_WINDOW_DAYS: the
+ * zip's own history when it has MIN_ANCHOR_SAMPLES, else the whole state.
+ * Fail-soft; resolves null when there is no usable history.
+ */
+async function observedPriceStats(itemName, region, { db, now = new Date() } = {}) {
+  const key = itemKey(itemName);
+  const { state, zip } = regionParts(region);
+  if (!key || !state) return null;
+  try {
+    const conn = db || defaultDb();
+    await ensurePriceTable(conn);
+    const rows = await conn.query(
+      `SELECT unit_price, region_zip, user_key, observed_at FROM ${PRICE_TABLE} WHERE item_key = ? AND region_state = ? AND observed_at >= ?`,
+      [key, state, daysAgo(now, ANCHOR_WINDOW_DAYS)],
+    );
+    const list = samplesPerUserDay(Array.isArray(rows) ? rows : []);
+    const local = zip ? list.filter((r) => r.region_zip === zip) : [];
+    if (local.length >= MIN_ANCHOR_SAMPLES) return statsFrom(local, 'zip');
+    return statsFrom(list, 'state');
+  } catch (e) {
+    console.warn('[shoppingPriceHistory] stats read failed (fail-soft):', e.message);
+    return null;
+  }
+}
+
+/**
+ * Anchor model options to observed prices. Each price moves toward
+ * `median × (option / model standard median)`, so tiers keep their spread,
+ * weighted by the history's confidence. Returns the options unchanged when
+ * there are fewer than MIN_ANCHOR_SAMPLES observations.
+ */
+function anchorOptions(options, stats) {
+  if (!Array.isArray(options) || !options.length || !stats || stats.sampleCount < MIN_ANCHOR_SAMPLES) {
+    return { options, anchored: false };
+  }
+  const standard = options.filter((o) => (o.tier || 'standard') === 'standard');
+  const modelMedian = median((standard.length ? standard : options).map((o) => Number(o.estimatedPrice)).filter((p) => p > 0));
+  if (!modelMedian) return { options, anchored: false };
+  const weight = stats.confidence;
+  const ratio = stats.median / modelMedian;
+  return {
+    anchored: true,
+    options: options.map((o) => ({
+      ...o,
+      modelPrice: o.estimatedPrice,
+      estimatedPrice: Math.round(o.estimatedPrice * (1 - weight + weight * ratio) * 100) / 100,
+      confidence: weight,
+      source: 'observed',
+    })),
+  };
+}
+
+function changePct(from, to) {
+  if (!(from > 0) || to == null) return null;
+  return Math.round(((to - from) / from) * 1000) / 10;
+}
+
+/**
+ * Items in a region whose price moved more than `thresholdPct`:
+ *   - recent median (last DRIFT_RECENT_DAYS) vs the DRIFT_BASELINE_DAYS before
+ *   - recent median vs the `budgeted` unit price the user forecast, when given
+ * `items` ([{ itemName, budgeted? }]) limits the report to a shopping list.
+ */
+async function priceDriftReport({ region, items, thresholdPct, now = new Date() } = {}, { db } = {}) {
+  const { state, zip } = regionParts(region);
+  if (!/^[A-Z]{2}$/.test(state)) throw new PriceHistoryError('PRICE_REGION_REQUIRED', 'region.state must be a two-letter state code');
+  const threshold = Number(thresholdPct) > 0 ? Number(thresholdPct) : DEFAULT_DRIFT_THRESHOLD_PCT;
+  const budgets = new Map();
+  for (const item of Array.isArray(items) ? items : []) {
+    const key = itemKey(item && (item.itemName || item.title || item.name));
+    if (!key) continue;
+    const budgeted = Number(item.budgeted ?? item.userEstimate);
+    budgets.set(key, Number.isFinite(budgeted) && budgeted > 0 ? budgeted : null);
+  }
+
+  const recentFrom = daysAgo(now, DRIFT_RECENT_DAYS);
+  const baselineFrom = daysAgo(now, DRIFT_RECENT_DAYS + DRIFT_BASELINE_DAYS);
+  const params = [state, baselineFrom];
+  let itemFilter = '';
+  if (budgets.size) {
+    itemFilter = ` AND item_key IN (${[...budgets.keys()].map(() => '?').join(', ')})`;
+    params.push(...budgets.keys());
+  }
+  const conn = db || defaultDb();
+  await ensurePriceTable(conn);
+  const rows = await conn.query(
+    `SELECT item_key, unit_price, region_zip, user_key, observed_at FROM ${PRICE_TABLE} WHERE region_state = ? AND observed_at >= ?${itemFilter} ORDER BY observed_at DESC LIMIT ${MAX_DRIFT_ROWS}`,
+    params,
+  );
+
+  const byItem = new Map();
+  for (const row of samplesPerUserDay(Array.isArray(rows) ? rows : [])) {
+    if (zip && row.region_zip && row.region_zip !== zip) continue;
+    const bucket = byItem.get(row.item_key) || { recent: [], baseline: [] };
+    (new Date(row.observed_at) >= recentFrom ? bucket.recent : bucket.baseline).push(Number(row.unit_price));
+    byItem.set(row.item_key, bucket);
+  }
+
+  const drifted = [];
+  for (const [key, bucket] of byItem) {
+    const recentMedian = median(bucket.recent);
+    if (recentMedian == null) continue;
+    const baselineMedian = median(bucket.baseline);
+    const budgeted = budgets.get(key) ?? null;
+    const historyChange = bucket.baseline.length >= MIN_ANCHOR_SAMPLES && bucket.recent.length >= MIN_ANCHOR_SAMPLES
+      ? changePct(baselineMedian, recentMedian)
+      : null;
+    const budgetChange = budgeted != null && bucket.recent.length >= MIN_ANCHOR_SAMPLES ? changePct(budgeted, recentMedian) : null;
+    const reasons = [];
+    if (historyChange != null && Math.abs(historyChange) >= threshold) reasons.push('price_moved');
+    if (budgetChange != null && Math.abs(budgetChange) >= threshold) reasons.push('budget_stale');
+    if (!reasons.length) continue;
+    drifted.push({
+      itemKey: key,
+      recentMedian,
+      recentSamples: bucket.recent.length,
+      baselineMedian,
+      baselineSamples: bucket.baseline.length,
+      changePct: historyChange,
+      budgeted,
+      budgetChangePct: budgetChange,
+      direction: (budgetChange ?? historyChange) > 0 ? 'up' : 'down',
+      reasons,
+      confidence: confidenceForSamples(bucket.recent.length),
+    });
+  }
+  drifted.sort((a, b) => Math.abs(b.budgetChangePct ?? b.changePct) - Math.abs(a.budgetChangePct ?? a.changePct));
+
+  return {
+    region: { state, zip: zip || null },
+    thresholdPct: threshold,
+    windows: { recentDays: DRIFT_RECENT_DAYS, baselineDays: DRIFT_BASELINE_DAYS },
+    itemsChecked: byItem.size,
+    drifted,
+  };
+}
+
+function resetPriceHistoryForTests() {
+  tableReady = null;
+}
+
+module.exports = {
+  PRICE_TABLE,
+  PRICE_TABLE_DDL,
+  OBSERVATION_SOURCES,
+  MIN_ANCHOR_SAMPLES,
+  PriceHistoryError,
+  confidenceForSamples,
+  recordPriceObservation,
+  observedPriceStats,
+  anchorOptions,
+  priceDriftReport,
+  resetPriceHistoryForTests,
+};
@@ -11,7 +11,9 @@
 // source of truth until they explicitly accept an option.
 
 const { queryAzureOpenAI } = require('./openaiService');
+const { LLM_CALL_SITES } = require('./llmProvider');
 const redis = require('./redisService');
+const { observedPriceStats, anchorOptions } = require('./shoppingPriceHistory.service');
 
 const CACHE_TTL_SECONDS = 60 * 60 * 24; // 24h — price estimates go stale slowly
 // v2: options carry a `tier` field and prices are region-adjusted. The version
@@ -99,9 +101,9 @@ function dedupeByStore(options) {
  *                 When present, the cache is bypassed both ways (a variation
  *                 request must not serve nor overwrite the base entry) and
  *                 the model is told not to repeat them.
- * @returns {Promise<object>} { normalizedName, category, isTaxable, userPriceFlag, options, cached }
+ * @returns {Promise<object>} { normalizedName, category, isTaxable, userPriceFlag, options, observedPrice, cached }
  */
-async function suggestItemOptions({ itemName, quantity, region, userEstimate, excludeOptions }) {
+async function suggestItemOptions({ itemName, quantity, region, userEstimate, excludeOptions, userId }) {
   if (!itemName || !String(itemName).trim()) {
     throw new Error('itemName is required');
   }
@@ -130,8 +132,7 @@ async function suggestItemOptions({ itemName, quantity, region, userEstimate, ex
         // options" for the rest of the TTL.
         if (Array.isArray(parsed.options) && parsed.options.length > 0) {
           parsed.cached = true;
-          parsed.userPriceFlag = computePriceFlag(parsed.options, userEstimate);
-          return parsed;
+          return withObservedPrices(parsed, { itemName, region, userEstimate });
         }
       }
     } catch (e) {
@@ -171,6 +172,8 @@ async function suggestItemOptions({ itemName, quantity, region, userEstimate, ex
       temperature: isMoreRequest ? 0.6 : 0.2,
       max_tokens: 900,
       timeout: 20000,
+      callSite: LLM_CALL_SITES.SHOPPING_SUGGEST,
+      usageUserId: userId != null ? userId : null,
       response_format: { type: 'json_object' }
     }
   );
@@ -205,8 +208,6 @@ async function suggestItemOptions({ itemName, quantity, region, userEstimate, ex
       : [],
     cached: false
   };
-  result.userPriceFlag = parsed.userPriceFlag || computePriceFlag(result.options, userEstimate);
-
   // Only cache useful results. Caching an empty option set would pin the
   // degenerate answer to this item+region for the full TTL, making one bad
   // model response look like a permanently broken feature. Variation
@@ -220,6 +221,21 @@ async function suggestItemOptions({ itemName, quantity, region, userEstimate, ex
     }
   }
 
+  return withObservedPrices(result, { itemName, region, userEstimate, modelFlag: parsed.userPriceFlag });
+}
+
+// Anchor options to observed local prices (shoppingPriceHistory.service.js)
+// at read time, so the cache keeps raw model estimates and a new observation
+// takes effect on the next lookup. Without enough history the options are
+// unchanged and the model's own flag still applies.
+async function withObservedPrices(result, { itemName, region, userEstimate, modelFlag }) {
+  const stats = await observedPriceStats(itemName, region);
+  const { options, anchored } = anchorOptions(result.options, stats);
+  result.options = options;
+  result.observedPrice = anchored
+    ? { median: stats.median, sampleCount: stats.sampleCount, confidence: stats.confidence, scope: stats.scope, latestAt: stats.latestAt }
+    : null;
+  result.userPriceFlag = (!anchored && modelFlag) || computePriceFlag(options, userEstimate);
   return result;
 }
 
@@ -133,6 +133,14 @@ async function getRecurringForecastsByAccountPaginated(accountId, page = 1, limi
   };
 }
 
+// Forecast rows of one recurring series (same groupid) on the account, oldest
+// first. Used for the before-image of a series delete.
+async function getForecastSeriesByGroup(accountId, groupId) {
+  const sql = `SELECT * FROM transactions WHERE accountid = ? AND groupid = ? AND forecast_type IN ('RF','F') ORDER BY start ASC`;
+  const rows = await query(sql, [accountId, groupId]);
+  return rows.map(hydrate);
+}
+
 async function getUpcomingByAccountAndRange(accountId, startDate, endDate, forecastType='F', page = 1, limit = 50) {
   // Add pagination to prevent memory issues
   const offset = (page - 1) * limit;
@@ -211,6 +219,7 @@ module.exports = {
   getRecurringForecastsByAccount,
   getRecurringForecastsByAccountCount,
   getRecurringForecastsByAccountPaginated,
+  getForecastSeriesByGroup,
   getUpcomingByAccountAndRange,
   getUpcomingByAccountAndRangeCount,
   getUpcomingByAccountAndRangePaginated,
@@ -95,6 +95,15 @@ async function run() {
     check('sharelink token rejected', res.statusCode === 401 && !state.called);
   }
 
+  {
+    const token = jwt.sign({ id: 7, kea_service: 'digest', accountid: '22' }, SECRET, { expiresIn: '5m' });
+    const req = mockReq({ headers: { authorization: `Bearer ${token}` } });
+    const res = mockRes();
+    const { state, next } = nextFlag();
+    await mw(req, res, next);
+    check('service credential rejected as a session', res.statusCode === 401 && res.body?.code === 'TOKEN_WRONG_KIND' && !state.called);
+  }
+
   {
     const token = jwt.sign({ username: 'a', id: 7 }, SECRET, { expiresIn: '1h' });
     const req = mockReq({ body: { token, sessionId: 999 } });
@@ -104,6 +113,23 @@ async function run() {
     check('body.token accepted; sessionId does not set identity', state.called && req.cashflowUser?.id === 7);
   }
 
+  {
+    const optional = cashflowAuth({ optional: true, queryFn: async () => [] });
+    const anon = mockReq({ body: { userId: 999 } });
+    const anonFlag = nextFlag();
+    await optional(anon, mockRes(), anonFlag.next);
+    check('optional: no token passes without a user', anonFlag.state.called && !anon.cashflowUser);
+    const forged = mockReq({ headers: { authorization: `Bearer ${jwt.sign({ id: 999 }, 'wrong-secret')}` } });
+    const forgedRes = mockRes();
+    const forgedFlag = nextFlag();
+    await optional(forged, forgedRes, forgedFlag.next);
+    check('optional: bad token passes without a user', forgedFlag.state.called && !forged.cashflowUser && forgedRes.statusCode === 200);
+    const signed = mockReq({ headers: { authorization: `Bearer ${jwt.sign({ username: 'a', id: 7 }, SECRET, { expiresIn: '1h' })}` } });
+    const signedFlag = nextFlag();
+    await optional(signed, mockRes(), signedFlag.next);
+    check('optional: valid token sets the user', signedFlag.state.called && signed.cashflowUser?.id === 7);
+  }
+
   {
     const mw = cashflowAuth({ queryFn: async () => [] });
     const req = mockReq({ method: 'OPTIONS' });
@@ -0,0 +1,52 @@
+'use strict';
+
+// Golden-conversation evals: `npm run eval:golden -- [--json] [fixture.json ...]`.
+// With no files, replays every tests/golden/conversations/*.json. Exits 1
+// when any turn fails. Chat logs are silenced; the scorecard goes to stdout.
+
+const fs = require('fs');
+const path = require('path');
+
+const CONVERSATIONS_DIR = path.join(__dirname, 'conversations');
+
+function parseArgs(argv) {
+  const out = { json: false, verbose: false, files: [] };
+  for (const arg of argv) {
+    if (arg === '--json') out.json = true;
+    else if (arg === '--verbose') out.verbose = true;
+    else out.files.push(path.resolve(arg));
+  }
+  if (!out.files.length) {
+    out.files = fs.readdirSync(CONVERSATIONS_DIR)
+      .filter((f) => f.endsWith('.json'))
+      .sort()
+      .map((f) => path.join(CONVERSATIONS_DIR, f));
+  }
+  return out;
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const write = process.stdout.write.bind(process.stdout);
+  if (!args.verbose) {
+    console.log = () => {};
+    console.warn = () => {};
+    console.info = () => {};
+  }
+  const { runConversation, buildScorecard, formatScorecard } = require('./runner');
+  const results = [];
+  for (const file of args.files) {
+    const fixture = JSON.parse(fs.readFileSync(file, 'utf8'));
+    if (!fixture.name) fixture.name = path.basename(file, '.json');
+    results.push(await runConversation(fixture));
+  }
+  const scorecard = buildScorecard(results);
+  if (args.json) write(`${JSON.stringify({ scorecard, results })}\n`);
+  else write(`\nKea golden conversations\n========================\n${formatScorecard(scorecard, results)}\n`);
+  process.exit(scorecard.turnsPassed === scorecard.turns ? 0 : 1);
+}
+
+main().catch((err) => {
+  process.stderr.write(`${err && err.stack ? err.stack : err}\n`);
+  process.exit(1);
+});
@@ -0,0 +1,381 @@
+'use strict';
+
+/**
+ * Golden-conversation runner. Replays a scripted multi-turn conversation
+ * through the real `exports.chat` with MySQL, Cashflow HTTP and Azure replaced
+ * by the in-memory stand-ins in ./standIns and Redis replaced by the real
+ * storage adapter in memory-only mode (KEA_STORE=memory), then scores each turn.
+ *
+ * Fixture (tests/golden/conversations/*.json):
+ *
+ *   {
+ *     "name": "upcoming_bills",
+ *     "clientDate": "2026-08-17",
+ *     "user": { "id": 501, "accountId": 10 },
+ *     "accountSnapshot": { ... },               optional, sent every turn
+ *     "env": { "KEY": "value" },                optional, set for this conversation only
+ *     "mysql": { "accounts": [], "satelite": [], "transactions": [] },
+ *     "cashflow": { "POST /account/kea-upcoming/:accountId": { ... } },
+ *     "turns": [{
+ *       "user": "what bills are due next week",
+ *       "body": { ... },                        optional extra request body fields
+ *       "headers": { "Idempotency-Key": "k1" }, optional request headers
+ *       "azure": [{ "content": "..." }, { "toolCalls": [{ "name", "arguments" }] }],
+ *       "expect": {
+ *         "status": 200,
+ *         "replayed": true,                     served from an Idempotency-Key record
+ *         "capability": "cashflow_upcoming",    kea_chat_turn effective_capability
+ *         "tools": ["createTransaction"],       exact executed tools (tool_<name>_ms)
+ *         "toolsExclude": [],
+ *         "cashflowCalls": ["POST /account/kea-upcoming/:accountId"],
+ *         "cashflowCallsExclude": [],
+ *         "mysqlReads": ["transactions"],       tables the turn read
+ *         "audit": ["createTransaction:committed"],  exact kea_write_audit rows (tool:outcome)
+ *         "writeGate": { "pendingConfirmation": true, "committed": false, "blocked": false },
+ *         "amounts": [1297.30],                 must appear in the response text
+ *         "responseIncludes": [], "responseExcludes": [], "responseMatches": "regex",
+ *         "telemetry": { "financial_macro": "upcoming" }
+ *       }
+ *     }]
+ *   }
+ *
+ * Cashflow routes the fixture does not stub answer 404 and fail the turn,
+ * except the ambient ones in AMBIENT_CASHFLOW_ROUTES.
+ */
+
+const path = require('path');
+const {
+  createMemoryMysql,
+  createCashflowStub,
+  createAzureResponder,
+} = require('./standIns');
+
+const ROOT = path.join(__dirname, '..', '..');
+const GOLDEN_TOKEN = 'golden-cashflow-token';
+
+// Called on every turn regardless of intent; a fixture may override them.
+const AMBIENT_CASHFLOW_ROUTES = Object.freeze({
+  'GET /assistant-memory/:userId': { httpStatus: 200, body: [] },
+});
+
+const current = {};
+let installed = null;
+
+/**
+ * Swap the real MySQL / Azure / axios bindings for facades over the current
+ * conversation's stand-ins and put the storage adapter in memory-only mode.
+ * Must run before the controller is first required (it destructures its
+ * dependencies at load), so the runner owns its process; tests spawn it
+ * instead of requiring it.
+ */
+function installStandIns() {
+  if (installed) return installed;
+  process.env.KEA_STORE = 'memory';
+
+  const dbPath = require.resolve(path.join(ROOT, 'services', 'db'));
+  require.cache[dbPath] = {
+    id: dbPath,
+    filename: dbPath,
+    loaded: true,
+    exports: { pool: null, query: (sql, params) => current.mysql.query(sql, params) },
+  };
+
+  const axios = require('axios');
+  for (const m of ['get', 'post', 'put', 'delete', 'patch']) {
+    axios[m] = (...args) => current.cashflow[m](...args);
+  }
+
+  const openaiService = require(path.join(ROOT, 'services', 'openaiService'));
+  openaiService.queryAzureOpenAI = (...args) => current.azure.queryAzureOpenAI(...args);
+
+  const controller = require(path.join(ROOT, 'controllers', 'openaiController'));
+  const { idempotentChat } = require(path.join(ROOT, 'middleware', 'chatIdempotency'));
+  // Same handler chain as routes/openaiRoutes.js after cashflowAuth.
+  installed = { controller, chat: idempotentChat(controller.chat) };
+  return installed;
+}
+
+function createFakeReqRes({ id, body, userId, headers }) {
+  const { EventEmitter } = require('events');
+  const logs = [];
+  const req = new EventEmitter();
+  Object.assign(req, {
+    id,
+    body,
+    query: {},
+    headers: Object.fromEntries(Object.entries(headers || {}).map(([k, v]) => [k.toLowerCase(), v])),
+    cashflowUser: { id: userId },
+    cashflowToken: GOLDEN_TOKEN,
+    log: {
+      info: (payload, msg) => logs.push({ msg, payload }),
+      warn: () => {},
+      error: () => {},
+    },
+  });
+  const res = new EventEmitter();
+  const out = { status: null, body: null, headers: {} };
+  Object.assign(res, {
+    headersSent: false,
+    writableEnded: false,
+    writable: true,
+    setHeader: (k, v) => { out.headers[String(k).toLowerCase()] = v; },
+    getHeader: (k) => out.headers[String(k).toLowerCase()],
+    status(code) {
+      out.status = code;
+      return res;
+    },
+    json(payload) {
+      if (out.status == null) out.status = 200;
+      out.body = payload;
+      res.headersSent = true;
+      res.writableEnded = true;
+      return res;
+    },
+  });
+  return { req, res, out, logs };
+}
+
+function normalizeNumbers(text) {
+  return String(text || '').replace(/(\d),(?=\d{3}\b)/g, '$1');
+}
+
+function amountAppears(text, amount) {
+  const n = Number(amount);
+  if (!Number.isFinite(n)) return false;
+  const hay = normalizeNumbers(text);
+  const forms = [n.toFixed(2), String(n)];
+  if (Number.isInteger(n)) forms.push(`${n}.00`);
+  return forms.some((f) => new RegExp(`(^|[^\\d.])${f.replace('.', '\\.')}(?!\\.?\\d)`).test(hay));
+}
+
+function sameList(a, b) {
+  return JSON.stringify(a.slice().sort()) === JSON.stringify(b.slice().sort());
+}
+
+/** Score one turn. Returns [{ name, ok, detail }]. */
+function scoreTurn(expect = {}, observed) {
+  const checks = [];
+  const add = (name, ok, detail) => checks.push({ name, ok: !!ok, detail: ok ? null : detail });
+  const tel = observed.telemetry || {};
+  const text = observed.response;
+
+  add('status', observed.status === (expect.status || 200), `got ${observed.status}`);
+  if (expect.replayed != null) {
+    add('idempotent replay', !!observed.replayed === expect.replayed, `replayed=${!!observed.replayed}`);
+  }
+  if (expect.capability) {
+    add('capability', tel.effective_capability === expect.capability, `got ${tel.effective_capability}`);
+  }
+  if (Array.isArray(expect.tools)) {
+    add('tools', sameList(observed.tools, expect.tools), `got [${observed.tools.join(', ')}]`);
+  }
+  for (const tool of expect.toolsExclude || []) {
+    add(`tool ${tool} not run`, observed.tools.indexOf(tool) === -1, 'tool ran');
+  }
+  for (const route of expect.cashflowCalls || []) {
+    add(`cashflow ${route}`, observed.cashflowRoutes.indexOf(route) !== -1, 'not called');
+  }
+  for (const route of expect.cashflowCallsExclude || []) {
+    add(`no cashflow ${route}`, observed.cashflowRoutes.indexOf(route) === -1, 'called');
+  }
+  add('no unstubbed cashflow calls', !observed.unmatched.length, observed.unmatched.join(', '));
+  for (const table of expect.mysqlReads || []) {
+    add(`mysql read ${table}`, observed.mysqlReads.indexOf(table) !== -1, 'not read');
+  }
+  add('no unsupported mysql', !observed.unsupportedSql.length, observed.unsupportedSql.join(' | '));
+  if (Array.isArray(expect.audit)) {
+    add('write audit', JSON.stringify(observed.audit) === JSON.stringify(expect.audit), `got [${observed.audit.join(', ')}]`);
+  }
+  const gate = expect.writeGate || {};
+  if (gate.pendingConfirmation != null) {
+    add('write gate pending', !!observed.dialogueState.pendingConfirmation === gate.pendingConfirmation,
+      `pendingConfirmation=${!!observed.dialogueState.pendingConfirmation}`);
+  }
+  if (gate.committed != null) {
+    add('write committed', !!tel.write_committed === gate.committed, `write_committed=${!!tel.write_committed}`);
+  }
+  if (gate.blocked != null) {
+    add('write blocked', !!tel.write_blocked === gate.blocked, `write_blocked=${!!tel.write_blocked}`);
+  }
+  for (const amount of expect.amounts || []) {
+    add(`amount ${amount}`, amountAppears(text, amount), 'missing from response');
+  }
+  for (const s of expect.responseIncludes || []) {
+    add(`includes "${s}"`, String(text || '').indexOf(s) !== -1, 'missing from response');
+  }
+  for (const s of expect.responseExcludes || []) {
+    add(`excludes "${s}"`, String(text || '').indexOf(s) === -1, 'present in response');
+  }
+  if (expect.responseMatches) {
+    add(`matches /${expect.responseMatches}/`, new RegExp(expect.responseMatches, 'i').test(String(text || '')), 'no match');
+  }
+  for (const [key, want] of Object.entries(expect.telemetry || {})) {
+    add(`telemetry ${key}`, JSON.stringify(tel[key]) === JSON.stringify(want), `got ${JSON.stringify(tel[key])}`);
+  }
+  return checks;
+}
+
+function withEnv(vars, fn) {
+  const prev = {};
+  for (const k of Object.keys(vars || {})) {
+    prev[k] = process.env[k];
+    if (vars[k] == null) delete process.env[k];
+    else process.env[k] = String(vars[k]);
+  }
+  const restore = () => {
+    for (const k of Object.keys(prev)) {
+      if (prev[k] === undefined) delete process.env[k];
+      else process.env[k] = prev[k];
+    }
+  };
+  return Promise.resolve().then(fn).finally(restore);
+}
+
+/** Replay one fixture end to end. */
+async function runConversation(fixture) {
+  const { chat } = installStandIns();
+  const user = fixture.user || {};
+  const userId = user.id != null ? user.id : 501;
+  current.redis = require(path.join(ROOT, 'services', 'redisService'));
+  await current.redis.fallback.flushall();
+  current.mysql = createMemoryMysql(fixture.mysql || {});
+  current.cashflow = createCashflowStub({ ...AMBIENT_CASHFLOW_ROUTES, ...(fixture.cashflow || {}) });
+  current.azure = createAzureResponder();
+
+  const transcript = [];
+  const turns = [];
+  await withEnv(fixture.env, async () => {
+    for (let i = 0; i < (fixture.turns || []).length; i += 1) {
+      const turn = fixture.turns[i];
+      current.azure.load(turn.azure, turn.defaultReply || fixture.defaultReply || 'OK.');
+      const cashflowStart = current.cashflow.calls.length;
+      const unmatchedStart = current.cashflow.unmatched.length;
+      const sqlStart = current.mysql.unsupported.length;
+      const readStart = current.mysql.reads.length;
+      const auditStart = current.mysql.data.kea_write_audit.length;
+      const azureStart = current.azure.calls.length;
+      const body = {
+        message: turn.user,
+        accountid: user.accountId,
+        clientDate: turn.clientDate || fixture.clientDate,
+        history: transcript.slice(),
+        ...(fixture.accountSnapshot ? { accountSnapshot: fixture.accountSnapshot } : {}),
+        ...(turn.body || {}),
+      };
+      const { req, res, out, logs } = createFakeReqRes({
+        id: `golden-${fixture.name}-${i + 1}`,
+        body,
+        userId,
+        headers: turn.headers,
+      });
+      let crashed = null;
+      try {
+        await chat(req, res);
+      } catch (err) {
+        crashed = err;
+      }
+      const turnLog = logs.find((l) => l.msg === 'kea_chat_turn');
+      const telemetry = turnLog ? turnLog.payload : {};
+      const rawState = await current.redis.get(`dialogue:${String(userId).replace(/[^A-Za-z0-9_-]/g, '_')}`);
+      const response = out.body && typeof out.body.response === 'string' ? out.body.response : '';
+      const observed = {
+        status: crashed ? 500 : out.status,
+        replayed: out.headers['idempotent-replayed'] === 'true',
+        response,
+        telemetry,
+        tools: Object.keys(telemetry)
+          .filter((k) => /^tool_.+_ms$/.test(k) && k !== 'tool_execution_total_ms')
+          .map((k) => k.slice(5, -3)),
+        cashflowRoutes: current.cashflow.calls.slice(cashflowStart).map((c) => c.route).filter(Boolean),
+        unmatched: current.cashflow.unmatched.slice(unmatchedStart),
+        unsupportedSql: current.mysql.unsupported.slice(sqlStart),
+        mysqlReads: current.mysql.reads.slice(readStart),
+        audit: current.mysql.data.kea_write_audit.slice(auditStart).map((r) => `${r.tool}:${r.outcome}`),
+        azureCalls: current.azure.calls.length - azureStart,
+        unusedAzureReplies: current.azure.remaining,
+        dialogueState: rawState ? JSON.parse(rawState) : {},
+      };
+      const checks = scoreTurn(turn.expect, observed);
+      if (crashed) checks.unshift({ name: 'chat did not throw', ok: false, detail: crashed.message });
+      if (observed.unusedAzureReplies) {
+        checks.push({ name: 'azure script consumed', ok: false, detail: `${observed.unusedAzureReplies} replies unused` });
+      }
+      turns.push({
+        index: i + 1,
+        user: turn.user,
+        capability: (turn.expect && turn.expect.capability) || telemetry.effective_capability || 'unknown',
+        actualCapability: telemetry.effective_capability || null,
+        passed: checks.every((c) => c.ok),
+        response: response.slice(0, 400),
+        checks,
+        azureCalls: observed.azureCalls,
+      });
+      transcript.push({ role: 'user', content: turn.user });
+      if (response) transcript.push({ role: 'assistant', content: response });
+    }
+  });
+  return {
+    name: fixture.name,
+    description: fixture.description || null,
+    passed: turns.every((t) => t.passed),
+    turns,
+  };
+}
+
+/** Per-capability totals over every turn of every conversation. */
+function buildScorecard(results) {
+  const byCapability = {};
+  let turnsPassed = 0;
+  let turnsTotal = 0;
+  for (const convo of results) {
+    for (const turn of convo.turns) {
+      const row = byCapability[turn.capability] || (byCapability[turn.capability] = {
+        turns: 0, turnsPassed: 0, checks: 0, checksPassed: 0,
+      });
+      row.turns += 1;
+      row.checks += turn.checks.length;
+      row.checksPassed += turn.checks.filter((c) => c.ok).length;
+      if (turn.passed) row.turnsPassed += 1;
+      turnsTotal += 1;
+      if (turn.passed) turnsPassed += 1;
+    }
+  }
+  return {
+    conversations: results.length,
+    conversationsPassed: results.filter((r) => r.passed).length,
+    turns: turnsTotal,
+    turnsPassed,
+    byCapability,
+  };
+}
+
+function formatScorecard(scorecard, results) {
+  const lines = [];
+  for (const convo of results) {
+    lines.push(`${convo.passed ? 'PASS' : 'FAIL'}  ${convo.name}`);
+    for (const turn of convo.turns) {
+      if (turn.passed) continue;
+      lines.push(`      turn ${turn.index} "${turn.user}" (${turn.actualCapability || 'no telemetry'})`);
+      for (const c of turn.checks) {
+        if (!c.ok) lines.push(`        ✗ ${c.name}: ${c.detail}`);
+      }
+    }
+  }
+  lines.push('', 'capability                       turns      checks');
+  for (const cap of Object.keys(scorecard.byCapability).sort()) {
+    const row = scorecard.byCapability[cap];
+    lines.push(`${cap.padEnd(32)} ${`${row.turnsPassed}/${row.turns}`.padEnd(10)} ${row.checksPassed}/${row.checks}`);
+  }
+  lines.push('', `conversations ${scorecard.conversationsPassed}/${scorecard.conversations}, turns ${scorecard.turnsPassed}/${scorecard.turns}`);
+  return lines.join('\n');
+}
+
+module.exports = {
+  AMBIENT_CASHFLOW_ROUTES,
+  installStandIns,
+  runConversation,
+  scoreTurn,
+  amountAppears,
+  buildScorecard,
+  formatScorecard,
+};
@@ -0,0 +1,303 @@
+'use strict';
+
+/**
+ * In-memory stand-ins for the golden-conversation runner: Redis, the MySQL
+ * statements the chat path issues, Cashflow HTTP (axios) and Azure OpenAI.
+ * Each one records what it was asked so the runner can score it, and none
+ * of them ever reaches the network.
+ */
+
+// ── Redis ─────────────────────────────────────────────────────────────────
+const { runLocalScript } = require('../../services/memoryStore');
+
+function globToRegExp(pattern) {
+  const src = String(pattern).replace(/[.+^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*').replace(/\?/g, '.');
+  return new RegExp(`^${src}$`);
+}
+
+function createMemoryRedis() {
+  const store = new Map();
+  const expiries = new Map();
+
+  function live(key) {
+    const at = expiries.get(key);
+    if (at != null && at <= Date.now()) {
+      store.delete(key);
+      expiries.delete(key);
+    }
+    return store.has(key);
+  }
+
+  function del(...keys) {
+    let n = 0;
+    for (const key of keys.flat()) {
+      if (live(key)) n += 1;
+      store.delete(key);
+      expiries.delete(key);
+    }
+    return Promise.resolve(n);
+  }
+
+  const scriptOps = {
+    get: (key) => (live(key) ? store.get(key) : null),
+    set: (key, value, ttlSeconds) => {
+      store.set(key, String(value));
+      if (ttlSeconds) expiries.set(key, Date.now() + Number(ttlSeconds) * 1000);
+      else expiries.delete(key);
+    },
+    del: (key) => {
+      store.delete(key);
+      expiries.delete(key);
+    },
+  };
+
+  return {
+    store,
+    status: 'ready',
+    get: async (key) => (live(key) ? store.get(key) : null),
+    set: async (key, value, ...args) => {
+      const opts = args.map((a) => (typeof a === 'string' ? a.toUpperCase() : a));
+      if (opts.indexOf('NX') !== -1 && live(key)) return null;
+      store.set(key, String(value));
+      const ex = opts.indexOf('EX');
+      if (ex !== -1) expiries.set(key, Date.now() + Number(opts[ex + 1]) * 1000);
+      else expiries.delete(key);
+      return 'OK';
+    },
+    setex: async (key, seconds, value) => {
+      store.set(key, String(value));
+      expiries.set(key, Date.now() + Number(seconds) * 1000);
+      return 'OK';
+    },
+    del,
+    unlink: del,
+    exists: async (key) => (live(key) ? 1 : 0),
+    expire: async (key, seconds) => {
+      if (!live(key)) return 0;
+      expiries.set(key, Date.now() + Number(seconds) * 1000);
+      return 1;
+    },
+    ttl: async (key) => {
+      if (!live(key)) return -2;
+      const at = expiries.get(key);
+      return at == null ? -1 : Math.ceil((at - Date.now()) / 1000);
+    },
+    keys: async (pattern) => {
+      const re = globToRegExp(pattern);
+      return Array.from(store.keys()).filter((k) => live(k) && re.test(k));
+    },
+    eval: async (lua, numKeys, ...args) => runLocalScript(scriptOps, lua, numKeys, args),
+    hincrby: async (key, field, by) => {
+      const hash = live(key) ? JSON.parse(store.get(key)) : {};
+      hash[field] = (Number(hash[field]) || 0) + Number(by);
+      store.set(key, JSON.stringify(hash));
+      return hash[field];
+    },
+    hgetall: async (key) => {
+      if (!live(key)) return {};
+      const hash = JSON.parse(store.get(key));
+      return Object.fromEntries(Object.entries(hash).map(([k, v]) => [k, String(v)]));
+    },
+    zincrby: async (key, by, member) => {
+      const zset = live(key) ? JSON.parse(store.get(key)) : {};
+      zset[member] = (Number(zset[member]) || 0) + Number(by);
+      store.set(key, JSON.stringify(zset));
+      return String(zset[member]);
+    },
+    zrevrange: async (key, start, stop, withScores) => {
+      if (!live(key)) return [];
+      const ranked = Object.entries(JSON.parse(store.get(key))).sort((a, b) => b[1] - a[1]);
+      const end = stop < 0 ? ranked.length + stop + 1 : stop + 1;
+      const slice = ranked.slice(start, end);
+      return String(withScores).toUpperCase() === 'WITHSCORES'
+        ? slice.flatMap(([m, score]) => [m, String(score)])
+        : slice.map(([m]) => m);
+    },
+    ping: async () => 'PONG',
+    info: async () => '# Server\r\nredis_version:golden-memory\r\n',
+    on: () => {},
+    quit: async () => 'OK',
+    disconnect: () => {},
+  };
+}
+
+// ── MySQL ─────────────────────────────────────────────────────────────────
+// Only the statements the chat path runs. Anything else is recorded as
+// unsupported and throws, the same way a missing table would surface.
+function createMemoryMysql(tables = {}) {
+  const data = {
+    accounts: (tables.accounts || []).slice(),
+    satelite: (tables.satelite || []).slice(),
+    transactions: (tables.transactions || []).slice(),
+    kea_write_audit: [],
+  };
+  const calls = [];
+  const reads = [];
+  const unsupported = [];
+
+  function txRange(accountId, start, endExclusive) {
+    return data.transactions
+      .filter((t) => String(t.accountid) === String(accountId)
+        && String(t.start).replace(/\//g, '-') >= start
+        && String(t.start).replace(/\//g, '-') < endExclusive)
+      .sort((a, b) => String(b.start).localeCompare(String(a.start)));
+  }
+
+  async function query(sql, params = []) {
+    const text = String(sql).replace(/\s+/g, ' ').trim();
+    calls.push(text.slice(0, 80));
+    if (/^SELECT accountid, userid, satelite_id FROM accounts WHERE accountid = \?/i.test(text)) {
+      reads.push('accounts');
+      return data.accounts.filter((a) => String(a.accountid) === String(params[0])).slice(0, 1);
+    }
+    if (/^SELECT satelite_id FROM satelite WHERE satelite_id = \? AND satelite_user_id = \?/i.test(text)) {
+      reads.push('satelite');
+      return data.satelite.filter((s) => String(s.satelite_id) === String(params[0])
+        && String(s.satelite_user_id) === String(params[1])).slice(0, 1);
+    }
+    if (/^SELECT COUNT\(\*\) as total FROM transactions t WHERE t\.accountid = \? AND t\.start >= \? AND t\.start < \?/i.test(text)) {
+      reads.push('transactions');
+      return [{ total: txRange(params[0], params[1], params[2]).length }];
+    }
+    const page = /^SELECT t\.\*, c\.logo FROM transactions t .* LIMIT (\d+) OFFSET (\d+)$/i.exec(text);
+    if (page) {
+      reads.push('transactions');
+      const rows = txRange(params[1], params[2], params[3]);
+      const offset = Number(page[2]);
+      return rows.slice(offset, offset + Number(page[1])).map((t) => ({ logo: null, ...t }));
+    }
+    // Write audit (services/keaWriteAudit.js): DDL is a no-op, inserts are
+    // kept in order so a turn can assert which writes it recorded.
+    if (/^CREATE TABLE IF NOT EXISTS kea_write_audit /i.test(text)) return { warningStatus: 0 };
+    const insert = /^INSERT INTO kea_write_audit \(([^)]+)\) VALUES/i.exec(text);
+    if (insert) {
+      const row = { id: data.kea_write_audit.length + 1 };
+      insert[1].split(',').forEach((col, i) => { row[col.trim()] = params[i]; });
+      data.kea_write_audit.push(row);
+      return { insertId: row.id, affectedRows: 1 };
+    }
+    unsupported.push(text.slice(0, 80));
+    throw new Error(`golden mysql: unsupported statement: ${text.slice(0, 60)}`);
+  }
+
+  return { query, calls, reads, unsupported, data };
+}
+
+// ── Cashflow HTTP ─────────────────────────────────────────────────────────
+// Routes are keyed "METHOD /path" where `:name` segments match anything,
+// e.g. "POST /account/kea-upcoming/:accountId". A route value is either the
+// response body, `{ httpStatus, body }`, or a list consumed one call at a
+// time (the last entry repeats).
+function compileRoute(key) {
+  const m = /^(GET|POST|PUT|DELETE|PATCH)\s+(\S+)$/i.exec(String(key).trim());
+  if (!m) throw new Error(`golden cashflow: bad route key "${key}"`);
+  const segments = m[2].replace(/\/+$/, '').split('/').map((s) => (s.charAt(0) === ':'
+    ? '[^/]+'
+    : s.replace(/[.+*?^${}()|[\]\\]/g, '\\$&')));
+  return { key, method: m[1].toUpperCase(), re: new RegExp(`^${segments.join('/')}/?$`) };
+}
+
+function httpError(status, url) {
+  const err = new Error(`Request failed with status code ${status}`);
+  err.code = 'ERR_BAD_RESPONSE';
+  err.response = { status, data: { error: `golden stub ${status}` } };
+  err.config = { url };
+  return err;
+}
+
+function createCashflowStub(routes = {}) {
+  const compiled = Object.keys(routes).map((key) => ({ ...compileRoute(key), spec: routes[key], served: 0 }));
+  const calls = [];
+  const unmatched = [];
+
+  async function handle(method, url, body) {
+    const path = String(url).replace(/^https?:\/\/[^/]+/, '').split('?')[0];
+    const route = compiled.find((r) => r.method === method && r.re.test(path));
+    calls.push({ method, path, route: route ? route.key : null, body: body === undefined ? null : body });
+    if (!route) {
+      unmatched.push(`${method} ${path}`);
+      throw httpError(404, url);
+    }
+    let spec = route.spec;
+    if (Array.isArray(spec)) spec = spec[Math.min(route.served, spec.length - 1)];
+    route.served += 1;
+    const wrapped = spec && typeof spec === 'object' && Object.prototype.hasOwnProperty.call(spec, 'httpStatus');
+    const status = wrapped ? Number(spec.httpStatus) : 200;
+    const data = wrapped ? spec.body : spec;
+    if (status >= 400) throw httpError(status, url);
+    return { status, data: JSON.parse(JSON.stringify(data === undefined ? null : data)), headers: {} };
+  }
+
+  return {
+    calls,
+    unmatched,
+    get: (url) => handle('GET', url),
+    delete: (url) => handle('DELETE', url),
+    post: (url, body) => handle('POST', url, body),
+    put: (url, body) => handle('PUT', url, body),
+    patch: (url, body) => handle('PATCH', url, body),
+  };
+}
+
+// ── Azure OpenAI ──────────────────────────────────────────────────────────
+// Scripted replies, consumed in order: `{ content }` for a final answer or
+// `{ toolCalls: [{ name, arguments }] }` for a tool round. When the script
+// runs dry the responder answers with `defaultReply`.
+function toAzureData(reply, seq) {
+  const message = { role: 'assistant', content: reply.content != null ? String(reply.content) : null };
+  if (Array.isArray(reply.toolCalls) && reply.toolCalls.length) {
+    message.content = null;
+    message.tool_calls = reply.toolCalls.map((c, i) => ({
+      id: `call_golden_${seq}_${i}`,
+      type: 'function',
+      function: {
+        name: c.name,
+        arguments: typeof c.arguments === 'string' ? c.arguments : JSON.stringify(c.arguments || {}),
+      },
+    }));
+  }
+  return {
+    choices: [{ index: 0, message, finish_reason: message.tool_calls ? 'tool_calls' : 'stop' }],
+    usage: { prompt_tokens: 0, completion_tokens: 0, total_tokens: 0 },
+  };
+}
+
+function createAzureResponder() {
+  let script = [];
+  let defaultReply = 'OK.';
+  let seq = 0;
+  const calls = [];
+
+  async function queryAzureOpenAI(messages, opts = {}) {
+    seq += 1;
+    const tools = Array.isArray(opts.tools) ? opts.tools.map((t) => t && t.function && t.function.name).filter(Boolean) : [];
+    const call = { seq, toolsOffered: tools.length, deployment: opts.deployment || null, reply: null };
+    calls.push(call);
+    const next = script.length ? script.shift() : { content: defaultReply };
+    if (next && next.error) {
+      const err = new Error(next.error);
+      if (next.status) err.response = { status: next.status };
+      if (next.code) err.code = next.code;
+      throw err;
+    }
+    call.reply = next.toolCalls ? next.toolCalls.map((c) => c.name) : 'content';
+    return toAzureData(next, seq);
+  }
+
+  return {
+    calls,
+    queryAzureOpenAI,
+    load(replies, fallback) {
+      script = Array.isArray(replies) ? replies.slice() : [];
+      if (typeof fallback === 'string') defaultReply = fallback;
+    },
+    get remaining() { return script.length; },
+  };
+}
+
+module.exports = {
+  createMemoryRedis,
+  createMemoryMysql,
+  createCashflowStub,
+  createAzureResponder,
+};
@@ -2,6 +2,7 @@
 
 const { check, section } = require('./harness');
 const { assertAccountAccess, AccountAccessError } = require('../services/keaAccountAccess');
+const { mintServiceCredential } = require('../services/keaServiceCredential');
 
 function queryFromRows(map) {
   return async (sql, params) => {
@@ -83,6 +84,47 @@ async function run() {
       check('unrelated user on satellite account is denied', e.code === 'ACCESS_DENIED');
     }
   }
+
+  section('assertAccountAccess with a service credential');
+  const savedSecret = process.env.CASHFLOW_JWT_SECRET;
+  process.env.CASHFLOW_JWT_SECRET = 'account-access-test-secret';
+  try {
+    const credential = mintServiceCredential({ purpose: 'digest', userId: 5, accountId: 10 });
+    const owned = queryFromRows({ account: [{ accountid: 10, userid: 5, satelite_id: null }] });
+    const result = await assertAccountAccess(5, 10, { queryFn: owned, credential });
+    check('credential for the pair still checks ownership', result.access === 'owner');
+
+    let queried = false;
+    const spy = async () => { queried = true; return [{ accountid: 11, userid: 5, satelite_id: null }]; };
+    for (const [label, userId, accountId, cred] of [
+      ['other account', 5, 11, credential],
+      ['other user', 6, 10, credential],
+      ['tampered token', 5, 10, { ...credential, token: `${credential.token}x` }],
+      ['wrong purpose', 5, 10, { ...credential, purpose: 'export' }],
+      ['missing credential', 5, 10, null],
+    ]) {
+      try {
+        await assertAccountAccess(userId, accountId, { queryFn: spy, credential: cred });
+        check(`credential for ${label} is denied`, false);
+      } catch (e) {
+        check(`credential for ${label} is denied`, e instanceof AccountAccessError && e.code === 'ACCESS_DENIED');
+      }
+    }
+    check('denied credentials never reach the lookup', !queried);
+
+    try {
+      await assertAccountAccess(5, 10, {
+        credential,
+        queryFn: queryFromRows({ account: [{ accountid: 10, userid: 1, satelite_id: null }] }),
+      });
+      check('credential does not outlive lost access', false);
+    } catch (e) {
+      check('credential does not outlive lost access', e.code === 'ACCESS_DENIED');
+    }
+  } finally {
+    if (savedSecret === undefined) delete process.env.CASHFLOW_JWT_SECRET;
+    else process.env.CASHFLOW_JWT_SECRET = savedSecret;
+  }
 }
 
 module.exports = { run };
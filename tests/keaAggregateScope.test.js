@@ -0,0 +1,278 @@
+'use strict';
+
+const { check, section } = require('./harness');
+const { AccountAccessError, listAccessibleAccounts } = require('../services/keaAccountAccess');
+const {
+  routeCapability,
+  isAggregateAccountScope,
+  applyContinuationPersistenceFromEvidence,
+} = require('../services/keaCapabilityRouter');
+const { resolveGroundingPolicy } = require('../services/keaGroundingPolicy');
+const { prefetchGrounding } = require('../services/keaGroundingPrefetch');
+const { mergeAggregateEvidence, aggregateKindFor } = require('../services/keaAggregateScope');
+const { deriveConversationCapsule, capsuleTelemetryFields } = require('../services/keaConversationCapsule');
+const { buildEvidenceLedger } = require('../services/keaEvidenceLedgerBuilders');
+
+const ACCOUNTS = [
+  { accountId: '11', label: 'Joint', access: 'satellite' },
+  { accountId: '10', label: 'Checking', access: 'owner' },
+  { accountId: '12', label: null, access: 'owner' },
+];
+
+function route(message) {
+  return routeCapability({ message, currentDate: '2026-08-16', accountId: '10' });
+}
+
+function cashflowResult(partial = {}) {
+  return {
+    status: 'ok',
+    period: { start: '2026-08-01', end: '2026-08-16', label: 'current_month_to_date' },
+    postedIncome: 3000,
+    postedSpending: 200,
+    postedNet: 2800,
+    availableBalance: 1400,
+    largestCategories: [{ category: 'Dining', spentTotal: 120 }, { category: 'Fuel', spentTotal: 80 }],
+    negativeBalanceRisk: {
+      scope: { start: '2026-08-16', end: '2026-08-31', label: 'this_month' },
+      horizonDays: 90,
+      hasNegativeInScope: false,
+      firstNegativeDate: null,
+      lowestProjectedAmount: 410,
+      lowestProjectedDate: '2026-09-13',
+    },
+    observations: [{ code: 'posted_net_positive' }],
+    limitations: [],
+    dataAsOf: '2026-08-16T12:00:00.000Z',
+    ...partial,
+  };
+}
+
+function upcomingResult(items, partial = {}) {
+  return {
+    status: 'ok',
+    period: { start: '2026-08-17', end: '2026-08-23', label: 'next_week', relation: 'next_week' },
+    metricScope: 'expense',
+    items,
+    totals: { scheduledExpenseTotal: items.reduce((acc, i) => acc + i.amount, 0) },
+    observations: [],
+    limitations: [],
+    dataAsOf: '2026-08-16',
+    itemCount: items.length,
+    ...partial,
+  };
+}
+
+async function aggregatePrefetch(message, fetchers, extra = {}) {
+  const routed = route(message);
+  return prefetchGrounding({
+    trustedUserId: 5,
+    accountId: 10,
+    token: 'jwt',
+    currentDate: '2026-08-16',
+    message,
+    route: routed,
+    policy: resolveGroundingPolicy(routed, { message }),
+    assertFn: extra.assertFn || (async () => ({ access: 'owner' })),
+    listAccountsFn: extra.listAccountsFn || (async () => ACCOUNTS),
+    maxAccounts: extra.maxAccounts,
+    ...fetchers,
+  });
+}
+
+async function run() {
+  section('Aggregate scope — routing');
+  check('"across all my accounts" is aggregate', isAggregateAccountScope('What did I spend across all my accounts last month?'));
+  check('"combined balance" is aggregate', isAggregateAccountScope("What's my combined balance?"));
+  check('plain question is not aggregate', !isAggregateAccountScope('What did I spend last month?'));
+  check('"just this account" wins over "all accounts"', !isAggregateAccountScope('Just this account, not all my accounts'));
+  const aggRoute = route('How am I doing this month across all my accounts?');
+  check('aggregate slot on cashflow route', aggRoute.capability === 'cashflow_analysis' && aggRoute.slots.accountScope === 'aggregate');
+  check('general chat never carries the slot', !(route('Hi there, across all my accounts').slots || {}).accountScope);
+  check('snapshot lookups are not aggregated', aggregateKindFor({ effectiveCapability: 'financial_lookup', prefetchKind: 'snapshot' }, { slots: {} }) === null);
+
+  section('Aggregate scope — listAccessibleAccounts');
+  const sqls = [];
+  const listed = await listAccessibleAccounts(5, {
+    queryFn: async (sql, params) => {
+      sqls.push({ sql, params });
+      if (/JOIN satelite/.test(sql)) return [{ accountid: 10, accountname: 'Dup' }, { accountid: 11, accountname: 'Joint' }];
+      return [{ accountid: 10, accountname: 'Checking' }];
+    },
+  });
+  check('owned first, then shared', listed.map((a) => `${a.accountId}:${a.access}`).join(',') === '10:owner,11:satellite');
+  check('dedupes accounts seen twice', listed.length === 2 && listed[0].label === 'Checking');
+  check('shared query filters by satellite user', sqls[1].params[0] === 5);
+  let listErr = null;
+  try {
+    await listAccessibleAccounts(null, { queryFn: async () => [] });
+  } catch (e) {
+    listErr = e;
+  }
+  check('requires a user', listErr instanceof AccountAccessError && listErr.code === 'ACCESS_DENIED');
+
+  section('Aggregate scope — cashflow_analysis fan-out');
+  const cashflowCalls = [];
+  const seriesRequested = [];
+  const cfEv = await aggregatePrefetch('How am I doing this month across all my accounts?', {
+    fetchCashflowAnalysis: async ({ accountId, body }) => {
+      cashflowCalls.push(String(accountId));
+      seriesRequested.push(body.includeBalanceSeries === true);
+      if (String(accountId) === '11') {
+        return cashflowResult({
+          postedIncome: 500,
+          postedSpending: 300,
+          postedNet: 200,
+          availableBalance: 100,
+          largestCategories: [{ category: 'dining', spentTotal: 50 }],
+        });
+      }
+      return cashflowResult();
+    },
+  });
+  check('selected account read first', cashflowCalls[0] === '10' && cashflowCalls.length === 3);
+  check('each account asked for its balance series', seriesRequested.every(Boolean));
+  check('evidence marked aggregate', cfEv.accountScope === 'aggregate' && cfEv.facts.accountCount === 3);
+  check('posted figures summed', cfEv.facts.postedIncome === 6500 && cfEv.facts.postedNet === 5800);
+  check('balances not summed across accounts', cfEv.facts.availableBalance === undefined
+    && cfEv.limitations.includes('combined_balance_unavailable'));
+  check('each balance kept in the breakdown', cfEv.facts.accountBreakdown.map((r) => r.availableBalance).join('|') === '1400|100|1400');
+  check('categories merged case-insensitively', cfEv.facts.largestCategories[0].category === 'Dining'
+    && cfEv.facts.largestCategories[0].spentTotal === 290);
+  check('same-date lows are summed', cfEv.facts.negativeBalanceRisk.lowestProjectedAmount === 1230
+    && cfEv.facts.negativeBalanceRisk.lowestProjectedDate === '2026-09-13');
+  check('breakdown labels, never ids', cfEv.facts.accountBreakdown.map((r) => r.account).join('|') === 'Checking|Joint|Account 3'
+    && !JSON.stringify(cfEv.facts.accountBreakdown).includes('"11"'));
+  check('shared account marked shared', cfEv.facts.accountBreakdown[1].access === 'shared');
+  check('common observations kept', cfEv.observations.length === 1 && cfEv.observations[0].code === 'posted_net_positive');
+  check('status ok when every account read', cfEv.status === 'ok' && cfEv.prefetchMeta.aggregateFailedCount === 0);
+
+  const split = mergeAggregateEvidence('cashflow_analysis', [
+    { label: 'A', access: 'owner', evidence: { status: 'ok', source: ['cashflow_analysis'], facts: { negativeBalanceRisk: { hasNegativeInScope: false, lowestProjectedAmount: 10, lowestProjectedDate: '2026-09-01' } } } },
+    { label: 'B', access: 'owner', evidence: { status: 'ok', source: ['cashflow_analysis'], facts: { negativeBalanceRisk: { hasNegativeInScope: true, firstNegativeDate: '2026-08-20', lowestProjectedAmount: -5, lowestProjectedDate: '2026-08-22' } } } },
+  ], { currentDate: '2026-08-16' });
+  check('different-date lows are not summed', split.facts.negativeBalanceRisk.lowestProjectedAmount === undefined
+    && split.limitations.includes('combined_lowest_unavailable'));
+  check('any account negative → combined negative', split.facts.negativeBalanceRisk.hasNegativeInScope === true
+    && split.facts.negativeBalanceRisk.firstNegativeDate === '2026-08-20');
+  check('per-account lows stay in the breakdown', split.facts.accountBreakdown[1].lowestProjectedAmount === -5);
+
+  const withSeries = mergeAggregateEvidence('cashflow_analysis', [
+    {
+      label: 'A',
+      access: 'owner',
+      evidence: {
+        status: 'ok',
+        source: ['cashflow_analysis'],
+        facts: { negativeBalanceRisk: { hasNegativeInScope: false, lowestProjectedAmount: 10, lowestProjectedDate: '2026-09-01' } },
+        projectedBalanceSeries: [
+          { date: '2026-08-20', amount: 300 },
+          { date: '2026-08-22', amount: 40 },
+          { date: '2026-09-01', amount: 10 },
+        ],
+      },
+    },
+    {
+      label: 'B',
+      access: 'owner',
+      evidence: {
+        status: 'ok',
+        source: ['cashflow_analysis'],
+        facts: { negativeBalanceRisk: { hasNegativeInScope: true, firstNegativeDate: '2026-08-22', lowestProjectedAmount: -5, lowestProjectedDate: '2026-08-22' } },
+        projectedBalanceSeries: [
+          { date: '2026-08-20', amount: 90 },
+          { date: '2026-08-22', amount: -5 },
+          { date: '2026-08-25', amount: 200 },
+        ],
+      },
+    },
+  ], { currentDate: '2026-08-16' });
+  const combinedRisk = withSeries.facts.negativeBalanceRisk;
+  check('daily series summed by date for the combined low', combinedRisk.lowestProjectedAmount === 35
+    && combinedRisk.lowestProjectedDate === '2026-08-22' && !withSeries.limitations.includes('combined_lowest_unavailable'));
+  check('series stay out of the merged evidence', !JSON.stringify(withSeries).includes('projectedBalanceSeries'));
+
+  section('Aggregate scope — partial and fallback');
+  const denied = await aggregatePrefetch('How am I doing this month across all my accounts?', {
+    fetchCashflowAnalysis: async () => cashflowResult(),
+  }, {
+    assertFn: async (userId, accountId) => {
+      if (String(accountId) === '12') throw new AccountAccessError('ACCESS_DENIED', 'no');
+      return { access: 'owner' };
+    },
+  });
+  check('denied account → partial', denied.status === 'partial' && denied.limitations.includes('aggregate_accounts_incomplete'));
+  check('denied account not summed', denied.facts.postedIncome === 6000 && denied.prefetchMeta.aggregateFailedCount === 1);
+  check('denied account listed as unavailable', denied.facts.accountBreakdown[2].status === 'unavailable'
+    && denied.facts.accountBreakdown[2].postedIncome === undefined);
+
+  const capped = await aggregatePrefetch('How am I doing this month across all my accounts?', {
+    fetchCashflowAnalysis: async () => cashflowResult(),
+  }, { maxAccounts: 2 });
+  check('account cap noted', capped.facts.accountCount === 2 && capped.limitations.includes('aggregate_accounts_capped'));
+
+  let listedOnce = 0;
+  const unlisted = await aggregatePrefetch('How am I doing this month across all my accounts?', {
+    fetchCashflowAnalysis: async () => cashflowResult(),
+  }, {
+    listAccountsFn: async () => {
+      listedOnce += 1;
+      throw new Error('db down');
+    },
+  });
+  check('listing failure → selected account with limitation', listedOnce === 1 && unlisted.accountScope !== 'aggregate'
+    && unlisted.facts.postedIncome === 3000 && unlisted.limitations.includes('aggregate_accounts_unavailable'));
+
+  const single = await aggregatePrefetch('How am I doing this month across all my accounts?', {
+    fetchCashflowAnalysis: async () => cashflowResult(),
+  }, { listAccountsFn: async () => [{ accountId: '10', label: 'Checking', access: 'owner' }] });
+  check('one account → plain selected-account evidence', single.accountScope !== 'aggregate' && single.facts.postedIncome === 3000);
+
+  section('Aggregate scope — upcoming and lookup');
+  const upEv = await aggregatePrefetch('What bills are due next week across all my accounts?', {
+    fetchUpcomingAnalysis: async ({ accountId }) => (String(accountId) === '11'
+      ? upcomingResult([{ label: 'Daycare', date: '2026-08-18', amount: 705 }])
+      : upcomingResult([{ label: 'Rent', date: '2026-08-20', amount: 1400 }])),
+  });
+  check('upcoming items interleaved by date', upEv.facts.items[0].label === 'Daycare' && upEv.facts.items[0].account === 'Joint');
+  check('upcoming totals summed', upEv.facts.totals.scheduledExpenseTotal === 3505 && upEv.prefetchMeta.itemCount === 3);
+
+  const rowsBy = {
+    10: [{ name: 'Walmart', amount: -10, start: '2026-07-15' }],
+    11: [{ name: 'Walmart', amount: -25, start: '2026-07-20' }, { name: 'Walmart', amount: -5, start: '2026-07-21' }],
+    12: [],
+  };
+  const lookupEv = await aggregatePrefetch('How much did I spend at Walmart last month across all my accounts?', {
+    fetchPage: async ({ accountId, page }) => ({
+      transactions: page === 1 ? rowsBy[accountId] : [],
+      pagination: { page, limit: 50, total: rowsBy[accountId].length, pages: 1, hasNext: false },
+    }),
+  });
+  check('lookup totals summed across accounts', lookupEv.facts.spentTotal === 40 && lookupEv.facts.transactionCount === 3);
+  check('lookup byAccount breakdown', lookupEv.lookups[0].byAccount.map((r) => r.spentTotal).join(',') === '10,30,0');
+
+  section('Aggregate scope — ledger and capsule');
+  const built = buildEvidenceLedger({
+    capability: 'cashflow_analysis',
+    responseMode: 'grounded',
+    evidence: cfEv,
+    route: route('How am I doing this month across all my accounts?'),
+    accountContext: { accountName: 'Checking' },
+  });
+  check('ledger builds', built.ok === true && !!built.ledger);
+  const ledgerText = JSON.stringify(built.ledger);
+  check('ledger labels the scope as all accounts', ledgerText.includes('All accounts (3)'));
+  check('ledger carries the breakdown', ledgerText.includes('accountBreakdown') && ledgerText.includes('Joint'));
+
+  const ds = { lastCapability: 'cashflow_analysis', lastAccountId: '10', updatedAt: '2026-08-16T12:00:00.000Z' };
+  applyContinuationPersistenceFromEvidence(ds, aggRoute, cfEv, { accountId: '10' });
+  check('dialogue state remembers aggregate scope', ds.lastAccountScope === 'aggregate');
+  const capsule = deriveConversationCapsule(ds, '11');
+  check('multi-account thread survives an account switch', !!capsule.activeThread
+    && capsule.activeThread.accountScope === 'aggregate');
+  check('telemetry treats it as an account match', capsuleTelemetryFields(capsule, '11').capsule_account_match === true);
+  const selectedOnly = { lastCapability: 'cashflow_analysis', lastAccountId: '10', updatedAt: '2026-08-16T12:00:00.000Z' };
+  applyContinuationPersistenceFromEvidence(selectedOnly, route('How am I doing this month?'), cashflowResult({ source: ['cashflow_analysis'] }), { accountId: '10' });
+  check('selected-account thread still drops on switch', deriveConversationCapsule(selectedOnly, '11').activeThread === null);
+}
+
+module.exports = { run };
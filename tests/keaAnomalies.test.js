@@ -0,0 +1,211 @@
+'use strict';
+
+const { check, section } = require('./harness');
+const {
+  ANOMALY_KIND,
+  anomalyWindows,
+  detectAnomalies,
+  prefetchCashflowAnomalyMacro,
+} = require('../services/keaAnomalies');
+const {
+  route,
+  macroPrefetch,
+  inRange,
+  pagesOf,
+  resolveGroundingPolicy,
+  shouldForceDirectAnswer,
+  buildEvidenceSystemSection,
+  buildEvidenceLedger,
+  toPromptEvidence,
+  buildResponseValidationContract,
+  bundleForCapability,
+  buildMacroFallbackText,
+} = require('./macroHelpers');
+
+// Window for 2026-10-19 is 2026-09-20 → 2026-10-19; baseline 2026-06-22 → 2026-09-19.
+const ROWS = [
+  { transactionid: 1, amount: -15.49, name: 'Netflix', forecast_type: 'A', start: '2026-07-05' },
+  { transactionid: 2, amount: -15.49, name: 'Netflix', forecast_type: 'A', start: '2026-08-05' },
+  { transactionid: 3, amount: -15.49, name: 'Netflix', forecast_type: 'A', start: '2026-09-05' },
+  { transactionid: 4, amount: -22.99, name: 'NETFLIX.COM 866-579-7172', category: 'Subscriptions', forecast_type: 'A', start: '2026-10-05' },
+  { transactionid: 5, amount: -40, name: 'Shell Oil 12345', forecast_type: 'A', start: '2026-07-10' },
+  { transactionid: 6, amount: -45, name: 'Shell Oil 12345', forecast_type: 'A', start: '2026-08-10' },
+  { transactionid: 7, amount: -38, name: 'Shell Oil 12345', forecast_type: 'A', start: '2026-09-10' },
+  { transactionid: 8, amount: -140, name: 'SHELL SERVICE STATION', category: 'Gas', forecast_type: 'A', start: '2026-10-01' },
+  { transactionid: 9, amount: -80, name: 'Costco Whse #0123', forecast_type: 'A', start: '2026-07-14' },
+  { transactionid: 10, amount: -120, name: 'Costco Whse #0123', forecast_type: 'A', start: '2026-08-14' },
+  { transactionid: 11, amount: -95, name: 'Costco Whse #0123', forecast_type: 'A', start: '2026-09-14' },
+  { transactionid: 12, amount: -84.12, name: 'COSTCO WHOLESALE', category: 'Groceries', forecast_type: 'A', start: '2026-10-14' },
+  { transactionid: 13, amount: -84.12, name: 'COSTCO WHOLESALE', category: 'Groceries', forecast_type: 'A', start: '2026-10-15' },
+  { transactionid: 14, amount: -499.99, name: 'Best Buy 00123', category: 'Shopping', forecast_type: 'A', start: '2026-10-08' },
+  { transactionid: 15, amount: -12, name: 'Corner Bakery', category: 'Dining', forecast_type: 'A', start: '2026-10-09' },
+  { transactionid: 16, amount: -84.12, name: 'COSTCO WHOLESALE', forecast_type: 'A', start: '2026-10-16', duplicate: 1 },
+  { transactionid: 17, amount: -1800, name: 'Rent', forecast_type: 'F', start: '2026-10-18' },
+  { transactionid: 18, amount: 2000, name: 'Paycheck', forecast_type: 'A', start: '2026-10-01' },
+];
+
+function anomalyPrefetch(message, { rows = ROWS, fetchPage, assertFn } = {}) {
+  return macroPrefetch(message, { assertFn, fetchPage: fetchPage || pagesOf(rows) });
+}
+
+function byKind(anomalies, kind) {
+  return anomalies.find((a) => a.kind === kind) || null;
+}
+
+async function run() {
+  section('Anomalies — detection');
+  const windows = anomalyWindows(null, '2026-10-19');
+  check('default window is the last 30 days', windows.window.start === '2026-09-20'
+    && windows.window.end === '2026-10-19' && windows.window.label === 'last_30_days');
+  check('baseline is the 90 days before', windows.baseline.start === '2026-06-22' && windows.baseline.end === '2026-09-19');
+  const clamped = anomalyWindows({ start: '2026-10-01', end: '2026-10-31', label: 'this_month' }, '2026-10-19');
+  check('stated period clamps to today', clamped.window.end === '2026-10-19' && clamped.baseline.end === '2026-09-30');
+  const detected = detectAnomalies({
+    windowRows: inRange(ROWS, windows.window.start, windows.window.end),
+    baselineRows: inRange(ROWS, windows.baseline.start, windows.baseline.end),
+    ...windows,
+  });
+  check('four charges flagged', detected.anomalyCount === 4 && detected.anomalies.length === 4);
+  check('largest first', detected.anomalies.map((a) => a.merchant).join(',') === 'Best Buy,Shell,Costco,Netflix');
+  const fresh = byKind(detected.anomalies, ANOMALY_KIND.NEW_MERCHANT);
+  check('new merchant above threshold', fresh && fresh.merchant === 'Best Buy' && fresh.amount === 499.99);
+  check('small new merchant not flagged', !detected.anomalies.some((a) => a.merchant === 'Corner Bakery'));
+  const high = byKind(detected.anomalies, ANOMALY_KIND.ABOVE_MEDIAN);
+  check('above median folds merchant variants', high && high.merchant === 'Shell' && high.medianAmount === 40
+    && high.priorCount === 3 && high.percentAboveMedian === 250);
+  const dup = byKind(detected.anomalies, ANOMALY_KIND.DUPLICATE_CHARGE);
+  check('later duplicate flagged', dup && dup.date === '2026-10-15' && dup.duplicateOfDate === '2026-10-14'
+    && dup.amount === 84.12);
+  check('duplicate-marked rows ignored', detected.countsByKind.duplicate_charge === 1);
+  const jump = byKind(detected.anomalies, ANOMALY_KIND.RECURRING_JUMP);
+  check('recurring jump', jump && jump.merchant === 'Netflix' && jump.previousAmount === 15.49
+    && jump.increase === 7.5 && jump.percentIncrease === 48.4);
+  check('posted spending excludes forecasts and income', detected.postedSpending === 843.22);
+  check('anomaly total is listed rows only', detected.anomalyAmountTotal === 747.1);
+  check('rows carry no ids', !JSON.stringify(detected.anomalies).includes('transactionid'));
+  const noBaseline = detectAnomalies({
+    windowRows: inRange(ROWS, windows.window.start, windows.window.end),
+    baselineRows: [],
+    ...windows,
+    allowNewMerchant: false,
+  });
+  check('new-merchant check can be suppressed', noBaseline.countsByKind.new_merchant === 0
+    && noBaseline.countsByKind.duplicate_charge === 1);
+  const straddle = detectAnomalies({
+    windowRows: [{ amount: -59.99, name: 'Adobe Inc', start: '2026-09-21' }],
+    baselineRows: [
+      { amount: -59.99, name: 'ADOBE INC', start: '2026-08-19' },
+      { amount: -59.99, name: 'ADOBE INC', start: '2026-09-19' },
+    ],
+    ...windows,
+  });
+  const crossDup = byKind(straddle.anomalies, ANOMALY_KIND.DUPLICATE_CHARGE);
+  check('duplicate across the window start flagged', crossDup && crossDup.date === '2026-09-21'
+    && crossDup.duplicateOfDate === '2026-09-19');
+  const small = detectAnomalies({
+    windowRows: [
+      { amount: -4, name: 'Coffee Cart', start: '2026-10-02' },
+      { amount: -5, name: 'Coffee Cart', start: '2026-10-09' },
+    ],
+    baselineRows: [
+      { amount: -4, name: 'Coffee Cart', start: '2026-08-02' },
+      { amount: -4, name: 'Coffee Cart', start: '2026-09-02' },
+    ],
+    ...windows,
+  });
+  check('small recurring rise below the dollar floor', small.anomalyCount === 0);
+
+  section('Anomalies — routing');
+  const weird = route('Anything weird on my account lately?');
+  check('weird → cashflow_anomaly', weird.capability === 'cashflow_anomaly' && weird.slots.period === null);
+  check('account wording is not a category', weird.slots.subjectKind === null);
+  check('expensive month', route('Why was this month so expensive?').capability === 'cashflow_anomaly');
+  const twice = route('Was I charged twice at Costco?');
+  check('charged twice keeps merchant', twice.capability === 'cashflow_anomaly'
+    && twice.slots.subjectKind === 'merchant' && twice.slots.subjectValue === 'costco');
+  check('duplicate charges', route('Any duplicate charges last month?').capability === 'cashflow_anomaly');
+  check('plain spending question unchanged', route('How much did I spend on groceries?').capability !== 'cashflow_anomaly');
+  check('forces direct answer', shouldForceDirectAnswer({
+    route: weird,
+    policy: resolveGroundingPolicy(weird, {}),
+    evidence: { status: 'ok', source: ['cashflow_anomaly'] },
+  }) === true);
+  check('no tools bundled', bundleForCapability('cashflow_anomaly').length === 0);
+
+  section('Anomalies — prefetch macro');
+  const ev = await anomalyPrefetch('Anything weird on my account lately?');
+  check('macro evidence ok', ev.status === 'ok' && ev.source[0] === 'cashflow_anomaly' && ev.accountScope === 'selected_account');
+  check('macro facts', ev.facts.anomalyCount === 4 && ev.facts.baselinePeriod.start === '2026-06-22');
+  check('heuristic limitation', ev.limitations.includes('anomaly_heuristic') && ev.limitations.includes('posted_actuals_only'));
+  check('anomalies observation', ev.observations[0].code === 'anomalies_found' && ev.observations[0].count === 4);
+  const month = await anomalyPrefetch('Why was this month so expensive?');
+  check('stated period respected', month.period.start === '2026-10-01' && month.period.end === '2026-10-19');
+  const costco = await anomalyPrefetch('Was I charged twice at Costco?');
+  check('merchant subject narrows flags', costco.facts.anomalyCount === 1
+    && costco.facts.anomalies[0].kind === 'duplicate_charge');
+  const quiet = await anomalyPrefetch('Anything weird on my account lately?', {
+    rows: ROWS.filter((t) => t.name !== 'Best Buy 00123' && t.start < '2026-10-01'),
+  });
+  check('nothing flagged → no_anomalies', quiet.status === 'ok' && quiet.facts.anomalyCount === 0
+    && quiet.observations[0].code === 'no_anomalies');
+  const partialBase = await anomalyPrefetch('Anything weird on my account lately?', {
+    fetchPage: pagesOf(ROWS, { brokenFrom: '2026-09-20' }),
+  });
+  check('partial baseline → partial, new merchant skipped', partialBase.status === 'partial'
+    && partialBase.limitations.includes('anomaly_baseline_partial')
+    && partialBase.facts.countsByKind.new_merchant === 0);
+  const brokenWindow = await prefetchCashflowAnomalyMacro({
+    trustedUserId: 5,
+    accountId: 22,
+    currentDate: '2026-10-19',
+    route: weird,
+    assertFn: async () => ({ access: 'owner' }),
+    fetchPage: async () => ({ transactions: ROWS }),
+  });
+  check('missing window total → partial', brokenWindow.status === 'partial'
+    && brokenWindow.limitations.includes('incomplete_period_pages'));
+  const denied = await anomalyPrefetch('Anything weird on my account lately?', {
+    assertFn: async () => { const e = new Error('no'); e.code = 'ACCESS_DENIED'; throw e; },
+  });
+  check('access denied → access_unverified', denied.status !== 'ok' && denied.limitations.includes('access_unverified'));
+  const many = Array.from({ length: 12 }, (_, i) => ({
+    amount: -(150 + i), name: `Shop ${String.fromCharCode(65 + i)}${String.fromCharCode(65 + i)}`, forecast_type: 'A', start: '2026-10-10',
+  }));
+  const capped = await anomalyPrefetch('Anything weird on my account lately?', { rows: many });
+  check('list capped', capped.facts.anomalyCount === 12 && capped.facts.anomalies.length === 10
+    && capped.limitations.includes('list_capped'));
+
+  section('Anomalies — ledger, view and contract');
+  const built = buildEvidenceLedger({ capability: 'cashflow_anomaly', evidence: ev, accountContext: { accountId: 22, accountLabel: 'Main' } });
+  const ledger = built.ledger;
+  check('ledger builds', built.ok === true && ledger.capability === 'cashflow_anomaly' && ledger.source.kind === 'cashflow_anomaly');
+  check('amount claimed', ledger.claims.some((c) => c.path === 'facts.anomalies[0].amount' && c.value === 499.99));
+  check('median claimed', ledger.claims.some((c) => c.path === 'facts.anomalies[1].medianAmount' && c.value === 40));
+  check('duplicate date claimed', ledger.claims.some((c) => c.path === 'facts.anomalies[2].duplicateOfDate' && c.value === '2026-10-14'));
+  check('percent claimed', ledger.claims.some((c) => c.path === 'facts.anomalies[3].percentIncrease' && c.value === 48.4));
+  check('count claimed', ledger.claims.some((c) => c.path === 'facts.anomalyCount' && c.value === 4));
+  check('no fraud rule', ledger.prohibitedNarration.some((n) => n.code === 'do_not_call_fraud'));
+  const cappedLedger = buildEvidenceLedger({ capability: 'cashflow_anomaly', evidence: capped, accountContext: { accountId: 22 } }).ledger;
+  check('capped list meta', cappedLedger.lists.anomalies.truncated === true && cappedLedger.lists.anomalies.totalCount === 12);
+  const quietLedger = buildEvidenceLedger({ capability: 'cashflow_anomaly', evidence: quiet, accountContext: { accountId: 22 } }).ledger;
+  check('empty ledger', quietLedger.status === 'complete_empty'
+    && quietLedger.allowedNarration.some((n) => n.code === 'no_anomalies_found'));
+  const resolved = buildEvidenceLedger({ capability: 'continuation', evidence: ev, accountContext: { accountId: 22 } }).ledger;
+  check('continuation resolves by source', resolved.capability === 'cashflow_anomaly');
+  const view = toPromptEvidence(ledger, {});
+  check('prompt view ok', view.ok === true && view.promptable === true);
+  const viewText = JSON.stringify(view.promptEvidence);
+  check('view hides observation codes', !/anomalies_found/.test(viewText));
+  check('view states heuristic limitation', /not a fraud determination/.test(viewText));
+  const contract = buildResponseValidationContract(ledger);
+  check('contract binds anomaly rows', contract && contract.ok !== false && JSON.stringify(contract).includes('Best Buy'));
+  const legacy = buildEvidenceSystemSection(ev);
+  check('legacy section carries anomaly instruction', /not a fraud determination/.test(legacy) && /anomalies\[\]/.test(legacy));
+  const fallback = buildMacroFallbackText(ev);
+  check('deterministic fallback lists charges', /Best Buy on 2026-10-08: \$500 \(first charge from this merchant\)/.test(fallback)
+    && /Costco on 2026-10-15: \$84 \(same amount as a charge on 2026-10-14\)/.test(fallback)
+    && /Netflix on 2026-10-05: \$23 \(up from \$15\)/.test(fallback));
+  check('fallback when nothing stands out', /stood out/.test(buildMacroFallbackText(quiet)));
+}
+
+module.exports = { run };
@@ -0,0 +1,95 @@
+'use strict';
+
+const { check, section } = require('./harness');
+const { createMemoryRedis } = require('./golden/standIns');
+const { __testables: T } = require('../controllers/openaiController');
+
+const CATEGORIES = [
+  { name: 'Groceries' }, { name: 'Restaurants' }, { name: 'Subscriptions' }, { name: 'Pets', description: 'Pet food and vet' }, 'Misc',
+];
+const HISTORY = [
+  { name: 'BARK BOX', merchant_name: 'BarkBox', amount: -29, category: 'Pets' },
+];
+
+// Fake model: answers every item in the grouped prompt, recording each call.
+function fakeModel(pick = () => 'Misc', { fail = false } = {}) {
+  const calls = [];
+  const query = async (messages, opts) => {
+    const items = JSON.parse(messages[1].content.split('Items (JSON):\n')[1]);
+    calls.push({ items, opts, system: messages[0].content });
+    if (fail) throw new Error('azure down');
+    const results = items.map((it) => ({ id: it.id, category: pick(it), confidence: 'medium', reason: 'test' }));
+    return { choices: [{ message: { tool_calls: [{ function: { name: 'selectCategories', arguments: JSON.stringify({ results }) } }] } }] };
+  };
+  query.calls = calls;
+  return query;
+}
+
+// No saved categorization rules, without touching MySQL.
+const noRules = { query: async () => [] };
+
+function tx(name, extra = {}) {
+  return { name, merchant_name: name, amount: -10, ...extra };
+}
+
+async function run() {
+  section('Batch dedupe keys');
+  check('brand variants merge', T.batchDedupeKey(tx('AMZN Mktp US*2T4')) === T.batchDedupeKey(tx('Amazon.com')));
+  check('Plaid signal keeps merchants apart', T.batchDedupeKey(tx('Walmart', { personal_finance_category: { detailed: 'FOOD_AND_DRINK_GROCERIES' } }))
+    !== T.batchDedupeKey(tx('Walmart', { personal_finance_category: { detailed: 'GENERAL_MERCHANDISE_ELECTRONICS' } })));
+  check('no merchant → never merged', T.batchDedupeKey({ amount: -5 }) === null);
+
+  section('Category lookup');
+  const lookup = T.buildCategoryLookup(CATEGORIES);
+  check('names normalized', lookup.uniqueCategoryNames.join() === 'Groceries,Restaurants,Subscriptions,Pets,Misc');
+  check('descriptions in prompt list', /- Pets — Pet food and vet/.test(lookup.categoryListText));
+  check('model casing repaired', T.resolveModelCategory('groceries', lookup).name === 'Groceries');
+  check('closest match flagged', T.resolveModelCategory('Pet', lookup).closest === true);
+  check('unknown → null', T.resolveModelCategory('Travel', lookup) === null);
+
+  section('Batch ladder');
+  const store = createMemoryRedis();
+  const model = fakeModel((it) => (/barkbox|chewy/i.test(it.transaction.merchant_name) ? 'Pets' : 'Misc'));
+  const transactions = [
+    tx('Whole Foods Market'),
+    tx('Chewy.com'),
+    tx('Local Bakery 12'),
+    tx('CHEWY.COM'),
+    tx('Whole Foods Market'),
+    { amount: -3 },
+  ];
+  const first = await T.runAutoCategorizeBatch({ transactions, transactionHistory: HISTORY, categories: CATEGORIES, userId: 7, accountId: 70 },
+    { store, queryModel: model, db: noRules });
+  check('one result per row, in input order', first.results.length === 6 && first.results.every((r, i) => r.index === i));
+  check('fast path resolves known merchants', first.results[0].method === 'fast-path' && first.results[0].suggestedCategory === 'Groceries');
+  check('duplicates share one answer', first.results[4].suggestedCategory === 'Groceries'
+    && first.results[3].suggestedCategory === first.results[1].suggestedCategory);
+  check('only leftovers reach the model, in one grouped call', model.calls.length === 1 && model.calls[0].items.length === 3);
+  check('grouped prompt carries the shared rules', /selectCategories/.test(model.calls[0].system) && /STEP 2/.test(model.calls[0].system));
+  check('model answers mapped', first.results[1].method === 'ai' && first.results[1].suggestedCategory === 'Pets');
+  check('stats', first.stats.total === 6 && first.stats.unique === 4 && first.stats.fastPath === 1 && first.stats.ai === 3 && first.stats.llmCalls === 1);
+
+  const second = await T.runAutoCategorizeBatch({ transactions, transactionHistory: HISTORY, categories: CATEGORIES, userId: 7, accountId: 70 },
+    { store, queryModel: model, db: noRules });
+  check('rerun served from cache', model.calls.length === 1 && second.results.every((r) => r.method === 'cache' && r.cached === true));
+
+  section('Grouping + failure');
+  const many = Array.from({ length: T.constants.AUTOCATEGORIZE_BATCH_GROUP_SIZE + 5 }, (_, i) => tx(`Shop Number${i} Xyz`));
+  const grouped = fakeModel();
+  const big = await T.runAutoCategorizeBatch({ transactions: many, categories: CATEGORIES }, { store: createMemoryRedis(), queryModel: grouped });
+  check('leftovers split into groups', grouped.calls.length === 2
+    && grouped.calls[0].items.length === T.constants.AUTOCATEGORIZE_BATCH_GROUP_SIZE && grouped.calls[1].items.length === 5);
+  check('every row answered', big.results.every((r) => r.suggestedCategory === 'Misc'));
+
+  const failStore = createMemoryRedis();
+  const down = fakeModel(undefined, { fail: true });
+  const failed = await T.runAutoCategorizeBatch({ transactions: [tx('Local Bakery 12')], categories: CATEGORIES }, { store: failStore, queryModel: down });
+  check('model failure → first category, low confidence', failed.results[0].method === 'fallback-default'
+    && failed.results[0].suggestedCategory === 'Groceries' && failed.results[0].confidence === 'low');
+  check('fallback not cached', (await failStore.keys('autocat:*')).length === 0);
+  const brokenStore = { get: async () => { throw new Error('redis down'); }, set: async () => { throw new Error('redis down'); } };
+  const noRedis = await T.runAutoCategorizeBatch({ transactions: [tx('Whole Foods Market')], categories: CATEGORIES }, { store: brokenStore, queryModel: fakeModel() });
+  check('redis failure is non-fatal', noRedis.results[0].method === 'fast-path');
+}
+
+module.exports = { run };
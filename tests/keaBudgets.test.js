@@ -0,0 +1,271 @@
+'use strict';
+
+const { check, section } = require('./harness');
+const {
+  BUDGET_STATUS,
+  BudgetError,
+  listBudgets,
+  loadBudgets,
+  setBudget,
+  deleteBudget,
+  budgetMonthPeriod,
+  computeBudgetStatus,
+  prefetchCashflowBudgetMacro,
+  resetBudgetsForTests,
+} = require('../services/keaBudgets');
+const {
+  T,
+  route,
+  macroPrefetch,
+  pagesOf,
+  memoryTable,
+  rejects,
+  resolveGroundingPolicy,
+  shouldForceDirectAnswer,
+  buildEvidenceSystemSection,
+  buildEvidenceLedger,
+  toPromptEvidence,
+  buildResponseValidationContract,
+  bundleForCapability,
+  buildMacroFallbackText,
+} = require('./macroHelpers');
+
+const MONTH_ROWS = [
+  { amount: -120, category: 'Groceries', forecast_type: 'A', start: '2026-10-05' },
+  { amount: -90, category: 'Groceries', forecast_type: 'A', start: '2026-10-12' },
+  { amount: -60, category: 'Groceries', forecast_type: 'A', start: '2026-10-12', duplicate: 1 },
+  { amount: -250, category: 'Groceries', forecast_type: 'F', start: '2026-10-26' },
+  { amount: -130, category: 'Dining', forecast_type: 'A', start: '2026-10-06' },
+  { amount: 2000, category: 'Paycheck', forecast_type: 'A', start: '2026-10-01' },
+];
+
+function budgetPrefetch(message, { saved, rows = MONTH_ROWS, assertFn } = {}) {
+  return macroPrefetch(message, { assertFn, fetchPage: pagesOf(rows), loadBudgetsFn: async () => saved || [] });
+}
+
+function budgetCtx(state, extras = {}) {
+  return {
+    userId: 5,
+    token: 'trusted',
+    accountId: 22,
+    accountName: 'Main Account',
+    currentDate: '2026-10-19',
+    dialogueState: state,
+    pendingBudgetConfirmationAtStart: extras.armed === true,
+    userAffirmative: extras.affirmative === true,
+    categoryNames: ['Groceries', 'Dining'],
+    functionMap: extras.functionMap,
+    queryAzureOpenAI: async () => ({ choices: [{ message: { content: 'Done.' } }] }),
+    skipCacheInvalidate: true,
+  };
+}
+
+function toolCall(id, name, args) {
+  return { id, function: { name, arguments: JSON.stringify(args || {}) } };
+}
+
+async function run() {
+  section('Budgets — storage');
+  resetBudgetsForTests();
+  const db = memoryTable('kea_budgets');
+  const now = new Date('2026-10-19T12:00:00.000Z');
+  const first = await setBudget(5, 22, { category: 'Groceries', monthlyLimit: 400 }, { db, now });
+  check('set creates a budget', first.created === true && first.budget.monthlyLimit === 400 && first.budget.id === 1);
+  const again = await setBudget(5, 22, { category: 'groceries', monthlyLimit: '450.129' }, { db, now });
+  check('same category (any case) updates in place', again.created === false && again.budget.id === 1
+    && again.budget.monthlyLimit === 450.13 && db.rows.length === 1);
+  await setBudget(5, 22, { category: 'Dining', monthlyLimit: 100 }, { db, now });
+  await setBudget(5, 99, { category: 'Dining', monthlyLimit: 75 }, { db, now });
+  await setBudget(6, 22, { category: 'Dining', monthlyLimit: 60 }, { db, now });
+  const listed = await listBudgets(5, 22, { db });
+  check('list is scoped to user and account', listed.length === 2
+    && listed.map((b) => b.category).join('|') === 'groceries|Dining');
+  check('DDL runs once', db.statements.filter((s) => s.startsWith('CREATE TABLE')).length === 1);
+
+  const invalid = await rejects(setBudget(5, 22, { category: 'Fuel', monthlyLimit: -5 }, { db }));
+  check('non-positive limit rejected', invalid instanceof BudgetError && invalid.code === 'KEA_BUDGET_INVALID');
+  const noAccount = await rejects(setBudget(5, null, { category: 'Fuel', monthlyLimit: 5 }, { db }));
+  check('account required', noAccount instanceof BudgetError && noAccount.code === 'KEA_BUDGET_INVALID');
+  const noCategory = await rejects(setBudget(5, 22, { category: ' ', monthlyLimit: 5 }, { db }));
+  check('category required', noCategory instanceof BudgetError && noCategory.code === 'KEA_BUDGET_INVALID');
+
+  const removed = await deleteBudget(5, 22, { category: 'DINING' }, { db });
+  check('delete by category', removed.category === 'Dining' && (await listBudgets(5, 22, { db })).length === 1);
+  const otherUser = await rejects(deleteBudget(5, 22, { id: 5 }, { db }));
+  check('another user\'s budget is not found', otherUser instanceof BudgetError && otherUser.code === 'KEA_BUDGET_NOT_FOUND');
+  check('other user row untouched', db.rows.some((r) => r.userid === '6'));
+
+  const failing = { query: async () => { throw new Error('mysql down'); } };
+  resetBudgetsForTests();
+  check('loadBudgets is fail-soft', (await loadBudgets(5, 22, { db: failing })).length === 0);
+  check('loadBudgets without account is empty', (await loadBudgets(5, null, { db })).length === 0);
+  resetBudgetsForTests();
+
+  section('Budgets — status');
+  const period = budgetMonthPeriod('2026-10-19');
+  check('calendar month period', period.start === '2026-10-01' && period.end === '2026-10-31' && period.label === 'this_month');
+  const status = computeBudgetStatus({
+    budgets: [{ category: 'Groceries', monthlyLimit: 400 }, { category: 'Dining', monthlyLimit: 100 }, { category: 'Fuel', monthlyLimit: 80 }],
+    transactions: MONTH_ROWS,
+    currentDate: '2026-10-19',
+  });
+  const [groceries, dining, fuel] = status.budgets;
+  check('posted spend excludes duplicates', groceries.spentToDate === 210 && groceries.transactionCount === 2);
+  check('scheduled remainder counted', groceries.remainingScheduled === 250 && groceries.projectedTotal === 460);
+  check('projected over', groceries.status === BUDGET_STATUS.PROJECTED_OVER && groceries.projectedRemaining === -60);
+  check('percent used of posted spend', groceries.percentUsed === 52.5 && groceries.remainingBudget === 190);
+  check('already over', dining.status === BUDGET_STATUS.OVER && dining.remainingBudget === -30);
+  check('no spend is on track', fuel.status === BUDGET_STATUS.ON_TRACK && fuel.spentToDate === 0);
+  check('observations per budget', status.observations.map((o) => o.code).join('|')
+    === 'budget_projected_over|budget_exceeded|budget_on_track');
+  check('overBy on exceeded', status.observations[1].overBy === 30);
+  check('totals sum rows', status.totals.monthlyLimit === 580 && status.totals.projectedTotal === 590);
+  const narrowed = computeBudgetStatus({
+    budgets: [{ category: 'Groceries', monthlyLimit: 400 }, { category: 'Dining', monthlyLimit: 100 }],
+    transactions: MONTH_ROWS,
+    currentDate: '2026-10-19',
+    category: 'grocery',
+  });
+  check('category filter narrows loosely', narrowed.budgets.length === 1 && narrowed.budgets[0].category === 'Groceries');
+
+  section('Budgets — routing');
+  const setRoute = route('Set a $400 budget for groceries');
+  check('set routes to cashflow_budget', setRoute.capability === 'cashflow_budget'
+    && setRoute.slots.budgetAction === 'set' && setRoute.slots.budgetLimit === 400);
+  const askRoute = route('Am I over my dining budget?');
+  check('status question has no action', askRoute.capability === 'cashflow_budget'
+    && askRoute.slots.budgetAction === null && askRoute.slots.budgetCategory === 'dining');
+  check('delete action', route('Delete my dining budget').slots.budgetAction === 'delete');
+  const keepUnder = route('Keep groceries under $400 this month');
+  check('keep-under phrasing', keepUnder.capability === 'cashflow_budget' && keepUnder.slots.budgetLimit === 400);
+  check('savings goal stays goal_write', route('Set a savings goal of $500').capability !== 'cashflow_budget');
+  check('budget write in simulation is simulation', route('Set a $400 grocery budget', { simulationMode: true }).capability === 'simulation');
+  const pendingAmend = route('make it $450', {
+    pendingBudgetWrite: true,
+    pendingBudgetDraft: { action: 'set', category: 'Groceries', monthly_limit: 400 },
+  });
+  check('pending budget amendment stays cashflow_budget', pendingAmend.capability === 'cashflow_budget'
+    && pendingAmend.pendingType === 'budget');
+  const pendingYes = route('yes', { pendingBudgetWrite: true, userAffirmative: true });
+  check('pending budget + yes is confirmation', pendingYes.capability === 'confirmation' && pendingYes.pendingType === 'budget');
+  check('status turn forces direct answer', shouldForceDirectAnswer({
+    route: askRoute,
+    policy: resolveGroundingPolicy(askRoute, {}),
+    evidence: { status: 'ok', source: ['cashflow_budget'] },
+  }) === true);
+  check('set turn keeps tools', shouldForceDirectAnswer({
+    route: setRoute,
+    policy: resolveGroundingPolicy(setRoute, {}),
+    evidence: { status: 'ok', source: ['cashflow_budget'] },
+  }) === false);
+  check('budget bundle', bundleForCapability('cashflow_budget').join(',')
+    === 'getBudgets,updateDraftBudget,confirmTransaction,setBudget,deleteBudget');
+  check('budget confirmation bundle', bundleForCapability('confirmation', { pendingType: 'budget' }).includes('setBudget'));
+
+  section('Budgets — prefetch macro');
+  const saved = [{ category: 'Groceries', monthlyLimit: 400 }, { category: 'Dining', monthlyLimit: 100 }];
+  const ev = await budgetPrefetch('How are my budgets doing?', { saved });
+  check('macro evidence ok', ev.status === 'ok' && ev.source[0] === 'cashflow_budget' && ev.accountScope === 'selected_account');
+  check('macro rows', ev.facts.budgetCount === 2 && ev.facts.budgets[0].projectedTotal === 460);
+  check('totals when several budgets', ev.facts.totals && ev.facts.totals.spentToDate === 340);
+  check('forecast-only limitation', ev.limitations.includes('budget_scheduled_forecast_only'));
+  const one = await budgetPrefetch('Am I over my dining budget?', { saved });
+  check('category question narrows', one.facts.budgetCount === 1 && one.facts.budgets[0].category === 'Dining'
+    && one.facts.totals === undefined);
+  const stated = await budgetPrefetch('Keep groceries under $300 this month');
+  check('stated limit used without a saved budget', stated.facts.budgetCount === 1
+    && stated.facts.budgets[0].source === 'stated' && stated.facts.budgets[0].status === BUDGET_STATUS.PROJECTED_OVER);
+  const none = await budgetPrefetch('How are my budgets doing?');
+  check('no budgets → no_budget_set', none.status === 'ok' && none.facts.budgetCount === 0 && none.limitations.includes('no_budget_set'));
+  const denied = await budgetPrefetch('How are my budgets doing?', {
+    saved,
+    assertFn: async () => { const e = new Error('no'); e.code = 'ACCESS_DENIED'; throw e; },
+  });
+  check('access denied → access_unverified', denied.status !== 'ok' && denied.limitations.includes('access_unverified'));
+  const partial = await prefetchCashflowBudgetMacro({
+    trustedUserId: 5,
+    accountId: 22,
+    currentDate: '2026-10-19',
+    route: askRoute,
+    assertFn: async () => ({ access: 'owner' }),
+    loadBudgetsFn: async () => saved,
+    fetchPage: async () => ({ transactions: MONTH_ROWS }),
+  });
+  check('missing page total → partial', partial.status === 'partial' && partial.limitations.includes('incomplete_period_pages'));
+
+  section('Budgets — ledger, view and contract');
+  const built = buildEvidenceLedger({ capability: 'cashflow_budget', evidence: ev, accountContext: { accountId: 22, accountLabel: 'Main' } });
+  const ledger = built.ledger;
+  check('ledger builds', built.ok === true && ledger.capability === 'cashflow_budget' && ledger.source.kind === 'cashflow_budget');
+  check('row amounts claimed', ledger.claims.some((c) => c.path === 'facts.budgets[0].projectedTotal' && c.value === 460));
+  check('percent claimed', ledger.claims.some((c) => c.path === 'facts.budgets[1].percentUsed' && c.value === 130));
+  check('totals claimed', ledger.claims.some((c) => c.path === 'facts.totals.monthlyLimit' && c.value === 500));
+  check('no recalculation rule', ledger.prohibitedNarration.some((n) => n.code === 'do_not_recalculate'));
+  const emptyLedger = buildEvidenceLedger({ capability: 'cashflow_budget', evidence: none, accountContext: { accountId: 22 } }).ledger;
+  check('empty ledger offers to set one', emptyLedger.status === 'complete_empty'
+    && emptyLedger.allowedNarration.some((n) => n.code === 'offer_to_set_budget'));
+  const view = toPromptEvidence(ledger, {});
+  check('prompt view ok', view.ok === true && view.promptable === true);
+  const viewText = JSON.stringify(view.promptEvidence);
+  check('view hides observation codes', !/budget_exceeded|budget_projected_over/.test(viewText));
+  check('view states forecast-only limitation', /already scheduled/.test(viewText));
+  const contract = buildResponseValidationContract(ledger);
+  check('contract binds budget rows', contract && contract.ok !== false
+    && JSON.stringify(contract).includes('Groceries'));
+  check('legacy section carries budget instruction', /budget/i.test(buildEvidenceSystemSection(ev)));
+  const fallback = buildMacroFallbackText(ev);
+  check('deterministic fallback lists budgets', /Groceries: \$210 of \$400 spent \(on pace to go over/.test(fallback)
+    && /Dining: \$130 of \$100 spent \(over budget\)/.test(fallback));
+  check('fallback with no budgets offers to set one', /set one/.test(buildMacroFallbackText(none)));
+
+  section('Budgets — propose→confirm gate');
+  const setCalls = [];
+  const fm = { setBudget: async (args) => { setCalls.push(args); return { success: true, action: 'create_budget', budget_id: 7, category: args.category, monthly_limit: args.monthly_limit }; } };
+  const draftState = T.emptyDialogueState();
+  const draftCtx = budgetCtx(draftState, { functionMap: fm });
+  await T.executeToolCalls([{ role: 'user', content: 'set a grocery budget of $400' }], [
+    toolCall('d1', 'updateDraftBudget', { action: 'set', category: 'groceries', monthly_limit: 400, pendingConfirmation: true }),
+    toolCall('w1', 'setBudget', { category: 'Groceries', monthly_limit: 400 }),
+  ], draftCtx);
+  check('draft staged with snapped category', draftState.draftBudget.category === 'Groceries' && draftState.pendingBudgetConfirmation === true);
+  check('write blocked on the proposing turn', setCalls.length === 0);
+
+  const confirmState = T.emptyDialogueState();
+  confirmState.draftBudget = { action: 'set', category: 'Groceries', monthly_limit: 400 };
+  confirmState.pendingBudgetConfirmation = true;
+  const confirmCtx = budgetCtx(confirmState, { functionMap: fm, armed: true });
+  const confirmed = await T.executeToolCalls([{ role: 'user', content: 'yes' }], [
+    toolCall('c1', 'confirmTransaction', {}),
+    toolCall('w2', 'setBudget', { category: 'Groceries', monthly_limit: 400 }),
+    toolCall('w3', 'setBudget', { category: 'Groceries', monthly_limit: 400 }),
+  ], confirmCtx);
+  check('confirmed write runs once', setCalls.length === 1);
+  check('committed write recorded', confirmed.writes.some((w) => w.budget_id === 7)
+    && confirmState.recentWrites.some((w) => w.action === 'create_budget'));
+  check('budget draft cleared', confirmState.pendingBudgetConfirmation === false
+    && Object.keys(confirmState.draftBudget).length === 0);
+  const simCalls = setCalls.length;
+  const simState = T.emptyDialogueState();
+  simState.draftBudget = { action: 'set', category: 'Dining', monthly_limit: 90 };
+  simState.pendingBudgetConfirmation = true;
+  const simCtx = { ...budgetCtx(simState, { functionMap: fm, armed: true, affirmative: true }), simulationMode: true };
+  await T.executeToolCalls([{ role: 'user', content: 'yes' }], [
+    toolCall('s1', 'setBudget', { category: 'Dining', monthly_limit: 90 }),
+  ], simCtx);
+  check('budget writes refused in simulation', setCalls.length === simCalls
+    && T.constants.BUDGET_WRITE_TOOLS.join(',') === 'setBudget,deleteBudget');
+
+  const switchState = T.emptyDialogueState();
+  switchState.pendingBudgetConfirmation = true;
+  const switched = T.applyPendingWriteTopicSwitch(switchState, route('what did I spend at Walmart?', { pendingBudgetWrite: true }), {
+    pendingArmedAtStart: true,
+    userAffirmative: false,
+  });
+  check('topic switch drops budget confirmation', switched.switched === true && switchState.pendingBudgetConfirmation === false);
+  const amendState = T.emptyDialogueState();
+  amendState.pendingBudgetConfirmation = true;
+  const amended = T.applyPendingWriteTopicSwitch(amendState, pendingAmend, { pendingArmedAtStart: true, userAffirmative: false });
+  check('budget amendment keeps confirmation', amended.reason === 'amendment' && amendState.pendingBudgetConfirmation === true);
+}
+
+module.exports = { run };
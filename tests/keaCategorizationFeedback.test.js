@@ -0,0 +1,151 @@
+'use strict';
+
+const { check, section } = require('./harness');
+const { createMemoryRedis } = require('./golden/standIns');
+const {
+  methodGroup,
+  recordCategorizationServed,
+  rememberServedSuggestion,
+  takeServedSuggestion,
+  buildFeedbackEntry,
+  recordCategorizationFeedback,
+  reportWindow,
+  categorizationAccuracyReport,
+  resetCategorizationFeedbackForTests,
+} = require('../services/keaCategorizationFeedback');
+
+// In-memory kea_categorization_feedback for the statements the service runs.
+function feedbackDb() {
+  const rows = [];
+  const groupCount = (since, cols) => {
+    const counts = new Map();
+    for (const r of rows) {
+      if (r.created_at < since || r.agreed) continue;
+      const key = JSON.stringify(cols.map((c) => r[c]));
+      counts.set(key, (counts.get(key) || 0) + 1);
+    }
+    return [...counts].map(([key, n]) => {
+      const out = { overrides: n };
+      JSON.parse(key).forEach((v, i) => { out[cols[i]] = v; });
+      return out;
+    });
+  };
+  async function query(sql, params = []) {
+    const text = String(sql).replace(/\s+/g, ' ').trim();
+    if (/^CREATE TABLE IF NOT EXISTS kea_categorization_feedback/.test(text)) return {};
+    const m = /^INSERT INTO kea_categorization_feedback \(([^)]+)\) VALUES/.exec(text);
+    if (m) {
+      const row = {};
+      m[1].split(',').forEach((c, i) => { row[c.trim()] = params[i]; });
+      rows.push(row);
+      return { insertId: rows.length, affectedRows: 1 };
+    }
+    if (/GROUP BY method_group, confidence$/.test(text)) return groupCount(params[0], ['method_group', 'confidence']);
+    if (/GROUP BY method_group, merchant_key, suggested_category, chosen_category ORDER BY overrides DESC LIMIT \d+$/.test(text)) {
+      return groupCount(params[0], ['method_group', 'merchant_key', 'suggested_category', 'chosen_category'])
+        .sort((a, b) => b.overrides - a.overrides);
+    }
+    throw new Error(`feedback db: unsupported statement ${text.slice(0, 60)}`);
+  }
+  return { query, rows };
+}
+
+async function run() {
+  section('Method groups');
+  check('ai variants grouped', methodGroup('ai') === 'ai' && methodGroup('ai-closest-match') === 'ai');
+  check('fallbacks grouped', ['fallback', 'fallback-fast-path', 'fallback-default', 'error-fallback'].every((m) => methodGroup(m) === 'fallback'));
+  check('rule / cache / fast-path kept', methodGroup('rule') === 'rule' && methodGroup('cache') === 'cache' && methodGroup('fast-path') === 'fast-path');
+  check('unknown method ignored', methodGroup('guess') === null && methodGroup(undefined) === null);
+
+  section('Served counts');
+  const store = createMemoryRedis();
+  const day1 = new Date('2026-03-09T23:30:00Z');
+  const day2 = new Date('2026-03-10T08:00:00Z');
+  await recordCategorizationServed([
+    { method: 'fast-path', confidence: 'high' },
+    { method: 'fast-path', confidence: 'high' },
+    { method: 'ai', confidence: 'medium' },
+    { method: 'ai-closest-match', confidence: 'medium' },
+    { method: 'ai', confidence: 'high' },
+    { method: 'mystery', confidence: 'high' },
+  ], { store, now: day1 });
+  await recordCategorizationServed({ method: 'fallback-default', confidence: 'low' }, { store, now: day2 });
+  await recordCategorizationServed({ method: 'cache', confidence: 'bogus' }, { store, now: day2 });
+  const hash = await store.hgetall('kea:autocat:served:2026-03-09');
+  check('counted per group + confidence, per UTC day', Number(hash['fast-path|high']) === 2 && Number(hash['ai|medium']) === 2
+    && Number(hash['ai|high']) === 1 && Object.keys(hash).length === 3);
+  check('unknown confidence counted as low', Number((await store.hgetall('kea:autocat:served:2026-03-10'))['cache|low']) === 1);
+  check('day key expires', (await store.ttl('kea:autocat:served:2026-03-09')) > 0);
+  const brokenStore = { hincrby: async () => { throw new Error('redis down'); }, expire: async () => 1 };
+  check('served count is fail-soft', (await recordCategorizationServed({ method: 'ai', confidence: 'high' }, { store: brokenStore })) === false);
+
+  section('Served suggestions');
+  const slot = 'autocat:u7:a70:mstarbucks:pnopfc';
+  check('served suggestion remembered', await rememberServedSuggestion(slot, {
+    suggestedCategory: 'Restaurants', method: 'fast-path', confidence: 'high', note: 'x',
+  }, { store }));
+  check('remembered entry expires', (await store.ttl(`${slot}:served`)) > 0);
+  const taken = await takeServedSuggestion(slot, { store });
+  check('taken once with its method', taken && taken.suggestedCategory === 'Restaurants' && taken.method === 'fast-path'
+    && taken.note === undefined);
+  check('second take finds nothing', (await takeServedSuggestion(slot, { store })) === null);
+  check('unknown method not remembered', (await rememberServedSuggestion(slot, { suggestedCategory: 'X', method: 'echoed' }, { store })) === false);
+  check('other user slot is separate', (await rememberServedSuggestion(slot, { suggestedCategory: 'A', method: 'ai' }, { store }))
+    && (await takeServedSuggestion('autocat:u8:a70:mstarbucks:pnopfc', { store })) === null);
+  check('take is fail-soft', (await takeServedSuggestion(slot, { store: { eval: async () => { throw new Error('redis down'); } } })) === null);
+
+  section('Feedback rows');
+  const entry = buildFeedbackEntry({
+    userId: 7,
+    accountId: 70,
+    transaction: { name: 'STARBUCKS STORE 00123', amount: -6 },
+    suggestion: { suggestedCategory: 'Restaurants', method: 'fast-path', confidence: 'high' },
+    chosenCategory: ' Coffee ',
+  });
+  check('labeled override', entry.suggested_category === 'Restaurants' && entry.chosen_category === 'Coffee'
+    && entry.method_group === 'fast-path' && entry.confidence === 'high' && entry.agreed === 0);
+  check('merchant key + hashed user', entry.merchant_key === 'starbucks' && entry.user_key && entry.user_key !== '7');
+  check('same category → agreed', buildFeedbackEntry({ suggestion: { suggestedCategory: 'Coffee', method: 'ai' }, chosenCategory: 'coffee' }).agreed === 1);
+  check('no suggestion → no row', buildFeedbackEntry({ chosenCategory: 'Coffee' }) === null
+    && buildFeedbackEntry({ suggestion: { suggestedCategory: 'X', method: 'unknown' }, chosenCategory: 'Coffee' }) === null);
+
+  resetCategorizationFeedbackForTests();
+  const db = feedbackDb();
+  const override = (suggestion, chosenCategory, name, now = day2) => recordCategorizationFeedback(
+    { userId: 7, transaction: { name }, suggestion, chosenCategory, now }, { db },
+  );
+  check('override stored', await override({ suggestedCategory: 'Restaurants', method: 'fast-path', confidence: 'high' }, 'Coffee', 'Starbucks'));
+  await override({ suggestedCategory: 'Restaurants', method: 'fast-path', confidence: 'high' }, 'Coffee', 'STARBUCKS #9');
+  await override({ suggestedCategory: 'Misc', method: 'ai-closest-match', confidence: 'medium' }, 'Pets', 'Chewy');
+  await override({ suggestedCategory: 'Groceries', method: 'fallback-default', confidence: 'low' }, 'Groceries', 'Corner Store');
+  await override({ suggestedCategory: 'Misc', method: 'ai', confidence: 'medium' }, 'Pets', 'Old Row', new Date('2025-01-01T00:00:00Z'));
+  check('nothing stored without a label', (await override(null, 'Coffee', 'Starbucks')) === false && db.rows.length === 5);
+  resetCategorizationFeedbackForTests();
+  check('feedback insert is fail-soft', (await recordCategorizationFeedback(
+    { suggestion: { suggestedCategory: 'A', method: 'ai' }, chosenCategory: 'B' },
+    { db: { query: async () => { throw new Error('mysql down'); } } },
+  )) === false);
+
+  section('Accuracy report');
+  const window = reportWindow(500, day2);
+  check('window capped at 90 days', window.days === 90 && window.dayIds[89] === '2026-03-10');
+  check('default window 30 days', reportWindow(undefined, day2).days === 30);
+  resetCategorizationFeedbackForTests();
+  const report = await categorizationAccuracyReport({ days: 7, now: day2 }, { store, db });
+  check('window echoed', report.window.days === 7 && report.window.from === '2026-03-04T00:00:00.000Z');
+  check('overall', report.overall.served === 7 && report.overall.overrides === 3
+    && report.overall.accuracy === Math.round((1 - 3 / 7) * 10000) / 10000);
+  check('fast-path misfires surface', report.byMethod['fast-path'].served === 2 && report.byMethod['fast-path'].overrides === 2
+    && report.byMethod['fast-path'].accuracy === 0);
+  check('ai per confidence', report.byMethod.ai.byConfidence.medium.served === 2 && report.byMethod.ai.byConfidence.medium.overrides === 1
+    && report.byMethod.ai.byConfidence.medium.accuracy === 0.5 && report.byMethod.ai.byConfidence.high.accuracy === 1);
+  check('agreed override is not a miss', report.byMethod.fallback.overrides === 0 && report.byMethod.fallback.accuracy === 1);
+  check('nothing served → null accuracy', report.byMethod.rule.served === 0 && report.byMethod.rule.accuracy === null);
+  check('per confidence', report.byConfidence.high.served === 3 && report.byConfidence.high.overrides === 2);
+  check('top overrides', report.topOverrides[0].merchantKey === 'starbucks' && report.topOverrides[0].overrides === 2
+    && report.topOverrides[0].chosenCategory === 'Coffee' && report.topOverrides.length === 2);
+  const narrow = await categorizationAccuracyReport({ days: 1, now: new Date('2026-03-09T12:00:00Z') }, { store, db });
+  check('days outside the window ignored', narrow.overall.served === 5);
+}
+
+module.exports = { run };
@@ -0,0 +1,214 @@
+'use strict';
+
+const { check, section } = require('./harness');
+const { createMemoryRedis } = require('./golden/standIns');
+const {
+  RULE_STATUS,
+  CategoryRuleError,
+  normalizeRuleMatch,
+  ruleMatches,
+  pickRuleCategory,
+  loadActiveRules,
+  listRules,
+  createRule,
+  updateRule,
+  deleteRule,
+  learnCandidateRule,
+  resetCategoryRulesForTests,
+} = require('../services/keaCategoryRules');
+const { __testables: T } = require('../controllers/openaiController');
+const rulesController = require('../controllers/categoryRulesController');
+
+// In-memory kea_category_rules for exactly the statements the service runs.
+function rulesDb() {
+  const rows = [];
+  const statements = [];
+  const where = (clause, params) => (row) => {
+    let i = 0;
+    return clause.split(' AND ').every((cond) => {
+      if (cond === '(account_id IS NULL OR account_id = ?)') {
+        const v = params[i++];
+        return row.account_id == null || row.account_id === v;
+      }
+      const m = /^(\w+) (=|<>) \?$/.exec(cond);
+      if (!m) throw new Error(`rules db: unsupported condition ${cond}`);
+      const v = params[i++];
+      return m[2] === '=' ? String(row[m[1]]) === String(v) : String(row[m[1]]) !== String(v);
+    });
+  };
+  async function query(sql, params = []) {
+    const text = String(sql).replace(/\s+/g, ' ').trim();
+    statements.push(text);
+    if (/^CREATE TABLE IF NOT EXISTS kea_category_rules/.test(text)) return {};
+    let m = /^INSERT INTO kea_category_rules \(([^)]+)\) VALUES/.exec(text);
+    if (m) {
+      const row = { id: rows.length + 1 };
+      m[1].split(',').forEach((c, i) => { row[c.trim()] = params[i]; });
+      rows.push(row);
+      return { insertId: row.id, affectedRows: 1 };
+    }
+    m = /^SELECT COUNT\(\*\) AS total FROM kea_category_rules WHERE (.+)$/.exec(text);
+    if (m) return [{ total: rows.filter(where(m[1], params)).length }];
+    m = /^SELECT .+ FROM kea_category_rules WHERE (.+?)( ORDER BY id ASC| LIMIT 1)?$/.exec(text);
+    if (m) return rows.filter(where(m[1], params)).map((r) => ({ ...r }));
+    m = /^UPDATE kea_category_rules SET (.+) WHERE (.+)$/.exec(text);
+    if (m) {
+      const sets = m[1].split(', ').map((s) => s.replace(' = ?', ''));
+      const match = rows.filter(where(m[2], params.slice(sets.length)));
+      match.forEach((r) => sets.forEach((col, i) => { r[col] = params[i]; }));
+      return { affectedRows: match.length };
+    }
+    m = /^DELETE FROM kea_category_rules WHERE (.+)$/.exec(text);
+    if (m) {
+      const gone = rows.filter(where(m[1], params));
+      gone.forEach((r) => rows.splice(rows.indexOf(r), 1));
+      return { affectedRows: gone.length };
+    }
+    throw new Error(`rules db: unsupported statement ${text.slice(0, 60)}`);
+  }
+  return { query, rows, statements };
+}
+
+function mockRes() {
+  const res = { statusCode: 200, body: null };
+  res.status = (code) => { res.statusCode = code; return res; };
+  res.json = (payload) => { res.body = payload; return res; };
+  return res;
+}
+
+async function run() {
+  section('Rule conditions');
+  const invalid = (match) => {
+    try {
+      normalizeRuleMatch(match);
+      return false;
+    } catch (err) {
+      return err instanceof CategoryRuleError && err.code === 'KEA_RULE_INVALID';
+    }
+  };
+  check('no conditions rejected', invalid({}));
+  check('unknown condition rejected', invalid({ merchant: 'X', regex: '.*' }));
+  check('bad direction rejected', invalid({ direction: 'sideways' }));
+  check('negative amount rejected', invalid({ amountBelow: -1 }));
+  check('empty amount range rejected', invalid({ amountAbove: 10, amountBelow: 5 }));
+  check('amounts coerced', normalizeRuleMatch({ contains: ' parking ', amountBelow: '5' }).amountBelow === 5);
+
+  const starbucks = { merchant: 'Starbucks' };
+  check('merchant matches brand variants', ruleMatches(starbucks, { name: 'STARBUCKS STORE 00123', amount: -6 })
+    && ruleMatches(starbucks, { merchant_name: 'Starbucks', amount: -4 }));
+  check('merchant does not match other brands', !ruleMatches(starbucks, { name: 'Dunkin', amount: -4 }));
+  const parking = { contains: 'parking', amountBelow: 5 };
+  check('contains + amount below', ruleMatches(parking, { name: 'CITY PARKING METER', amount: -3 }));
+  check('amount at the limit does not match', !ruleMatches(parking, { name: 'CITY PARKING METER', amount: -5 }));
+  const salary = { merchant: 'ACME', direction: 'income' };
+  check('income by sign', ruleMatches(salary, { name: 'ACME PAYROLL', amount: 2500 }));
+  check('expense from same merchant ignored', !ruleMatches(salary, { name: 'ACME PAYROLL', amount: -20 }));
+  check('explicit type wins over sign', ruleMatches(salary, { name: 'ACME', amount: -2500, type: 'income' }));
+
+  section('Rule precedence');
+  const nameByLower = new Map([['coffee', 'Coffee'], ['transportation', 'Transportation']]);
+  const rules = [
+    { id: 1, status: 'active', priority: 0, category: 'Coffee', match: { contains: 'star' } },
+    { id: 2, status: 'active', priority: 0, category: 'Transportation', match: { contains: 'star', amountBelow: 5 } },
+    { id: 3, status: 'candidate', priority: 99, category: 'Coffee', match: { contains: 'star' } },
+    { id: 4, status: 'active', priority: 0, category: 'Deleted Category', match: { contains: 'starbucks' } },
+  ];
+  check('more specific rule wins a tie', pickRuleCategory(rules, { name: 'Starbucks', amount: -3 }, nameByLower).rule.id === 2);
+  check('candidates never apply', pickRuleCategory(rules.slice(2, 3), { name: 'Starbucks' }, nameByLower) === null);
+  check('rule for a missing category skipped', pickRuleCategory([rules[3], rules[0]], { name: 'Starbucks', amount: -9 }, nameByLower).rule.id === 1);
+  check('priority beats specificity', pickRuleCategory([{ ...rules[0], priority: 5 }, rules[1]], { name: 'Star', amount: -3 }, nameByLower).rule.id === 1);
+  check('category recased to the user list', pickRuleCategory([{ ...rules[0], category: 'coffee' }], { name: 'Star' }, nameByLower).category === 'Coffee');
+
+  section('Rule storage');
+  resetCategoryRulesForTests();
+  const db = rulesDb();
+  const created = await createRule(7, { match: { merchant: 'Starbucks' }, category: 'Coffee' }, { db });
+  check('created active user rule', created.id === 1 && created.status === RULE_STATUS.ACTIVE && created.source === 'user'
+    && created.match.merchant === 'Starbucks');
+  await createRule(7, { match: { contains: 'parking', amountBelow: 5 }, category: 'Transportation', accountId: 70 }, { db });
+  await createRule(8, { match: { merchant: 'Starbucks' }, category: 'Treats' }, { db });
+  check('list is per user', (await listRules(7, {}, { db })).length === 2 && (await listRules(8, {}, { db })).length === 1);
+  check('active rules scoped to the account', (await loadActiveRules(7, 71, { db })).length === 1
+    && (await loadActiveRules(7, 70, { db })).length === 2);
+  const updated = await updateRule(7, 1, { category: 'Cafe', priority: 3 }, { db });
+  check('update keeps unchanged fields', updated.category === 'Cafe' && updated.priority === 3 && updated.match.merchant === 'Starbucks');
+  let notFound = null;
+  try {
+    await updateRule(8, 1, { category: 'Mine now' }, { db });
+  } catch (err) {
+    notFound = err.code;
+  }
+  check('another user\'s rule is not found', notFound === 'KEA_RULE_NOT_FOUND');
+  check('delete', (await deleteRule(7, 2, { db })) && (await listRules(7, {}, { db })).length === 1);
+  const broken = { query: async () => { throw new Error('mysql down'); } };
+  resetCategoryRulesForTests();
+  check('loading rules is fail-soft', (await loadActiveRules(7, 70, { db: broken })).length === 0);
+
+  section('Learning from overrides');
+  resetCategoryRulesForTests();
+  const learnDb = rulesDb();
+  const first = await learnCandidateRule(7, { accountId: 70, transaction: { name: 'STARBUCKS #123', amount: -6 }, category: 'Coffee' }, { db: learnDb });
+  check('override becomes a candidate', first.status === RULE_STATUS.CANDIDATE && first.source === 'learned'
+    && first.match.merchant === 'Starbucks' && first.hits === 1);
+  const again = await learnCandidateRule(7, { transaction: { merchant_name: 'Starbucks' }, category: 'coffee' }, { db: learnDb });
+  check('repeat override counts', again.id === first.id && again.hits === 2 && learnDb.rows.length === 1);
+  const changed = await learnCandidateRule(7, { transaction: { name: 'Starbucks' }, category: 'Snacks' }, { db: learnDb });
+  check('different category restarts the candidate', changed.hits === 1 && changed.category === 'Snacks');
+  check('candidate not applied before approval', (await loadActiveRules(7, 70, { db: learnDb })).length === 0);
+  await updateRule(7, first.id, { status: 'active' }, { db: learnDb });
+  check('approved candidate applies', (await loadActiveRules(7, 70, { db: learnDb })).length === 1);
+  check('covered merchant not re-proposed', (await learnCandidateRule(7, { transaction: { name: 'Starbucks' }, category: 'Snacks' }, { db: learnDb })) === null);
+  check('no merchant → nothing learned', (await learnCandidateRule(7, { transaction: { amount: -5 }, category: 'Misc' }, { db: learnDb })) === null);
+  const other = await learnCandidateRule(7, { transaction: { name: 'Blue Bottle Coffee' }, category: 'Coffee' }, { db: learnDb });
+  await updateRule(7, other.id, { status: 'dismissed' }, { db: learnDb });
+  check('dismissed candidate never re-proposed', (await learnCandidateRule(7, { transaction: { name: 'Blue Bottle Coffee' }, category: 'Coffee' }, { db: learnDb })) === null);
+
+  section('Rules in auto-categorize');
+  resetCategoryRulesForTests();
+  const catDb = rulesDb();
+  await createRule(7, { match: { contains: 'parking', amountBelow: 5 }, category: 'Transportation' }, { db: catDb });
+  await createRule(7, { match: { merchant: 'Whole Foods' }, category: 'Treats' }, { db: catDb });
+  const batch = await T.runAutoCategorizeBatch({
+    transactions: [
+      { name: 'CITY PARKING', amount: -3 },
+      { name: 'CITY PARKING', amount: -30 },
+      { name: 'Whole Foods Market', amount: -80 },
+    ],
+    categories: ['Groceries', 'Transportation', 'Treats', 'Misc'],
+    userId: 7,
+    accountId: 70,
+    ruleUserId: 7,
+  }, {
+    store: createMemoryRedis(),
+    db: catDb,
+    // Only the unruled row reaches the model; falling back is fine here.
+    queryModel: async () => { throw new Error('model offline'); },
+  });
+  const [cheap, pricey, wholeFoods] = batch.results;
+  check('rule marks method and id', cheap.method === 'rule' && cheap.suggestedCategory === 'Transportation' && cheap.ruleId === 1);
+  check('same merchant, other amount not ruled', pricey.method !== 'rule');
+  check('rule beats the fast path', wholeFoods.method === 'rule' && wholeFoods.suggestedCategory === 'Treats');
+  check('stats count rule hits', batch.stats.rule === 2);
+  const unverified = await T.runAutoCategorizeBatch({
+    transactions: [{ name: 'CITY PARKING', amount: -3 }],
+    categories: ['Groceries', 'Transportation', 'Treats', 'Misc'],
+    userId: 7,
+    accountId: 70,
+  }, {
+    store: createMemoryRedis(),
+    db: catDb,
+    queryModel: async () => { throw new Error('model offline'); },
+  });
+  check('body userId alone never reads rules', unverified.stats.rule === 0 && unverified.results[0].method !== 'rule');
+
+  section('Rules routes');
+  resetCategoryRulesForTests();
+  const bad = mockRes();
+  await rulesController.createCategoryRule({ id: 'r1', cashflowUser: { id: 7 }, body: { match: {}, category: 'Coffee' } }, bad);
+  check('invalid rule → 400', bad.statusCode === 400 && bad.body.code === 'KEA_RULE_INVALID');
+  const missing = mockRes();
+  await rulesController.updateCategoryRule({ id: 'r2', cashflowUser: { id: 7 }, params: { id: 'abc' }, body: {} }, missing);
+  check('non-numeric id → 404', missing.statusCode === 404 && missing.body.code === 'KEA_RULE_NOT_FOUND');
+}
+
+module.exports = { run };
@@ -0,0 +1,216 @@
+'use strict';
+
+const { EventEmitter } = require('events');
+const { check, section } = require('./harness');
+const {
+  wantsEventStream,
+  chunkText,
+  formatEvent,
+  toolStatusFromContent,
+  createChatEventStream,
+} = require('../services/keaChatStream');
+const {
+  createRequestLifecycle,
+  classifyHttpFailure,
+  classifyAzureFailure,
+  STAGES,
+} = require('../services/keaRequestBudget');
+const { callAzureOnce } = require('../services/keaAzureChat');
+const { createKeaTelemetry } = require('../services/keaTelemetry');
+const { __testables: T } = require('../controllers/openaiController');
+
+function mockSseReqRes() {
+  const req = new EventEmitter();
+  const res = new EventEmitter();
+  req.id = 'sse-1';
+  req.aborted = false;
+  req.headers = {};
+  req.query = {};
+  res.headers = {};
+  res.chunks = [];
+  res.statusCode = null;
+  res.headersSent = false;
+  res.writableEnded = false;
+  res.destroyed = false;
+  res.status = function status(code) { this.statusCode = code; return this; };
+  res.setHeader = function setHeader(k, v) { this.headers[k.toLowerCase()] = v; };
+  res.flushHeaders = function flushHeaders() { this.headersSent = true; };
+  res.write = function write(chunk) { this.chunks.push(chunk); return true; };
+  res.end = function end() { this.writableEnded = true; };
+  res.json = function json() { throw new Error('json must not be used in SSE mode'); };
+  return { req, res };
+}
+
+function parseEvents(chunks) {
+  return chunks
+    .filter((c) => c.startsWith('id: '))
+    .map((c) => {
+      const event = /event: (\w+)/.exec(c)[1];
+      const data = JSON.parse(/data: (.*)\n/.exec(c)[1]);
+      return { event, data };
+    });
+}
+
+async function run() {
+  section('SSE opt-in detection');
+  check('Accept text/event-stream', wantsEventStream({ headers: { accept: 'text/event-stream' }, query: {} }) === true);
+  check('Accept list with event-stream', wantsEventStream({ headers: { accept: 'application/json, text/event-stream' }, query: {} }) === true);
+  check('?stream=1', wantsEventStream({ headers: {}, query: { stream: '1' } }) === true);
+  check('?stream=true', wantsEventStream({ headers: {}, query: { stream: 'true' } }) === true);
+  check('plain JSON client', wantsEventStream({ headers: { accept: 'application/json' }, query: {} }) === false);
+  check('?stream=0', wantsEventStream({ headers: {}, query: { stream: '0' } }) === false);
+  check('missing req', wantsEventStream(null) === false);
+
+  section('Delta chunking');
+  const text = '## Summary\n\nYou spent **$412** on dining this month, which is more than last month. '.repeat(4);
+  const chunks = chunkText(text, 40);
+  check('chunks reassemble exactly', chunks.join('') === text);
+  check('chunks bounded', chunks.every((c) => c.length <= 41));
+  check('empty text has no chunks', chunkText('').length === 0);
+  check('frame format', formatEvent(3, 'stage', { stage: 'azure_started' })
+    === 'id: 3\nevent: stage\ndata: {"stage":"azure_started"}\n\n');
+
+  section('Tool status classification');
+  check('ok result', toolStatusFromContent('{"ok":true}') === 'ok');
+  check('blocked write', toolStatusFromContent('{"blocked":true,"reason":"confirmation_required"}') === 'blocked');
+  check('duplicate write', toolStatusFromContent('{"duplicate":true}') === 'duplicate');
+  check('tool error', toolStatusFromContent('{"error":"x"}') === 'error');
+  check('non-JSON content is ok', toolStatusFromContent('plain') === 'ok');
+
+  section('Stage, tool, delta and final frames');
+  const { req, res } = mockSseReqRes();
+  const telemetry = createKeaTelemetry({ requestId: 'sse-1' });
+  const lifecycle = createRequestLifecycle({ req, res, telemetry, requestId: 'sse-1' });
+  lifecycle.setStage('request_received');
+  lifecycle.attachListeners();
+  const stream = createChatEventStream({ req, res, lifecycle, requestId: 'sse-1', heartbeatMs: 0 });
+  check('stream opens', stream.open() === true && stream.opened === true);
+  check('status 200', res.statusCode === 200);
+  check('content-type event-stream', /text\/event-stream/.test(res.headers['content-type']));
+  check('no-cache', /no-cache/.test(res.headers['cache-control']));
+  check('proxy buffering off', res.headers['x-accel-buffering'] === 'no');
+  lifecycle.setStage('context_started');
+  lifecycle.setStage('context_started');
+  lifecycle.setStage('route_resolved');
+  stream.toolStart({ name: 'getGoals', round: 1, callId: 'c1' });
+  stream.toolFinish({ name: 'getGoals', round: 1, callId: 'c1', content: '{"ok":true}' });
+  const payload = {
+    response: 'Your lowest balance is **$410** on 2026-09-13.',
+    simOps: [],
+    uiActions: [{ type: 'open_calendar_day', date: '2026-09-13' }],
+    transactionResult: { reloadSelectedAccount: false, writes: [], blocked: [], focus: null },
+  };
+  check('final sent', stream.final(payload) === true);
+  const events = parseEvents(res.chunks);
+  const stages = events.filter((e) => e.event === 'stage').map((e) => e.data.stage);
+  check('current stage replayed on open', stages[0] === 'request_received');
+  check('stage transitions forwarded once each', JSON.stringify(stages) === JSON.stringify(['request_received', 'context_started', 'route_resolved']));
+  check('stages are from STAGES', stages.every((st) => STAGES.includes(st)));
+  const toolStart = events.find((e) => e.event === 'tool_start');
+  const toolFinish = events.find((e) => e.event === 'tool_finish');
+  check('tool_start carries name + round', toolStart && toolStart.data.name === 'getGoals' && toolStart.data.round === 1);
+  check('tool_finish carries status + ms', toolFinish && toolFinish.data.status === 'ok' && typeof toolFinish.data.ms === 'number');
+  const deltas = events.filter((e) => e.event === 'delta').map((e) => e.data.text).join('');
+  check('deltas reassemble the response', deltas === payload.response);
+  const finalEv = events[events.length - 1];
+  check('final is last frame', finalEv.event === 'final');
+  check('final carries uiActions', finalEv.data.uiActions.length === 1);
+  check('final carries transactionResult', finalEv.data.transactionResult && finalEv.data.transactionResult.writes.length === 0);
+  check('final carries requestId', finalEv.data.requestId === 'sse-1');
+  check('response ended', res.writableEnded === true && stream.ended === true);
+  check('response marked started', lifecycle.responseStarted === true);
+  const before = res.chunks.length;
+  lifecycle.setStage('response_sent');
+  check('no frames after final', res.chunks.length === before);
+  res.emit('close');
+  check('normal close after final is not an abort', telemetry.toPayload().client_aborted === false);
+
+  section('Error frame');
+  const errPair = mockSseReqRes();
+  const errLife = createRequestLifecycle({ req: errPair.req, res: errPair.res, requestId: 'sse-err' });
+  const errStream = createChatEventStream({ req: errPair.req, res: errPair.res, lifecycle: errLife, requestId: 'sse-err', heartbeatMs: 0 });
+  errStream.open();
+  errStream.fail(502, { error: 'Kea account context unavailable', code: 'KEA_CONTEXT_UNAVAILABLE' });
+  const errEvents = parseEvents(errPair.res.chunks);
+  const errEv = errEvents[errEvents.length - 1];
+  check('error event', errEv.event === 'error');
+  check('error carries status + code', errEv.data.status === 502 && errEv.data.code === 'KEA_CONTEXT_UNAVAILABLE');
+  check('error carries requestId', errEv.data.requestId === 'sse-err');
+  check('error ends stream', errPair.res.writableEnded === true);
+
+  section('Client disconnect mid-stream cancels work');
+  const abortPair = mockSseReqRes();
+  const abortLogs = [];
+  abortPair.req.log = { info: (p) => abortLogs.push(p) };
+  const abortTel = createKeaTelemetry({ requestId: 'sse-abort' });
+  const abortLife = createRequestLifecycle({ req: abortPair.req, res: abortPair.res, telemetry: abortTel, requestId: 'sse-abort' });
+  abortLife.attachListeners();
+  const abortStream = createChatEventStream({ req: abortPair.req, res: abortPair.res, lifecycle: abortLife, heartbeatMs: 0 });
+  abortStream.open();
+  abortLife.setStage('azure_started');
+  check('signal exposed', abortLife.signal && abortLife.signal.aborted === false);
+  let seenSignal = null;
+  const azurePromise = callAzureOnce({
+    queryFn: (_messages, opts) => {
+      seenSignal = opts.signal;
+      return new Promise((resolve, reject) => {
+        opts.signal.addEventListener('abort', () => {
+          const err = new Error('canceled');
+          err.code = 'ERR_CANCELED';
+          err.name = 'CanceledError';
+          reject(err);
+        });
+      });
+    },
+    messages: [],
+    tools: [],
+    toolChoice: 'none',
+    timeoutMs: 5000,
+    lifecycle: abortLife,
+    telemetry: abortTel,
+  });
+  abortPair.res.emit('close');
+  const azureOut = await azurePromise;
+  check('Azure call received lifecycle signal', seenSignal === abortLife.signal);
+  check('disconnect aborts signal', abortLife.signal.aborted === true);
+  check('in-flight Azure cancelled', azureOut.ok === false && azureOut.reason === 'client_aborted');
+  check('abort telemetry emitted mid-stream', abortLogs.some((p) => p.event === 'kea_chat_aborted'));
+  const framesAfterAbort = abortPair.res.chunks.length;
+  check('final refused after disconnect', abortStream.final({ response: 'late' }) === false);
+  check('no frames written after disconnect', abortPair.res.chunks.length === framesAfterAbort);
+  check('cancel classified client_aborted', classifyHttpFailure({ code: 'ERR_CANCELED' }) === 'client_aborted');
+  check('azure cancel classified client_aborted', classifyAzureFailure({ name: 'CanceledError' }) === 'client_aborted');
+
+  section('executeToolCalls mirrors tool events');
+  const toolPair = mockSseReqRes();
+  const toolLife = createRequestLifecycle({ req: toolPair.req, res: toolPair.res, requestId: 'sse-tools' });
+  const toolStream = createChatEventStream({ req: toolPair.req, res: toolPair.res, lifecycle: toolLife, heartbeatMs: 0 });
+  toolStream.open();
+  const out = await T.executeToolCalls([{ role: 'user', content: 'open Sept 13' }], [
+    { id: 't1', function: { name: 'openCalendarDay', arguments: JSON.stringify({ date: '2026-09-13' }) } },
+    { id: 't2', function: { name: 'createTransaction', arguments: JSON.stringify({ title: 'X', amount: 5 }) } },
+  ], {
+    userId: 5,
+    token: 'trusted',
+    accountId: 22,
+    currentDate: '2026-08-16',
+    dialogueState: T.emptyDialogueState(),
+    categoryNames: [],
+    skipCacheInvalidate: true,
+    lifecycle: toolLife,
+    stream: toolStream,
+    functionMap: { createTransaction: async () => { throw new Error('must not write'); } },
+    queryAzureOpenAI: async () => ({ choices: [{ message: { content: 'Opening September 13.' } }] }),
+  });
+  const toolEvents = parseEvents(toolPair.res.chunks).filter((e) => e.event.startsWith('tool_'));
+  check('two tool_start + two tool_finish', toolEvents.filter((e) => e.event === 'tool_start').length === 2
+    && toolEvents.filter((e) => e.event === 'tool_finish').length === 2);
+  check('start precedes finish', toolEvents[0].event === 'tool_start' && toolEvents[1].event === 'tool_finish');
+  check('ui tool finishes ok', toolEvents[1].data.name === 'openCalendarDay' && toolEvents[1].data.status === 'ok');
+  const writeFinish = toolEvents.find((e) => e.event === 'tool_finish' && e.data.name === 'createTransaction');
+  check('ungated write reported blocked', writeFinish && writeFinish.data.status === 'blocked');
+  check('round recorded', toolEvents.every((e) => e.data.round === 1));
+  check('narration still returned', out.content === 'Opening September 13.');
+}
+
+module.exports = { run };
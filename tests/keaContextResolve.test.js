@@ -5,8 +5,17 @@ const {
   resolveKeaSelectedAccount,
   isAuthoritativeKeaCompact,
   SELECTED_ACCOUNT_TOOL_TTL,
+  SELECTED_ACCOUNT_TOOL_RETAIN_SECONDS,
+  snapshotCacheEntry,
 } = require('../services/keaSelectedAccountResolve');
-const { selectedAccountToolCacheKey } = require('../services/keaAccountCache');
+const { buildSnapshotEvidence } = require('../services/keaGroundingPrefetch');
+const { LIMITATION_TEXT_BY_CODE } = require('../services/keaEvidencePromptView');
+const { createMemoryRedis } = require('./golden/standIns');
+const {
+  selectedAccountToolCacheKey,
+  selectedAccountGenerationKey,
+  invalidateSelectedAccountToolCache,
+} = require('../services/keaAccountCache');
 const { getKeaAccountContext, buildSelectedAccountAxiosConfig } = require('../tools/keacast_tool_layer');
 const axios = require('axios');
 
@@ -88,7 +97,8 @@ async function run() {
     check('clientDate forwarded', httpCalls[0].body.clientDate === '2026-08-15');
     check('cached object is the HTTP payload', resolved.selectedAccount === payload);
     check('Redis SET once', redis._sets.length === 1);
-    check('Redis SET uses EX 300', redis._sets[0].ex === 'EX' && redis._sets[0].ttl === 300);
+    check('Redis SET keeps the key past the hard TTL', redis._sets[0].ex === 'EX' && redis._sets[0].ttl === SELECTED_ACCOUNT_TOOL_RETAIN_SECONDS);
+    check('cached JSON is stamped with its write time', !Number.isNaN(Date.parse(JSON.parse(redis._sets[0].val)._keaCachedAt)));
     check(
       'Redis key family unchanged',
       redis._sets[0].key === selectedAccountToolCacheKey(7, 22)
@@ -167,6 +177,115 @@ async function run() {
     check('legacy rewrite histogram off by default', resolved.payloadKeyBytes === null);
   }
 
+  section('soft TTL → served, refreshed in the background');
+  {
+    const NOW = Date.parse('2026-08-15T12:00:00Z');
+    const key = selectedAccountToolCacheKey(7, 22);
+    const redis = createMemoryRedis();
+    await redis.set(key, snapshotCacheEntry({ ...compactV1(), balance: 1000 }, NOW - 10 * 60 * 1000), 'EX', 3600);
+    const fetches = [];
+    const resolve = () => resolveKeaSelectedAccount({
+      userId: 7,
+      accountId: 22,
+      token: 'jwt',
+      currentDate: '2026-08-15',
+      redis,
+      now: NOW,
+      fetchKeaContext: async (opts) => {
+        fetches.push(opts);
+        return compactV1();
+      },
+    });
+    const served = await resolve();
+    check('past soft TTL still served from cache', served.source === 'tool-cache' && served.freshness === 'revalidating'
+      && served.selectedAccount.balance === 1000 && served.error === null);
+    const second = await resolve();
+    check('refresh deduped while one is running', second.freshness === 'revalidating');
+    check('background refresh rewrote the snapshot', (await served.refresh) === true && (await second.refresh) === false
+      && fetches.length === 1 && JSON.parse(await redis.get(key)).balance === 1500);
+    check('refreshed snapshot is fresh again', (await resolve()).freshness === 'fresh');
+    check('completed refresh leaves no generation behind', (await redis.get(selectedAccountGenerationKey(7, 22))) === null);
+    const codes = buildSnapshotEvidence(served.selectedAccount, { currentDate: '2026-08-15' }).limitations;
+    check('minutes-old limitation reaches the evidence', codes.includes('snapshot_minutes_old')
+      && codes.every((code) => !!LIMITATION_TEXT_BY_CODE[code]));
+  }
+
+  section('invalidation during a background refresh wins');
+  {
+    const NOW = Date.parse('2026-08-15T12:00:00Z');
+    const key = selectedAccountToolCacheKey(7, 22);
+    const redis = createMemoryRedis();
+    await redis.set(key, snapshotCacheEntry({ ...compactV1(), balance: 1000 }, NOW - 10 * 60 * 1000), 'EX', 3600);
+    let release;
+    const gate = new Promise((resolve) => { release = resolve; });
+    const resolve = () => resolveKeaSelectedAccount({
+      userId: 7,
+      accountId: 22,
+      token: 'jwt',
+      currentDate: '2026-08-15',
+      redis,
+      now: NOW,
+      fetchKeaContext: async () => {
+        await gate;
+        return compactV1();
+      },
+    });
+    const served = await resolve();
+    await new Promise((r) => setImmediate(r));
+    check('refresh holds a generation while it runs', !!(await redis.get(selectedAccountGenerationKey(7, 22))));
+    await invalidateSelectedAccountToolCache(7, 22, { reason: 'write_commit', redis });
+    release();
+    const prevWarn = console.warn;
+    console.warn = () => {};
+    let refreshed;
+    try {
+      refreshed = await served.refresh;
+    } finally {
+      console.warn = prevWarn;
+    }
+    check('refresh fetched before the invalidation is dropped', refreshed === false && (await redis.get(key)) === null);
+    check('generation cleared by the invalidation', (await redis.get(selectedAccountGenerationKey(7, 22))) === null);
+  }
+
+  section('hard TTL + Cashflow outage → stale snapshot instead of 502');
+  {
+    const NOW = Date.parse('2026-08-15T12:00:00Z');
+    const cachedAt = NOW - 2 * 60 * 60 * 1000;
+    const redis = createMemoryRedis();
+    await redis.set(selectedAccountToolCacheKey(7, 22), snapshotCacheEntry(compactV1(), cachedAt), 'EX', 3600);
+    let fetches = 0;
+    const resolved = await resolveKeaSelectedAccount({
+      userId: 7,
+      accountId: 22,
+      token: 'jwt',
+      currentDate: '2026-08-15',
+      redis,
+      now: NOW,
+      fetchKeaContext: async () => {
+        fetches += 1;
+        throw new Error('connect timeout');
+      },
+    });
+    check('past hard TTL refetches first', fetches === 1);
+    check('outage serves the stale copy', !resolved.error && resolved.source === 'tool-cache-stale'
+      && resolved.freshness === 'stale' && resolved.selectedAccount.accountid === 22);
+    const evidence = buildSnapshotEvidence(resolved.selectedAccount, { currentDate: '2026-08-15' });
+    check('dataAsOf is the cache write time', evidence.dataAsOf === new Date(cachedAt).toISOString());
+    check('stale limitation reaches the evidence', evidence.limitations.includes('snapshot_stale'));
+
+    const recovered = await resolveKeaSelectedAccount({
+      userId: 7,
+      accountId: 22,
+      token: 'jwt',
+      currentDate: '2026-08-15',
+      redis,
+      now: NOW,
+      fetchKeaContext: async () => compactV1(),
+    });
+    check('past hard TTL with Cashflow up uses the fresh copy', recovered.source === 'tool-fresh'
+      && recovered.selectedAccount._keaFreshness === undefined);
+  }
+
   section('getKeaAccountContext URL and requestId');
   {
     const cfg = buildSelectedAccountAxiosConfig({
@@ -0,0 +1,364 @@
+'use strict';
+
+const { check, section } = require('./harness');
+const {
+  parseDebts,
+  parseExtraPayment,
+  parseDebtStrategy,
+  mergeDebtSlots,
+  simulatePayoff,
+  comparePayoffPlans,
+  listAccountDebts,
+  resolveDebts,
+  maybeSetDebtPaymentOffer,
+  resolveDebtPaymentAcceptance,
+  deriveDebtPaymentOperation,
+  applyDebtPayoffLifecycle,
+  buildDebtPaymentProposalText,
+} = require('../services/keaDebtPayoff');
+const {
+  isDebtPayoffUtterance,
+  shouldSkipAzureForRoute,
+  buildDeterministicAffirmativeText,
+} = require('../services/keaCapabilityRouter');
+const {
+  TODAY,
+  T,
+  route,
+  macroPrefetch,
+  stagedOp,
+  round2,
+  resolveGroundingPolicy,
+  buildEvidenceSystemSection,
+  buildEvidenceLedger,
+  toPromptEvidence,
+  buildMacroFallbackText,
+} = require('./macroHelpers');
+
+const VISA = { label: 'Visa', balance: 4200, apr: 22.9, minPayment: 120 };
+const CAR = { label: 'Car loan', balance: 8000, apr: 6.5, minPayment: 250 };
+const PLAN_MESSAGE = 'I have a Visa with $4,200 at 22.9%, $120 minimum and a car loan of $8,000 at 6.5% with a $250 minimum. '
+  + 'Can I afford an extra $300 a month?';
+
+const SNAPSHOT = { accountid: 22, account_type: 'checking', balance: 2000, availableBalance: 2000 };
+
+const ACCOUNT_ROWS = [
+  { accountid: 22, accountname: 'Checking', account_type: 'checking', balance: 2000, current: 2000 },
+  { accountid: 31, accountname: 'Sapphire Card', account_type: 'credit', balance: -1850.4, current: -1850.4 },
+  { accountid: 32, accountname: 'Student Loan', account_type: 'loan', balance: 12000, current: null },
+  { accountid: 33, accountname: 'Old Card', account_type: 'credit', balance: 0, current: 0 },
+];
+
+function upcomingResult(metricScope, items) {
+  return {
+    status: 'ok',
+    source: ['cashflow_upcoming'],
+    accountScope: 'selected_account',
+    metricScope,
+    items,
+    totals: {},
+    observations: [],
+    limitations: [],
+    dataAsOf: TODAY,
+    itemCount: items.length,
+  };
+}
+
+// Rent $1,500 on the 1st, pay $1,600 mid-month, $2,000 available today.
+const EXPENSES = ['2026-11-01', '2026-12-01', '2027-01-01']
+  .map((date, i) => ({ label: 'Rent', date, amount: 1500, transactionid: 40 + i }));
+const INCOME = ['2026-11-15', '2026-12-15']
+  .map((date, i) => ({ label: 'Paycheck', date, amount: 1600, transactionid: 50 + i }));
+
+function upcomingStub({ income = INCOME, expenses = EXPENSES, itemCount } = {}) {
+  return async ({ body }) => {
+    const result = body.metricScope === 'income'
+      ? upcomingResult('income', income)
+      : upcomingResult('expense', expenses);
+    if (itemCount != null) result.itemCount = itemCount;
+    return result;
+  };
+}
+
+function debtPrefetch(message, { routed, queryFn, fetchUpcomingAnalysis, snapshot = SNAPSHOT } = {}) {
+  return macroPrefetch(message, {
+    routed,
+    snapshot,
+    queryFn: queryFn || (async () => ACCOUNT_ROWS),
+    fetchUpcomingAnalysis: fetchUpcomingAnalysis || upcomingStub(),
+  });
+}
+
+async function run() {
+  section('Debt payoff — parsing');
+  const parsed = parseDebts(PLAN_MESSAGE);
+  check('two debts parsed with terms', parsed.length === 2
+    && parsed[0].label === 'Visa' && parsed[0].balance === 4200 && parsed[0].apr === 22.9 && parsed[0].minPayment === 120
+    && parsed[1].label === 'Car loan' && parsed[1].balance === 8000 && parsed[1].apr === 6.5 && parsed[1].minPayment === 250);
+  check('extra payment is not a debt', !parsed.some((d) => d.balance === 300));
+  const minOnly = parseDebts('Discover $3k at 19%; $90 minimum');
+  check('min-only clause joins the debt before it', minOnly.length === 1
+    && minOnly[0].balance === 3000 && minOnly[0].minPayment === 90);
+  check('apr without balance still a debt', parseDebts('the student loan is 5.5%')[0].apr === 5.5);
+  check('extra payment parsed', parseExtraPayment('can I afford an extra $300 a month?') === 300
+    && parseExtraPayment('put $1.5k toward my loans') === 1500
+    && parseExtraPayment('pay off my visa') === null);
+  check('strategy parsed', parseDebtStrategy('use the snowball method') === 'snowball'
+    && parseDebtStrategy('highest interest first') === 'avalanche'
+    && parseDebtStrategy('avalanche or snowball?') === null);
+
+  section('Debt payoff — plan math');
+  const cmp = comparePayoffPlans([VISA, CAR], { extraPayment: 300, currentDate: TODAY });
+  const av = cmp.plans.avalanche;
+  check('first payment on the 1st of next month', cmp.firstPaymentDate === '2026-11-01');
+  check('avalanche schedule', av.paidOff && av.months === 20 && av.payoffDate === '2028-06-01'
+    && av.totalInterest === 1073.07 && av.monthlyPayment === 670);
+  check('avalanche pays the Visa first', av.payoffOrder[0].label === 'Visa');
+  check('avalanche recommended for the higher APR', cmp.recommendedStrategy === 'avalanche'
+    && cmp.strategyInterestDifference >= 0);
+  check('minimum-only comparison', cmp.minimumOnly.strategy === 'minimum_only'
+    && cmp.minimumOnly.months === 59 && cmp.minimumOnly.totalInterest === 3607.6);
+  check('savings against minimums', cmp.interestSavedVsMinimum === round2(3607.6 - 1073.07)
+    && cmp.monthsSavedVsMinimum === 39);
+  const snow = simulatePayoff([VISA, { label: 'Store card', balance: 500, apr: 15, minPayment: 25 }], {
+    strategy: 'snowball', extraMonthly: 100, firstPaymentDate: '2026-11-01',
+  });
+  check('snowball pays the smallest balance first', snow.payoffOrder[0].label === 'Store card');
+  const stuck = comparePayoffPlans([{ label: 'Card', balance: 10000, apr: 30, minPayment: 200 }], { currentDate: TODAY });
+  check('minimum below interest never pays off', stuck.minimumBelowInterest[0] === 'Card'
+    && stuck.recommendedStrategy === null && stuck.plans.avalanche.paidOff === false
+    && stuck.plans.avalanche.totalInterest === null);
+
+  section('Debt payoff — routing');
+  check('debt phrasing detected', isDebtPayoffUtterance('should I pay off my credit card or car loan first?')
+    && isDebtPayoffUtterance('avalanche vs snowball for my debts'));
+  check('paying a bill is not a payoff plan', !isDebtPayoffUtterance('pay my credit card bill'));
+  const planned = route(PLAN_MESSAGE);
+  check('debt message routes to debt_payoff', planned.capability === 'debt_payoff'
+    && planned.slots.debts.length === 2 && planned.slots.extraPayment === 300);
+  check('policy uses the debt macro', resolveGroundingPolicy(planned, { message: PLAN_MESSAGE })
+    .prefetchKind === 'debt_payoff_macro');
+  check('loan extra-payment question routes', route('Can I afford an extra $300 toward my loans?').capability === 'debt_payoff');
+
+  section('Debt payoff — account debts');
+  const accounts = await listAccountDebts(5, { queryFn: async () => ACCOUNT_ROWS });
+  check('credit and loan accounts become debts', accounts.map((d) => d.label).join() === 'Sapphire Card,Student Loan'
+    && accounts[0].balance === 1850.4 && accounts[1].balance === 12000 && accounts[0].apr === null);
+  check('no user → no query', (await listAccountDebts(null, { queryFn: async () => { throw new Error('x'); } })).length === 0);
+  const resolved = resolveDebts([{ label: 'Sapphire', balance: null, apr: 24, minPayment: 60 }], accounts);
+  check('named debt takes the account balance', resolved.usable.length === 1
+    && resolved.usable[0].balance === 1850.4 && resolved.usable[0].source === 'account');
+  const fromAccounts = resolveDebts([], accounts);
+  check('account debts without terms need them', fromAccounts.usable.length === 0
+    && fromAccounts.needsTerms.length === 2 && fromAccounts.needsTerms[0].missing.join() === 'apr,minPayment');
+
+  section('Debt payoff — prefetch');
+  const ev = await debtPrefetch(PLAN_MESSAGE);
+  check('plan evidence', ev.status === 'ok' && ev.source[0] === 'debt_payoff_plan'
+    && ev.facts.debtCount === 2 && ev.facts.totalBalance === 12200 && ev.facts.monthlyPayment === 670
+    && ev.facts.recommendedStrategy === 'avalanche');
+  check('message debts skip the account read', ev.facts.debts.every((d) => d.source === 'user'));
+  const fc = ev.facts.forecastCheck;
+  check('forecast check over 90 days', fc && fc.period.start === '2026-10-20' && fc.period.end === '2027-01-17'
+    && fc.paymentDates.join() === '2026-11-01,2026-12-01,2027-01-01' && fc.complete === true);
+  check('$300 extra goes negative', fc.staysPositive === false && fc.firstNegativeDate === '2027-01-01'
+    && fc.lowestBalance === 500 && fc.lowestBalanceWithPayment === -200
+    && ev.observations.some((o) => o.code === 'forecast_goes_negative'));
+  check('payment target is the avalanche pick', ev.debtPaymentTarget.label === 'Visa'
+    && ev.debtPaymentTarget.amount === 300 && ev.debtPaymentTarget.start === '2026-11-01');
+  check('assumptions stated', ev.assumptions.includes('minimum_payments_assumed_scheduled'));
+
+  const smaller = await debtPrefetch(PLAN_MESSAGE.replace('$300', '$100'));
+  check('$100 extra stays positive', smaller.facts.forecastCheck.staysPositive === true
+    && smaller.facts.forecastCheck.lowestBalanceWithPayment === 400
+    && smaller.observations.some((o) => o.code === 'forecast_stays_positive'));
+  const capped = await debtPrefetch(PLAN_MESSAGE, { fetchUpcomingAnalysis: upcomingStub({ itemCount: 40 }) });
+  check('capped forecast list → partial check', capped.limitations.includes('forecast_check_partial')
+    && capped.facts.forecastCheck.complete === false);
+  const cardSelected = await debtPrefetch(PLAN_MESSAGE, { snapshot: { ...SNAPSHOT, account_type: 'credit' } });
+  check('credit account selected → no cash check', cardSelected.facts.forecastCheck === null
+    && cardSelected.limitations.includes('forecast_check_not_cash_account'));
+  const broken = await debtPrefetch(PLAN_MESSAGE, { fetchUpcomingAnalysis: async () => { throw new Error('down'); } });
+  check('forecast read failure keeps the plan', broken.status === 'ok' && broken.facts.plans
+    && broken.limitations.includes('forecast_check_unavailable'));
+
+  const fromAccountsEv = await debtPrefetch('How should I pay off my debt?');
+  check('no terms → asks for them', fromAccountsEv.status === 'ok' && fromAccountsEv.facts.plans === null
+    && fromAccountsEv.facts.needsTerms.length === 2 && fromAccountsEv.limitations.includes('debt_terms_missing')
+    && fromAccountsEv.observations.some((o) => o.code === 'debt_terms_needed')
+    && fromAccountsEv.debtPaymentTarget === null);
+  const readFailed = await debtPrefetch('How should I pay off my debt?', { queryFn: async () => { throw new Error('db'); } });
+  check('account read failure without message debts → read_failed', readFailed.status !== 'ok'
+    && readFailed.limitations.includes('read_failed'));
+
+  section('Debt payoff — ledger + prompt');
+  const ledger = buildEvidenceLedger({ evidence: ev, route: planned, accountContext: { accountId: 22 } });
+  check('ledger builds under debt_payoff', ledger.ok && ledger.ledger.capability === 'debt_payoff'
+    && ledger.ledger.source.kind === 'debt_payoff_plan');
+  const claimPaths = ledger.ledger.claims.map((c) => c.path);
+  check('plan and forecast figures are claims', claimPaths.includes('facts.plans.avalanche.totalInterest')
+    && claimPaths.includes('facts.debts[0].apr')
+    && claimPaths.includes('facts.forecastCheck.lowestBalanceWithPayment'));
+  check('payment offer allowed, no invented terms', ledger.ledger.allowedNarration.some((n) => n.code === 'offer_payment_series')
+    && ledger.ledger.prohibitedNarration.some((n) => n.code === 'do_not_invent_terms'));
+  const prompt = toPromptEvidence(ledger.ledger, { responseMode: 'plan' });
+  check('prompt keeps the debts', prompt.ok && prompt.promptable && prompt.promptEvidence.facts.debts.length === 2);
+  const termsLedger = buildEvidenceLedger({ evidence: fromAccountsEv, route: planned, accountContext: { accountId: 22 } });
+  const termsPrompt = toPromptEvidence(termsLedger.ledger, { responseMode: 'plan' });
+  check('missing terms limitation mapped', termsLedger.ok
+    && termsPrompt.promptEvidence.limitations.some((t) => /APR|minimum/i.test(t)));
+
+  const sys = buildEvidenceSystemSection(ev);
+  check('system section carries the payoff rules', /debt payoff/i.test(sys) && /needsTerms/.test(sys));
+  const fallback = buildMacroFallbackText(ev);
+  check('fallback names the plan', /avalanche/i.test(fallback) && /Visa/.test(fallback));
+  check('terms fallback asks for APR', /APR/.test(buildMacroFallbackText(fromAccountsEv)));
+
+  section('Debt payoff — payment offer');
+  const ds = T.emptyDialogueState();
+  maybeSetDebtPaymentOffer(ds, { accountId: 22, macroOwnsTurn: true, evidence: ev });
+  check('offer and plan remembered', ds.debtPaymentOffer && ds.debtPaymentOffer.accountId === '22'
+    && ds.debtPaymentOffer.amount === 300 && ds.debtPaymentOffer.simulationAvailable === false
+    && ds.debtPlan.debts.length === 2 && ds.debtPlan.extraPayment === 300);
+  const notOwned = T.emptyDialogueState();
+  maybeSetDebtPaymentOffer(notOwned, { accountId: 22, macroOwnsTurn: false, evidence: ev });
+  check('no offer unless the macro owned the turn', notOwned.debtPaymentOffer === null && notOwned.debtPlan === null);
+
+  const offer = ds.debtPaymentOffer;
+  const simOffer = { ...offer, simulationAvailable: true };
+  check('"add it" → recurring', resolveDebtPaymentAcceptance(offer, 'add it', { accountId: 22 }).mode === 'recurring');
+  check('"yes" without simulation → recurring', resolveDebtPaymentAcceptance(offer, 'yes', { accountId: 22, userAffirmative: true }).mode === 'recurring');
+  check('"yes" with both on offer → clarify', resolveDebtPaymentAcceptance(simOffer, 'yes', { accountId: 22, userAffirmative: true }).clarify === true);
+  check('"simulate it" → simulation', resolveDebtPaymentAcceptance(simOffer, 'simulate it', { accountId: 22 }).mode === 'simulation');
+  check('"yes" in simulation mode → simulation', resolveDebtPaymentAcceptance(offer, 'yes', {
+    accountId: 22, userAffirmative: true, simulationMode: true,
+  }).mode === 'simulation');
+  check('decline ignored', resolveDebtPaymentAcceptance(offer, 'no thanks', { accountId: 22, userAffirmative: false }) === null);
+  check('other account ignored', resolveDebtPaymentAcceptance(offer, 'add it', { accountId: 23 }) === null);
+  check('unrelated question ignored', resolveDebtPaymentAcceptance(offer, 'what is my balance?', { accountId: 22 }) === null);
+
+  const op = deriveDebtPaymentOperation(offer, { accountId: 22 });
+  check('payment is a monthly expense series', op.ok && op.tool === 'createTransaction'
+    && op.args.title === 'Extra payment – Visa' && op.args.amount === 300 && op.args.type === 'expense'
+    && op.args.frequency === 30 && op.args.start === '2026-11-01' && op.args.category === 'Debt Payment');
+  check('no offer → no operation', deriveDebtPaymentOperation(null).ok === false);
+
+  const accept = route('yes, add it', { dialogueState: ds, userAffirmative: true });
+  check('acceptance routes to a deterministic write handoff', accept.capability === 'transaction_write'
+    && accept.debtPaymentHandoff === true && accept.affirmativeResolution === 'debt_payment_write'
+    && shouldSkipAzureForRoute(accept));
+  applyDebtPayoffLifecycle(ds, accept, { accountId: 22 });
+  check('payment staged behind the confirmation gate', ds.pendingConfirmation === true
+    && ds.pendingDebtPayment && ds.pendingDebtPayment.args.amount === 300
+    && ds.intent === 'debt_extra_payment' && ds.debtPaymentOffer === null);
+  const proposal = buildDeterministicAffirmativeText(accept, ds, { accountId: 22 });
+  check('proposal lists the series and asks to confirm', /Extra payment – Visa/.test(proposal)
+    && /Monthly/.test(proposal) && /does not send money/.test(proposal) && /Confirm\?$/.test(proposal));
+  check('proposal without a staged payment is honest', /no longer have that payment plan/.test(buildDebtPaymentProposalText(null)));
+
+  const confirm = route('yes', { dialogueState: ds, userAffirmative: true, pendingWrite: true });
+  check('next "yes" is the confirmation', confirm.capability === 'confirmation');
+  applyDebtPayoffLifecycle(ds, confirm, { accountId: 22 });
+  check('confirmation keeps the staged payment', !!ds.pendingDebtPayment);
+
+  const simState = T.emptyDialogueState();
+  simState.debtPaymentOffer = simOffer;
+  const simRoute = route('simulate it', { dialogueState: simState });
+  check('simulation acceptance carries the series', simRoute.capability === 'simulation'
+    && simRoute.debtPaymentHandoff === true && simRoute.affirmativeResolution === 'debt_payment_simulation'
+    && simRoute.slots.debtPayment.title === 'Extra payment – Visa');
+  const clarifyState = T.emptyDialogueState();
+  clarifyState.debtPaymentOffer = simOffer;
+  const clarifyRoute = route('yes', { dialogueState: clarifyState, userAffirmative: true });
+  applyDebtPayoffLifecycle(clarifyState, clarifyRoute, { accountId: 22 });
+  check('clarify keeps the offer open', clarifyRoute.affirmativeResolution === 'debt_payment_clarify'
+    && shouldSkipAzureForRoute(clarifyRoute) && clarifyState.debtPaymentOffer === simOffer
+    && /simulation/.test(buildDeterministicAffirmativeText(clarifyRoute, clarifyState, { accountId: 22 })));
+  const dropped = T.emptyDialogueState();
+  dropped.debtPaymentOffer = offer;
+  applyDebtPayoffLifecycle(dropped, route('what is my balance?', { dialogueState: dropped }), { accountId: 22 });
+  check('topic switch drops the offer', dropped.debtPaymentOffer === null);
+
+  section('Debt payoff — follow-ups');
+  const followState = T.emptyDialogueState();
+  followState.debtPlan = { debts: [VISA, CAR], extraPayment: 300 };
+  const merged = mergeDebtSlots({ debts: [{ label: 'Visa', balance: null, apr: 19.9, minPayment: null }], extraPayment: null }, followState.debtPlan);
+  check('term update keeps the remembered plan', merged.debts.length === 2
+    && merged.debts[0].apr === 19.9 && merged.debts[0].balance === 4200 && merged.extraPayment === 300);
+  const freshList = mergeDebtSlots({ debts: [{ label: 'Amex', balance: 900, apr: 25, minPayment: 35 }], extraPayment: null }, followState.debtPlan);
+  check('a new list with balances replaces the plan', freshList.debts.length === 1 && freshList.extraPayment === null);
+  const what = route('What about the snowball method?', { dialogueState: followState });
+  applyDebtPayoffLifecycle(followState, what, { accountId: 22 });
+  check('follow-up picks up the remembered debts', what.capability === 'debt_payoff'
+    && what.slots.debts.length === 2 && what.slots.extraPayment === 300 && what.slots.debtStrategy === 'snowball');
+
+  section('Debt payoff — commit');
+  const calls = [];
+  const map = {
+    async createTransaction(args) {
+      calls.push(args);
+      return { success: true, transaction_id: 901, group_id: 'g-901', ...args };
+    },
+  };
+  const committed = await T.commitPendingDebtPayment(ds, { userId: 5, accountId: 22, functionMap: map });
+  check('confirmed payment creates the series', calls.length === 1 && calls[0].frequency === 30
+    && calls[0].title === 'Extra payment – Visa');
+  check('commit recorded as a write', committed.writeResponseMode === 'debt_payment_commit'
+    && committed.writes[0].group_id === 'g-901' && /Done\. I added Extra payment – Visa/.test(committed.content));
+  check('gate cleared after commit', ds.pendingDebtPayment === null && ds.pendingConfirmation === false
+    && ds.recentWrites.length === 1 && !!ds.lastCommitSignature);
+
+  const other = T.emptyDialogueState();
+  other.pendingDebtPayment = stagedOp(op);
+  const switched = await T.commitPendingDebtPayment(other, { userId: 5, accountId: 23, functionMap: map });
+  check('account switched → nothing runs', calls.length === 1 && switched.writeResponseMode === 'debt_payment_stale');
+
+  const failing = T.emptyDialogueState();
+  failing.pendingDebtPayment = stagedOp(op);
+  const failed = await T.commitPendingDebtPayment(failing, {
+    userId: 5,
+    accountId: 22,
+    functionMap: { async createTransaction() { throw new Error('boom'); } },
+  });
+  check('failed create reported, nothing recorded', failed.writeResponseMode === 'debt_payment_failed'
+    && failed.writes.length === 0 && failing.recentWrites.length === 0);
+
+  const staged = await T.runDebtPaymentSimulation(simRoute.slots.debtPayment, {
+    userId: 5,
+    accountId: 22,
+    functionMap: { async proposeSimulationAdd(args) { return { simOp: { op: 'add', ...args } }; } },
+  });
+  check('simulation staged without a write', staged.simOps.length === 1 && staged.simOps[0].amount === 300
+    && /Nothing was written to your forecast/.test(staged.content));
+  const noSim = await T.runDebtPaymentSimulation(null, { userId: 5, accountId: 22 });
+  check('simulation without a payment is honest', noSim.simOps.length === 0 && /no longer have/.test(noSim.content));
+
+  section('Debt payoff — Simulation Mode');
+  const simProposals = [];
+  const simMap = {
+    ...map,
+    async proposeSimulationAdd(args) { simProposals.push(args); return { simOp: { op: 'add', ...args } }; },
+  };
+  const simConfirm = T.emptyDialogueState();
+  simConfirm.pendingDebtPayment = stagedOp(op);
+  simConfirm.pendingConfirmation = true;
+  const redirected = await T.commitPendingDebtPayment(simConfirm, {
+    userId: 5, accountId: 22, functionMap: simMap, simulationMode: true,
+  });
+  check('confirmed payment in simulation mode → no real create', calls.length === 1
+    && redirected.writes.length === 0 && simConfirm.recentWrites.length === 0);
+  check('…staged in the simulation instead', redirected.writeResponseMode === 'debt_payment_simulated'
+    && simProposals.length === 1 && redirected.simOps.length === 1 && redirected.simOps[0].title === 'Extra payment – Visa');
+  check('gate cleared after the redirect', simConfirm.pendingDebtPayment === null && simConfirm.pendingConfirmation === false);
+
+  const simStage = T.emptyDialogueState();
+  simStage.debtPaymentOffer = offer;
+  const simWrite = route('add it', { dialogueState: simStage });
+  applyDebtPayoffLifecycle(simStage, simWrite, { accountId: 22, simulationMode: true });
+  check('simulation mode never stages the real series', simStage.pendingDebtPayment === null
+    && simStage.pendingConfirmation === false);
+  check('…the route becomes the simulation handoff', simWrite.capability === 'simulation'
+    && simWrite.affirmativeResolution === 'debt_payment_simulation' && simWrite.slots.debtPayment.amount === 300);
+}
+
+module.exports = { run };
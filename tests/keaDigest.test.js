@@ -0,0 +1,304 @@
+'use strict';
+
+const { check, section } = require('./harness');
+const { createMemoryRedis } = require('./golden/standIns');
+const {
+  digestPeriods,
+  collectDigestLedgers,
+  buildDigestPayload,
+  renderDigestMarkdown,
+  buildAccountDigest,
+} = require('../services/keaDigest');
+const {
+  MAX_SUBSCRIPTIONS_PER_USER,
+  DigestSubscriptionError,
+  listUserDigestSubscriptions,
+  subscribeDigest,
+  unsubscribeDigest,
+  listDigestSubscriptions,
+  resetDigestSubscriptionsForTests,
+} = require('../services/keaDigestSubscriptions');
+const digestController = require('../controllers/digestController');
+
+function compactSnapshot() {
+  return {
+    _keaCompact: true,
+    schemaVersion: 1,
+    accountid: 22,
+    accountname: 'Everyday Checking',
+    balance: 2400,
+    current: 2350,
+    available: 2300,
+    goals: [
+      { display_name: 'Emergency fund', status: 'active', target_amount: 5000, accumulated_amount: 1250.5, expectedByNow: 1500, end_date: '2027-03-01' },
+    ],
+  };
+}
+
+function comparisonResult() {
+  return {
+    status: 'ok',
+    accountScope: 'selected_account',
+    windowKind: 'explicit_bounds',
+    periodA: { start: '2026-10-04', end: '2026-10-10', income: 1800, spending: 1297.3, net: 502.7, transactionCount: 14 },
+    periodB: { start: '2026-10-11', end: '2026-10-17', income: 1800, spending: 1102.3, net: 697.7, transactionCount: 12 },
+    changes: {
+      income: { absolute: 0, percent: 0, baselineZero: false },
+      spending: { absolute: -195, percent: -15.03, baselineZero: false },
+      net: { absolute: 195, percent: 38.79, baselineZero: false },
+    },
+    observations: [],
+    limitations: [],
+    dataAsOf: '2026-10-19',
+  };
+}
+
+function upcomingResult() {
+  return {
+    status: 'ok',
+    accountScope: 'selected_account',
+    period: { start: '2026-10-19', end: '2026-10-25', label: 'next_7_days' },
+    metricScope: 'expense',
+    items: [
+      { label: 'Rent', date: '2026-10-20', amount: 1400, frequencyLabel: 'Monthly' },
+      { label: 'Gym', date: '2026-10-23', amount: 45.99, frequencyLabel: 'Monthly' },
+    ],
+    totals: { scheduledExpenseTotal: 1445.99 },
+    observations: [],
+    limitations: [],
+    dataAsOf: '2026-10-19',
+    itemCount: 2,
+  };
+}
+
+function cashflowResult() {
+  return {
+    status: 'ok',
+    period: { start: '2026-10-19', end: '2026-10-25', label: 'next_7_days' },
+    availableBalance: 2300,
+    currentBalance: 2350,
+    negativeBalanceRisk: {
+      scope: { start: '2026-10-19', end: '2026-10-25' },
+      horizonDays: 90,
+      hasNegativeInScope: false,
+      firstNegativeDate: null,
+      lowestProjectedAmount: 854.01,
+      lowestProjectedDate: '2026-10-23',
+    },
+    observations: [],
+    limitations: [],
+    dataAsOf: '2026-10-19',
+  };
+}
+
+function fetchers(overrides = {}) {
+  const calls = {};
+  const record = (name, result) => async (opts) => {
+    calls[name] = opts;
+    if (result instanceof Error) throw result;
+    return result;
+  };
+  return {
+    calls,
+    deps: {
+      redis: createMemoryRedis(),
+      fetchKeaContext: record('context', overrides.context || compactSnapshot()),
+      fetchPeriodComparison: record('comparison', overrides.comparison || comparisonResult()),
+      fetchUpcomingAnalysis: record('upcoming', overrides.upcoming || upcomingResult()),
+      fetchCashflowAnalysis: record('cashflow', overrides.cashflow || cashflowResult()),
+    },
+  };
+}
+
+const INPUT = { userId: 7, accountId: '22', token: 'jwt', cadence: 'weekly', clientDate: '2026-10-19', requestId: 'req-digest' };
+
+function claimValue(ledger, ref) {
+  const id = ref.split('#')[1];
+  const claim = ledger.claims.find((c) => c.id === id);
+  return claim ? claim.value : undefined;
+}
+
+/** kea_digest_subscriptions plus the accounts lookup, enough for the queries the service issues. */
+function subscriptionDb({ accounts = [] } = {}) {
+  const db = { rows: [], ddl: 0 };
+  let nextId = 1;
+  db.query = async (sql, params = []) => {
+    const text = String(sql).replace(/\s+/g, ' ').trim();
+    if (/^CREATE TABLE/.test(text)) { db.ddl += 1; return []; }
+    if (/FROM accounts WHERE accountid = \?/.test(text)) {
+      return accounts.filter((a) => String(a.accountid) === String(params[0]));
+    }
+    if (/FROM satelite/.test(text)) return [];
+    if (/^SELECT COUNT/.test(text)) return [{ total: db.rows.filter((r) => r.userid === params[0]).length }];
+    if (/WHERE userid = \? ORDER BY id/.test(text)) return db.rows.filter((r) => r.userid === params[0]);
+    if (/WHERE cadence = \? AND id > \?/.test(text)) {
+      const max = Number(text.match(/LIMIT (\d+)/)[1]);
+      return db.rows.filter((r) => r.cadence === params[0] && r.id > params[1]).sort((a, b) => a.id - b.id).slice(0, max);
+    }
+    if (/^INSERT/.test(text)) {
+      const id = Math.max(nextId, ...db.rows.map((r) => r.id + 1));
+      nextId = id + 1;
+      db.rows.push({ id, userid: params[0], account_id: params[1], cadence: params[2], created_at: params[3] });
+      return { insertId: id };
+    }
+    if (/^DELETE/.test(text)) {
+      const before = db.rows.length;
+      db.rows = db.rows.filter((r) => !(r.id === params[0] && r.userid === params[1]));
+      return { affectedRows: before - db.rows.length };
+    }
+    throw new Error(`subscriptionDb: unexpected query ${text}`);
+  };
+  return db;
+}
+
+function mockRes() {
+  const res = { statusCode: 200, body: null };
+  res.status = (code) => { res.statusCode = code; return res; };
+  res.json = (payload) => { res.body = payload; return res; };
+  return res;
+}
+
+async function run() {
+  section('Digest periods');
+  const weekly = digestPeriods('weekly', '2026-10-21');
+  check('weekly compares the last two Sun–Sat weeks', weekly.current.start === '2026-10-11' && weekly.current.end === '2026-10-17'
+    && weekly.previous.start === '2026-10-04' && weekly.previous.end === '2026-10-10' && weekly.windowKind === 'explicit_bounds');
+  check('weekly bills window is 7 days from today', weekly.upcoming.start === '2026-10-21' && weekly.upcoming.end === '2026-10-27');
+  const monthly = digestPeriods('monthly', '2026-03-01');
+  check('monthly compares full calendar months', monthly.current.start === '2026-02-01' && monthly.current.end === '2026-02-28'
+    && monthly.previous.start === '2026-01-01' && monthly.previous.end === '2026-01-31' && monthly.windowKind === 'full_months');
+  check('monthly bills window is 30 days', monthly.upcoming.end === '2026-03-30' && monthly.upcoming.label === 'next_30_days');
+  check('unknown cadence / bad date → null', digestPeriods('daily', '2026-10-19') === null && digestPeriods('weekly', 'soon') === null);
+
+  section('Macros and ledgers');
+  const { calls, deps } = fetchers();
+  const collected = await collectDigestLedgers(INPUT, deps);
+  check('comparison asked for the two weeks', calls.comparison.body.periodA.start === '2026-10-04'
+    && calls.comparison.body.periodB.end === '2026-10-17');
+  check('bills asked for expenses only', calls.upcoming.body.metricScope === 'expense' && calls.upcoming.body.end === '2026-10-25');
+  check('user token forwarded', calls.context.token === 'jwt' && calls.cashflow.token === 'jwt');
+  check('one ledger per source', ['snapshot', 'comparison', 'upcoming', 'cashflow'].every((k) => collected.ledgers[k]));
+
+  section('Payload numbers come from ledger claims');
+  const payload = buildDigestPayload({ cadence: 'weekly', clientDate: '2026-10-19', accountId: '22', ...collected });
+  const { ledgers } = collected;
+  check('complete when every section resolves', payload.status === 'complete' && payload.accountName === 'Everyday Checking');
+  check('spending change', payload.changes.current.spending === 1102.3 && payload.changes.spending.absolute === -195);
+  check('bills total and items', payload.billsDue.total === 1445.99 && payload.billsDue.count === 2
+    && payload.billsDue.items[1].label === 'Gym' && payload.billsDue.items[1].amount === 45.99);
+  check('lowest projected balance', payload.lowestProjectedBalance.amount === 854.01
+    && payload.lowestProjectedBalance.date === '2026-10-23' && payload.lowestProjectedBalance.goesNegative === false);
+  check('balance and goal progress', payload.balance.available === 2300 && payload.goals.items[0].saved === 1250.5
+    && payload.goals.items[0].target === 5000 && payload.goals.items[0].title === 'Emergency fund');
+  const refs = Object.entries(payload.provenance);
+  check('every cited value points at a ledger claim', refs.length > 10 && refs.filter(([, ref]) => !/#item/.test(ref)).every(([path, ref]) => {
+    const ledger = Object.values(ledgers).find((l) => ref.startsWith(`${l.capability}#`));
+    const value = path.split(/\.|\[|\]\.?/).filter(Boolean).reduce((o, k) => (o == null ? o : o[k]), payload);
+    return ledger && claimValue(ledger, ref) === value;
+  }));
+  check('bill items cite ledger items', payload.provenance['billsDue.items[0]'] === 'cashflow_upcoming#item1');
+
+  section('Unavailable sections');
+  const broken = fetchers({ upcoming: new Error('kea-upcoming down'), context: new Error('kea-context down') });
+  const partial = await buildAccountDigest(INPUT, broken.deps);
+  check('failed macros mark only their sections', partial.digest.status === 'partial'
+    && partial.digest.billsDue.status === 'unavailable' && partial.digest.goals.status === 'unavailable'
+    && partial.digest.changes.status === 'complete');
+  check('no numbers invented for missing sections', partial.digest.billsDue.total === undefined
+    && !Object.keys(partial.digest.provenance).some((p) => p.startsWith('billsDue') || p.startsWith('goals')));
+  check('markdown says so', (partial.markdown.match(/_Not available right now\._/g) || []).length === 2);
+
+  section('Markdown');
+  const markdown = renderDigestMarkdown(payload);
+  check('title and account', markdown.startsWith('## Your weekly Keacast brief — Everyday Checking'));
+  check('spending line uses ledger values', markdown.includes('- Spending: $1,102.30 (down $195.00, 15%)'));
+  check('bills listed', markdown.includes('2 scheduled, $1,445.99 in total.') && markdown.includes('- Oct 20 · Rent · $1,400.00'));
+  check('lowest balance', markdown.includes('$854.01 on Oct 23, 2026.') && !markdown.includes('below zero'));
+  check('goal progress', markdown.includes('- Emergency fund: $1,250.50 saved of $5,000.00 (plan: $1,500.00 by now)'));
+
+  section('Digest subscriptions');
+  resetDigestSubscriptionsForTests();
+  const db = subscriptionDb();
+  const first = await subscribeDigest(7, { accountId: 22, cadence: 'weekly' }, { db });
+  const again = await subscribeDigest(7, { accountId: '22', cadence: 'weekly' }, { db });
+  await subscribeDigest(7, { accountId: 23, cadence: 'monthly' }, { db });
+  await subscribeDigest(8, { accountId: 30, cadence: 'weekly' }, { db });
+  check('table created once', db.ddl === 1);
+  check('subscribing twice keeps one row', again.id === first.id && db.rows.length === 3);
+  check('user sees only their own opt-ins', (await listUserDigestSubscriptions(7, { db })).map((r) => r.accountId).join() === '22,23');
+  const weeklyPage = await listDigestSubscriptions({ cadence: 'weekly', after: 0, limit: 1 }, { db });
+  const weeklyNext = await listDigestSubscriptions({ cadence: 'weekly', after: weeklyPage[0].id, limit: 1 }, { db });
+  check('cron pages one cadence in id order', weeklyPage[0].accountId === '22' && weeklyNext[0].accountId === '30'
+    && weeklyNext[0].userId === '8');
+  let notFound = null;
+  try {
+    await unsubscribeDigest(8, first.id, { db });
+  } catch (error) {
+    notFound = error;
+  }
+  check('cannot remove another user\'s opt-in', notFound instanceof DigestSubscriptionError
+    && notFound.code === 'DIGEST_SUBSCRIPTION_NOT_FOUND' && db.rows.length === 3);
+  await unsubscribeDigest(7, first.id, { db });
+  check('owner removes their opt-in', db.rows.length === 2);
+  const full = subscriptionDb();
+  full.rows.push(...Array.from({ length: MAX_SUBSCRIPTIONS_PER_USER }, (_, i) => ({ id: i + 1, userid: '7', account_id: String(100 + i), cadence: 'weekly' })));
+  let limited = null;
+  try {
+    await subscribeDigest(7, { accountId: 22, cadence: 'weekly' }, { db: full });
+  } catch (error) {
+    limited = error;
+  }
+  check('per-user limit', limited && limited.code === 'DIGEST_SUBSCRIPTION_LIMIT');
+
+  section('Cron endpoint');
+  const badCadence = mockRes();
+  await digestController.runDigests({ id: 'd1', body: { cadence: 'daily' } }, badCadence);
+  check('unknown cadence → 400', badCadence.statusCode === 400 && badCadence.body.code === 'DIGEST_CADENCE_INVALID');
+  const tooMany = mockRes();
+  await digestController.runDigests({ id: 'd2', body: { cadence: 'weekly', limit: 26 } }, tooMany);
+  check('oversized batch → 400', tooMany.statusCode === 400 && tooMany.body.code === 'DIGEST_BATCH_INVALID');
+  const badCursor = mockRes();
+  await digestController.runDigests({ id: 'd3', body: { cadence: 'weekly', after: 'last' } }, badCursor);
+  check('bad cursor → 400', badCursor.statusCode === 400 && badCursor.body.code === 'DIGEST_BATCH_INVALID');
+
+  const savedSecret = process.env.CASHFLOW_JWT_SECRET;
+  const savedKeyword = process.env.key_word;
+  delete process.env.CASHFLOW_JWT_SECRET;
+  delete process.env.key_word;
+  const dbPath = require.resolve('../services/db');
+  const savedDb = require.cache[dbPath];
+  try {
+    const noSecret = mockRes();
+    await digestController.runDigests({ id: 'd4', body: { cadence: 'weekly' } }, noSecret);
+    check('no Cashflow secret → 503', noSecret.statusCode === 503 && noSecret.body.code === 'CASHFLOW_JWT_SECRET_MISSING');
+
+    process.env.CASHFLOW_JWT_SECRET = 'digest-test-secret';
+    resetDigestSubscriptionsForTests();
+    const cron = subscriptionDb({ accounts: [{ accountid: 30, userid: 9, satelite_id: null }] });
+    cron.rows.push(
+      { id: 4, userid: '7', account_id: '30', cadence: 'weekly' },
+      { id: 9, userid: '8', account_id: '31', cadence: 'weekly' },
+      { id: 12, userid: '7', account_id: '22', cadence: 'monthly' },
+    );
+    require.cache[dbPath] = { id: dbPath, filename: dbPath, loaded: true, exports: { pool: null, query: cron.query } };
+    const page = mockRes();
+    await digestController.runDigests({ id: 'd5', body: { cadence: 'weekly', clientDate: '2026-10-19', limit: 2 } }, page);
+    check('cron reads the opt-in list, not the request', page.statusCode === 200 && page.body.results.length === 2
+      && page.body.results.map((r) => r.subscriptionId).join() === '4,9');
+    check('pairs without access are skipped per entry', page.body.results.every((r) => r.status === 'skipped'
+      && r.code === 'ACCESS_DENIED' && !r.digest));
+    check('full page hands back a cursor', page.body.nextAfter === 9);
+    const last = mockRes();
+    await digestController.runDigests({ id: 'd6', body: { cadence: 'weekly', after: 9 } }, last);
+    check('last page ends the run', last.body.results.length === 0 && last.body.nextAfter === null);
+  } finally {
+    if (savedDb) require.cache[dbPath] = savedDb;
+    else delete require.cache[dbPath];
+    if (savedSecret === undefined) delete process.env.CASHFLOW_JWT_SECRET;
+    else process.env.CASHFLOW_JWT_SECRET = savedSecret;
+    if (savedKeyword !== undefined) process.env.key_word = savedKeyword;
+    resetDigestSubscriptionsForTests();
+  }
+}
+
+module.exports = { run };
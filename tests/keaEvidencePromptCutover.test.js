@@ -290,7 +290,10 @@ async function run() {
   check('rollback active when off', withEnv('false', () => isEvidenceRollbackActive() === true));
   check('rollback inactive when unset', withEnv(undefined, () => isEvidenceRollbackActive() === false));
   check('parse unknown enables', parseLedgerPromptFlag('maybe').enabled === true && parseLedgerPromptFlag('maybe').rollbackActive === false);
-  check('approved count 7', APPROVED_MACRO_CAPABILITIES.length === 7);
+  check('approved count 10', APPROVED_MACRO_CAPABILITIES.length === 10);
+  check('budget approved', isApprovedMacroCapability('cashflow_budget') === true);
+  check('anomaly approved', isApprovedMacroCapability('cashflow_anomaly') === true);
+  check('debt payoff approved', isApprovedMacroCapability('debt_payoff') === true);
   check('upcoming approved', isApprovedMacroCapability('cashflow_upcoming') === true);
   check('snapshot not approved', isApprovedMacroCapability('financial_forecast') === false);
   check('lookup not approved', isApprovedMacroCapability('financial_lookup') === false);
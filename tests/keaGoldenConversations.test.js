@@ -0,0 +1,146 @@
+'use strict';
+
+const path = require('path');
+const { spawnSync } = require('child_process');
+const { check, section } = require('./harness');
+const { scoreTurn, amountAppears, buildScorecard } = require('./golden/runner');
+const {
+  createMemoryRedis,
+  createMemoryMysql,
+  createCashflowStub,
+  createAzureResponder,
+} = require('./golden/standIns');
+
+function observed(extra = {}) {
+  return {
+    status: 200,
+    response: '',
+    telemetry: {},
+    tools: [],
+    cashflowRoutes: [],
+    unmatched: [],
+    unsupportedSql: [],
+    mysqlReads: [],
+    dialogueState: {},
+    ...extra,
+  };
+}
+
+function failedNames(checks) {
+  return checks.filter((c) => !c.ok).map((c) => c.name);
+}
+
+async function run() {
+  section('Golden stand-ins');
+  const redis = createMemoryRedis();
+  await redis.set('a', '1', 'EX', 60);
+  check('redis set NX respects existing key', (await redis.set('a', '2', 'NX')) === null && (await redis.get('a')) === '1');
+  check('redis ttl set by EX', (await redis.ttl('a')) > 0);
+  check('redis keys glob', JSON.stringify(await redis.keys('a*')) === '["a"]');
+
+  const mysql = createMemoryMysql({ accounts: [{ accountid: 7, userid: 1, satelite_id: null }] });
+  const rows = await mysql.query('SELECT accountid, userid, satelite_id FROM accounts WHERE accountid = ? LIMIT 1', [7]);
+  check('mysql account lookup', rows.length === 1 && mysql.reads[0] === 'accounts');
+  let threw = false;
+  try {
+    await mysql.query('DELETE FROM accounts');
+  } catch (_) {
+    threw = true;
+  }
+  check('mysql unsupported statement throws + recorded', threw && mysql.unsupported.length === 1);
+
+  const cashflow = createCashflowStub({
+    'POST /account/kea-upcoming/:accountId': [{ n: 1 }, { httpStatus: 500, body: null }],
+    'GET /assistant-memory/:userId': { httpStatus: 200, body: { status: 'ok' } },
+  });
+  const first = await cashflow.post('https://cf.example/account/kea-upcoming/9', {});
+  check('cashflow sequence serves in order', first.data.n === 1);
+  let status = null;
+  try {
+    await cashflow.post('https://cf.example/account/kea-upcoming/9', {});
+  } catch (err) {
+    status = err.response && err.response.status;
+  }
+  check('cashflow httpStatus wrapper errors', status === 500);
+  const mem = await cashflow.get('https://cf.example/assistant-memory/1?accountid=9&limit=5');
+  check('cashflow query string ignored + status body passed through', mem.data.status === 'ok');
+  try {
+    await cashflow.get('https://cf.example/account/kea-nope/9');
+  } catch (_) { /* recorded below */ }
+  check('cashflow unmatched recorded', cashflow.unmatched[0] === 'GET /account/kea-nope/9');
+
+  const azure = createAzureResponder();
+  azure.load([{ toolCalls: [{ name: 'createTransaction', arguments: { amount: 5 } }] }], 'fallback');
+  const toolRound = await azure.queryAzureOpenAI([], { tools: [] });
+  const tc = toolRound.choices[0].message.tool_calls[0];
+  check('azure tool round shape', tc.function.name === 'createTransaction' && JSON.parse(tc.function.arguments).amount === 5);
+  const dry = await azure.queryAzureOpenAI([], {});
+  check('azure falls back when script runs dry', dry.choices[0].message.content === 'fallback' && azure.remaining === 0);
+
+  section('Golden scoring');
+  check('amount with thousands separator', amountAppears('Rent is $1,297.30.', 1297.3));
+  check('amount integer forms', amountAppears('about $45 total', 45) && amountAppears('$45.00', 45));
+  check('amount is not a substring match', !amountAppears('$145.00', 45) && !amountAppears('$45.001', 45));
+  const good = scoreTurn({
+    capability: 'cashflow_upcoming',
+    tools: [],
+    cashflowCalls: ['POST /account/kea-upcoming/:accountId'],
+    mysqlReads: ['accounts'],
+    amounts: [1297.3],
+    telemetry: { response_validation_status: 'valid' },
+  }, observed({
+    response: 'Rent is $1,297.30 on Aug 24.',
+    telemetry: { effective_capability: 'cashflow_upcoming', response_validation_status: 'valid' },
+    cashflowRoutes: ['POST /account/kea-upcoming/:accountId'],
+    mysqlReads: ['accounts'],
+  }));
+  check('matching turn scores clean', failedNames(good).length === 0);
+  const bad = scoreTurn({
+    capability: 'transaction_write',
+    tools: ['createTransaction'],
+    writeGate: { pendingConfirmation: true, committed: true },
+    responseExcludes: ['2,000'],
+  }, observed({
+    response: 'You owe $2,000.',
+    telemetry: { effective_capability: 'unknown' },
+    unmatched: ['GET /account/kea-nope/9'],
+  }));
+  const names = failedNames(bad);
+  check('misroute flagged', names.indexOf('capability') !== -1);
+  check('missing tool flagged', names.indexOf('tools') !== -1);
+  check('write gate flagged', names.indexOf('write gate pending') !== -1 && names.indexOf('write committed') !== -1);
+  check('invented number flagged', names.indexOf('excludes "2,000"') !== -1);
+  check('unstubbed cashflow flagged', names.indexOf('no unstubbed cashflow calls') !== -1);
+  const card = buildScorecard([
+    { passed: true, turns: [{ capability: 'a', passed: true, checks: [{ ok: true }] }] },
+    { passed: false, turns: [{ capability: 'a', passed: false, checks: [{ ok: true }, { ok: false }] }] },
+  ]);
+  check('scorecard per capability', card.byCapability.a.turns === 2 && card.byCapability.a.turnsPassed === 1
+    && card.byCapability.a.checksPassed === 2 && card.byCapability.a.checks === 3);
+
+  section('Golden conversations (end to end)');
+  const out = spawnSync(process.execPath, [path.join(__dirname, 'golden', 'run.js'), '--json'], {
+    encoding: 'utf8',
+    env: process.env,
+    timeout: 120000,
+  });
+  let report = null;
+  try {
+    report = JSON.parse(String(out.stdout || '').trim().split('\n').pop());
+  } catch (_) {
+    report = null;
+  }
+  check('runner produced a scorecard', !!report, (out.stderr || '').slice(0, 300));
+  if (!report) return;
+  for (const convo of report.results) {
+    const failures = [];
+    for (const turn of convo.turns) {
+      for (const c of turn.checks) if (!c.ok) failures.push(`turn ${turn.index} ${c.name}: ${c.detail}`);
+    }
+    check(`golden ${convo.name}`, convo.passed, failures.join('; '));
+  }
+  check('runner exit matches scorecard',
+    (out.status === 0) === (report.scorecard.turnsPassed === report.scorecard.turns));
+}
+
+module.exports = { run };
@@ -0,0 +1,187 @@
+'use strict';
+
+const { check, section } = require('./harness');
+const { createMemoryRedis } = require('./golden/standIns');
+const {
+  IDEMPOTENCY_STATUS,
+  readIdempotencyKey,
+  idempotencyStoreKey,
+  chatRequestFingerprint,
+  claimIdempotencyKey,
+  completeIdempotentTurn,
+  releaseIdempotencyKey,
+} = require('../services/keaIdempotency');
+const { REPLAYED_HEADER, idempotentChat } = require('../middleware/chatIdempotency');
+
+function mockRes() {
+  const res = { statusCode: 200, headers: {}, body: null, writes: [], ended: false, headersSent: false };
+  res.setHeader = (k, v) => { res.headers[String(k).toLowerCase()] = v; };
+  res.getHeader = (k) => res.headers[String(k).toLowerCase()];
+  res.status = (code) => { res.statusCode = code; return res; };
+  res.json = (payload) => { res.body = payload; res.headersSent = true; return res; };
+  res.flushHeaders = () => { res.headersSent = true; };
+  res.write = (chunk) => { res.writes.push(String(chunk)); return true; };
+  res.end = () => { res.ended = true; };
+  res.on = () => res;
+  return res;
+}
+
+function chatReq({ key, userId = 42, message = 'yes', accountid = 20, accept } = {}) {
+  const headers = {};
+  if (key !== undefined) headers['idempotency-key'] = key;
+  if (accept) headers.accept = accept;
+  return {
+    id: `req-${Math.random().toString(36).slice(2, 8)}`,
+    method: 'POST',
+    headers,
+    body: { message, accountid },
+    cashflowUser: userId != null ? { id: userId } : undefined,
+    on: () => {},
+  };
+}
+
+// Stand-in for exports.chat: reports through the capture hook like sendChatPayload.
+function fakeChat({ status = 200, body = { response: 'Added Costco.' }, committed = false, capture = true } = {}) {
+  const handler = async (req, res) => {
+    handler.calls += 1;
+    req.keaTelemetry = { toPayload: () => ({ write_committed: committed }) };
+    if (capture && req.keaIdempotency) req.keaIdempotency.capture(status, body);
+    return res.status(status).json(body);
+  };
+  handler.calls = 0;
+  return handler;
+}
+
+async function run() {
+  section('Idempotency key parsing');
+  check('absent → null', readIdempotencyKey({ headers: {} }) === null);
+  check('visible ASCII accepted', readIdempotencyKey({ headers: { 'idempotency-key': ' abc-123 ' } }) === 'abc-123');
+  check('control / spaces rejected', readIdempotencyKey({ headers: { 'idempotency-key': 'a b' } }) === false);
+  check('over 255 chars rejected', readIdempotencyKey({ headers: { 'idempotency-key': 'k'.repeat(256) } }) === false);
+  const storeKey = idempotencyStoreKey(42, 'abc');
+  check('store key scoped per user', storeKey !== idempotencyStoreKey(43, 'abc') && !/:42:/.test(storeKey));
+  check('fingerprint ignores history', chatRequestFingerprint({ message: 'yes', accountid: 20, history: [1] })
+    === chatRequestFingerprint({ message: 'yes', accountid: 20 }));
+  check('fingerprint covers account', chatRequestFingerprint({ message: 'yes', accountid: 20 })
+    !== chatRequestFingerprint({ message: 'yes', accountid: 21 }));
+
+  section('Claim / complete / release');
+  {
+    const store = createMemoryRedis();
+    const fp = chatRequestFingerprint({ message: 'yes' });
+    const claim = await claimIdempotencyKey({ userId: 42, key: 'k1', fingerprint: fp }, { store });
+    check('first request claims', claim.status === IDEMPOTENCY_STATUS.CLAIMED);
+    check('in-flight claim expires', (await store.ttl(claim.storeKey)) > 0);
+    const again = await claimIdempotencyKey({ userId: 42, key: 'k1', fingerprint: fp }, { store });
+    check('concurrent same key → in flight', again.status === IDEMPOTENCY_STATUS.IN_FLIGHT);
+    const other = await claimIdempotencyKey({ userId: 42, key: 'k1', fingerprint: 'different' }, { store });
+    check('different request → mismatch', other.status === IDEMPOTENCY_STATUS.MISMATCH);
+    check('outcome stored', await completeIdempotentTurn(claim, { status: 200, body: { response: 'done' } }, { store }));
+    const replay = await claimIdempotencyKey({ userId: 42, key: 'k1', fingerprint: fp }, { store });
+    check('retry replays outcome', replay.status === IDEMPOTENCY_STATUS.REPLAY
+      && replay.outcome.status === 200 && replay.outcome.body.response === 'done');
+    check('other user not affected', (await claimIdempotencyKey({ userId: 7, key: 'k1', fingerprint: fp }, { store })).status
+      === IDEMPOTENCY_STATUS.CLAIMED);
+
+    const failed = await claimIdempotencyKey({ userId: 42, key: 'k2', fingerprint: fp }, { store });
+    check('5xx not kept', !(await completeIdempotentTurn(failed, { status: 502, body: {} }, { store })));
+    check('5xx frees the key', (await claimIdempotencyKey({ userId: 42, key: 'k2', fingerprint: fp }, { store })).status
+      === IDEMPOTENCY_STATUS.CLAIMED);
+    const committed = await claimIdempotencyKey({ userId: 42, key: 'k3', fingerprint: fp }, { store });
+    check('5xx after a committed write kept',
+      await completeIdempotentTurn(committed, { status: 504, body: {}, writeCommitted: true }, { store }));
+    const committedReplay = await claimIdempotencyKey({ userId: 42, key: 'k3', fingerprint: fp }, { store });
+    check('committed 5xx replays as a saved change', committedReplay.status === IDEMPOTENCY_STATUS.REPLAY
+      && committedReplay.outcome.status === 200 && committedReplay.outcome.body.writeCommitted === true
+      && committedReplay.outcome.body.transactionResult.reloadSelectedAccount === true);
+
+    const stolen = await claimIdempotencyKey({ userId: 42, key: 'k6', fingerprint: fp }, { store });
+    const rival = { ...stolen, owner: 'someone-else' };
+    check('other owner cannot store', !(await completeIdempotentTurn(rival, { status: 200, body: { response: 'x' } }, { store })));
+    check('other owner cannot release', !(await releaseIdempotencyKey(rival, { store })));
+    check('claim survives a foreign owner', (await claimIdempotencyKey({ userId: 42, key: 'k6', fingerprint: fp }, { store })).status
+      === IDEMPOTENCY_STATUS.IN_FLIGHT);
+    check('owner still stores', await completeIdempotentTurn(stolen, { status: 200, body: { response: 'ok' } }, { store }));
+
+    const released = await claimIdempotencyKey({ userId: 42, key: 'k4', fingerprint: fp }, { store });
+    check('release drops own claim', await releaseIdempotencyKey(released, { store }));
+    check('release never drops a stored outcome', !(await releaseIdempotencyKey(claim, { store })));
+
+    const broken = { set: async () => { throw new Error('redis down'); } };
+    check('redis failure fails open', (await claimIdempotencyKey({ userId: 42, key: 'k5', fingerprint: fp }, { store: broken })).status
+      === IDEMPOTENCY_STATUS.UNAVAILABLE);
+  }
+
+  section('idempotentChat middleware');
+  {
+    const store = createMemoryRedis();
+    const handler = fakeChat({ body: { response: 'Added Costco.', transactionResult: { id: 9001 } } });
+    const wrapped = idempotentChat(handler, { store });
+
+    const first = mockRes();
+    await wrapped(chatReq({ key: 'confirm-1' }), first);
+    check('first request runs the turn', handler.calls === 1 && first.statusCode === 200);
+    const retry = mockRes();
+    await wrapped(chatReq({ key: 'confirm-1' }), retry);
+    check('retry does not run the turn', handler.calls === 1);
+    check('retry replays the payload verbatim', retry.statusCode === 200 && retry.body.transactionResult.id === 9001);
+    check('replay header set', retry.headers[REPLAYED_HEADER.toLowerCase()] === 'true');
+
+    const reused = mockRes();
+    await wrapped(chatReq({ key: 'confirm-1', message: 'delete it' }), reused);
+    check('key reused for another message → 422', reused.statusCode === 422 && reused.body.code === 'IDEMPOTENCY_KEY_REUSED');
+    const invalid = mockRes();
+    await wrapped(chatReq({ key: 'bad key' }), invalid);
+    check('invalid key → 400', invalid.statusCode === 400 && invalid.body.code === 'IDEMPOTENCY_KEY_INVALID');
+    await wrapped(chatReq({}), mockRes());
+    await wrapped(chatReq({}), mockRes());
+    check('no key → every request runs', handler.calls === 3);
+
+    let release;
+    const gate = new Promise((resolve) => { release = resolve; });
+    const slow = fakeChat();
+    const slowWrapped = idempotentChat(async (req, res) => { await gate; return slow(req, res); }, { store });
+    const pending = slowWrapped(chatReq({ key: 'slow-1' }), mockRes());
+    await new Promise((resolve) => setImmediate(resolve));
+    const conflict = mockRes();
+    await slowWrapped(chatReq({ key: 'slow-1' }), conflict);
+    check('concurrent retry → 409', conflict.statusCode === 409 && conflict.body.code === 'IDEMPOTENCY_KEY_IN_FLIGHT');
+    release();
+    await pending;
+    check('slow turn ran once', slow.calls === 1);
+
+    const silent = fakeChat({ capture: false });
+    const silentWrapped = idempotentChat(silent, { store });
+    await silentWrapped(chatReq({ key: 'silent-1' }), mockRes());
+    await silentWrapped(chatReq({ key: 'silent-1' }), mockRes());
+    check('uncaptured turn releases its claim', silent.calls === 2);
+
+    const aborted = fakeChat({ capture: false, committed: true });
+    const abortedWrapped = idempotentChat(aborted, { store });
+    await abortedWrapped(chatReq({ key: 'gone-1' }), mockRes());
+    const afterAbort = mockRes();
+    await abortedWrapped(chatReq({ key: 'gone-1' }), afterAbort);
+    check('client gone after a commit keeps the claim', aborted.calls === 1);
+    check('retry after abort replays the committed outcome', afterAbort.statusCode === 200
+      && afterAbort.body.writeCommitted === true && afterAbort.headers[REPLAYED_HEADER.toLowerCase()] === 'true');
+
+    const crashed = fakeChat({ status: 500, body: { error: 'Internal server error' }, committed: true });
+    const crashedWrapped = idempotentChat(crashed, { store });
+    await crashedWrapped(chatReq({ key: 'crash-1' }), mockRes());
+    const afterCrash = mockRes();
+    await crashedWrapped(chatReq({ key: 'crash-1' }), afterCrash);
+    check('500 after a commit is not run again', crashed.calls === 1);
+    check('500 after a commit replays the committed outcome', afterCrash.statusCode === 200 && afterCrash.body.writeCommitted === true);
+
+    const sse = mockRes();
+    await wrapped(chatReq({ key: 'confirm-1', accept: 'text/event-stream' }), sse);
+    const frames = sse.writes.join('');
+    check('SSE retry replays as a final frame', /event: final/.test(frames) && /Added Costco/.test(frames) && handler.calls === 3);
+
+    const down = idempotentChat(handler, { store: { set: async () => { throw new Error('redis down'); } } });
+    await down(chatReq({ key: 'confirm-1' }), mockRes());
+    check('redis down → turn runs without idempotency', handler.calls === 4);
+  }
+}
+
+module.exports = { run };
@@ -0,0 +1,213 @@
+'use strict';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { check, section } = require('./harness');
+const {
+  IntentRuleError,
+  createIntentRuleRegistry,
+  loadIntentRulesFromJson,
+  loadIntentRulesFromFile,
+} = require('../services/keaIntentRules');
+const {
+  BUILTIN_INTENT_RULES,
+  INTENT_RULES_PATH_ENV_KEY,
+  classifyFreshIntentCandidate,
+  createBuiltinIntentRegistry,
+  getIntentRuleRegistry,
+  resetIntentRuleRegistry,
+  explainIntentRouting,
+  routeCapability,
+} = require('../services/keaCapabilityRouter');
+const { isAdminKeyAllowed, requireAdminKey } = require('../middleware/adminKey');
+const controller = require('../controllers/openaiController');
+
+const TODAY = '2026-08-16';
+
+function toyRegistry() {
+  return createIntentRuleRegistry({
+    predicates: {
+      mentionsRent: (ctx) => /\brent\b/i.test(ctx.message),
+      mentionsNext: (ctx) => /\bnext\b/i.test(ctx.message),
+      simulationMode: (ctx) => ctx.simulationMode === true,
+    },
+    extractors: {
+      default: () => ({}),
+      tagged: (ctx) => ({ slots: { tag: ctx.message.length } }),
+    },
+    capabilities: ['cashflow_upcoming', 'financial_lookup', 'simulation'],
+  });
+}
+
+function throwsCode(fn, code) {
+  try {
+    fn();
+    return false;
+  } catch (err) {
+    return err instanceof IntentRuleError && err.code === code;
+  }
+}
+
+function mockRes() {
+  return {
+    statusCode: 200,
+    body: null,
+    status(code) { this.statusCode = code; return this; },
+    json(payload) { this.body = payload; return this; },
+  };
+}
+
+async function run() {
+  section('Intent rule registry: priority + explain');
+  const reg = toyRegistry();
+  reg.register({ name: 'rent_lookup', priority: 100, capability: 'financial_lookup', when: [['mentionsRent']] });
+  reg.register({ name: 'rent_upcoming', priority: 200, capability: 'cashflow_upcoming', when: [['mentionsRent', 'mentionsNext']], slots: 'tagged' });
+  reg.register({ name: 'rent_lookup_tie', priority: 100, capability: 'financial_lookup', when: ['mentionsRent'] });
+  check('higher priority wins', reg.firstMatch({ message: 'rent next month' }).name === 'rent_upcoming');
+  check('AND group short of a term falls through', reg.firstMatch({ message: 'rent please' }).name === 'rent_lookup');
+  check('no match → null', reg.firstMatch({ message: 'hello' }) === null);
+  const ex = reg.explain({ message: 'rent next month' });
+  check('explain lists every match', ex.matches.map((m) => m.name).join() === 'rent_upcoming,rent_lookup,rent_lookup_tie');
+  check('explain reasons name the predicates', ex.winner.reasons[0] === 'mentionsRent && mentionsNext');
+  check('explain says why', /highest priority 200 of 3/.test(ex.why));
+  const tie = reg.explain({ message: 'rent please' });
+  check('tie broken by registration order', tie.winner.name === 'rent_lookup' && /tied on priority 100/.test(tie.why));
+  check('no match why', /no rule matched/.test(reg.explain({ message: 'hi' }).why));
+  check('extractor runs for winner', reg.extract(reg.firstMatch({ message: 'rent next' }), { message: 'rent next' }).slots.tag === 9);
+  check('negated predicate', (() => {
+    const r = toyRegistry();
+    r.register({ name: 'rent_not_next', priority: 1, capability: 'financial_lookup', when: [['mentionsRent', '!mentionsNext']] });
+    return !!r.firstMatch({ message: 'rent' }) && !r.firstMatch({ message: 'rent next' });
+  })());
+  check('unregister', reg.unregister('rent_upcoming') && reg.firstMatch({ message: 'rent next' }).name === 'rent_lookup');
+
+  section('Intent rule registry: validation');
+  const v = toyRegistry();
+  check('unknown predicate rejected', throwsCode(() => v.register({ name: 'a', priority: 1, capability: 'financial_lookup', when: [['nope']] }), 'UNKNOWN_PREDICATE'));
+  check('stateful capability rejected', throwsCode(() => v.register({ name: 'b', priority: 1, capability: 'confirmation', when: [['mentionsRent']] }), 'INVALID_CAPABILITY'));
+  check('missing priority rejected', throwsCode(() => v.register({ name: 'c', capability: 'financial_lookup', when: [['mentionsRent']] }), 'INVALID_PRIORITY'));
+  check('unknown extractor rejected', throwsCode(() => v.register({ name: 'd', priority: 1, capability: 'financial_lookup', when: [['mentionsRent']], slots: 'x' }), 'UNKNOWN_EXTRACTOR'));
+  check('match-everything rule rejected', throwsCode(() => v.register({ name: 'e', priority: 1, capability: 'financial_lookup' }), 'INVALID_RULE'));
+  check('bad regex rejected', throwsCode(() => v.register({ name: 'f', priority: 1, capability: 'financial_lookup', patterns: { any: ['(('] } }), 'INVALID_PATTERN'));
+  v.register({ name: 'g', priority: 1, capability: 'financial_lookup', when: [['mentionsRent']] });
+  check('duplicate name rejected', throwsCode(() => v.register({ name: 'g', priority: 2, capability: 'financial_lookup', when: [['mentionsRent']] }), 'DUPLICATE_RULE'));
+
+  section('Intent rule registry: JSON loading');
+  const j = toyRegistry();
+  const out = loadIntentRulesFromJson(j, JSON.stringify({
+    rules: [
+      { name: 'gas_lookup', priority: 50, capability: 'financial_lookup', patterns: { any: ['\\bgas\\b'], none: ['\\bgas station\\b'] } },
+      { name: 'broken', priority: 'high', capability: 'financial_lookup', patterns: { any: ['x'] } },
+      { name: 'rent_next', priority: 60, capability: 'cashflow_upcoming', when: [['mentionsRent']], patterns: { all: ['next'] } },
+    ],
+  }), { source: 'test.json' });
+  check('valid JSON rules loaded', out.loaded.join() === 'gas_lookup,rent_next');
+  check('invalid JSON rule skipped + reported', out.errors.length === 1 && out.errors[0].rule === 'broken' && out.errors[0].code === 'INVALID_PRIORITY');
+  check('pattern rule matches', j.firstMatch({ message: 'How much on GAS?' }).name === 'gas_lookup');
+  check('none pattern excludes', j.firstMatch({ message: 'the gas station' }) === null);
+  check('when + patterns combine', j.firstMatch({ message: 'rent next month' }).name === 'rent_next'
+    && j.firstMatch({ message: 'rent' }) === null);
+  check('JSON source recorded', j.explain({ message: 'gas' }).winner.source === 'test.json');
+  check('pattern reason reported', /matches \/\\bgas\\b\/i/.test(j.explain({ message: 'gas' }).winner.reasons[0]));
+  check('bare array accepted', loadIntentRulesFromJson(toyRegistry(), [{ name: 'x', priority: 1, capability: 'simulation', when: [['simulationMode']] }]).loaded.length === 1);
+  check('bad JSON reported', loadIntentRulesFromJson(toyRegistry(), '{nope').errors[0].code === 'INVALID_JSON');
+  check('missing file reported', loadIntentRulesFromFile(toyRegistry(), path.join(os.tmpdir(), 'kea-no-such-rules.json')).errors[0].code === 'READ_FAILED');
+
+  section('Built-in policy is the old classifier order');
+  const builtin = createBuiltinIntentRegistry();
+  const names = builtin.list().map((r) => r.name);
+  check('all built-ins registered', builtin.size === BUILTIN_INTENT_RULES.length);
+  check('simulation-mode first, lookup last', names[0] === 'simulation_mode_utterance' && names[names.length - 1] === 'financial_lookup');
+  check('income horizon outranks affordability', names.indexOf('cashflow_income_horizon') < names.indexOf('affordability_or_planning'));
+  check('trend outranks comparison', names.indexOf('cashflow_trend') < names.indexOf('cashflow_comparison'));
+  check('priorities strictly descending', builtin.list().every((r, i, all) => i === 0 || all[i - 1].priority > r.priority));
+  const trend = classifyFreshIntentCandidate({ message: 'how has my dining spending trended over the last 3 months', currentDate: TODAY });
+  check('classifier reports rule name', trend.capability === 'cashflow_trend' && trend.ruleName === 'cashflow_trend');
+  check('unknown has no rule', classifyFreshIntentCandidate({ message: 'qwerty', currentDate: TODAY }).ruleName === null);
+  const routed = routeCapability({ message: 'how has my dining spending trended over the last 3 months', currentDate: TODAY });
+  check('route carries intentRule', routed.intentRule === 'cashflow_trend');
+
+  section('JSON rules via KEA_INTENT_RULES_PATH');
+  const file = path.join(os.tmpdir(), `kea-intent-rules-${process.pid}.json`);
+  fs.writeFileSync(file, JSON.stringify([
+    { name: 'fuel_total_lookup', priority: 460, capability: 'financial_lookup', slots: 'lookup', patterns: { any: ['\\bfuel\\b'] }, when: [['isCashflowTrend']] },
+    { name: 'bad_capability', priority: 1, capability: 'confirmation', patterns: { any: ['x'] } },
+  ]));
+  const prevPath = process.env[INTENT_RULES_PATH_ENV_KEY];
+  process.env[INTENT_RULES_PATH_ENV_KEY] = file;
+  resetIntentRuleRegistry();
+  const prevWarn = console.warn;
+  console.warn = () => {};
+  try {
+    const msg = 'how has my fuel spending trended over the last 3 months';
+    check('JSON rule slots between built-ins', getIntentRuleRegistry().list()[getIntentRuleRegistry().list().findIndex((r) => r.name === 'cashflow_trend') - 1].name === 'fuel_total_lookup');
+    check('JSON rule wins over lower built-in', classifyFreshIntentCandidate({ message: msg, currentDate: TODAY }).capability === 'financial_lookup');
+    const explained = explainIntentRouting({ message: msg, currentDate: TODAY });
+    check('explain names JSON winner', explained.winner.name === 'fuel_total_lookup' && explained.decidedBy === 'intent_rules');
+    check('explain shows built-in runner-up', explained.matches[1].name === 'cashflow_trend');
+    check('explain reports skipped JSON rule', explained.registry.jsonRules.errors.some((e) => e.rule === 'bad_capability'));
+  } finally {
+    console.warn = prevWarn;
+    if (prevPath === undefined) delete process.env[INTENT_RULES_PATH_ENV_KEY];
+    else process.env[INTENT_RULES_PATH_ENV_KEY] = prevPath;
+    resetIntentRuleRegistry();
+    fs.unlinkSync(file);
+  }
+  check('registry back to built-ins', getIntentRuleRegistry().size === BUILTIN_INTENT_RULES.length);
+
+  section('Explain: injected registry routes too');
+  const injected = createBuiltinIntentRegistry();
+  loadIntentRulesFromJson(injected, [
+    { name: 'fuel_total_lookup', priority: 460, capability: 'financial_lookup', slots: 'lookup', patterns: { any: ['\\bfuel\\b'] }, when: [['isCashflowTrend']] },
+  ]);
+  const fuelMsg = 'how has my fuel spending trended over the last 3 months';
+  const viaInjected = explainIntentRouting({ message: fuelMsg, currentDate: TODAY, registry: injected });
+  check('route uses the injected registry', viaInjected.route.capability === 'financial_lookup'
+    && viaInjected.route.intentRule === 'fuel_total_lookup');
+  check('explain and route agree', viaInjected.winner.name === viaInjected.route.intentRule
+    && viaInjected.registry.size === BUILTIN_INTENT_RULES.length + 1);
+  check('process registry untouched', explainIntentRouting({ message: fuelMsg, currentDate: TODAY }).route.intentRule === 'cashflow_trend');
+
+  section('Explain: dialogue state pre-empts rules');
+  const input = controller.__testables.buildRouteDebugInput({
+    message: 'yes do it',
+    currentDate: TODAY,
+    dialogueState: {
+      pendingConfirmation: true,
+      draftTransaction: { title: 'Rent', amount: 1200, start: '2026-09-01', category: 'Housing' },
+    },
+  });
+  check('debug input arms pending write', input.pendingWrite === true && input.userAffirmative === true);
+  const confirm = explainIntentRouting(input);
+  check('confirmation decided by dialogue state', confirm.route.capability === 'confirmation' && confirm.decidedBy === 'dialogue_state');
+  check('decision explains pre-emption', /before the rule registry ran/.test(confirm.decision));
+
+  section('Debug endpoint');
+  const prevEnv = { key: process.env.ADMIN_CACHE_FLUSH_KEY, env: process.env.NODE_ENV };
+  process.env.ADMIN_CACHE_FLUSH_KEY = 'sekrit';
+  process.env.NODE_ENV = 'production';
+  try {
+    check('admin key required', isAdminKeyAllowed({ headers: {} }) === false);
+    check('admin key accepted', isAdminKeyAllowed({ headers: { 'x-admin-key': 'sekrit' } }) === true);
+    const denied = mockRes();
+    let nextCalled = false;
+    requireAdminKey()({ headers: { 'x-admin-key': 'wrong' } }, denied, () => { nextCalled = true; });
+    check('gate returns 403', denied.statusCode === 403 && nextCalled === false);
+  } finally {
+    if (prevEnv.key === undefined) delete process.env.ADMIN_CACHE_FLUSH_KEY;
+    else process.env.ADMIN_CACHE_FLUSH_KEY = prevEnv.key;
+    if (prevEnv.env === undefined) delete process.env.NODE_ENV;
+    else process.env.NODE_ENV = prevEnv.env;
+  }
+  const missing = mockRes();
+  controller.explainRoute({ body: {} }, missing);
+  check('message required', missing.statusCode === 400);
+  const ok = mockRes();
+  controller.explainRoute({ id: 'dbg-1', body: { message: 'what bills are coming up next week', currentDate: TODAY } }, ok);
+  check('endpoint returns explanation', ok.statusCode === 200 && ok.body.route.capability === 'cashflow_upcoming');
+  check('endpoint lists matches', Array.isArray(ok.body.matches) && ok.body.matches[0].name === ok.body.winner.name);
+  check('endpoint echoes requestId', ok.body.requestId === 'dbg-1');
+}
+
+module.exports = { run };
@@ -0,0 +1,104 @@
+'use strict';
+
+const { check, section } = require('./harness');
+const { createKeaTelemetry } = require('../services/keaTelemetry');
+const {
+  createMetricsRegistry,
+  renderMetrics,
+  resetMetricsForTests,
+} = require('../services/keaMetrics');
+const { isMetricsRequestAllowed } = require('../middleware/metricsAuth');
+
+function line(text, prefix) {
+  return text.split('\n').find((l) => l.startsWith(prefix)) || null;
+}
+
+function withEnv(vars, fn) {
+  const prev = {};
+  for (const k of Object.keys(vars)) {
+    prev[k] = process.env[k];
+    if (vars[k] === undefined) delete process.env[k];
+    else process.env[k] = vars[k];
+  }
+  try {
+    return fn();
+  } finally {
+    for (const k of Object.keys(prev)) {
+      if (prev[k] === undefined) delete process.env[k];
+      else process.env[k] = prev[k];
+    }
+  }
+}
+
+async function run() {
+  section('Metrics from kea_chat_turn');
+  resetMetricsForTests();
+  const t = createKeaTelemetry({ requestId: 'req-metrics-1' });
+  t.setIdentity({ authenticated: true, userKey: 'abcdef0123456789' });
+  t.recordAzureCall(1200, { prompt_tokens: 10, completion_tokens: 2, total_tokens: 12 });
+  t.recordAzureCall(300, null);
+  t.recordTool('getUpcomingTransactions', 80);
+  t.recordGrounding({ grounding_performed: true, grounding_strategy: 'macro', effective_capability: 'cashflow_upcoming' });
+  t.recordWriteFlags({ write_proposed: true, write_blocked: true });
+  t.setSelectedAccountMeta({ source: 'tool-cache', cacheHit: true });
+  const originalLog = console.log;
+  console.log = () => {};
+  try {
+    t.emit();
+    const miss = createKeaTelemetry({ requestId: 'req-metrics-2' });
+    miss.setSelectedAccountMeta({ source: 'tool-fresh', cacheHit: false });
+    miss.emit();
+    createKeaTelemetry({ requestId: 'req-metrics-3' }).emitAbort(null, { last_stage: 'azure_round_1' });
+  } finally {
+    console.log = originalLog;
+  }
+  const text = renderMetrics();
+
+  check('turn counted per capability', line(text, 'kea_chat_turns_total{capability="cashflow_upcoming"}') === 'kea_chat_turns_total{capability="cashflow_upcoming"} 1'
+    && line(text, 'kea_chat_turns_total{capability="none"}') === 'kea_chat_turns_total{capability="none"} 1');
+  check('azure rounds observed in seconds', line(text, 'kea_chat_azure_round_duration_seconds_bucket{round="1",le="1"}').endsWith(' 0')
+    && line(text, 'kea_chat_azure_round_duration_seconds_bucket{round="1",le="2.5"}').endsWith(' 1')
+    && line(text, 'kea_chat_azure_round_duration_seconds_sum{round="2"}') === 'kea_chat_azure_round_duration_seconds_sum{round="2"} 0.3');
+  check('tool latency labelled by tool', line(text, 'kea_chat_tool_duration_seconds_count{tool="getUpcomingTransactions"}').endsWith(' 1'));
+  check('grounding strategy counted', line(text, 'kea_chat_grounding_total{strategy="macro",performed="true"}').endsWith(' 1'));
+  check('write outcomes counted', line(text, 'kea_chat_write_outcomes_total{outcome="proposed"}').endsWith(' 1')
+    && line(text, 'kea_chat_write_outcomes_total{outcome="blocked"}').endsWith(' 1')
+    && line(text, 'kea_chat_write_outcomes_total{outcome="committed"}') === null);
+  check('validation status counted', line(text, 'kea_chat_response_validation_total{status="not_applicable",mode="shadow"}').endsWith(' 2'));
+  check('cache hit ratio', line(text, 'kea_selected_account_cache_hit_ratio ') === 'kea_selected_account_cache_hit_ratio 0.5');
+  check('aborts counted by stage', line(text, 'kea_chat_aborts_total{capability="none",stage="azure_round_1"}').endsWith(' 1'));
+  check('no user identifiers in labels', !text.includes('abcdef0123456789') && !text.includes('req-metrics'));
+  check('histogram TYPE lines', text.includes('# TYPE kea_chat_request_duration_seconds histogram'));
+
+  section('Registry bounds');
+  const registry = createMetricsRegistry({ maxSeries: 2 });
+  const c = registry.counter('kea_test_total', 'Test.', ['tool']);
+  c.inc({ tool: 'a' });
+  c.inc({ tool: 'b"\n} injected' });
+  c.inc({ tool: 'c' });
+  c.inc({ tool: 'd' });
+  const out = registry.render();
+  check('label values sanitized', out.includes('kea_test_total{tool="b____injected"} 1') && !out.includes('"\n'));
+  check('series past the cap fold into other', out.includes('kea_test_total{tool="other"} 2'));
+  const timings = createMetricsRegistry();
+  const h = timings.histogram('kea_test_seconds', 'Test.', [], [1]);
+  h.observe({}, null);
+  h.observe({}, undefined);
+  h.observe({}, '');
+  h.observe({}, 0.5);
+  check('missing timings are not 0s samples', timings.render().includes('kea_test_seconds_count 1'));
+
+  section('/metrics access');
+  const req = (headers = {}) => ({ headers });
+  withEnv({ KEA_METRICS_TOKEN: 's3cret', ADMIN_CACHE_FLUSH_KEY: undefined, NODE_ENV: 'development' }, () => {
+    check('bearer token accepted', isMetricsRequestAllowed(req({ authorization: 'Bearer s3cret' })));
+    check('token configured → anonymous refused', !isMetricsRequestAllowed(req()));
+  });
+  withEnv({ KEA_METRICS_TOKEN: undefined, ADMIN_CACHE_FLUSH_KEY: 'adm', NODE_ENV: 'production' }, () => {
+    check('admin key accepted', isMetricsRequestAllowed(req({ 'x-admin-key': 'adm' })));
+    check('production without credentials refused', !isMetricsRequestAllowed(req({ authorization: 'Bearer s3cret' })));
+  });
+  resetMetricsForTests();
+}
+
+module.exports = { run };
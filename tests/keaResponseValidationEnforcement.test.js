@@ -0,0 +1,198 @@
+'use strict';
+
+const { check, section } = require('./harness');
+const { createKeaTelemetry } = require('../services/keaTelemetry');
+const {
+  RESPONSE_VALIDATION_SHADOW_ENV_KEY,
+  RESPONSE_VALIDATION_MODE,
+  RESPONSE_VALIDATION_ENFORCEMENT_PATH,
+  RESPONSE_VALIDATION_RETRY_STATUS,
+  sanitizeResponseValidationTelemetry,
+} = require('../services/keaResponseValidationShadow');
+const {
+  RESPONSE_VALIDATION_ENFORCE_ENV_KEY,
+  parseEnforcedCapabilities,
+  responseValidationModeFor,
+  checkResponseClaims,
+  buildValidationCorrectionMessage,
+  enforceResponseValidation,
+} = require('../services/keaResponseValidationEnforcement');
+const { buildLookup, buildUpcomingMacro } = require('./keaResponseValidationContract.test');
+
+const MACRO_VALID = 'Total scheduled expenses are $1297.30.';
+const MACRO_INVALID = 'Total scheduled expenses are $2000.';
+const TARGET_INVALID = 'You spent $280 at Target.';
+const FALLBACK_TEXT = 'Scheduled expenses total $1297.30 for the selected account.';
+
+function withEnv(vars, fn) {
+  const prev = {};
+  for (const k of Object.keys(vars)) {
+    prev[k] = process.env[k];
+    if (vars[k] === undefined) delete process.env[k];
+    else process.env[k] = vars[k];
+  }
+  const restore = () => {
+    for (const k of Object.keys(prev)) {
+      if (prev[k] === undefined) delete process.env[k];
+      else process.env[k] = prev[k];
+    }
+  };
+  let out;
+  try {
+    out = fn();
+  } catch (err) {
+    restore();
+    throw err;
+  }
+  if (out && typeof out.then === 'function') return out.finally(restore);
+  restore();
+  return out;
+}
+
+function enforceTurn(text, extra = {}) {
+  const calls = { regenerate: [], fallback: 0 };
+  const promise = enforceResponseValidation({
+    text,
+    ledger: extra.ledger || buildUpcomingMacro(),
+    capability: extra.capability || 'cashflow_upcoming',
+    responseSource: extra.responseSource || 'azure',
+    writeResponseMode: extra.writeResponseMode || 'none',
+    mode: extra.mode,
+    regenerate: extra.regenerate === null ? undefined : async (correction) => {
+      calls.regenerate.push(correction);
+      if (extra.regenerate) return extra.regenerate(correction);
+      return MACRO_VALID;
+    },
+    fallback: () => {
+      calls.fallback += 1;
+      return extra.fallback ? extra.fallback() : { ok: true, fallback: true, content: FALLBACK_TEXT };
+    },
+  });
+  return promise.then((out) => Object.assign(out, { calls }));
+}
+
+async function run() {
+  section('Enforcement mode switch');
+  check('env key name', RESPONSE_VALIDATION_ENFORCE_ENV_KEY === 'RESPONSE_VALIDATION_ENFORCE_CAPABILITIES');
+  check('unset enforces nothing', parseEnforcedCapabilities(undefined).length === 0);
+  check('list parsed', JSON.stringify(parseEnforcedCapabilities(' cashflow_upcoming, financial_lookup '))
+    === JSON.stringify(['cashflow_upcoming', 'financial_lookup']));
+  check('unknown capability ignored', parseEnforcedCapabilities('general_chat,cashflow_trend').join() === 'cashflow_trend');
+  check('* enforces all eligible', parseEnforcedCapabilities('*').indexOf('financial_forecast') !== -1);
+  withEnv({ [RESPONSE_VALIDATION_SHADOW_ENV_KEY]: undefined, [RESPONSE_VALIDATION_ENFORCE_ENV_KEY]: 'cashflow_upcoming' }, () => {
+    check('listed capability enforces', responseValidationModeFor('cashflow_upcoming') === RESPONSE_VALIDATION_MODE.ENFORCE);
+    check('other capability stays shadow', responseValidationModeFor('financial_lookup') === RESPONSE_VALIDATION_MODE.SHADOW);
+  });
+  withEnv({ [RESPONSE_VALIDATION_SHADOW_ENV_KEY]: 'false', [RESPONSE_VALIDATION_ENFORCE_ENV_KEY]: '*' }, () => {
+    check('validation flag off disables enforcement', responseValidationModeFor('cashflow_upcoming') === RESPONSE_VALIDATION_MODE.DISABLED);
+  });
+
+  section('Blocking violations + correction message');
+  const bad = checkResponseClaims(MACRO_INVALID, buildUpcomingMacro());
+  check('wrong total is blocking', bad.checked && bad.blocking.length === 1 && bad.blocking[0].severity === 'critical');
+  check('grounded total not blocking', checkResponseClaims(MACRO_VALID, buildUpcomingMacro()).blocking.length === 0);
+  check('missing ledger is unchecked', checkResponseClaims(MACRO_INVALID, null).checked === false);
+  const correction = buildValidationCorrectionMessage(bad.blocking, bad.claims);
+  check('correction quotes the draft span', correction.indexOf('"$2000" (UNSUPPORTED_AMOUNT)') !== -1);
+  check('correction asks for evidence-only figures', /only amounts, counts and dates/.test(correction));
+  check('correction carries no ledger value', correction.indexOf('1297.30') === -1);
+
+  section('Shadow mode never mutates');
+  await withEnv({ [RESPONSE_VALIDATION_SHADOW_ENV_KEY]: 'true', [RESPONSE_VALIDATION_ENFORCE_ENV_KEY]: undefined }, async () => {
+    const shadow = await enforceTurn(MACRO_INVALID);
+    check('text unchanged', shadow.finalText === MACRO_INVALID);
+    check('no regenerate', shadow.calls.regenerate.length === 0 && shadow.calls.fallback === 0);
+    check('status still invalid', shadow.telemetry.response_validation_status === 'invalid');
+    check('mode shadow', shadow.telemetry.response_validation_mode === RESPONSE_VALIDATION_MODE.SHADOW);
+    check('path not_enforced', shadow.telemetry.response_validation_enforcement_path === RESPONSE_VALIDATION_ENFORCEMENT_PATH.NOT_ENFORCED);
+  });
+
+  section('Enforce: original wins');
+  const valid = await enforceTurn(MACRO_VALID, { mode: 'enforce' });
+  check('valid text kept', valid.finalText === MACRO_VALID && valid.responseSource === 'azure');
+  check('no retry for valid text', valid.calls.regenerate.length === 0);
+  check('path original', valid.telemetry.response_validation_enforcement_path === 'original');
+  check('retry not attempted', valid.telemetry.response_validation_retry_status === 'not_attempted');
+
+  section('Enforce: regenerated wins');
+  const regen = await enforceTurn(MACRO_INVALID, { mode: 'enforce' });
+  check('one retry', regen.calls.regenerate.length === 1);
+  check('retry got correction', regen.calls.regenerate[0].indexOf('$2000') !== -1);
+  check('regenerated text served', regen.finalText === MACRO_VALID);
+  check('no fallback', regen.calls.fallback === 0);
+  check('path regenerated', regen.telemetry.response_validation_enforcement_path === 'regenerated');
+  check('retry valid', regen.telemetry.response_validation_retry_status === 'valid');
+  check('draft status recorded', regen.telemetry.response_validation_status === 'invalid');
+
+  section('Enforce: macro fallback wins');
+  const stillBad = await enforceTurn(MACRO_INVALID, { mode: 'enforce', regenerate: () => 'Actually it is $2100.' });
+  check('still one retry only', stillBad.calls.regenerate.length === 1);
+  check('fallback text served', stillBad.finalText === FALLBACK_TEXT);
+  check('response source macro_fallback', stillBad.responseSource === 'macro_fallback');
+  check('path macro_fallback', stillBad.telemetry.response_validation_enforcement_path === 'macro_fallback');
+  check('retry invalid', stillBad.telemetry.response_validation_retry_status === 'invalid');
+  const failedRetry = await enforceTurn(MACRO_INVALID, { mode: 'enforce', regenerate: () => null });
+  check('skipped retry falls back', failedRetry.finalText === FALLBACK_TEXT);
+  check('retry failed', failedRetry.telemetry.response_validation_retry_status === 'failed');
+  const thrown = await enforceTurn(MACRO_INVALID, { mode: 'enforce', regenerate: () => { throw new Error('boom'); } });
+  check('throwing retry falls back', thrown.finalText === FALLBACK_TEXT && thrown.telemetry.response_validation_retry_status === 'failed');
+  const failSoft = await enforceTurn(TARGET_INVALID, {
+    mode: 'enforce',
+    ledger: buildLookup(),
+    capability: 'financial_lookup',
+    regenerate: () => TARGET_INVALID,
+    fallback: () => ({ ok: true, failSoft: true, content: 'I could not verify that right now.' }),
+  });
+  check('fail-soft text when no macro fallback', failSoft.finalText === 'I could not verify that right now.');
+  check('path fail_soft', failSoft.telemetry.response_validation_enforcement_path === 'fail_soft' && failSoft.responseSource === 'fail_soft');
+
+  section('Enforce never widens eligibility');
+  const write = await enforceTurn(MACRO_INVALID, { mode: 'enforce', writeResponseMode: 'committed' });
+  check('write turn untouched', write.finalText === MACRO_INVALID && write.calls.regenerate.length === 0);
+  check('write turn not_enforced', write.telemetry.response_validation_enforcement_path === 'not_enforced');
+  const macroSource = await enforceTurn(MACRO_INVALID, { mode: 'enforce', responseSource: 'macro_fallback' });
+  check('deterministic source untouched', macroSource.finalText === MACRO_INVALID && macroSource.calls.fallback === 0);
+
+  section('Telemetry sanitization');
+  const tel = createKeaTelemetry({ requestId: 'enforce-1' });
+  tel.recordResponseValidation(stillBad.telemetry);
+  const payload = tel.toPayload();
+  check('payload mode', payload.response_validation_mode === 'enforce');
+  check('payload path', payload.response_validation_enforcement_path === 'macro_fallback');
+  check('payload retry status', payload.response_validation_retry_status === 'invalid');
+  check('payload has no response text', JSON.stringify(payload).indexOf('2000') === -1);
+  const junk = sanitizeResponseValidationTelemetry({
+    response_validation_mode: 'yolo',
+    response_validation_enforcement_path: 'Total is $5',
+    response_validation_retry_status: 42,
+  });
+  check('unknown mode dropped', junk.response_validation_mode === 'disabled');
+  check('unknown path dropped', junk.response_validation_enforcement_path === RESPONSE_VALIDATION_ENFORCEMENT_PATH.NOT_ENFORCED);
+  check('unknown retry status dropped', junk.response_validation_retry_status === RESPONSE_VALIDATION_RETRY_STATUS.NOT_ATTEMPTED);
+
+  section('Regeneration keeps the tool rounds');
+  const T = require('../controllers/openaiController').__testables;
+  const turnMessages = [{ role: 'system', content: 'sys' }, { role: 'user', content: 'how are my budgets?' }];
+  const toolResult = await T.executeToolCalls(turnMessages, [
+    { id: 'u1', type: 'function', function: { name: 'getBudgets', arguments: '{}' } },
+  ], {
+    userId: 5,
+    token: 'trusted',
+    accountId: 22,
+    dialogueState: T.emptyDialogueState(),
+    skipCacheInvalidate: true,
+    functionMap: { getBudgets: async () => ({ budgets: [{ category: 'Bills', monthly_limit: 1297.3 }] }) },
+    queryAzureOpenAI: async () => ({ choices: [{ message: { role: 'assistant', content: MACRO_INVALID } }] }),
+  });
+  const retryMessages = T.regenerationMessages(turnMessages, toolResult, MACRO_INVALID, 'correct it');
+  const toolMsg = retryMessages.find((m) => m.role === 'tool');
+  check('retry sees the tool call and its result', retryMessages.some((m) => Array.isArray(m.tool_calls) && m.tool_calls[0].id === 'u1')
+    && toolMsg && toolMsg.tool_call_id === 'u1' && toolMsg.content.indexOf('1297.3') !== -1);
+  check('retry ends with the rejected answer and the correction', retryMessages.length === toolResult.messages.length + 2
+    && retryMessages[retryMessages.length - 2].content === MACRO_INVALID
+    && retryMessages[retryMessages.length - 1].role === 'system');
+  check('turn without tools retries from its own messages', T.regenerationMessages(turnMessages, { content: 'x' }, 'x', 'c')
+    .slice(0, 2).every((m, i) => m === turnMessages[i]));
+}
+
+module.exports = { run };
@@ -527,19 +527,23 @@ async function run() {
   const ledgerJs = fs.readFileSync(path.join(__dirname, '..', 'services', 'keaEvidenceLedger.js'), 'utf8');
   const builders = fs.readFileSync(path.join(__dirname, '..', 'services', 'keaEvidenceLedgerBuilders.js'), 'utf8');
   const promptView = fs.readFileSync(path.join(__dirname, '..', 'services', 'keaEvidencePromptView.js'), 'utf8');
-  check('controller imports shadow only', controller.indexOf("require('../services/keaResponseValidationShadow')") !== -1);
+  check('controller imports validation via enforcement only',
+    controller.indexOf("require('../services/keaResponseValidationEnforcement')") !== -1
+    && controller.indexOf("require('../services/keaResponseValidationShadow')") === -1);
   check('controller does not import 3C.1 modules',
     controller.indexOf('keaResponseClaimExtractor') === -1
     && controller.indexOf('keaResponseClaimValidator') === -1
     && controller.indexOf('keaResponseValidationContract') === -1
     && controller.indexOf('validateResponseAgainstContract') === -1);
-  const finalIdx = controller.indexOf('const finalText = stripCurrencyCommas(guardedContent);');
-  const shadowIdx = controller.indexOf('const shadow = applyShadowResponseValidation');
+  const finalIdx = controller.indexOf('let finalText = stripCurrencyCommas(guardedContent);');
+  const shadowIdx = controller.indexOf('const validated = await enforceResponseValidation');
   const persistIdx = controller.indexOf('await persistAnswerThenRefreshSummary');
-  check('shadow after finalText', finalIdx !== -1 && shadowIdx > finalIdx);
-  check('shadow before persist', persistIdx !== -1 && shadowIdx < persistIdx);
-  const afterShadow = controller.slice(shadowIdx, shadowIdx + 1800);
-  check('does not reassign finalText from shadow', !/finalText\s*=/.test(afterShadow));
+  check('validation after finalText', finalIdx !== -1 && shadowIdx > finalIdx);
+  check('validation before persist', persistIdx !== -1 && shadowIdx < persistIdx);
+  const afterShadow = controller.slice(shadowIdx, persistIdx);
+  const reassignments = afterShadow.match(/\bfinalText\s*=[^=]/g) || [];
+  check('finalText only reassigned from enforcement result',
+    reassignments.length === 1 && /finalText = validated\.finalText;/.test(afterShadow));
   const payloadSlice = controller.slice(
     controller.indexOf('const responsePayload = {'),
     controller.indexOf('lifecycle.setStage(\'persist_started\')')
@@ -0,0 +1,167 @@
+'use strict';
+
+const { check, section } = require('./harness');
+const { createKeaTelemetry } = require('../services/keaTelemetry');
+const { routeCapability, CAPABILITIES, scoreRouteConfidence } = require('../services/keaCapabilityRouter');
+const { buildConversationClarifyText } = require('../services/keaConversationContinuation');
+const {
+  ROUTE_CONFIDENCE_THRESHOLD_ENV_KEY,
+  DEFAULT_ROUTE_CONFIDENCE_THRESHOLD,
+  ROUTE_CLASSIFIER_STATUS,
+  routeConfidenceThreshold,
+  needsRouteClassifier,
+  buildRouteClassifierMessages,
+  parseClassifierAnswer,
+  resolveLowConfidenceRoute,
+  sanitizeRouteTelemetry,
+} = require('../services/keaRouteClassifier');
+
+const DATE = '2026-10-19';
+const UNKNOWN_MSG = 'blorp zzz';
+const UPCOMING_MSG = 'what are my upcoming bills this week';
+const LOOKUP_MSG = 'how much did I spend at Target last month';
+
+function reply(capability) {
+  return { choices: [{ message: { content: JSON.stringify({ capability }) } }] };
+}
+
+function fakeQuery(answer) {
+  const calls = [];
+  const fn = async (messages, opts) => {
+    calls.push({ messages, opts });
+    if (answer instanceof Error) throw answer;
+    return typeof answer === 'function' ? answer() : answer;
+  };
+  fn.calls = calls;
+  return fn;
+}
+
+async function classify(message, answer, extra = {}) {
+  const routeInput = { message, currentDate: DATE, ...(extra.input || {}) };
+  const queryFn = fakeQuery(answer);
+  const out = await resolveLowConfidenceRoute(routeCapability(routeInput), {
+    routeInput,
+    queryFn,
+    requestId: 'route-cls-1',
+    deployment: extra.deployment !== undefined ? extra.deployment : 'light-dep',
+    threshold: extra.threshold,
+  });
+  out.calls = queryFn.calls;
+  return out;
+}
+
+async function run() {
+  section('Route confidence scores + runner-ups');
+  const unknown = routeCapability({ message: UNKNOWN_MSG, currentDate: DATE });
+  check('unknown scores 0', unknown.capability === 'unknown' && unknown.confidenceScore === 0);
+  check('unknown decided by rules', unknown.decisionSource === 'rules');
+  const lookup = routeCapability({ message: LOOKUP_MSG, currentDate: DATE });
+  check('lone high rule scores 0.9', lookup.confidenceScore === 0.9 && lookup.runnerUps.length === 0);
+  const upcoming = routeCapability({ message: UPCOMING_MSG, currentDate: DATE });
+  check('contested rule loses score', upcoming.capability === 'cashflow_upcoming' && upcoming.confidenceScore === 0.75);
+  check('runner-up carries capability + rule',
+    upcoming.runnerUps.length === 1
+    && upcoming.runnerUps[0].capability === 'financial_forecast'
+    && upcoming.runnerUps[0].rule === 'financial_forecast');
+  const clarify = routeCapability({ message: 'what about income?', currentDate: DATE });
+  check('clarify decided by dialogue state', clarify.capability === 'conversation_clarify'
+    && clarify.decisionSource === 'dialogue_state' && clarify.confidenceScore === 0.3);
+  check('many runner-ups floor the score', scoreRouteConfidence({
+    capability: 'cashflow_trend', intentRule: 'cashflow_trend', confidence: 'high',
+  }, [{}, {}, {}, {}, {}]) === 0.45);
+  check('dialogue-state high scores 0.95', scoreRouteConfidence({ capability: 'confirmation', confidence: 'high' }) === 0.95);
+
+  section('Threshold + eligibility');
+  const prev = process.env[ROUTE_CONFIDENCE_THRESHOLD_ENV_KEY];
+  delete process.env[ROUTE_CONFIDENCE_THRESHOLD_ENV_KEY];
+  check('default threshold', routeConfidenceThreshold() === DEFAULT_ROUTE_CONFIDENCE_THRESHOLD);
+  process.env[ROUTE_CONFIDENCE_THRESHOLD_ENV_KEY] = '0.8';
+  check('env threshold', routeConfidenceThreshold() === 0.8);
+  process.env[ROUTE_CONFIDENCE_THRESHOLD_ENV_KEY] = '7';
+  check('out-of-range threshold ignored', routeConfidenceThreshold() === DEFAULT_ROUTE_CONFIDENCE_THRESHOLD);
+  if (prev === undefined) delete process.env[ROUTE_CONFIDENCE_THRESHOLD_ENV_KEY];
+  else process.env[ROUTE_CONFIDENCE_THRESHOLD_ENV_KEY] = prev;
+  check('unknown needs classifier', needsRouteClassifier(unknown, 0.5));
+  check('confident rule does not', !needsRouteClassifier(lookup, 0.5));
+  check('contested rule under a high threshold does', needsRouteClassifier(upcoming, 0.8));
+  check('resolver clarify never classified', !needsRouteClassifier(clarify, 1));
+  check('pending write never classified', !needsRouteClassifier({ ...unknown, pendingType: 'transaction' }, 1));
+
+  section('Classifier request shape');
+  const msgs = buildRouteClassifierMessages(UPCOMING_MSG, upcoming);
+  check('system lists matched candidates', /The rules matched: cashflow_upcoming, financial_forecast/.test(msgs[0].content));
+  check('user message passed through', msgs[1].role === 'user' && msgs[1].content === UPCOMING_MSG);
+  const rerouted = await classify(UNKNOWN_MSG, reply('cashflow_upcoming'));
+  const opts = rerouted.calls[0].opts;
+  check('one call', rerouted.calls.length === 1);
+  check('LIGHT deployment', opts.deployment === 'light-dep');
+  check('no tools', Array.isArray(opts.tools) && opts.tools.length === 0);
+  check('enum constrained to CAPABILITIES',
+    JSON.stringify(opts.response_format.json_schema.schema.properties.capability.enum) === JSON.stringify(CAPABILITIES));
+  check('small completion', opts.max_tokens <= 32 && opts.temperature === 0);
+
+  section('Classifier outcomes');
+  check('unknown rerouted', rerouted.route.capability === 'cashflow_upcoming'
+    && rerouted.route.decisionSource === 'classifier'
+    && rerouted.route.intentRule === 'cashflow_upcoming');
+  check('rerouted status', rerouted.telemetry.route_classifier_status === ROUTE_CLASSIFIER_STATUS.REROUTED);
+  check('reroute has lookup meta', Array.isArray(rerouted.route.lookupRequests));
+
+  const agreed = await classify(UNKNOWN_MSG, reply('unknown'));
+  check('unknown answer keeps general chat', agreed.route.capability === 'unknown'
+    && agreed.telemetry.route_classifier_status === ROUTE_CLASSIFIER_STATUS.AGREED);
+
+  const clarified = await classify(UNKNOWN_MSG, reply('conversation_clarify'));
+  check('ambiguous falls back to clarify', clarified.route.capability === 'conversation_clarify'
+    && clarified.route.clarifyReason === 'low_confidence');
+  check('clarify has its own text', /say a bit more/.test(buildConversationClarifyText(clarified.route)));
+
+  const runnerUp = await classify(UPCOMING_MSG, reply('financial_forecast'), { threshold: 0.8 });
+  check('contested route takes runner-up', runnerUp.route.capability === 'financial_forecast'
+    && runnerUp.route.runnerUps.every((r) => r.capability !== 'financial_forecast'));
+  const outside = await classify(UPCOMING_MSG, reply('goal_write'), { threshold: 0.8 });
+  check('contested route rejects unmatched capability', outside.route.capability === 'cashflow_upcoming'
+    && outside.telemetry.route_classifier_status === ROUTE_CLASSIFIER_STATUS.REJECTED);
+  const stateful = await classify(UNKNOWN_MSG, reply('confirmation'));
+  check('stateful capability rejected', stateful.route.capability === 'unknown'
+    && stateful.telemetry.route_classifier_status === ROUTE_CLASSIFIER_STATUS.REJECTED);
+
+  const thrown = await classify(UNKNOWN_MSG, new Error('timeout of 4000ms exceeded'));
+  check('call failure fails open', thrown.route.capability === 'unknown'
+    && thrown.telemetry.route_classifier_status === ROUTE_CLASSIFIER_STATUS.FAILED);
+  const garbage = await classify(UNKNOWN_MSG, { choices: [{ message: { content: 'cashflow_upcoming' } }] });
+  check('non-JSON reply fails open', garbage.route.capability === 'unknown'
+    && garbage.telemetry.route_classifier_status === ROUTE_CLASSIFIER_STATUS.FAILED);
+  check('off-enum answer is null', parseClassifierAnswer(reply('general_chat')) === null);
+
+  const disabled = await classify(UNKNOWN_MSG, reply('cashflow_upcoming'), { deployment: null });
+  check('no LIGHT deployment → no call', disabled.calls.length === 0
+    && disabled.telemetry.route_classifier_status === ROUTE_CLASSIFIER_STATUS.DISABLED);
+  const confident = await classify(LOOKUP_MSG, reply('cashflow_upcoming'));
+  check('confident route → no call', confident.calls.length === 0
+    && confident.telemetry.route_classifier_status === ROUTE_CLASSIFIER_STATUS.NOT_NEEDED);
+
+  section('kea_chat_turn telemetry');
+  const tel = createKeaTelemetry({ requestId: 'route-cls-1' });
+  tel.recordRouting(rerouted.telemetry);
+  const payload = tel.toPayload();
+  check('payload decision source', payload.route_decision_source === 'classifier');
+  check('payload classifier status', payload.route_classifier_status === 'rerouted');
+  check('payload score', payload.route_confidence_score === 0);
+  const rulesOnly = createKeaTelemetry({ requestId: 'route-cls-2' });
+  rulesOnly.recordRouting(confident.telemetry);
+  const p2 = rulesOnly.toPayload();
+  check('rules source recorded', p2.route_decision_source === 'rules' && p2.route_confidence_score === 0.9);
+  const junk = sanitizeRouteTelemetry({
+    route_decision_source: 'vibes',
+    route_confidence_score: 4,
+    route_runner_up_count: -1,
+    route_classifier_status: 'Total is $5',
+  });
+  check('junk source dropped', junk.route_decision_source === null);
+  check('junk score dropped', junk.route_confidence_score === null);
+  check('junk count dropped', junk.route_runner_up_count === 0);
+  check('junk status dropped', junk.route_classifier_status === ROUTE_CLASSIFIER_STATUS.NOT_NEEDED);
+}
+
+module.exports = { run };
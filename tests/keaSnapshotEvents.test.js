@@ -0,0 +1,154 @@
+'use strict';
+
+const { check, section } = require('./harness');
+const { createMemoryRedis } = require('./golden/standIns');
+const { selectedAccountToolCacheKey } = require('../services/keaAccountCache');
+const { normalizeEvent, applySnapshotEvents, SnapshotEventError } = require('../services/keaSnapshotEvents');
+const { signWebhookPayload, requireWebhookSignature } = require('../middleware/webhookSignature');
+
+const SECRET = 'webhook-test-secret';
+const NOW_MS = Date.parse('2026-10-19T12:00:00Z');
+const NOW_S = Math.floor(NOW_MS / 1000);
+
+function compact(accountid) {
+  return { _keaCompact: true, schemaVersion: 1, accountid, balance: 900, available: 850 };
+}
+
+function gate(headers, rawBody) {
+  const res = { statusCode: 200, body: null, passed: false };
+  res.status = (code) => { res.statusCode = code; return res; };
+  res.json = (payload) => { res.body = payload; return res; };
+  requireWebhookSignature({ secret: SECRET, now: () => NOW_MS })(
+    { id: 'wh-1', headers, rawBody: rawBody == null ? undefined : Buffer.from(rawBody) },
+    res,
+    () => { res.passed = true; },
+  );
+  return res;
+}
+
+// Captures the kea_snapshot_invalidated lines invalidation logs.
+async function withTelemetry(fn) {
+  const events = [];
+  const original = console.log;
+  console.log = (line, ...rest) => {
+    try {
+      const parsed = JSON.parse(line);
+      if (parsed && parsed.event === 'kea_snapshot_invalidated') {
+        events.push(parsed);
+        return;
+      }
+    } catch (e) { /* not a telemetry line */ }
+    original(line, ...rest);
+  };
+  try {
+    await fn();
+  } finally {
+    console.log = original;
+  }
+  return events;
+}
+
+async function run() {
+  section('Webhook signature');
+  const body = JSON.stringify({ events: [] });
+  const signed = { 'x-kea-timestamp': String(NOW_S), 'x-kea-signature': signWebhookPayload(body, NOW_S, SECRET) };
+  check('valid signature passes', gate(signed, body).passed);
+  const tampered = gate(signed, body.replace('[]', '[{}]'));
+  check('tampered body rejected', !tampered.passed && tampered.statusCode === 401 && tampered.body.code === 'WEBHOOK_SIGNATURE_INVALID');
+  const old = String(NOW_S - 301);
+  const stale = gate({ 'x-kea-timestamp': old, 'x-kea-signature': signWebhookPayload(body, old, SECRET) }, body);
+  check('stale timestamp rejected', stale.statusCode === 401 && stale.body.code === 'WEBHOOK_TIMESTAMP_STALE');
+  check('missing headers rejected', gate({}, body).body.code === 'WEBHOOK_SIGNATURE_MISSING');
+  const wrongKey = gate({ ...signed, 'x-kea-signature': signWebhookPayload(body, NOW_S, 'other') }, body);
+  check('other secret rejected', wrongKey.body.code === 'WEBHOOK_SIGNATURE_INVALID');
+
+  section('Event validation');
+  const bad = (event, code) => {
+    try {
+      normalizeEvent(event);
+      return false;
+    } catch (err) {
+      return err instanceof SnapshotEventError && err.code === code;
+    }
+  };
+  check('unknown type rejected', bad({ id: 'e', type: 'calendar.reloaded', accountId: 1, userId: 7 }, 'EVENT_TYPE_UNKNOWN'));
+  check('viewer required', bad({ id: 'e', type: 'goal.changed', accountId: 1 }, 'EVENT_USERS_INVALID'));
+  const viewers = normalizeEvent({ id: 'e', type: 'goal.changed', accountId: 22, userIds: [7, '8', 7] });
+  check('viewers deduped', viewers.userIds.join() === '7,8' && viewers.reason === 'webhook_goal_changed');
+
+  section('Invalidation');
+  const redis = createMemoryRedis();
+  await redis.set(selectedAccountToolCacheKey(7, 22), JSON.stringify(compact(22)), 'EX', 300);
+  await redis.set(selectedAccountToolCacheKey(8, 22), JSON.stringify(compact(22)), 'EX', 300);
+  await redis.set(selectedAccountToolCacheKey(7, 23), JSON.stringify(compact(23)), 'EX', 300);
+  let results;
+  const telemetry = await withTelemetry(async () => {
+    results = await applySnapshotEvents({
+      events: [
+        { id: 'evt-1', type: 'transaction.updated', accountId: 22, userIds: [7, 8] },
+        { id: 'evt-2', type: 'bogus', accountId: 22, userId: 7 },
+      ],
+    }, { redis, requestId: 'req-wh' });
+  });
+  check('every viewer key deleted', !(await redis.get(selectedAccountToolCacheKey(7, 22))) && !(await redis.get(selectedAccountToolCacheKey(8, 22))));
+  check('other accounts untouched', !!(await redis.get(selectedAccountToolCacheKey(7, 23))));
+  check('per-event results', results[0].status === 'applied' && results[0].invalidated === 2
+    && results[1].status === 'rejected' && results[1].code === 'EVENT_TYPE_UNKNOWN');
+  check('telemetry carries the precise reason', telemetry.length === 2
+    && telemetry.every((t) => t.reason === 'webhook_transaction_updated' && t.requestId === 'req-wh' && t.userKey && t.userKey !== '7'));
+  const retry = await withTelemetry(async () => {
+    results = await applySnapshotEvents({ id: 'evt-1', type: 'transaction.updated', accountId: 22, userId: 7 }, { redis });
+  });
+  check('retried event id is a no-op', results[0].status === 'duplicate' && retry.length === 0);
+
+  section('Re-warm');
+  await withTelemetry(async () => {
+    results = await applySnapshotEvents({ events: [
+      { id: 'evt-3', type: 'provider_sync.finished', accountId: 23, userId: 7, snapshot: { ...compact(23), balance: 1200 } },
+      { id: 'evt-4', type: 'goal.changed', accountId: 22, userId: 7, snapshot: compact(99) },
+    ] }, { redis });
+  });
+  const warmed = JSON.parse(await redis.get(selectedAccountToolCacheKey(7, 23)));
+  check('fresh snapshot cached after invalidation', results[0].rewarmed === 1 && warmed.balance === 1200
+    && (await redis.ttl(selectedAccountToolCacheKey(7, 23))) > 0);
+  check('snapshot for another account not cached', results[1].rewarmed === 0 && results[1].rewarmSkipped === 'snapshot_not_authoritative'
+    && !(await redis.get(selectedAccountToolCacheKey(7, 22))));
+  await redis.set(selectedAccountToolCacheKey(7, 24), JSON.stringify(compact(24)), 'EX', 300);
+  await redis.set(selectedAccountToolCacheKey(8, 24), JSON.stringify(compact(24)), 'EX', 300);
+  await withTelemetry(async () => {
+    results = await applySnapshotEvents({
+      id: 'evt-5', type: 'transaction.created', accountId: 24, userIds: [7, 8], snapshot: compact(24),
+    }, { redis });
+  });
+  check('shared account with several viewers only invalidated', results[0].status === 'applied'
+    && results[0].invalidated === 2 && results[0].rewarmed === 0 && results[0].rewarmSkipped === 'multiple_viewers'
+    && !(await redis.get(selectedAccountToolCacheKey(7, 24))) && !(await redis.get(selectedAccountToolCacheKey(8, 24))));
+
+  section('Failed events');
+  let delFails = true;
+  const flaky = Object.create(redis);
+  flaky.del = async (key) => {
+    if (delFails && key === selectedAccountToolCacheKey(8, 23)) throw new Error('redis timeout');
+    return redis.del(key);
+  };
+  const failedEvent = { id: 'evt-6', type: 'transaction.deleted', accountId: 23, userIds: [7, 8] };
+  await withTelemetry(async () => {
+    results = await applySnapshotEvents(failedEvent, { redis: flaky });
+  });
+  check('failed invalidation reported', results[0].status === 'failed' && results[0].invalidated === 1);
+  delFails = false;
+  await withTelemetry(async () => {
+    results = await applySnapshotEvents(failedEvent, { redis: flaky });
+  });
+  check('retry of a failed event is applied, not a duplicate', results[0].status === 'applied' && results[0].invalidated === 2);
+
+  let empty = null;
+  try {
+    await applySnapshotEvents({ events: [] }, { redis });
+  } catch (err) {
+    empty = err.code;
+  }
+  check('empty batch rejected', empty === 'EVENTS_INVALID');
+}
+
+module.exports = { run };
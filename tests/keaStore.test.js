@@ -0,0 +1,148 @@
+'use strict';
+
+const { check, section } = require('./harness');
+const { createMemoryStore, defineLocalScript } = require('../services/memoryStore');
+const { createResilientStore } = require('../services/keaStore');
+const { createLimiter } = require('../middleware/rateLimit.redis');
+
+// ioredis-shaped primary whose connection can be dropped and restored.
+function flakyPrimary() {
+  const data = createMemoryStore();
+  const primary = { status: 'ready', calls: 0, listeners: {} };
+  primary.on = (event, fn) => { primary.listeners[event] = fn; return primary; };
+  for (const command of ['get', 'set', 'del', 'incr', 'ping']) {
+    primary[command] = async (...args) => {
+      primary.calls += 1;
+      if (primary.failWith) throw primary.failWith;
+      return data[command](...args);
+    };
+  }
+  return primary;
+}
+
+async function withTelemetry(fn) {
+  const events = [];
+  const original = console.log;
+  console.log = (line, ...rest) => {
+    try {
+      const parsed = JSON.parse(line);
+      if (parsed && parsed.event === 'kea_store_mode_changed') {
+        events.push(parsed);
+        return;
+      }
+    } catch (e) { /* not a telemetry line */ }
+    original(line, ...rest);
+  };
+  try {
+    await fn();
+  } finally {
+    console.log = original;
+  }
+  return events;
+}
+
+async function run() {
+  section('In-memory store');
+  let clock = Date.parse('2026-10-19T12:00:00Z');
+  const mem = createMemoryStore({ maxKeys: 3, now: () => clock });
+  await mem.set('a', 1, 'EX', 10);
+  check('NX refuses an existing key', (await mem.set('a', 2, 'NX')) === null && (await mem.get('a')) === '1');
+  check('NX/EX in either order', (await mem.set('b', 'x', 'NX', 'EX', 5)) === 'OK' && (await mem.ttl('b')) === 5);
+  clock += 6000;
+  check('expired keys read as missing', (await mem.get('b')) === null && (await mem.ttl('b')) === -2);
+  await mem.set('c', 3);
+  await mem.set('d', 4);
+  await mem.get('a');
+  await mem.set('e', 5);
+  check('least recently used key evicted past maxKeys', mem.size === 3 && (await mem.get('c')) === null
+    && (await mem.get('a')) === '1' && mem.evictions === 1);
+  check('counters and hashes', (await mem.incr('n')) === 1 && (await mem.incrby('n', 4)) === 5
+    && (await mem.hincrby('h', 'f', 2)) === 2 && (await mem.hgetall('h')).f === '2');
+  let wrongType = null;
+  try {
+    await mem.get('h');
+  } catch (err) {
+    wrongType = err.name;
+  }
+  check('wrong type is a ReplyError', wrongType === 'ReplyError');
+  const swap = defineLocalScript("return redis.call('GETSET', KEYS[1], ARGV[1])", (ops, [key], [value]) => {
+    const prev = ops.get(key);
+    ops.set(key, value, 30);
+    return prev;
+  });
+  check('EVAL runs the registered twin', (await mem.eval(swap, 1, 'a', 'z')) === '1' && (await mem.get('a')) === 'z'
+    && (await mem.ttl('a')) === 30);
+  let noScript = null;
+  try {
+    await mem.eval('return 1', 0);
+  } catch (err) {
+    noScript = err.name;
+  }
+  check('EVAL of an unregistered script is a ReplyError', noScript === 'ReplyError');
+
+  section('Redis primary, memory fallback');
+  const primary = flakyPrimary();
+  const store = createResilientStore({ primary, fallback: createMemoryStore(), retryAfterMs: 1000, now: () => clock });
+  await store.set('dialogue:7', 'from-redis');
+  check('healthy store uses Redis', store.mode === 'redis' && (await store.get('dialogue:7')) === 'from-redis' && !store.health().degraded);
+
+  let events = await withTelemetry(async () => {
+    primary.failWith = Object.assign(new Error('connect ECONNREFUSED'), { code: 'ECONNREFUSED' });
+    await store.set('dialogue:7', 'during-outage');
+  });
+  check('connection error fails over instead of throwing', store.mode === 'memory'
+    && (await store.get('dialogue:7')) === 'during-outage');
+  const health = store.health();
+  check('health reports the degraded mode', health.degraded && health.mode === 'memory'
+    && health.lastError === 'ECONNREFUSED' && health.failovers === 1 && health.fallback.keys === 1);
+  check('mode change logged once', events.length === 1 && events[0].to === 'memory');
+  const callsWhileDegraded = primary.calls;
+  await store.get('dialogue:7');
+  check('Redis not retried before retryAfterMs', primary.calls === callsWhileDegraded);
+
+  primary.status = 'reconnecting';
+  clock += 2000;
+  await store.get('dialogue:7');
+  check('not-ready client skipped without a command', primary.calls === callsWhileDegraded);
+
+  events = await withTelemetry(async () => {
+    primary.status = 'ready';
+    primary.failWith = null;
+    clock += 2000;
+    await store.get('dialogue:7');
+  });
+  check('recovers once Redis answers', store.mode === 'redis' && events.length === 1 && events[0].to === 'redis');
+  check('fallback cleared on recovery', store.fallback.size === 0 && (await store.get('dialogue:7')) === 'from-redis');
+
+  const reply = Object.assign(new Error('WRONGTYPE'), { name: 'ReplyError' });
+  primary.failWith = reply;
+  let thrown = null;
+  try {
+    await store.get('x');
+  } catch (err) {
+    thrown = err;
+  }
+  check('Redis reply errors still surface', thrown === reply && store.mode === 'redis');
+
+  const memoryOnly = createResilientStore({ primary: null });
+  await memoryOnly.set('k', 'v', 'EX', 30);
+  check('memory-only mode (KEA_STORE=memory)', memoryOnly.mode === 'memory' && (await memoryOnly.get('k')) === 'v'
+    && memoryOnly.health().degraded === false && memoryOnly.health().primary.configured === false);
+
+  section('Rate limiter fallback');
+  const down = { status: 'reconnecting', on: () => down };
+  const limiter = createLimiter({ keyPrefix: 'rl_test', points: 2, duration: 60, storeClient: down });
+  await limiter.consume('1.2.3.4');
+  await limiter.consume('1.2.3.4');
+  let rejected = null;
+  try {
+    await limiter.consume('1.2.3.4');
+  } catch (rej) {
+    rejected = rej;
+  }
+  check('Redis down → in-memory limiter still counts', rejected && typeof rejected.msBeforeNext === 'number');
+  const plain = createLimiter({ keyPrefix: 'rl_test_mem', points: 1, duration: 60, storeClient: null });
+  check('no Redis client → memory limiter', plain.constructor.name === 'RateLimiterMemory');
+}
+
+module.exports = { run };
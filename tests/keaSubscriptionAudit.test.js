@@ -0,0 +1,344 @@
+'use strict';
+
+const { check, section } = require('./harness');
+const {
+  SUBSCRIPTIONS_ROUTE,
+  auditStreams,
+  buildStaleForecastOffer,
+  maybeSetStaleForecastOffer,
+  resolveStaleForecastAcceptance,
+  deriveSeriesRemovalOperation,
+  applyStaleForecastLifecycle,
+  buildSeriesRemovalProposalText,
+  buildStaleForecastClarifyText,
+  subscriptionsUiAction,
+} = require('../services/keaSubscriptionAudit');
+const {
+  isSubscriptionAuditQuestion,
+  parseAuditSubject,
+  shouldSkipAzureForRoute,
+  buildDeterministicAffirmativeText,
+} = require('../services/keaCapabilityRouter');
+const {
+  TODAY,
+  T,
+  route,
+  macroPrefetch,
+  pagesOf,
+  stagedOp,
+  resolveGroundingPolicy,
+  buildEvidenceSystemSection,
+  buildEvidenceLedger,
+  toPromptEvidence,
+  buildMacroFallbackText,
+} = require('./macroHelpers');
+
+function stream(label, category, amount, nextDate, frequency = 30) {
+  return {
+    label,
+    category,
+    frequency,
+    frequencyLabel: 'Monthly',
+    amount,
+    monthlyEquivalent: amount,
+    nextDate,
+  };
+}
+
+const STREAMS = [
+  stream('Netflix', 'Entertainment', 17.99, '2026-11-05'),
+  stream('Hulu', 'Entertainment', 7.99, '2026-10-28'),
+  stream('Spotify', 'Entertainment', 10.99, '2026-11-10'),
+  stream('Rent', 'Housing', 1400, '2026-11-01'),
+];
+
+function recurringResult(expenses = STREAMS) {
+  return {
+    status: 'ok',
+    accountScope: 'selected_account',
+    recurringDefinition: 'kea_scheduled_series',
+    sourceKinds: ['kea_scheduled_series'],
+    expenses,
+    income: [],
+    totals: {},
+    observations: [],
+  };
+}
+
+function posted(id, name, amount, start) {
+  return { transactionid: id, name, amount: -amount, forecast_type: 'A', start };
+}
+
+// Netflix steps 15.49 → 17.99 in September; Hulu last posted in July but is
+// still scheduled; Spotify and Rent charge steadily.
+const HISTORY = [
+  posted(1, 'Netflix', 15.49, '2026-07-05'),
+  posted(2, 'Netflix', 15.49, '2026-08-05'),
+  posted(3, 'NETFLIX.COM', 17.99, '2026-09-05'),
+  posted(4, 'NETFLIX.COM', 17.99, '2026-10-05'),
+  posted(5, 'Hulu', 7.99, '2026-06-28'),
+  posted(6, 'Hulu', 7.99, '2026-07-28'),
+  posted(7, 'Spotify', 10.99, '2026-08-10'),
+  posted(8, 'Spotify', 10.99, '2026-09-10'),
+  posted(9, 'Spotify', 10.99, '2026-10-10'),
+  posted(10, 'Rent', 1400, '2026-09-01'),
+  posted(11, 'Rent', 1400, '2026-10-01'),
+];
+const FORECAST = [
+  { transactionid: 20, name: 'Hulu', amount: -7.99, forecast_type: 'F', groupid: 'g-hulu', start: '2026-10-28' },
+  { transactionid: 21, name: 'Hulu', amount: -7.99, forecast_type: 'F', groupid: 'g-hulu', start: '2026-11-28' },
+  { transactionid: 22, name: 'Netflix', amount: -17.99, forecast_type: 'F', groupid: 'g-netflix', start: '2026-11-05' },
+];
+const ROWS = HISTORY.concat(FORECAST);
+
+function auditPrefetch(message, { rows = ROWS, fetchPage, streams } = {}) {
+  return macroPrefetch(message, {
+    fetchPage: fetchPage || pagesOf(rows),
+    fetchRecurringAnalysis: async () => recurringResult(streams),
+  });
+}
+
+async function run() {
+  section('Subscription audit — routing');
+  check('audit phrasing detected', isSubscriptionAuditQuestion('audit my subscriptions')
+    && isSubscriptionAuditQuestion('which subscriptions should i cancel?')
+    && isSubscriptionAuditQuestion('did any of my subscriptions go up in price?'));
+  check('plain list is not an audit', !isSubscriptionAuditQuestion('what subscriptions do i have?'));
+  const audit = route('Audit my subscriptions');
+  check('audit routes to cashflow_recurring audit mode', audit.capability === 'cashflow_recurring'
+    && audit.slots.recurringMode === 'audit' && audit.slots.metricScope === 'expense');
+  check('generic audit has no subject', audit.slots.subjectKind == null);
+  const named = route('Did Netflix raise its price?');
+  check('named audit carries the merchant', named.slots.recurringMode === 'audit'
+    && named.slots.subjectKind === 'merchant' && /netflix/i.test(named.slots.subjectValue));
+  check('parseAuditSubject ignores generic words', parseAuditSubject('audit my subscriptions') === null);
+  check('cancel question keeps its own slot', route('Should I cancel Hulu?').slots.recurringMode !== 'audit');
+  check('audit policy uses the recurring macro', resolveGroundingPolicy(audit, { message: 'Audit my subscriptions' })
+    .prefetchKind === 'cashflow_recurring_macro');
+
+  section('Subscription audit — detection');
+  const history = { start: '2026-04-23', end: TODAY };
+  const audited = auditStreams({ streams: STREAMS, historyRows: HISTORY, history, currentDate: TODAY });
+  const netflix = audited.priceIncreases[0];
+  check('price step found', audited.priceIncreases.length === 1 && netflix.label === 'Netflix'
+    && netflix.previousAmount === 15.49 && netflix.currentAmount === 17.99 && netflix.increase === 2.5);
+  check('change dated at the first higher charge', netflix.changeDate === '2026-09-05' && netflix.previousDate === '2026-08-05');
+  check('percent increase rounded to a tenth', netflix.percentIncrease === 16.1);
+  const hulu = audited.staleForecasts[0];
+  check('stale forecast found', audited.staleForecasts.length === 1 && hulu.label === 'Hulu'
+    && hulu.lastPostedDate === '2026-07-28' && hulu.daysSinceLastCharge === 83 && hulu.nextDate === '2026-10-28');
+  check('stale stream is not a candidate', !audited.cancellationCandidates.some((c) => c.label === 'Hulu'));
+  check('essential stream skipped', !audited.cancellationCandidates.some((c) => c.label === 'Rent')
+    && !audited.priceIncreases.some((c) => c.label === 'Rent'));
+  check('candidates ranked by annualized cost', audited.cancellationCandidates.map((c) => c.label).join() === 'Netflix,Spotify'
+    && audited.cancellationCandidates[0].annualizedCost === 215.88 && audited.cancellationCandidates[0].priceIncreased === true);
+  check('totals summed', audited.totals.candidateAnnualizedCost === 347.76 && audited.totals.staleAnnualizedCost === 95.88);
+
+  const noisy = auditStreams({
+    streams: [stream('Gym', 'Fitness', 30, '2026-11-01')],
+    historyRows: [posted(1, 'Gym', 25, '2026-08-01'), posted(2, 'Gym', 32, '2026-09-01'), posted(3, 'Gym', 30, '2026-10-01')],
+    history,
+    currentDate: TODAY,
+  });
+  check('noisy amounts are not a price step', noisy.priceIncreases.length === 0);
+  const tiny = auditStreams({
+    streams: [stream('Cloud', 'Software', 2.29, '2026-11-01')],
+    historyRows: [posted(1, 'Cloud', 1.99, '2026-08-01'), posted(2, 'Cloud', 2.29, '2026-09-01'), posted(3, 'Cloud', 2.29, '2026-10-01')],
+    history,
+    currentDate: TODAY,
+  });
+  check('sub-$0.50 step ignored', tiny.priceIncreases.length === 0);
+  const neverPosted = auditStreams({
+    streams: [stream('New App', 'Software', 9.99, '2026-11-01')],
+    historyRows: [],
+    history,
+    currentDate: TODAY,
+  });
+  check('never-posted stream is not stale', neverPosted.staleForecasts.length === 0
+    && neverPosted.cancellationCandidates.length === 1);
+
+  section('Subscription audit — prefetch');
+  const ev = await auditPrefetch('Audit my subscriptions');
+  check('audit evidence source', ev.status === 'ok' && ev.source[0] === 'cashflow_subscription_audit'
+    && ev.facts.recurringMode === 'audit');
+  check('history period is 180 days', ev.facts.historyPeriod.start === '2026-04-23' && ev.facts.historyPeriod.end === TODAY);
+  check('stale target resolved from the forecast', ev.staleForecastTargets.length === 1
+    && ev.staleForecastTargets[0].groupid === 'g-hulu' && ev.staleForecastTargets[0].frequency === 30);
+  check('group ids stay off the facts', !/g-hulu/.test(JSON.stringify(ev.facts)) && !('stream' in ev.facts.staleForecasts[0]));
+  check('heuristic + cancel limitations', ev.limitations.includes('subscription_audit_heuristic')
+    && ev.limitations.includes('recurring_cancel_unsupported'));
+  check('observations counted', ev.observations.some((o) => o.code === 'price_increases_found' && o.count === 1)
+    && ev.observations.some((o) => o.code === 'stale_forecasts_found' && o.count === 1));
+
+  const namedEv = await auditPrefetch('Did Netflix raise its price?');
+  check('named audit narrows to one stream', namedEv.facts.auditedStreamCount === 1
+    && namedEv.facts.priceIncreases.length === 1 && namedEv.facts.staleForecasts.length === 0);
+  const unmatched = await auditPrefetch('Did Disney Plus raise its price?');
+  check('unknown subscription → unmatched', unmatched.status !== 'ok'
+    && unmatched.limitations.includes('recurring_item_unmatched'));
+
+  const ambiguous = await auditPrefetch('Audit my subscriptions', {
+    rows: ROWS.concat([{ transactionid: 30, name: 'Hulu Live', amount: -7.99, forecast_type: 'F', groupid: 'g-hulu-2', start: '2026-11-02' }]),
+  });
+  check('ambiguous series → no offer target', ambiguous.facts.staleForecasts.length === 1
+    && ambiguous.staleForecastTargets.length === 0);
+
+  const partial = await auditPrefetch('Audit my subscriptions', {
+    fetchPage: async ({ startDate, endDate }) => ({ transactions: ROWS.filter((t) => t.start >= startDate && t.start <= endDate) }),
+  });
+  check('unverifiable paging → partial, no findings claimed', partial.status === 'partial'
+    && partial.limitations.includes('subscription_history_partial')
+    && partial.facts.priceIncreases.length === 0 && partial.facts.staleForecasts.length === 0);
+
+  const denied = await macroPrefetch('Audit my subscriptions', {
+    routed: audit,
+    assertFn: async () => { const err = new Error('no'); err.code = 'ACCESS_DENIED'; throw err; },
+    fetchPage: pagesOf(ROWS),
+    fetchRecurringAnalysis: async () => recurringResult(),
+  });
+  check('access denied → access_unverified', denied.status !== 'ok' && denied.limitations.includes('access_unverified'));
+
+  section('Subscription audit — ledger + prompt');
+  const ledger = buildEvidenceLedger({ evidence: ev, route: audit, accountContext: { accountId: 22 } });
+  check('ledger builds under cashflow_recurring', ledger.ok && ledger.ledger.capability === 'cashflow_recurring'
+    && ledger.ledger.source.kind === 'cashflow_subscription_audit');
+  const claimPaths = ledger.ledger.claims.map((c) => c.path);
+  check('price, stale and candidate rows are claims', claimPaths.includes('facts.priceIncreases[0].increase')
+    && claimPaths.includes('facts.staleForecasts[0].lastPostedDate')
+    && claimPaths.includes('facts.cancellationCandidates[0].annualizedCost'));
+  check('removal offer allowed', ledger.ledger.allowedNarration.some((n) => n.code === 'offer_stale_forecast_removal'));
+  const prompt = toPromptEvidence(ledger.ledger, { responseMode: 'audit' });
+  check('prompt keeps the audit lists', prompt.ok && prompt.promptable
+    && prompt.promptEvidence.facts.priceIncreases.length === 1
+    && prompt.promptEvidence.facts.staleForecasts.length === 1);
+  check('audit limitations mapped', prompt.promptEvidence.limitations.some((t) => /matching scheduled series/.test(t))
+    && prompt.promptEvidence.limitations.some((t) => /cannot cancel a service/.test(t)));
+
+  const section1 = buildEvidenceSystemSection(ev);
+  check('system section carries the audit rules', /subscription audit/i.test(section1)
+    && /remove the scheduled/.test(section1) && !/g-hulu/.test(section1));
+  const fallback = buildMacroFallbackText(ev);
+  check('fallback lists findings and offers removal', /Netflix went from/.test(fallback)
+    && /Hulu is still scheduled/.test(fallback)
+    && /Want me to remove the scheduled Hulu series/.test(fallback));
+
+  section('Subscription audit — removal offer');
+  const ds = T.emptyDialogueState();
+  maybeSetStaleForecastOffer(ds, { accountId: 22, macroOwnsTurn: true, evidence: ev });
+  check('offer remembered for the account', ds.staleForecastOffer && ds.staleForecastOffer.accountId === '22'
+    && ds.staleForecastOffer.targets[0].label === 'Hulu');
+  const noOffer = T.emptyDialogueState();
+  maybeSetStaleForecastOffer(noOffer, { accountId: 22, macroOwnsTurn: false, evidence: ev });
+  check('no offer unless the macro owned the turn', noOffer.staleForecastOffer === null);
+  check('offer needs a target', buildStaleForecastOffer({ ...ev, staleForecastTargets: [] }, { accountId: 22 }) === null);
+
+  const offer = ds.staleForecastOffer;
+  check('"yes" takes the single target', resolveStaleForecastAcceptance(offer, 'yes', { accountId: 22, userAffirmative: true }).target.label === 'Hulu');
+  check('"remove hulu" names it', resolveStaleForecastAcceptance(offer, 'remove hulu', { accountId: 22 }).target.label === 'Hulu');
+  check('"no, keep it" declines', resolveStaleForecastAcceptance(offer, 'no, keep it', { accountId: 22, userAffirmative: false }) === null);
+  check('other account ignores the offer', resolveStaleForecastAcceptance(offer, 'yes', { accountId: 23, userAffirmative: true }) === null);
+  check('unrelated question ignores the offer', resolveStaleForecastAcceptance(offer, 'what is my balance?', { accountId: 22 }) === null);
+  const two = { accountId: '22', targets: [offer.targets[0], { ...offer.targets[0], label: 'Peacock', groupid: 'g-peacock' }] };
+  check('two targets + "yes" → clarify', resolveStaleForecastAcceptance(two, 'yes', { accountId: 22, userAffirmative: true }).clarify === true);
+  check('bare label answers the clarify', resolveStaleForecastAcceptance(two, 'Peacock', { accountId: 22 }).target.label === 'Peacock');
+  check('clarify text lists the targets', buildStaleForecastClarifyText(two) === 'Which one should I remove from your forecast: Hulu or Peacock?');
+
+  const op = deriveSeriesRemovalOperation(offer.targets[0], { accountId: 22 });
+  check('removal is a group delete', op.ok && op.tool === 'deleteTransaction'
+    && op.args.scope === 'group' && op.args.groupid === 'g-hulu');
+  check('no group id → no operation', deriveSeriesRemovalOperation({ label: 'Hulu' }).ok === false);
+
+  const accept = route('yes', { dialogueState: ds, userAffirmative: true });
+  check('acceptance routes to a deterministic write handoff', accept.capability === 'transaction_write'
+    && accept.staleForecastHandoff === true && accept.affirmativeResolution === 'stale_forecast_removal'
+    && shouldSkipAzureForRoute(accept));
+  applyStaleForecastLifecycle(ds, accept, { accountId: 22 });
+  check('removal staged behind the confirmation gate', ds.pendingConfirmation === true
+    && ds.pendingSeriesRemoval && ds.pendingSeriesRemoval.args.groupid === 'g-hulu'
+    && ds.intent === 'remove_stale_series' && ds.staleForecastOffer === null);
+  const proposal = buildDeterministicAffirmativeText(accept, ds, { accountId: 22 });
+  check('proposal names the series and asks to confirm', /remove the scheduled Hulu series/.test(proposal)
+    && /does not cancel the service/.test(proposal) && /Confirm\?$/.test(proposal));
+  check('proposal without a staged removal is honest', /no longer have that forecast/.test(buildSeriesRemovalProposalText(null)));
+  const ui = subscriptionsUiAction({ route: accept, dialogueState: ds });
+  check('proposal opens /subscriptions on the series', ui && ui.type === 'navigate_to' && ui.route === SUBSCRIPTIONS_ROUTE
+    && ui.highlight.label === 'Hulu' && ui.highlight.groupid === 'g-hulu');
+
+  const confirm = route('yes', { dialogueState: ds, userAffirmative: true, pendingWrite: true });
+  check('next "yes" is the confirmation', confirm.capability === 'confirmation');
+  applyStaleForecastLifecycle(ds, confirm, { accountId: 22 });
+  check('confirmation keeps the staged removal', !!ds.pendingSeriesRemoval);
+
+  const dropped = T.emptyDialogueState();
+  dropped.staleForecastOffer = offer;
+  applyStaleForecastLifecycle(dropped, route('what is my balance?', { dialogueState: dropped }), { accountId: 22 });
+  check('topic switch drops the offer', dropped.staleForecastOffer === null);
+  const clarifying = T.emptyDialogueState();
+  clarifying.staleForecastOffer = two;
+  const clarifyRoute = route('yes', { dialogueState: clarifying, userAffirmative: true });
+  applyStaleForecastLifecycle(clarifying, clarifyRoute, { accountId: 22 });
+  check('clarify keeps the offer open', clarifyRoute.affirmativeResolution === 'stale_forecast_clarify'
+    && clarifying.staleForecastOffer === two && clarifying.pendingSeriesRemoval === null);
+
+  check('audit answer opens /subscriptions when asked', subscriptionsUiAction({
+    route: audit, dialogueState: T.emptyDialogueState(), evidence: ev, message: 'show me my subscriptions',
+  }).highlight.label === 'Netflix');
+  check('no navigation unless asked', subscriptionsUiAction({
+    route: audit, dialogueState: T.emptyDialogueState(), evidence: ev, message: 'audit my subscriptions',
+  }) === null);
+
+  section('Subscription audit — commit');
+  const calls = [];
+  const map = {
+    async deleteTransaction(args) {
+      calls.push(args);
+      return { success: true, action: 'delete', scope: 'group', transaction_id: null, group_id: args.groupid };
+    },
+  };
+  const committed = await T.commitPendingSeriesRemoval(ds, { userId: 5, accountId: 22, functionMap: map });
+  check('confirmed removal runs the group delete', calls.length === 1 && calls[0].scope === 'group' && calls[0].groupid === 'g-hulu');
+  check('commit recorded as a write', committed.writeResponseMode === 'series_removal_commit'
+    && committed.writes[0].group_id === 'g-hulu' && committed.writes[0].scope === 'group'
+    && /removed the scheduled Hulu series/.test(committed.content));
+  check('gate cleared after commit', ds.pendingSeriesRemoval === null && ds.pendingConfirmation === false
+    && ds.recentWrites.length === 1 && ds.lastCommitSignature === 'delete|group||g-hulu');
+
+  ds.pendingSeriesRemoval = stagedOp(op);
+  const duplicate = await T.commitPendingSeriesRemoval(ds, { userId: 5, accountId: 22, functionMap: map });
+  check('same series twice → not deleted again', calls.length === 1 && duplicate.writeResponseMode === 'series_removal_duplicate');
+
+  const other = T.emptyDialogueState();
+  other.pendingSeriesRemoval = stagedOp(op);
+  const switched = await T.commitPendingSeriesRemoval(other, { userId: 5, accountId: 23, functionMap: map });
+  check('account switched → nothing runs', calls.length === 1 && switched.writeResponseMode === 'series_removal_stale');
+
+  const failing = T.emptyDialogueState();
+  failing.pendingSeriesRemoval = stagedOp(op);
+  const failed = await T.commitPendingSeriesRemoval(failing, {
+    userId: 5,
+    accountId: 22,
+    functionMap: { async deleteTransaction() { throw new Error('boom'); } },
+  });
+  check('failed delete reported, nothing recorded', failed.writeResponseMode === 'series_removal_failed'
+    && failed.writes.length === 0 && failing.recentWrites.length === 0);
+
+  section('Subscription audit — Simulation Mode');
+  const simulating = T.emptyDialogueState();
+  simulating.pendingSeriesRemoval = stagedOp(op);
+  const refused = await T.commitPendingSeriesRemoval(simulating, {
+    userId: 5, accountId: 22, functionMap: map, simulationMode: true,
+  });
+  check('confirmed removal in simulation mode → nothing deleted', calls.length === 1
+    && refused.writeResponseMode === 'series_removal_simulation_blocked'
+    && refused.blocked[0].reason === 'simulation_mode_active' && /Simulation Mode/.test(refused.content));
+  check('refused removal clears the gate, records nothing', simulating.pendingSeriesRemoval === null
+    && simulating.pendingConfirmation === false && simulating.recentWrites.length === 0);
+  const simStage = T.emptyDialogueState();
+  maybeSetStaleForecastOffer(simStage, { accountId: 22, macroOwnsTurn: true, evidence: ev });
+  const simAccept = route('yes', { dialogueState: simStage, userAffirmative: true });
+  applyStaleForecastLifecycle(simStage, simAccept, { accountId: 22, simulationMode: true });
+  check('simulation mode never stages the removal', simStage.pendingSeriesRemoval === null
+    && simStage.pendingConfirmation === false);
+}
+
+module.exports = { run };
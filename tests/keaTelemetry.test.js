@@ -168,6 +168,9 @@ async function run() {
   tWrite.recordWriteFlags({ write_gate_armed_at_start: true });
   const pWrite = tWrite.toPayload();
   check('write_gate_armed_at_start sets write_proposed alias', pWrite.write_gate_armed_at_start === true && pWrite.write_proposed === true);
+  tWrite.recordWriteFlags({ write_committed: true });
+  tWrite.recordWriteFlags({ write_committed: false, write_blocked: true });
+  check('write_committed stays set once a commit is flagged', tWrite.toPayload().write_committed === true);
 
   section('keaTelemetry post-Azure lifecycle spans (Phase 0.6C)');
   const tPost = createKeaTelemetry({ requestId: 'req-post-azure' });
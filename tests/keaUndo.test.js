@@ -0,0 +1,207 @@
+'use strict';
+
+const { check, section } = require('./harness');
+const {
+  UNDO_KINDS,
+  UNDO_UNAVAILABLE,
+  isUndoUtterance,
+  lastCommittedWrite,
+  deriveUndoOperation,
+  buildUndoProposalText,
+  buildUndoDoneText,
+  undoUnavailableText,
+  executeUndoOperation,
+  claimUndoLock,
+} = require('../services/keaUndo');
+const { createMemoryRedis } = require('./golden/standIns');
+const { routeCapability, applyUndoLifecycle, shouldSkipAzureForRoute, buildDeterministicAffirmativeText } = require('../services/keaCapabilityRouter');
+const { __testables: F } = require('../tools/functionMap');
+const { __testables: T } = require('../controllers/openaiController');
+
+const CREATED = {
+  action: 'create', transaction_id: 9101, group_id: 88, title: 'Costco', amount: -45, type: 'expense',
+  category: 'Groceries', frequency: 2, start: '2026-08-18T00:00:00.000Z', account_id: 50, at: '2026-08-17T10:00:00.000Z',
+};
+const BEFORE = {
+  transactionid: 9102, groupid: 89, title: 'Rent', display_name: 'Rent', description: null, category: 'Housing',
+  type: 'expense', amount: -1200, start: '2026-09-01', end: '2027-09-01', frequency: 30,
+};
+
+function stateWith(...writes) {
+  return { ...T.emptyDialogueState(), recentWrites: writes };
+}
+
+function route(message, dialogueState, extra = {}) {
+  return routeCapability({
+    message,
+    dialogueState,
+    accountId: 50,
+    currentDate: '2026-08-17',
+    userAffirmative: /^yes\b/i.test(message),
+    ...extra,
+  });
+}
+
+async function run() {
+  section('Undo utterances');
+  for (const m of ['undo that', 'Undo', 'undo it please', 'revert the last change', 'take that back', 'can you undo that?']) {
+    check(`"${m}" is undo`, isUndoUtterance(m));
+  }
+  for (const m of ['undo the rent payment from march and add a new one', 'how do I undo a transfer in the app', 'delete that']) {
+    check(`"${m}" is not undo`, !isUndoUtterance(m));
+  }
+
+  section('Deriving the inverse');
+  const del = deriveUndoOperation(CREATED, { accountId: 50 });
+  check('one-time create → delete that transaction', del.ok && del.kind === UNDO_KINDS.DELETE_CREATED
+    && del.tool === 'deleteTransaction' && del.args.transactionid === 9101 && del.args.scope === 'single');
+  const series = deriveUndoOperation({ ...CREATED, frequency: 30 }, { accountId: 50 });
+  check('recurring create → delete the series', series.ok && series.kind === UNDO_KINDS.DELETE_CREATED_SERIES
+    && series.args.scope === 'group' && series.args.groupid === 88);
+  const restore = deriveUndoOperation({ action: 'update', transaction_id: 9102, title: 'Rent', account_id: 50, before: BEFORE }, { accountId: 50 });
+  check('update → restore the before-image', restore.ok && restore.kind === UNDO_KINDS.RESTORE_UPDATED
+    && restore.tool === 'updateTransaction' && restore.args.transactionid === 9102 && restore.args.amount === 1200
+    && restore.args.type === 'expense' && restore.args.frequency === 30 && restore.args.end === '2027-09-01');
+  const recreate = deriveUndoOperation({ action: 'delete', scope: 'single', transaction_id: 9102, account_id: 50, before: BEFORE }, { accountId: 50 });
+  check('single delete → re-add as one-time', recreate.ok && recreate.kind === UNDO_KINDS.RECREATE_DELETED
+    && recreate.tool === 'createTransaction' && recreate.args.frequency === 2 && recreate.args.start === '2026-09-01'
+    && recreate.args.category === 'Housing');
+
+  const reasonOf = (write, accountId = 50) => deriveUndoOperation(write, { accountId }).reason;
+  check('nothing written', reasonOf(null) === UNDO_UNAVAILABLE.NO_RECENT_WRITE);
+  check('undo record is not undone again', reasonOf({ ...CREATED, undo_of: CREATED.at }) === UNDO_UNAVAILABLE.ALREADY_UNDONE);
+  check('goal writes not undoable', reasonOf({ action: 'create_goal', goal_id: 3, account_id: 50 }) === UNDO_UNAVAILABLE.GOAL_WRITE);
+  check('series delete not undoable', reasonOf({ action: 'delete', scope: 'group', group_id: 88, account_id: 50 }) === UNDO_UNAVAILABLE.SERIES_DELETE);
+  check('update without before-image', reasonOf({ action: 'update', transaction_id: 1, account_id: 50 }) === UNDO_UNAVAILABLE.MISSING_BEFORE_IMAGE);
+  check('other account', reasonOf(CREATED, 51) === UNDO_UNAVAILABLE.ACCOUNT_MISMATCH);
+  check('no account anywhere', reasonOf({ ...CREATED, account_id: undefined }, null) === UNDO_UNAVAILABLE.ACCOUNT_UNKNOWN);
+  check('last write wins', lastCommittedWrite(stateWith({ action: 'create', title: 'A' }, CREATED)) === CREATED);
+
+  section('Proposal + done text');
+  const proposal = buildUndoProposalText(del);
+  check('proposal names the write', /deleting Costco/.test(proposal) && /Amount: \$45/.test(proposal) && /August 18, 2026/.test(proposal));
+  check('proposal asks to confirm', /Confirm\?$/.test(proposal));
+  check('restore proposal lists the old values', /restoring Rent/.test(buildUndoProposalText(restore)) && /\$1200/.test(buildUndoProposalText(restore)));
+  check('unavailable text', /already undone/.test(buildUndoProposalText({ ok: false, reason: UNDO_UNAVAILABLE.ALREADY_UNDONE })));
+  check('done text', buildUndoDoneText(del) === 'Undone. I deleted Costco.');
+
+  section('Executing through the tool layer');
+  const calls = [];
+  const map = {
+    async deleteTransaction(args) {
+      calls.push(args);
+      return { action: 'delete', scope: 'single', transaction_id: args.transactionid, group_id: null };
+    },
+  };
+  const record = await executeUndoOperation(del, { userId: 505, accountId: 50 }, { functionMap: map });
+  check('inverse tool called once', calls.length === 1 && calls[0].transactionid === 9101);
+  check('undo record points at the undone write', record.action === 'delete' && record.undo_of === CREATED.at && record.title === 'Costco');
+  let missing = null;
+  try {
+    await executeUndoOperation(recreate, {}, { functionMap: map });
+  } catch (err) {
+    missing = err.message;
+  }
+  check('missing tool throws', /createTransaction/.test(missing || ''));
+
+  section('Before-images');
+  const image = F.transactionBeforeImage({
+    id: 9102, groupid: 89, title: 'Rent', amount: '-1200.00', category: 'Housing', start: '2026-09-01T00:00:00.000Z',
+    frequency: 30, notes: 'not kept',
+  });
+  check('row compacted', image.transactionid === 9102 && image.amount === -1200 && image.start === '2026-09-01' && !('notes' in image));
+  check('type inferred from sign', image.type === 'expense');
+  check('unreadable row → null', F.transactionBeforeImage({}) === null);
+  const seriesImage = await F.fetchSeriesBeforeImage(50, 89, {
+    loadSeries: async (accountId, groupId) => (accountId === 50 && groupId === 89 ? [
+      { id: 9201, groupid: 89, title: 'Gym', amount: '-40', start: '2026-11-01', frequency: 30 },
+      { id: 9202, groupid: 89, title: 'Gym', amount: '-40', start: '2026-12-01', frequency: 30 },
+    ] : []),
+  });
+  check('series image spans the rows', seriesImage.groupid === 89 && seriesImage.transactionid === null
+    && seriesImage.amount === -40 && seriesImage.start === '2026-11-01' && seriesImage.end === '2026-12-01' && seriesImage.occurrences === 2);
+  check('series read failure → null', await F.fetchSeriesBeforeImage(50, 89, {
+    loadSeries: async () => { throw new Error('mysql down'); },
+  }) === null);
+  const goal = F.goalBeforeImage({
+    goalid: 12, title: 'Vacation', target_amount: '3000', accumulated_amount: '450', end_date: '2027-06-01',
+    frequency: '14', contributions: [{ amount: -75 }, { amount: -75 }],
+  });
+  check('goal compacted', goal.goalid === 12 && goal.target_amount === 3000 && goal.accumulated_amount === 450
+    && goal.contribution_count === 2 && !('contributions' in goal));
+  check('unreadable goal → null', F.goalBeforeImage({}) === null);
+
+  section('Routing + lifecycle');
+  const ds = stateWith(CREATED);
+  const r = route('undo that', ds);
+  check('undo routes to a deterministic write handoff', r.capability === 'transaction_write' && r.undoHandoff === true
+    && r.affirmativeResolution === 'undo_write' && shouldSkipAzureForRoute(r));
+  applyUndoLifecycle(ds, r, { accountId: 50 });
+  check('undo staged behind the confirmation gate', ds.pendingConfirmation === true && ds.pendingUndo
+    && ds.pendingUndo.tool === 'deleteTransaction' && ds.pendingUndo.writeAt === CREATED.at && ds.intent === 'undo');
+  check('deterministic text is the proposal', /deleting Costco/.test(buildDeterministicAffirmativeText(r, ds, { accountId: 50 })));
+  const confirm = route('yes', ds, { pendingWrite: true });
+  check('yes confirms the staged undo', confirm.capability === 'confirmation');
+  applyUndoLifecycle(ds, confirm, { accountId: 50 });
+  check('confirmation keeps the staged undo', !!ds.pendingUndo);
+  applyUndoLifecycle(ds, { capability: 'financial_lookup' }, { accountId: 50 });
+  check('topic switch drops the staged undo', ds.pendingUndo === null && ds.pendingConfirmation === false && ds.intent === null);
+  check('pending proposal owns "undo that"', !route('undo that', ds, { pendingWrite: true }).undoHandoff);
+  check('simulation mode never undoes', !route('undo that', ds, { simulationMode: true }).undoHandoff);
+
+  const nothing = stateWith();
+  const r2 = route('undo', nothing);
+  applyUndoLifecycle(nothing, r2, { accountId: 50 });
+  check('nothing to undo → no gate armed', nothing.pendingConfirmation === false && nothing.pendingUndo === null);
+  check('nothing to undo → honest text', /don't see a recent change/.test(buildDeterministicAffirmativeText(r2, nothing, { accountId: 50 })));
+
+  section('Stale confirmation');
+  const stale = stateWith(CREATED, { ...CREATED, transaction_id: 9200, at: '2026-08-17T11:00:00.000Z' });
+  stale.pendingUndo = { kind: del.kind, tool: del.tool, args: del.args, target: del.target, writeAt: CREATED.at };
+  stale.pendingConfirmation = true;
+  const staleResult = await T.commitPendingUndo(stale, { userId: 505, accountId: 50, functionMap: map });
+  check('newer write in between → nothing runs', calls.length === 1 && staleResult.writes.length === 0
+    && staleResult.writeResponseMode === 'undo_stale');
+  check('stale undo cleared', stale.pendingUndo === null && stale.pendingConfirmation === false);
+
+  section('Simulation Mode');
+  const sim = stateWith(CREATED);
+  sim.pendingUndo = { kind: del.kind, tool: del.tool, args: del.args, target: del.target, writeAt: CREATED.at };
+  sim.pendingConfirmation = true;
+  const simResult = await T.commitPendingUndo(sim, { userId: 505, accountId: 50, functionMap: map, simulationMode: true });
+  check('confirmed undo in simulation mode → nothing runs', calls.length === 1 && simResult.writes.length === 0
+    && simResult.writeResponseMode === 'undo_simulation_blocked'
+    && simResult.blocked[0].reason === 'simulation_mode_active' && /Simulation Mode/.test(simResult.content));
+  check('blocked undo is not recorded', sim.recentWrites.length === 1 && sim.pendingUndo === null);
+  const direct = await T.runUndoOperation(stateWith(CREATED), { ok: true, ...del, write: CREATED }, {
+    userId: 505, accountId: 50, functionMap: map, simulationMode: true,
+  });
+  check('runUndoOperation refuses in simulation mode', direct.ok === false && direct.blocked === 'simulation_mode_active'
+    && calls.length === 1);
+
+  section('Undo lock');
+  const store = createMemoryRedis();
+  const held = await claimUndoLock(505, CREATED, { store });
+  check('first undo of a write takes the lock', !!held);
+  check('second undo of the same write is refused', await claimUndoLock(505, CREATED, { store }) === null);
+  const other = await claimUndoLock(505, { ...CREATED, at: '2026-08-17T11:00:00.000Z' }, { store });
+  check('a different write has its own lock', !!other);
+  check('release frees the write', await held.release() === true && !!(await claimUndoLock(505, CREATED, { store })));
+  const lapsed = await claimUndoLock(505, { transaction_id: 77 }, { store });
+  await store.del(`kea:undo:lock:505:77`);
+  const taken = await claimUndoLock(505, { transaction_id: 77 }, { store });
+  check('a lapsed lock never releases its successor', await lapsed.release() === false
+    && await claimUndoLock(505, { transaction_id: 77 }, { store }) === null && await taken.release() === true);
+  const down = { set: async () => { throw new Error('redis down'); } };
+  const prevWarn = console.warn;
+  console.warn = () => {};
+  try {
+    const open = await claimUndoLock(505, CREATED, { store: down });
+    check('store down fails open', !!open && await open.release() === false);
+  } finally {
+    console.warn = prevWarn;
+  }
+  check('in-progress text', /already undoing/.test(undoUnavailableText(UNDO_UNAVAILABLE.IN_PROGRESS)));
+}
+
+module.exports = { run };
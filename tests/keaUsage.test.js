@@ -0,0 +1,159 @@
+'use strict';
+
+const { check, section } = require('./harness');
+const { createMemoryRedis } = require('./golden/standIns');
+const {
+  QUOTA_EXCEEDED_CODE,
+  UNATTRIBUTED_USER_KEY,
+  usagePeriods,
+  usageUserKey,
+  usageTokens,
+  usageCostMicroUsd,
+  recordLlmUsage,
+  getUsage,
+  setUserPlan,
+  checkUsageQuota,
+  topUsageUsers,
+} = require('../services/keaUsage');
+const { usageQuota, requestUsageUserId, ANONYMOUS_USAGE_KEY } = require('../middleware/usageQuota');
+
+const ENV_KEYS = ['KEA_LLM_PRICING', 'KEA_USAGE_PLANS', 'KEA_USAGE_DEFAULT_PLAN'];
+const NOW = new Date('2026-10-19T15:30:00Z');
+
+async function withEnv(vars, fn) {
+  const prev = {};
+  for (const k of ENV_KEYS) {
+    prev[k] = process.env[k];
+    delete process.env[k];
+  }
+  Object.assign(process.env, vars);
+  try {
+    return await fn();
+  } finally {
+    for (const k of ENV_KEYS) {
+      if (prev[k] === undefined) delete process.env[k];
+      else process.env[k] = prev[k];
+    }
+  }
+}
+
+const PRICING = JSON.stringify({ 'gpt-main': { input: 2.5, cached_input: 1.25, output: 10 } });
+const PLANS = JSON.stringify({
+  default: { daily_tokens: 1000, monthly_tokens: 5000 },
+  pro: { monthly_tokens: 100000, monthly_cost_usd: 0.5 },
+});
+
+function usage(prompt, completion, cached = 0) {
+  return { prompt_tokens: prompt, completion_tokens: completion, total_tokens: prompt + completion, prompt_tokens_details: { cached_tokens: cached } };
+}
+
+function mockRes() {
+  const res = { statusCode: 200, headers: {}, body: null };
+  res.set = (k, v) => { res.headers[k] = v; return res; };
+  res.status = (code) => { res.statusCode = code; return res; };
+  res.json = (payload) => { res.body = payload; return res; };
+  return res;
+}
+
+async function run() {
+  section('Usage periods + cost');
+  const periods = usagePeriods(NOW);
+  check('UTC day + month ids', periods.day === '2026-10-19' && periods.month === '2026-10');
+  check('day resets at next UTC midnight', periods.dayResetAt === '2026-10-20T00:00:00.000Z');
+  check('month resets on the 1st', periods.monthResetAt === '2026-11-01T00:00:00.000Z');
+  check('December rolls the year', usagePeriods(new Date('2026-12-31T23:00:00Z')).monthResetAt === '2027-01-01T00:00:00.000Z');
+  const tokens = usageTokens(usage(1000, 200, 400));
+  check('tokens from normalized usage', tokens.input === 1000 && tokens.cached === 400 && tokens.output === 200 && tokens.total === 1200);
+  await withEnv({ KEA_LLM_PRICING: PRICING }, async () => {
+    // 600 * 2.5 + 400 * 1.25 + 200 * 10 = 4000 micro-USD
+    check('cost priced per model', usageCostMicroUsd(tokens, 'gpt-main') === 4000);
+    check('unpriced model costs 0', usageCostMicroUsd(tokens, 'other') === 0);
+  });
+  check('user key is hashed', usageUserKey(42) !== '42' && usageUserKey(42).length === 16);
+  check('no user → unattributed', usageUserKey(null) === UNATTRIBUTED_USER_KEY);
+
+  section('Recording');
+  await withEnv({ KEA_LLM_PRICING: PRICING }, async () => {
+    const store = createMemoryRedis();
+    check('records a call', await recordLlmUsage({ userId: 42, callSite: 'chat', usage: usage(1000, 200, 400), model: 'gpt-main', now: NOW }, { store }));
+    await recordLlmUsage({ userId: 42, callSite: 'auto_categorize', usage: usage(300, 10), model: 'gpt-main', now: NOW }, { store });
+    await recordLlmUsage({ userId: 7, callSite: 'chat', usage: usage(50, 5), model: 'gpt-main', now: NOW }, { store });
+    check('zero-token usage skipped', !(await recordLlmUsage({ userId: 42, usage: {}, now: NOW }, { store })));
+    const u = await getUsage(42, { store, now: NOW });
+    check('day totals', u.day.calls === 2 && u.day.total_tokens === 1510 && u.day.input_tokens === 1300);
+    check('month totals match', u.month.total_tokens === 1510 && u.month.output_tokens === 210);
+    check('per call-site tokens', u.month.by_call_site.chat === 1200 && u.month.by_call_site.auto_categorize === 310);
+    check('cost accumulated', u.month.cost_micro_usd === 4000 + 300 * 2.5 + 10 * 10 && u.month.cost_usd === 0.00485);
+    check('default plan without assignment', u.plan === 'default' && u.limits === null);
+    const raw = Array.from(store.store.keys());
+    check('keys carry no raw user id', raw.every((k) => !/:42:/.test(k)));
+    check('day key expires', (await store.ttl(raw.find((k) => /:d:2026-10-19$/.test(k)))) > 0);
+    const top = await topUsageUsers('2026-10', 5, { store });
+    check('top users ranked by tokens', top.length === 2 && top[0].userKey === usageUserKey(42) && top[0].total_tokens === 1510);
+    const broken = { hincrby: async () => { throw new Error('redis down'); }, expire: async () => 1, zincrby: async () => 1 };
+    check('recording is fail-soft', (await recordLlmUsage({ userId: 1, usage: usage(1, 1), now: NOW }, { store: broken })) === false);
+  });
+
+  section('Quotas');
+  await withEnv({ KEA_LLM_PRICING: PRICING, KEA_USAGE_PLANS: PLANS }, async () => {
+    const store = createMemoryRedis();
+    check('under quota allowed', (await checkUsageQuota(9, { store, now: NOW })).allowed);
+    await recordLlmUsage({ userId: 9, usage: usage(900, 150), model: 'gpt-main', now: NOW }, { store });
+    const daily = await checkUsageQuota(9, { store, now: NOW });
+    check('daily token limit denies', !daily.allowed && daily.scope === 'daily' && daily.unit === 'tokens'
+      && daily.limit === 1000 && daily.resetAt === '2026-10-20T00:00:00.000Z');
+    check('next day allowed again', (await checkUsageQuota(9, { store, now: new Date('2026-10-20T01:00:00Z') })).allowed);
+    await setUserPlan(9, 'pro', { store });
+    check('assigned plan lifts daily limit', (await checkUsageQuota(9, { store, now: NOW })).allowed);
+    await recordLlmUsage({ userId: 9, usage: usage(200000, 0), model: 'gpt-main', now: NOW }, { store });
+    const monthly = await checkUsageQuota(9, { store, now: NOW });
+    check('monthly token limit denies', !monthly.allowed && monthly.scope === 'monthly' && monthly.plan === 'pro'
+      && monthly.resetAt === '2026-11-01T00:00:00.000Z');
+    await setUserPlan(9, null, { store });
+    check('cleared plan falls back to default', (await getUsage(9, { store, now: NOW })).plan === 'default');
+    const failing = { hgetall: async () => { throw new Error('redis down'); }, get: async () => null };
+    check('quota check fails open', (await checkUsageQuota(9, { store: failing, now: NOW })).allowed);
+  });
+  await withEnv({}, async () => {
+    const store = createMemoryRedis();
+    await recordLlmUsage({ userId: 9, usage: usage(1e6, 0), now: NOW }, { store });
+    check('no plans configured → accounting only', (await checkUsageQuota(9, { store, now: NOW })).allowed);
+  });
+
+  section('usageQuota middleware');
+  const verifyToken = async (token) => (token === 'good' ? { ok: true, user: { id: 21 } } : { ok: false, status: 401 });
+  check('cashflow user wins', await requestUsageUserId({ cashflowUser: { id: 5 }, body: { sessionId: 6 }, headers: {} }) === 5);
+  check('verified session token', await requestUsageUserId({ body: { userId: 6 }, headers: { authorization: 'Bearer good' } }, { verifyToken }) === 21);
+  check('body / header ids ignored', await requestUsageUserId({ ip: '10.0.0.1', body: { userId: 6, sessionId: 6 }, headers: { 'x-user-id': '8' } }, { verifyToken }) === 'ip:10.0.0.1');
+  check('bad token → IP bucket', await requestUsageUserId({ ip: '10.0.0.1', body: {}, headers: { 'x-auth-token': 'forged' } }, { verifyToken }) === 'ip:10.0.0.1');
+  check('no IP → global bucket', await requestUsageUserId({ body: {}, headers: {} }) === ANONYMOUS_USAGE_KEY);
+  await withEnv({ KEA_USAGE_PLANS: PLANS }, async () => {
+    const store = createMemoryRedis();
+    await recordLlmUsage({ userId: 11, usage: usage(5000, 100) }, { store });
+    const gate = usageQuota({ store });
+    const res = mockRes();
+    let nextCalled = false;
+    await gate({ method: 'POST', id: 'req-q1', cashflowUser: { id: 11 }, body: {}, headers: {} }, res, () => { nextCalled = true; });
+    check('exceeded → 429', !nextCalled && res.statusCode === 429);
+    check('structured body', res.body.code === QUOTA_EXCEEDED_CODE && res.body.requestId === 'req-q1'
+      && typeof res.body.resetAt === 'string' && res.body.plan === 'default');
+    check('Retry-After set', Number(res.headers['Retry-After']) > 0);
+    const other = mockRes();
+    let otherNext = false;
+    await gate({ method: 'POST', cashflowUser: { id: 12 }, body: {}, headers: {} }, other, () => { otherNext = true; });
+    check('other user passes', otherNext && other.statusCode === 200);
+    const req = { method: 'POST', cashflowUser: { id: 12 }, body: {}, headers: {} };
+    await gate(req, mockRes(), () => {});
+    check('resolved id left for billing', req.usageUserId === 12);
+    await recordLlmUsage({ userId: 'ip:10.0.0.9', usage: usage(5000, 100) }, { store });
+    const anon = mockRes();
+    let anonNext = false;
+    await gate({ method: 'POST', ip: '10.0.0.9', body: { userId: 12 }, headers: {} }, anon, () => { anonNext = true; });
+    check('spent IP bucket → 429 despite body id', !anonNext && anon.statusCode === 429);
+    let freshNext = false;
+    await gate({ method: 'POST', ip: '10.0.0.10', body: {}, headers: {} }, mockRes(), () => { freshNext = true; });
+    check('other IP passes', freshNext);
+  });
+}
+
+module.exports = { run };
@@ -0,0 +1,149 @@
+'use strict';
+
+const { check, section } = require('./harness');
+const { createMemoryMysql } = require('./golden/standIns');
+const { hashUserKey } = require('../services/keaTelemetry');
+const {
+  AUDIT_TABLE_DDL,
+  AUDITED_WRITE_TOOLS,
+  WRITE_AUDIT_OUTCOMES,
+  buildWriteAuditEntry,
+  recordWriteAudit,
+  listWriteAudit,
+  resetWriteAuditForTests,
+} = require('../services/keaWriteAudit');
+const { getWriteHistory } = require('../controllers/writeAuditController');
+
+// Memory mysql (golden stand-in) for the INSERTs, plus the keyset SELECT the
+// history endpoint runs.
+function auditDb() {
+  const mysql = createMemoryMysql();
+  const statements = [];
+  return {
+    rows: mysql.data.kea_write_audit,
+    statements,
+    async query(sql, params = []) {
+      const text = String(sql).replace(/\s+/g, ' ').trim();
+      statements.push(text);
+      const select = /^SELECT .* FROM kea_write_audit WHERE (.+) ORDER BY id DESC LIMIT (\d+)$/i.exec(text);
+      if (!select) return mysql.query(sql, params);
+      const conds = select[1].split(' AND ');
+      return mysql.data.kea_write_audit
+        .filter((r) => conds.every((c, i) => {
+          if (c === 'user_key = ?') return r.user_key === params[i];
+          if (c === 'id < ?') return r.id < params[i];
+          if (c === 'account_id = ?') return r.account_id === params[i];
+          throw new Error(`unexpected condition ${c}`);
+        }))
+        .sort((a, b) => b.id - a.id)
+        .slice(0, Number(select[2]));
+    },
+  };
+}
+
+async function run() {
+  section('Write audit rows');
+  check('every gated write tool audited', ['createTransaction', 'updateTransaction', 'deleteTransaction', 'createGoal', 'updateGoal', 'deleteGoal']
+    .every((t) => AUDITED_WRITE_TOOLS.has(t)));
+  check('read tools not audited', !AUDITED_WRITE_TOOLS.has('getUpcomingTransactions'));
+  check('table is append-only friendly', /CREATE TABLE IF NOT EXISTS kea_write_audit/.test(AUDIT_TABLE_DDL)
+    && /\(user_key, id\)/.test(AUDIT_TABLE_DDL));
+
+  const entry = buildWriteAuditEntry({
+    requestId: 'req-1',
+    userId: 505,
+    accountId: 50,
+    tool: 'updateTransaction',
+    args: { transactionid: 9102, amount: 1250, userId: 999, token: 'secret', note: '' },
+    result: {
+      action: 'update', transaction_id: 9102, amount: -1250, message: 'Updated.',
+      before: { transactionid: 9102, amount: -1200, title: 'Rent' },
+    },
+    outcome: WRITE_AUDIT_OUTCOMES.COMMITTED,
+    confirmationMessageId: 'msg-42',
+  });
+  check('user stored hashed', entry.user_key === hashUserKey(505) && !/505/.test(entry.user_key));
+  const args = JSON.parse(entry.args_json);
+  check('identity + empty args stripped', args.transactionid === 9102 && !('userId' in args) && !('token' in args) && !('note' in args));
+  check('before image kept', JSON.parse(entry.before_json).amount === -1200);
+  const after = JSON.parse(entry.after_json);
+  check('after image is the written row', after.amount === -1250 && !('before' in after) && !('message' in after));
+  check('confirmation message id kept', entry.confirmation_message_id === 'msg-42');
+  check('account stored as text', entry.account_id === '50');
+
+  const blocked = buildWriteAuditEntry({
+    userId: 505, tool: 'deleteTransaction', args: { transactionid: 1 }, result: { transaction_id: 1 },
+    outcome: WRITE_AUDIT_OUTCOMES.BLOCKED, reason: 'confirmation_required',
+  });
+  check('delete scope defaults to single', blocked.scope === 'single');
+  check('uncommitted write has no after image', blocked.after_json === null && blocked.reason === 'confirmation_required');
+  const seriesDelete = buildWriteAuditEntry({
+    userId: 505, tool: 'deleteTransaction', args: { scope: 'group', groupid: 89 },
+    result: { action: 'delete', scope: 'group', group_id: 89, before: { groupid: 89, title: 'Gym', amount: -40, occurrences: 12 } },
+    outcome: WRITE_AUDIT_OUTCOMES.COMMITTED,
+  });
+  check('series delete keeps its before image', seriesDelete.scope === 'group'
+    && JSON.parse(seriesDelete.before_json).occurrences === 12);
+  const huge = buildWriteAuditEntry({
+    userId: 505, tool: 'updateGoal', args: { goalid: 12, notes: '"quoted" '.repeat(2000) },
+    outcome: WRITE_AUDIT_OUTCOMES.BLOCKED,
+  });
+  const marker = JSON.parse(huge.args_json);
+  check('oversized image stored as valid JSON marker', huge.args_json.length <= 8000 && marker.truncated === true
+    && marker.chars > 8000 && marker.preview.startsWith('{"goalid":12'));
+  check('long reasons clipped', buildWriteAuditEntry({
+    userId: 1, tool: 'createGoal', outcome: WRITE_AUDIT_OUTCOMES.FAILED, reason: 'x'.repeat(400),
+  }).reason.length === 255);
+
+  section('Recording');
+  resetWriteAuditForTests();
+  const db = auditDb();
+  check('committed write recorded', await recordWriteAudit({
+    requestId: 'req-1', userId: 505, accountId: 50, tool: 'createTransaction', args: { title: 'Costco', amount: 45 },
+    result: { action: 'create', transaction_id: 9101 }, outcome: WRITE_AUDIT_OUTCOMES.COMMITTED,
+  }, { db }));
+  check('table created once before the insert', /^CREATE TABLE/.test(db.statements[0]) && /^INSERT INTO kea_write_audit/.test(db.statements[1]));
+  await recordWriteAudit({ userId: 505, accountId: 50, tool: 'deleteTransaction', args: { transactionid: 9101 }, outcome: 'committed' }, { db });
+  check('DDL not repeated', db.statements.filter((s) => /^CREATE TABLE/.test(s)).length === 1);
+  check('read tool ignored', !(await recordWriteAudit({ userId: 505, tool: 'getUpcomingTransactions', outcome: 'committed' }, { db })));
+  check('no user → nothing recorded', !(await recordWriteAudit({ tool: 'createGoal', outcome: 'blocked' }, { db })));
+  check('rows stored', db.rows.length === 2 && db.rows[0].tool === 'createTransaction' && db.rows[0].request_id === 'req-1');
+  const broken = { query: async () => { throw new Error('mysql down'); } };
+  resetWriteAuditForTests();
+  check('mysql failure is fail-soft', (await recordWriteAudit({ userId: 505, tool: 'createGoal', outcome: 'blocked' }, { db: broken })) === false);
+
+  section('History (keyset pagination)');
+  resetWriteAuditForTests();
+  const hist = auditDb();
+  for (let i = 1; i <= 5; i += 1) {
+    await recordWriteAudit({
+      userId: 505, accountId: i % 2 ? 50 : 51, tool: 'createTransaction', args: { title: `T${i}` },
+      result: { transaction_id: 9100 + i }, outcome: 'committed',
+    }, { db: hist });
+  }
+  await recordWriteAudit({ userId: 606, accountId: 60, tool: 'createTransaction', args: { title: 'Other' }, outcome: 'committed' }, { db: hist });
+  const page1 = await listWriteAudit(505, { limit: 2 }, { db: hist });
+  check('newest first', page1.writes.length === 2 && page1.writes[0].args.title === 'T5' && page1.writes[1].args.title === 'T4');
+  check('cursor for the next page', page1.nextCursor === page1.writes[1].id);
+  check('LIMIT is a sanitized integer', /LIMIT 3$/.test(hist.statements[hist.statements.length - 1]));
+  const page2 = await listWriteAudit(505, { limit: 2, cursor: page1.nextCursor }, { db: hist });
+  const page3 = await listWriteAudit(505, { limit: 2, cursor: page2.nextCursor }, { db: hist });
+  check('pages walk back without overlap', page2.writes.map((w) => w.args.title).join() === 'T3,T2'
+    && page3.writes.map((w) => w.args.title).join() === 'T1' && page3.nextCursor === null);
+  const only50 = await listWriteAudit(505, { accountId: 50 }, { db: hist });
+  check('account filter', only50.writes.length === 3 && only50.writes.every((w) => w.accountId === '50'));
+  const other = await listWriteAudit(606, {}, { db: hist });
+  check('only the caller\'s own writes', other.writes.length === 1 && other.writes[0].args.title === 'Other');
+  check('after image parsed', page1.writes[0].after.transaction_id === 9105 && page1.writes[0].outcome === 'committed');
+  check('limit clamped', /LIMIT 101$/.test((await listWriteAudit(505, { limit: 5000 }, { db: hist }), hist.statements[hist.statements.length - 1])));
+
+  section('GET /writes');
+  const res = { statusCode: 200, body: null };
+  res.status = (code) => { res.statusCode = code; return res; };
+  res.json = (payload) => { res.body = payload; return res; };
+  await getWriteHistory({ id: 'r1', cashflowUser: { id: 505 }, query: { cursor: '12; DROP' } }, res);
+  check('bad cursor → 400', res.statusCode === 400 && res.body.code === 'KEA_WRITE_HISTORY_CURSOR_INVALID');
+  resetWriteAuditForTests();
+}
+
+module.exports = { run };
@@ -0,0 +1,173 @@
+'use strict';
+
+const axios = require('axios');
+const { check, section } = require('./harness');
+const {
+  LLM_PROVIDERS,
+  LLM_CALL_SITES,
+  resolveLlmProvider,
+  normalizeChatCompletion,
+  normalizeUsage,
+} = require('../services/llmProvider');
+const { queryAzureOpenAI } = require('../services/openaiService');
+
+const ENV_KEYS = [
+  'KEA_LLM_PROVIDER',
+  'KEA_LLM_PROVIDER_SHOPPING_SUGGEST',
+  'KEA_LLM_MODEL_SHOPPING_SUGGEST',
+  'KEA_LLM_MODEL_AUTO_CATEGORIZE',
+  'KEA_OPENAI_COMPAT_BASE_URL',
+  'KEA_OPENAI_COMPAT_API_KEY',
+  'KEA_OPENAI_COMPAT_MODEL',
+  'AZURE_OPENAI_ENDPOINT',
+  'AZURE_OPENAI_DEPLOYMENT',
+  'AZURE_OPENAI_API_VERSION',
+  'AZURE_OPENAI_API_KEY',
+];
+
+async function withEnv(vars, fn) {
+  const prev = {};
+  for (const k of ENV_KEYS) {
+    prev[k] = process.env[k];
+    delete process.env[k];
+  }
+  Object.assign(process.env, vars);
+  try {
+    return await fn();
+  } finally {
+    for (const k of ENV_KEYS) {
+      if (prev[k] === undefined) delete process.env[k];
+      else process.env[k] = prev[k];
+    }
+  }
+}
+
+const AZURE_ENV = {
+  AZURE_OPENAI_ENDPOINT: 'https://kea.openai.azure.com/',
+  AZURE_OPENAI_DEPLOYMENT: 'gpt-main',
+  AZURE_OPENAI_API_VERSION: '2024-08-01-preview',
+  AZURE_OPENAI_API_KEY: 'azure-key',
+};
+const COMPAT_ENV = {
+  KEA_OPENAI_COMPAT_BASE_URL: 'http://localhost:8080/v1/',
+  KEA_OPENAI_COMPAT_MODEL: 'llama-3.1-8b',
+};
+
+async function capturePost(reply, fn) {
+  const original = axios.post;
+  const calls = [];
+  axios.post = async (url, body, config) => {
+    calls.push({ url, body, config });
+    return { status: 200, data: reply };
+  };
+  try {
+    const data = await fn();
+    return { data, calls };
+  } finally {
+    axios.post = original;
+  }
+}
+
+async function run() {
+  section('LLM provider resolution');
+  await withEnv(AZURE_ENV, async () => {
+    const chat = resolveLlmProvider(LLM_CALL_SITES.CHAT);
+    check('azure is the default provider', chat.provider.name === LLM_PROVIDERS.AZURE && chat.model === 'gpt-main');
+    check('caller deployment override kept on azure',
+      resolveLlmProvider(LLM_CALL_SITES.AUTO_CATEGORIZE, { deployment: 'gpt-light' }).model === 'gpt-light');
+    process.env.KEA_LLM_MODEL_AUTO_CATEGORIZE = 'gpt-tiny';
+    check('per-site model wins over caller deployment',
+      resolveLlmProvider(LLM_CALL_SITES.AUTO_CATEGORIZE, { deployment: 'gpt-light' }).model === 'gpt-tiny');
+    check('unknown call site falls back to chat', resolveLlmProvider('nope').callSite === LLM_CALL_SITES.CHAT);
+    const req = chat.provider.buildRequest({ messages: [] }, { model: chat.model });
+    check('azure url shape',
+      req.url === 'https://kea.openai.azure.com/openai/deployments/gpt-main/chat/completions?api-version=2024-08-01-preview');
+    check('azure api-key header, no model in body', req.headers['api-key'] === 'azure-key' && !('model' in req.body));
+  });
+
+  await withEnv({ ...AZURE_ENV, ...COMPAT_ENV, KEA_LLM_PROVIDER_SHOPPING_SUGGEST: 'openai_compatible' }, async () => {
+    const shop = resolveLlmProvider(LLM_CALL_SITES.SHOPPING_SUGGEST, { deployment: 'gpt-light' });
+    check('per-site provider', shop.provider.name === LLM_PROVIDERS.OPENAI_COMPATIBLE);
+    check('azure deployment ignored on compat', shop.model === 'llama-3.1-8b');
+    check('other sites stay on azure', resolveLlmProvider(LLM_CALL_SITES.CHAT).provider.name === LLM_PROVIDERS.AZURE);
+    const req = shop.provider.buildRequest({ messages: [] }, { model: shop.model });
+    check('compat url shape', req.url === 'http://localhost:8080/v1/chat/completions');
+    check('compat model in body', req.body.model === 'llama-3.1-8b');
+    check('no key → no Authorization header', !('Authorization' in req.headers));
+    process.env.KEA_OPENAI_COMPAT_API_KEY = 'sk-local';
+    const keyed = shop.provider.buildRequest({ messages: [] }, { model: shop.model });
+    check('bearer key', keyed.headers.Authorization === 'Bearer sk-local');
+  });
+
+  await withEnv({ KEA_LLM_PROVIDER: 'bedrock' }, async () => {
+    let code = null;
+    try {
+      resolveLlmProvider(LLM_CALL_SITES.CHAT);
+    } catch (err) {
+      code = err.code;
+    }
+    check('unknown provider rejected', code === 'LLM_PROVIDER_UNKNOWN');
+  });
+  await withEnv({ KEA_LLM_PROVIDER: 'openai_compatible' }, async () => {
+    let code = null;
+    try {
+      const { provider, model } = resolveLlmProvider(LLM_CALL_SITES.CHAT);
+      provider.buildRequest({ messages: [] }, { model });
+    } catch (err) {
+      code = err.code;
+    }
+    check('unconfigured compat rejected', code === 'LLM_PROVIDER_NOT_CONFIGURED');
+  });
+
+  section('Response normalization');
+  const legacy = normalizeChatCompletion({
+    choices: [{ message: { role: 'assistant', content: '', function_call: { name: 'getGoals', arguments: { limit: 3 } } }, finish_reason: 'function_call' }],
+  });
+  const legacyMsg = legacy.choices[0].message;
+  check('legacy function_call → tool_calls', legacyMsg.tool_calls.length === 1 && !('function_call' in legacyMsg));
+  check('object arguments stringified', legacyMsg.tool_calls[0].function.arguments === '{"limit":3}');
+  check('tool call gets id + type', !!legacyMsg.tool_calls[0].id && legacyMsg.tool_calls[0].type === 'function');
+  check('empty content beside tool calls → null', legacyMsg.content === null);
+  check('finish_reason tool_calls', legacy.choices[0].finish_reason === 'tool_calls');
+  check('missing usage → zeros', legacy.usage.prompt_tokens === 0 && legacy.usage.total_tokens === 0);
+
+  const plain = normalizeChatCompletion({ choices: [{ message: { content: null } }] });
+  check('null content without tools → empty string', plain.choices[0].message.content === '');
+
+  const usage = normalizeUsage({ input_tokens: 120, output_tokens: 30, input_tokens_details: { cached_tokens: 64 } });
+  check('input/output tokens mapped', usage.prompt_tokens === 120 && usage.completion_tokens === 30 && usage.total_tokens === 150);
+  check('cached tokens mapped', usage.prompt_tokens_details.cached_tokens === 64 && !('input_tokens' in usage));
+  const azureUsage = normalizeUsage({ prompt_tokens: 10, completion_tokens: 2, total_tokens: 12, prompt_tokens_details: { cached_tokens: 4 } });
+  check('azure usage unchanged', azureUsage.total_tokens === 12 && azureUsage.prompt_tokens_details.cached_tokens === 4);
+  let invalid = null;
+  try {
+    normalizeChatCompletion({ error: 'nope' });
+  } catch (err) {
+    invalid = err.code;
+  }
+  check('response without choices rejected', invalid === 'LLM_RESPONSE_INVALID');
+
+  section('queryAzureOpenAI through a provider');
+  await withEnv({ ...AZURE_ENV, ...COMPAT_ENV, KEA_LLM_PROVIDER_SHOPPING_SUGGEST: 'openai_compatible' }, async () => {
+    const reply = {
+      choices: [{ message: { content: '{"options":[]}' }, finish_reason: 'stop' }],
+      usage: { prompt_tokens: 50, completion_tokens: 5 },
+    };
+    const shop = await capturePost(reply, () => queryAzureOpenAI([{ role: 'user', content: 'milk' }], {
+      tools: null,
+      callSite: LLM_CALL_SITES.SHOPPING_SUGGEST,
+      timeout: 20000,
+      response_format: { type: 'json_object' },
+    }));
+    const sent = shop.calls[0];
+    check('compat endpoint called', sent.url === 'http://localhost:8080/v1/chat/completions');
+    check('compat body carries model + response_format', sent.body.model === 'llama-3.1-8b' && sent.body.response_format.type === 'json_object');
+    check('timeout passed to axios', sent.config.timeout === 20000);
+    check('usage total filled in', shop.data.usage.total_tokens === 55);
+
+    const chat = await capturePost(reply, () => queryAzureOpenAI([{ role: 'user', content: 'hi' }], { tools: [] }));
+    check('chat stays on azure', /\/openai\/deployments\/gpt-main\//.test(chat.calls[0].url) && !('model' in chat.calls[0].body));
+  });
+}
+
+module.exports = { run };
@@ -0,0 +1,144 @@
+'use strict';
+
+/**
+ * Shared fixtures for the deterministic-macro suites (budgets, anomalies,
+ * subscription audit, debt payoff): one account on one day, a routed
+ * prefetch with owner access, date-aware transaction pages, an in-memory
+ * table for the statements the local stores run, and the evidence views each
+ * suite checks its macro against.
+ */
+
+const { routeCapability } = require('../services/keaCapabilityRouter');
+const { resolveGroundingPolicy } = require('../services/keaGroundingPolicy');
+const { prefetchGrounding, shouldForceDirectAnswer, buildEvidenceSystemSection } = require('../services/keaGroundingPrefetch');
+const { buildEvidenceLedger } = require('../services/keaEvidenceLedgerBuilders');
+const { toPromptEvidence } = require('../services/keaEvidencePromptView');
+const { buildResponseValidationContract } = require('../services/keaResponseValidationContract');
+const { bundleForCapability } = require('../services/keaToolBundles');
+const { buildMacroFallbackText } = require('../services/keaMacroFallback');
+const { __testables: T } = require('../controllers/openaiController');
+
+const TODAY = '2026-10-19';
+const USER_ID = 5;
+const ACCOUNT_ID = 22;
+
+function route(message, extra = {}) {
+  return routeCapability({ message, currentDate: TODAY, accountId: String(ACCOUNT_ID), ...extra });
+}
+
+/**
+ * prefetchGrounding for `message` as the account owner. `routed` overrides
+ * the route; every other key (fetchPage, loadBudgetsFn, queryFn, ...) is
+ * passed through as a prefetch dependency.
+ */
+async function macroPrefetch(message, { routed, assertFn, ...deps } = {}) {
+  const r = routed || route(message);
+  return prefetchGrounding({
+    trustedUserId: USER_ID,
+    accountId: ACCOUNT_ID,
+    token: 't',
+    currentDate: TODAY,
+    message,
+    route: r,
+    policy: resolveGroundingPolicy(r, { message }),
+    assertFn: assertFn || (async () => ({ access: 'owner' })),
+    ...deps,
+  });
+}
+
+function inRange(rows, startDate, endDate) {
+  return rows.filter((t) => t.start >= startDate && t.start <= endDate);
+}
+
+// fetchPage fake: serves the rows inside the requested dates. `brokenFrom`
+// drops pagination.total for any request starting before that date.
+function pagesOf(rows, { brokenFrom } = {}) {
+  return async ({ startDate, endDate }) => {
+    const page = inRange(rows, startDate, endDate);
+    if (brokenFrom && startDate < brokenFrom) return { transactions: page };
+    return { transactions: page, pagination: { total: page.length, limit: 100 } };
+  };
+}
+
+// In-memory MySQL table for exactly the statements the local stores run:
+// CREATE TABLE, INSERT, SELECT / UPDATE / DELETE with `col = ?` conditions.
+function memoryTable(table) {
+  const rows = [];
+  const statements = [];
+  const where = (clause, params) => (row) => clause.split(' AND ').every((cond, i) => {
+    const m = /^(\w+) = \?$/.exec(cond);
+    if (!m) throw new Error(`${table}: unsupported condition ${cond}`);
+    return String(row[m[1]]) === String(params[i]);
+  });
+  async function query(sql, params = []) {
+    const text = String(sql).replace(/\s+/g, ' ').trim();
+    statements.push(text);
+    if (text.startsWith(`CREATE TABLE IF NOT EXISTS ${table}`)) return {};
+    let m = new RegExp(`^INSERT INTO ${table} \\(([^)]+)\\) VALUES`).exec(text);
+    if (m) {
+      const row = { id: rows.length + 1 };
+      m[1].split(',').forEach((c, i) => { row[c.trim()] = params[i]; });
+      rows.push(row);
+      return { insertId: row.id, affectedRows: 1 };
+    }
+    m = new RegExp(`^SELECT .+ FROM ${table} WHERE (.+?) ORDER BY id ASC$`).exec(text);
+    if (m) return rows.filter(where(m[1], params)).map((r) => ({ ...r }));
+    m = new RegExp(`^UPDATE ${table} SET (.+) WHERE (.+)$`).exec(text);
+    if (m) {
+      const sets = m[1].split(', ').map((s) => s.replace(' = ?', ''));
+      const match = rows.filter(where(m[2], params.slice(sets.length)));
+      match.forEach((r) => sets.forEach((col, i) => { r[col] = params[i]; }));
+      return { affectedRows: match.length };
+    }
+    m = new RegExp(`^DELETE FROM ${table} WHERE (.+)$`).exec(text);
+    if (m) {
+      const gone = rows.filter(where(m[1], params));
+      gone.forEach((r) => rows.splice(rows.indexOf(r), 1));
+      return { affectedRows: gone.length };
+    }
+    throw new Error(`${table}: unsupported statement ${text.slice(0, 60)}`);
+  }
+  return { query, rows, statements };
+}
+
+// A derived write operation as the lifecycle stages it in dialogue state
+// (pendingSeriesRemoval, pendingDebtPayment, ...), on the default account.
+function stagedOp(op) {
+  return { kind: op.kind, tool: op.tool, args: op.args, target: op.target, accountId: String(ACCOUNT_ID) };
+}
+
+async function rejects(promise) {
+  try {
+    await promise;
+    return null;
+  } catch (err) {
+    return err;
+  }
+}
+
+function round2(n) {
+  return Math.round(n * 100) / 100;
+}
+
+module.exports = {
+  TODAY,
+  USER_ID,
+  ACCOUNT_ID,
+  T,
+  route,
+  macroPrefetch,
+  inRange,
+  pagesOf,
+  memoryTable,
+  stagedOp,
+  rejects,
+  round2,
+  resolveGroundingPolicy,
+  shouldForceDirectAnswer,
+  buildEvidenceSystemSection,
+  buildEvidenceLedger,
+  toPromptEvidence,
+  buildResponseValidationContract,
+  bundleForCapability,
+  buildMacroFallbackText,
+};
@@ -17,6 +17,27 @@ const suites = [
   './writeGate.test.js',
   './rollingSummary.test.js',
   './keaCapabilityRouter.test.js',
+  './keaIntentRules.test.js',
+  './keaRouteClassifier.test.js',
+  './llmProvider.test.js',
+  './keaUsage.test.js',
+  './keaIdempotency.test.js',
+  './keaUndo.test.js',
+  './keaWriteAudit.test.js',
+  './keaAutoCategorizeBatch.test.js',
+  './keaCategoryRules.test.js',
+  './keaCategorizationFeedback.test.js',
+  './keaDigest.test.js',
+  './shoppingBasket.test.js',
+  './shoppingPriceHistory.test.js',
+  './keaSnapshotEvents.test.js',
+  './keaStore.test.js',
+  './keaMetrics.test.js',
+  './keaAggregateScope.test.js',
+  './keaBudgets.test.js',
+  './keaAnomalies.test.js',
+  './keaSubscriptionAudit.test.js',
+  './keaDebtPayoff.test.js',
   './keaGroundingPolicy.test.js',
   './keaToolBundles.test.js',
   './keaGroundingPrefetch.test.js',
@@ -39,15 +60,18 @@ const suites = [
   './keaResponseClaimExtractor.test.js',
   './keaResponseClaimValidator.test.js',
   './keaResponseValidationShadow.test.js',
+  './keaResponseValidationEnforcement.test.js',
   './keaConversationCapsule.test.js',
   './keaConversationStateResolver.test.js',
   './keaConversationCapsulePersistence.test.js',
   './keaConversationContinuation.test.js',
   './keaRequestReliability.test.js',
+  './keaChatStream.test.js',
   './keaInvitationContinuation.test.js',
   './keaWriteCommitAck.test.js',
   './keaWriteIdentity.test.js',
   './keaPhase12.test.js',
+  './keaGoldenConversations.test.js',
 ];
 
 async function main() {
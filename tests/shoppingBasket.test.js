@@ -0,0 +1,100 @@
+'use strict';
+
+const { check, section } = require('./harness');
+const { normalizeListItems, estimateShoppingList } = require('../services/shoppingBasket.service');
+const { bundleForCapability } = require('../services/keaToolBundles');
+
+const option = (store, estimatedPrice, tier = 'standard') => ({
+  store, brand: `${store} brand`, product: 'Item', size: '1 ct', tier, estimatedPrice, confidence: 0.8, source: 'llm',
+});
+
+// Stand-in for suggestItemOptions: a fixed catalog, with "cached" items
+// answered without counting as a model call.
+function catalog({ cachedItems = [], failing = [] } = {}) {
+  const calls = [];
+  const prices = {
+    milk: [option('Aldi', 2.99, 'budget'), option('Kroger', 3.49), option('Whole Foods', 5.99, 'premium')],
+    eggs: [option('Aldi', 3.1, 'budget'), option('Kroger', 2.89)],
+    bread: [option('Kroger', 2.5), option('Whole Foods', 4.5, 'premium')],
+    saffron: [],
+  };
+  async function suggestItem(params) {
+    const key = params.itemName.toLowerCase();
+    calls.push(params);
+    if (failing.includes(key)) throw new Error('model offline');
+    const options = prices[key] || [];
+    const flag = params.userEstimate != null && params.userEstimate > 20 ? `Your estimate ($${params.userEstimate.toFixed(2)}) looks high.` : null;
+    return { normalizedName: params.itemName, options, userPriceFlag: flag, cached: cachedItems.includes(key) };
+  }
+  return { suggestItem, calls };
+}
+
+async function run() {
+  section('List rows');
+  const rows = normalizeListItems([
+    { itemName: ' Milk ', quantity: 2, userEstimate: 3 },
+    { title: 'Eggs', qty: '0', estimated_price: '4.25' },
+    { name: '' },
+    'Bread',
+  ]);
+  check('client and Cashflow row shapes', rows.length === 3 && rows[0].itemName === 'Milk' && rows[0].quantity === 2
+    && rows[1].itemName === 'Eggs' && rows[1].userEstimate === 4.25 && rows[2].itemName === 'Bread');
+  check('missing / zero quantity → 1', rows[1].quantity === 1 && rows[2].quantity === 1);
+
+  section('Basket estimate');
+  const { suggestItem, calls } = catalog({ cachedItems: ['milk', 'eggs'] });
+  const result = await estimateShoppingList({
+    items: [
+      { itemName: 'Milk', quantity: 2, userEstimate: 3.5 },
+      { itemName: 'Eggs', userEstimate: 45 },
+      { itemName: 'Bread' },
+    ],
+    region: { state: 'FL' },
+    userId: 7,
+  }, { suggestItem });
+  check('every item priced with the region', calls.length === 3 && calls.every(c => c.region.state === 'FL' && c.userId === 7));
+  check('cheapest basket mixes stores', result.cheapestBasket.total === 11.37
+    && result.cheapestBasket.stores.join(',') === 'Aldi,Kroger');
+  check('line totals use quantity', result.items[0].cheapest.lineTotal === 5.98);
+  const kroger = result.stores.find(s => s.store === 'Kroger');
+  check('store covering everything ranked first', result.stores[0] === kroger && kroger.coversAll && kroger.total === 12.37);
+  check('partial stores report missing items', result.stores.find(s => s.store === 'Aldi').itemsMissing === 1);
+  check('savings vs one store', result.cheapestBasket.savingsVsBestSingleStore === 1);
+  check('unrealistic estimate flagged', result.flags.length === 1 && result.flags[0].itemName === 'Eggs');
+  check('user estimate total', result.userEstimateTotal === 52);
+  check('cached items counted apart', result.stats.cached === 2 && result.stats.generated === 1 && result.stats.unpriced === 0);
+  check('no transaction → no proposal', result.proposedUpdate === null);
+
+  section('Unpriced items and the amount proposal');
+  const partial = catalog({ failing: ['bread'] });
+  const proposal = await estimateShoppingList({
+    items: [{ itemName: 'Milk' }, { itemName: 'Bread', userEstimate: 3 }],
+    transactionId: 91,
+    currentAmount: -20,
+  }, { suggestItem: partial.suggestItem });
+  check('failed item kept as unpriced', proposal.items[1].cheapest === null && proposal.items[1].error === 'estimate_unavailable'
+    && proposal.cheapestBasket.itemsMissing === 1);
+  check('proposal falls back to the user estimate', proposal.proposedUpdate.proposedAmount === 5.99
+    && proposal.proposedUpdate.currentAmount === 20 && proposal.proposedUpdate.transactionid === 91);
+  const noBasis = await estimateShoppingList({
+    items: [{ itemName: 'Milk' }, { itemName: 'Saffron' }],
+    transactionId: 91,
+  }, { suggestItem: catalog().suggestItem });
+  check('no proposal when an item has no price at all', noBasis.proposedUpdate === null && noBasis.items[1].error === 'no_options');
+  const unchanged = await estimateShoppingList({ items: [{ itemName: 'Milk' }], transactionId: 91, currentAmount: -2.99 },
+    { suggestItem: catalog().suggestItem });
+  check('no proposal when the amount already matches', unchanged.proposedUpdate === null);
+
+  let rejected = false;
+  try {
+    await estimateShoppingList({ items: [{ name: ' ' }] }, { suggestItem });
+  } catch (e) {
+    rejected = /at least one/.test(e.message);
+  }
+  check('empty list rejected', rejected);
+
+  section('Chat exposure');
+  check('transaction_write bundle offers the estimate', bundleForCapability('transaction_write').includes('estimateShoppingList'));
+}
+
+module.exports = { run };
@@ -0,0 +1,145 @@
+'use strict';
+
+const { check, section } = require('./harness');
+const {
+  PriceHistoryError,
+  confidenceForSamples,
+  recordPriceObservation,
+  observedPriceStats,
+  anchorOptions,
+  priceDriftReport,
+  resetPriceHistoryForTests,
+} = require('../services/shoppingPriceHistory.service');
+
+// In-memory kea_shopping_price_observations for the statements the service runs.
+function priceDb() {
+  const rows = [];
+  async function query(sql, params = []) {
+    const text = String(sql).replace(/\s+/g, ' ').trim();
+    if (/^CREATE TABLE IF NOT EXISTS kea_shopping_price_observations/.test(text)) return {};
+    const m = /^INSERT INTO kea_shopping_price_observations \(([^)]+)\) VALUES/.exec(text);
+    if (m) {
+      const row = {};
+      m[1].split(',').forEach((c, i) => { row[c.trim()] = params[i]; });
+      rows.push(row);
+      return { insertId: rows.length, affectedRows: 1 };
+    }
+    if (/WHERE item_key = \? AND region_state = \? AND observed_at >= \?$/.test(text)) {
+      const [key, state, since] = params;
+      return rows.filter((r) => r.item_key === key && r.region_state === state && r.observed_at >= since);
+    }
+    const drift = /WHERE region_state = \? AND observed_at >= \?( AND item_key IN \(([?, ]+)\))? ORDER BY observed_at DESC LIMIT \d+$/.exec(text);
+    if (drift) {
+      const [state, since, ...keys] = params;
+      return rows
+        .filter((r) => r.region_state === state && r.observed_at >= since && (!drift[1] || keys.includes(r.item_key)))
+        .sort((a, b) => b.observed_at - a.observed_at);
+    }
+    throw new Error(`price db: unsupported statement ${text.slice(0, 60)}`);
+  }
+  return { query, rows };
+}
+
+const NOW = new Date('2026-10-19T12:00:00Z');
+const daysBack = (n) => new Date(NOW.getTime() - n * 86400000);
+
+async function run() {
+  section('Observations');
+  resetPriceHistoryForTests();
+  const db = priceDb();
+  const observe = (itemName, price, opts = {}) => recordPriceObservation({
+    itemName, price, source: 'actual', region: { state: 'fl', zip: '33101' }, now: NOW, userId: 7, ...opts,
+  }, { db });
+  const stored = await observe('  Whole  Milk ', '3.999', { source: 'accepted', store: 'Publix', userId: 7 });
+  check('normalized item, region and price', stored.itemKey === 'whole milk' && stored.region.state === 'FL' && stored.unitPrice === 4);
+  check('user hashed, never raw', db.rows[0].user_key && db.rows[0].user_key !== '7' && db.rows[0].store === 'Publix');
+  const invalid = async (input, code) => {
+    try {
+      await recordPriceObservation({ itemName: 'Milk', price: 3, source: 'actual', region: { state: 'FL' }, userId: 7, ...input }, { db });
+      return false;
+    } catch (err) {
+      return err instanceof PriceHistoryError && err.code === code;
+    }
+  };
+  check('missing state rejected', await invalid({ region: { zip: '33101' } }, 'PRICE_REGION_REQUIRED'));
+  check('non-positive price rejected', await invalid({ price: 0 }, 'PRICE_INVALID'));
+  check('unknown source rejected', await invalid({ source: 'guess' }, 'PRICE_SOURCE_INVALID'));
+  check('anonymous observation rejected', await invalid({ userId: null }, 'PRICE_USER_REQUIRED'));
+
+  section('Observed stats and confidence');
+  check('confidence follows sample count', confidenceForSamples(2) === 0 && confidenceForSamples(3) === 0.6
+    && confidenceForSamples(6) === 0.75 && confidenceForSamples(40) === 0.9);
+  await observe('whole milk', 4.2, { now: daysBack(2) });
+  await observe('whole milk', 4.4, { now: daysBack(5) });
+  await observe('whole milk', 3.1, { now: daysBack(200) });
+  await observe('whole milk', 5, { region: { state: 'FL', zip: '32801' }, now: daysBack(1) });
+  const local = await observedPriceStats('Whole Milk', { state: 'FL', zip: '33101' }, { db, now: NOW });
+  check('zip history used when it has enough samples', local.scope === 'zip' && local.sampleCount === 3 && local.median === 4.2);
+  check('old observations ignored', local.min === 4);
+  const elsewhere = await observedPriceStats('whole milk', { state: 'FL', zip: '30000' }, { db, now: NOW });
+  check('falls back to the state', elsewhere.scope === 'state' && elsewhere.sampleCount === 4 && elsewhere.median === 4.3);
+  check('no history → null', (await observedPriceStats('saffron', { state: 'FL' }, { db, now: NOW })) === null);
+  resetPriceHistoryForTests();
+  const floodDb = priceDb();
+  for (let i = 0; i < 40; i += 1) {
+    await recordPriceObservation({
+      itemName: 'eggs', price: 12, source: 'actual', region: { state: 'GA', zip: '30301' }, userId: 66, now: daysBack(1),
+    }, { db: floodDb });
+  }
+  const flooded = await observedPriceStats('eggs', { state: 'GA', zip: '30301' }, { db: floodDb, now: NOW });
+  check('one user floods one day → one sample, no anchor weight', flooded.sampleCount === 1 && flooded.confidence === 0);
+  for (const userId of [1, 2, 3]) {
+    await recordPriceObservation({
+      itemName: 'eggs', price: 3, source: 'actual', region: { state: 'GA', zip: '30301' }, userId, now: daysBack(2),
+    }, { db: floodDb });
+  }
+  const outvoted = await observedPriceStats('eggs', { state: 'GA', zip: '30301' }, { db: floodDb, now: NOW });
+  check('flooding user counts once against other shoppers', outvoted.sampleCount === 4 && outvoted.median === 3
+    && outvoted.confidence === 0.6);
+  resetPriceHistoryForTests();
+  check('stats read is fail-soft', (await observedPriceStats('milk', { state: 'FL' }, { db: { query: async () => { throw new Error('mysql down'); } } })) === null);
+
+  section('Anchoring');
+  const options = [
+    { store: 'Aldi', tier: 'budget', estimatedPrice: 2.5, confidence: 0.7 },
+    { store: 'Kroger', tier: 'standard', estimatedPrice: 3, confidence: 0.7 },
+    { store: 'Whole Foods', tier: 'premium', estimatedPrice: 6, confidence: 0.7 },
+  ];
+  check('too few samples leaves options alone', anchorOptions(options, { sampleCount: 2, median: 9, confidence: 0 }).anchored === false);
+  const anchored = anchorOptions(options, { sampleCount: 12, median: 4, confidence: 0.9 });
+  const kroger = anchored.options[1];
+  check('standard price pulled toward the observed median', anchored.anchored && kroger.estimatedPrice === 3.9 && kroger.modelPrice === 3);
+  check('tiers keep their spread', anchored.options[0].estimatedPrice < kroger.estimatedPrice && kroger.estimatedPrice < anchored.options[2].estimatedPrice);
+  check('confidence from sample count', anchored.options.every((o) => o.confidence === 0.9 && o.source === 'observed'));
+
+  section('Drift report');
+  resetPriceHistoryForTests();
+  const driftDb = priceDb();
+  const add = (itemName, price, days, zip = '33101') => recordPriceObservation({
+    itemName, price, source: 'actual', region: { state: 'FL', zip }, now: daysBack(days), userId: 7,
+  }, { db: driftDb });
+  for (const [price, days] of [[3, 60], [3.1, 70], [2.9, 80], [3.6, 3], [3.7, 6], [3.5, 9]]) await add('eggs', price, days);
+  for (const [price, days] of [[2, 60], [2, 70], [2, 80], [2.05, 3], [2, 6], [1.95, 9]]) await add('bread', price, days);
+  for (const [price, days] of [[5, 3], [5.2, 6], [5.1, 9]]) await add('coffee', price, days);
+  for (let i = 0; i < 30; i += 1) {
+    await recordPriceObservation({
+      itemName: 'bread', price: 9, source: 'actual', region: { state: 'FL', zip: '33101' }, now: daysBack(1), userId: 66,
+    }, { db: driftDb });
+  }
+  const report = await priceDriftReport({ region: { state: 'FL', zip: '33101' }, now: NOW }, { db: driftDb });
+  check('moved item reported', report.drifted.length === 1 && report.drifted[0].itemKey === 'eggs'
+    && report.drifted[0].changePct === 20 && report.drifted[0].direction === 'up' && report.drifted[0].reasons[0] === 'price_moved');
+  check('stable and history-less items skipped', report.itemsChecked === 3);
+  check('one user flooding bread does not move it', !report.drifted.some((d) => d.itemKey === 'bread'));
+  const budget = await priceDriftReport({
+    region: { state: 'FL' },
+    items: [{ itemName: 'Coffee', budgeted: 4 }, { itemName: 'Bread', budgeted: 2 }],
+    thresholdPct: 15,
+    now: NOW,
+  }, { db: driftDb });
+  check('stale budget flagged against recent prices', budget.drifted.length === 1 && budget.drifted[0].itemKey === 'coffee'
+    && budget.drifted[0].budgetChangePct === 27.5 && budget.drifted[0].reasons.join() === 'budget_stale');
+  check('list limits the report', budget.itemsChecked === 2 && budget.thresholdPct === 15);
+}
+
+module.exports = { run };
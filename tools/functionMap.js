@@ -14,9 +14,10 @@ const {
   getUpcomingByAccountAndRange,
   getUpcomingByAccountAndRangePaginated,
   getUpcomingByAccountAndRangeCount,
+  getForecastSeriesByGroup,
   getTransactionSummary
 } = require('../services/transactions.service');
-const { getUserData, getSelectedKeacastAccounts, getSelectedAccount, getKeaAccountContext, getBalances, createTransaction, deleteTransaction, deleteGroupTransactions, getTransactionById, updateTransaction, getGoals, getGoal, previewGoalCadence, createGoal, updateGoal, deleteGoal, rememberFact, recallFacts } = require('./keacast_tool_layer');
+const { getUserData, getSelectedKeacastAccounts, getSelectedAccount, getKeaAccountContext, getBalances, createTransaction, deleteTransaction, deleteGroupTransactions, getTransactionById, updateTransaction, getShoppingList, getGoals, getGoal, previewGoalCadence, createGoal, updateGoal, deleteGoal, rememberFact, recallFacts } = require('./keacast_tool_layer');
 const moment = require('moment');
 const { frequencyLabel } = require('../utils/frequencyLabel');
 
@@ -249,6 +250,71 @@ async function fetchTransactionRow(transactionId, token) {
   return {};
 }
 
+// Compact copy of a transaction row as it was before an update / delete —
+// just the fields needed to restore or re-add it (services/keaUndo.js). Kept
+// small because it is persisted in dialogue state's recentWrites. Returns null
+// when the row could not be read.
+function transactionBeforeImage(row) {
+  if (!row || typeof row !== 'object') return null;
+  const amount = Number(row.amount);
+  if (!Number.isFinite(amount)) return null;
+  const pick = (v) => (v !== undefined && v !== null && String(v).trim() !== '' ? v : null);
+  const type = String(row.type || '').toLowerCase();
+  const date = (v) => (pick(v) && moment(v).isValid() ? toDateAnchoredISO(v, moment(v)).slice(0, 10) : null);
+  const frequency = Number(row.frequency);
+  return {
+    transactionid: pick(row.transactionid ?? row.id),
+    groupid: pick(row.groupid),
+    title: pick(row.title),
+    display_name: pick(row.display_name),
+    description: pick(row.description),
+    category: pick(row.category),
+    type: type === 'income' || type === 'expense' ? type : (amount >= 0 ? 'income' : 'expense'),
+    amount,
+    start: date(row.start),
+    end: date(row.end),
+    frequency: Number.isFinite(frequency) && frequency > 0 ? frequency : null,
+  };
+}
+
+// Before-image of a recurring series: the first remaining row's fields plus
+// how many forecast rows the series had and the date of the last one.
+// Best-effort like fetchTransactionRow; null when the rows could not be read.
+async function fetchSeriesBeforeImage(accountId, groupId, { loadSeries = getForecastSeriesByGroup } = {}) {
+  if (accountId == null || groupId == null) return null;
+  try {
+    const rows = await loadSeries(accountId, groupId);
+    if (!Array.isArray(rows) || !rows.length) return null;
+    const first = transactionBeforeImage(rows[0]);
+    if (!first) return null;
+    return { ...first, transactionid: null, groupid: groupId, end: rows[rows.length - 1].start || first.end, occurrences: rows.length };
+  } catch (e) {
+    console.warn('fetchSeriesBeforeImage: failed to read series rows, proceeding best-effort:', e.message);
+  }
+  return null;
+}
+
+// Compact copy of a goal row as it was before an update / delete (same role
+// as transactionBeforeImage; contributions are summarized, not copied).
+function goalBeforeImage(goal) {
+  if (!goal || typeof goal !== 'object' || goal.goalid == null) return null;
+  const pick = (v) => (v !== undefined && v !== null && String(v).trim() !== '' ? v : null);
+  const num = (v) => (Number.isFinite(Number(v)) && pick(v) != null ? Number(v) : null);
+  return {
+    goalid: goal.goalid,
+    title: pick(goal.title),
+    display_name: pick(goal.display_name),
+    category: pick(goal.category),
+    status: pick(goal.status),
+    target_amount: num(goal.target_amount),
+    accumulated_amount: num(goal.accumulated_amount),
+    start_date: pick(goal.start_date),
+    end_date: pick(goal.end_date),
+    frequency: pick(goal.frequency),
+    contribution_count: Array.isArray(goal.contributions) ? goal.contributions.length : null,
+  };
+}
+
 // Build a COMPLETE update payload by merging the LLM's partial edits over the
 // existing transaction row. The backend UPDATE overwrites every column, so we
 // must preserve unspecified fields (fetched via getTransactionById) to avoid
@@ -558,6 +624,8 @@ const functionMap = {
     if (scope === 'group') {
       const groupId = args.groupid || args.group_id;
       if (!groupId) throw new Error('groupid is required to delete a recurring series (scope=group). Find it via getRecurringForecasts/getUpcomingTransactions or the RECENT WRITES block, or delete a single occurrence by transactionid instead.');
+      // Read the series first so the audit log keeps what was removed.
+      const before = await fetchSeriesBeforeImage(ctx.accountId, groupId);
       const result = await deleteGroupTransactions({ userId, groupId, token });
       return {
         success: true,
@@ -565,11 +633,14 @@ const functionMap = {
         scope: 'group',
         transaction_id: null,
         group_id: groupId,
+        before,
         message: (result && result.message) || 'Recurring transaction series has been deleted.',
       };
     }
     const transactionId = args.transactionid || args.transaction_id || ctx.id;
     if (!transactionId) throw new Error('transactionid is required to delete a transaction');
+    // Read the row first so the delete can be undone (re-added from `before`).
+    const before = transactionBeforeImage(await fetchTransactionRow(transactionId, token));
     const result = await deleteTransaction({ userId, transactionId, token });
     return {
       success: true,
@@ -577,6 +648,7 @@ const functionMap = {
       scope: 'single',
       transaction_id: transactionId,
       group_id: args.groupid || args.group_id || null,
+      before,
       message: (result && result.message) || 'Transaction has been deleted.',
     };
   },
@@ -586,7 +658,9 @@ const functionMap = {
   // safe. The confirm-before-write gate is enforced upstream in executeToolCalls.
   async updateTransaction(args, ctx) {
     const { userId, token } = ctx;
-    const body = await buildUpdateTransactionInput(args, ctx);
+    const transactionId = args.transactionid || args.transaction_id || ctx.id;
+    const existing = transactionId ? await fetchTransactionRow(transactionId, token) : null;
+    const body = await buildUpdateTransactionInput(args, ctx, existing);
     const result = await updateTransaction({ userId, transactionId: body.transactionid, token, body });
     return {
       success: true,
@@ -599,6 +673,7 @@ const functionMap = {
       category: body.category,
       start: body.start,
       frequency: body.frequency,
+      before: transactionBeforeImage(existing),
       message: (result && result.message) || 'Transaction has been successfully updated.',
     };
   },
@@ -695,6 +770,7 @@ const functionMap = {
       title: result?.title ?? body.title ?? existing.title,
       target_amount: result?.target_amount ?? body.target_amount ?? existing.target_amount,
       end_date: result?.end_date ?? body.end_date ?? existing.end_date,
+      before: goalBeforeImage(existing),
       message: 'Goal updated. Unlocked future contributions were redistributed to match the new plan.',
     };
   },
@@ -703,15 +779,69 @@ const functionMap = {
     const { userId, token } = ctx;
     const goalId = args.goalid || args.goal_id;
     if (!goalId) throw new Error('goalid is required to delete a goal — find it via getGoals first.');
+    let existing = null;
+    try {
+      existing = await getGoal({ goalId, token });
+    } catch (e) {
+      console.warn('deleteGoal: failed to read goal before delete, proceeding best-effort:', e.message);
+    }
     const result = await deleteGoal({ userId, goalId, token });
     return {
       success: true,
       action: 'delete_goal',
       goal_id: goalId,
+      before: goalBeforeImage(existing),
       message: (result && result.message) || 'Goal deleted.',
     };
   },
 
+  // ── Category budgets ───────────────────────────────────────────────────────
+  // Stored locally (kea_budgets), scoped to the trusted user and selected
+  // account. setBudget / deleteBudget are confirm-gated in executeToolCalls.
+
+  async getBudgets(args, ctx) {
+    const { listBudgets } = require('../services/keaBudgets');
+    if (!ctx.accountId) return { budgets: [], message: 'No account selected.' };
+    const budgets = await listBudgets(ctx.userId, ctx.accountId);
+    return {
+      budgets: budgets.map((b) => ({ budget_id: b.id, category: b.category, monthly_limit: b.monthlyLimit })),
+      message: budgets.length ? undefined : 'No budgets are saved on this account yet.',
+    };
+  },
+
+  async setBudget(args, ctx) {
+    const { setBudget } = require('../services/keaBudgets');
+    if (!ctx.accountId) throw new Error('No account selected — a budget must belong to an account.');
+    const { budget, created } = await setBudget(ctx.userId, ctx.accountId, {
+      category: args.category,
+      monthlyLimit: args.monthly_limit,
+    });
+    return {
+      success: true,
+      action: created ? 'create_budget' : 'update_budget',
+      budget_id: budget.id,
+      category: budget.category,
+      monthly_limit: budget.monthlyLimit,
+      message: created ? 'Budget saved.' : 'Budget updated.',
+    };
+  },
+
+  async deleteBudget(args, ctx) {
+    const { deleteBudget } = require('../services/keaBudgets');
+    if (!ctx.accountId) throw new Error('No account selected.');
+    const removed = await deleteBudget(ctx.userId, ctx.accountId, {
+      id: args.budget_id,
+      category: args.category,
+    });
+    return {
+      success: true,
+      action: 'delete_budget',
+      budget_id: removed.id,
+      category: removed.category,
+      message: 'Budget deleted.',
+    };
+  },
+
   // ── Simulation ("what-if") propose tools ──────────────────────────────────
   // NONE of these write to the database. Each returns a structured `simOp`
   // that the frontend applies to its client-side simulation overlay, where the
@@ -813,6 +943,39 @@ const functionMap = {
     }
   },
 
+  // Whole-list estimate for the shopping list linked to a forecasted
+  // transaction. Never writes: a new amount is only offered as proposedUpdate,
+  // which the model stages with updateDraftTransaction and the write gate
+  // holds until the user confirms.
+  async estimateShoppingList(args, ctx) {
+    const transactionId = args.transactionid || args.transaction_id;
+    if (!transactionId) return { error: 'transactionid of the forecasted transaction the shopping list belongs to is required.' };
+    const { estimateShoppingList } = require('../services/shoppingBasket.service');
+    try {
+      const raw = await getShoppingList({ transactionId, token: ctx.token });
+      const items = Array.isArray(raw) ? raw : (raw?.items || raw?.list || raw?.data || []);
+      if (!Array.isArray(items) || items.length === 0) {
+        return { ok: true, items: [], note: 'This transaction has no shopping list items to estimate.' };
+      }
+      const existing = await fetchTransactionRow(transactionId, ctx.token);
+      const result = await estimateShoppingList({
+        items,
+        region: args.region,
+        userId: ctx.userId,
+        transactionId,
+        currentAmount: existing && existing.amount != null ? existing.amount : null,
+      });
+      return {
+        ok: true,
+        ...result,
+        note: 'These are ESTIMATES of typical retail prices (pre-tax), not live prices. Summarize the per-store totals, the cheapest mixed basket and any flagged estimates. If proposedUpdate is present, OFFER to change the transaction amount to proposedUpdate.proposedAmount; if the user wants it, stage it with updateDraftTransaction (transactionid, amount, pendingConfirmation: true) and call updateTransaction only after they confirm.'
+      };
+    } catch (e) {
+      console.error('estimateShoppingList failed:', e.message);
+      return { error: 'Shopping list estimates are unavailable right now. The user\'s own estimates still work.' };
+    }
+  },
+
   // Persist a durable fact about the user. accountScoped=true ties it to the
   // currently selected account; otherwise it's a user-level fact.
   async rememberFact(args, ctx) {
@@ -947,4 +1110,4 @@ const functionMap = {
   }
 };
 
-module.exports = { functionMap, __testables: { normalizeCreateTransactionInput, toDateAnchoredISO } };
+module.exports = { functionMap, __testables: { normalizeCreateTransactionInput, toDateAnchoredISO, transactionBeforeImage, goalBeforeImage, fetchSeriesBeforeImage } };
@@ -77,12 +77,14 @@ async function getSelectedKeacastAccounts({ userId, token, body }) {
 //
 // Use this when an LLM endpoint needs ground-truth context for ONE selected
 // account without paying the multi-account cost of getSelectedKeacastAccounts.
-function buildSelectedAccountAxiosConfig({ token, timeoutMs, requestId } = {}) {
+function buildSelectedAccountAxiosConfig({ token, timeoutMs, requestId, signal } = {}) {
   const config = AUTH_HEADER(token);
   config.timeout = Number.isFinite(timeoutMs) ? timeoutMs : cashflowHttpTimeoutMs();
   if (requestId != null && String(requestId).trim() !== '') {
     config.headers['X-Request-Id'] = String(requestId).trim();
   }
+  // Chat request-lifecycle AbortSignal: a client disconnect cancels the macro.
+  if (signal) config.signal = signal;
   return config;
 }
 
@@ -100,51 +102,51 @@ async function getKeaAccountContext({ accountId, token, body, timeoutMs, request
   return response.data;
 }
 
-async function getKeaCashflowAnalysis({ accountId, token, body, timeoutMs, requestId }) {
+async function getKeaCashflowAnalysis({ accountId, token, body, timeoutMs, requestId, signal }) {
   const url = `${BASE_URL}/account/kea-analysis/${accountId}`;
-  const config = buildSelectedAccountAxiosConfig({ token, timeoutMs, requestId });
+  const config = buildSelectedAccountAxiosConfig({ token, timeoutMs, requestId, signal });
   const response = await axios.post(url, body || {}, config);
   return response.data;
 }
 
-async function getKeaAffordabilityAnalysis({ accountId, token, body, timeoutMs, requestId }) {
+async function getKeaAffordabilityAnalysis({ accountId, token, body, timeoutMs, requestId, signal }) {
   const url = `${BASE_URL}/account/kea-affordability/${accountId}`;
-  const config = buildSelectedAccountAxiosConfig({ token, timeoutMs, requestId });
+  const config = buildSelectedAccountAxiosConfig({ token, timeoutMs, requestId, signal });
   const response = await axios.post(url, body || {}, config);
   return response.data;
 }
 
-async function getKeaPeriodComparison({ accountId, token, body, timeoutMs, requestId }) {
+async function getKeaPeriodComparison({ accountId, token, body, timeoutMs, requestId, signal }) {
   const url = `${BASE_URL}/account/kea-comparison/${accountId}`;
-  const config = buildSelectedAccountAxiosConfig({ token, timeoutMs, requestId });
+  const config = buildSelectedAccountAxiosConfig({ token, timeoutMs, requestId, signal });
   const response = await axios.post(url, body || {}, config);
   return response.data;
 }
 
-async function getKeaTrendAnalysis({ accountId, token, body, timeoutMs, requestId }) {
+async function getKeaTrendAnalysis({ accountId, token, body, timeoutMs, requestId, signal }) {
   const url = `${BASE_URL}/account/kea-trend/${accountId}`;
-  const config = buildSelectedAccountAxiosConfig({ token, timeoutMs, requestId });
+  const config = buildSelectedAccountAxiosConfig({ token, timeoutMs, requestId, signal });
   const response = await axios.post(url, body || {}, config);
   return response.data;
 }
 
-async function getKeaRecurringAnalysis({ accountId, token, body, timeoutMs, requestId }) {
+async function getKeaRecurringAnalysis({ accountId, token, body, timeoutMs, requestId, signal }) {
   const url = `${BASE_URL}/account/kea-recurring/${accountId}`;
-  const config = buildSelectedAccountAxiosConfig({ token, timeoutMs, requestId });
+  const config = buildSelectedAccountAxiosConfig({ token, timeoutMs, requestId, signal });
   const response = await axios.post(url, body || {}, config);
   return response.data;
 }
 
-async function getKeaUpcomingAnalysis({ accountId, token, body, timeoutMs, requestId }) {
+async function getKeaUpcomingAnalysis({ accountId, token, body, timeoutMs, requestId, signal }) {
   const url = `${BASE_URL}/account/kea-upcoming/${accountId}`;
-  const config = buildSelectedAccountAxiosConfig({ token, timeoutMs, requestId });
+  const config = buildSelectedAccountAxiosConfig({ token, timeoutMs, requestId, signal });
   const response = await axios.post(url, body || {}, config);
   return response.data;
 }
 
-async function getKeaIncomeHorizonAnalysis({ accountId, token, body, timeoutMs, requestId }) {
+async function getKeaIncomeHorizonAnalysis({ accountId, token, body, timeoutMs, requestId, signal }) {
   const url = `${BASE_URL}/account/kea-income-horizon/${accountId}`;
-  const config = buildSelectedAccountAxiosConfig({ token, timeoutMs, requestId });
+  const config = buildSelectedAccountAxiosConfig({ token, timeoutMs, requestId, signal });
   const response = await axios.post(url, body || {}, config);
   return response.data;
 }